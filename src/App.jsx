@@ -1,7 +1,58 @@
-import {Home} from './components';
+import { useEffect } from 'react';
+import {Home, ConceptPage, LearningPath, ConceptGraph} from './components';
+import { ROUTES, useRoute, navigate, homeHref, conceptHref } from './core/router.js';
+import progress, { useProgress, useTimeTracking } from './core/ProgressStore.js';
 
 function App() {
-  return <Home />
+  const route = useRoute();
+  const { completedConcepts } = useProgress();
+
+  const activeTool = route.name === ROUTES.TOOL ? route.params.toolId : null;
+
+  // Tool IDs are concept IDs, so time in a tool counts towards its concept
+  useTimeTracking(route.name === ROUTES.CONCEPT ? route.params.conceptId : activeTool);
+
+  useEffect(() => {
+    if (activeTool) progress.setLastTool(activeTool);
+  }, [activeTool]);
+
+  const goHome = () => navigate(homeHref());
+  const openConcept = (concept) => navigate(conceptHref(concept.id));
+
+  switch (route.name) {
+    case ROUTES.CONCEPT:
+      return (
+        <ConceptPage
+          key={route.params.conceptId}
+          conceptId={route.params.conceptId}
+          completedConcepts={completedConcepts}
+          timeSpent={progress.getTimeSpent(route.params.conceptId)}
+          onConceptClick={openConcept}
+          onToggleComplete={(conceptId) => progress.toggleCompleted(conceptId)}
+          onBack={goHome}
+        />
+      );
+    case ROUTES.PATH:
+      return (
+        <LearningPath
+          targetId={route.params.conceptId}
+          completedConcepts={completedConcepts}
+          onConceptClick={openConcept}
+          onBack={goHome}
+        />
+      );
+    case ROUTES.GRAPH:
+      return (
+        <ConceptGraph
+          focusId={route.params.conceptId}
+          completedConcepts={completedConcepts}
+          onConceptClick={openConcept}
+          onBack={goHome}
+        />
+      );
+    default:
+      return <Home activeTool={activeTool} />
+  }
 }
 
-export default App
\ No newline at end of file
+export default App
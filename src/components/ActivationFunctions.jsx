@@ -1,11 +1,24 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const ActivationFunctions = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import {
+  relu, reluDerivative, sigmoid, sigmoidDerivative, tanh, tanhDerivative,
+  leakyRelu, leakyReluDerivative, elu, eluDerivative, swish, swishDerivative
+} from '../math/activations.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  selectedFunction: param.oneOf(['relu', 'sigmoid', 'tanh', 'leaky-relu', 'elu', 'swish'], 'relu'),
+  showDerivative: param.boolean(false),
+  showAll: param.boolean(false),
+  inputValue: param.number(0, { min: -6, max: 6, precision: 1 })
+};
+
+export const ActivationFunctions = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [selectedFunction, setSelectedFunction] = useState('relu');
-  const [showDerivative, setShowDerivative] = useState(false);
-  const [showAll, setShowAll] = useState(false);
-  const [inputValue, setInputValue] = useState(0);
+  const [selectedFunction, setSelectedFunction] = usePermalinkState(PARAMS, 'selectedFunction', config);
+  const [showDerivative, setShowDerivative] = usePermalinkState(PARAMS, 'showDerivative', config);
+  const [showAll, setShowAll] = usePermalinkState(PARAMS, 'showAll', config);
+  const [inputValue, setInputValue] = usePermalinkState(PARAMS, 'inputValue', config);
   const [animating, setAnimating] = useState(false);
   const [animationStep, setAnimationStep] = useState(0);
 
@@ -14,8 +27,8 @@ export const ActivationFunctions = ({ onClose }) => {
     relu: {
       name: 'ReLU',
       fullName: 'Rectified Linear Unit',
-      fn: (x) => Math.max(0, x),
-      derivative: (x) => x > 0 ? 1 : 0,
+      fn: relu,
+      derivative: reluDerivative,
       color: '#22c55e',
       description: 'Most popular. Fast, simple, no vanishing gradient for x > 0.',
       equation: 'f(x) = max(0, x)',
@@ -25,11 +38,8 @@ export const ActivationFunctions = ({ onClose }) => {
     sigmoid: {
       name: 'Sigmoid',
       fullName: 'Logistic Function',
-      fn: (x) => 1 / (1 + Math.exp(-x)),
-      derivative: (x) => {
-        const s = 1 / (1 + Math.exp(-x));
-        return s * (1 - s);
-      },
+      fn: sigmoid,
+      derivative: sigmoidDerivative,
       color: '#3b82f6',
       description: 'Smooth, outputs [0,1]. Used in binary classification. SUFFERS vanishing gradient!',
       equation: 'f(x) = 1 / (1 + e⁻ˣ)',
@@ -39,8 +49,8 @@ export const ActivationFunctions = ({ onClose }) => {
     tanh: {
       name: 'Tanh',
       fullName: 'Hyperbolic Tangent',
-      fn: (x) => Math.tanh(x),
-      derivative: (x) => 1 - Math.tanh(x) ** 2,
+      fn: tanh,
+      derivative: tanhDerivative,
       color: '#8b5cf6',
       description: 'Like sigmoid but outputs [-1,1]. Zero-centered. Still vanishing gradient.',
       equation: 'f(x) = tanh(x)',
@@ -50,8 +60,8 @@ export const ActivationFunctions = ({ onClose }) => {
     'leaky-relu': {
       name: 'Leaky ReLU',
       fullName: 'Leaky Rectified Linear Unit',
-      fn: (x) => x > 0 ? x : 0.01 * x,
-      derivative: (x) => x > 0 ? 1 : 0.01,
+      fn: leakyRelu,
+      derivative: leakyReluDerivative,
       color: '#f59e0b',
       description: 'Fixes dead ReLU problem with small negative slope. Best of both worlds!',
       equation: 'f(x) = max(0.01x, x)',
@@ -61,8 +71,8 @@ export const ActivationFunctions = ({ onClose }) => {
     elu: {
       name: 'ELU',
       fullName: 'Exponential Linear Unit',
-      fn: (x) => x > 0 ? x : Math.exp(x) - 1,
-      derivative: (x) => x > 0 ? 1 : Math.exp(x),
+      fn: elu,
+      derivative: eluDerivative,
       color: '#ec4899',
       description: 'Smooth everywhere. Negative saturation pushes mean toward zero.',
       equation: 'f(x) = x if x > 0, else eˣ - 1',
@@ -72,11 +82,8 @@ export const ActivationFunctions = ({ onClose }) => {
     swish: {
       name: 'Swish',
       fullName: 'Self-Gated Activation',
-      fn: (x) => x / (1 + Math.exp(-x)),
-      derivative: (x) => {
-        const s = 1 / (1 + Math.exp(-x));
-        return s + x * s * (1 - s);
-      },
+      fn: swish,
+      derivative: swishDerivative,
       color: '#06b6d4',
       description: 'Smooth, non-monotonic. Outperforms ReLU in deep networks (discovered by Google).',
       equation: 'f(x) = x · σ(x)',
@@ -1,10 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const AttentionMechanism = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import { dot } from '../math/vectors.js';
+import { multiplyVector } from '../math/matrices.js';
+import { softmax } from '../math/activations.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  selectedToken: param.integer(2, { min: 0, max: 5 }),
+  showWeights: param.boolean(true)
+};
+
+export const AttentionMechanism = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [selectedToken, setSelectedToken] = useState(2);
+  const [selectedToken, setSelectedToken] = usePermalinkState(PARAMS, 'selectedToken', config);
   const [attentionType, setAttentionType] = useState('self-attention');
-  const [showWeights, setShowWeights] = useState(true);
+  const [showWeights, setShowWeights] = usePermalinkState(PARAMS, 'showWeights', config);
   const [animating, setAnimating] = useState(false);
   const [animationStep, setAnimationStep] = useState(0);
 
@@ -27,43 +37,22 @@ export const AttentionMechanism = ({ onClose }) => {
   const W_K = [[0.8, 0.2], [0.2, 0.8]]; // Key weights
   const W_V = [[0.7, 0.3], [0.3, 0.7]]; // Value weights
 
-  // Matrix multiplication helper
-  const matMul = (a, b) => {
-    return [
-      a[0] * b[0][0] + a[1] * b[0][1],
-      a[0] * b[1][0] + a[1] * b[1][1]
-    ];
-  };
-
-  // Dot product
-  const dotProduct = (a, b) => {
-    return a[0] * b[0] + a[1] * b[1];
-  };
-
-  // Softmax
-  const softmax = (scores) => {
-    const maxScore = Math.max(...scores);
-    const expScores = scores.map(s => Math.exp(s - maxScore));
-    const sumExp = expScores.reduce((a, b) => a + b, 0);
-    return expScores.map(s => s / sumExp);
-  };
-
   // Calculate attention for selected token
   const calculateAttention = () => {
     // Query for selected token
-    const query = matMul(embeddings[selectedToken], W_Q);
+    const query = multiplyVector(W_Q, embeddings[selectedToken]);
 
     // Keys for all tokens
-    const keys = embeddings.map(emb => matMul(emb, W_K));
+    const keys = embeddings.map(emb => multiplyVector(W_K, emb));
 
     // Compute attention scores (Q·K)
-    const scores = keys.map(key => dotProduct(query, key));
+    const scores = keys.map(key => dot(query, key));
 
     // Apply softmax
     const attentionWeights = softmax(scores);
 
     // Values for all tokens
-    const values = embeddings.map(emb => matMul(emb, W_V));
+    const values = embeddings.map(emb => multiplyVector(W_V, emb));
 
     // Weighted sum of values
     const output = [0, 0];
@@ -1,12 +1,38 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const Backpropagation = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import { sigmoid, sigmoidDerivative } from '../math/activations.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  step: param.integer(0, { min: 0, max: 11 }),
+  speed: param.number(1, { min: 0.5, max: 2 }),
+  showGradients: param.boolean(true),
+  showValues: param.boolean(true)
+};
+
+export const Backpropagation = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [step, setStep] = useState(0);
+  const [step, setStep] = usePermalinkState(PARAMS, 'step', config);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [speed, setSpeed] = useState(1);
-  const [showGradients, setShowGradients] = useState(true);
-  const [showValues, setShowValues] = useState(true);
+  const [speed, setSpeed] = usePermalinkState(PARAMS, 'speed', config);
+  const [showGradients, setShowGradients] = usePermalinkState(PARAMS, 'showGradients', config);
+  const [showValues, setShowValues] = usePermalinkState(PARAMS, 'showValues', config);
+
+  // Map example preset options onto the walkthrough controls.
+  // The walkthrough uses a fixed network, so `architecture` is not applied.
+  useEffect(() => {
+    if (!config) return;
+    if (config.showSteps || config.stepByStep) {
+      setIsPlaying(false);
+      setStep(0);
+    }
+    if (config.highlightGradientFlow || config.showGradientMagnitudes || config.highlightVanishing) {
+      setShowGradients(true);
+    }
+    if (config.showFormulas) {
+      setShowValues(true);
+    }
+  }, [config, setStep, setShowGradients, setShowValues]);
 
   // Simple 3-layer network: 2 → 2 → 1
   const network = {
@@ -26,13 +52,6 @@ export const Backpropagation = ({ onClose }) => {
   const target = 1.0;
   const learningRate = 0.1;
 
-  // Activation functions
-  const sigmoid = (x) => 1 / (1 + Math.exp(-x));
-  const sigmoidDerivative = (x) => {
-    const s = sigmoid(x);
-    return s * (1 - s);
-  };
-
   // Forward pass calculations
   const calculateForward = () => {
     // Layer 1 (hidden)
@@ -122,7 +141,7 @@ export const Backpropagation = ({ onClose }) => {
       }, 1000 / speed);
       return () => clearInterval(interval);
     }
-  }, [isPlaying, speed]);
+  }, [isPlaying, speed, setStep]);
 
   // Canvas drawing
   useEffect(() => {
@@ -1,13 +1,26 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-export const BayesianInference = ({ onClose }) => {
+import React, { useEffect, useRef } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { betaPDF } from '../math/distributions.js';
+import { random } from '../math/random.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  priorType: param.oneOf(['uniform', 'informative', 'skeptical'], 'uniform'),
+  observations: param.json([], (value) => Array.isArray(value) && value.every((o) => o === 0 || o === 1)),
+  showPrior: param.boolean(true),
+  showLikelihood: param.boolean(true),
+  showPosterior: param.boolean(true),
+  trueP: param.number(0.7, { min: 0, max: 1 })
+};
+
+export const BayesianInference = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [priorType, setPriorType] = useState('uniform'); // 'uniform', 'informative', 'skeptical'
-  const [observations, setObservations] = useState([]);
-  const [showPrior, setShowPrior] = useState(true);
-  const [showLikelihood, setShowLikelihood] = useState(true);
-  const [showPosterior, setShowPosterior] = useState(true);
-  const [trueP, setTrueP] = useState(0.7); // True underlying probability (hidden from user initially)
+  const [priorType, setPriorType] = usePermalinkState(PARAMS, 'priorType', config); // 'uniform', 'informative', 'skeptical'
+  const [observations, setObservations] = usePermalinkState(PARAMS, 'observations', config);
+  const [showPrior, setShowPrior] = usePermalinkState(PARAMS, 'showPrior', config);
+  const [showLikelihood, setShowLikelihood] = usePermalinkState(PARAMS, 'showLikelihood', config);
+  const [showPosterior, setShowPosterior] = usePermalinkState(PARAMS, 'showPosterior', config);
+  const [trueP, setTrueP] = usePermalinkState(PARAMS, 'trueP', config); // True underlying probability (hidden from user initially)
 
   // Prior distributions (Beta distribution parameters)
   const priors = {
@@ -33,61 +46,6 @@ export const BayesianInference = ({ onClose }) => {
 
   const currentPrior = priors[priorType];
 
-  // Beta distribution PDF
-  const betaPDF = (x, alpha, beta) => {
-    if (x <= 0 || x >= 1) return 0;
-    
-    // Using logarithms to avoid overflow
-    const logBeta = logGamma(alpha) + logGamma(beta) - logGamma(alpha + beta);
-    const logPDF = (alpha - 1) * Math.log(x) + (beta - 1) * Math.log(1 - x) - logBeta;
-    
-    return Math.exp(logPDF);
-  };
-
-  // Log-gamma function (Stirling approximation for large values)
-  const logGamma = (z) => {
-    if (z < 1) return logGamma(z + 1) - Math.log(z);
-    if (z < 12) {
-      // Use tabulated values and interpolation for small z
-      return Math.log(gamma(z));
-    }
-    // Stirling's approximation for large z
-    return (z - 0.5) * Math.log(z) - z + 0.5 * Math.log(2 * Math.PI);
-  };
-
-  // Gamma function for small values
-  const gamma = (z) => {
-    if (z === 1) return 1;
-    if (z === 0.5) return Math.sqrt(Math.PI);
-    
-    // Lanczos approximation
-    const g = 7;
-    const c = [
-      0.99999999999980993,
-      676.5203681218851,
-      -1259.1392167224028,
-      771.32342877765313,
-      -176.61502916214059,
-      12.507343278686905,
-      -0.13857109526572012,
-      9.9843695780195716e-6,
-      1.5056327351493116e-7
-    ];
-
-    if (z < 0.5) {
-      return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
-    }
-
-    z -= 1;
-    let x = c[0];
-    for (let i = 1; i < g + 2; i++) {
-      x += c[i] / (z + i);
-    }
-
-    const t = z + g + 0.5;
-    return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
-  };
-
   // Calculate posterior parameters
   const getPosterior = () => {
     const successes = observations.filter(o => o === 1).length;
@@ -103,7 +61,7 @@ export const BayesianInference = ({ onClose }) => {
 
   // Generate a random observation from true distribution
   const addObservation = () => {
-    const success = Math.random() < trueP ? 1 : 0;
+    const success = random.bernoulli(trueP);
     setObservations([...observations, success]);
   };
 
@@ -111,7 +69,7 @@ export const BayesianInference = ({ onClose }) => {
   const addMultipleObservations = (n) => {
     const newObs = [];
     for (let i = 0; i < n; i++) {
-      newObs.push(Math.random() < trueP ? 1 : 0);
+      newObs.push(random.bernoulli(trueP));
     }
     setObservations([...observations, ...newObs]);
   };
@@ -0,0 +1,364 @@
+/**
+ * CONCEPT GRAPH EXPLORER
+ *
+ * Zoomable, pannable SVG map of the concept dependency graph. Concepts are
+ * laid out in columns by layer, colored by domain, and marked as completed,
+ * available or locked based on the learner's progress. Stub concepts
+ * (prerequisites without a page yet) can be shown as gray placeholders.
+ */
+
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import registry from '../core/ConceptRegistry.js';
+import { DOMAIN_COLORS, DOMAIN_NAMES } from '../types/concept.js';
+import { getGraphData, getSubgraph, layoutGraph, isLocked } from '../utils/conceptUtils.js';
+import { graphHref } from '../core/router.js';
+
+const MIN_SCALE = 0.3;
+const MAX_SCALE = 3;
+const ZOOM_STEP = 1.2;
+const DRAG_THRESHOLD = 4; // px moved before a press counts as a pan instead of a click
+const MAX_LABEL_LENGTH = 22;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+const truncate = (text) => (
+  text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text
+);
+
+/**
+ * ConceptGraph Component
+ *
+ * @param {Object} props
+ * @param {string} [props.focusId] - Concept to center on; shows its neighbourhood only
+ * @param {Set} props.completedConcepts - Set of completed concept IDs
+ * @param {Function} props.onConceptClick - Handler for clicking a concept node
+ * @param {Function} props.onBack - Handler for leaving the page
+ */
+export const ConceptGraph = ({
+  focusId = null,
+  completedConcepts = new Set(),
+  onConceptClick,
+  onBack
+}) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // { client, start, view, moved }
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [hoveredId, setHoveredId] = useState(null);
+  const [showStubs, setShowStubs] = useState(false);
+
+  const focus = focusId ? registry.get(focusId) : null;
+
+  const layout = useMemo(() => {
+    const options = { includeStubs: showStubs };
+    return layoutGraph(focus ? getSubgraph(focus.id, 2, options) : getGraphData(null, options));
+  }, [focus, showStubs]);
+
+  // Edges touching the hovered node, for highlighting
+  const highlighted = useMemo(() => {
+    if (!hoveredId) return null;
+    const ids = new Set([hoveredId]);
+    layout.edges.forEach(e => {
+      if (e.from === hoveredId) ids.add(e.to);
+      if (e.to === hoveredId) ids.add(e.from);
+    });
+    return ids;
+  }, [hoveredId, layout]);
+
+  const nodeById = new Map(layout.nodes.map(n => [n.id, n]));
+  const domains = [...new Set(layout.nodes.filter(n => !n.isStub).map(n => n.domain))];
+  const conceptCount = layout.nodes.filter(n => !n.isStub).length;
+
+  // Convert a pointer position to SVG (viewBox) coordinates
+  const toSvgPoint = (clientX, clientY) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  // Zoom keeping the given SVG point fixed on screen
+  const zoomAt = (factor, point) => {
+    setView(prev => {
+      const scale = clampScale(prev.scale * factor);
+      const ratio = scale / prev.scale;
+      return {
+        scale,
+        x: point.x - (point.x - prev.x) * ratio,
+        y: point.y - (point.y - prev.y) * ratio
+      };
+    });
+  };
+
+  const zoomAtCenter = (factor) => {
+    zoomAt(factor, { x: layout.width / 2, y: layout.height / 2 });
+  };
+
+  // Wheel zoom needs a non-passive listener to prevent page scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, toSvgPoint(e.clientX, e.clientY));
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Recenter when switching between the full graph and a neighbourhood
+  useEffect(() => {
+    setView({ x: 0, y: 0, scale: 1 });
+  }, [focusId]);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    dragRef.current = {
+      client: { x: e.clientX, y: e.clientY },
+      start: toSvgPoint(e.clientX, e.clientY),
+      view,
+      moved: false
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    if (!drag.moved) {
+      const distance = Math.hypot(e.clientX - drag.client.x, e.clientY - drag.client.y);
+      if (distance < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      svgRef.current.setPointerCapture(e.pointerId);
+    }
+
+    const point = toSvgPoint(e.clientX, e.clientY);
+    setView({
+      ...drag.view,
+      x: drag.view.x + point.x - drag.start.x,
+      y: drag.view.y + point.y - drag.start.y
+    });
+  };
+
+  const handlePointerUp = () => {
+    // Keep the drag state until the click event so a pan doesn't open a concept
+    setTimeout(() => {
+      dragRef.current = null;
+    }, 0);
+  };
+
+  const handleNodeClick = (nodeId) => {
+    if (dragRef.current?.moved) return;
+    const concept = registry.get(nodeId);
+    if (concept && onConceptClick) onConceptClick(concept);
+  };
+
+  const getNodeState = (node) => {
+    if (node.isStub) return 'stub';
+    const nodeId = node.id;
+    if (completedConcepts.has(nodeId)) return 'completed';
+    if (isLocked(nodeId, completedConcepts)) return 'locked';
+    return 'available';
+  };
+
+  // Smooth curve from the right edge of a prerequisite to the left edge of its dependent
+  const edgePath = (edge) => {
+    const from = nodeById.get(edge.from);
+    const to = nodeById.get(edge.to);
+    const x1 = from.x + from.width;
+    const y1 = from.y + from.height / 2;
+    const x2 = to.x;
+    const y2 = to.y + to.height / 2;
+    const dx = Math.max(40, (x2 - x1) / 2);
+    return `M ${x1} ${y1} C ${x1 + dx} ${y1}, ${x2 - dx} ${y2}, ${x2} ${y2}`;
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white flex flex-col">
+      {/* Header */}
+      <header className="border-b border-white/10 bg-slate-900/50 backdrop-blur-sm">
+        <div className="max-w-7xl mx-auto px-4 py-6 flex items-end justify-between flex-wrap gap-4">
+          <div>
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="text-sm text-gray-400 hover:text-white flex items-center gap-2 transition-colors mb-3"
+              >
+                ← Back to Home
+              </button>
+            )}
+            <h1 className="text-3xl font-bold mb-2">🕸️ Concept Map</h1>
+            <div className="flex items-center gap-3 text-sm text-gray-400">
+              {focus ? (
+                <>
+                  <span>Centered on {focus.name}</span>
+                  <a href={graphHref()} className="text-cyan-400 hover:text-cyan-300">
+                    Show full map
+                  </a>
+                </>
+              ) : (
+                <span>{conceptCount} concepts • {layout.edges.length} dependencies</span>
+              )}
+              <label className="flex items-center gap-1.5 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showStubs}
+                  onChange={(e) => setShowStubs(e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                Show uncovered prerequisites
+              </label>
+            </div>
+          </div>
+
+          {/* Zoom Controls */}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => zoomAtCenter(1 / ZOOM_STEP)}
+              className="w-9 h-9 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
+              title="Zoom out"
+            >
+              −
+            </button>
+            <span className="text-xs font-mono text-gray-400 w-12 text-center">
+              {Math.round(view.scale * 100)}%
+            </span>
+            <button
+              onClick={() => zoomAtCenter(ZOOM_STEP)}
+              className="w-9 h-9 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
+              title="Zoom in"
+            >
+              +
+            </button>
+            <button
+              onClick={() => setView({ x: 0, y: 0, scale: 1 })}
+              className="px-3 h-9 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-sm transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Graph */}
+      <div className="flex-1 max-w-7xl w-full mx-auto px-4 py-6">
+        {layout.nodes.length === 0 ? (
+          <div className="text-center text-gray-400 py-24">No concepts to show.</div>
+        ) : (
+          <div className="bg-slate-900 rounded-xl border border-white/10 overflow-hidden">
+            <svg
+              ref={svgRef}
+              viewBox={`0 0 ${layout.width} ${layout.height}`}
+              className="w-full h-[70vh] cursor-grab active:cursor-grabbing select-none touch-none"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerLeave={handlePointerUp}
+            >
+              <defs>
+                <marker id="concept-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                  <path d="M 0 0 L 10 5 L 0 10 z" fill="rgba(148, 163, 184, 0.6)" />
+                </marker>
+              </defs>
+
+              <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+                {/* Layer Columns */}
+                {layout.columns.map(column => (
+                  <text
+                    key={column.layer}
+                    x={column.x + layout.nodes[0].width / 2}
+                    y={20}
+                    textAnchor="middle"
+                    className="fill-gray-500 text-[11px] font-bold uppercase tracking-widest"
+                  >
+                    {column.name}
+                  </text>
+                ))}
+
+                {/* Edges */}
+                {layout.edges.map(edge => {
+                  const active = hoveredId !== null && (edge.from === hoveredId || edge.to === hoveredId);
+                  return (
+                    <path
+                      key={`${edge.from}->${edge.to}`}
+                      d={edgePath(edge)}
+                      fill="none"
+                      stroke={active ? 'rgba(34, 211, 238, 0.9)' : 'rgba(148, 163, 184, 0.35)'}
+                      strokeWidth={active ? 2 : 1.25}
+                      opacity={hoveredId && !active ? 0.3 : 1}
+                      markerEnd="url(#concept-graph-arrow)"
+                    />
+                  );
+                })}
+
+                {/* Nodes */}
+                {layout.nodes.map(node => {
+                  const state = getNodeState(node);
+                  const dimmed = highlighted && !highlighted.has(node.id);
+                  const isFocus = node.id === focusId;
+
+                  return (
+                    <g
+                      key={node.id}
+                      transform={`translate(${node.x} ${node.y})`}
+                      className={state === 'stub'
+                        ? 'text-gray-500'
+                        : `${DOMAIN_COLORS[node.domain] || 'text-gray-400'} cursor-pointer`}
+                      opacity={dimmed ? 0.35 : state === 'locked' || state === 'stub' ? 0.6 : 1}
+                      onClick={state === 'stub' ? undefined : () => handleNodeClick(node.id)}
+                      onPointerEnter={() => setHoveredId(node.id)}
+                      onPointerLeave={() => setHoveredId(null)}
+                    >
+                      <title>
+                        {state === 'stub'
+                          ? `${node.label} — not covered in the lab yet`
+                          : `${node.label} — ${DOMAIN_NAMES[node.domain] || node.domain} (${state})`}
+                      </title>
+                      <rect
+                        width={node.width}
+                        height={node.height}
+                        rx={10}
+                        fill={state === 'completed' ? 'rgba(16, 185, 129, 0.15)' : 'rgba(15, 23, 42, 0.95)'}
+                        stroke="currentColor"
+                        strokeWidth={isFocus ? 3 : hoveredId === node.id ? 2 : 1.25}
+                        strokeDasharray={state === 'locked' ? '4 3' : state === 'stub' ? '2 4' : undefined}
+                      />
+                      <text
+                        x={12}
+                        y={node.height / 2}
+                        dominantBaseline="central"
+                        className={state === 'stub' ? 'fill-gray-400 text-[13px] italic' : 'fill-white text-[13px]'}
+                      >
+                        {state === 'completed' ? '✅ ' : state === 'locked' ? '🔒 ' : ''}
+                        {truncate(node.label)}
+                      </text>
+                    </g>
+                  );
+                })}
+              </g>
+            </svg>
+          </div>
+        )}
+
+        {/* Legend */}
+        <div className="flex flex-wrap items-center gap-x-5 gap-y-2 mt-4 text-xs text-gray-400">
+          {domains.map(domain => (
+            <span key={domain} className="flex items-center gap-1.5">
+              <span className={`w-3 h-3 rounded-sm border-2 border-current ${DOMAIN_COLORS[domain] || 'text-gray-400'}`} />
+              {DOMAIN_NAMES[domain] || domain}
+            </span>
+          ))}
+          <span className="text-gray-600">|</span>
+          <span>✅ Completed</span>
+          <span>🔒 Locked</span>
+          {showStubs && <span className="italic">Gray dotted: not covered yet</span>}
+          <span className="text-gray-500">Scroll to zoom • Drag to pan • Click a concept to open it</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConceptGraph;
@@ -5,10 +5,13 @@
  * all relevant sections based on concept data.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { LAYER_COLORS, LAYER_NAMES, DOMAIN_NAMES } from '../types/concept.js';
 import registry from '../core/ConceptRegistry.js';
 import { ConceptCard } from './ui/ConceptCard.jsx';
+import { ExamplePicker } from './ui/ExamplePicker.jsx';
+import { getExamplePresets, formatDuration } from '../utils/conceptUtils.js';
+import { toolHref, pathHref, graphHref } from '../core/router.js';
 
 /**
  * ConceptPage Component
@@ -17,14 +20,23 @@ import { ConceptCard } from './ui/ConceptCard.jsx';
  * @param {string} props.conceptId - ID of concept to display
  * @param {Set} props.completedConcepts - Set of completed concept IDs
  * @param {Function} props.onConceptClick - Handler for clicking related concepts
+ * @param {Function} props.onBack - Handler for leaving the page
+ * @param {Function} props.onToggleComplete - Called with the concept ID to toggle its completion
+ * @param {number} props.timeSpent - Milliseconds the learner has spent on this concept
  */
 export const ConceptPage = ({ 
   conceptId, 
   completedConcepts = new Set(),
-  onConceptClick 
+  onConceptClick,
+  onBack,
+  onToggleComplete,
+  timeSpent = 0
 }) => {
   const concept = registry.get(conceptId);
   const [showVisualization, setShowVisualization] = useState(true);
+  const [preset, setPreset] = useState(null); // { index, config }
+  const demoRef = useRef(null);
+  const [unlocked, setUnlocked] = useState([]); // Concepts unlocked by the last completion
 
   if (!concept) {
     return (
@@ -45,6 +57,34 @@ export const ConceptPage = ({
   const enables = registry.getEnabledBy(conceptId) || [];
   const related = concept.relatedConcepts?.map(id => registry.get(id)).filter(c => c) || [];
 
+  const isCompleted = completedConcepts.has(conceptId);
+
+  const handleToggleComplete = () => {
+    if (!onToggleComplete) return;
+    onToggleComplete(conceptId);
+
+    if (isCompleted) {
+      setUnlocked([]);
+    } else {
+      const nowCompleted = new Set([...completedConcepts, conceptId]);
+      setUnlocked(
+        registry.getUnlockedConcepts(conceptId, nowCompleted)
+          .map(id => registry.get(id))
+          .filter(c => c)
+      );
+    }
+  };
+
+  // Examples that can be loaded into the visualization
+  const examplePresets = getExamplePresets(concept);
+
+  const handleSelectExample = (example) => {
+    // Copy the config so picking the same example again re-applies it
+    setPreset({ index: examplePresets.indexOf(example), config: { ...example.config } });
+    setShowVisualization(true);
+    demoRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
   return (
     <div className="min-h-screen bg-slate-950 text-white">
       {/* Header */}
@@ -52,6 +92,15 @@ export const ConceptPage = ({
         <div className="max-w-7xl mx-auto px-4 py-6">
           <div className="flex items-start justify-between">
             <div className="flex-1">
+              {onBack && (
+                <button
+                  onClick={onBack}
+                  className="text-sm text-gray-400 hover:text-white flex items-center gap-2 transition-colors mb-3"
+                >
+                  ← Back to Home
+                </button>
+              )}
+
               {/* Breadcrumb - Layer and Domain */}
               <div className="flex items-center gap-2 mb-3">
                 <span className={`
@@ -79,23 +128,87 @@ export const ConceptPage = ({
                 {concept.metadata?.estimatedTime && (
                   <span>⏱️ {concept.metadata.estimatedTime}</span>
                 )}
+                {timeSpent > 0 && (
+                  <span>🕒 {formatDuration(timeSpent)} spent</span>
+                )}
               </div>
             </div>
 
-            {/* Toggle Visualization Button */}
-            {VisualizationComponent && (
-              <button
-                onClick={() => setShowVisualization(!showVisualization)}
-                className="px-4 py-2 bg-cyan-500/20 hover:bg-cyan-500/30 rounded-lg border border-cyan-500/30 transition-colors"
+            {/* Actions */}
+            <div className="flex items-center gap-2">
+              {onToggleComplete && (
+                <button
+                  onClick={handleToggleComplete}
+                  className={`px-4 py-2 rounded-lg border transition-colors ${
+                    isCompleted
+                      ? 'bg-emerald-500/20 hover:bg-emerald-500/30 border-emerald-500/30 text-emerald-300'
+                      : 'bg-white/5 hover:bg-white/10 border-white/10'
+                  }`}
+                >
+                  {isCompleted ? '✅ Completed' : '☐ Mark Complete'}
+                </button>
+              )}
+
+              <a
+                href={pathHref(conceptId)}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
               >
-                {showVisualization ? '📊 Hide Demo' : '📊 Show Demo'}
-              </button>
-            )}
+                🗺️ Learning Path
+              </a>
+
+              <a
+                href={graphHref(conceptId)}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
+              >
+                🕸️ Concept Map
+              </a>
+
+              {VisualizationComponent && (
+                <a
+                  href={toolHref(conceptId)}
+                  className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
+                >
+                  🧪 Open in Workspace
+                </a>
+              )}
+
+              {/* Toggle Visualization Button */}
+              {VisualizationComponent && (
+                <button
+                  onClick={() => setShowVisualization(!showVisualization)}
+                  className="px-4 py-2 bg-cyan-500/20 hover:bg-cyan-500/30 rounded-lg border border-cyan-500/30 transition-colors"
+                >
+                  {showVisualization ? '📊 Hide Demo' : '📊 Show Demo'}
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </header>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
+        {/* Newly Unlocked */}
+        {unlocked.length > 0 && (
+          <section className="mb-8">
+            <div className="bg-emerald-500/10 border border-emerald-500/30 rounded-xl p-4">
+              <h2 className="text-sm font-bold text-emerald-400 mb-3">
+                🔓 Unlocked by completing {concept.name}
+              </h2>
+              <div className="flex flex-wrap gap-2">
+                {unlocked.map(next => (
+                  <button
+                    key={next.id}
+                    onClick={() => onConceptClick && onConceptClick(next)}
+                    className="text-sm px-3 py-1.5 rounded-lg border bg-white/5 border-white/10 text-gray-300 hover:bg-white/10 transition-colors"
+                  >
+                    {next.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </section>
+        )}
+
         {/* Prerequisites Chain */}
         {prerequisites.length > 0 && (
           <section className="mb-8">
@@ -155,10 +268,19 @@ export const ConceptPage = ({
 
             {/* Interactive Visualization */}
             {VisualizationComponent && showVisualization && (
-              <section>
+              <section ref={demoRef} className="scroll-mt-40">
                 <h2 className="text-2xl font-bold mb-4">🎮 Interactive Demo</h2>
                 <div className="bg-slate-900 rounded-xl border border-white/10 p-6">
-                  <VisualizationComponent />
+                  {examplePresets.length > 0 && (
+                    <div className="mb-4">
+                      <ExamplePicker
+                        examples={examplePresets}
+                        activeIndex={preset?.index ?? null}
+                        onSelect={handleSelectExample}
+                      />
+                    </div>
+                  )}
+                  <VisualizationComponent config={preset?.config} />
                 </div>
               </section>
             )}
@@ -204,6 +326,14 @@ export const ConceptPage = ({
                           {example.details}
                         </p>
                       )}
+                      {VisualizationComponent && example.config && (
+                        <button
+                          onClick={() => handleSelectExample(example)}
+                          className="mt-3 text-sm px-3 py-1.5 rounded-lg bg-cyan-500/10 border border-cyan-500/30 text-cyan-300 hover:bg-cyan-500/20 transition-colors"
+                        >
+                          ▶ Load in demo
+                        </button>
+                      )}
                     </div>
                   ))}
                 </div>
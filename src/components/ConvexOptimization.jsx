@@ -1,15 +1,118 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { SECOND_ORDER_METHODS, createSecondOrderState, secondOrderStep, quadraticModel } from '../math/secondOrder.js';
+import { determinant, trace, solve } from '../math/matrices.js';
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  functionType: param.oneOf(['convex', 'nonconvex', 'saddle'], 'convex'),
+  showGlobalMin: param.boolean(true),
+  showLocalMinima: param.boolean(true),
+  rotation: param.number(45, { min: 0, max: 360 }),
+  startPoint: param.json({ x: 2, y: 1 }, isPoint),
+  method: param.oneOf(['gradient', ...Object.keys(SECOND_ORDER_METHODS)], 'gradient'),
+  memory: param.integer(3, { min: 1, max: 10 }),
+  showModel: param.boolean(true)
+};
+
+// First-order baseline next to the second-order methods
+const METHODS = {
+  gradient: {
+    name: 'Gradient Descent',
+    description: 'Step against the gradient with a fixed learning rate - the same as minimizing a quadratic model whose curvature is 1/η in every direction.'
+  },
+  ...SECOND_ORDER_METHODS
+};
+
+const METHOD_COLORS = {
+  gradient: '#a855f7',
+  newton: '#f43f5e',
+  'damped-newton': '#f97316',
+  bfgs: '#3b82f6',
+  lbfgs: '#84cc16'
+};
+
+const LEARNING_RATE = 0.1;
+const MAX_STEPS = 100;
+const TOLERANCE = 1e-6; // ‖∇f‖ at which a run counts as converged
+const ESCAPE_RADIUS = 10; // runs leaving this box are stopped
+const MODEL_RADIUS = 1; // half-width of the drawn quadratic model patch
+
+/**
+ * Run one method from a starting point
+ * @returns {{path: {x: number, y: number}[], gradientNorms: number[], models: Object[]}}
+ *   models[k] is the quadratic model the method minimized at path[k]
+ */
+const optimize = (method, func, start, memory) => {
+  const problem = {
+    f: ([x, y]) => func.fn(x, y),
+    gradient: ([x, y]) => {
+      const { dx, dy } = func.gradient(x, y);
+      return [dx, dy];
+    },
+    hessian: ([x, y]) => func.hessian(x, y)
+  };
+  let x = [start.x, start.y];
+  let state = createSecondOrderState(2);
+  const path = [{ ...start }];
+  const gradientNorms = [Math.hypot(...problem.gradient(x))];
+  const models = [];
+
+  for (let i = 0; i < MAX_STEPS && gradientNorms[i] >= TOLERANCE; i++) {
+    let model;
+    if (method === 'gradient') {
+      const g = problem.gradient(x);
+      model = { value: problem.f(x), gradient: g, hessian: [[1 / LEARNING_RATE, 0], [0, 1 / LEARNING_RATE]] };
+      x = x.map((xi, k) => xi - LEARNING_RATE * g[k]);
+    } else {
+      ({ x, state, model } = secondOrderStep(method, x, problem, state, { memory }));
+    }
+
+    const previous = path[path.length - 1];
+    models.push(model);
+    path.push({ x: x[0], y: x[1] });
+    gradientNorms.push(Math.hypot(...problem.gradient(x)));
+
+    // Stuck (singular Hessian, failed line search) or heading off to infinity
+    if (x[0] === previous.x && x[1] === previous.y) break;
+    if (Math.abs(x[0]) > ESCAPE_RADIUS || Math.abs(x[1]) > ESCAPE_RADIUS) break;
+  }
 
-export const ConvexOptimization = ({ onClose }) => {
+  return { path, gradientNorms, models };
+};
+
+// Kind of stationary point from the signs of the Hessian's eigenvalues
+const classifyPoint = (H) => {
+  const det = determinant(H);
+  if (det < -1e-9) return 'saddle';
+  if (det > 1e-9) return trace(H) > 0 ? 'minimum' : 'maximum';
+  return 'degenerate';
+};
+
+export const ConvexOptimization = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [functionType, setFunctionType] = useState('convex'); // 'convex', 'nonconvex', 'saddle'
-  const [showGlobalMin, setShowGlobalMin] = useState(true);
-  const [showLocalMinima, setShowLocalMinima] = useState(true);
-  const [rotation, setRotation] = useState(45);
-  const [startPoint, setStartPoint] = useState({ x: 2, y: 1 });
+  const [functionType, setFunctionType] = usePermalinkState(PARAMS, 'functionType', config); // 'convex', 'nonconvex', 'saddle'
+  const [showGlobalMin, setShowGlobalMin] = usePermalinkState(PARAMS, 'showGlobalMin', config);
+  const [showLocalMinima, setShowLocalMinima] = usePermalinkState(PARAMS, 'showLocalMinima', config);
+  const [rotation, setRotation] = usePermalinkState(PARAMS, 'rotation', config);
+  const [startPoint, setStartPoint] = usePermalinkState(PARAMS, 'startPoint', config);
   const [isDragging, setIsDragging] = useState(false);
-  const [optimizationPath, setOptimizationPath] = useState([]);
+  const [method, setMethod] = usePermalinkState(PARAMS, 'method', config);
+  const [memory, setMemory] = usePermalinkState(PARAMS, 'memory', config);
+  const [showModel, setShowModel] = usePermalinkState(PARAMS, 'showModel', config);
+  const [results, setResults] = useState(null); // one run per method, filled by runOptimization
+  const [modelStep, setModelStep] = useState(0); // iterate whose quadratic model is drawn
   const [isOptimizing, setIsOptimizing] = useState(false);
+  const chartRef = useRef(null);
+
+  const run = results?.[method];
+  const optimizationPath = run?.path ?? [];
+  const modelIndex = run ? Math.min(modelStep, run.models.length - 1) : -1;
+  const model = modelIndex >= 0 ? run.models[modelIndex] : null;
 
   // Define different function types
   const functions = {
@@ -17,6 +120,7 @@ export const ConvexOptimization = ({ onClose }) => {
       name: 'Convex (Paraboloid)',
       fn: (x, y) => x * x + y * y,
       gradient: (x, y) => ({ dx: 2 * x, dy: 2 * y }),
+      hessian: () => [[2, 0], [0, 2]],
       globalMin: { x: 0, y: 0 },
       localMinima: [],
       description: 'Any local minimum is the global minimum'
@@ -31,6 +135,11 @@ export const ConvexOptimization = ({ onClose }) => {
         dx: 2 * Math.cos(x * 2) * Math.cos(y * 2) + 0.6 * x,
         dy: -2 * Math.sin(x * 2) * Math.sin(y * 2) + 0.6 * y
       }),
+      hessian: (x, y) => {
+        const diagonal = -4 * Math.sin(x * 2) * Math.cos(y * 2) + 0.6;
+        const mixed = -4 * Math.cos(x * 2) * Math.sin(y * 2);
+        return [[diagonal, mixed], [mixed, diagonal]];
+      },
       globalMin: { x: 0, y: 0 },
       localMinima: [
         { x: 1.57, y: 1.57 },
@@ -44,6 +153,7 @@ export const ConvexOptimization = ({ onClose }) => {
       name: 'Saddle Point',
       fn: (x, y) => x * x - y * y,
       gradient: (x, y) => ({ dx: 2 * x, dy: -2 * y }),
+      hessian: () => [[2, 0], [0, -2]],
       globalMin: null, // No global minimum
       localMinima: [{ x: 0, y: 0, isSaddle: true }],
       description: 'Has a saddle point at origin - neither min nor max'
@@ -62,35 +172,20 @@ export const ConvexOptimization = ({ onClose }) => {
     return { x: screenX, y: screenY };
   };
 
-  // Run gradient descent
+  // Run every method from the start point so their convergence can be compared
   const runOptimization = () => {
     setIsOptimizing(true);
-    const path = [{ ...startPoint }];
-    let current = { ...startPoint };
-    const learningRate = 0.1;
-    const maxSteps = 100;
-
-    for (let i = 0; i < maxSteps; i++) {
-      const grad = currentFunc.gradient(current.x, current.y);
-      const newX = current.x - learningRate * grad.dx;
-      const newY = current.y - learningRate * grad.dy;
-
-      current = { x: newX, y: newY };
-      path.push({ ...current });
-
-      // Stop if converged
-      const gradMag = Math.sqrt(grad.dx * grad.dx + grad.dy * grad.dy);
-      if (gradMag < 0.01) break;
-    }
-
-    setOptimizationPath(path);
+    setResults(Object.fromEntries(
+      Object.keys(METHODS).map(key => [key, optimize(key, currentFunc, startPoint, memory)])
+    ));
+    setModelStep(0);
     setTimeout(() => setIsOptimizing(false), 100);
   };
 
   // Reset
   const handleReset = () => {
     setStartPoint({ x: 2, y: 1 });
-    setOptimizationPath([]);
+    setResults(null);
   };
 
   // Drawing
@@ -209,10 +304,10 @@ export const ConvexOptimization = ({ onClose }) => {
 
     // Draw optimization path
     if (optimizationPath.length > 1) {
-      ctx.strokeStyle = 'rgba(168, 85, 247, 0.8)';
+      ctx.strokeStyle = METHOD_COLORS[method];
       ctx.lineWidth = 3;
       ctx.shadowBlur = 8;
-      ctx.shadowColor = 'rgba(168, 85, 247, 0.5)';
+      ctx.shadowColor = METHOD_COLORS[method];
 
       ctx.beginPath();
       const firstP = optimizationPath[0];
@@ -234,7 +329,7 @@ export const ConvexOptimization = ({ onClose }) => {
       const lastZ = currentFunc.fn(lastP.x, lastP.y);
       const lastProj = project3D(lastP.x, lastP.y, lastZ, centerX, centerY, scale, rotation);
 
-      ctx.fillStyle = '#a855f7';
+      ctx.fillStyle = METHOD_COLORS[method];
       ctx.beginPath();
       ctx.arc(lastProj.x, lastProj.y, 8, 0, Math.PI * 2);
       ctx.fill();
@@ -243,6 +338,53 @@ export const ConvexOptimization = ({ onClose }) => {
       ctx.stroke();
     }
 
+    // Local quadratic model at the selected iterate, with the point it aims for
+    if (showModel && model) {
+      const center = optimizationPath[modelIndex];
+      const lines = 8;
+      const modelAt = (u, v) => quadraticModel(model, [u, v]);
+      const projectModel = (u, v) => project3D(center.x + u, center.y + v, modelAt(u, v), centerX, centerY, scale, rotation);
+
+      ctx.strokeStyle = 'rgba(251, 191, 36, 0.7)';
+      ctx.lineWidth = 1;
+      for (let i = 0; i <= lines; i++) {
+        const a = -MODEL_RADIUS + (2 * MODEL_RADIUS * i) / lines;
+        ctx.beginPath();
+        for (let j = 0; j <= lines; j++) {
+          const b = -MODEL_RADIUS + (2 * MODEL_RADIUS * j) / lines;
+          const p = projectModel(a, b);
+          if (j === 0) ctx.moveTo(p.x, p.y);
+          else ctx.lineTo(p.x, p.y);
+        }
+        ctx.stroke();
+        ctx.beginPath();
+        for (let j = 0; j <= lines; j++) {
+          const b = -MODEL_RADIUS + (2 * MODEL_RADIUS * j) / lines;
+          const p = projectModel(b, a);
+          if (j === 0) ctx.moveTo(p.x, p.y);
+          else ctx.lineTo(p.x, p.y);
+        }
+        ctx.stroke();
+      }
+
+      // Stationary point of the model: x - B⁻¹∇f
+      const target = solve(model.hessian, model.gradient.map(g => -g));
+      if (target) {
+        const from = project3D(center.x, center.y, model.value, centerX, centerY, scale, rotation);
+        const to = projectModel(target[0], target[1]);
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = '#fbbf24';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+
     // Draw start point
     const startZ = currentFunc.fn(startPoint.x, startPoint.y);
     const startProj = project3D(startPoint.x, startPoint.y, startZ, centerX, centerY, scale, rotation);
@@ -260,7 +402,64 @@ export const ConvexOptimization = ({ onClose }) => {
     ctx.font = 'bold 12px sans-serif';
     ctx.fillText('Start', startProj.x + 12, startProj.y - 8);
 
-  }, [functionType, rotation, startPoint, optimizationPath, showGlobalMin, showLocalMinima]);
+  }, [functionType, rotation, startPoint, results, method, modelIndex, showModel, showGlobalMin, showLocalMinima]);
+
+  // Convergence chart: log₁₀‖∇f‖ against iteration for every method
+  useEffect(() => {
+    const canvas = chartRef.current;
+    if (!canvas || !results) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { left: 40, right: 10, top: 10, bottom: 20 };
+    const runs = Object.entries(results);
+    const logs = runs
+      .flatMap(([, { gradientNorms }]) => gradientNorms.map(n => Math.log10(Math.max(n, 1e-16))))
+      .filter(Number.isFinite);
+    const lo = Math.min(0, ...logs);
+    const hi = Math.max(lo + 1, ...logs);
+    const iterations = Math.max(10, ...runs.map(([, { gradientNorms }]) => gradientNorms.length - 1));
+    const toX = (i) => pad.left + (i / iterations) * (width - pad.left - pad.right);
+    const toY = (log) => pad.top + ((hi - log) / (hi - lo)) * (height - pad.top - pad.bottom);
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Tolerance line
+    ctx.strokeStyle = 'rgba(52, 211, 153, 0.4)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(pad.left, toY(Math.log10(TOLERANCE)));
+    ctx.lineTo(width - pad.right, toY(Math.log10(TOLERANCE)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, height - pad.bottom);
+    ctx.lineTo(width - pad.right, height - pad.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '10px monospace';
+    ctx.fillText(`1e${Math.round(hi)}`, 4, pad.top + 8);
+    ctx.fillText(`1e${Math.round(lo)}`, 4, height - pad.bottom);
+    ctx.fillText(`iteration ${iterations}`, width - pad.right - 90, height - 5);
+
+    runs.forEach(([key, { gradientNorms }]) => {
+      ctx.strokeStyle = METHOD_COLORS[key];
+      ctx.lineWidth = key === method ? 3 : 1.5;
+      ctx.beginPath();
+      gradientNorms.forEach((n, i) => {
+        const y = toY(Math.log10(Math.max(n, 1e-16)));
+        if (!Number.isFinite(y)) return;
+        if (i === 0) ctx.moveTo(toX(i), y);
+        else ctx.lineTo(toX(i), y);
+      });
+      ctx.stroke();
+    });
+  }, [results, method]);
 
   // Mouse handlers for dragging start point
   const handleMouseDown = (e) => {
@@ -279,7 +478,7 @@ export const ConvexOptimization = ({ onClose }) => {
     const dist = Math.sqrt((mouseX - startProj.x) ** 2 + (mouseY - startProj.y) ** 2);
     if (dist < 15) {
       setIsDragging(true);
-      setOptimizationPath([]);
+      setResults(null);
     }
   };
 
@@ -340,6 +539,54 @@ export const ConvexOptimization = ({ onClose }) => {
                 {currentFunc.description}
               </p>
             </div>
+
+            {/* Convergence Comparison */}
+            {results && (
+              <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-2">
+                  Convergence: ‖∇f‖ vs Iteration (log scale)
+                </h3>
+                <canvas
+                  ref={chartRef}
+                  width={600}
+                  height={180}
+                  className="w-full rounded-lg"
+                />
+                <table className="w-full mt-3 text-xs font-mono">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-normal">Method</th>
+                      <th className="text-right font-normal">Iterations</th>
+                      <th className="text-right font-normal">Final ‖∇f‖</th>
+                      <th className="text-right font-normal">Ends at</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(results).map(([key, { path, gradientNorms }]) => {
+                      const last = path[path.length - 1];
+                      const finalNorm = gradientNorms[gradientNorms.length - 1];
+                      const outcome = finalNorm < TOLERANCE
+                        ? classifyPoint(currentFunc.hessian(last.x, last.y))
+                        : Math.abs(last.x) > ESCAPE_RADIUS || Math.abs(last.y) > ESCAPE_RADIUS
+                          ? 'escaped'
+                          : 'not converged';
+                      return (
+                        <tr key={key} className={key === method ? 'text-white' : 'text-gray-400'}>
+                          <td style={{ color: METHOD_COLORS[key] }}>{METHODS[key].name}</td>
+                          <td className="text-right">{gradientNorms.length - 1}</td>
+                          <td className="text-right">{finalNorm.toExponential(1)}</td>
+                          <td className="text-right">{outcome}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  All methods start from the same point and stop once ‖∇f‖ &lt; 10⁻⁶ or after {MAX_STEPS} steps.
+                  Straight lines on this chart mean linear convergence; curves that bend downward are superlinear.
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Controls */}
@@ -355,7 +602,7 @@ export const ConvexOptimization = ({ onClose }) => {
                     key={key}
                     onClick={() => {
                       setFunctionType(key);
-                      setOptimizationPath([]);
+                      setResults(null);
                     }}
                     className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-all ${
                       functionType === key
@@ -384,6 +631,48 @@ export const ConvexOptimization = ({ onClose }) => {
               />
             </div>
 
+            {/* Method */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-400 mb-2">
+                Method
+              </label>
+              <div className="grid grid-cols-2 gap-1.5">
+                {Object.entries(METHODS).map(([key, { name }]) => (
+                  <button
+                    key={key}
+                    onClick={() => setMethod(key)}
+                    className={`flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-xs transition-colors ${
+                      method === key
+                        ? 'bg-white/15 border border-white/30 text-white'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: METHOD_COLORS[key] }}></span>
+                    {name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1.5 leading-relaxed">{METHODS[method].description}</p>
+              {method === 'lbfgs' && (
+                <div className="mt-2">
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Memory m: {memory} step{memory === 1 ? '' : 's'}
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="10"
+                    value={memory}
+                    onChange={(e) => {
+                      setMemory(Number(e.target.value));
+                      setResults(null);
+                    }}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              )}
+            </div>
+
             {/* Toggles */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
               <label className="flex items-center gap-3 cursor-pointer">
@@ -404,6 +693,15 @@ export const ConvexOptimization = ({ onClose }) => {
                 />
                 <span className="text-sm text-gray-300">Show Local Minima</span>
               </label>
+              <label className="flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showModel}
+                  onChange={(e) => setShowModel(e.target.checked)}
+                  className="w-4 h-4 rounded accent-amber-500"
+                />
+                <span className="text-sm text-gray-300">Show Quadratic Model</span>
+              </label>
             </div>
 
             {/* Action Buttons */}
@@ -413,7 +711,7 @@ export const ConvexOptimization = ({ onClose }) => {
                 disabled={isOptimizing}
                 className="w-full px-4 py-3 bg-gradient-to-r from-purple-500 to-pink-500 rounded-lg font-semibold hover:shadow-lg hover:shadow-purple-500/30 transition-all disabled:opacity-50 text-sm"
               >
-                {isOptimizing ? 'Optimizing...' : 'Run Gradient Descent'}
+                {isOptimizing ? 'Optimizing...' : `Run ${METHODS[method].name}`}
               </button>
               <button
                 onClick={handleReset}
@@ -453,7 +751,7 @@ export const ConvexOptimization = ({ onClose }) => {
                 <div className="space-y-1.5 text-xs">
                   <div className="flex justify-between">
                     <span className="text-gray-400">Steps taken:</span>
-                    <span className="font-mono text-white">{optimizationPath.length}</span>
+                    <span className="font-mono text-white">{optimizationPath.length - 1}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-400">Final point:</span>
@@ -472,6 +770,30 @@ export const ConvexOptimization = ({ onClose }) => {
                     </span>
                   </div>
                 </div>
+
+                {model && (
+                  <div className="mt-3 pt-3 border-t border-white/10">
+                    <label className="block text-xs text-gray-400 mb-1">
+                      Quadratic model at iterate {modelIndex}
+                    </label>
+                    <input
+                      type="range"
+                      min="0"
+                      max={run.models.length - 1}
+                      value={modelIndex}
+                      onChange={(e) => setModelStep(Number(e.target.value))}
+                      className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                    <p className="text-xs font-mono text-amber-300 mt-1.5">
+                      B = [{model.hessian.map(row => row.map(v => v.toFixed(2)).join(', ')).join('; ')}]
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {classifyPoint(model.hessian) === 'minimum'
+                        ? 'Positive definite: the model is a bowl and its stationary point (amber ring) is a minimum.'
+                        : 'Not positive definite: the model has no minimum, so its stationary point (amber ring) may be a saddle or peak.'}
+                    </p>
+                  </div>
+                )}
               </div>
             )}
 
@@ -498,9 +820,13 @@ export const ConvexOptimization = ({ onClose }) => {
                   <span className="text-gray-400">Saddle point</span>
                 </div>
                 <div className="flex items-center gap-2">
-                  <div className="w-6 h-1 bg-purple-500 rounded"></div>
+                  <div className="w-6 h-1 rounded" style={{ backgroundColor: METHOD_COLORS[method] }}></div>
                   <span className="text-gray-400">Optimization path</span>
                 </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-6 h-1 bg-amber-400 rounded"></div>
+                  <span className="text-gray-400">Local quadratic model</span>
+                </div>
               </div>
             </div>
           </div>
@@ -1,11 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { convolve } from '../math/convolution.js';
 
-export const ConvolutionOperation = ({ onClose }) => {
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  selectedFilter: param.oneOf(['edge-detection', 'sharpen', 'blur', 'gaussian-blur', 'emboss', 'vertical-edge', 'horizontal-edge', 'identity'], 'edge-detection'),
+  stride: param.integer(1, { min: 1, max: 3 }),
+  padding: param.integer(0, { min: 0, max: 2 })
+};
+
+export const ConvolutionOperation = ({ onClose, config }) => {
   const inputCanvasRef = useRef(null);
   const outputCanvasRef = useRef(null);
-  const [selectedFilter, setSelectedFilter] = useState('edge-detection');
-  const [stride, setStride] = useState(1);
-  const [padding, setPadding] = useState(0);
+  const [selectedFilter, setSelectedFilter] = usePermalinkState(PARAMS, 'selectedFilter', config);
+  const [stride, setStride] = usePermalinkState(PARAMS, 'stride', config);
+  const [padding, setPadding] = usePermalinkState(PARAMS, 'padding', config);
   const [animating, setAnimating] = useState(false);
   const [animationStep, setAnimationStep] = useState(0);
   const [customKernel, setCustomKernel] = useState([
@@ -128,45 +137,6 @@ export const ConvolutionOperation = ({ onClose }) => {
   const [inputImage, setInputImage] = useState(createTestImage());
 
   // Perform convolution
-  const convolve = (image, kernel, stride = 1, padding = 0) => {
-    const inputHeight = image.length;
-    const inputWidth = image[0].length;
-    const kernelSize = kernel.length;
-    const kernelRadius = Math.floor(kernelSize / 2);
-
-    // Calculate output dimensions
-    const outputHeight = Math.floor((inputHeight + 2 * padding - kernelSize) / stride) + 1;
-    const outputWidth = Math.floor((inputWidth + 2 * padding - kernelSize) / stride) + 1;
-
-    const output = [];
-
-    for (let y = 0; y < outputHeight; y++) {
-      const row = [];
-      for (let x = 0; x < outputWidth; x++) {
-        let sum = 0;
-
-        // Apply kernel
-        for (let ky = 0; ky < kernelSize; ky++) {
-          for (let kx = 0; kx < kernelSize; kx++) {
-            const inputY = y * stride + ky - padding;
-            const inputX = x * stride + kx - padding;
-
-            // Check bounds (with padding)
-            if (inputY >= 0 && inputY < inputHeight && inputX >= 0 && inputX < inputWidth) {
-              sum += image[inputY][inputX] * kernel[ky][kx];
-            }
-          }
-        }
-
-        // Clamp to 0-255 range
-        row.push(Math.max(0, Math.min(255, sum)));
-      }
-      output.push(row);
-    }
-
-    return output;
-  };
-
   const outputImage = convolve(inputImage, kernel, stride, padding);
 
   // Animation
@@ -0,0 +1,719 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { multiplyVector, identity } from '../math/matrices.js';
+import { norm, dot } from '../math/vectors.js';
+import { eigenpairs, qrIteration, powerIteration } from '../math/eigen.js';
+
+const SIZES = [2, 3, 4];
+const MAX_ITERATIONS = 40;
+const QR_STEPS = 30;
+const FRAME_MS = 500;
+const UNIT = 140; // pixels per unit in the plane view
+const CIRCLE_SAMPLES = 120;
+
+const isSquareMatrix = (value) => (
+  Array.isArray(value) && SIZES.includes(value.length) &&
+  value.every(row => Array.isArray(row) && row.length === value.length && row.every(Number.isFinite))
+);
+
+const isVector = (value) => (
+  Array.isArray(value) && SIZES.includes(value.length) && value.every(Number.isFinite)
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  matrix: param.json([[2, 1], [1, 3]], isSquareMatrix),
+  start: param.json([1, 0], isVector),
+  powers: param.integer(4, { min: 1, max: 8 }),
+  showCircle: param.boolean(true)
+};
+
+const PRESETS = {
+  2: [
+    { name: 'Symmetric', matrix: [[2, 1], [1, 3]] },
+    { name: 'Close Eigenvalues', matrix: [[2, 0.5], [0, 1.8]] },
+    { name: 'Rotate & Scale', matrix: [[1, -1], [1, 1]] },
+    { name: 'Shear', matrix: [[1, 1], [0, 1]] },
+    { name: 'Reflection', matrix: [[0, 1], [1, 0]] },
+    { name: 'Negative Dominant', matrix: [[-2, 1], [0, 1]] }
+  ],
+  3: [
+    { name: 'Symmetric', matrix: [[2, -1, 0], [-1, 2, -1], [0, -1, 2]] },
+    { name: 'Rotation + Stretch', matrix: [[0, -1, 0], [1, 0, 0], [0, 0, 2]] },
+    { name: 'Jordan Block', matrix: [[2, 1, 0], [0, 2, 1], [0, 0, 2]] },
+    { name: 'Spiral Dominates', matrix: [[1, -2, 0], [2, 1, 0], [0, 0, 1.5]] }
+  ],
+  4: [
+    { name: 'General', matrix: [[1, 2, 0, 1], [-2, 1, 1, 0], [0, 1, 3, 1], [1, 0, -1, 2]] },
+    { name: 'Symmetric', matrix: [[4, 1, 0, 0], [1, 3, 1, 0], [0, 1, 2, 1], [0, 0, 1, 1]] }
+  ]
+};
+
+// How power iteration behaves, keyed by the shape of the spectrum
+const POWER_STATUS = {
+  converges: { icon: '🎯', title: 'Converges', panel: 'bg-emerald-500/10 border-emerald-500/30', text: 'text-emerald-400' },
+  complex: { icon: '🌀', title: 'Keeps Rotating', panel: 'bg-amber-500/10 border-amber-500/30', text: 'text-amber-400' },
+  tie: { icon: '⚖️', title: 'No Single Winner', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' },
+  unsolved: { icon: '⚠️', title: 'Eigenvalues Unknown', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' }
+};
+
+// Stroke colors for eigenvector lines, with matching literal text classes
+const EIGEN_COLORS = [
+  { stroke: '#22d3ee', text: 'text-cyan-400' },
+  { stroke: '#f472b6', text: 'text-pink-400' },
+  { stroke: '#a3e635', text: 'text-lime-400' },
+  { stroke: '#fb923c', text: 'text-orange-400' }
+];
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+// Two decimals, with a proper minus sign and no "-0"
+const formatNumber = (value) => String(Number(value.toFixed(2)) || 0).replace('-', '−');
+
+// a + bi, dropping whichever part rounds to zero
+const formatComplex = (re, im) => {
+  const imaginary = Number(im.toFixed(2));
+  if (imaginary === 0) return formatNumber(re);
+  const magnitude = Math.abs(imaginary) === 1 ? '' : formatNumber(Math.abs(imaginary));
+  if (Number(re.toFixed(2)) === 0) return `${imaginary < 0 ? '−' : ''}${magnitude}i`;
+  return `${formatNumber(re)} ${imaginary < 0 ? '−' : '+'} ${magnitude}i`;
+};
+
+const formatVector = ({ re, im }) => `(${re.map((x, i) => formatComplex(x, im[i])).join(', ')})`;
+
+// Keep the top-left entries when the size changes, filling the rest from the identity
+const resizeMatrix = (matrix, n) => (
+  identity(n).map((row, i) => row.map((value, j) => matrix[i]?.[j] ?? value))
+);
+
+export const EigenDecomposition = ({ config }) => {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  const [matrix, setMatrix] = usePermalinkState(PARAMS, 'matrix', config);
+  const [start, setStart] = usePermalinkState(PARAMS, 'start', config);
+  const [powers, setPowers] = usePermalinkState(PARAMS, 'powers', config);
+  const [showCircle, setShowCircle] = usePermalinkState(PARAMS, 'showCircle', config);
+  const [step, setStep] = useState(0);
+  const [qrStep, setQrStep] = useState(QR_STEPS);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const n = matrix.length;
+  // A start vector of the wrong size or zero length falls back to e₁
+  const startVector = useMemo(() => (
+    start.length === n && norm(start) > 0 ? start : identity(n)[0]
+  ), [start, n]);
+
+  // Unconverged eigenvalues are only rough guesses, so none are shown
+  const { pairs, converged } = useMemo(() => {
+    const result = eigenpairs(matrix);
+    return result.converged ? result : { pairs: [], converged: false };
+  }, [matrix]);
+  const qrIterates = useMemo(() => qrIteration(matrix, QR_STEPS), [matrix]);
+  const power = useMemo(() => powerIteration(matrix, startVector, { iterations: MAX_ITERATIONS }), [matrix, startVector]);
+
+  // Whether power iteration has a single eigenvalue to converge to, and how fast
+  const spectrum = useMemo(() => {
+    if (!converged) {
+      return { status: 'unsolved', dominant: null, ratio: 0, vector: null, alone: false, defective: false };
+    }
+    const moduli = pairs.map(({ value }) => Math.hypot(value.re, value.im));
+    const top = Math.max(...moduli);
+    const leaders = pairs.filter((_, i) => moduli[i] >= top * (1 - 1e-9));
+    const others = moduli.filter(m => m < top * (1 - 1e-9));
+    const dominant = leaders[0];
+    let status = 'converges';
+    if (leaders.length > 1) status = dominant.value.im !== 0 ? 'complex' : 'tie';
+    const vector = status === 'converges' && dominant.vectors.length === 1 ? dominant.vectors[0].re : null;
+    return {
+      status,
+      dominant,
+      ratio: top > 0 && others.length > 0 ? Math.max(...others) / top : 0,
+      vector,
+      alone: others.length === 0,
+      defective: dominant.vectors.length < dominant.multiplicity
+    };
+  }, [pairs, converged]);
+
+  const lastStep = power.steps.length - 1;
+  const shownStep = Math.min(step, lastStep);
+  const current = power.steps[shownStep];
+  // Distance to the dominant eigenvector line, when there is one to converge to
+  const errors = useMemo(() => power.steps.map(({ x }) => (
+    spectrum.vector ? Math.sqrt(Math.max(0, 1 - dot(x, spectrum.vector) ** 2)) : null
+  )), [power, spectrum]);
+
+  // A new matrix or start vector replays power iteration from the beginning
+  useEffect(() => {
+    setStep(0);
+    setQrStep(QR_STEPS);
+    setIsPlaying(false);
+  }, [power]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => {
+      setStep(prev => {
+        const next = prev + 1;
+        if (next >= lastStep) setIsPlaying(false);
+        return Math.min(next, lastStep);
+      });
+    }, FRAME_MS);
+    return () => clearInterval(interval);
+  }, [isPlaying, lastStep]);
+
+  // Plane view: unit circle, its images under A^k, eigenvectors and the power iterates
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || n !== 2) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const toCanvas = (x, y) => ({ x: width / 2 + x * UNIT, y: height / 2 - y * UNIT });
+
+    const drawArrow = (x, y, color, lineWidth, dashed = false) => {
+      const from = toCanvas(0, 0);
+      const to = toCanvas(x, y);
+      const angle = Math.atan2(to.y - from.y, to.x - from.x);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dashed ? [6, 5] : []);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(to.x, to.y);
+      ctx.lineTo(to.x - 10 * Math.cos(angle - 0.4), to.y - 10 * Math.sin(angle - 0.4));
+      ctx.lineTo(to.x - 10 * Math.cos(angle + 0.4), to.y - 10 * Math.sin(angle + 0.4));
+      ctx.closePath();
+      ctx.fill();
+    };
+
+    // Clear
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid and axes
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
+    ctx.lineWidth = 1;
+    for (let x = width / 2 % (UNIT / 2); x < width; x += UNIT / 2) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let y = height / 2 % (UNIT / 2); y < height; y += UNIT / 2) {
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.stroke();
+
+    // Unit circle and A^k applied to it, each image scaled to fit the unit circle
+    const circle = Array.from({ length: CIRCLE_SAMPLES + 1 }, (_, i) => {
+      const theta = (2 * Math.PI * i) / CIRCLE_SAMPLES;
+      return [Math.cos(theta), Math.sin(theta)];
+    });
+    const images = [circle];
+    for (let k = 1; k <= (showCircle ? powers : 0); k++) {
+      images.push(images[k - 1].map(p => multiplyVector(matrix, p)));
+    }
+    images.forEach((points, k) => {
+      const radius = Math.max(...points.map(norm));
+      if (!(radius > 0)) return;
+      const fraction = k / Math.max(1, powers);
+      ctx.strokeStyle = k === 0
+        ? 'rgba(226, 232, 240, 0.6)'
+        : `rgba(${Math.round(168 + 83 * fraction)}, ${Math.round(85 + 106 * fraction)}, ${Math.round(247 - 211 * fraction)}, ${0.35 + 0.5 * fraction})`;
+      ctx.lineWidth = k === 0 ? 1.5 : 2;
+      ctx.beginPath();
+      points.forEach(([x, y], i) => {
+        const p = toCanvas(x / radius, y / radius);
+        if (i === 0) {
+          ctx.moveTo(p.x, p.y);
+        } else {
+          ctx.lineTo(p.x, p.y);
+        }
+      });
+      ctx.stroke();
+    });
+
+    // Real eigenvector lines
+    pairs.forEach((pair, index) => {
+      if (pair.value.im !== 0) return;
+      const color = EIGEN_COLORS[index % EIGEN_COLORS.length].stroke;
+      pair.vectors.forEach(({ re: [vx, vy] }) => {
+        const span = 4;
+        const p = toCanvas(-vx * span, -vy * span);
+        const q = toCanvas(vx * span, vy * span);
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.7;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+
+        const label = toCanvas(vx * 1.6, vy * 1.6);
+        ctx.fillStyle = color;
+        ctx.font = 'bold 13px sans-serif';
+        ctx.fillText(`λ = ${formatNumber(pair.value.re)}`, label.x + 6, label.y - 6);
+      });
+    });
+
+    // Earlier power iterates as fading dots on the circle
+    power.steps.slice(0, shownStep).forEach(({ x }, k) => {
+      const p = toCanvas(x[0], x[1]);
+      ctx.fillStyle = `rgba(251, 191, 36, ${0.15 + (0.5 * (k + 1)) / (shownStep + 1)})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Current iterate and its image under A
+    drawArrow(current.image[0], current.image[1], 'rgba(34, 211, 238, 0.8)', 2, true);
+    drawArrow(current.x[0], current.x[1], '#fbbf24', 3);
+    const tip = toCanvas(current.x[0], current.x[1]);
+    ctx.fillStyle = '#fbbf24';
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillText(`x${String(shownStep).split('').map(d => SUBSCRIPTS[d]).join('')}`, tip.x + 8, tip.y + 16);
+  }, [n, matrix, pairs, power, shownStep, current, showCircle, powers]);
+
+  // Convergence chart: log₁₀ of the error (or of the step size) per iteration
+  useEffect(() => {
+    const canvas = chartRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const pad = { left: 40, right: 12, top: 12, bottom: 24 };
+    const [low, high] = [-12, 1];
+    const toCanvas = (k, log) => ({
+      x: pad.left + (k / MAX_ITERATIONS) * (width - pad.left - pad.right),
+      y: pad.top + ((high - Math.max(low, Math.min(high, log))) / (high - low)) * (height - pad.top - pad.bottom)
+    });
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+    for (let log = low; log <= high; log += 3) {
+      const p = toCanvas(0, log);
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.2)';
+      ctx.beginPath();
+      ctx.moveTo(pad.left, p.y);
+      ctx.lineTo(width - pad.right, p.y);
+      ctx.stroke();
+      ctx.fillStyle = '#64748b';
+      ctx.fillText(`1e${log}`, 4, p.y + 4);
+    }
+    for (let k = 0; k <= MAX_ITERATIONS; k += 10) {
+      const p = toCanvas(k, low);
+      ctx.fillStyle = '#64748b';
+      ctx.fillText(String(k), p.x - 4, height - 8);
+    }
+
+    const values = spectrum.vector ? errors : power.steps.map(s => s.change);
+    const plot = (points, color, dashed) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(dashed ? [6, 5] : []);
+      ctx.beginPath();
+      let started = false;
+      points.forEach(([k, value]) => {
+        if (!(value > 0) || !Number.isFinite(value)) return;
+        const p = toCanvas(k, Math.log10(value));
+        if (started) {
+          ctx.lineTo(p.x, p.y);
+        } else {
+          ctx.moveTo(p.x, p.y);
+          started = true;
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+
+    // Predicted rate |λ₂/λ₁|^k from the first error
+    if (spectrum.vector && spectrum.ratio > 0 && errors[0] > 0) {
+      plot(Array.from({ length: MAX_ITERATIONS + 1 }, (_, k) => [k, errors[0] * spectrum.ratio ** k]), 'rgba(148, 163, 184, 0.6)', true);
+    }
+    plot(values.map((value, k) => [k, value]), 'rgba(251, 191, 36, 0.35)', false);
+    plot(values.slice(0, shownStep + 1).map((value, k) => [k, value]), '#fbbf24', false);
+
+    const value = values[shownStep];
+    if (value > 0 && Number.isFinite(value)) {
+      const p = toCanvas(shownStep, Math.log10(value));
+      ctx.fillStyle = '#fbbf24';
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }, [power, errors, spectrum, shownStep]);
+
+  const handleSize = (size) => {
+    setMatrix(resizeMatrix(matrix, size));
+    setStart(identity(size)[0].map((value, i) => startVector[i] ?? value));
+  };
+
+  const handleEntryChange = (row, col, value) => {
+    if (!Number.isFinite(value)) return;
+    setMatrix(matrix.map((r, i) => r.map((entry, j) => (i === row && j === col ? value : entry))));
+  };
+
+  // Clicking the plane picks the start vector
+  const handleCanvasClick = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (((e.clientX - rect.left) * canvas.width) / rect.width - canvas.width / 2) / UNIT;
+    const y = (canvas.height / 2 - ((e.clientY - rect.top) * canvas.height) / rect.height) / UNIT;
+    if (Math.hypot(x, y) > 0.05) setStart([Math.round(x * 100) / 100, Math.round(y * 100) / 100]);
+  };
+
+  const handlePlay = () => {
+    if (shownStep >= lastStep) setStep(0);
+    setIsPlaying(true);
+  };
+
+  const isPreset = (preset) => JSON.stringify(preset.matrix) === JSON.stringify(matrix);
+  const status = POWER_STATUS[spectrum.status];
+  const qrMatrix = qrIterates[qrStep];
+  const defective = pairs.filter(pair => pair.vectors.length < pair.multiplicity);
+
+  const dominant = spectrum.dominant?.value ?? { re: 0, im: 0 };
+  const dominantValue = formatNumber(dominant.re);
+  let convergesMessage = `λ = ${dominantValue} has the largest modulus, so its direction wins. The error shrinks by about |λ₂/λ₁| = ${formatNumber(spectrum.ratio)} per step${spectrum.ratio > 0.8 ? ' - slowly, because the two are close' : ''}.`;
+  if (spectrum.defective) {
+    convergesMessage = `λ = ${dominantValue} is repeated but has too few eigenvectors. x still turns towards its eigenvector, but only like 1/k rather than geometrically.`;
+  } else if (spectrum.alone) {
+    convergesMessage = `λ = ${dominantValue} is the only eigenvalue and every vector is an eigenvector, so x never moves.`;
+  } else if (spectrum.ratio === 0) {
+    convergesMessage = `Every other eigenvalue is 0, so a single step lands in the eigenspace of λ = ${dominantValue}.`;
+  }
+
+  const statusMessages = {
+    converges: convergesMessage,
+    complex: `The largest-modulus eigenvalues are the complex pair ${formatComplex(dominant.re, Math.abs(dominant.im))} and its conjugate. A rotates their plane, so x never settles on one direction.`,
+    tie: `${dominantValue} and another eigenvalue share the largest modulus, so neither direction wins and x keeps alternating.`,
+    unsolved: 'The QR algorithm did not converge for this matrix, so there is no known dominant eigenvalue to compare the iterates with.'
+  };
+
+  return (
+    <div className="p-6 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Visualizations */}
+          <div className="lg:col-span-2 space-y-4">
+            {n === 2 ? (
+              <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
+                <canvas
+                  ref={canvasRef}
+                  width={640}
+                  height={480}
+                  onClick={handleCanvasClick}
+                  className="w-full rounded-lg cursor-crosshair"
+                />
+                <p className="mt-3 text-xs text-gray-500">
+                  Each curve is the unit circle after applying A once more, rescaled to fit: it flattens onto the dominant eigenvector.
+                  Click to choose the start vector for power iteration.
+                </p>
+              </div>
+            ) : (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-4 text-xs text-gray-400">
+                The unit-circle view needs a 2×2 matrix. Power iteration, the QR algorithm and the eigenvectors below work for any size.
+              </div>
+            )}
+
+            {/* Convergence */}
+            <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-2">
+                {spectrum.vector ? 'Distance to the Dominant Eigenvector' : 'Change Between Iterates'}
+              </h3>
+              <canvas
+                ref={chartRef}
+                width={640}
+                height={200}
+                className="w-full rounded-lg"
+              />
+              {spectrum.vector && spectrum.ratio > 0 && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Dashed: the predicted rate |λ₂/λ₁|<sup>k</sup>. On a log scale, geometric convergence is a straight line.
+                </p>
+              )}
+            </div>
+
+            {/* QR algorithm */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-400">
+                  QR Algorithm: A<sub>{qrStep}</sub>
+                </h3>
+                <span className="text-xs text-gray-500 font-mono">A = QR, then A ← RQ</span>
+              </div>
+              <table className="font-mono text-sm mx-auto">
+                <tbody>
+                  {qrMatrix.map((row, i) => (
+                    <tr key={i}>
+                      {row.map((value, j) => (
+                        <td
+                          key={j}
+                          className={`px-3 py-1 text-right ${
+                            i === j
+                              ? 'text-purple-300 font-bold'
+                              : i > j
+                                ? Math.abs(value) < 1e-3 ? 'text-gray-600' : 'text-amber-300'
+                                : 'text-gray-300'
+                          }`}
+                        >
+                          {formatNumber(value)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <input
+                type="range"
+                min="0"
+                max={QR_STEPS}
+                value={qrStep}
+                onChange={(e) => setQrStep(Number(e.target.value))}
+                className="mt-3 w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <p className="text-xs text-gray-500 mt-2">
+                Every Aₖ is similar to A. Entries below the diagonal (amber) fade away and the eigenvalues appear on the diagonal;
+                a complex pair stays behind as a 2×2 block. The eigenvalues listed on the right use shifts to converge much faster.
+              </p>
+            </div>
+          </div>
+
+          {/* Controls */}
+          <div className="space-y-4">
+            {/* Size */}
+            <div className="grid grid-cols-3 gap-2">
+              {SIZES.map(size => (
+                <button
+                  key={size}
+                  onClick={() => handleSize(size)}
+                  className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                    n === size
+                      ? 'bg-gradient-to-r from-cyan-500 to-purple-500 text-white'
+                      : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                  }`}
+                >
+                  {size}×{size}
+                </button>
+              ))}
+            </div>
+
+            {/* Matrix entry */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                Matrix A
+              </h3>
+              <div className={`grid gap-2 ${n === 2 ? 'grid-cols-2' : n === 3 ? 'grid-cols-3' : 'grid-cols-4'}`}>
+                {matrix.map((row, i) => row.map((entry, j) => (
+                  <input
+                    key={`${i}-${j}`}
+                    type="number"
+                    step="0.1"
+                    value={entry}
+                    onChange={(e) => handleEntryChange(i, j, parseFloat(e.target.value))}
+                    className="w-full px-2 py-2 bg-white/5 border border-white/10 rounded-lg text-sm font-mono"
+                  />
+                )))}
+              </div>
+            </div>
+
+            {/* Presets */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">
+                Presets
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {PRESETS[n].map(preset => (
+                  <button
+                    key={preset.name}
+                    onClick={() => setMatrix(preset.matrix)}
+                    className={`px-2 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                      isPreset(preset)
+                        ? 'bg-purple-500 text-white'
+                        : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                    }`}
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Eigenvalues */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                Eigenvalues & Eigenvectors
+              </h3>
+              <div className="space-y-2">
+                {pairs.map((pair, index) => (
+                  <div key={index} className="text-xs font-mono">
+                    <div className="flex justify-between">
+                      <span className={EIGEN_COLORS[index % EIGEN_COLORS.length].text}>
+                        λ = {formatComplex(pair.value.re, pair.value.im)}
+                        {pair.multiplicity > 1 && ` (×${pair.multiplicity})`}
+                      </span>
+                      <span className="text-gray-500">|λ| = {formatNumber(Math.hypot(pair.value.re, pair.value.im))}</span>
+                    </div>
+                    {pair.vectors.map((v, k) => (
+                      <div key={k} className="text-gray-300 pl-3 break-words">
+                        v = {formatVector(v)}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+              {!converged && (
+                <p className="text-xs text-red-400">
+                  ⚠️ The QR algorithm did not converge for this matrix, so its eigenvalues and eigenvectors are not shown.
+                </p>
+              )}
+              {defective.length > 0 && (
+                <p className="text-xs text-amber-300 mt-3">
+                  Defective: a repeated eigenvalue has fewer independent eigenvectors than its multiplicity, so A cannot be diagonalized.
+                </p>
+              )}
+            </div>
+
+            {/* Power iteration */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-2">
+                Power iteration step: {shownStep} / {lastStep}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={lastStep}
+                value={shownStep}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setStep(Number(e.target.value));
+                }}
+                className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                <button
+                  onClick={handlePlay}
+                  disabled={isPlaying || lastStep === 0}
+                  className="px-3 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Play
+                </button>
+                <button
+                  onClick={() => {
+                    setIsPlaying(false);
+                    setStep(0);
+                  }}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+                >
+                  Reset
+                </button>
+              </div>
+              <div className="mt-3 space-y-1 text-xs font-mono">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">x:</span>
+                  <span className="text-amber-300">({current.x.map(formatNumber).join(', ')})</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Estimate xᵀAx:</span>
+                  <span className="text-white">{formatNumber(current.estimate)}</span>
+                </div>
+              </div>
+            </div>
+
+            {/* Status */}
+            <div className={`rounded-xl border p-3 ${status.panel}`}>
+              <div className="flex items-center gap-2 mb-1.5">
+                <span className="text-xl">{status.icon}</span>
+                <h3 className={`text-xs font-bold ${status.text}`}>
+                  {status.title}
+                </h3>
+              </div>
+              <p className="text-xs text-gray-300 leading-relaxed">
+                {statusMessages[spectrum.status]}
+              </p>
+            </div>
+
+            {/* Display */}
+            {n === 2 && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-4 space-y-3">
+                <label className="flex items-center justify-between text-xs text-gray-300 cursor-pointer">
+                  <span>Show A<sup>k</sup> applied to the unit circle</span>
+                  <input
+                    type="checkbox"
+                    checked={showCircle}
+                    onChange={(e) => setShowCircle(e.target.checked)}
+                    className="accent-purple-500"
+                  />
+                </label>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Powers of A: {powers}
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="8"
+                    value={powers}
+                    onChange={(e) => setPowers(Number(e.target.value))}
+                    disabled={!showCircle}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Legend */}
+            {n === 2 && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Legend
+                </h3>
+                <div className="space-y-1.5 text-xs">
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 h-1 bg-gradient-to-r from-purple-500 to-amber-400 rounded"></div>
+                    <span className="text-gray-400">A<sup>k</sup> × unit circle (k = 1 purple … {powers} amber)</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 h-1 bg-cyan-400 rounded"></div>
+                    <span className="text-gray-400">Real eigenvector directions, colored as in the list</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 h-1 bg-amber-400 rounded"></div>
+                    <span className="text-gray-400">Power iterate x, earlier ones as dots</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 h-1 bg-cyan-400/60 rounded"></div>
+                    <span className="text-gray-400">Ax before normalizing (dashed)</span>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
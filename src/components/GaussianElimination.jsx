@@ -0,0 +1,579 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { nullSpace, inverse } from '../math/matrices.js';
+import { rowReduceSteps, luDecomposition, solutionSet } from '../math/elimination.js';
+
+const MAX_ROWS = 5;
+const MAX_COLUMNS = 6;
+const FRAME_MS = 900;
+
+const isMatrix = (value) => (
+  Array.isArray(value) && value.length >= 1 && value.length <= MAX_ROWS &&
+  value.every(row => (
+    Array.isArray(row) && row.length >= 1 && row.length <= MAX_COLUMNS &&
+    row.length === value[0].length && row.every(Number.isFinite)
+  ))
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  // 2x + y − z = 8, −3x − y + 2z = −11, −2x + y + 2z = −3
+  matrix: param.json([[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]], isMatrix),
+  augmented: param.boolean(true)
+};
+
+const PRESETS = [
+  { name: 'Unique Solution', augmented: true, matrix: [[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]] },
+  { name: 'Infinitely Many', augmented: true, matrix: [[1, 2, -1, 3], [2, 4, 1, 9], [3, 6, 0, 12]] },
+  { name: 'No Solution', augmented: true, matrix: [[1, 1, 2, 4], [2, -1, 1, 2], [3, 0, 3, 5]] },
+  { name: 'Needs a Row Swap', augmented: true, matrix: [[0, 2, 1, 5], [1, 1, 1, 4], [2, 0, 3, 7]] },
+  { name: 'Invertible 3×3', augmented: false, matrix: [[2, -1, 0], [-1, 2, -1], [0, -1, 2]] },
+  { name: 'Singular 3×3', augmented: false, matrix: [[1, 2, 3], [4, 5, 6], [7, 8, 9]] }
+];
+
+// How the solution set of an augmented system is reported, keyed by status
+const STATUS = {
+  unique: { icon: '🎯', title: 'Unique Solution', panel: 'bg-emerald-500/10 border-emerald-500/30', text: 'text-emerald-400' },
+  infinite: { icon: '♾️', title: 'Infinitely Many Solutions', panel: 'bg-cyan-500/10 border-cyan-500/30', text: 'text-cyan-400' },
+  none: { icon: '🚫', title: 'No Solution', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' }
+};
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const rowName = (i) => `R${SUBSCRIPTS[i + 1]}`;
+const variableName = (j) => `x${SUBSCRIPTS[j + 1]}`;
+
+// Small fractions stay exact (−3/2 rather than −1.5), anything else gets two decimals
+const formatNumber = (value) => {
+  if (Math.abs(value) < 1e-9) return '0';
+  for (let denominator = 1; denominator <= 12; denominator++) {
+    const numerator = Math.round(value * denominator);
+    if (Math.abs(value * denominator - numerator) < 1e-9 * denominator) {
+      return (denominator === 1 ? `${numerator}` : `${numerator}/${denominator}`).replace('-', '−');
+    }
+  }
+  return String(Number(value.toFixed(2))).replace('-', '−');
+};
+
+// Parenthesize negatives and fractions when they multiply or divide something
+const formatFactor = (value) => {
+  const text = formatNumber(value);
+  return /[−/]/.test(text) ? `(${text})` : text;
+};
+
+const formatVector = (x) => `(${x.map(formatNumber).join(', ')})`;
+
+// Operation in row notation plus a sentence on why it is done
+const describeStep = (step, augmented) => {
+  const column = step.col + 1;
+  if (step.type === 'skip') {
+    return {
+      operation: `Column ${column}: no pivot`,
+      explanation: augmented
+        ? `Every entry of column ${column} at or below the next pivot row is zero, so ${variableName(step.col)} is a free variable.`
+        : `Every entry of column ${column} at or below the next pivot row is zero, so it is not a pivot column.`
+    };
+  }
+
+  const pivot = step.matrix[step.pivot.row][step.col];
+  const [target, source] = step.rows;
+  if (step.type === 'swap') {
+    return {
+      operation: `${rowName(target)} ↔ ${rowName(source)}`,
+      explanation: `Swap rows so the largest entry of column ${column} (${formatNumber(pivot)}) becomes the pivot. Partial pivoting keeps round-off small and avoids dividing by zero.`
+    };
+  }
+  if (step.type === 'scale') {
+    return {
+      operation: `${rowName(target)} ← ${rowName(target)} ÷ ${formatFactor(step.factor)}`,
+      explanation: `Divide row ${target + 1} by its pivot ${formatNumber(step.factor)} so the pivot becomes 1.`
+    };
+  }
+
+  const magnitude = Math.abs(step.factor);
+  const coefficient = Math.abs(magnitude - 1) < 1e-12 ? '' : formatFactor(magnitude);
+  return {
+    operation: `${rowName(target)} ← ${rowName(target)} ${step.factor < 0 ? '+' : '−'} ${coefficient}${rowName(source)}`,
+    explanation: `${step.factor < 0 ? 'Add' : 'Subtract'} ${coefficient ? `${coefficient} × ` : ''}row ${source + 1} ${step.factor < 0 ? 'to' : 'from'} row ${target + 1} to clear the entry ${target > source ? 'below' : 'above'} the pivot in column ${column}.`
+  };
+};
+
+// Read-only matrix with an optional bar before column `split` and highlighted cells
+const MatrixGrid = ({ matrix, split = null, pivot = null, changedRows = [] }) => (
+  <table className="font-mono text-sm border-separate border-spacing-0 mx-auto">
+    <tbody>
+      {matrix.map((row, i) => (
+        <tr key={i} className={changedRows.includes(i) ? 'bg-purple-500/15' : ''}>
+          {row.map((value, j) => (
+            <td
+              key={j}
+              className={`px-2 py-1 text-right ${j === split ? 'border-l-2 border-white/30' : ''} ${
+                pivot && pivot.row === i && pivot.col === j
+                  ? 'text-amber-300 font-bold ring-2 ring-amber-400 ring-inset rounded'
+                  : value === 0 ? 'text-gray-500' : 'text-white'
+              }`}
+            >
+              {formatNumber(value)}
+            </td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export const GaussianElimination = ({ config }) => {
+  const [matrix, setMatrix] = usePermalinkState(PARAMS, 'matrix', config);
+  const [augmentedParam, setAugmented] = usePermalinkState(PARAMS, 'augmented', config);
+  const [step, setStep] = useState(0); // operations applied so far
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const rows = matrix.length;
+  const columns = matrix[0].length;
+  // An augmented system needs at least one coefficient column besides b
+  const augmented = augmentedParam && columns >= 2;
+  const n = augmented ? columns - 1 : columns;
+  const coefficients = useMemo(() => matrix.map(row => row.slice(0, n)), [matrix, n]);
+
+  const reduction = useMemo(() => rowReduceSteps(matrix, { columns: n }), [matrix, n]);
+
+  const results = useMemo(() => {
+    const square = rows === n;
+    const lu = square ? luDecomposition(coefficients) : null;
+    return {
+      rank: reduction.pivots.length,
+      nullSpace: nullSpace(coefficients),
+      solution: augmented ? solutionSet(reduction.matrix, reduction.pivots, n) : null,
+      lu,
+      determinant: lu ? (-1) ** lu.swaps * lu.U.reduce((product, row, i) => product * row[i], 1) : null,
+      inverse: square ? inverse(coefficients) : null
+    };
+  }, [reduction, coefficients, augmented, rows, n]);
+
+  const lastStep = reduction.steps.length;
+  const shownStep = Math.min(step, lastStep);
+  const current = shownStep > 0 ? reduction.steps[shownStep - 1] : null;
+  const shownMatrix = current ? current.matrix : matrix;
+  const description = current ? describeStep(current, augmented) : null;
+  const isFinal = shownStep === lastStep;
+
+  // Start from the original matrix whenever it changes
+  useEffect(() => {
+    setStep(0);
+    setIsPlaying(false);
+  }, [reduction]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => {
+      setStep(prev => {
+        const next = prev + 1;
+        if (next >= lastStep) setIsPlaying(false);
+        return Math.min(next, lastStep);
+      });
+    }, FRAME_MS);
+    return () => clearInterval(interval);
+  }, [isPlaying, lastStep]);
+
+  const handleEntryChange = (row, col, value) => {
+    if (!Number.isFinite(value)) return;
+    setMatrix(matrix.map((r, i) => r.map((entry, j) => (i === row && j === col ? value : entry))));
+  };
+
+  const handleAddRow = () => {
+    if (rows < MAX_ROWS) setMatrix([...matrix, new Array(columns).fill(0)]);
+  };
+
+  const handleRemoveRow = () => {
+    if (rows > 1) setMatrix(matrix.slice(0, -1));
+  };
+
+  // New columns go before b, so the system gains a variable rather than a right-hand side
+  const handleAddColumn = () => {
+    if (columns >= MAX_COLUMNS) return;
+    setMatrix(matrix.map(row => (augmented ? [...row.slice(0, n), 0, row[n]] : [...row, 0])));
+  };
+
+  const handleRemoveColumn = () => {
+    if (columns <= (augmented ? 2 : 1)) return;
+    setMatrix(matrix.map(row => (augmented ? [...row.slice(0, n - 1), row[n]] : row.slice(0, -1))));
+  };
+
+  const handlePreset = (preset) => {
+    setAugmented(preset.augmented);
+    setMatrix(preset.matrix);
+  };
+
+  const handlePlay = () => {
+    if (shownStep >= lastStep) setStep(0);
+    setIsPlaying(true);
+  };
+
+  const isPreset = (preset) => (
+    preset.augmented === augmented && JSON.stringify(preset.matrix) === JSON.stringify(matrix)
+  );
+
+  const status = results.solution ? STATUS[results.solution.status] : null;
+  const freeVariables = Array.from({ length: n }, (_, j) => j).filter(j => !reduction.pivots.includes(j));
+
+  return (
+    <div className="p-6 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Row reduction */}
+          <div className="lg:col-span-2 space-y-4">
+            <div className="bg-slate-950 rounded-2xl border border-white/10 p-4 md:p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-sm font-semibold text-gray-400">
+                  {shownStep === 0 ? 'Original Matrix' : `After Step ${shownStep} of ${lastStep}`}
+                </h3>
+                {isFinal && (
+                  <span className="px-2 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 text-xs font-semibold">
+                    Reduced row echelon form
+                  </span>
+                )}
+              </div>
+              <div className="overflow-x-auto py-2">
+                <MatrixGrid
+                  matrix={shownMatrix}
+                  split={augmented ? n : null}
+                  pivot={current?.pivot ?? null}
+                  changedRows={current ? current.rows : []}
+                />
+              </div>
+              <div className="mt-4 min-h-16 bg-white/5 rounded-xl border border-white/10 p-3">
+                {description ? (
+                  <>
+                    <div className="font-mono text-purple-300 text-sm mb-1">{description.operation}</div>
+                    <p className="text-xs text-gray-400 leading-relaxed">{description.explanation}</p>
+                  </>
+                ) : (
+                  <p className="text-xs text-gray-400 leading-relaxed">
+                    {lastStep === 0
+                      ? 'This matrix is already in reduced row echelon form.'
+                      : 'Step through the row operations that take this matrix to reduced row echelon form: every pivot becomes 1 and is the only non-zero entry in its column.'}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Operation history */}
+            {lastStep > 0 && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                  Row Operations
+                </h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                  {reduction.steps.map((s, i) => (
+                    <button
+                      key={i}
+                      onClick={() => {
+                        setIsPlaying(false);
+                        setStep(i + 1);
+                      }}
+                      className={`flex gap-2 px-2 py-1 rounded-lg text-left text-xs font-mono transition-all ${
+                        i + 1 === shownStep
+                          ? 'bg-purple-500/20 border border-purple-500/40 text-purple-200'
+                          : i + 1 < shownStep
+                            ? 'bg-white/5 border border-transparent text-gray-300 hover:bg-white/10'
+                            : 'bg-white/5 border border-transparent text-gray-500 hover:bg-white/10'
+                      }`}
+                    >
+                      <span className="text-gray-500 w-5 text-right">{i + 1}.</span>
+                      <span>{describeStep(s, augmented).operation}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* LU factorization */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                LU Factorization PA = LU
+              </h3>
+              {results.lu ? (
+                <>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 overflow-x-auto">
+                    {[['P', results.lu.P], ['L', results.lu.L], ['U', results.lu.U]].map(([name, M]) => (
+                      <div key={name}>
+                        <div className="text-center text-xs font-semibold text-gray-400 mb-1">{name}</div>
+                        <MatrixGrid matrix={M} />
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-3">
+                    U is the echelon form from forward elimination alone, L stores the multipliers
+                    used below each pivot, and P records the row swaps.
+                    {results.lu.U.some((row, i) => Math.abs(row[i]) < 1e-12) && ' A zero on the diagonal of U means A is singular.'}
+                  </p>
+                </>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  LU factorization, the determinant and the inverse need a square coefficient matrix ({rows}×{n} here).
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Controls & results */}
+          <div className="space-y-4">
+            {/* Matrix entry */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                {augmented ? 'Augmented System [A | b]' : 'Matrix A'}
+              </h3>
+              <div
+                className="grid gap-1"
+                style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+              >
+                {augmented && Array.from({ length: columns }, (_, j) => (
+                  <div key={j} className="text-center text-xs font-semibold text-gray-500">
+                    {j < n ? variableName(j) : 'b'}
+                  </div>
+                ))}
+                {matrix.map((row, i) => row.map((entry, j) => (
+                  <input
+                    key={`${i}-${j}`}
+                    type="number"
+                    step="1"
+                    value={entry}
+                    onChange={(e) => handleEntryChange(i, j, parseFloat(e.target.value))}
+                    className={`w-full px-1 py-1.5 border rounded-lg text-xs font-mono text-center ${
+                      augmented && j === n ? 'bg-purple-500/10 border-purple-500/30' : 'bg-white/5 border-white/10'
+                    }`}
+                  />
+                )))}
+              </div>
+              <div className="mt-3 grid grid-cols-2 gap-2 text-xs">
+                <div className="flex items-center justify-between gap-1">
+                  <span className="text-gray-400">Rows {rows}</span>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={handleRemoveRow}
+                      disabled={rows <= 1}
+                      className="w-6 h-6 bg-white/10 hover:bg-white/20 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      −
+                    </button>
+                    <button
+                      onClick={handleAddRow}
+                      disabled={rows >= MAX_ROWS}
+                      className="w-6 h-6 bg-white/10 hover:bg-white/20 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+                <div className="flex items-center justify-between gap-1">
+                  <span className="text-gray-400">{augmented ? 'Unknowns' : 'Columns'} {n}</span>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={handleRemoveColumn}
+                      disabled={columns <= (augmented ? 2 : 1)}
+                      className="w-6 h-6 bg-white/10 hover:bg-white/20 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      −
+                    </button>
+                    <button
+                      onClick={handleAddColumn}
+                      disabled={columns >= MAX_COLUMNS}
+                      className="w-6 h-6 bg-white/10 hover:bg-white/20 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={augmented}
+                  disabled={columns < 2}
+                  onChange={(e) => setAugmented(e.target.checked)}
+                  className="accent-purple-500"
+                />
+                Last column is the right-hand side b
+              </label>
+            </div>
+
+            {/* Presets */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-300 mb-2">
+                Presets
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {PRESETS.map(preset => (
+                  <button
+                    key={preset.name}
+                    onClick={() => handlePreset(preset)}
+                    className={`px-2 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                      isPreset(preset)
+                        ? 'bg-purple-500 text-white'
+                        : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                    }`}
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Playback */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-2">
+                Step: {shownStep} / {lastStep}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={lastStep}
+                value={shownStep}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setStep(Number(e.target.value));
+                }}
+                disabled={lastStep === 0}
+                className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <div className="mt-2 grid grid-cols-3 gap-2">
+                <button
+                  onClick={() => {
+                    setIsPlaying(false);
+                    setStep(Math.max(0, shownStep - 1));
+                  }}
+                  disabled={shownStep === 0}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  ← Prev
+                </button>
+                <button
+                  onClick={handlePlay}
+                  disabled={isPlaying || lastStep === 0}
+                  className="px-3 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Play
+                </button>
+                <button
+                  onClick={() => {
+                    setIsPlaying(false);
+                    setStep(Math.min(lastStep, shownStep + 1));
+                  }}
+                  disabled={isFinal}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next →
+                </button>
+              </div>
+            </div>
+
+            {/* Solution set */}
+            {status && (
+              <div className={`rounded-xl border p-3 ${status.panel}`}>
+                <div className="flex items-center gap-2 mb-1.5">
+                  <span className="text-xl">{status.icon}</span>
+                  <h3 className={`text-xs font-bold ${status.text}`}>
+                    {status.title}
+                  </h3>
+                </div>
+                {results.solution.status === 'none' && (
+                  <p className="text-xs text-gray-300 leading-relaxed">
+                    A row of the reduced form reads 0 = non-zero, so no choice of the unknowns satisfies every equation.
+                  </p>
+                )}
+                {results.solution.status === 'unique' && (
+                  <div className="space-y-1 text-xs font-mono">
+                    {results.solution.particular.map((value, j) => (
+                      <div key={j} className="flex justify-between">
+                        <span className="text-gray-400">{variableName(j)}</span>
+                        <span className="text-white">{formatNumber(value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {results.solution.status === 'infinite' && (
+                  <>
+                    <p className="text-xs text-gray-300 leading-relaxed mb-2">
+                      Free {freeVariables.length === 1 ? 'variable' : 'variables'} {freeVariables.map(variableName).join(', ')} can take any value:
+                    </p>
+                    <div className="text-xs font-mono text-white break-words">
+                      x = {formatVector(results.solution.particular)}
+                      {results.solution.nullSpace.map((v, k) => ` + t${SUBSCRIPTS[k + 1]}${formatVector(v)}`).join('')}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Results */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                Results for A ({rows}×{n})
+              </h3>
+              <div className="space-y-2 text-xs">
+                <div className="flex justify-between font-mono">
+                  <span className="text-gray-400">Rank</span>
+                  <span className="text-white">{results.rank}</span>
+                </div>
+                <div className="flex justify-between font-mono">
+                  <span className="text-gray-400">Pivot columns</span>
+                  <span className="text-white">{reduction.pivots.map(j => j + 1).join(', ') || 'none'}</span>
+                </div>
+                <div>
+                  <div className="text-gray-400 mb-1">
+                    Null space (dimension {results.nullSpace.length})
+                  </div>
+                  <div className="font-mono text-cyan-300">
+                    {results.nullSpace.length === 0
+                      ? '{0}: the columns are independent'
+                      : results.nullSpace.map(formatVector).join(', ')}
+                  </div>
+                </div>
+                {results.lu && (
+                  <>
+                    <div className="flex justify-between font-mono">
+                      <span className="text-gray-400">det(A)</span>
+                      <span className="text-white">{formatNumber(results.determinant)}</span>
+                    </div>
+                    <div>
+                      <div className="text-gray-400 mb-1">Inverse</div>
+                      {results.inverse ? (
+                        <div className="overflow-x-auto">
+                          <MatrixGrid matrix={results.inverse} />
+                        </div>
+                      ) : (
+                        <div className="text-amber-300">Singular: rank {results.rank} &lt; {n}, so A has no inverse</div>
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {/* Legend */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+              <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                Legend
+              </h3>
+              <div className="space-y-1.5 text-xs">
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-4 rounded ring-2 ring-amber-400 ring-inset"></div>
+                  <span className="text-gray-400">Current pivot</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-3 rounded bg-purple-500/30"></div>
+                  <span className="text-gray-400">Rows changed by the step</span>
+                </div>
+                {augmented && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-1 h-4 bg-white/30 rounded"></div>
+                    <span className="text-gray-400">Separates A from b</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,43 +1,361 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { random } from '../math/random.js';
+import { SURFACES, sampleGrid, contourSegments, contourLevels } from '../math/surfaces.js';
+import { compileExpression, numericGradient, MAX_EXPRESSION_LENGTH } from '../math/expression.js';
+import {
+  OPTIMIZERS,
+  STOPPING_CRITERIA,
+  createTrajectory,
+  optimizerStep,
+  armijoBacktracking,
+  stoppingReason
+} from '../math/optimizers.js';
+import { LR_SCHEDULES, scheduledLearningRate } from '../math/schedules.js';
 
-export const GradientDescent = ({ onClose }) => {
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+const isOptimizerList = (value) => (
+  Array.isArray(value) && value.length > 0 && new Set(value).size === value.length &&
+  value.every(type => Object.hasOwn(OPTIMIZERS, type))
+);
+
+const DEFAULT_EXPRESSION = 'x^2 + 2y^2 - x y + sin(2x)';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  functionType: param.oneOf([...Object.keys(SURFACES), 'custom'], 'quadratic'),
+  expression: param.string(DEFAULT_EXPRESSION, { maxLength: MAX_EXPRESSION_LENGTH }),
+  range: param.number(5, { min: 0.5, max: 50 }),
+  gradientMode: param.oneOf(['auto', 'numeric'], 'auto'),
+  view: param.oneOf(['surface', 'contour'], 'surface'),
+  mode: param.oneOf(['single', 'race'], 'single'),
+  optimizer: param.oneOf(Object.keys(OPTIMIZERS), 'sgd'),
+  race: param.json(['sgd', 'momentum', 'adam'], isOptimizerList),
+  momentum: param.number(0.9, { min: 0, max: 0.99 }),
+  rho: param.number(0.9, { min: 0, max: 0.999 }),
+  beta1: param.number(0.9, { min: 0, max: 0.999 }),
+  beta2: param.number(0.999, { min: 0.9, max: 0.9999 }),
+  learningRate: param.number(0.1, { min: 0.001, max: 1 }),
+  schedule: param.oneOf(Object.keys(LR_SCHEDULES), 'constant'),
+  period: param.integer(100, { min: 5, max: 1000 }),
+  lineSearch: param.boolean(false),
+  gradientTolerance: param.number(STOPPING_CRITERIA.gradientTolerance, { min: 1e-8, max: 1, precision: 10 }),
+  lossTolerance: param.number(STOPPING_CRITERIA.lossTolerance, { min: 0, max: 0.01, precision: 14 }),
+  maxIterations: param.integer(STOPPING_CRITERIA.maxIterations, { min: 50, max: 10000 }),
+  speed: param.number(1, { min: 0.1, max: 5 }),
+  rotation: param.number(45, { min: 0, max: 360 }),
+  start: param.json({ x: 2, y: 2 }, isPoint)
+};
+
+// Trajectory colors, also used in the loss chart
+const OPTIMIZER_COLORS = {
+  sgd: '#06b6d4',
+  momentum: '#a855f7',
+  nesterov: '#ec4899',
+  adagrad: '#f97316',
+  rmsprop: '#84cc16',
+  adam: '#fbbf24'
+};
+
+// Sliders for the hyperparameters the optimizers read besides the learning rate
+const HYPERPARAMETER_CONTROLS = {
+  momentum: { label: 'Momentum μ', min: 0, max: 0.99, step: 0.01 },
+  rho: { label: 'RMSProp decay ρ', min: 0, max: 0.999, step: 0.001 },
+  beta1: { label: 'Adam β₁', min: 0, max: 0.999, step: 0.001 },
+  beta2: { label: 'Adam β₂', min: 0.9, max: 0.9999, step: 0.0001 }
+};
+
+// Choices for the stopping-rule tolerances; a loss tolerance of 0 turns that rule off
+const GRADIENT_TOLERANCES = [1e-1, 1e-2, 1e-3, 1e-4, 1e-6];
+const LOSS_TOLERANCES = [0, 1e-12, 1e-9, 1e-6];
+const RISING_WARNING = 5; // consecutive loss increases before warning about overshooting
+
+// How a finished trajectory is reported, keyed by stoppingReason
+const STOP_STATUS = {
+  gradient: { icon: '🎯', title: 'Converged!', panel: 'bg-emerald-500/10 border-emerald-500/30', text: 'text-emerald-400' },
+  loss: { icon: '〰️', title: 'Stalled', panel: 'bg-cyan-500/10 border-cyan-500/30', text: 'text-cyan-400' },
+  'max-iterations': { icon: '⏱️', title: 'Iteration limit reached', panel: 'bg-amber-500/10 border-amber-500/30', text: 'text-amber-400' },
+  diverged: { icon: '💥', title: 'Diverged!', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' }
+};
+
+const formatTolerance = (value) => (value === 0 ? 'off' : `1e${Math.round(Math.log10(value))}`);
+
+const GRID_RESOLUTION = 40;
+const CONTOUR_COUNT = 14;
+const LOG_SCALE_SPAN = 1000; // custom surfaces spanning more than this use log-spaced heights
+
+/**
+ * Build a custom surface from a user-typed expression
+ * @returns {{surface: Object|null, error: string|null}}
+ */
+const buildCustomSurface = (expression, range, gradientMode) => {
+  try {
+    const { evaluate, gradient } = compileExpression(expression);
+    const grad = gradientMode === 'numeric'
+      ? (x, y) => {
+          const [dx, dy] = numericGradient(evaluate, [x, y]);
+          return { dx, dy };
+        }
+      : (x, y) => {
+          const [dx, dy] = gradient(x, y);
+          return { dx, dy };
+        };
+    return {
+      surface: {
+        name: 'Custom',
+        formula: `f(x,y) = ${expression}`,
+        f: evaluate,
+        grad,
+        bounds: { x: [-range, range], y: [-range, range] },
+        minima: []
+      },
+      error: null
+    };
+  } catch (error) {
+    return { surface: null, error: error.message };
+  }
+};
+
+// Latest loss of a trajectory, with diverged runs sorting last
+const finalLoss = (run) => {
+  const loss = run.losses[run.losses.length - 1];
+  return Number.isFinite(loss) ? loss : Infinity;
+};
+
+// Top-down view: math coordinates ↔ canvas pixels, keeping the aspect ratio
+const contourFrame = (canvas, { x: [xMin, xMax], y: [yMin, yMax] }) => {
+  const unit = Math.min((canvas.width - 40) / (xMax - xMin), (canvas.height - 40) / (yMax - yMin));
+  const originX = canvas.width / 2 - ((xMin + xMax) / 2) * unit;
+  const originY = canvas.height / 2 + ((yMin + yMax) / 2) * unit;
+  return {
+    unit,
+    toCanvas: (x, y) => ({ x: originX + x * unit, y: originY - y * unit }),
+    fromCanvas: (px, py) => ({ x: (px - originX) / unit, y: (originY - py) / unit })
+  };
+};
+
+/**
+ * Plot one line per series against iteration
+ * Uses a log axis when every value is positive and they span orders of magnitude.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{color: string, values: number[]}[]} series
+ */
+const drawSeriesChart = (canvas, series) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = { left: 50, right: 10, top: 10, bottom: 20 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  ctx.fillStyle = '#0f172a';
+  ctx.fillRect(0, 0, width, height);
+
+  const all = series.flatMap(({ values }) => values).filter(Number.isFinite);
+  if (all.length === 0) return;
+  const iterations = Math.max(10, ...series.map(({ values }) => values.length - 1));
+  let lo = all.reduce((min, value) => Math.min(min, value), Infinity);
+  let hi = all.reduce((max, value) => Math.max(max, value), -Infinity);
+  const logAxis = lo > 0 && hi / lo > 100;
+  if (logAxis) {
+    lo = Math.log10(lo);
+    hi = Math.log10(hi);
+  }
+  if (hi - lo < 1e-12) hi = lo + 1;
+  const toY = (value) => {
+    const v = logAxis ? Math.log10(Math.max(value, 1e-300)) : value;
+    const t = Math.min(1, Math.max(0, (v - lo) / (hi - lo)));
+    return pad.top + (1 - t) * plotHeight;
+  };
+
+  // Axes
+  ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad.left, pad.top);
+  ctx.lineTo(pad.left, height - pad.bottom);
+  ctx.lineTo(width - pad.right, height - pad.bottom);
+  ctx.stroke();
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.font = '10px monospace';
+  const format = (value) => (logAxis ? `1e${value.toFixed(1)}` : value.toPrecision(3));
+  ctx.fillText(format(hi), 4, pad.top + 8);
+  ctx.fillText(format(lo), 4, height - pad.bottom);
+  ctx.fillText(`iteration ${iterations}`, width - pad.right - 90, height - 5);
+
+  series.forEach(({ color, values }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    values.forEach((value, idx) => {
+      if (!Number.isFinite(value)) return;
+      const x = pad.left + (idx / iterations) * plotWidth;
+      if (drawing) ctx.lineTo(x, toY(value));
+      else ctx.moveTo(x, toY(value));
+      drawing = true;
+    });
+    ctx.stroke();
+  });
+};
+
+export const GradientDescent = ({ onClose, config }) => {
   const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  const rateChartRef = useRef(null);
   const animationRef = useRef(null);
   
-  const [learningRate, setLearningRate] = useState(0.1);
-  const [speed, setSpeed] = useState(1);
+  const [functionType, setFunctionType] = usePermalinkState(PARAMS, 'functionType', config);
+  const [expression, setExpression] = usePermalinkState(PARAMS, 'expression', config);
+  const [range, setRange] = usePermalinkState(PARAMS, 'range', config);
+  const [gradientMode, setGradientMode] = usePermalinkState(PARAMS, 'gradientMode', config);
+  const [view, setView] = usePermalinkState(PARAMS, 'view', config);
+  const [mode, setMode] = usePermalinkState(PARAMS, 'mode', config);
+  const [optimizer, setOptimizer] = usePermalinkState(PARAMS, 'optimizer', config);
+  const [race, setRace] = usePermalinkState(PARAMS, 'race', config);
+  const [momentum, setMomentum] = usePermalinkState(PARAMS, 'momentum', config);
+  const [rho, setRho] = usePermalinkState(PARAMS, 'rho', config);
+  const [beta1, setBeta1] = usePermalinkState(PARAMS, 'beta1', config);
+  const [beta2, setBeta2] = usePermalinkState(PARAMS, 'beta2', config);
+  const [learningRate, setLearningRate] = usePermalinkState(PARAMS, 'learningRate', config);
+  const [schedule, setSchedule] = usePermalinkState(PARAMS, 'schedule', config);
+  const [period, setPeriod] = usePermalinkState(PARAMS, 'period', config);
+  const [lineSearch, setLineSearch] = usePermalinkState(PARAMS, 'lineSearch', config);
+  const [gradientTolerance, setGradientTolerance] = usePermalinkState(PARAMS, 'gradientTolerance', config);
+  const [lossTolerance, setLossTolerance] = usePermalinkState(PARAMS, 'lossTolerance', config);
+  const [maxIterations, setMaxIterations] = usePermalinkState(PARAMS, 'maxIterations', config);
+  const [speed, setSpeed] = usePermalinkState(PARAMS, 'speed', config);
   const [isRunning, setIsRunning] = useState(false);
-  const [position, setPosition] = useState({ x: 2, y: 2 });
-  const [path, setPath] = useState([{ x: 2, y: 2 }]);
-  const [steps, setSteps] = useState(0);
-  const [rotation, setRotation] = useState(45);
-
-  // Loss function: simple paraboloid z = x² + y²
-  const lossFunction = (x, y) => {
-    return x * x + y * y;
-  };
+  const [start, setStart] = usePermalinkState(PARAMS, 'start', config);
+  const [rotation, setRotation] = usePermalinkState(PARAMS, 'rotation', config);
+  const [draft, setDraft] = useState(expression); // expression being typed, applied once it parses
+
+  // Custom expressions fall back to the quadratic bowl while they don't parse
+  const custom = useMemo(
+    () => buildCustomSurface(expression, range, gradientMode),
+    [expression, range, gradientMode]
+  );
+  const surface = functionType === 'custom'
+    ? custom.surface || SURFACES.quadratic
+    : SURFACES[functionType];
+
+  // Loss function and its gradient ∇f = [∂f/∂x, ∂f/∂y]
+  const lossFunction = surface.f;
+  const gradient = surface.grad;
+
+  // One trajectory per optimizer; the first one drives the single-optimizer readouts
+  const isRace = mode === 'race';
+  const racers = isRace ? race : [optimizer];
+  const racersKey = racers.join(',');
+  const [runs, setRuns] = useState(() => racers.map(type => createTrajectory(type, start, lossFunction)));
+  const { position, path } = runs[0];
+  const steps = path.length - 1;
+  const finished = runs.every(run => run.status !== 'running');
+  const hyperparameters = { learningRate, momentum, rho, beta1, beta2 };
+  // Armijo backtracking searches along -∇f, so it only replaces plain gradient descent
+  const canLineSearch = !isRace && optimizer === 'sgd';
+  const useLineSearch = lineSearch && canLineSearch;
+  const hyperparameterSetters = { momentum: setMomentum, rho: setRho, beta1: setBeta1, beta2: setBeta2 };
+
+  // Height field for drawing, with a log scale when values span many orders of magnitude
+  const grid = useMemo(() => {
+    const sampled = sampleGrid(surface.f, surface.bounds, GRID_RESOLUTION);
+    const span = sampled.max - sampled.min;
+    const logScale = surface.logScale ?? span > LOG_SCALE_SPAN;
+    const levels = contourLevels(sampled.min, sampled.max, CONTOUR_COUNT, logScale);
+    return {
+      ...sampled,
+      contours: levels.map(level => contourSegments(sampled, level)),
+      // Height in [0, 1]
+      height: (z) => {
+        if (!Number.isFinite(z) || !(span > 0)) return 0;
+        const t = Math.min(1, Math.max(0, (z - sampled.min) / span));
+        return logScale ? Math.log1p(t * 1e4) / Math.log1p(1e4) : t;
+      }
+    };
+  }, [surface]);
+
+  useEffect(() => {
+    setDraft(expression);
+  }, [expression]);
+
+  // Draw loss and step size against iteration for every trajectory
+  useEffect(() => {
+    if (chartRef.current) {
+      drawSeriesChart(chartRef.current, runs.map(run => ({ color: OPTIMIZER_COLORS[run.type], values: run.losses })));
+    }
+    if (rateChartRef.current) {
+      drawSeriesChart(rateChartRef.current, runs.map(run => ({ color: OPTIMIZER_COLORS[run.type], values: run.rates })));
+    }
+  }, [runs]);
+
+  // Restart whenever the surface, the starting point or the set of optimizers
+  // changes, so the first loss always comes from the surface being run
+  useEffect(() => {
+    setIsRunning(false);
+    setRuns(racersKey.split(',').map(type => createTrajectory(type, start, lossFunction)));
+  }, [lossFunction, start, racersKey]);
+
+  // Load an example preset's starting point
+  useEffect(() => {
+    if (config?.startPosition) setStart(config.startPosition);
+  }, [config, setStart]);
+
+  // Advance one trajectory by one optimizer update
+  const advance = (run) => {
+    const iteration = run.path.length - 1;
+    const current = [run.position.x, run.position.y];
+    let x;
+    let state;
+    let rate;
+
+    if (useLineSearch) {
+      const { dx, dy } = gradient(run.position.x, run.position.y);
+      const search = armijoBacktracking(([px, py]) => lossFunction(px, py), current, [dx, dy], [-dx, -dy]);
+      x = search.x;
+      state = { ...run.state, t: run.state.t + 1 };
+      rate = search.step;
+    } else {
+      rate = scheduledLearningRate(schedule, learningRate, iteration, { period });
+      ({ x, state } = optimizerStep(
+        run.type,
+        current,
+        ([px, py]) => {
+          const { dx, dy } = gradient(px, py);
+          return [dx, dy];
+        },
+        run.state,
+        { ...hyperparameters, learningRate: rate }
+      ));
+    }
+
+    const next = { x: x[0], y: x[1] };
+    const loss = lossFunction(next.x, next.y);
+    const grad = gradient(next.x, next.y);
+    const previousLoss = run.losses[iteration];
+    const reason = stoppingReason(
+      { iteration: iteration + 1, loss, previousLoss, initialLoss: run.losses[0], gradientNorm: Math.hypot(grad.dx, grad.dy) },
+      { gradientTolerance, lossTolerance, maxIterations }
+    );
 
-  // Gradient: ∇f = [2x, 2y]
-  const gradient = (x, y) => {
     return {
-      dx: 2 * x,
-      dy: 2 * y
+      ...run,
+      position: next,
+      path: [...run.path, next],
+      losses: [...run.losses, loss],
+      rates: [...run.rates, rate],
+      rising: loss > previousLoss ? run.rising + 1 : 0,
+      state,
+      status: reason ?? 'running'
     };
   };
 
-  // Perform one gradient descent step
+  // Perform one step of every optimizer still running
   const step = () => {
-    setPosition(prev => {
-      const grad = gradient(prev.x, prev.y);
-      const newX = prev.x - learningRate * grad.dx;
-      const newY = prev.y - learningRate * grad.dy;
-      
-      const newPos = { x: newX, y: newY };
-      setPath(p => [...p, newPos]);
-      setSteps(s => s + 1);
-      
-      return newPos;
-    });
+    setRuns(prev => prev.map(run => (run.status === 'running' ? advance(run) : run)));
   };
 
   // Animation loop
@@ -50,15 +368,14 @@ export const GradientDescent = ({ onClose }) => {
       animationRef.current = interval;
       return () => clearInterval(interval);
     }
-  }, [isRunning, learningRate, speed, position]);
+  }, [isRunning, learningRate, speed, runs]);
 
-  // Auto-stop when converged
+  // Auto-stop once every optimizer has converged or diverged
   useEffect(() => {
-    const loss = lossFunction(position.x, position.y);
-    if (loss < 0.01 && isRunning) {
+    if (finished && isRunning) {
       setIsRunning(false);
     }
-  }, [position, isRunning]);
+  }, [finished, isRunning]);
 
   // Draw the surface and ball
   useEffect(() => {
@@ -70,105 +387,219 @@ export const GradientDescent = ({ onClose }) => {
     const height = canvas.height;
     const centerX = width / 2;
     const centerY = height / 2;
+    const { xs, ys, values, contours } = grid;
+    const { x: [xMin, xMax], y: [yMin, yMax] } = surface.bounds;
+
+    // Color by height: blue (low) to red (high)
+    const heightColor = (t, alpha) => `rgba(${Math.floor(255 * t)}, 100, ${Math.floor(255 * (1 - t))}, ${alpha})`;
+
+    // Race mode: one small colored ball per optimizer
+    const drawMarker = (p, color) => {
+      ctx.fillStyle = color;
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    };
 
     // Clear
     ctx.fillStyle = '#0f172a';
     ctx.fillRect(0, 0, width, height);
 
+    if (view === 'contour') {
+      const { unit, toCanvas } = contourFrame(canvas, surface.bounds);
+
+      // Heat map
+      for (let i = 0; i < ys.length - 1; i++) {
+        for (let j = 0; j < xs.length - 1; j++) {
+          const corner = toCanvas(xs[j], ys[i + 1]);
+          ctx.fillStyle = heightColor(grid.height(values[i][j]), 0.35);
+          ctx.fillRect(corner.x, corner.y, (xs[j + 1] - xs[j]) * unit + 0.5, (ys[i + 1] - ys[i]) * unit + 0.5);
+        }
+      }
+
+      // Contour lines
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.lineWidth = 1;
+      contours.forEach(segments => {
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+          const p = toCanvas(a.x, a.y);
+          const q = toCanvas(b.x, b.y);
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        });
+        ctx.stroke();
+      });
+
+      // Known minima
+      ctx.fillStyle = '#34d399';
+      ctx.font = '14px sans-serif';
+      surface.minima.forEach(({ x, y }) => {
+        const p = toCanvas(x, y);
+        ctx.fillText('★', p.x - 6, p.y + 5);
+      });
+
+      // Paths
+      runs.forEach(run => {
+        ctx.strokeStyle = OPTIMIZER_COLORS[run.type];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        run.path.forEach((point, idx) => {
+          const p = toCanvas(point.x, point.y);
+          if (idx === 0) ctx.moveTo(p.x, p.y);
+          else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+      });
+
+      if (isRace) {
+        runs.forEach(run => drawMarker(toCanvas(run.position.x, run.position.y), OPTIMIZER_COLORS[run.type]));
+        return;
+      }
+
+      // Ball and the downhill direction -∇f
+      const ball = toCanvas(position.x, position.y);
+      const grad = gradient(position.x, position.y);
+      const magnitude = Math.hypot(grad.dx, grad.dy);
+      if (magnitude > 1e-9) {
+        const length = 40;
+        const tip = { x: ball.x - (grad.dx / magnitude) * length, y: ball.y + (grad.dy / magnitude) * length };
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(ball.x, ball.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+      }
+      ctx.fillStyle = '#fbbf24';
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+
     // 3D projection parameters
     const scale = 40;
     const rotRad = (rotation * Math.PI) / 180;
+    const zScale = 3; // display height of the tallest point
 
-    // Project 3D point to 2D
-    const project = (x, y, z) => {
-      // Rotate around Y axis
-      const x1 = x * Math.cos(rotRad) - z * Math.sin(rotRad);
-      const z1 = x * Math.sin(rotRad) + z * Math.cos(rotRad);
+    // Project a point of the domain (and its height in [0, 1]) to 2D
+    const project = (x, y, t) => {
+      // Fit the domain into [-5, 5]² and spin it around the vertical axis
+      const u = ((x - xMin) / (xMax - xMin)) * 10 - 5;
+      const v = ((y - yMin) / (yMax - yMin)) * 10 - 5;
+      const ur = u * Math.cos(rotRad) - v * Math.sin(rotRad);
+      const vr = u * Math.sin(rotRad) + v * Math.cos(rotRad);
       
       // Isometric projection
-      const screenX = centerX + (x1 - y) * scale;
-      const screenY = centerY + (x1 + y) * scale * 0.5 - z1 * scale * 0.8;
+      const screenX = centerX + (ur - vr) * scale * 0.7;
+      const screenY = centerY + 40 + (ur + vr) * scale * 0.35 - t * zScale * scale * 0.8;
       
       return { x: screenX, y: screenY };
     };
 
-    // Draw grid surface
-    const gridSize = 5;
-    const gridStep = 0.5;
+    // Current position of a single optimizer: the rolling ball
+    const drawBall = () => {
+      const ballProj = project(position.x, position.y, grid.height(lossFunction(position.x, position.y)));
+    
+      // Shadow
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+      ctx.beginPath();
+      const shadowProj = project(position.x, position.y, 0);
+      ctx.arc(shadowProj.x, shadowProj.y, 8, 0, Math.PI * 2);
+      ctx.fill();
+    
+      // Ball
+      const ballGradient = ctx.createRadialGradient(
+        ballProj.x - 3, ballProj.y - 3, 2,
+        ballProj.x, ballProj.y, 12
+      );
+      ballGradient.addColorStop(0, '#fbbf24');
+      ballGradient.addColorStop(1, '#f59e0b');
+    
+      ctx.fillStyle = ballGradient;
+      ctx.beginPath();
+      ctx.arc(ballProj.x, ballProj.y, 12, 0, Math.PI * 2);
+      ctx.fill();
+    
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    };
 
-    for (let x = -gridSize; x <= gridSize; x += gridStep) {
-      for (let y = -gridSize; y <= gridSize; y += gridStep) {
-        const z = lossFunction(x, y);
-        
-        // Color by height
-        const maxZ = gridSize * gridSize * 2;
-        const intensity = Math.min(z / maxZ, 1);
-        const r = Math.floor(255 * intensity);
-        const b = Math.floor(255 * (1 - intensity));
-        
-        ctx.fillStyle = `rgba(${r}, 100, ${b}, 0.3)`;
-        
-        const p = project(x, y, z);
-        ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
+    // Contour lines on the floor
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    contours.forEach(segments => {
+      segments.forEach(([a, b]) => {
+        const p = project(a.x, a.y, 0);
+        const q = project(b.x, b.y, 0);
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+      });
+    });
+    ctx.stroke();
+
+    // Wireframe surface
+    ctx.lineWidth = 1;
+    for (let i = 0; i < ys.length; i++) {
+      for (let j = 0; j < xs.length; j++) {
+        const t = grid.height(values[i][j]);
+        const p = project(xs[j], ys[i], t);
+        ctx.strokeStyle = heightColor(t, 0.45);
+        ctx.beginPath();
+        if (j + 1 < xs.length) {
+          const q = project(xs[j + 1], ys[i], grid.height(values[i][j + 1]));
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        }
+        if (i + 1 < ys.length) {
+          const q = project(xs[j], ys[i + 1], grid.height(values[i + 1][j]));
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        }
+        ctx.stroke();
       }
     }
 
-    // Draw path
-    if (path.length > 1) {
-      ctx.strokeStyle = 'rgba(6, 182, 212, 0.6)';
+    // Draw paths
+    runs.forEach(run => {
+      ctx.strokeStyle = OPTIMIZER_COLORS[run.type];
       ctx.lineWidth = 2;
       ctx.beginPath();
       
-      const firstPoint = path[0];
-      const firstZ = lossFunction(firstPoint.x, firstPoint.y);
-      const firstProj = project(firstPoint.x, firstPoint.y, firstZ);
-      ctx.moveTo(firstProj.x, firstProj.y);
-      
-      for (let i = 1; i < path.length; i++) {
-        const point = path[i];
-        const z = lossFunction(point.x, point.y);
-        const proj = project(point.x, point.y, z);
-        ctx.lineTo(proj.x, proj.y);
-      }
+      run.path.forEach((point, idx) => {
+        const proj = project(point.x, point.y, grid.height(run.losses[idx]));
+        if (idx === 0) ctx.moveTo(proj.x, proj.y);
+        else ctx.lineTo(proj.x, proj.y);
+      });
       
       ctx.stroke();
-    }
+    });
 
-    // Draw current position (ball)
-    const currentZ = lossFunction(position.x, position.y);
-    const ballProj = project(position.x, position.y, currentZ);
-    
-    // Shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    const shadowProj = project(position.x, position.y, 0);
-    ctx.arc(shadowProj.x, shadowProj.y, 8, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Ball
-    const gradient = ctx.createRadialGradient(
-      ballProj.x - 3, ballProj.y - 3, 2,
-      ballProj.x, ballProj.y, 12
-    );
-    gradient.addColorStop(0, '#fbbf24');
-    gradient.addColorStop(1, '#f59e0b');
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(ballProj.x, ballProj.y, 12, 0, Math.PI * 2);
-    ctx.fill();
-    
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    if (isRace) {
+      runs.forEach(run => {
+        const { x, y } = run.position;
+        drawMarker(project(x, y, grid.height(run.losses[run.losses.length - 1])), OPTIMIZER_COLORS[run.type]);
+      });
+    } else {
+      drawBall();
+    }
 
     // Draw axes labels
+    // Draw axes labels
+    const xLabel = project(xMax, (yMin + yMax) / 2, 0);
+    const yLabel = project((xMin + xMax) / 2, yMax, 0);
     ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
     ctx.font = '12px monospace';
-    ctx.fillText('X', centerX + gridSize * scale + 10, centerY);
-    ctx.fillText('Y', centerX - gridSize * scale - 20, centerY);
+    ctx.fillText('X', xLabel.x + 10, xLabel.y);
+    ctx.fillText('Y', yLabel.x + 10, yLabel.y);
 
-  }, [position, path, rotation]);
+  }, [runs, position, rotation, grid, surface, lossFunction, gradient, isRace, view]);
 
   const handleStart = () => {
     setIsRunning(true);
@@ -180,24 +611,72 @@ export const GradientDescent = ({ onClose }) => {
 
   const handleReset = () => {
     setIsRunning(false);
-    setPosition({ x: 2, y: 2 });
-    setPath([{ x: 2, y: 2 }]);
-    setSteps(0);
+    setRuns(racers.map(type => createTrajectory(type, start, lossFunction)));
   };
 
   const handleRandom = () => {
-    setIsRunning(false);
-    const randomX = (Math.random() - 0.5) * 8;
-    const randomY = (Math.random() - 0.5) * 8;
-    setPosition({ x: randomX, y: randomY });
-    setPath([{ x: randomX, y: randomY }]);
-    setSteps(0);
+    const { x: [xMin, xMax], y: [yMin, yMax] } = surface.bounds;
+    const point = {
+      x: random.uniform(xMin + 0.1 * (xMax - xMin), xMax - 0.1 * (xMax - xMin)),
+      y: random.uniform(yMin + 0.1 * (yMax - yMin), yMax - 0.1 * (yMax - yMin))
+    };
+    setStart(point);
+  };
+
+  // Switching surfaces loads their suggested start and learning rate
+  const handleSelectSurface = (key) => {
+    setFunctionType(key);
+    const suggested = SURFACES[key];
+    // A fresh object, so picking the current surface again still restarts the run
+    const point = suggested ? { ...suggested.start } : { x: range * 0.6, y: range * 0.6 };
+    if (suggested) setLearningRate(suggested.learningRate);
+    setStart(point);
+  };
+
+  const handleExpressionChange = (value) => {
+    setDraft(value);
+    const { error } = buildCustomSurface(value, range, gradientMode);
+    if (!error) setExpression(value);
+  };
+
+  // Click the contour map to choose a starting point
+  const handleCanvasClick = (e) => {
+    if (view !== 'contour' || isRunning) return;
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const { fromCanvas } = contourFrame(canvas, surface.bounds);
+    const point = fromCanvas(
+      ((e.clientX - rect.left) * canvas.width) / rect.width,
+      ((e.clientY - rect.top) * canvas.height) / rect.height
+    );
+    setStart(point);
   };
 
   const currentLoss = lossFunction(position.x, position.y);
   const grad = gradient(position.x, position.y);
   const gradientMagnitude = Math.sqrt(grad.dx * grad.dx + grad.dy * grad.dy);
-  const isConverged = currentLoss < 0.01;
+  const stop = STOP_STATUS[runs[0].status];
+  const isOvershooting = runs[0].status === 'running' && runs[0].rising >= RISING_WARNING;
+  const currentRate = runs[0].rates.length > 0
+    ? runs[0].rates[runs[0].rates.length - 1]
+    : useLineSearch ? 1 : scheduledLearningRate(schedule, learningRate, 0, { period });
+  const stopMessages = {
+    gradient: `‖∇f‖ fell below ${formatTolerance(gradientTolerance)}: a stationary point (a minimum, or a saddle on some surfaces).`,
+    loss: `The loss changed by less than ${formatTolerance(lossTolerance)} (relative) in one step - progress has stalled.`,
+    'max-iterations': `Stopped after ${maxIterations} iterations without meeting a tolerance.`,
+    diverged: `The loss ${Number.isFinite(currentLoss) ? `grew past ${STOPPING_CRITERIA.divergenceLoss.toExponential(0)} × max(1, |starting loss|)` : 'became infinite or NaN'}: `
+      + 'either the steps overshoot further each time (lower the learning rate) or the function has no minimum that way.'
+  };
+  const visibleHyperparameters = Object.keys(HYPERPARAMETER_CONTROLS).filter(key => (
+    racers.some(type => OPTIMIZERS[type].hyperparameters.includes(key))
+  ));
+
+  const handleToggleRacer = (type) => {
+    const next = race.includes(type) ? race.filter(t => t !== type) : [...race, type];
+    if (next.length === 0) return;
+    setRace(Object.keys(OPTIMIZERS).filter(t => next.includes(t)));
+  };
+  const draftError = draft === expression ? custom.error : buildCustomSurface(draft, range, gradientMode).error;
 
   return (
     <div className="p-6 md:p-8">
@@ -210,21 +689,71 @@ export const GradientDescent = ({ onClose }) => {
                 ref={canvasRef}
                 width={600}
                 height={400}
-                className="w-full rounded-lg"
+                className={`w-full rounded-lg ${view === 'contour' ? 'cursor-crosshair' : ''}`}
+                onClick={handleCanvasClick}
               />
+
+              {/* View toggle */}
+              <div className="mt-3 md:mt-4 grid grid-cols-2 gap-2">
+                {[['surface', '🏔️ 3D Surface'], ['contour', '🗺️ Contour Map']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setView(key)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
+                      view === key
+                        ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
               
               {/* Rotation control */}
-              <div className="mt-3 md:mt-4">
+              {view === 'surface' ? (
+                <div className="mt-3 md:mt-4">
+                  <label className="block text-xs font-semibold text-gray-400 mb-2">
+                    View Rotation: {rotation}°
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="360"
+                    value={rotation}
+                    onChange={(e) => setRotation(Number(e.target.value))}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              ) : (
+                <p className="mt-3 text-xs text-gray-500">
+                  Click the map to choose a starting point. ★ marks known minima, the yellow tick points downhill (−∇f).
+                </p>
+              )}
+
+              {/* Loss chart */}
+              <div className="mt-3">
                 <label className="block text-xs font-semibold text-gray-400 mb-2">
-                  View Rotation: {rotation}°
+                  Loss vs Iteration
                 </label>
-                <input
-                  type="range"
-                  min="0"
-                  max="360"
-                  value={rotation}
-                  onChange={(e) => setRotation(Number(e.target.value))}
-                  className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                <canvas
+                  ref={chartRef}
+                  width={600}
+                  height={150}
+                  className="w-full rounded-lg"
+                />
+              </div>
+
+              {/* Step size chart */}
+              <div className="mt-3">
+                <label className="block text-xs font-semibold text-gray-400 mb-2">
+                  Step Size α vs Iteration
+                </label>
+                <canvas
+                  ref={rateChartRef}
+                  width={600}
+                  height={100}
+                  className="w-full rounded-lg"
                 />
               </div>
             </div>
@@ -232,23 +761,299 @@ export const GradientDescent = ({ onClose }) => {
 
           {/* Controls */}
           <div className="space-y-3">
-            {/* Learning Rate */}
+            {/* Loss Function */}
             <div>
               <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-1.5 md:mb-2">
-                Learning Rate: {learningRate.toFixed(3)}
+                Loss Function
               </label>
-              <input
-                type="range"
-                min="0.001"
-                max="1"
-                step="0.001"
-                value={learningRate}
-                onChange={(e) => setLearningRate(Number(e.target.value))}
-                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
-                disabled={isRunning}
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                {learningRate > 0.5 ? '⚠️ Very high' : learningRate < 0.01 ? '🐌 Very slow' : '✅ Good range'}
+              <div className="grid grid-cols-3 gap-1.5">
+                {[...Object.entries(SURFACES), ['custom', { name: 'Custom f(x,y)' }]].map(([key, fn]) => (
+                  <button
+                    key={key}
+                    onClick={() => handleSelectSurface(key)}
+                    disabled={isRunning}
+                    className={`px-2 py-1.5 rounded-lg text-xs transition-colors disabled:opacity-50 ${
+                      functionType === key
+                        ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {fn.name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1 font-mono">{surface.formula}</p>
+            </div>
+
+            {/* Custom Expression */}
+            {functionType === 'custom' && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+                <label className="block text-xs font-semibold text-gray-300">
+                  f(x, y) =
+                </label>
+                <input
+                  type="text"
+                  value={draft}
+                  maxLength={MAX_EXPRESSION_LENGTH}
+                  onChange={(e) => handleExpressionChange(e.target.value)}
+                  disabled={isRunning}
+                  spellCheck={false}
+                  className={`w-full px-2 py-1.5 bg-white/5 border rounded-lg text-xs font-mono ${
+                    draftError ? 'border-red-500/60' : 'border-white/10'
+                  }`}
+                />
+                <p className={`text-xs ${draftError ? 'text-red-400' : 'text-gray-500'}`}>
+                  {draftError || 'Use + - * / ^, sin cos tan exp log sqrt abs tanh …, pi and e. 2x means 2·x.'}
+                </p>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    Window: ±{range}
+                  </label>
+                  <input
+                    type="range"
+                    min="0.5"
+                    max="20"
+                    step="0.5"
+                    value={range}
+                    onChange={(e) => setRange(Number(e.target.value))}
+                    disabled={isRunning}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-1.5">
+                  {[['auto', 'Automatic ∇'], ['numeric', 'Numeric ∇']].map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setGradientMode(key)}
+                      className={`px-2 py-1 rounded-lg text-xs transition-colors ${
+                        gradientMode === key
+                          ? 'bg-purple-500/20 border border-purple-500/50 text-purple-300'
+                          : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {gradientMode === 'auto'
+                    ? 'Exact derivatives by forward-mode automatic differentiation.'
+                    : 'Central differences: (f(x+h) − f(x−h)) / 2h with h = 10⁻⁵.'}
+                </p>
+              </div>
+            )}
+
+            {/* Optimizer */}
+            <div>
+              <div className="grid grid-cols-2 gap-1.5 mb-2">
+                {[['single', 'Single Optimizer'], ['race', '🏁 Race']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setMode(key)}
+                    disabled={isRunning}
+                    className={`px-2 py-1.5 rounded-lg text-xs font-semibold transition-colors disabled:opacity-50 ${
+                      mode === key
+                        ? 'bg-gradient-to-r from-cyan-500 to-purple-500 text-white'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-1.5 md:mb-2">
+                {isRace ? 'Racers (same start, same learning rate)' : 'Optimizer'}
+              </label>
+              <div className="grid grid-cols-3 gap-1.5">
+                {Object.entries(OPTIMIZERS).map(([key, { name }]) => {
+                  const active = isRace ? race.includes(key) : optimizer === key;
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => (isRace ? handleToggleRacer(key) : setOptimizer(key))}
+                      disabled={isRunning}
+                      className={`flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-xs transition-colors disabled:opacity-50 ${
+                        active
+                          ? 'bg-white/15 border border-white/30 text-white'
+                          : 'bg-white/5 border border-white/10 text-gray-500 hover:bg-white/10'
+                      }`}
+                    >
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: OPTIMIZER_COLORS[key], opacity: active ? 1 : 0.4 }}></span>
+                      {name}
+                    </button>
+                  );
+                })}
+              </div>
+              {!isRace && (
+                <p className="text-xs text-gray-500 mt-1">{OPTIMIZERS[optimizer].description}</p>
+              )}
+            </div>
+
+            {/* Hyperparameters */}
+            {visibleHyperparameters.map(key => {
+              const { label, min, max, step: sliderStep } = HYPERPARAMETER_CONTROLS[key];
+              return (
+                <div key={key}>
+                  <label className="block text-xs font-semibold text-gray-300 mb-1">
+                    {label}: {hyperparameters[key]}
+                  </label>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={sliderStep}
+                    value={hyperparameters[key]}
+                    onChange={(e) => hyperparameterSetters[key](Number(e.target.value))}
+                    className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                    disabled={isRunning}
+                  />
+                </div>
+              );
+            })}
+
+            {/* Step Size Rule */}
+            <div>
+              <div className="grid grid-cols-2 gap-1.5 mb-2">
+                {[[false, 'LR Schedule'], [true, 'Armijo Line Search']].map(([key, label]) => (
+                  <button
+                    key={label}
+                    onClick={() => setLineSearch(key)}
+                    disabled={isRunning || (key && !canLineSearch)}
+                    title={key && !canLineSearch ? 'Line search applies to single-optimizer SGD' : undefined}
+                    className={`px-2 py-1.5 rounded-lg text-xs transition-colors disabled:opacity-50 ${
+                      useLineSearch === key
+                        ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {useLineSearch ? (
+                <p className="text-xs text-gray-500">
+                  Each step starts at α = 1 and halves α until f(x − α∇f) ≤ f(x) − c·α‖∇f‖² with c = 10⁻⁴,
+                  so no learning rate needs tuning.
+                </p>
+              ) : (
+                <>
+                  <div className="grid grid-cols-3 gap-1.5">
+                    {Object.entries(LR_SCHEDULES).map(([key, { name }]) => (
+                      <button
+                        key={key}
+                        onClick={() => setSchedule(key)}
+                        disabled={isRunning}
+                        className={`px-2 py-1 rounded-lg text-xs transition-colors disabled:opacity-50 ${
+                          schedule === key
+                            ? 'bg-purple-500/20 border border-purple-500/50 text-purple-300'
+                            : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                        }`}
+                      >
+                        {name}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{LR_SCHEDULES[schedule].description}</p>
+                  {schedule !== 'constant' && (
+                    <div className="mt-2">
+                      <label className="block text-xs text-gray-400 mb-1">
+                        Period: {period} steps
+                      </label>
+                      <input
+                        type="range"
+                        min="5"
+                        max="500"
+                        step="5"
+                        value={period}
+                        onChange={(e) => setPeriod(Number(e.target.value))}
+                        className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                        disabled={isRunning}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            {/* Learning Rate */}
+            {!useLineSearch && (
+              <div>
+                <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-1.5 md:mb-2">
+                  {schedule === 'constant' ? 'Learning Rate' : 'Base Learning Rate'}: {learningRate.toFixed(3)}
+                </label>
+                <input
+                  type="range"
+                  min="0.001"
+                  max="1"
+                  step="0.001"
+                  value={learningRate}
+                  onChange={(e) => setLearningRate(Number(e.target.value))}
+                  className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  disabled={isRunning}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {learningRate > 0.5 ? '⚠️ Very high' : learningRate < 0.01 ? '🐌 Very slow' : '✅ Good range'}
+                </p>
+              </div>
+            )}
+
+            {/* Stopping Rules */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+              <h3 className="text-xs font-semibold text-gray-400">
+                Stopping Rules
+              </h3>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Gradient norm ‖∇f‖ &lt;</label>
+                <div className="grid grid-cols-5 gap-1">
+                  {GRADIENT_TOLERANCES.map(value => (
+                    <button
+                      key={value}
+                      onClick={() => setGradientTolerance(value)}
+                      className={`px-1 py-1 rounded text-xs font-mono transition-colors ${
+                        gradientTolerance === value
+                          ? 'bg-emerald-500/20 border border-emerald-500/50 text-emerald-300'
+                          : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                      }`}
+                    >
+                      {formatTolerance(value)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Relative loss change |Δf| &lt;</label>
+                <div className="grid grid-cols-4 gap-1">
+                  {LOSS_TOLERANCES.map(value => (
+                    <button
+                      key={value}
+                      onClick={() => setLossTolerance(value)}
+                      className={`px-1 py-1 rounded text-xs font-mono transition-colors ${
+                        lossTolerance === value
+                          ? 'bg-emerald-500/20 border border-emerald-500/50 text-emerald-300'
+                          : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                      }`}
+                    >
+                      {formatTolerance(value)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Max iterations: {maxIterations}
+                </label>
+                <input
+                  type="range"
+                  min="50"
+                  max="5000"
+                  step="50"
+                  value={maxIterations}
+                  onChange={(e) => setMaxIterations(Number(e.target.value))}
+                  className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                Runs also stop as diverged once the loss is NaN, infinite or beyond ±{STOPPING_CRITERIA.divergenceLoss.toExponential(0)} × max(1, |starting loss|).
               </p>
             </div>
 
@@ -272,7 +1077,7 @@ export const GradientDescent = ({ onClose }) => {
             <div className="grid grid-cols-2 gap-2">
               <button
                 onClick={handleStart}
-                disabled={isRunning || isConverged}
+                disabled={isRunning || finished}
                 className="px-3 py-2 md:px-4 md:py-3 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Start
@@ -299,48 +1104,103 @@ export const GradientDescent = ({ onClose }) => {
             </div>
 
             {/* Status */}
-            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
-              <h3 className="text-xs font-semibold text-gray-400 mb-2">
-                Status
-              </h3>
-              <div className="space-y-1.5 text-xs md:text-sm">
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Loss:</span>
-                  <span className="font-mono text-cyan-400">{currentLoss.toFixed(4)}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Steps:</span>
-                  <span className="font-mono text-white">{steps}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Gradient:</span>
-                  <span className="font-mono text-purple-400">{gradientMagnitude.toFixed(4)}</span>
+            {isRace ? (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Leaderboard
+                </h3>
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-normal">Optimizer</th>
+                      <th className="text-right font-normal">Loss</th>
+                      <th className="text-right font-normal">Steps</th>
+                      <th className="text-right font-normal"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...runs]
+                      .sort((a, b) => finalLoss(a) - finalLoss(b))
+                      .map(run => (
+                        <tr key={run.type}>
+                          <td style={{ color: OPTIMIZER_COLORS[run.type] }}>{OPTIMIZERS[run.type].name}</td>
+                          <td className="text-right text-white">{finalLoss(run).toPrecision(4)}</td>
+                          <td className="text-right text-gray-400">{run.path.length - 1}</td>
+                          <td className="text-right" title={STOP_STATUS[run.status]?.title}>
+                            {STOP_STATUS[run.status]?.icon ?? (run.rising >= RISING_WARNING ? '⚠️' : '')}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+                {runs.some(run => run.status === 'diverged') && (
+                  <p className="text-xs text-red-400 mt-2">
+                    💥 A diverged optimizer's loss blew up - its steps overshoot at this learning rate.
+                  </p>
+                )}
+                <div className="mt-2 space-y-1">
+                  {racers.map(type => (
+                    <p key={type} className="text-xs text-gray-500">
+                      <span style={{ color: OPTIMIZER_COLORS[type] }}>{OPTIMIZERS[type].name}:</span> {OPTIMIZERS[type].description}
+                    </p>
+                  ))}
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Position:</span>
-                  <span className="font-mono text-white text-xs">
-                    ({position.x.toFixed(2)}, {position.y.toFixed(2)})
-                  </span>
+              </div>
+            ) : (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Status
+                </h3>
+                <div className="space-y-1.5 text-xs md:text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Loss:</span>
+                    <span className="font-mono text-cyan-400">{currentLoss.toFixed(4)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Steps:</span>
+                    <span className="font-mono text-white">{steps}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Gradient:</span>
+                    <span className="font-mono text-purple-400">{gradientMagnitude.toFixed(4)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Step size α:</span>
+                    <span className="font-mono text-amber-400">{currentRate.toPrecision(3)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Position:</span>
+                    <span className="font-mono text-white text-xs">
+                      ({position.x.toFixed(2)}, {position.y.toFixed(2)})
+                    </span>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
 
             {/* Current State */}
-            <div className={`rounded-xl border p-3 ${isConverged ? 'bg-emerald-500/10 border-emerald-500/30' : 'bg-cyan-500/10 border-cyan-500/30'}`}>
-              <div className="flex items-center gap-2 mb-1.5">
-                <span className="text-xl">{isConverged ? '🎯' : isRunning ? '⬇️' : '⏸️'}</span>
-                <h3 className={`text-xs font-bold ${isConverged ? 'text-emerald-400' : 'text-cyan-400'}`}>
-                  {isConverged ? 'Converged!' : isRunning ? 'Descending...' : 'Paused'}
-                </h3>
+            {!isRace && (
+              <div className={`rounded-xl border p-3 ${stop ? stop.panel : 'bg-cyan-500/10 border-cyan-500/30'}`}>
+                <div className="flex items-center gap-2 mb-1.5">
+                  <span className="text-xl">{stop ? stop.icon : isRunning ? '⬇️' : '⏸️'}</span>
+                  <h3 className={`text-xs font-bold ${stop ? stop.text : 'text-cyan-400'}`}>
+                    {stop ? stop.title : isRunning ? 'Descending...' : 'Paused'}
+                  </h3>
+                </div>
+                <p className="text-xs text-gray-300 leading-relaxed">
+                  {stop
+                    ? stopMessages[runs[0].status]
+                    : isRunning 
+                      ? 'Ball is rolling down the surface toward the minimum.'
+                      : 'Click Start to begin optimization.'}
+                </p>
+                {isOvershooting && (
+                  <p className="text-xs text-amber-400 mt-1.5">
+                    ⚠️ The loss has risen {runs[0].rising} steps in a row - the learning rate may be too high.
+                  </p>
+                )}
               </div>
-              <p className="text-xs text-gray-300 leading-relaxed">
-                {isConverged 
-                  ? 'Found the minimum! Loss is near zero.' 
-                  : isRunning 
-                    ? 'Ball is rolling down the surface toward the minimum.'
-                    : 'Click Start to begin optimization.'}
-              </p>
-            </div>
+            )}
 
             {/* Info */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-3">
@@ -353,8 +1213,8 @@ export const GradientDescent = ({ onClose }) => {
                   <span className="text-gray-400">Current position</span>
                 </div>
                 <div className="flex items-center gap-2">
-                  <div className="w-6 h-1 bg-cyan-500 rounded"></div>
-                  <span className="text-gray-400">Path taken</span>
+                  <div className="w-6 h-1 rounded" style={{ backgroundColor: OPTIMIZER_COLORS[racers[0]] }}></div>
+                  <span className="text-gray-400">{isRace ? 'Paths (one color per optimizer)' : 'Path taken'}</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-3 h-3 bg-gradient-to-br from-red-500 to-blue-500"></div>
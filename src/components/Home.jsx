@@ -1,12 +1,21 @@
 import React, { useState, useEffect, useRef, Fragment } from 'react';
-import {ToolWorkspace,SVD} from './';
-
-
-export const Home = () => {
+import {ToolWorkspace,SVD,ProgressPanel} from './';
+import { getToolCategories, getToolInfo } from '../utils/conceptUtils.js';
+import { navigate, homeHref, toolHref, graphHref } from '../core/router.js';
+import { useProgress } from '../core/ProgressStore.js';
+
+
+/**
+ * Home Component
+ *
+ * @param {Object} props
+ * @param {string|null} props.activeTool - Tool ID open in the workspace, from the route
+ */
+export const Home = ({ activeTool = null }) => {
   const canvasRef = useRef(null);
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
-  const [selectedTool, setSelectedTool] = useState(null);
   const particlesRef = useRef([]);
+  const { completedConcepts } = useProgress();
 
   const targetMousePos = useRef({ x: 0, y: 0 });
   const currentMousePos = useRef({ x: 0, y: 0 });
@@ -139,169 +148,8 @@ export const Home = () => {
     return () => window.removeEventListener('mousemove', handleMouseMove);
   }, []);
 
-  // Available tools
-  const tools = [
-    // Linear Algebra
-    {
-      id: 'matrix-transform',
-      title: 'Matrix Transformations',
-      description: 'See how matrices transform space',
-      icon: '📐',
-      category: 'Linear Algebra',
-      color: 'from-cyan-500 to-blue-500',
-      concepts: ['Rotation', 'Scaling', 'Shear', 'Eigenvectors']
-    },
-    {
-      id: 'vector-spaces',
-      title: 'Vector Spaces',
-      description: 'Visualize linear independence',
-      icon: '🎯',
-      category: 'Linear Algebra',
-      color: 'from-cyan-500 to-blue-500',
-      concepts: ['Span', 'Basis', 'Linear Independence', 'Subspaces']
-    },
-    {
-      id: 'svd',
-      title: 'Singular Value Decomposition',
-      description: 'Matrix factorization in action',
-      icon: '🔲',
-      category: 'Linear Algebra',
-      color: 'from-cyan-500 to-blue-500',
-      concepts: ['Decomposition', 'Singular Values', 'Image Compression']
-    },
-    
-    // Optimization
-    {
-      id: 'gradient-descent',
-      title: 'Gradient Descent',
-      description: 'Watch optimization in action',
-      icon: '⛰️',
-      category: 'Optimization',
-      color: 'from-purple-500 to-pink-500',
-      concepts: ['Learning Rate', 'Local Minima', 'Momentum', 'Convergence']
-    },
-    {
-      id: 'lagrange',
-      title: 'Lagrange Multipliers',
-      description: 'Constrained optimization',
-      icon: '🎚️',
-      category: 'Optimization',
-      color: 'from-purple-500 to-pink-500',
-      concepts: ['Constraints', 'Dual Problem', 'KKT Conditions']
-    },
-    {
-      id: 'convex-opt',
-      title: 'Convex Optimization',
-      description: 'Global vs local optima',
-      icon: '📉',
-      category: 'Optimization',
-      color: 'from-purple-500 to-pink-500',
-      concepts: ['Convexity', 'Global Minimum', 'Feasible Region']
-    },
-    
-    // Probability & Statistics
-    {
-      id: 'probability-dist',
-      title: 'Probability Distributions',
-      description: 'Explore statistical distributions',
-      icon: '🎲',
-      category: 'Probability',
-      color: 'from-orange-500 to-amber-500',
-      concepts: ['Normal', 'Binomial', 'Sampling', 'PDF/CDF']
-    },
-    {
-      id: 'bayes-theorem',
-      title: 'Bayesian Inference',
-      description: 'Update beliefs with evidence',
-      icon: '🔮',
-      category: 'Probability',
-      color: 'from-orange-500 to-amber-500',
-      concepts: ['Prior', 'Likelihood', 'Posterior', 'Conjugacy']
-    },
-    {
-      id: 'monte-carlo',
-      title: 'Monte Carlo Methods',
-      description: 'Random sampling for estimation',
-      icon: '🎰',
-      category: 'Probability',
-      color: 'from-orange-500 to-amber-500',
-      concepts: ['Sampling', 'Convergence', 'Integration', 'Variance']
-    },
-    {
-      id: 'linear-regression',
-      title: 'Linear Regression',
-      description: 'Fit lines to data interactively',
-      icon: '📊',
-      category: 'Statistical Learning',
-      color: 'from-indigo-500 to-blue-500',
-      concepts: ['Least Squares', 'Residuals', 'R²', 'Outliers']
-    },
-    {
-      id: 'logistic-regression',
-      title: 'Logistic Regression',
-      description: 'Binary classification boundaries',
-      icon: '📈',
-      category: 'Statistical Learning',
-      color: 'from-indigo-500 to-blue-500',
-      concepts: ['Sigmoid', 'Decision Boundary', 'Log-Odds', 'Classification']
-    },
-    {
-      id: 'hypothesis-test',
-      title: 'Hypothesis Testing',
-      description: 'Statistical significance',
-      icon: '🧪',
-      category: 'Statistical Learning',
-      color: 'from-indigo-500 to-blue-500',
-      concepts: ['p-value', 't-test', 'Confidence Intervals', 'Type I/II Errors']
-    },
-    
-    // Deep Learning
-    {
-      id: 'neural-network',
-      title: 'Neural Network Playground',
-      description: 'Build and train networks live',
-      icon: '🧠',
-      category: 'Deep Learning',
-      color: 'from-emerald-500 to-teal-500',
-      concepts: ['Layers', 'Activations', 'Training', 'Decision Boundary']
-    },
-    {
-      id: 'backprop',
-      title: 'Backpropagation',
-      description: 'Step through gradient flow',
-      icon: '🔄',
-      category: 'Deep Learning',
-      color: 'from-violet-500 to-purple-500',
-      concepts: ['Chain Rule', 'Gradients', 'Weight Updates', 'Flow']
-    },
-    {
-      id: 'activation-functions',
-      title: 'Activation Functions',
-      description: 'Compare ReLU, Sigmoid, Tanh',
-      icon: '⚡',
-      category: 'Deep Learning',
-      color: 'from-violet-500 to-purple-500',
-      concepts: ['ReLU', 'Sigmoid', 'Tanh', 'Vanishing Gradients']
-    },
-    {
-      id: 'convolution',
-      title: 'Convolution Operation',
-      description: 'How CNNs process images',
-      icon: '🖼️',
-      category: 'Deep Learning',
-      color: 'from-emerald-500 to-teal-500',
-      concepts: ['Filters', 'Feature Maps', 'Stride', 'Padding']
-    },
-    {
-      id: 'attention',
-      title: 'Attention Mechanism',
-      description: 'Query-Key-Value explained',
-      icon: '👁️',
-      category: 'Deep Learning',
-      color: 'from-violet-500 to-purple-500',
-      concepts: ['Q-K-V', 'Self-Attention', 'Multi-Head', 'Transformers']
-    }
-  ];
+  // Available tools, grouped by category from the concept registry
+  const toolGroups = getToolCategories();
 
   return (
     <div className="relative bg-slate-950 text-white min-h-screen overflow-x-hidden">
@@ -340,6 +188,12 @@ export const Home = () => {
               <p className="text-sm text-gray-400 mt-1">Interactive mathematical explorations</p>
             </div>
             <div className="flex gap-3">
+              <a
+                href={graphHref()}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-sm transition-colors"
+              >
+                🕸️ Concept Map
+              </a>
               <button className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-sm transition-colors">
                 About
               </button>
@@ -354,45 +208,33 @@ export const Home = () => {
       {/* Main Content */}
       <div className="relative z-10 max-w-7xl mx-auto px-6 py-12">
         
+        {/* Progress */}
+        <div className="max-w-5xl mx-auto mb-8">
+          <ProgressPanel />
+        </div>
+
         {/* Tools List */}
         <div className="max-w-5xl mx-auto space-y-8">
           {/* Group tools by category */}
-          {[
-            { 
-              category: 'Linear Algebra', 
-              tools: tools.filter(t => t.category === 'Linear Algebra') 
-            },
-            { 
-              category: 'Optimization', 
-              tools: tools.filter(t => t.category === 'Optimization') 
-            },
-            { 
-              category: 'Probability & Statistics', 
-              tools: tools.filter(t => ['Probability', 'Statistical Learning'].includes(t.category)) 
-            },
-            { 
-              category: 'Deep Learning', 
-              tools: tools.filter(t => t.category === 'Deep Learning') 
-            }
-          ].map((group, groupIdx) => (
+          {toolGroups.map((group, groupIdx) => (
             group.tools.length > 0 && (
-              <div key={group.category} style={{ animation: `fadeInUp 0.5s ease-out ${groupIdx * 0.15}s forwards`, opacity: 0 }}>
+              <div key={group.name} style={{ animation: `fadeInUp 0.5s ease-out ${groupIdx * 0.15}s forwards`, opacity: 0 }}>
                 {/* Category Header */}
                 <div className="flex items-center gap-3 mb-3 px-2">
                   <div className="h-px bg-gradient-to-r from-transparent via-cyan-500/30 to-transparent flex-1" />
                   <h3 className="text-xs font-bold text-gray-400 uppercase tracking-widest">
-                    {group.category}
+                    {group.name}
                   </h3>
                   <div className="h-px bg-gradient-to-r from-transparent via-cyan-500/30 to-transparent flex-1" />
                 </div>
 
                 {/* Tools in this category */}
                 <div className="space-y-2">
-                  {group.tools.map((tool, idx) => (
+                  {group.tools.map(getToolInfo).map((tool) => (
                     <div
                       key={tool.id}
                       className="group relative bg-white/5 hover:bg-white/10 backdrop-blur-sm rounded-xl border border-white/10 hover:border-cyan-500/50 p-5 transition-all duration-300 cursor-pointer"
-                      onClick={() => setSelectedTool(tool.id)}
+                      onClick={() => navigate(toolHref(tool.id))}
                     >
                       {/* Hover gradient */}
                       <div className={`absolute inset-0 bg-gradient-to-r ${tool.color} opacity-0 group-hover:opacity-5 rounded-xl transition-opacity duration-300`} />
@@ -410,6 +252,9 @@ export const Home = () => {
                           <div className="flex items-baseline gap-3 mb-1">
                             <h4 className="text-base font-semibold text-white group-hover:text-cyan-400 transition-colors">
                               {tool.title}
+                              {completedConcepts.has(tool.id) && (
+                                <span className="ml-2 text-xs" title="Completed">✅</span>
+                              )}
                             </h4>
                             <span className="text-xs text-gray-400">
                               {tool.description}
@@ -418,12 +263,12 @@ export const Home = () => {
                           
                           {/* Concepts - inline */}
                           <div className="flex items-center gap-1 flex-wrap">
-                            {tool.concepts.map((concept, i) => (
+                            {tool.highlights.map((highlight, i) => (
                               <React.Fragment key={i}>
                                 <span className="text-xs text-gray-500">
-                                  {concept}
+                                  {highlight}
                                 </span>
-                                {i < tool.concepts.length - 1 && (
+                                {i < tool.highlights.length - 1 && (
                                   <span className="text-gray-700">•</span>
                                 )}
                               </React.Fragment>
@@ -461,10 +306,11 @@ export const Home = () => {
         </div>
 
         {/* Tool Workspace */}
-        {selectedTool && (
+        {activeTool && (
           <ToolWorkspace 
-          initialTool={selectedTool} 
-          onClose={() => setSelectedTool(null)} 
+          selectedTool={activeTool} 
+          onSelectTool={(toolId) => navigate(toolHref(toolId))}
+          onClose={() => navigate(homeHref())} 
         />
         )}
 
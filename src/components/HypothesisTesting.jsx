@@ -1,28 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const HypothesisTesting = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import { normalPDF, normalCDF } from '../math/distributions.js';
+import { random } from '../math/random.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  sampleSize: param.integer(30, { min: 10, max: 100 }),
+  populationMean: param.number(100),
+  sampleMean: param.number(105),
+  stdDev: param.number(15, { min: 0.01 }),
+  alpha: param.number(0.05, { min: 0.001, max: 0.5 }),
+  showDistribution: param.boolean(true),
+  showCriticalRegion: param.boolean(true)
+};
+
+export const HypothesisTesting = ({ onClose, config }) => {
   const canvasRef = useRef(null);
   const [testType, setTestType] = useState('one-sample'); // 'one-sample', 'two-sample', 'paired'
-  const [sampleSize, setSampleSize] = useState(30);
-  const [populationMean, setPopulationMean] = useState(100);
-  const [sampleMean, setSampleMean] = useState(105);
-  const [stdDev, setStdDev] = useState(15);
-  const [alpha, setAlpha] = useState(0.05);
+  const [sampleSize, setSampleSize] = usePermalinkState(PARAMS, 'sampleSize', config);
+  const [populationMean, setPopulationMean] = usePermalinkState(PARAMS, 'populationMean', config);
+  const [sampleMean, setSampleMean] = usePermalinkState(PARAMS, 'sampleMean', config);
+  const [stdDev, setStdDev] = usePermalinkState(PARAMS, 'stdDev', config);
+  const [alpha, setAlpha] = usePermalinkState(PARAMS, 'alpha', config);
   const [sample, setSample] = useState([]);
-  const [showDistribution, setShowDistribution] = useState(true);
-  const [showCriticalRegion, setShowCriticalRegion] = useState(true);
+  const [showDistribution, setShowDistribution] = usePermalinkState(PARAMS, 'showDistribution', config);
+  const [showCriticalRegion, setShowCriticalRegion] = usePermalinkState(PARAMS, 'showCriticalRegion', config);
   const [animating, setAnimating] = useState(false);
 
   // Generate sample data
   const generateSample = () => {
     const newSample = [];
     for (let i = 0; i < sampleSize; i++) {
-      // Box-Muller transform for normal distribution
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const value = sampleMean + z * stdDev;
-      newSample.push(value);
+      newSample.push(random.normal(sampleMean, stdDev));
     }
     return newSample;
   };
@@ -61,14 +70,6 @@ export const HypothesisTesting = ({ onClose }) => {
     return Math.max(0, Math.min(1, p));
   };
 
-  // Standard normal CDF approximation
-  const normalCDF = (x) => {
-    const t = 1 / (1 + 0.2316419 * Math.abs(x));
-    const d = 0.3989423 * Math.exp(-x * x / 2);
-    const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-    return x > 0 ? 1 - p : p;
-  };
-
   const pValue = calculatePValue();
 
   // Critical t-value (approximate for two-tailed)
@@ -112,9 +113,7 @@ export const HypothesisTesting = ({ onClose }) => {
   const [ciLower, ciUpper] = calculateConfidenceInterval();
 
   // T-distribution PDF approximation (using normal as approximation)
-  const tDistributionPDF = (x) => {
-    return (1 / Math.sqrt(2 * Math.PI)) * Math.exp(-0.5 * x * x);
-  };
+  const tDistributionPDF = (x) => normalPDF(x);
 
   // Canvas drawing
   useEffect(() => {
@@ -1,51 +1,235 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-export const LagrangeMultipliers = ({ onClose }) => {
-  const canvasRef = useRef(null);
-  const [lambda, setLambda] = useState(1.5);
-  const [showGradients, setShowGradients] = useState(true);
-  const [showConstraint, setShowConstraint] = useState(true);
-  const [animating, setAnimating] = useState(false);
-  const [rotation, setRotation] = useState(45);
-
-  // Objective function: f(x,y) = x² + y²
-  const objectiveFunction = (x, y) => {
-    return x * x + y * y;
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { sampleGrid, contourSegments, contourLevels } from '../math/surfaces.js';
+import { compileExpression, MAX_EXPRESSION_LENGTH } from '../math/expression.js';
+import { parseConstraint, kktConditions, solveConstrained } from '../math/constrained.js';
+import { norm } from '../math/vectors.js';
+
+const MAX_CONSTRAINTS = 4;
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+const isConstraintList = (value) => (
+  Array.isArray(value) && value.length <= MAX_CONSTRAINTS &&
+  value.every(source => typeof source === 'string' && source.length <= MAX_EXPRESSION_LENGTH)
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  objective: param.string('x^2 + y^2', { maxLength: MAX_EXPRESSION_LENGTH }),
+  constraints: param.json(['x + y = 2'], isConstraintList),
+  start: param.json({ x: -2, y: 2 }, isPoint),
+  range: param.number(3, { min: 1, max: 10 }),
+  view: param.oneOf(['contour', 'surface'], 'contour'),
+  showGradients: param.boolean(true),
+  showConstraint: param.boolean(true),
+  rotation: param.number(45, { min: 0, max: 360 })
+};
+
+// One color per constraint, shared by its curve, its λ∇c arrow and its table row
+const CONSTRAINT_COLORS = ['#fb923c', '#f472b6', '#a3e635', '#facc15'];
+const CONSTRAINT_TEXT = ['text-orange-400', 'text-pink-400', 'text-lime-400', 'text-yellow-400'];
+const SUBSCRIPTS = ['₁', '₂', '₃', '₄'];
+
+const GRID_RESOLUTION = 60;
+const CONTOUR_COUNT = 12;
+const LOG_SCALE_SPAN = 1000; // objectives spanning more than this use log-spaced contours
+const KKT_TOLERANCE = 1e-4; // residuals below this count as satisfied in the tables
+const ARROW_LENGTH = 0.3; // longest gradient arrow, as a fraction of the window half-width
+
+// Solver outcomes, keyed by the status from solveConstrained
+const SOLVER_STATUS = {
+  converged: { icon: '✅', title: 'KKT Point Found', label: 'KKT point', panel: 'bg-emerald-500/10 border-emerald-500/30', text: 'text-emerald-400' },
+  'left-domain': { icon: '🚧', title: 'Left the Domain', label: 'Left the domain', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' },
+  stopped: { icon: '⚠️', title: 'No KKT Point Found', label: 'Solver stopped', panel: 'bg-orange-500/10 border-orange-500/30', text: 'text-orange-400' }
+};
+
+/**
+ * Compile the objective and constraints typed by the user
+ * @returns {{problem: Object|null, errors: {objective: string|null, constraints: (string|null)[]}}}
+ *   A problem for solveConstrained, or null with a message for each part that does not parse
+ */
+const buildProblem = (objective, constraints) => {
+  const errors = { objective: null, constraints: constraints.map(() => null) };
+
+  let compiled = null;
+  try {
+    compiled = compileExpression(objective);
+  } catch (error) {
+    errors.objective = error.message;
+  }
+
+  const parsed = constraints.map((source, i) => {
+    try {
+      return parseConstraint(source);
+    } catch (error) {
+      errors.constraints[i] = error.message;
+      return null;
+    }
+  });
+
+  if (!compiled || !parsed.every(Boolean)) return { problem: null, errors };
+  return {
+    problem: {
+      source: objective,
+      f: (point) => compiled.evaluate(...point),
+      gradient: (point) => compiled.gradient(...point),
+      constraints: parsed
+    },
+    errors
   };
-
-  // Constraint: g(x,y) = x + y - 2 = 0  (line: y = 2 - x)
-  const constraintFunction = (x, y) => {
-    return x + y - 2;
+};
+
+const DEFAULT_PROBLEM = buildProblem(PARAMS.objective.default, PARAMS.constraints.default).problem;
+
+// Fixed-point number without a "-0.000" for values that round to zero
+const formatValue = (value, digits = 3) => {
+  if (!Number.isFinite(value)) return '—';
+  const rounded = Number(value.toFixed(digits));
+  return (rounded === 0 ? 0 : rounded).toFixed(digits);
+};
+
+// Top-down view: math coordinates ↔ canvas pixels for the square window [-range, range]²
+const contourFrame = (canvas, range) => {
+  const unit = (Math.min(canvas.width, canvas.height) - 40) / (2 * range);
+  const originX = canvas.width / 2;
+  const originY = canvas.height / 2;
+  return {
+    unit,
+    toCanvas: (x, y) => ({ x: originX + x * unit, y: originY - y * unit }),
+    fromCanvas: (px, py) => ({ x: (px - originX) / unit, y: (originY - py) / unit })
   };
+};
 
-  // Gradient of objective: ∇f = (2x, 2y)
-  const gradientF = (x, y) => {
-    return { dx: 2 * x, dy: 2 * y };
-  };
+// Isometric projection after rotating the xy-plane about the vertical axis
+const project3D = (x, y, z, { centerX, centerY, scale, rotation }) => {
+  const rotRad = (rotation * Math.PI) / 180;
+  const x1 = x * Math.cos(rotRad) - y * Math.sin(rotRad);
+  const y1 = x * Math.sin(rotRad) + y * Math.cos(rotRad);
 
-  // Gradient of constraint: ∇g = (1, 1)
-  const gradientG = (x, y) => {
-    return { dx: 1, dy: 1 };
+  return {
+    x: centerX + (x1 - y1) * scale,
+    y: centerY + (x1 + y1) * scale * 0.5 - z * scale * 0.8
   };
+};
+
+// Helper to draw arrow
+const drawArrow = (ctx, fromX, fromY, toX, toY, color, label) => {
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3;
+
+  ctx.beginPath();
+  ctx.moveTo(fromX, fromY);
+  ctx.lineTo(toX, toY);
+  ctx.stroke();
+
+  // Arrowhead
+  const angle = Math.atan2(toY - fromY, toX - fromX);
+  const headLen = 12;
+
+  ctx.beginPath();
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(
+    toX - headLen * Math.cos(angle - Math.PI / 6),
+    toY - headLen * Math.sin(angle - Math.PI / 6)
+  );
+  ctx.lineTo(
+    toX - headLen * Math.cos(angle + Math.PI / 6),
+    toY - headLen * Math.sin(angle + Math.PI / 6)
+  );
+  ctx.closePath();
+  ctx.fill();
+
+  // Label
+  ctx.fillStyle = color;
+  ctx.font = 'bold 13px sans-serif';
+  ctx.fillText(label, toX + 8, toY - 8);
+};
+
+// Glowing marker for the current iterate
+const drawPoint = (ctx, p) => {
+  const glow = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, 20);
+  glow.addColorStop(0, 'rgba(34, 197, 94, 0.8)');
+  glow.addColorStop(0.5, 'rgba(34, 197, 94, 0.4)');
+  glow.addColorStop(1, 'rgba(34, 197, 94, 0)');
+
+  ctx.fillStyle = glow;
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, 20, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = '#22c55e';
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+};
+
+export const LagrangeMultipliers = ({ onClose, config }) => {
+  const canvasRef = useRef(null);
+  const [objective, setObjective] = usePermalinkState(PARAMS, 'objective', config);
+  const [constraints, setConstraints] = usePermalinkState(PARAMS, 'constraints', config);
+  const [start, setStart] = usePermalinkState(PARAMS, 'start', config);
+  const [range, setRange] = usePermalinkState(PARAMS, 'range', config);
+  const [view, setView] = usePermalinkState(PARAMS, 'view', config);
+  const [showGradients, setShowGradients] = usePermalinkState(PARAMS, 'showGradients', config);
+  const [showConstraint, setShowConstraint] = usePermalinkState(PARAMS, 'showConstraint', config);
+  const [rotation, setRotation] = usePermalinkState(PARAMS, 'rotation', config);
+  // Text being typed, applied once the objective and every constraint parse
+  const [draft, setDraft] = useState({ objective, constraints });
+  const [iterate, setIterate] = useState(null); // outer iteration on display, null for the last
+  const [dragStart, setDragStart] = useState(null); // start point being dragged, solved once released
 
-  // Solution: where ∇f = λ∇g on the constraint
-  // For this simple case: x = y = 1 (minimum on the line)
-  const solution = { x: 1, y: 1 };
-
-  // 3D projection helper
-  const project3D = (x, y, z, centerX, centerY, scale, rot) => {
-    const rotRad = (rot * Math.PI) / 180;
-    
-    // Rotate around Y axis
-    const x1 = x * Math.cos(rotRad) - z * Math.sin(rotRad);
-    const z1 = x * Math.sin(rotRad) + z * Math.cos(rotRad);
-    
-    // Isometric projection
-    const screenX = centerX + (x1 - y) * scale;
-    const screenY = centerY + (x1 + y) * scale * 0.5 - z1 * scale * 0.8;
-    
-    return { x: screenX, y: screenY };
-  };
+  useEffect(() => {
+    setDraft({ objective, constraints });
+  }, [objective, constraints]);
+
+  // A link can carry text that does not parse; the inputs show why and the default problem stays drawn
+  const problem = useMemo(
+    () => buildProblem(objective, constraints).problem ?? DEFAULT_PROBLEM,
+    [objective, constraints]
+  );
+  const draftErrors = useMemo(() => buildProblem(draft.objective, draft.constraints).errors, [draft]);
+
+  // Solving can take a noticeable time, so a dragged start is only solved once released
+  const solution = useMemo(() => solveConstrained(problem, [start.x, start.y]), [problem, start]);
+  const solverStatus = SOLVER_STATUS[solution.status] ?? SOLVER_STATUS.stopped;
+  const lastIterate = solution.iterations.length - 1;
+  const shownIterate = iterate === null ? lastIterate : Math.min(iterate, lastIterate);
+  const { x: point, multipliers, rho } = solution.iterations[shownIterate];
+  const kkt = useMemo(() => kktConditions(problem, point, multipliers, KKT_TOLERANCE), [problem, point, multipliers]);
+  const constraintValues = problem.constraints.map(constraint => constraint.c(point));
+  const innerSteps = solution.iterations.reduce((sum, record) => sum + record.innerSteps, 0);
+
+  // Objective and constraint fields over the window, with contours of f and each constraint's zero set
+  const grid = useMemo(() => {
+    const bounds = { x: [-range, range], y: [-range, range] };
+    const sampled = sampleGrid((x, y) => problem.f([x, y]), bounds, GRID_RESOLUTION);
+    const span = sampled.max - sampled.min;
+    const logScale = span > LOG_SCALE_SPAN;
+    const levels = contourLevels(sampled.min, sampled.max, CONTOUR_COUNT, logScale);
+    const constraintGrids = problem.constraints.map(constraint => (
+      sampleGrid((x, y) => constraint.c([x, y]), bounds, GRID_RESOLUTION)
+    ));
+
+    return {
+      ...sampled,
+      contours: levels.map(level => contourSegments(sampled, level)),
+      constraintGrids,
+      boundaries: constraintGrids.map(g => contourSegments(g, 0)),
+      // Height in [0, 1]
+      height: (z) => {
+        if (!Number.isFinite(z) || !(span > 0)) return 0;
+        const t = Math.min(1, Math.max(0, (z - sampled.min) / span));
+        return logScale ? Math.log1p(t * 1e4) / Math.log1p(1e4) : t;
+      }
+    };
+  }, [problem, range]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -54,213 +238,250 @@ export const LagrangeMultipliers = ({ onClose }) => {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height * 0.6;
-    const scale = 60;
+    const { xs, ys, values, contours, constraintGrids, boundaries } = grid;
+
+    // Color by height: blue (low) to red (high)
+    const heightColor = (t, alpha) => `rgba(${Math.floor(255 * t)}, 100, ${Math.floor(255 * (1 - t))}, ${alpha})`;
+
+    // ∇f, each λᵢ∇cᵢ and their sum at the shown iterate, scaled so the longest fits the window
+    const gradF = problem.gradient(point);
+    const terms = problem.constraints.map((constraint, i) => constraint.gradient(point).map(g => multipliers[i] * g));
+    const combined = terms.reduce((sum, term) => sum.map((v, k) => v + term[k]), [0, 0]);
+    const longest = Math.max(norm(gradF), ...terms.map(norm), norm(combined));
+    const arrowScale = longest > 0 ? (ARROW_LENGTH * range) / longest : 0;
+    const arrows = [
+      { vector: gradF, color: '#06b6d4', label: '∇f' },
+      ...terms
+        .map((vector, i) => ({ vector, color: CONSTRAINT_COLORS[i], label: `λ${SUBSCRIPTS[i]}∇c${SUBSCRIPTS[i]}` }))
+        .filter(({ vector }) => norm(vector) * arrowScale > 0.02 * range),
+      ...(problem.constraints.length > 1 ? [{ vector: combined, color: '#8b5cf6', label: 'Σλ∇c' }] : [])
+    ];
 
     // Clear
     ctx.fillStyle = '#0f172a';
     ctx.fillRect(0, 0, width, height);
 
-    // Draw grid
-    ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
-    ctx.lineWidth = 1;
+    if (view === 'contour') {
+      const { unit, toCanvas } = contourFrame(canvas, range);
+      const cell = (xs[1] - xs[0]) * unit + 0.5;
+
+      for (let i = 0; i < ys.length - 1; i++) {
+        for (let j = 0; j < xs.length - 1; j++) {
+          const corner = toCanvas(xs[j], ys[i + 1]);
+          // Heat map
+          if (showConstraint) {
+            ctx.fillStyle = heightColor(grid.height(values[i][j]), 0.35);
+            ctx.fillRect(corner.x, corner.y, cell, cell);
+          }
+          // Darken cells that violate an inequality
+          const infeasible = problem.constraints.some((constraint, k) => {
+            if (constraint.type !== 'inequality') return false;
+            const v = constraintGrids[k].values;
+            return (v[i][j] + v[i][j + 1] + v[i + 1][j] + v[i + 1][j + 1]) / 4 < 0;
+          });
+          if (infeasible) {
+            ctx.fillStyle = 'rgba(2, 6, 23, 0.6)';
+            ctx.fillRect(corner.x, corner.y, cell, cell);
+          }
+        }
+      }
 
-    for (let x = 0; x <= width; x += 40) {
+      // Contour lines of f
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = 1;
+      contours.forEach(segments => {
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+          const p = toCanvas(a.x, a.y);
+          const q = toCanvas(b.x, b.y);
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        });
+        ctx.stroke();
+      });
+
+      // Constraint curves: solid while active, dashed while slack
+      boundaries.forEach((segments, k) => {
+        ctx.strokeStyle = CONSTRAINT_COLORS[k];
+        ctx.lineWidth = kkt.active[k] ? 3.5 : 2;
+        ctx.setLineDash(kkt.active[k] ? [] : [8, 6]);
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+          const p = toCanvas(a.x, a.y);
+          const q = toCanvas(b.x, b.y);
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        });
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+
+      // Solver path: the start, then the result of each outer iteration
+      const path = [[start.x, start.y], ...solution.iterations.slice(0, shownIterate + 1).map(record => record.x)];
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.lineWidth = 1.5;
       ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
+      path.forEach(([x, y], idx) => {
+        const p = toCanvas(x, y);
+        if (idx === 0) {
+          ctx.moveTo(p.x, p.y);
+        } else {
+          ctx.lineTo(p.x, p.y);
+        }
+      });
       ctx.stroke();
-    }
+      ctx.fillStyle = 'white';
+      path.forEach(([x, y], idx) => {
+        const p = toCanvas(x, y);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, idx === 0 ? 5 : 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      // Start point being dragged, not solved from yet
+      if (dragStart) {
+        const p = toCanvas(dragStart.x, dragStart.y);
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+      }
 
-    for (let y = 0; y <= height; y += 40) {
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
-    }
+      const here = toCanvas(point[0], point[1]);
+      drawPoint(ctx, here);
 
-    // Draw objective function surface (paraboloid)
-    if (showConstraint) {
-      const gridSize = 3;
-      const step = 0.3;
-      
-      for (let x = -gridSize; x <= gridSize; x += step) {
-        for (let y = -gridSize; y <= gridSize; y += step) {
-          const z = objectiveFunction(x, y);
-          
-          if (z < 20) { // Only draw reasonable values
-            const intensity = Math.min(z / 15, 1);
-            ctx.fillStyle = `rgba(${Math.floor(100 + intensity * 100)}, ${Math.floor(100 - intensity * 50)}, ${Math.floor(200 - intensity * 100)}, 0.3)`;
-            
-            const p = project3D(x, y, z, centerX, centerY, scale, rotation);
+      if (showGradients) {
+        arrows.forEach(({ vector, color, label }) => {
+          const tip = toCanvas(point[0] + vector[0] * arrowScale, point[1] + vector[1] * arrowScale);
+          drawArrow(ctx, here.x, here.y, tip.x, tip.y, color, label);
+        });
+      }
+    } else {
+      const frame = { centerX: width / 2, centerY: height * 0.6, scale: 130 / range, rotation };
+      const lift = (x, y) => grid.height(problem.f([x, y])) * range * 1.2;
+      const project = (x, y) => project3D(x, y, lift(x, y), frame);
+
+      // Objective surface as a point cloud
+      if (showConstraint) {
+        for (let i = 0; i < ys.length; i += 2) {
+          for (let j = 0; j < xs.length; j += 2) {
+            const t = grid.height(values[i][j]);
+            const p = project3D(xs[j], ys[i], t * range * 1.2, frame);
+            ctx.fillStyle = heightColor(t, 0.35);
             ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
           }
         }
       }
-    }
 
-    // Draw constraint line (elevated on the surface)
-    ctx.strokeStyle = 'rgba(251, 146, 60, 0.8)';
-    ctx.lineWidth = 4;
-    ctx.shadowBlur = 10;
-    ctx.shadowColor = 'rgba(251, 146, 60, 0.5)';
-    ctx.beginPath();
-    
-    for (let x = -2; x <= 4; x += 0.1) {
-      const y = 2 - x; // Constraint line
-      const z = objectiveFunction(x, y);
-      const p = project3D(x, y, z, centerX, centerY, scale, rotation);
-      
-      if (x === -2) {
-        ctx.moveTo(p.x, p.y);
-      } else {
-        ctx.lineTo(p.x, p.y);
+      // Constraint curves lifted onto the surface
+      ctx.shadowBlur = 10;
+      boundaries.forEach((segments, k) => {
+        ctx.strokeStyle = CONSTRAINT_COLORS[k];
+        ctx.shadowColor = CONSTRAINT_COLORS[k];
+        ctx.lineWidth = kkt.active[k] ? 4 : 2;
+        ctx.setLineDash(kkt.active[k] ? [] : [8, 6]);
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+          const p = project(a.x, a.y);
+          const q = project(b.x, b.y);
+          ctx.moveTo(p.x, p.y);
+          ctx.lineTo(q.x, q.y);
+        });
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+      ctx.shadowBlur = 0;
+
+      // Gradients drawn in the horizontal plane through the point
+      const z = lift(point[0], point[1]);
+      const here = project3D(point[0], point[1], z, frame);
+      drawPoint(ctx, here);
+
+      if (showGradients) {
+        arrows.forEach(({ vector, color, label }) => {
+          const tip = project3D(point[0] + vector[0] * arrowScale, point[1] + vector[1] * arrowScale, z, frame);
+          drawArrow(ctx, here.x, here.y, tip.x, tip.y, color, label);
+        });
       }
     }
-    ctx.stroke();
-    ctx.shadowBlur = 0;
-
-    // Draw solution point
-    const solZ = objectiveFunction(solution.x, solution.y);
-    const solP = project3D(solution.x, solution.y, solZ, centerX, centerY, scale, rotation);
-    
-    // Glow effect
-    const gradient = ctx.createRadialGradient(
-      solP.x, solP.y, 0,
-      solP.x, solP.y, 20
-    );
-    gradient.addColorStop(0, 'rgba(34, 197, 94, 0.8)');
-    gradient.addColorStop(0.5, 'rgba(34, 197, 94, 0.4)');
-    gradient.addColorStop(1, 'rgba(34, 197, 94, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(solP.x, solP.y, 20, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Point itself
-    ctx.fillStyle = '#22c55e';
-    ctx.beginPath();
-    ctx.arc(solP.x, solP.y, 8, 0, Math.PI * 2);
-    ctx.fill();
-    
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    // Draw gradients if enabled
-    if (showGradients) {
-      const arrowScale = 0.8;
-      
-      // Gradient of f (objective)
-      const gradF = gradientF(solution.x, solution.y);
-      const gradFEnd = {
-        x: solution.x + gradF.dx * arrowScale,
-        y: solution.y + gradF.dy * arrowScale,
-        z: solZ
-      };
-      
-      const pStart = project3D(solution.x, solution.y, solZ, centerX, centerY, scale, rotation);
-      const pEnd = project3D(gradFEnd.x, gradFEnd.y, gradFEnd.z, centerX, centerY, scale, rotation);
-      
-      drawArrow(ctx, pStart.x, pStart.y, pEnd.x, pEnd.y, '#06b6d4', '∇f');
-      
-      // Gradient of g (constraint)
-      const gradG = gradientG(solution.x, solution.y);
-      const gradGEnd = {
-        x: solution.x + gradG.dx * arrowScale,
-        y: solution.y + gradG.dy * arrowScale,
-        z: solZ
-      };
-      
-      const pEndG = project3D(gradGEnd.x, gradGEnd.y, gradGEnd.z, centerX, centerY, scale, rotation);
-      
-      drawArrow(ctx, pStart.x, pStart.y, pEndG.x, pEndG.y, '#ec4899', '∇g');
-      
-      // Lambda * gradient of g (scaled)
-      const lambdaGradG = {
-        x: solution.x + gradG.dx * lambda * arrowScale,
-        y: solution.y + gradG.dy * lambda * arrowScale,
-        z: solZ
-      };
-      
-      const pLambda = project3D(lambdaGradG.x, lambdaGradG.y, lambdaGradG.z, centerX, centerY, scale, rotation);
-      
-      drawArrow(ctx, pStart.x, pStart.y, pLambda.x, pLambda.y, '#8b5cf6', 'λ∇g');
-    }
 
-    // Draw labels
+    // Label
     ctx.fillStyle = 'white';
-    ctx.font = 'bold 16px sans-serif';
-    ctx.fillText('Optimal Point', solP.x + 15, solP.y - 15);
-    
-    // Draw constraint line label
-    const labelX = 2, labelY = 0;
-    const labelZ = objectiveFunction(labelX, labelY);
-    const labelP = project3D(labelX, labelY, labelZ, centerX, centerY, scale, rotation);
-    
-    ctx.fillStyle = 'rgba(251, 146, 60, 1)';
     ctx.font = 'bold 14px sans-serif';
-    ctx.fillText('Constraint: x + y = 2', labelP.x + 10, labelP.y);
-
-  }, [lambda, showGradients, showConstraint, rotation]);
-
-  // Helper to draw arrow
-  const drawArrow = (ctx, fromX, fromY, toX, toY, color, label) => {
-    ctx.strokeStyle = color;
-    ctx.fillStyle = color;
-    ctx.lineWidth = 3;
-    
-    ctx.beginPath();
-    ctx.moveTo(fromX, fromY);
-    ctx.lineTo(toX, toY);
-    ctx.stroke();
-    
-    // Arrowhead
-    const angle = Math.atan2(toY - fromY, toX - fromX);
-    const headLen = 12;
-    
-    ctx.beginPath();
-    ctx.moveTo(toX, toY);
-    ctx.lineTo(
-      toX - headLen * Math.cos(angle - Math.PI / 6),
-      toY - headLen * Math.sin(angle - Math.PI / 6)
+    ctx.fillText(
+      shownIterate === lastIterate ? solverStatus.label : `Iteration ${shownIterate + 1}`,
+      12,
+      22
     );
-    ctx.lineTo(
-      toX - headLen * Math.cos(angle + Math.PI / 6),
-      toY - headLen * Math.sin(angle + Math.PI / 6)
+  }, [grid, problem, solution, solverStatus, point, multipliers, kkt, shownIterate, lastIterate, start, dragStart, range, view, rotation, showGradients, showConstraint]);
+
+  const applyDraft = (next) => {
+    setDraft(next);
+    if (buildProblem(next.objective, next.constraints).problem) {
+      setObjective(next.objective);
+      setConstraints(next.constraints);
+      setIterate(null);
+    }
+  };
+
+  const handleConstraintChange = (index, value) => {
+    applyDraft({ ...draft, constraints: draft.constraints.map((source, i) => (i === index ? value : source)) });
+  };
+
+  const handleAddConstraint = () => {
+    applyDraft({ ...draft, constraints: [...draft.constraints, 'x >= 0'] });
+  };
+
+  const handleRemoveConstraint = (index) => {
+    applyDraft({ ...draft, constraints: draft.constraints.filter((_, i) => i !== index) });
+  };
+
+  // Pointer position in math coordinates on the contour map
+  const pointerPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return contourFrame(canvas, range).fromCanvas(
+      ((e.clientX - rect.left) * canvas.width) / rect.width,
+      ((e.clientY - rect.top) * canvas.height) / rect.height
     );
-    ctx.closePath();
-    ctx.fill();
-    
-    // Label
-    ctx.fillStyle = color;
-    ctx.font = 'bold 13px sans-serif';
-    ctx.fillText(label, toX + 8, toY - 8);
+  };
+
+  // Click or drag on the contour map to move the start; the solver restarts on release
+  const handlePointerDown = (e) => {
+    if (view !== 'contour') return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDragStart(pointerPoint(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragStart) setDragStart(pointerPoint(e));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragStart) return;
+    setStart(pointerPoint(e));
+    setDragStart(null);
+    setIterate(null);
   };
 
   const handleReset = () => {
-    setLambda(1.5);
+    setObjective(PARAMS.objective.default);
+    setConstraints(PARAMS.constraints.default);
+    setStart(PARAMS.start.default);
+    setRange(PARAMS.range.default);
     setRotation(45);
     setShowGradients(true);
     setShowConstraint(true);
+    setIterate(null);
   };
 
-  const checkAlignment = () => {
-    // Check if ∇f ≈ λ∇g
-    const gradF = gradientF(solution.x, solution.y);
-    const gradG = gradientG(solution.x, solution.y);
-    
-    const diff = Math.sqrt(
-      Math.pow(gradF.dx - lambda * gradG.dx, 2) +
-      Math.pow(gradF.dy - lambda * gradG.dy, 2)
-    );
-    
-    return diff < 0.5;
-  };
-
-  const isAligned = checkAlignment();
+  const conditions = [
+    { name: 'Stationarity', formula: '∇f = Σ λᵢ∇cᵢ', residual: kkt.stationarity },
+    { name: 'Primal feasibility', formula: 'cᵢ = 0 or cᵢ ≥ 0', residual: kkt.feasibility },
+    { name: 'Dual feasibility', formula: 'λᵢ ≥ 0 for inequalities', residual: kkt.dualFeasibility },
+    { name: 'Complementary slackness', formula: 'λᵢcᵢ = 0 for inequalities', residual: kkt.complementarity }
+  ];
 
   return (
     <div className="p-6 md:p-8">
@@ -273,8 +494,49 @@ export const LagrangeMultipliers = ({ onClose }) => {
                 ref={canvasRef}
                 width={600}
                 height={500}
-                className="w-full rounded-lg"
+                className={`w-full rounded-lg ${view === 'contour' ? 'cursor-crosshair' : ''}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => setDragStart(null)}
               />
+
+              {/* View toggle */}
+              <div className="mt-3 md:mt-4 grid grid-cols-2 gap-2">
+                {[['contour', '🗺️ Contour Map'], ['surface', '🏔️ 3D Surface']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setView(key)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
+                      view === key
+                        ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {view === 'surface' ? (
+                <div className="mt-3 md:mt-4">
+                  <label className="block text-xs font-semibold text-gray-400 mb-2">
+                    View Rotation: {rotation}°
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="360"
+                    value={rotation}
+                    onChange={(e) => setRotation(Number(e.target.value))}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              ) : (
+                <p className="mt-3 text-xs text-gray-500">
+                  Click or drag on the map to move the start; the solver reruns when you let go. Shaded areas break an inequality; active constraints are solid, slack ones dashed.
+                </p>
+              )}
             </div>
 
             {/* Problem Statement */}
@@ -285,56 +547,159 @@ export const LagrangeMultipliers = ({ onClose }) => {
               <div className="space-y-2 text-sm font-mono">
                 <div>
                   <span className="text-cyan-400">Minimize:</span>
-                  <span className="text-white ml-2">f(x,y) = x² + y²</span>
+                  <span className="text-white ml-2">f(x,y) = {problem.source}</span>
                 </div>
                 <div>
                   <span className="text-orange-400">Subject to:</span>
-                  <span className="text-white ml-2">g(x,y) = x + y - 2 = 0</span>
+                  {problem.constraints.length === 0 && <span className="text-gray-500 ml-2">nothing (unconstrained)</span>}
+                  {problem.constraints.map((constraint, i) => (
+                    <div key={i} className="ml-4">
+                      <span className={CONSTRAINT_TEXT[i]}>c{SUBSCRIPTS[i]}:</span>
+                      <span className="text-white ml-2">{constraint.source}</span>
+                      <span className="text-gray-500 ml-2">({constraint.type})</span>
+                    </div>
+                  ))}
                 </div>
                 <div className="pt-2 border-t border-white/10">
                   <span className="text-purple-400">Lagrangian:</span>
-                  <span className="text-white ml-2">L(x,y,λ) = x² + y² + λ(x + y - 2)</span>
+                  <span className="text-white ml-2">L(x,y,λ) = f(x,y) − Σ λᵢcᵢ(x,y)</span>
+                  <p className="text-xs text-gray-500 mt-1 font-sans">
+                    Each constraint is rewritten as cᵢ = 0 or cᵢ ≥ 0, so at a KKT point ∇f = Σ λᵢ∇cᵢ with λᵢ ≥ 0 for inequalities.
+                  </p>
                 </div>
                 <div className="pt-2">
                   <span className="text-emerald-400">Solution:</span>
-                  <span className="text-white ml-2">x = 1, y = 1, λ = 2</span>
+                  <span className="text-white ml-2">
+                    x = {formatValue(point[0])}, y = {formatValue(point[1])}, f = {formatValue(problem.f(point))}
+                  </span>
                 </div>
               </div>
             </div>
+
+            {/* Multipliers */}
+            {problem.constraints.length > 0 && (
+              <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                  Constraints and Multipliers
+                </h3>
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-normal pb-1">Constraint</th>
+                      <th className="text-right font-normal pb-1">cᵢ(x)</th>
+                      <th className="text-right font-normal pb-1">λᵢ</th>
+                      <th className="text-right font-normal pb-1">λᵢcᵢ</th>
+                      <th className="text-right font-normal pb-1">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {problem.constraints.map((constraint, i) => (
+                      <tr key={i} className="border-t border-white/5">
+                        <td className={`py-1 ${CONSTRAINT_TEXT[i]}`}>c{SUBSCRIPTS[i]}: {constraint.source}</td>
+                        <td className="py-1 text-right text-white">{formatValue(constraintValues[i], 4)}</td>
+                        <td className="py-1 text-right text-white">{formatValue(multipliers[i], 4)}</td>
+                        <td className="py-1 text-right text-white">
+                          {constraint.type === 'inequality' ? formatValue(multipliers[i] * constraintValues[i], 4) : '—'}
+                        </td>
+                        <td className="py-1 text-right">
+                          {constraint.type === 'equality' ? (
+                            <span className="text-gray-400">equality</span>
+                          ) : kkt.active[i] ? (
+                            <span className="text-orange-300">active</span>
+                          ) : (
+                            <span className="text-gray-500">inactive</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  An inactive inequality does not shape the answer, so complementary slackness forces its λ to 0; an active one pushes back with λ &gt; 0.
+                  λᵢ is also the rate at which the optimal f changes as constraint i is relaxed.
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Controls */}
           <div className="space-y-3">
-            {/* Lambda Control */}
-            <div>
-              <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
-                Lambda (λ): {lambda.toFixed(2)}
+            {/* Objective */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+              <label className="block text-xs font-semibold text-gray-300">
+                Minimize f(x, y) =
               </label>
               <input
-                type="range"
-                min="0"
-                max="4"
-                step="0.1"
-                value={lambda}
-                onChange={(e) => setLambda(Number(e.target.value))}
-                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                type="text"
+                value={draft.objective}
+                maxLength={MAX_EXPRESSION_LENGTH}
+                onChange={(e) => applyDraft({ ...draft, objective: e.target.value })}
+                spellCheck={false}
+                className={`w-full px-2 py-1.5 bg-white/5 border rounded-lg text-xs font-mono ${
+                  draftErrors.objective ? 'border-red-500/60' : 'border-white/10'
+                }`}
               />
-              <p className="text-xs text-gray-500 mt-1">
-                {Math.abs(lambda - 2) < 0.3 ? '✅ Near optimal!' : '⚠️ Try λ ≈ 2'}
+              <p className={`text-xs ${draftErrors.objective ? 'text-red-400' : 'text-gray-500'}`}>
+                {draftErrors.objective || 'Use + - * / ^, sin cos exp log sqrt abs …, pi and e. 2x means 2·x.'}
               </p>
             </div>
 
-            {/* Rotation Control */}
+            {/* Constraints */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+              <label className="block text-xs font-semibold text-gray-300">
+                Subject to
+              </label>
+              {draft.constraints.map((source, i) => (
+                <div key={i}>
+                  <div className="flex items-center gap-2">
+                    <span className={`text-xs font-mono ${CONSTRAINT_TEXT[i]}`}>c{SUBSCRIPTS[i]}</span>
+                    <input
+                      type="text"
+                      value={source}
+                      maxLength={MAX_EXPRESSION_LENGTH}
+                      onChange={(e) => handleConstraintChange(i, e.target.value)}
+                      spellCheck={false}
+                      className={`flex-1 min-w-0 px-2 py-1.5 bg-white/5 border rounded-lg text-xs font-mono ${
+                        draftErrors.constraints[i] ? 'border-red-500/60' : 'border-white/10'
+                      }`}
+                    />
+                    <button
+                      onClick={() => handleRemoveConstraint(i)}
+                      className="px-2 py-1 rounded-lg text-xs bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10"
+                      title="Remove constraint"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  {draftErrors.constraints[i] && (
+                    <p className="text-xs text-red-400 mt-1">{draftErrors.constraints[i]}</p>
+                  )}
+                </div>
+              ))}
+              <button
+                onClick={handleAddConstraint}
+                disabled={draft.constraints.length >= MAX_CONSTRAINTS}
+                className="w-full px-2 py-1.5 rounded-lg text-xs bg-white/5 border border-white/10 text-gray-300 hover:bg-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                + Add Constraint
+              </button>
+              <p className="text-xs text-gray-500">
+                Write lhs = rhs, lhs &lt;= rhs or lhs &gt;= rhs, e.g. x^2 + y^2 &lt;= 4.
+              </p>
+            </div>
+
+            {/* Window */}
             <div>
               <label className="block text-xs font-semibold text-gray-300 mb-2">
-                View Rotation: {rotation}°
+                Window: ±{range}
               </label>
               <input
                 type="range"
-                min="0"
-                max="360"
-                value={rotation}
-                onChange={(e) => setRotation(Number(e.target.value))}
+                min="1"
+                max="10"
+                step="0.5"
+                value={range}
+                onChange={(e) => setRange(Number(e.target.value))}
                 className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
               />
             </div>
@@ -369,53 +734,61 @@ export const LagrangeMultipliers = ({ onClose }) => {
               Reset
             </button>
 
-            {/* Alignment Status */}
-            <div className={`rounded-xl border p-3 ${
-              isAligned 
-                ? 'bg-emerald-500/10 border-emerald-500/30' 
-                : 'bg-orange-500/10 border-orange-500/30'
-            }`}>
+            {/* Solver Status */}
+            <div className={`rounded-xl border p-3 ${solverStatus.panel}`}>
               <div className="flex items-center gap-2 mb-1.5">
-                <span className="text-xl">{isAligned ? '✅' : '⚠️'}</span>
-                <h3 className={`text-xs font-bold ${
-                  isAligned ? 'text-emerald-400' : 'text-orange-400'
-                }`}>
-                  {isAligned ? 'Gradients Aligned!' : 'Not at Optimum'}
+                <span className="text-xl">{solverStatus.icon}</span>
+                <h3 className={`text-xs font-bold ${solverStatus.text}`}>
+                  {solverStatus.title}
                 </h3>
               </div>
               <p className="text-xs text-gray-300 leading-relaxed">
-                {isAligned 
-                  ? 'When ∇f = λ∇g, we\'ve found the constrained optimum. The gradients point in the same direction!'
-                  : 'At the optimum, ∇f must be parallel to ∇g. Adjust λ to see them align.'}
+                {solution.status === 'converged' &&
+                  `The augmented Lagrangian method converged after ${lastIterate + 1} outer iterations (${innerSteps} BFGS steps).`}
+                {solution.status === 'left-domain' &&
+                  `After ${lastIterate + 1} outer iterations the solver reached a point where f or a constraint is undefined, such as the log or square root of a negative number. Start inside the domain, or add a constraint that keeps the iterates there.`}
+                {solverStatus === SOLVER_STATUS.stopped &&
+                  `The solver stopped after ${lastIterate + 1} outer iterations. The problem may be unbounded or infeasible - try another start or fewer constraints.`}
               </p>
             </div>
 
-            {/* Gradient Info */}
-            {showGradients && (
-              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
-                <h3 className="text-xs font-semibold text-gray-400 mb-2">
-                  Gradient Values at (1,1)
-                </h3>
-                <div className="space-y-1.5 text-xs font-mono">
-                  <div className="flex justify-between">
-                    <span className="text-cyan-400">∇f:</span>
-                    <span className="text-white">(2, 2)</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-pink-400">∇g:</span>
-                    <span className="text-white">(1, 1)</span>
-                  </div>
-                  <div className="flex justify-between border-t border-white/10 pt-1.5">
-                    <span className="text-purple-400">λ∇g:</span>
-                    <span className="text-white">({lambda.toFixed(1)}, {lambda.toFixed(1)})</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">Difference:</span>
-                    <span className="text-white">{Math.abs(2 - lambda).toFixed(2)}</span>
+            {/* Outer Iterations */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-2">
+                Outer Iteration: {shownIterate + 1} / {lastIterate + 1}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={lastIterate}
+                value={shownIterate}
+                onChange={(e) => setIterate(Number(e.target.value))}
+                disabled={lastIterate === 0}
+                className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Each iteration minimizes f − Σλᵢcᵢ + (ρ/2)Σcᵢ² with BFGS, then updates λᵢ ← λᵢ − ρcᵢ. Penalty here: ρ = {rho < 1e4 ? rho : rho.toExponential(0)}.
+              </p>
+            </div>
+
+            {/* KKT Conditions */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+              <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                KKT Conditions
+              </h3>
+              <div className="space-y-1.5 text-xs">
+                {conditions.map(({ name, formula, residual }) => (
+                  <div key={name} className="flex items-start justify-between gap-2">
+                    <div>
+                      <span className="mr-1">{residual <= KKT_TOLERANCE ? '✅' : '❌'}</span>
+                      <span className="text-gray-300">{name}</span>
+                      <div className="text-gray-500 font-mono ml-5">{formula}</div>
+                    </div>
+                    <span className="text-white font-mono">{residual.toExponential(1)}</span>
                   </div>
-                </div>
+                ))}
               </div>
-            )}
+            </div>
 
             {/* Legend */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-3">
@@ -425,23 +798,23 @@ export const LagrangeMultipliers = ({ onClose }) => {
               <div className="space-y-1.5 text-xs">
                 <div className="flex items-center gap-2">
                   <div className="w-3 h-3 rounded-full bg-emerald-500"></div>
-                  <span className="text-gray-400">Optimal point (1, 1)</span>
+                  <span className="text-gray-400">Solver iterate</span>
                 </div>
                 <div className="flex items-center gap-2">
-                  <div className="w-6 h-1 bg-orange-500 rounded"></div>
-                  <span className="text-gray-400">Constraint line</span>
+                  <div className="w-6 h-1 bg-white rounded"></div>
+                  <span className="text-gray-400">Outer iterations from the start</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-1 bg-cyan-500 rounded"></div>
                   <span className="text-gray-400">∇f (objective gradient)</span>
                 </div>
                 <div className="flex items-center gap-2">
-                  <div className="w-6 h-1 bg-pink-500 rounded"></div>
-                  <span className="text-gray-400">∇g (constraint gradient)</span>
+                  <div className="w-6 h-1 bg-orange-400 rounded"></div>
+                  <span className="text-gray-400">λᵢ∇cᵢ (constraint colors)</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-1 bg-purple-500 rounded"></div>
-                  <span className="text-gray-400">λ∇g (scaled gradient)</span>
+                  <span className="text-gray-400">Σλᵢ∇cᵢ - matches ∇f at a KKT point</span>
                 </div>
               </div>
             </div>
@@ -459,7 +832,7 @@ export const LagrangeMultipliers = ({ onClose }) => {
           cursor: pointer;
           box-shadow: 0 0 10px rgba(139, 92, 246, 0.5);
         }
-        
+
         .slider::-moz-range-thumb {
           width: 20px;
           height: 20px;
@@ -472,4 +845,4 @@ export const LagrangeMultipliers = ({ onClose }) => {
       `}</style>
     </div>
   );
-};
\ No newline at end of file
+};
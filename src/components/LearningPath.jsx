@@ -0,0 +1,110 @@
+/**
+ * LEARNING PATH PAGE
+ *
+ * Shows the ordered list of concepts to study in order to reach a target
+ * concept, based on the registry's prerequisite graph.
+ */
+
+import React from 'react';
+import registry from '../core/ConceptRegistry.js';
+import { estimateLearningTime } from '../utils/conceptUtils.js';
+import { ConceptCard } from './ui/ConceptCard.jsx';
+
+/**
+ * LearningPath Component
+ *
+ * @param {Object} props
+ * @param {string} props.targetId - ID of the concept to reach
+ * @param {Set} props.completedConcepts - Set of completed concept IDs
+ * @param {Function} props.onConceptClick - Handler for clicking a concept in the path
+ * @param {Function} props.onBack - Handler for leaving the page
+ */
+export const LearningPath = ({
+  targetId,
+  completedConcepts = new Set(),
+  onConceptClick,
+  onBack
+}) => {
+  const target = registry.get(targetId);
+
+  if (!target) {
+    return (
+      <div className="min-h-screen bg-slate-950 text-white flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold mb-4">Concept Not Found</h1>
+          <p className="text-gray-400">The concept "{targetId}" does not exist.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const path = registry.generateLearningPath(targetId, completedConcepts);
+  const estimatedTime = estimateLearningTime(targetId, completedConcepts);
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white">
+      {/* Header */}
+      <header className="border-b border-white/10 bg-slate-900/50 backdrop-blur-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-6">
+          {onBack && (
+            <button
+              onClick={onBack}
+              className="text-sm text-gray-400 hover:text-white flex items-center gap-2 transition-colors mb-3"
+            >
+              ← Back to Home
+            </button>
+          )}
+          <h1 className="text-3xl font-bold mb-2">🗺️ Path to {target.name}</h1>
+          <div className="flex items-center gap-4 text-sm text-gray-400">
+            <span>{path.length} step{path.length === 1 ? '' : 's'}</span>
+            <span>⏱️ {estimatedTime}</span>
+          </div>
+        </div>
+      </header>
+
+      {/* Steps */}
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        {path.length === 0 ? (
+          <div className="bg-emerald-500/10 border border-emerald-500/30 rounded-xl p-6 text-emerald-300">
+            ✅ You have already completed everything on this path.
+          </div>
+        ) : (
+          <ol className="space-y-3">
+            {path.map((id, idx) => {
+              const concept = registry.get(id);
+
+              return (
+                <li key={id} className="flex gap-4 items-start">
+                  <span className="flex-shrink-0 w-8 h-8 rounded-full bg-white/5 border border-white/10 flex items-center justify-center text-sm font-mono text-gray-400">
+                    {idx + 1}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    {concept ? (
+                      <ConceptCard
+                        concept={concept}
+                        size="small"
+                        isCompleted={completedConcepts.has(id)}
+                        onClick={() => onConceptClick && onConceptClick(concept)}
+                      />
+                    ) : (
+                      <div className="p-3 rounded-xl border border-dashed border-white/10 text-sm text-gray-500">
+                        {registry.isStub(id) ? (
+                          <span className="text-gray-300">{registry.getStub(id).name}</span>
+                        ) : (
+                          <span className="font-mono">{id}</span>
+                        )}
+                        <span className="ml-2">— external prerequisite, no lesson available yet</span>
+                      </div>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LearningPath;
@@ -0,0 +1,830 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { sampleGrid, contourSegments, contourLevels } from '../math/surfaces.js';
+import {
+  halfPlaneThrough,
+  feasiblePolygon,
+  slacks,
+  simplex,
+  barrierMethod,
+  isQuadraticForm,
+  semidefiniteForm
+} from '../math/programming.js';
+import { dot } from '../math/vectors.js';
+
+const MAX_CONSTRAINTS = 10;
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+const isVector = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+
+// Each row [a₁, a₂, b] is the half-plane a₁x + a₂y ≤ b
+const isConstraintList = (value) => (
+  Array.isArray(value) && value.length <= MAX_CONSTRAINTS &&
+  value.every(row => Array.isArray(row) && row.length === 3 && row.every(Number.isFinite))
+);
+
+// x, y ≥ 0, x + y ≤ 4, x + 2y ≤ 6, x ≤ 3
+const DEFAULT_CONSTRAINTS = [[-1, 0, 0], [0, -1, 0], [1, 1, 4], [1, 2, 6], [1, 0, 3]];
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  objectiveType: param.oneOf(['linear', 'quadratic'], 'linear'),
+  cost: param.json([-3, -2], isVector),
+  quadratic: param.json([[1, 0], [0, 1]], isQuadraticForm),
+  constraints: param.json(DEFAULT_CONSTRAINTS, isConstraintList),
+  method: param.oneOf(['simplex', 'interior-point'], 'simplex'),
+  start: param.json({ x: 0.5, y: 0.5 }, isPoint)
+};
+
+const METHODS = {
+  simplex: {
+    name: 'Simplex',
+    description: 'Hop from vertex to vertex along edges of the polygon, always lowering the cost, until no edge leads downhill.'
+  },
+  'interior-point': {
+    name: 'Interior Point',
+    description: 'Minimize t·f(x) − Σ log(slack) with Newton steps, then raise t. The centers trace the central path to the optimum from inside.'
+  }
+};
+
+// How a finished solve is reported, keyed by solver status
+const STATUS = {
+  optimal: { icon: '🎯', title: 'Optimal', panel: 'bg-emerald-500/10 border-emerald-500/30', text: 'text-emerald-400' },
+  unbounded: { icon: '♾️', title: 'Unbounded', panel: 'bg-amber-500/10 border-amber-500/30', text: 'text-amber-400' },
+  infeasible: { icon: '🚫', title: 'Infeasible', panel: 'bg-red-500/10 border-red-500/30', text: 'text-red-400' },
+  'no-interior': { icon: '📏', title: 'No Interior', panel: 'bg-cyan-500/10 border-cyan-500/30', text: 'text-cyan-400' },
+  'iteration-limit': { icon: '⏱️', title: 'Iteration Limit Reached', panel: 'bg-amber-500/10 border-amber-500/30', text: 'text-amber-400' }
+};
+
+const VIEW = { x: [-1.5, 6.5], y: [-1.5, 4.5] };
+const GRID_RESOLUTION = 50;
+const CONTOUR_COUNT = 12;
+const CLICK_DISTANCE = 8; // pixels a drag must cover to add a constraint rather than move the start
+const FRAME_MS = { simplex: 800, 'interior-point': 120 };
+const ACTIVE_TOLERANCE = 1e-6;
+
+// Math coordinates ↔ canvas pixels, keeping the aspect ratio
+const getFrame = (canvas) => {
+  const unit = Math.min(canvas.width / (VIEW.x[1] - VIEW.x[0]), canvas.height / (VIEW.y[1] - VIEW.y[0]));
+  return {
+    unit,
+    toCanvas: (x, y) => ({ x: (x - VIEW.x[0]) * unit, y: canvas.height - (y - VIEW.y[0]) * unit }),
+    fromCanvas: (px, py) => [VIEW.x[0] + px / unit, VIEW.y[0] + (canvas.height - py) / unit]
+  };
+};
+
+// Two decimals, with a proper minus sign and no "-0"
+const formatNumber = (value) => String(Number(value.toFixed(2)) || 0).replace('-', '−');
+
+// a₁x + a₂y ≤ b, dropping zero terms and unit coefficients
+const formatConstraint = ([a1, a2, b]) => {
+  const terms = [[a1, 'x'], [a2, 'y']].filter(([value]) => Number(value.toFixed(2)) !== 0);
+  const lhs = terms.map(([value, name], i) => {
+    const magnitude = Math.abs(value) === 1 ? '' : formatNumber(Math.abs(value));
+    const sign = value < 0 ? (i === 0 ? '−' : ' − ') : (i === 0 ? '' : ' + ');
+    return `${sign}${magnitude}${name}`;
+  }).join('');
+  return `${lhs || '0'} ≤ ${formatNumber(b)}`;
+};
+
+const formatPoint = (x) => `(${formatNumber(x[0])}, ${formatNumber(x[1])})`;
+
+export const LinearProgramming = ({ config }) => {
+  const canvasRef = useRef(null);
+  const [objectiveType, setObjectiveType] = usePermalinkState(PARAMS, 'objectiveType', config);
+  const [cost, setCost] = usePermalinkState(PARAMS, 'cost', config);
+  const [quadratic, setQuadratic] = usePermalinkState(PARAMS, 'quadratic', config);
+  const [rows, setRows] = usePermalinkState(PARAMS, 'constraints', config);
+  const [method, setMethod] = usePermalinkState(PARAMS, 'method', config);
+  const [start, setStart] = usePermalinkState(PARAMS, 'start', config);
+  const [step, setStep] = useState(null); // iterate on display, null for the last
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [drag, setDrag] = useState(null); // {from, to} while a new constraint is being drawn
+
+  const isQuadratic = objectiveType === 'quadratic';
+  // The simplex method only applies to linear objectives
+  const activeMethod = isQuadratic ? 'interior-point' : method;
+  const constraints = useMemo(() => rows.map(([a1, a2, b]) => ({ a: [a1, a2], b })), [rows]);
+
+  const objective = useMemo(() => {
+    const Q = isQuadratic ? quadratic : null;
+    return {
+      c: cost,
+      Q,
+      f: (x) => dot(cost, x) + (Q ? 0.5 * dot(x, Q.map(row => dot(row, x))) : 0)
+    };
+  }, [cost, quadratic, isQuadratic]);
+
+  const result = useMemo(() => {
+    const startPoint = [start.x, start.y];
+    if (activeMethod === 'simplex') {
+      const solved = simplex(objective.c, constraints, { start: startPoint });
+      return { ...solved, frames: solved.steps.map(s => s.x) };
+    }
+    const solved = barrierMethod({ c: objective.c, Q: objective.Q }, constraints, startPoint);
+    return { ...solved, frames: solved.iterates.map(i => i.x) };
+  }, [activeMethod, objective, constraints, start]);
+
+  const lastStep = result.frames.length - 1;
+  const shownStep = step === null ? lastStep : Math.min(step, lastStep);
+  const current = shownStep >= 0 ? result.frames[shownStep] : null;
+  const isFinal = shownStep === lastStep;
+
+  // Feasible polygon and cost contours over the view
+  const scene = useMemo(() => {
+    const grid = sampleGrid((x, y) => objective.f([x, y]), VIEW, GRID_RESOLUTION);
+    const levels = contourLevels(grid.min, grid.max, CONTOUR_COUNT);
+    return {
+      polygon: feasiblePolygon(constraints, VIEW),
+      contours: levels.map(level => contourSegments(grid, level)),
+      grid
+    };
+  }, [objective, constraints]);
+
+  // Changing the problem shows the new solution; Play replays it from the start
+  useEffect(() => {
+    setStep(null);
+    setIsPlaying(false);
+  }, [result]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => {
+      setStep(prev => {
+        const next = (prev ?? 0) + 1;
+        if (next >= lastStep) {
+          setIsPlaying(false);
+          return null;
+        }
+        return next;
+      });
+    }, FRAME_MS[activeMethod]);
+    return () => clearInterval(interval);
+  }, [isPlaying, lastStep, activeMethod]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const { unit, toCanvas } = getFrame(canvas);
+
+    // Boundary line of a half-plane, with a red band on its infeasible side
+    const drawHalfPlane = ({ a, b }, color, lineWidth, dashed = false) => {
+      const length = Math.hypot(a[0], a[1]);
+      if (!(length > 0)) return;
+      const foot = [(a[0] * b) / (length * length), (a[1] * b) / (length * length)];
+      const along = [-a[1] / length, a[0] / length];
+      const span = 100;
+      const p = toCanvas(foot[0] - along[0] * span, foot[1] - along[1] * span);
+      const q = toCanvas(foot[0] + along[0] * span, foot[1] + along[1] * span);
+      // Canvas y points down, so the outward normal flips its second component
+      const offset = { x: (a[0] / length) * 5, y: (-a[1] / length) * 5 };
+
+      ctx.strokeStyle = 'rgba(248, 113, 113, 0.2)';
+      ctx.lineWidth = 8;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(p.x + offset.x, p.y + offset.y);
+      ctx.lineTo(q.x + offset.x, q.y + offset.y);
+      ctx.stroke();
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dashed ? [6, 5] : []);
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(q.x, q.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+
+    const drawDot = (x, color, radius) => {
+      const p = toCanvas(x[0], x[1]);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    };
+
+    // Clear
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid and axes
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
+    ctx.lineWidth = 1;
+    for (let x = Math.ceil(VIEW.x[0]); x <= VIEW.x[1]; x++) {
+      const p = toCanvas(x, 0);
+      ctx.beginPath();
+      ctx.moveTo(p.x, 0);
+      ctx.lineTo(p.x, height);
+      ctx.stroke();
+    }
+    for (let y = Math.ceil(VIEW.y[0]); y <= VIEW.y[1]; y++) {
+      const p = toCanvas(0, y);
+      ctx.beginPath();
+      ctx.moveTo(0, p.y);
+      ctx.lineTo(width, p.y);
+      ctx.stroke();
+    }
+    const origin = toCanvas(0, 0);
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(0, origin.y);
+    ctx.lineTo(width, origin.y);
+    ctx.moveTo(origin.x, 0);
+    ctx.lineTo(origin.x, height);
+    ctx.stroke();
+
+    // Feasible region
+    if (scene.polygon.length > 2) {
+      ctx.fillStyle = 'rgba(16, 185, 129, 0.18)';
+      ctx.strokeStyle = 'rgba(16, 185, 129, 0.6)';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      scene.polygon.forEach(([x, y], i) => {
+        const p = toCanvas(x, y);
+        if (i === 0) {
+          ctx.moveTo(p.x, p.y);
+        } else {
+          ctx.lineTo(p.x, p.y);
+        }
+      });
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Cost contours, plus the level through the current iterate
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    scene.contours.forEach(segments => {
+      ctx.beginPath();
+      segments.forEach(([a, b]) => {
+        const p = toCanvas(a.x, a.y);
+        const q = toCanvas(b.x, b.y);
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+      });
+      ctx.stroke();
+    });
+    if (current && Number.isFinite(objective.f(current))) {
+      ctx.strokeStyle = 'rgba(6, 182, 212, 0.8)';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      contourSegments(scene.grid, objective.f(current)).forEach(([a, b]) => {
+        const p = toCanvas(a.x, a.y);
+        const q = toCanvas(b.x, b.y);
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Constraints, highlighted while active at the current iterate
+    const currentSlacks = current ? slacks(constraints, current) : [];
+    constraints.forEach((constraint, i) => {
+      const active = current && Math.abs(currentSlacks[i]) <= ACTIVE_TOLERANCE * (1 + Math.abs(constraint.b));
+      drawHalfPlane(constraint, active ? '#fb923c' : 'rgba(203, 213, 225, 0.7)', active ? 3 : 1.5);
+
+      // Number the line near the middle of the view
+      const { a, b } = constraint;
+      const length2 = dot(a, a);
+      const center = [(VIEW.x[0] + VIEW.x[1]) / 2, (VIEW.y[0] + VIEW.y[1]) / 2];
+      const shift = (b - dot(a, center)) / length2;
+      const label = toCanvas(center[0] + a[0] * shift, center[1] + a[1] * shift);
+      ctx.fillStyle = active ? '#fb923c' : '#cbd5e1';
+      ctx.font = 'bold 12px sans-serif';
+      ctx.fillText(String(i + 1), label.x + 6, label.y - 6);
+    });
+
+    // Constraint being drawn
+    if (drag) {
+      const preview = halfPlaneThrough(drag.from, drag.to);
+      if (preview) drawHalfPlane(preview, '#f472b6', 2, true);
+    }
+
+    // Solver path up to the shown iterate
+    const path = result.frames.slice(0, shownStep + 1);
+    if (activeMethod === 'simplex') {
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      path.forEach(([x, y], i) => {
+        const p = toCanvas(x, y);
+        if (i === 0) {
+          ctx.moveTo(p.x, p.y);
+        } else {
+          ctx.lineTo(p.x, p.y);
+        }
+      });
+      ctx.stroke();
+      path.forEach(x => drawDot(x, '#fbbf24', 5));
+
+      // Unbounded: the improving edge runs off forever
+      if (result.status === 'unbounded' && isFinal) {
+        const from = toCanvas(current[0], current[1]);
+        const to = toCanvas(current[0] + result.ray[0] * 100, current[1] + result.ray[1] * 100);
+        ctx.strokeStyle = '#f59e0b';
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    } else {
+      path.forEach((x, i) => {
+        if (i === 0) return;
+        const iterate = result.iterates[i];
+        const p = toCanvas(path[i - 1][0], path[i - 1][1]);
+        const q = toCanvas(x[0], x[1]);
+        ctx.strokeStyle = iterate.phase === 1 ? '#f472b6' : '#06b6d4';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+        ctx.stroke();
+      });
+      // Central path: the center reached for each t
+      path.forEach((x, i) => {
+        if (result.iterates[i].centered) drawDot(x, '#a855f7', 4);
+      });
+    }
+
+    // Start point
+    const startPoint = toCanvas(start.x, start.y);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(startPoint.x, startPoint.y, 6, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Current iterate, a star once it is the optimum
+    if (current) {
+      const p = toCanvas(current[0], current[1]);
+      if (isFinal && result.status === 'optimal') {
+        ctx.fillStyle = '#34d399';
+        ctx.font = '22px sans-serif';
+        ctx.fillText('★', p.x - 8, p.y + 8);
+      } else if (p.x > -unit && p.x < width + unit && p.y > -unit && p.y < height + unit) {
+        drawDot(current, '#22c55e', 7);
+      }
+    }
+  }, [scene, constraints, objective, result, current, shownStep, isFinal, activeMethod, start, drag]);
+
+  // Pointer position in math coordinates
+  const pointerPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return getFrame(canvas).fromCanvas(
+      ((e.clientX - rect.left) * canvas.width) / rect.width,
+      ((e.clientY - rect.top) * canvas.height) / rect.height
+    );
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const point = pointerPoint(e);
+    setDrag({ from: point, to: point });
+  };
+
+  const handlePointerMove = (e) => {
+    if (drag) setDrag({ ...drag, to: pointerPoint(e) });
+  };
+
+  // A short press moves the start point; a drag adds the half-plane to the left of the stroke
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    const to = pointerPoint(e);
+    const { unit } = getFrame(canvasRef.current);
+    const moved = Math.hypot(to[0] - drag.from[0], to[1] - drag.from[1]) * unit;
+    setDrag(null);
+
+    if (moved < CLICK_DISTANCE) {
+      setStart({ x: Number(drag.from[0].toFixed(2)), y: Number(drag.from[1].toFixed(2)) });
+      return;
+    }
+    const constraint = halfPlaneThrough(drag.from, to);
+    if (constraint && rows.length < MAX_CONSTRAINTS) {
+      setRows([...rows, [...constraint.a, constraint.b].map(v => Number(v.toFixed(2)))]);
+    }
+  };
+
+  const handleFlip = (index) => {
+    setRows(rows.map((row, i) => (i === index ? row.map(v => -v || 0) : row)));
+  };
+
+  const handleRemove = (index) => {
+    setRows(rows.filter((_, i) => i !== index));
+  };
+
+  // Keep the quadratic form positive semidefinite: |q₁₂| ≤ √(q₁₁q₂₂)
+  const handleQuadraticChange = (entry, value) => {
+    const [[q11, q12], [, q22]] = quadratic;
+    const next = { q11, q12, q22, [entry]: value };
+    setQuadratic(semidefiniteForm(next.q11, next.q12, next.q22));
+  };
+
+  const handlePlay = () => {
+    setStep(0);
+    setIsPlaying(true);
+  };
+
+  const handleReset = () => {
+    setIsPlaying(false);
+    setObjectiveType(PARAMS.objectiveType.default);
+    setCost(PARAMS.cost.default);
+    setQuadratic(PARAMS.quadratic.default);
+    setRows(PARAMS.constraints.default);
+    setMethod(PARAMS.method.default);
+    setStart(PARAMS.start.default);
+  };
+
+  const status = STATUS[result.status];
+  const statusMessages = {
+    optimal: `Minimum ${result.x ? formatNumber(result.value) : ''} at ${result.x ? formatPoint(result.x) : ''}.`,
+    unbounded: 'The cost keeps falling along a direction that never leaves the feasible region - there is no minimum.',
+    infeasible: 'No point satisfies every constraint at once. Flip or remove a constraint to open up a feasible region.',
+    'no-interior': 'The feasible region is only a segment or a point, so there is no inside for the barrier to keep the iterates in. Loosen a constraint, or use the simplex method for a linear cost.',
+    'iteration-limit': 'The solver stopped before meeting its tolerance.'
+  };
+  const currentStep = activeMethod === 'simplex' ? result.steps[shownStep] : null;
+  const currentIterate = activeMethod === 'interior-point' ? result.iterates[shownStep] : null;
+  const centers = activeMethod === 'interior-point'
+    ? result.iterates.map((iterate, i) => ({ ...iterate, index: i })).filter(iterate => iterate.centered)
+    : [];
+  const [[q11, q12], [, q22]] = quadratic;
+
+  return (
+    <div className="p-6 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Canvas */}
+          <div className="lg:col-span-2">
+            <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
+              <canvas
+                ref={canvasRef}
+                width={640}
+                height={480}
+                className="w-full rounded-lg cursor-crosshair touch-none"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => setDrag(null)}
+              />
+              <p className="mt-3 text-xs text-gray-500">
+                Drag across the plot to add a constraint: the feasible side is on the left of your stroke. Click to move the start point (○).
+              </p>
+            </div>
+
+            {/* Iterations */}
+            {activeMethod === 'simplex' && result.steps.length > 0 && (
+              <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                  Simplex Pivots
+                </h3>
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-normal pb-1">#</th>
+                      <th className="text-left font-normal pb-1">Vertex</th>
+                      <th className="text-right font-normal pb-1">Cost</th>
+                      <th className="text-right font-normal pb-1">Active</th>
+                      <th className="text-right font-normal pb-1">μ</th>
+                      <th className="text-right font-normal pb-1">Pivot</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.steps.map((s, i) => (
+                      <tr
+                        key={i}
+                        className={`border-t border-white/5 ${i === shownStep ? 'text-amber-300' : 'text-gray-300'}`}
+                      >
+                        <td className="py-1">{i}</td>
+                        <td className="py-1">{formatPoint(s.x)}</td>
+                        <td className="py-1 text-right">{formatNumber(s.value)}</td>
+                        <td className="py-1 text-right">{s.basis.map(b => b + 1).join(', ')}</td>
+                        <td className="py-1 text-right">{s.multipliers.map(formatNumber).join(', ')}</td>
+                        <td className="py-1 text-right">
+                          {s.leaving === undefined
+                            ? (s.direction ? '→ ∞' : 'optimal')
+                            : s.entering === undefined
+                              ? `${s.leaving + 1} out → ∞`
+                              : `${s.leaving + 1} out, ${s.entering + 1} in`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  At a vertex two constraints are active, and c + μ₁a₁ + μ₂a₂ = 0 gives their multipliers. A negative μ means
+                  leaving that constraint lowers the cost: slide along the other one until the ratio test finds the next constraint.
+                  Ties go to the lowest number (Bland&apos;s rule), so degenerate vertices cannot cycle.
+                </p>
+              </div>
+            )}
+
+            {activeMethod === 'interior-point' && centers.length > 0 && (
+              <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                  Central Path
+                </h3>
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-gray-500">
+                      <th className="text-left font-normal pb-1">t</th>
+                      <th className="text-left font-normal pb-1">Center x*(t)</th>
+                      <th className="text-right font-normal pb-1">Cost</th>
+                      <th className="text-right font-normal pb-1">Gap ≤ m/t</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {centers.map(center => (
+                      <tr
+                        key={center.index}
+                        className={`border-t border-white/5 ${center.index <= shownStep ? 'text-purple-300' : 'text-gray-600'}`}
+                      >
+                        <td className="py-1">{center.t.toExponential(0)}</td>
+                        <td className="py-1">{formatPoint(center.x)}</td>
+                        <td className="py-1 text-right">{objective.f(center.x).toFixed(4)}</td>
+                        <td className="py-1 text-right">{(constraints.length / center.t).toExponential(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  Each center minimizes t·f(x) − Σ log(bᵢ − aᵢ·x). The log barrier keeps iterates strictly inside; as t grows its pull
+                  weakens and the centers slide toward the optimum, within m/t of the optimal cost.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Controls */}
+          <div className="space-y-3">
+            {/* Objective */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+              <div className="grid grid-cols-2 gap-1.5">
+                {[['linear', 'Linear (LP)'], ['quadratic', 'Quadratic (QP)']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setObjectiveType(key)}
+                    className={`px-2 py-1 rounded-lg text-xs transition-colors ${
+                      objectiveType === key
+                        ? 'bg-purple-500/20 border border-purple-500/50 text-purple-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs font-mono text-gray-300">
+                minimize {isQuadratic ? '½xᵀQx + ' : ''}c·x
+              </p>
+              {[0, 1].map(i => (
+                <div key={i}>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    c{i === 0 ? '₁' : '₂'} = {cost[i].toFixed(1)}
+                  </label>
+                  <input
+                    type="range"
+                    min="-6"
+                    max="6"
+                    step="0.5"
+                    value={cost[i]}
+                    onChange={(e) => setCost(cost.map((v, k) => (k === i ? Number(e.target.value) : v)))}
+                    className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                </div>
+              ))}
+              {isQuadratic && (
+                <>
+                  {[['q11', 'Q₁₁', q11, 0, 4], ['q22', 'Q₂₂', q22, 0, 4], ['q12', 'Q₁₂', q12, -2, 2]].map(([entry, label, value, min, max]) => (
+                    <div key={entry}>
+                      <label className="block text-xs text-gray-400 mb-1">
+                        {label} = {value.toFixed(2)}
+                      </label>
+                      <input
+                        type="range"
+                        min={min}
+                        max={max}
+                        step="0.05"
+                        value={value}
+                        onChange={(e) => handleQuadraticChange(entry, Number(e.target.value))}
+                        className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                      />
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">
+                    Q₁₂ is capped at √(Q₁₁Q₂₂) so Q stays positive semidefinite and the problem convex.
+                  </p>
+                </>
+              )}
+            </div>
+
+            {/* Method */}
+            <div>
+              <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+                Method
+              </label>
+              <div className="grid grid-cols-2 gap-1.5">
+                {Object.entries(METHODS).map(([key, { name }]) => (
+                  <button
+                    key={key}
+                    onClick={() => setMethod(key)}
+                    disabled={key === 'simplex' && isQuadratic}
+                    className={`px-2 py-1.5 rounded-lg text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                      activeMethod === key
+                        ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {METHODS[activeMethod].description}
+                {isQuadratic && ' The simplex method needs a linear objective: a QP optimum can sit inside an edge or the region.'}
+              </p>
+            </div>
+
+            {/* Constraints */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+              <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                Constraints ({rows.length}/{MAX_CONSTRAINTS})
+              </h3>
+              {rows.length === 0 && (
+                <p className="text-xs text-gray-500">None - drag across the plot to add one.</p>
+              )}
+              <div className="space-y-1">
+                {rows.map((row, i) => (
+                  <div key={i} className="flex items-center gap-2 text-xs font-mono">
+                    <span className="text-gray-500 w-4">{i + 1}</span>
+                    <span className="flex-1 text-gray-200">{formatConstraint(row)}</span>
+                    <button
+                      onClick={() => handleFlip(i)}
+                      className="px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10"
+                      title="Flip to the other side"
+                    >
+                      ⇄
+                    </button>
+                    <button
+                      onClick={() => handleRemove(i)}
+                      className="px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10"
+                      title="Remove constraint"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Playback */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-2">
+                {activeMethod === 'simplex' ? 'Vertex' : 'Iterate'}: {Math.max(0, shownStep)} / {Math.max(0, lastStep)}
+                {currentIterate && ` · phase ${currentIterate.phase === 1 ? 'I' : 'II'}${currentIterate.t > 0 ? ` · t = ${currentIterate.t.toExponential(0)}` : ''}`}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={Math.max(0, lastStep)}
+                value={Math.max(0, shownStep)}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setStep(Number(e.target.value));
+                }}
+                disabled={lastStep <= 0}
+                className="w-full h-1 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                <button
+                  onClick={handlePlay}
+                  disabled={isPlaying || lastStep <= 0}
+                  className="px-3 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Play
+                </button>
+                <button
+                  onClick={handleReset}
+                  className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+                >
+                  Reset
+                </button>
+              </div>
+            </div>
+
+            {/* Status */}
+            <div className={`rounded-xl border p-3 ${status.panel}`}>
+              <div className="flex items-center gap-2 mb-1.5">
+                <span className="text-xl">{status.icon}</span>
+                <h3 className={`text-xs font-bold ${status.text}`}>
+                  {status.title}
+                </h3>
+              </div>
+              <p className="text-xs text-gray-300 leading-relaxed">
+                {statusMessages[result.status]}
+              </p>
+              {current && (
+                <div className="mt-2 space-y-1 text-xs font-mono">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Shown point:</span>
+                    <span className="text-white">{formatPoint(current)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Cost:</span>
+                    <span className="text-white">{formatNumber(objective.f(current))}</span>
+                  </div>
+                  {currentStep?.basis.length > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Active constraints:</span>
+                      <span className="text-orange-300">{currentStep.basis.map(b => b + 1).join(' and ')}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Legend */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+              <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                Legend
+              </h3>
+              <div className="space-y-1.5 text-xs">
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-3 rounded bg-emerald-500/40"></div>
+                  <span className="text-gray-400">Feasible region</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-6 h-1 bg-orange-400 rounded"></div>
+                  <span className="text-gray-400">Active constraint (red band = infeasible side)</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-6 h-1 bg-cyan-500 rounded"></div>
+                  <span className="text-gray-400">Cost level through the shown point</span>
+                </div>
+                {activeMethod === 'simplex' ? (
+                  <div className="flex items-center gap-2">
+                    <div className="w-6 h-1 bg-amber-400 rounded"></div>
+                    <span className="text-gray-400">Simplex path along the edges</span>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <div className="w-6 h-1 bg-pink-400 rounded"></div>
+                      <span className="text-gray-400">Phase I: searching for an interior point</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full bg-purple-500"></div>
+                      <span className="text-gray-400">Central path centers</span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .slider::-webkit-slider-thumb {
+          appearance: none;
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          background: linear-gradient(135deg, #06b6d4, #8b5cf6);
+          cursor: pointer;
+          box-shadow: 0 0 10px rgba(139, 92, 246, 0.5);
+        }
+
+        .slider::-moz-range-thumb {
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          background: linear-gradient(135deg, #06b6d4, #8b5cf6);
+          cursor: pointer;
+          border: none;
+          box-shadow: 0 0 10px rgba(139, 92, 246, 0.5);
+        }
+      `}</style>
+    </div>
+  );
+};
+
+// The quadratic-programming tool is the same view, opened on a quadratic objective
+const QUADRATIC_PRESET = { objectiveType: 'quadratic' };
+
+export const QuadraticProgramming = ({ config }) => (
+  <LinearProgramming config={config ?? QUADRATIC_PRESET} />
+);
@@ -1,21 +1,36 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const LinearRegression = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import { random } from '../math/random.js';
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+// The 'linear' preset, shown until the points are edited
+const SAMPLE_POINTS = [
+  { x: 1, y: 2 }, { x: 2, y: 3.5 }, { x: 3, y: 4.2 },
+  { x: 4, y: 5.8 }, { x: 5, y: 6.5 }, { x: 6, y: 7.8 },
+  { x: 7, y: 8.2 }, { x: 8, y: 9.1 }, { x: 9, y: 9.5 }
+];
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  points: param.json(SAMPLE_POINTS, (value) => Array.isArray(value) && value.every(isPoint)),
+  showResiduals: param.boolean(true),
+  showLine: param.boolean(true)
+};
+
+export const LinearRegression = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [points, setPoints] = useState([]);
+  const [points, setPoints] = usePermalinkState(PARAMS, 'points', config);
   const [draggingIndex, setDraggingIndex] = useState(null);
-  const [showResiduals, setShowResiduals] = useState(true);
-  const [showLine, setShowLine] = useState(true);
+  const [showResiduals, setShowResiduals] = usePermalinkState(PARAMS, 'showResiduals', config);
+  const [showLine, setShowLine] = usePermalinkState(PARAMS, 'showLine', config);
   const [animating, setAnimating] = useState(false);
   const [gradientStep, setGradientStep] = useState(0);
   const [learningRate, setLearningRate] = useState(0.01);
   const [currentParams, setCurrentParams] = useState({ m: 0, b: 0 });
 
-  // Initialize with sample data
-  useEffect(() => {
-    loadPreset('linear');
-  }, []);
-
   // Calculate optimal line parameters using least squares
   const calculateRegression = () => {
     if (points.length < 2) return { m: 0, b: 0 };
@@ -356,18 +371,14 @@ export const LinearRegression = ({ onClose }) => {
 
     switch (type) {
       case 'linear':
-        setPoints([
-          { x: 1, y: 2 }, { x: 2, y: 3.5 }, { x: 3, y: 4.2 },
-          { x: 4, y: 5.8 }, { x: 5, y: 6.5 }, { x: 6, y: 7.8 },
-          { x: 7, y: 8.2 }, { x: 8, y: 9.1 }, { x: 9, y: 9.5 }
-        ]);
+        setPoints(SAMPLE_POINTS);
         break;
       case 'noisy':
         const noisyPoints = [];
         for (let i = 1; i <= 12; i++) {
           noisyPoints.push({
             x: i * 0.8,
-            y: 1.2 * i * 0.8 + 1 + (Math.random() - 0.5) * 2
+            y: 1.2 * i * 0.8 + 1 + random.uniform(-1, 1)
           });
         }
         setPoints(noisyPoints);
@@ -385,7 +396,7 @@ export const LinearRegression = ({ onClose }) => {
         for (let i = 1; i <= 9; i++) {
           const x = i;
           const y = 0.15 * x * x + 1;
-          quadPoints.push({ x, y: y + (Math.random() - 0.5) * 0.5 });
+          quadPoints.push({ x, y: y + random.uniform(-0.25, 0.25) });
         }
         setPoints(quadPoints);
         break;
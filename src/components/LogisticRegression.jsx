@@ -1,26 +1,97 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const LogisticRegression = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import { sigmoid, logLoss as computeLogLoss } from '../math/logistic.js';
+import { random } from '../math/random.js';
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+// The 'linearly-separable' preset, shown until the points are edited
+const SAMPLE_POINTS = [
+  // Class 0 (bottom-left)
+  { x: 2, y: 2, label: 0 }, { x: 3, y: 2.5, label: 0 },
+  { x: 2.5, y: 3, label: 0 }, { x: 3.5, y: 3.5, label: 0 },
+  { x: 1.5, y: 3.5, label: 0 }, { x: 2.8, y: 4, label: 0 },
+  // Class 1 (top-right)
+  { x: 6, y: 6, label: 1 }, { x: 7, y: 6.5, label: 1 },
+  { x: 6.5, y: 7, label: 1 }, { x: 7.5, y: 7.5, label: 1 },
+  { x: 8, y: 7, label: 1 }, { x: 7.2, y: 8, label: 1 }
+];
+
+/**
+ * Points of a named dataset preset
+ * @param {string} type - 'linearly-separable', 'overlapping', 'noisy' or 'xor'
+ * @returns {{x: number, y: number, label: number}[]|null} Null for an unknown preset
+ */
+const presetPoints = (type) => {
+  switch (type) {
+    case 'linearly-separable':
+      return SAMPLE_POINTS;
+    case 'overlapping':
+      return [
+        // Class 0
+        { x: 3, y: 5, label: 0 }, { x: 4, y: 5, label: 0 },
+        { x: 3.5, y: 6, label: 0 }, { x: 5, y: 5.5, label: 0 },
+        { x: 4.5, y: 6.5, label: 0 },
+        // Class 1 (overlapping)
+        { x: 5, y: 5, label: 1 }, { x: 6, y: 5, label: 1 },
+        { x: 5.5, y: 6, label: 1 }, { x: 6.5, y: 5.5, label: 1 },
+        { x: 5.8, y: 6.5, label: 1 }
+      ];
+    case 'noisy':
+      // Two clouds of 10 around (3, 3) and (7, 7)
+      return Array.from({ length: 20 }, (_, i) => {
+        const label = i < 10 ? 0 : 1;
+        const base = label === 0 ? 3 : 7;
+        return {
+          x: base + random.uniform(-1.5, 1.5),
+          y: base + random.uniform(-1.5, 1.5),
+          label
+        };
+      });
+    case 'xor':
+      return [
+        // Class 0 (opposite corners)
+        { x: 2, y: 2, label: 0 }, { x: 2.5, y: 2.5, label: 0 },
+        { x: 8, y: 8, label: 0 }, { x: 7.5, y: 7.5, label: 0 },
+        // Class 1 (other corners)
+        { x: 2, y: 8, label: 1 }, { x: 2.5, y: 7.5, label: 1 },
+        { x: 8, y: 2, label: 1 }, { x: 7.5, y: 2.5, label: 1 }
+      ];
+    default:
+      return null;
+  }
+};
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  points: param.json(SAMPLE_POINTS, (value) => Array.isArray(value) && value.every((p) => isPoint(p) && (p.label === 0 || p.label === 1))),
+  showBoundary: param.boolean(true),
+  showProbabilities: param.boolean(false)
+};
+
+export const LogisticRegression = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [points, setPoints] = useState([]);
+  const [points, setPoints] = usePermalinkState(PARAMS, 'points', config);
   const [draggingIndex, setDraggingIndex] = useState(null);
-  const [showBoundary, setShowBoundary] = useState(true);
-  const [showProbabilities, setShowProbabilities] = useState(false);
+  const [showBoundary, setShowBoundary] = usePermalinkState(PARAMS, 'showBoundary', config);
+  const [showProbabilities, setShowProbabilities] = usePermalinkState(PARAMS, 'showProbabilities', config);
   const [animating, setAnimating] = useState(false);
   const [gradientStep, setGradientStep] = useState(0);
   const [learningRate, setLearningRate] = useState(0.1);
   const [currentParams, setCurrentParams] = useState({ w1: 0, w2: 0, b: 0 });
   const [addingClass, setAddingClass] = useState(1); // 0 or 1
 
-  // Initialize with sample data
+  // Load an example preset's data pattern
   useEffect(() => {
-    loadPreset('linearly-separable');
-  }, []);
-
-  // Sigmoid function
-  const sigmoid = (z) => {
-    return 1 / (1 + Math.exp(-z));
-  };
+    const next = presetPoints(config?.dataPattern === 'separable' ? 'linearly-separable' : config?.dataPattern);
+    if (!next) return;
+    setAnimating(false);
+    setGradientStep(0);
+    setCurrentParams({ w1: 0, w2: 0, b: 0 });
+    setPoints(next);
+  }, [config, setPoints]);
 
   // Predict probability for a point
   const predict = (x, y, params = currentParams) => {
@@ -76,22 +147,10 @@ export const LogisticRegression = ({ onClose }) => {
   const accuracy = calculateAccuracy();
 
   // Calculate log loss
-  const calculateLogLoss = () => {
-    if (points.length === 0) return 0;
-
-    let loss = 0;
-    points.forEach(point => {
-      const prob = predict(point.x, point.y, optimalParams);
-      const epsilon = 1e-15; // Prevent log(0)
-      const clippedProb = Math.max(epsilon, Math.min(1 - epsilon, prob));
-      
-      loss += -point.label * Math.log(clippedProb) - (1 - point.label) * Math.log(1 - clippedProb);
-    });
-
-    return loss / points.length;
-  };
-
-  const logLoss = calculateLogLoss();
+  const logLoss = computeLogLoss(
+    points.map(point => point.label),
+    points.map(point => predict(point.x, point.y, optimalParams))
+  );
 
   // Gradient descent step
   const performGradientStep = () => {
@@ -402,59 +461,8 @@ export const LogisticRegression = ({ onClose }) => {
     setAnimating(false);
     setGradientStep(0);
     setCurrentParams({ w1: 0, w2: 0, b: 0 });
-
-    switch (type) {
-      case 'linearly-separable':
-        setPoints([
-          // Class 0 (bottom-left)
-          { x: 2, y: 2, label: 0 }, { x: 3, y: 2.5, label: 0 },
-          { x: 2.5, y: 3, label: 0 }, { x: 3.5, y: 3.5, label: 0 },
-          { x: 1.5, y: 3.5, label: 0 }, { x: 2.8, y: 4, label: 0 },
-          // Class 1 (top-right)
-          { x: 6, y: 6, label: 1 }, { x: 7, y: 6.5, label: 1 },
-          { x: 6.5, y: 7, label: 1 }, { x: 7.5, y: 7.5, label: 1 },
-          { x: 8, y: 7, label: 1 }, { x: 7.2, y: 8, label: 1 }
-        ]);
-        break;
-      case 'overlapping':
-        setPoints([
-          // Class 0
-          { x: 3, y: 5, label: 0 }, { x: 4, y: 5, label: 0 },
-          { x: 3.5, y: 6, label: 0 }, { x: 5, y: 5.5, label: 0 },
-          { x: 4.5, y: 6.5, label: 0 },
-          // Class 1 (overlapping)
-          { x: 5, y: 5, label: 1 }, { x: 6, y: 5, label: 1 },
-          { x: 5.5, y: 6, label: 1 }, { x: 6.5, y: 5.5, label: 1 },
-          { x: 5.8, y: 6.5, label: 1 }
-        ]);
-        break;
-      case 'noisy':
-        const noisyPoints = [];
-        for (let i = 0; i < 20; i++) {
-          const label = i < 10 ? 0 : 1;
-          const baseX = label === 0 ? 3 : 7;
-          const baseY = label === 0 ? 3 : 7;
-          noisyPoints.push({
-            x: baseX + (Math.random() - 0.5) * 3,
-            y: baseY + (Math.random() - 0.5) * 3,
-            label
-          });
-        }
-        setPoints(noisyPoints);
-        break;
-      case 'xor':
-        setPoints([
-          // Class 0 (opposite corners)
-          { x: 2, y: 2, label: 0 }, { x: 2.5, y: 2.5, label: 0 },
-          { x: 8, y: 8, label: 0 }, { x: 7.5, y: 7.5, label: 0 },
-          // Class 1 (other corners)
-          { x: 2, y: 8, label: 1 }, { x: 2.5, y: 7.5, label: 1 },
-          { x: 8, y: 2, label: 1 }, { x: 7.5, y: 2.5, label: 1 }
-        ]);
-        break;
-      default:
-        break;
-    }
+    const next = presetPoints(type);
+    if (next) setPoints(next);
   };
 
   const startGradientDescent = () => {
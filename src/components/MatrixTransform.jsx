@@ -1,101 +1,265 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const MatrixTransform = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import {
+  identity, multiply, multiplyVector, compose, lerpMatrix, transpose, trace, rank, determinant as getDeterminant
+} from '../math/matrices.js';
+import { eigenvalues, realEigenpairs } from '../math/eigen.js';
+
+const isSquareMatrix = (size) => (value) => (
+  Array.isArray(value) && value.length === size &&
+  value.every(row => Array.isArray(row) && row.length === size && row.every(Number.isFinite))
+);
+
+const MAX_STEPS = 6;
+
+const isMatrixStack = (size) => (value) => (
+  Array.isArray(value) && value.length <= MAX_STEPS && value.every(isSquareMatrix(size))
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  dimension: param.oneOf(['2d', '3d'], '2d'),
+  matrix: param.json(identity(2), isSquareMatrix(2)),
+  matrix3d: param.json(identity(3), isSquareMatrix(3)),
+  // Composition steps, first applied first (empty when only `matrix` is used)
+  stack: param.json([], isMatrixStack(2)),
+  stack3d: param.json([], isMatrixStack(3)),
+  showEigenvectors: param.boolean(true),
+  showGrid: param.boolean(true)
+};
+
+const r3 = (value) => Math.round(value * 1000) / 1000;
+const COS_45 = r3(Math.SQRT1_2);
+const COS_30 = r3(Math.cos(Math.PI / 6));
+
+// One-click starting points; every cell stays editable afterwards
+const PRESETS = {
+  '2d': [
+    { name: 'Identity', matrix: [[1, 0], [0, 1]] },
+    { name: 'Rotate 45°', matrix: [[COS_45, -COS_45], [COS_45, COS_45]] },
+    { name: 'Scale ×2', matrix: [[2, 0], [0, 2]] },
+    { name: 'Stretch x', matrix: [[2, 0], [0, 0.5]] },
+    { name: 'Shear', matrix: [[1, 1], [0, 1]] },
+    { name: 'Reflect', matrix: [[-1, 0], [0, 1]] },
+    { name: 'Project → x', matrix: [[1, 0], [0, 0]] },
+    { name: 'Project → y=x', matrix: [[0.5, 0.5], [0.5, 0.5]] }
+  ],
+  '3d': [
+    { name: 'Identity', matrix: identity(3) },
+    { name: 'Rotate z 30°', matrix: [[COS_30, -0.5, 0], [0.5, COS_30, 0], [0, 0, 1]] },
+    { name: 'Stretch', matrix: [[1.5, 0, 0], [0, 1, 0], [0, 0, 0.5]] },
+    { name: 'Shear', matrix: [[1, 0.5, 0], [0, 1, 0], [0, 0, 1]] },
+    { name: 'Reflect z', matrix: [[1, 0, 0], [0, 1, 0], [0, 0, -1]] },
+    { name: 'Project → xy', matrix: [[1, 0, 0], [0, 1, 0], [0, 0, 0]] }
+  ]
+};
+
+// Colors of the basis vectors î, ĵ, k̂ (and of the matrix columns they come from)
+const BASIS = [
+  { label: 'î', color: '#22c55e', text: 'text-green-400' },
+  { label: 'ĵ', color: '#f43f5e', text: 'text-rose-400' },
+  { label: 'k̂', color: '#3b82f6', text: 'text-blue-400' }
+];
+
+// Letter F as line segments (pairs of points), in math coordinates (y up)
+const LETTER_F = [
+  // Vertical line
+  { x: -0.8, y: -1.2 }, { x: -0.8, y: 1.2 },
+  // Top horizontal
+  { x: -0.8, y: 1.2 }, { x: 0.4, y: 1.2 },
+  // Middle horizontal
+  { x: -0.8, y: 0 }, { x: 0.2, y: 0 }
+];
+
+// Unit cube edges as pairs of corners
+const CUBE_EDGES = (() => {
+  const corners = [0, 1, 2, 3, 4, 5, 6, 7].map(i => [i & 1, (i >> 1) & 1, (i >> 2) & 1]);
+  const edges = [];
+  corners.forEach((a, i) => {
+    corners.forEach((b, j) => {
+      const differing = a.filter((value, axis) => value !== b[axis]).length;
+      if (j > i && differing === 1) edges.push([a, b]);
+    });
+  });
+  return edges;
+})();
+
+const UNIT_2D = 50; // pixels per unit
+const UNIT_3D = 70;
+const HANDLE_RADIUS = 12;
+const TOLERANCE = 1e-6;
+
+const isClose = (A, B) => A.every((row, i) => row.every((value, j) => Math.abs(value - B[i][j]) < 1e-2));
+
+const formatNumber = (value) => (Math.abs(value) < 0.005 ? '0.00' : value.toFixed(2));
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const stepName = (i) => `M${SUBSCRIPTS[i]}`;
+
+// Name of the product of the first `count` steps, latest step leftmost
+const productName = (count) => {
+  if (count === 0) return 'I';
+  if (count <= 3) return Array.from({ length: count }, (_, i) => stepName(count - i)).join('');
+  return `${stepName(count)}···${stepName(1)}`;
+};
+
+const ANIMATION_STEP = 0.025; // steps advanced per frame
+
+const formatEigenvalue = ({ re, im }) => (
+  Math.abs(im) < TOLERANCE ? formatNumber(re) : `${formatNumber(re)} ${im < 0 ? '−' : '+'} ${Math.abs(im).toFixed(2)}i`
+);
+
+export const MatrixTransform = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [rotation, setRotation] = useState(0);
-  const [scale, setScale] = useState(1);
-
-  // Letter F shape coordinates (relative to center)
-  const letterF = [
-    // Vertical line
-    { x: -40, y: -60 }, { x: -40, y: 60 },
-    // Top horizontal
-    { x: -40, y: -60 }, { x: 20, y: -60 },
-    // Middle horizontal
-    { x: -40, y: 0 }, { x: 10, y: 0 }
-  ];
-
-  // Create transformation matrix
-  const getTransformMatrix = () => {
-    const theta = (rotation * Math.PI) / 180;
-    const cos = Math.cos(theta);
-    const sin = Math.sin(theta);
-    
-    // Combined rotation and scale matrix
-    return [
-      [scale * cos, -scale * sin],
-      [scale * sin, scale * cos]
-    ];
+  const dragRef = useRef(null); // { type: 'basis', column } or { type: 'orbit', x, y }
+  const [dimension, setDimension] = usePermalinkState(PARAMS, 'dimension', config);
+  const [matrix2d, setMatrix2d] = usePermalinkState(PARAMS, 'matrix', config);
+  const [matrix3d, setMatrix3d] = usePermalinkState(PARAMS, 'matrix3d', config);
+  const [showEigenvectors, setShowEigenvectors] = usePermalinkState(PARAMS, 'showEigenvectors', config);
+  const [showGrid, setShowGrid] = usePermalinkState(PARAMS, 'showGrid', config);
+  const [stack2d, setStack2d] = usePermalinkState(PARAMS, 'stack', config);
+  const [stack3d, setStack3d] = usePermalinkState(PARAMS, 'stack3d', config);
+  const [view, setView] = useState({ yaw: -0.6, pitch: 0.45 }); // 3D camera angles (radians)
+  const [selectedStep, setSelectedStep] = useState(0);
+  const [stage, setStage] = useState(null); // animation position in steps, null = fully applied
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  const is3d = dimension === '3d';
+  const single = is3d ? matrix3d : matrix2d;
+  const setSingle = is3d ? setMatrix3d : setMatrix2d;
+  const stack = is3d ? stack3d : stack2d;
+  const setStack = is3d ? setStack3d : setStack2d;
+
+  // A lone matrix is a composition of one step
+  const steps = stack.length > 0 ? stack : [single];
+  const selected = Math.min(selectedStep, steps.length - 1);
+  const editing = steps[selected];
+  const size = editing.length;
+
+  // stages[i] is the transformation after the first i steps
+  const stages = [identity(size), ...steps.map((_, i) => compose(steps.slice(0, i + 1)))];
+  const position = stage === null ? steps.length : Math.min(stage, steps.length);
+  const stageIndex = Math.min(Math.floor(position), steps.length - 1);
+  const matrix = lerpMatrix(stages[stageIndex], stages[stageIndex + 1], position - stageIndex);
+  const product = stages[steps.length];
+  const commutes = steps.length < 2 || isClose(product, compose([...steps].reverse()));
+  const canDrag = steps.length === 1 && stage === null;
+
+  // A single step is stored in `matrix`, longer compositions in `stack`
+  const updateSteps = (next) => {
+    if (next.length <= 1) {
+      setSingle(next[0] ?? identity(size));
+      setStack([]);
+    } else {
+      setStack(next);
+    }
+    setStage(null);
+    setIsAnimating(false);
   };
 
-  // Apply matrix to a point
-  const transformPoint = (point, matrix) => {
-    return {
-      x: matrix[0][0] * point.x + matrix[0][1] * point.y,
-      y: matrix[1][0] * point.x + matrix[1][1] * point.y
-    };
-  };
+  const setEditing = (next) => updateSteps(steps.map((step, i) => (i === selected ? next : step)));
 
-  // Calculate determinant
-  const getDeterminant = (matrix) => {
-    return matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0];
-  };
+  const determinant = getDeterminant(matrix);
+  const values = eigenvalues(matrix);
+  const eigenpairs = realEigenpairs(matrix);
+  const matrixRank = rank(matrix);
+
+  // Where the n-th basis vector lands: the n-th column
+  const column = (j) => matrix.map(row => row[j]);
 
   // Get dynamic explanation based on current state
   const getExplanation = () => {
-    const det = getDeterminant(getTransformMatrix());
-    const isIdentity = rotation === 0 && scale === 1;
-    const isPureRotation = scale === 1 && rotation !== 0;
-    const isPureScale = rotation === 0 && scale !== 1;
-    const isCollapsed = Math.abs(scale) < 0.01;
-    const isNegative = scale < 0;
-
-    if (isIdentity) {
+    const n = size;
+    const I = identity(n);
+    const spaceWord = n === 2 ? 'area' : 'volume';
+    const shapeWord = n === 2 ? 'F' : 'cube';
+    const isOrthogonal = isClose(multiply(transpose(matrix), matrix), I);
+    const isDiagonal = matrix.every((row, i) => row.every((value, j) => i === j || Math.abs(value) < TOLERANCE));
+    const isUpperShear = matrix.every((row, i) => row.every((value, j) => (
+      i === j ? Math.abs(value - 1) < TOLERANCE : (j > i || Math.abs(value) < TOLERANCE)
+    )));
+    const isLowerShear = matrix.every((row, i) => row.every((value, j) => (
+      i === j ? Math.abs(value - 1) < TOLERANCE : (j < i || Math.abs(value) < TOLERANCE)
+    )));
+
+    if (isClose(matrix, I)) {
       return {
         title: "Identity Matrix",
-        description: "No transformation applied. The F remains in its original position and size.",
-        insight: "The identity matrix [[1,0],[0,1]] leaves everything unchanged."
+        description: `No transformation applied. The ${shapeWord} remains in its original position and size.`,
+        insight: "The identity matrix leaves every vector unchanged - every direction is an eigenvector with eigenvalue 1."
       };
     }
 
-    if (isCollapsed) {
+    if (Math.abs(determinant) < TOLERANCE) {
+      const isProjection = isClose(multiply(matrix, matrix), matrix);
       return {
-        title: "⚠️ Collapsed to a Point!",
-        description: "The F has shrunk to nearly zero size. All area is lost.",
-        insight: "When scale approaches 0, determinant → 0, meaning the shape loses its 2D area and becomes 1D (a line) or 0D (a point)."
+        title: isProjection ? "Projection" : "⚠️ Space Collapses!",
+        description: isProjection
+          ? `Every point is dropped onto a ${matrixRank === 1 ? 'line' : 'plane'}. Applying the matrix twice changes nothing more (A² = A).`
+          : `The ${shapeWord} is squashed onto a ${['point', 'line', 'plane'][matrixRank]}. All ${spaceWord} is lost.`,
+        insight: `Determinant 0 means rank ${matrixRank} < ${n}: some direction (the null space, eigenvalue 0) is crushed to the origin, so the transformation cannot be undone.`
       };
     }
 
-    if (isPureRotation) {
-      return {
-        title: "Pure Rotation",
-        description: `The F is rotating ${Math.abs(rotation)}° ${rotation > 0 ? 'counter-clockwise' : 'clockwise'}. Notice how it spins but doesn't change size.`,
-        insight: "Rotation preserves area! That's why determinant stays at 1.00. The shape spins but doesn't stretch."
-      };
+    if (isOrthogonal) {
+      return determinant > 0
+        ? {
+            title: "Pure Rotation",
+            description: `The ${shapeWord} spins about the origin without changing size or shape.`,
+            insight: n === 2
+              ? "Rotations preserve lengths and area (det = 1). Their eigenvalues are complex, cos θ ± i sin θ, so no real direction stays put."
+              : "Rotations preserve lengths and volume (det = 1). The rotation axis is the eigenvector with eigenvalue 1."
+          }
+        : {
+            title: "Reflection",
+            description: `The ${shapeWord} is mirrored - lengths are preserved but orientation flips.`,
+            insight: "Negative determinant means orientation is reversed - like looking in a mirror. The mirror's normal direction has eigenvalue -1."
+          };
     }
 
-    if (isPureScale) {
-      const growing = scale > 1;
+    if (isDiagonal) {
+      const uniform = matrix.every((row, i) => Math.abs(row[i] - matrix[0][0]) < TOLERANCE);
       return {
-        title: growing ? "Scaling Up" : "Scaling Down",
-        description: `The F is ${growing ? 'growing' : 'shrinking'} uniformly by ${scale.toFixed(2)}x. ${growing ? 'Each side gets longer.' : 'Each side gets shorter.'}`,
-        insight: `Area scales by scale² = ${scale.toFixed(2)}² = ${det.toFixed(2)}. That's why determinant = ${det.toFixed(2)}.`
+        title: uniform ? "Uniform Scaling" : "Non-uniform Scaling",
+        description: uniform
+          ? `The ${shapeWord} is scaled by ${formatNumber(matrix[0][0])} in every direction.`
+          : `Each axis is stretched by its own factor: ${matrix.map((row, i) => formatNumber(row[i])).join(', ')}.`,
+        insight: `The axes are eigenvectors and the diagonal entries are the eigenvalues. ${spaceWord[0].toUpperCase() + spaceWord.slice(1)} scales by their product, det = ${formatNumber(determinant)}.`
       };
     }
 
-    if (isNegative) {
+    if (isUpperShear || isLowerShear) {
       return {
-        title: "Negative Scale (Reflection!)",
-        description: `The F is reflected (flipped) and scaled by ${Math.abs(scale).toFixed(2)}x. Notice the negative determinant.`,
-        insight: "Negative determinant means orientation is reversed - like looking in a mirror. The absolute value tells you the area scaling."
+        title: "Shear",
+        description: `Layers of the ${shapeWord} slide past each other, like pushing a deck of cards.`,
+        insight: `A shear keeps ${spaceWord} (det = 1) but has only eigenvalue 1 and too few eigenvectors - it cannot be diagonalized.`
       };
     }
 
-    // Combined transformation
+    const hasComplex = values.some(({ im }) => Math.abs(im) > TOLERANCE);
+    return {
+      title: "General Linear Map",
+      description: `A mix of stretching${hasComplex ? ', rotating' : ''}${determinant < 0 ? ' and flipping' : ''}. The columns show where each basis vector lands.`,
+      insight: hasComplex
+        ? `Complex eigenvalues mean part of the motion is a rotation. ${spaceWord[0].toUpperCase() + spaceWord.slice(1)} is multiplied by det = ${formatNumber(determinant)}.`
+        : `Along each eigenvector the map just scales by its eigenvalue. ${spaceWord[0].toUpperCase() + spaceWord.slice(1)} is multiplied by det = ${formatNumber(determinant)}.`
+    };
+  };
+
+  // 2D: math coordinates ↔ canvas pixels
+  const toCanvas2d = (canvas, p) => ({
+    x: canvas.width / 2 + p.x * UNIT_2D,
+    y: canvas.height / 2 - p.y * UNIT_2D
+  });
+
+  // 3D: orthographic projection after yaw (about z) and pitch (about the screen x-axis)
+  const toCanvas3d = (canvas, [x, y, z]) => {
+    const x1 = x * Math.cos(view.yaw) - y * Math.sin(view.yaw);
+    const y1 = x * Math.sin(view.yaw) + y * Math.cos(view.yaw);
+    const z2 = y1 * Math.sin(view.pitch) + z * Math.cos(view.pitch);
     return {
-      title: "Combined Transformation",
-      description: `The F is both rotating ${Math.abs(rotation)}° and scaling ${scale.toFixed(2)}x. Two transformations at once!`,
-      insight: `Rotation doesn't affect determinant, only scale does. Det = ${det.toFixed(2)} means areas are multiplied by ${det.toFixed(2)}.`
+      x: canvas.width / 2 + x1 * UNIT_3D,
+      y: canvas.height / 2 - z2 * UNIT_3D
     };
   };
 
@@ -107,89 +271,320 @@ export const MatrixTransform = ({ onClose }) => {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
+
+    const line = (a, b) => {
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    };
+
+    const arrow = (from, to, color, label, lineWidth = 3) => {
+      const angle = Math.atan2(to.y - from.y, to.x - from.x);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = lineWidth;
+      line(from, to);
+      ctx.beginPath();
+      ctx.moveTo(to.x, to.y);
+      ctx.lineTo(to.x - 12 * Math.cos(angle - Math.PI / 6), to.y - 12 * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(to.x - 12 * Math.cos(angle + Math.PI / 6), to.y - 12 * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+      if (label) {
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillText(label, to.x + 8, to.y - 8);
+      }
+    };
+
+    // Which stage of the composition is on screen
+    const drawStageLabel = () => {
+      if (steps.length < 2 && !isAnimating) return;
+      const done = Math.floor(position + 1e-9);
+      ctx.fillStyle = 'white';
+      ctx.font = 'bold 16px sans-serif';
+      ctx.fillText(
+        position === steps.length ? `Product ${productName(steps.length)}` : `Applying ${stepName(done + 1)} (${Math.round((position - done) * 100)}%)`,
+        20, 30
+      );
+    };
 
     // Clear canvas
     ctx.fillStyle = '#0f172a';
     ctx.fillRect(0, 0, width, height);
 
-    // Draw grid
-    ctx.strokeStyle = 'rgba(100, 116, 139, 0.2)';
-    ctx.lineWidth = 1;
-
-    // Vertical lines
-    for (let x = 0; x <= width; x += 40) {
+    if (!is3d) {
+      const toCanvas = (p) => toCanvas2d(canvas, p);
+      const apply = (p) => {
+        const [x, y] = multiplyVector(matrix, [p.x, p.y]);
+        return { x, y };
+      };
+      const origin = toCanvas({ x: 0, y: 0 });
+      const extent = 6;
+
+      // Draw grid
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.2)';
+      ctx.lineWidth = 1;
+      for (let i = -extent; i <= extent; i++) {
+        line(toCanvas({ x: i, y: -extent }), toCanvas({ x: i, y: extent }));
+        line(toCanvas({ x: -extent, y: i }), toCanvas({ x: extent, y: i }));
+      }
+
+      // Draw axes (original)
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.4)';
+      ctx.lineWidth = 2;
+      line({ x: 0, y: origin.y }, { x: width, y: origin.y });
+      line({ x: origin.x, y: 0 }, { x: origin.x, y: height });
+
+      // Transformed grid: lines stay parallel and evenly spaced
+      if (showGrid) {
+        ctx.strokeStyle = 'rgba(168, 85, 247, 0.25)';
+        ctx.lineWidth = 1;
+        for (let i = -extent; i <= extent; i++) {
+          line(toCanvas(apply({ x: i, y: -extent })), toCanvas(apply({ x: i, y: extent })));
+          line(toCanvas(apply({ x: -extent, y: i })), toCanvas(apply({ x: extent, y: i })));
+        }
+      }
+
+      // Transformed unit square: its area is |det|
+      const square = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }].map(p => toCanvas(apply(p)));
+      ctx.fillStyle = determinant < 0 ? 'rgba(251, 146, 60, 0.15)' : 'rgba(6, 182, 212, 0.12)';
       ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-      ctx.stroke();
+      square.forEach((p, idx) => (idx === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.fill();
+
+      // Draw original F (faint)
+      ctx.strokeStyle = 'rgba(6, 182, 212, 0.3)';
+      ctx.lineWidth = 3;
+      for (let i = 0; i < LETTER_F.length; i += 2) {
+        line(toCanvas(LETTER_F[i]), toCanvas(LETTER_F[i + 1]));
+      }
+
+      // Draw transformed F (bold)
+      ctx.strokeStyle = 'rgba(168, 85, 247, 1)';
+      ctx.lineWidth = 4;
+      ctx.shadowBlur = 10;
+      ctx.shadowColor = 'rgba(168, 85, 247, 0.5)';
+      for (let i = 0; i < LETTER_F.length; i += 2) {
+        line(toCanvas(apply(LETTER_F[i])), toCanvas(apply(LETTER_F[i + 1])));
+      }
+      ctx.shadowBlur = 0;
+
+      // Eigenvector overlays: invariant lines and λv
+      if (showEigenvectors) {
+        eigenpairs.forEach(({ value, vectors }) => {
+          vectors.forEach(([vx, vy]) => {
+            ctx.strokeStyle = 'rgba(250, 204, 21, 0.5)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 6]);
+            line(toCanvas({ x: -20 * vx, y: -20 * vy }), toCanvas({ x: 20 * vx, y: 20 * vy }));
+            ctx.setLineDash([]);
+            if (Math.abs(value) > TOLERANCE) {
+              arrow(origin, toCanvas({ x: value * vx, y: value * vy }), '#facc15', `λ = ${formatNumber(value)}`, 2);
+            }
+          });
+        });
+      }
+
+      // Basis vectors, with drag handles while a single matrix is shown
+      [0, 1].forEach(j => {
+        const [x, y] = column(j);
+        const tip = toCanvas({ x, y });
+        arrow(origin, tip, BASIS[j].color, BASIS[j].label);
+        if (!canDrag) return;
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, 7, 0, Math.PI * 2);
+        ctx.fillStyle = '#0f172a';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = BASIS[j].color;
+        ctx.stroke();
+      });
+      drawStageLabel();
+      return;
     }
 
-    // Horizontal lines
-    for (let y = 0; y <= height; y += 40) {
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
+    // 3D
+    const toCanvas = (p) => toCanvas3d(canvas, p);
+    const origin = toCanvas([0, 0, 0]);
+
+    // World axes
+    ctx.lineWidth = 1.5;
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]].forEach((axis, idx) => {
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.4)';
+      line(toCanvas(axis.map(v => -3 * v)), toCanvas(axis.map(v => 3 * v)));
+      ctx.fillStyle = 'rgba(148, 163, 184, 0.7)';
+      ctx.font = '12px sans-serif';
+      const labelPoint = toCanvas(axis.map(v => 3.2 * v));
+      ctx.fillText(['x', 'y', 'z'][idx], labelPoint.x, labelPoint.y);
+    });
+
+    // Floor grid (z = 0)
+    if (showGrid) {
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
+      ctx.lineWidth = 1;
+      for (let i = -3; i <= 3; i++) {
+        line(toCanvas([i, -3, 0]), toCanvas([i, 3, 0]));
+        line(toCanvas([-3, i, 0]), toCanvas([3, i, 0]));
+      }
     }
 
-    // Draw axes (original)
-    ctx.strokeStyle = 'rgba(100, 116, 139, 0.4)';
-    ctx.lineWidth = 2;
-    
-    // X-axis
-    ctx.beginPath();
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(width, centerY);
-    ctx.stroke();
-    
-    // Y-axis
-    ctx.beginPath();
-    ctx.moveTo(centerX, 0);
-    ctx.lineTo(centerX, height);
-    ctx.stroke();
-
-    // Get transformation matrix
-    const matrix = getTransformMatrix();
-
-    // Draw original F (faint)
+    // Original cube (faint)
     ctx.strokeStyle = 'rgba(6, 182, 212, 0.3)';
-    ctx.lineWidth = 3;
-    
-    for (let i = 0; i < letterF.length; i += 2) {
-      ctx.beginPath();
-      ctx.moveTo(centerX + letterF[i].x, centerY + letterF[i].y);
-      ctx.lineTo(centerX + letterF[i + 1].x, centerY + letterF[i + 1].y);
-      ctx.stroke();
-    }
+    ctx.lineWidth = 2;
+    CUBE_EDGES.forEach(([a, b]) => line(toCanvas(a), toCanvas(b)));
 
-    // Draw transformed F (bold)
-    const transformedF = letterF.map(p => transformPoint(p, matrix));
-    
+    // Transformed cube (bold)
     ctx.strokeStyle = 'rgba(168, 85, 247, 1)';
-    ctx.lineWidth = 4;
+    ctx.lineWidth = 3;
     ctx.shadowBlur = 10;
     ctx.shadowColor = 'rgba(168, 85, 247, 0.5)';
-    
-    for (let i = 0; i < transformedF.length; i += 2) {
-      ctx.beginPath();
-      ctx.moveTo(centerX + transformedF[i].x, centerY + transformedF[i].y);
-      ctx.lineTo(centerX + transformedF[i + 1].x, centerY + transformedF[i + 1].y);
-      ctx.stroke();
-    }
-    
+    CUBE_EDGES.forEach(([a, b]) => line(toCanvas(multiplyVector(matrix, a)), toCanvas(multiplyVector(matrix, b))));
     ctx.shadowBlur = 0;
 
-  }, [rotation, scale]);
+    // Eigenvector overlays
+    if (showEigenvectors) {
+      eigenpairs.forEach(({ value, vectors }) => {
+        vectors.forEach(v => {
+          ctx.strokeStyle = 'rgba(250, 204, 21, 0.5)';
+          ctx.lineWidth = 1.5;
+          ctx.setLineDash([6, 6]);
+          line(toCanvas(v.map(c => -4 * c)), toCanvas(v.map(c => 4 * c)));
+          ctx.setLineDash([]);
+          if (Math.abs(value) > TOLERANCE) {
+            arrow(origin, toCanvas(v.map(c => value * c)), '#facc15', `λ = ${formatNumber(value)}`, 2);
+          }
+        });
+      });
+    }
+
+    // Transformed basis vectors
+    [0, 1, 2].forEach(j => {
+      arrow(origin, toCanvas(column(j)), BASIS[j].color, BASIS[j].label);
+    });
+    drawStageLabel();
+
+  }, [matrix, is3d, showEigenvectors, showGrid, view, canDrag]);
+
+  // Animation: sweep from the identity through each step in turn
+  useEffect(() => {
+    if (isAnimating) {
+      const interval = setInterval(() => {
+        setStage(prev => {
+          const next = (prev ?? 0) + ANIMATION_STEP;
+          if (next >= steps.length) {
+            setIsAnimating(false);
+            return null;
+          }
+          return next;
+        });
+      }, 30);
+
+      return () => clearInterval(interval);
+    }
+  }, [isAnimating, steps.length]);
+
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  const getCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  const handleMouseDown = (e) => {
+    const point = getCanvasPoint(e);
+
+    if (is3d) {
+      dragRef.current = { type: 'orbit', x: point.x, y: point.y };
+      return;
+    }
+
+    // Grab the nearest basis-vector handle
+    const canvas = canvasRef.current;
+    const hit = [0, 1].find(j => {
+      const [x, y] = column(j);
+      const tip = toCanvas2d(canvas, { x, y });
+      return Math.hypot(tip.x - point.x, tip.y - point.y) <= HANDLE_RADIUS;
+    });
+    if (hit !== undefined && canDrag) {
+      dragRef.current = { type: 'basis', column: hit };
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = getCanvasPoint(e);
+
+    if (drag.type === 'orbit') {
+      setView(prev => ({
+        yaw: prev.yaw + (point.x - drag.x) * 0.01,
+        pitch: Math.max(-1.5, Math.min(1.5, prev.pitch + (point.y - drag.y) * 0.01))
+      }));
+      dragRef.current = { ...drag, x: point.x, y: point.y };
+      return;
+    }
+
+    // Snap the dragged column to a 0.1 grid
+    const canvas = canvasRef.current;
+    const x = Math.round(((point.x - canvas.width / 2) / UNIT_2D) * 10) / 10;
+    const y = Math.round(((canvas.height / 2 - point.y) / UNIT_2D) * 10) / 10;
+    setEditing(editing.map((row, i) => row.map((value, j) => (
+      j === drag.column ? (i === 0 ? x : y) : value
+    ))));
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleEntryChange = (row, col, value) => {
+    if (!Number.isFinite(value)) return;
+    setEditing(editing.map((r, i) => r.map((entry, j) => (i === row && j === col ? value : entry))));
+  };
+
+  const handleAddStep = () => {
+    updateSteps([...steps, identity(size)]);
+    setSelectedStep(steps.length);
+  };
+
+  const handleRemoveStep = (index) => {
+    updateSteps(steps.filter((_, i) => i !== index));
+    setSelectedStep(Math.max(0, Math.min(selected, steps.length - 2)));
+  };
+
+  const handleMoveStep = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= steps.length) return;
+    const reordered = [...steps];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    updateSteps(reordered);
+    setSelectedStep(target);
+  };
+
+  const handleReverse = () => {
+    updateSteps([...steps].reverse());
+    setSelectedStep(steps.length - 1 - selected);
+  };
+
+  const handlePlayAnimation = () => {
+    setStage(0);
+    setIsAnimating(true);
+  };
 
   const handleReset = () => {
-    setRotation(0);
-    setScale(1);
+    updateSteps([identity(size)]);
+    setSelectedStep(0);
+    setView({ yaw: -0.6, pitch: 0.45 });
   };
 
-  const matrix = getTransformMatrix();
-  const determinant = getDeterminant(matrix);
+  const explanation = getExplanation();
+  const complexValues = values.filter(({ im }) => Math.abs(im) > TOLERANCE);
+  const eigenvectorCount = eigenpairs.reduce((sum, { vectors }) => sum + vectors.length, 0);
 
   return (
     <div className="p-6 md:p-8">
@@ -202,42 +597,256 @@ export const MatrixTransform = ({ onClose }) => {
                 ref={canvasRef}
                 width={500}
                 height={500}
-                className="w-full rounded-lg"
+                className={`w-full rounded-lg ${is3d ? 'cursor-move' : 'cursor-crosshair'}`}
+                onMouseDown={handleMouseDown}
+                onMouseMove={handleMouseMove}
+                onMouseUp={handleMouseUp}
+                onMouseLeave={handleMouseUp}
               />
             </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {is3d
+                ? 'Drag to orbit the camera. Edit the cells to change the matrix.'
+                : canDrag
+                  ? 'Drag the î and ĵ handles to move the basis vectors - the matrix columns follow.'
+                  : 'Showing the composition - edit the selected step with the cells on the right.'}
+            </p>
           </div>
 
           {/* Controls */}
           <div className="space-y-6">
-            {/* Rotation Control */}
+            {/* Dimension */}
+            <div className="grid grid-cols-2 gap-2">
+              {['2d', '3d'].map(value => (
+                <button
+                  key={value}
+                  onClick={() => setDimension(value)}
+                  className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                    dimension === value
+                      ? 'bg-gradient-to-r from-cyan-500 to-purple-500 text-white'
+                      : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                  }`}
+                >
+                  {value === '2d' ? '2D (2×2)' : '3D (3×3)'}
+                </button>
+              ))}
+            </div>
+
+            {/* Matrix Entry */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                {steps.length > 1 ? `Step ${stepName(selected + 1)}` : 'Transformation Matrix'}
+              </h3>
+              <div className={`grid gap-2 ${is3d ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                {BASIS.slice(0, size).map(({ label, text }) => (
+                  <div key={label} className={`text-center text-xs font-bold ${text}`}>
+                    {label} →
+                  </div>
+                ))}
+                {editing.map((row, i) => row.map((entry, j) => (
+                  <input
+                    key={`${i}-${j}`}
+                    type="number"
+                    step="0.1"
+                    value={entry}
+                    onChange={(e) => handleEntryChange(i, j, parseFloat(e.target.value))}
+                    className="w-full px-2 py-2 bg-white/5 border border-white/10 rounded-lg text-sm font-mono"
+                  />
+                )))}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Each column is where the basis vector above it lands.
+              </p>
+            </div>
+
+            {/* Presets */}
             <div>
               <label className="block text-sm font-semibold text-gray-300 mb-2">
-                Rotation: {rotation}°
+                Presets
               </label>
+              <div className="grid grid-cols-2 gap-2">
+                {PRESETS[dimension].map(preset => (
+                  <button
+                    key={preset.name}
+                    onClick={() => setEditing(preset.matrix)}
+                    className={`px-2 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                      isClose(editing, preset.matrix)
+                        ? 'bg-purple-500 text-white'
+                        : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                    }`}
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Composition */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                Composition
+              </h3>
+              <div className="space-y-1">
+                {steps.map((step, idx) => (
+                  <div
+                    key={idx}
+                    className={`flex items-center gap-2 px-2 py-1 rounded-lg text-xs ${
+                      idx === selected ? 'bg-purple-500/20 border border-purple-500/40' : 'bg-white/5 border border-transparent'
+                    }`}
+                  >
+                    <button
+                      onClick={() => setSelectedStep(idx)}
+                      className="flex-1 text-left font-mono text-gray-300"
+                    >
+                      <span className="font-bold text-purple-300">{stepName(idx + 1)}</span>
+                      <span className="text-gray-500"> det {formatNumber(getDeterminant(step))}</span>
+                    </button>
+                    <button
+                      onClick={() => handleMoveStep(idx, -1)}
+                      disabled={idx === 0}
+                      className="px-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Apply earlier"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => handleMoveStep(idx, 1)}
+                      disabled={idx === steps.length - 1}
+                      className="px-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Apply later"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => handleRemoveStep(idx)}
+                      disabled={steps.length === 1}
+                      className="px-1 text-gray-400 hover:text-red-400 disabled:opacity-30"
+                      title="Remove step"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-2 mt-3">
+                <button
+                  onClick={handleAddStep}
+                  disabled={steps.length >= MAX_STEPS}
+                  className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-white/10 hover:bg-white/20 text-gray-300 disabled:opacity-40"
+                >
+                  + Add Step
+                </button>
+                <button
+                  onClick={handleReverse}
+                  disabled={steps.length < 2}
+                  className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-white/10 hover:bg-white/20 text-gray-300 disabled:opacity-40"
+                >
+                  ⇅ Reverse Order
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Steps apply top to bottom, so the product reads right to left.
+              </p>
+
+              {steps.length > 1 && (
+                <>
+                  <div className="mt-3 text-xs font-mono text-gray-300">
+                    <div className="text-gray-400 mb-1">{productName(steps.length)} =</div>
+                    <div className={`grid gap-1 ${is3d ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                      {product.flat().map((value, idx) => (
+                        <div key={idx} className="px-2 py-1 bg-white/5 rounded text-center">
+                          {formatNumber(value)}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <p className={`text-xs mt-2 ${commutes ? 'text-green-400' : 'text-orange-400'}`}>
+                    {commutes
+                      ? '✓ Reversing the order gives the same product - these steps commute.'
+                      : '⚠️ Order matters: applying the steps in reverse gives a different product.'}
+                  </p>
+                </>
+              )}
+            </div>
+
+            {/* Animation */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-4">
+              <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                Interpolation
+              </h3>
+              <button
+                onClick={handlePlayAnimation}
+                disabled={isAnimating}
+                className="w-full px-4 py-2 bg-purple-500/80 hover:bg-purple-500 rounded-lg text-sm font-semibold disabled:opacity-50"
+              >
+                {isAnimating ? 'Playing...' : '▶ Play from Identity'}
+              </button>
               <input
                 type="range"
-                min="-180"
-                max="180"
-                value={rotation}
-                onChange={(e) => setRotation(Number(e.target.value))}
-                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                min="0"
+                max={steps.length}
+                step="0.01"
+                value={position}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  setIsAnimating(false);
+                  setStage(value >= steps.length ? null : value);
+                }}
+                className="w-full mt-3"
               />
+              <table className="w-full mt-2 text-xs font-mono">
+                <thead>
+                  <tr className="text-gray-500">
+                    <th className="text-left font-normal">Stage</th>
+                    <th className="text-right font-normal">det</th>
+                    <th className="text-right font-normal">tr</th>
+                    <th className="text-right font-normal">rank</th>
+                    <th className="text-right font-normal">inv</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stages.map((stageMatrix, idx) => {
+                    const stageDeterminant = getDeterminant(stageMatrix);
+                    return (
+                      <tr
+                        key={idx}
+                        className={idx === Math.round(position) ? 'text-white' : 'text-gray-400'}
+                      >
+                        <td>{productName(idx)}</td>
+                        <td className="text-right">{formatNumber(stageDeterminant)}</td>
+                        <td className="text-right">{formatNumber(trace(stageMatrix))}</td>
+                        <td className="text-right">{rank(stageMatrix)}</td>
+                        <td className="text-right">{Math.abs(stageDeterminant) < TOLERANCE ? '✗' : '✓'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">
+                det multiplies at every step and rank can only drop - once a step is singular, so is everything after it.
+              </p>
             </div>
 
-            {/* Scale Control */}
-            <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">
-                Scale: {scale.toFixed(2)}x {scale < 0 && '(Reflected)'}
+            {/* Display Options */}
+            <div className="space-y-2 text-sm text-gray-300">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showEigenvectors}
+                  onChange={(e) => setShowEigenvectors(e.target.checked)}
+                  className="w-4 h-4 rounded"
+                />
+                Show eigenvectors
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showGrid}
+                  onChange={(e) => setShowGrid(e.target.checked)}
+                  className="w-4 h-4 rounded"
+                />
+                {is3d ? 'Show floor grid' : 'Show transformed grid'}
               </label>
-              <input
-                type="range"
-                min="-3"
-                max="3"
-                step="0.1"
-                value={scale}
-                onChange={(e) => setScale(Number(e.target.value))}
-                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
-              />
             </div>
 
             {/* Reset Button */}
@@ -248,31 +857,51 @@ export const MatrixTransform = ({ onClose }) => {
               Reset
             </button>
 
-            {/* Matrix Display */}
+            {/* Determinant */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-4">
-              <h3 className="text-sm font-semibold text-gray-400 mb-3">
-                Transformation Matrix
+              <h3 className="text-sm font-semibold text-gray-400 mb-2">
+                Determinant
               </h3>
-              <div className="font-mono text-sm text-white space-y-1">
-                <div>
-                  [{matrix[0][0].toFixed(2)}, {matrix[0][1].toFixed(2)}]
-                </div>
-                <div>
-                  [{matrix[1][0].toFixed(2)}, {matrix[1][1].toFixed(2)}]
-                </div>
+              <div className={`text-2xl font-bold ${determinant < 0 ? 'text-orange-400' : 'text-cyan-400'}`}>
+                {formatNumber(determinant)}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {Math.abs(determinant) < TOLERANCE
+                  ? `⚠️ Singular - rank ${matrixRank}, ${is3d ? 'volume' : 'area'} collapses`
+                  : determinant < 0
+                    ? '⚠️ Orientation flipped!'
+                    : `${is3d ? 'Volume' : 'Area'} scaling factor`}
+              </p>
+              <div className="flex justify-between text-xs mt-2">
+                <span className="text-gray-400">Trace:</span>
+                <span className="font-mono text-white">{formatNumber(trace(matrix))}</span>
               </div>
             </div>
 
-            {/* Determinant */}
+            {/* Eigenvalues */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-4">
               <h3 className="text-sm font-semibold text-gray-400 mb-2">
-                Determinant
+                Eigenvalues
               </h3>
-              <div className={`text-2xl font-bold ${determinant < 0 ? 'text-orange-400' : 'text-cyan-400'}`}>
-                {determinant.toFixed(2)}
+              <div className="space-y-1 text-xs font-mono">
+                {eigenpairs.map(({ value, vectors }) => (
+                  <div key={value} className="flex justify-between">
+                    <span className="text-yellow-400">λ = {formatNumber(value)}</span>
+                    <span className="text-gray-400">
+                      {vectors.map(v => `(${v.map(formatNumber).join(', ')})`).join(' ')}
+                    </span>
+                  </div>
+                ))}
+                {complexValues.map((value, idx) => (
+                  <div key={`complex-${idx}`} className="text-gray-400">
+                    λ = {formatEigenvalue(value)}
+                  </div>
+                ))}
               </div>
-              <p className="text-xs text-gray-500 mt-1">
-                {determinant < 0 ? '⚠️ Orientation flipped!' : 'Area scaling factor'}
+              <p className="text-xs text-gray-500 mt-2">
+                {complexValues.length > 0 && 'Complex eigenvalues: the map rotates within a plane, so no direction in that plane stays fixed. '}
+                {eigenvectorCount < size && complexValues.length === 0 && 'Fewer independent eigenvectors than dimensions: not diagonalizable.'}
+                {eigenvectorCount === size && 'Dashed lines are invariant directions: vectors there are only scaled by λ.'}
               </p>
             </div>
 
@@ -290,20 +919,30 @@ export const MatrixTransform = ({ onClose }) => {
                   <div className="w-6 h-1 bg-purple-500 rounded shadow-glow"></div>
                   <span className="text-gray-400">Transformed</span>
                 </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-6 h-0 border-t-2 border-dashed border-yellow-400/60"></div>
+                  <span className="text-gray-400">Eigenvector direction</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  {BASIS.slice(0, size).map(({ label, color }) => (
+                    <span key={label} className="font-bold" style={{ color }}>{label}</span>
+                  ))}
+                  <span className="text-gray-400">Transformed basis vectors</span>
+                </div>
               </div>
             </div>
 
             {/* Live Explanation */}
             <div className="bg-gradient-to-br from-cyan-500/10 to-purple-500/10 rounded-xl border border-cyan-500/30 p-4">
               <h3 className="text-sm font-bold text-cyan-400 mb-2 flex items-center gap-2">
-                💡 {getExplanation().title}
+                💡 {explanation.title}
               </h3>
               <p className="text-sm text-gray-300 mb-3 leading-relaxed">
-                {getExplanation().description}
+                {explanation.description}
               </p>
               <div className="bg-white/5 rounded-lg p-3 border border-white/10">
                 <p className="text-xs text-gray-400 leading-relaxed">
-                  <strong className="text-cyan-400">Key Insight:</strong> {getExplanation().insight}
+                  <strong className="text-cyan-400">Key Insight:</strong> {explanation.insight}
                 </p>
               </div>
             </div>
@@ -312,4 +951,4 @@ export const MatrixTransform = ({ onClose }) => {
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
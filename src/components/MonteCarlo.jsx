@@ -1,12 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { random } from '../math/random.js';
 
-export const MonteCarlo = ({ onClose }) => {
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  method: param.oneOf(['pi', 'integration', 'random-walk'], 'pi'),
+  speed: param.integer(5, { min: 1, max: 10 })
+};
+
+export const MonteCarlo = ({ onClose, config }) => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   
-  const [method, setMethod] = useState('pi'); // 'pi', 'integration', 'random-walk'
+  const [method, setMethod] = usePermalinkState(PARAMS, 'method', config); // 'pi', 'integration', 'random-walk'
   const [isRunning, setIsRunning] = useState(false);
-  const [speed, setSpeed] = useState(5);
+  const [speed, setSpeed] = usePermalinkState(PARAMS, 'speed', config);
   const [samples, setSamples] = useState([]);
   const [totalSamples, setTotalSamples] = useState(0);
   const [insideCount, setInsideCount] = useState(0);
@@ -33,8 +41,8 @@ export const MonteCarlo = ({ onClose }) => {
   const addSample = () => {
     if (method === 'pi') {
       // Monte Carlo Pi estimation
-      const x = Math.random() * 2 - 1; // [-1, 1]
-      const y = Math.random() * 2 - 1; // [-1, 1]
+      const x = random.uniform(-1, 1); // [-1, 1]
+      const y = random.uniform(-1, 1); // [-1, 1]
       const distance = Math.sqrt(x * x + y * y);
       const inside = distance <= 1;
       
@@ -44,8 +52,8 @@ export const MonteCarlo = ({ onClose }) => {
       
     } else if (method === 'integration') {
       // Monte Carlo integration of f(x) = x^2
-      const x = Math.random(); // [0, 1]
-      const y = Math.random(); // [0, 1]
+      const x = random.next(); // [0, 1]
+      const y = random.next(); // [0, 1]
       const fx = x * x; // Function to integrate
       const inside = y <= fx;
       
@@ -58,7 +66,7 @@ export const MonteCarlo = ({ onClose }) => {
       // 2D Random Walk
       setWalkPath(prev => {
         const last = prev[prev.length - 1];
-        const angle = Math.random() * 2 * Math.PI;
+        const angle = random.uniform(0, 2 * Math.PI);
         const step = 0.1;
         const newX = last.x + Math.cos(angle) * step;
         const newY = last.y + Math.sin(angle) * step;
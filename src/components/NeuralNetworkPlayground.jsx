@@ -1,21 +1,46 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const NeuralNetworkPlayground = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import {
+  relu, reluDerivative, sigmoid, sigmoidDerivative, tanh, tanhDerivative
+} from '../math/activations.js';
+import { logLoss } from '../math/logistic.js';
+import { random } from '../math/random.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  layers: param.json([2, 4, 4, 1], (value) => (
+    Array.isArray(value) && value.length === 4 && value.every((n) => Number.isInteger(n) && n >= 1 && n <= 8)
+  )),
+  activation: param.oneOf(['relu', 'sigmoid', 'tanh'], 'relu'),
+  learningRate: param.number(0.1, { min: 0.001, max: 1 }),
+  dataset: param.oneOf(['linear', 'circle', 'xor', 'spiral'], 'circle')
+};
+
+// Activation functions
+const ACTIVATIONS = { relu, sigmoid, tanh };
+
+const ACTIVATION_DERIVATIVES = {
+  relu: reluDerivative,
+  sigmoid: sigmoidDerivative,
+  tanh: tanhDerivative
+};
+
+export const NeuralNetworkPlayground = ({ onClose, config }) => {
   const canvasRef = useRef(null);
   const networkCanvasRef = useRef(null);
   
   // Network architecture
-  const [layers, setLayers] = useState([2, 4, 4, 1]); // [input, hidden1, hidden2, output]
-  const [activation, setActivation] = useState('relu');
+  const [layers, setLayers] = usePermalinkState(PARAMS, 'layers', config); // [input, hidden1, hidden2, output]
+  const [activation, setActivation] = usePermalinkState(PARAMS, 'activation', config);
   
   // Training
   const [isTraining, setIsTraining] = useState(false);
   const [epoch, setEpoch] = useState(0);
-  const [learningRate, setLearningRate] = useState(0.1);
+  const [learningRate, setLearningRate] = usePermalinkState(PARAMS, 'learningRate', config);
   const [batchSize, setBatchSize] = useState(10);
   
   // Data
-  const [dataset, setDataset] = useState('circle');
+  const [dataset, setDataset] = usePermalinkState(PARAMS, 'dataset', config);
   const [dataPoints, setDataPoints] = useState([]);
   const [testAccuracy, setTestAccuracy] = useState(0);
   const [trainLoss, setTrainLoss] = useState([]);
@@ -23,22 +48,6 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
   // Network weights (simplified - in reality would be more complex)
   const [network, setNetwork] = useState(null);
 
-  // Activation functions
-  const activations = {
-    relu: (x) => Math.max(0, x),
-    sigmoid: (x) => 1 / (1 + Math.exp(-x)),
-    tanh: (x) => Math.tanh(x)
-  };
-
-  const activationDerivatives = {
-    relu: (x) => x > 0 ? 1 : 0,
-    sigmoid: (x) => {
-      const s = 1 / (1 + Math.exp(-x));
-      return s * (1 - s);
-    },
-    tanh: (x) => 1 - Math.tanh(x) ** 2
-  };
-
   // Initialize network
   useEffect(() => {
     initializeNetwork();
@@ -55,10 +64,10 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
       for (let j = 0; j < layers[i + 1]; j++) {
         const neuronWeights = [];
         for (let k = 0; k < layers[i]; k++) {
-          neuronWeights.push((Math.random() - 0.5) * 2);
+          neuronWeights.push(random.uniform(-1, 1));
         }
         w.push(neuronWeights);
-        b.push((Math.random() - 0.5) * 2);
+        b.push(random.uniform(-1, 1));
       }
       
       weights.push(w);
@@ -81,25 +90,25 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
       let x, y, label;
       
       if (type === 'circle') {
-        const r = Math.random();
-        const theta = Math.random() * 2 * Math.PI;
+        const r = random.next();
+        const theta = random.uniform(0, 2 * Math.PI);
         x = r * Math.cos(theta);
         y = r * Math.sin(theta);
         label = r < 0.5 ? 0 : 1;
       } else if (type === 'xor') {
-        x = Math.random() * 2 - 1;
-        y = Math.random() * 2 - 1;
+        x = random.uniform(-1, 1);
+        y = random.uniform(-1, 1);
         label = (x * y > 0) ? 1 : 0;
       } else if (type === 'spiral') {
         const theta = (i / n) * 4 * Math.PI;
         const r = theta / (4 * Math.PI);
-        const noise = (Math.random() - 0.5) * 0.1;
+        const noise = random.uniform(-0.05, 0.05);
         x = r * Math.cos(theta) + noise;
         y = r * Math.sin(theta) + noise;
         label = i < n / 2 ? 0 : 1;
       } else { // linear
-        x = Math.random() * 2 - 1;
-        y = Math.random() * 2 - 1;
+        x = random.uniform(-1, 1);
+        y = random.uniform(-1, 1);
         label = x + y > 0 ? 1 : 0;
       }
       
@@ -129,8 +138,8 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
         // Apply activation (sigmoid for output layer, selected for hidden)
         const isOutputLayer = i === net.weights.length - 1;
         const activated = isOutputLayer ? 
-          activations.sigmoid(sum) : 
-          activations[activation](sum);
+          ACTIVATIONS.sigmoid(sum) : 
+          ACTIVATIONS[activation](sum);
         
         nextLayer.push(activated);
       }
@@ -161,9 +170,7 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
       const target = point.label;
       
       // Loss (binary cross-entropy)
-      const loss = -(target * Math.log(prediction + 1e-7) + 
-                     (1 - target) * Math.log(1 - prediction + 1e-7));
-      totalLoss += loss;
+      totalLoss += logLoss([target], [prediction]);
       
       // Backpropagation (simplified)
       let delta = [(prediction - target)];
@@ -178,7 +185,7 @@ export const NeuralNetworkPlayground = ({ onClose }) => {
           }
           
           const isOutputLayer = i === network.weights.length - 1;
-          const derivative = isOutputLayer ? 1 : activationDerivatives[activation](activations[i + 1][j]);
+          const derivative = isOutputLayer ? 1 : ACTIVATION_DERIVATIVES[activation](activations[i + 1][j]);
           nextDelta.push(grad * derivative);
         }
         
@@ -1,15 +1,33 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-export const ProbabilityDistributions = ({ onClose }) => {
+import { param, usePermalinkState } from '../core/permalink.js';
+import {
+  normalPDF, normalCDF, binomialPMF, binomialCDF, poissonPMF, poissonCDF,
+  exponentialPDF, exponentialCDF, uniformPDF, uniformCDF
+} from '../math/distributions.js';
+import { random } from '../math/random.js';
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  distribution: param.oneOf(['normal', 'binomial', 'poisson', 'exponential', 'uniform'], 'normal'),
+  // Bounded by the widest slider of any distribution; the active one clamps further
+  param1: param.number(0, { min: -5, max: 50 }),
+  param2: param.number(1, { min: 0, max: 10 }),
+  showPDF: param.boolean(true),
+  showCDF: param.boolean(false),
+  sampleSize: param.integer(1000, { min: 100, max: 5000 }),
+  showSamples: param.boolean(false)
+};
+
+export const ProbabilityDistributions = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [distribution, setDistribution] = useState('normal'); // 'normal', 'binomial', 'poisson', 'exponential', 'uniform'
-  const [param1, setParam1] = useState(0); // Mean for normal, n for binomial, λ for poisson
-  const [param2, setParam2] = useState(1); // Std dev for normal, p for binomial
-  const [showPDF, setShowPDF] = useState(true);
-  const [showCDF, setShowCDF] = useState(false);
-  const [sampleSize, setSampleSize] = useState(1000);
+  const [distribution, setDistribution] = usePermalinkState(PARAMS, 'distribution', config); // 'normal', 'binomial', 'poisson', 'exponential', 'uniform'
+  const [storedParam1, setParam1] = usePermalinkState(PARAMS, 'param1', config); // Mean for normal, n for binomial, λ for poisson
+  const [storedParam2, setParam2] = usePermalinkState(PARAMS, 'param2', config); // Std dev for normal, p for binomial
+  const [showPDF, setShowPDF] = usePermalinkState(PARAMS, 'showPDF', config);
+  const [showCDF, setShowCDF] = usePermalinkState(PARAMS, 'showCDF', config);
+  const [sampleSize, setSampleSize] = usePermalinkState(PARAMS, 'sampleSize', config);
   const [samples, setSamples] = useState([]);
-  const [showSamples, setShowSamples] = useState(false);
+  const [showSamples, setShowSamples] = usePermalinkState(PARAMS, 'showSamples', config);
 
   // Distribution definitions
   const distributions = {
@@ -19,22 +37,9 @@ export const ProbabilityDistributions = ({ onClose }) => {
         { name: 'Mean (μ)', min: -5, max: 5, default: 0, step: 0.1 },
         { name: 'Std Dev (σ)', min: 0.1, max: 3, default: 1, step: 0.1 }
       ],
-      pdf: (x, mu, sigma) => {
-        const coefficient = 1 / (sigma * Math.sqrt(2 * Math.PI));
-        const exponent = -Math.pow(x - mu, 2) / (2 * Math.pow(sigma, 2));
-        return coefficient * Math.exp(exponent);
-      },
-      cdf: (x, mu, sigma) => {
-        // Approximate using error function
-        return 0.5 * (1 + erf((x - mu) / (sigma * Math.sqrt(2))));
-      },
-      sample: (mu, sigma) => {
-        // Box-Muller transform
-        const u1 = Math.random();
-        const u2 = Math.random();
-        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-        return mu + sigma * z;
-      },
+      pdf: normalPDF,
+      cdf: normalCDF,
+      sample: random.normal,
       range: { min: -10, max: 10 },
       description: 'Bell curve - models natural phenomena, Central Limit Theorem'
     },
@@ -44,25 +49,9 @@ export const ProbabilityDistributions = ({ onClose }) => {
         { name: 'Trials (n)', min: 1, max: 50, default: 20, step: 1 },
         { name: 'Success Prob (p)', min: 0.01, max: 0.99, default: 0.5, step: 0.01 }
       ],
-      pdf: (k, n, p) => {
-        // Only for integer k
-        if (k < 0 || k > n || k !== Math.floor(k)) return 0;
-        return binomialCoef(n, k) * Math.pow(p, k) * Math.pow(1 - p, n - k);
-      },
-      cdf: (x, n, p) => {
-        let sum = 0;
-        for (let k = 0; k <= Math.floor(x) && k <= n; k++) {
-          sum += binomialCoef(n, k) * Math.pow(p, k) * Math.pow(1 - p, n - k);
-        }
-        return sum;
-      },
-      sample: (n, p) => {
-        let successes = 0;
-        for (let i = 0; i < n; i++) {
-          if (Math.random() < p) successes++;
-        }
-        return successes;
-      },
+      pdf: binomialPMF,
+      cdf: binomialCDF,
+      sample: random.binomial,
       range: { min: 0, max: 50 },
       description: 'Coin flips - number of successes in n trials'
     },
@@ -72,28 +61,9 @@ export const ProbabilityDistributions = ({ onClose }) => {
         { name: 'Rate (λ)', min: 0.1, max: 10, default: 3, step: 0.1 },
         { name: 'N/A', min: 0, max: 1, default: 0, step: 1 } // Dummy param
       ],
-      pdf: (k, lambda) => {
-        if (k < 0 || k !== Math.floor(k)) return 0;
-        return (Math.pow(lambda, k) * Math.exp(-lambda)) / factorial(k);
-      },
-      cdf: (x, lambda) => {
-        let sum = 0;
-        for (let k = 0; k <= Math.floor(x); k++) {
-          sum += (Math.pow(lambda, k) * Math.exp(-lambda)) / factorial(k);
-        }
-        return sum;
-      },
-      sample: (lambda) => {
-        // Knuth algorithm
-        let L = Math.exp(-lambda);
-        let k = 0;
-        let p = 1;
-        do {
-          k++;
-          p *= Math.random();
-        } while (p > L);
-        return k - 1;
-      },
+      pdf: poissonPMF,
+      cdf: poissonCDF,
+      sample: random.poisson,
       range: { min: 0, max: 20 },
       description: 'Rare events - number of occurrences in a fixed interval'
     },
@@ -103,17 +73,9 @@ export const ProbabilityDistributions = ({ onClose }) => {
         { name: 'Rate (λ)', min: 0.1, max: 3, default: 1, step: 0.1 },
         { name: 'N/A', min: 0, max: 1, default: 0, step: 1 } // Dummy param
       ],
-      pdf: (x, lambda) => {
-        if (x < 0) return 0;
-        return lambda * Math.exp(-lambda * x);
-      },
-      cdf: (x, lambda) => {
-        if (x < 0) return 0;
-        return 1 - Math.exp(-lambda * x);
-      },
-      sample: (lambda) => {
-        return -Math.log(Math.random()) / lambda;
-      },
+      pdf: exponentialPDF,
+      cdf: exponentialCDF,
+      sample: random.exponential,
       range: { min: 0, max: 10 },
       description: 'Waiting times - time between events in Poisson process'
     },
@@ -123,55 +85,24 @@ export const ProbabilityDistributions = ({ onClose }) => {
         { name: 'Min (a)', min: -5, max: 5, default: 0, step: 0.1 },
         { name: 'Max (b)', min: -5, max: 10, default: 5, step: 0.1 }
       ],
-      pdf: (x, a, b) => {
-        if (x < a || x > b) return 0;
-        return 1 / (b - a);
-      },
-      cdf: (x, a, b) => {
-        if (x < a) return 0;
-        if (x > b) return 1;
-        return (x - a) / (b - a);
-      },
-      sample: (a, b) => {
-        return a + Math.random() * (b - a);
-      },
+      pdf: uniformPDF,
+      cdf: uniformCDF,
+      sample: random.uniform,
       range: { min: -6, max: 11 },
       description: 'Equal probability - all values equally likely'
     }
   };
 
-  // Helper functions
-  const factorial = (n) => {
-    if (n <= 1) return 1;
-    if (n > 20) return Infinity; // Prevent overflow
-    let result = 1;
-    for (let i = 2; i <= n; i++) result *= i;
-    return result;
-  };
-
-  const binomialCoef = (n, k) => {
-    if (k > n) return 0;
-    if (k === 0 || k === n) return 1;
-    return factorial(n) / (factorial(k) * factorial(n - k));
-  };
-
-  const erf = (x) => {
-    // Approximation of error function
-    const sign = x >= 0 ? 1 : -1;
-    x = Math.abs(x);
-    const a1 = 0.254829592;
-    const a2 = -0.284496736;
-    const a3 = 1.421413741;
-    const a4 = -1.453152027;
-    const a5 = 1.061405429;
-    const p = 0.3275911;
-    const t = 1.0 / (1.0 + p * x);
-    const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-    return sign * y;
-  };
-
   const currentDist = distributions[distribution];
 
+  // A shared link may carry values for another distribution (n = 1e9, p > 1, σ < 0):
+  // keep both inside the active distribution's slider ranges
+  const [param1, param2] = [storedParam1, storedParam2].map((value, i) => {
+    const { min, max, step } = currentDist.params[i];
+    const clamped = Math.min(max, Math.max(min, value));
+    return step === 1 ? Math.round(clamped) : clamped;
+  });
+
   // Generate samples
   const generateSamples = () => {
     const newSamples = [];
@@ -187,12 +118,14 @@ export const ProbabilityDistributions = ({ onClose }) => {
     }
   }, [distribution, param1, param2, sampleSize, showSamples]);
 
-  // Reset params when distribution changes
-  useEffect(() => {
-    setParam1(currentDist.params[0].default);
-    setParam2(currentDist.params[1].default);
+  // Switch distribution, resetting params to its defaults
+  // (done in the handler so params restored from the URL survive the first render)
+  const handleDistributionChange = (key) => {
+    setDistribution(key);
+    setParam1(distributions[key].params[0].default);
+    setParam2(distributions[key].params[1].default);
     setSamples([]);
-  }, [distribution]);
+  };
 
   // Drawing
   useEffect(() => {
@@ -414,7 +347,7 @@ export const ProbabilityDistributions = ({ onClose }) => {
               </label>
               <select
                 value={distribution}
-                onChange={(e) => setDistribution(e.target.value)}
+                onChange={(e) => handleDistributionChange(e.target.value)}
                 className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:border-cyan-500/50"
               >
                 {Object.entries(distributions).map(([key, dist]) => (
@@ -0,0 +1,140 @@
+/**
+ * PROGRESS PANEL
+ *
+ * Summary of the learner's progress for the home page: completed concepts,
+ * where to continue, what is unlocked next, and import/export of the
+ * progress file.
+ */
+
+import React, { useRef, useState } from 'react';
+import registry from '../core/ConceptRegistry.js';
+import progress, { useProgress } from '../core/ProgressStore.js';
+import { getUnlockableConcepts, getToolInfo, formatDuration } from '../utils/conceptUtils.js';
+import { toolHref, conceptHref } from '../core/router.js';
+
+/**
+ * ProgressPanel Component
+ */
+export const ProgressPanel = () => {
+  const { data, completedConcepts } = useProgress();
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null); // { type: 'success'|'error', text }
+
+  const total = registry.getAll().length;
+  const completedCount = [...completedConcepts].filter(id => registry.get(id)).length;
+  const percent = total > 0 ? Math.round((completedCount / total) * 100) : 0;
+  const totalTime = Object.values(data.concepts).reduce((sum, entry) => sum + entry.timeSpent, 0);
+
+  const lastTool = data.lastTool && registry.get(data.lastTool);
+  const upNext = getUnlockableConcepts(completedConcepts).slice(0, 4);
+
+  const handleExport = () => {
+    const blob = new Blob([progress.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'applied-math-lab-progress.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const result = progress.importJSON(await file.text());
+    setMessage(result.success
+      ? { type: 'success', text: 'Progress imported.' }
+      : { type: 'error', text: `Import failed: ${result.errors.join(', ')}` });
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Clear all progress? This cannot be undone.')) {
+      progress.reset();
+      setMessage(null);
+    }
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-sm rounded-xl border border-white/10 p-5">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-3">
+        <div>
+          <h3 className="text-sm font-bold text-white">Your Progress</h3>
+          <p className="text-xs text-gray-400 mt-0.5">
+            {completedCount} of {total} concepts completed
+            {totalTime > 0 && ` • ${formatDuration(totalTime)} spent`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            className="px-3 py-1.5 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-xs transition-colors"
+          >
+            Export
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-3 py-1.5 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-xs transition-colors"
+          >
+            Import
+          </button>
+          <button
+            onClick={handleReset}
+            className="px-3 py-1.5 bg-white/5 hover:bg-red-500/20 rounded-lg border border-white/10 text-xs transition-colors"
+          >
+            Reset
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {/* Progress Bar */}
+      <div className="h-1.5 bg-white/10 rounded-full overflow-hidden mb-4">
+        <div
+          className="h-full bg-gradient-to-r from-cyan-500 to-purple-500 transition-all duration-500"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        {lastTool && (
+          <a
+            href={toolHref(lastTool.id)}
+            className="px-3 py-1.5 bg-gradient-to-r from-cyan-500/20 to-purple-500/20 hover:from-cyan-500/30 hover:to-purple-500/30 rounded-lg border border-cyan-500/30 text-cyan-300 transition-colors"
+          >
+            ▶ Continue: {getToolInfo(lastTool).shortTitle}
+          </a>
+        )}
+        {upNext.length > 0 && (
+          <>
+            <span className="text-gray-500 ml-1">Up next:</span>
+            {upNext.map(concept => (
+              <a
+                key={concept.id}
+                href={conceptHref(concept.id)}
+                className="px-2.5 py-1 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 text-gray-300 transition-colors"
+              >
+                {concept.name}
+              </a>
+            ))}
+          </>
+        )}
+      </div>
+
+      {message && (
+        <p className={`text-xs mt-3 ${message.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProgressPanel;
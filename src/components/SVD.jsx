@@ -1,105 +1,100 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-export const SVD = ({ onClose }) => {
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { transformPoint, transpose, determinant } from '../math/matrices.js';
+import { svd, numericalRank, reconstruct, truncationError, energyRetained } from '../math/svd.js';
+import { SVDImageCompression, IMAGE_MAX_SIZE } from './SVDImageCompression.jsx';
+import { SVDPrincipalComponents } from './SVDPrincipalComponents.jsx';
+
+const isMatrix2x2 = (value) => (
+  Array.isArray(value) && value.length === 2 &&
+  value.every(row => Array.isArray(row) && row.length === 2 && row.every(Number.isFinite))
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  mode: param.oneOf(['transform', 'image', 'pca'], 'transform'),
+  matrix: param.json([[3, 1], [1, 2]], isMatrix2x2),
+  // Shared by all modes; the transform view caps it at 2, PCA at the data dimension
+  rank: param.integer(2, { min: 0, max: IMAGE_MAX_SIZE })
+};
+
+// Letter 'A' as line segments (pairs of points), in math coordinates (y up)
+const SHAPE_POINTS = [
+  // Left leg
+  { x: -0.8, y: -1 }, { x: -0.3, y: 1 },
+  // Right leg
+  { x: 0.3, y: 1 }, { x: 0.8, y: -1 },
+  // Crossbar
+  { x: -0.45, y: 0 }, { x: 0.45, y: 0 }
+];
+
+const UNIT_CIRCLE = Array.from({ length: 65 }, (_, i) => {
+  const angle = (i / 64) * Math.PI * 2;
+  return { x: Math.cos(angle), y: Math.sin(angle) };
+});
+
+const formatEntry = (value) => (Math.abs(value) < 0.005 ? '0.00' : value.toFixed(2));
+
+export const SVD = ({ onClose, config }) => {
   const canvasRef = useRef(null);
-  const [rank, setRank] = useState(2);
-  const [maxRank, setMaxRank] = useState(2);
+  const [mode, setMode] = usePermalinkState(PARAMS, 'mode', config);
+  const [matrix, setMatrix] = usePermalinkState(PARAMS, 'matrix', config);
+  const [rankParam, setRank] = usePermalinkState(PARAMS, 'rank', config);
   const [animationStep, setAnimationStep] = useState(0); // 0=original, 1=V^T, 2=Σ, 3=U, 4=result
   const [isAnimating, setIsAnimating] = useState(false);
-  
-  // Simple shape data (points of a letter 'A')
-  const originalPoints = [
-    // Left leg
-    { x: -50, y: 60 }, { x: -20, y: -60 },
-    // Right leg
-    { x: 20, y: -60 }, { x: 50, y: 60 },
-    // Crossbar
-    { x: -25, y: 0 }, { x: 25, y: 0 }
-  ];
-
-  // Create data matrix from points
-  const createDataMatrix = () => {
-    const X = [];
-    for (let i = 0; i < originalPoints.length; i++) {
-      X.push([originalPoints[i].x, originalPoints[i].y]);
-    }
-    return X;
-  };
 
-  // Simple SVD computation (for 2D case)
-  const computeSVD = (matrix) => {
-    // For simplicity, we'll use a predefined decomposition
-    // In reality, you'd use a library like math.js
-    
-    // This is a simplified example - actual SVD is more complex
-    const U = [
-      [0.8, 0.6],
-      [0.6, -0.8]
-    ];
-    
-    const S = [45, 25]; // Singular values
-    
-    const VT = [
-      [0.9, 0.436],
-      [-0.436, 0.9]
-    ];
-    
-    return { U, S, VT };
-  };
-
-  // Matrix multiplication
-  const matrixMultiply = (A, B) => {
-    const result = [];
-    for (let i = 0; i < A.length; i++) {
-      result[i] = [];
-      for (let j = 0; j < B[0].length; j++) {
-        let sum = 0;
-        for (let k = 0; k < A[0].length; k++) {
-          sum += A[i][k] * B[k][j];
-        }
-        result[i][j] = sum;
-      }
+  // Decompose the current matrix
+  const decomposition = useMemo(() => {
+    const { U, S, V } = svd(matrix);
+
+    // Flip the second singular pair if needed so V is a rotation rather
+    // than a reflection; A = U Σ Vᵀ is unchanged
+    if (determinant(V) < 0) {
+      return {
+        U: U.map(([a, b]) => [a, -b]),
+        S,
+        V: V.map(([a, b]) => [a, -b])
+      };
     }
-    return result;
-  };
+    return { U, S, V };
+  }, [matrix]);
+
+  const { U, S, V } = decomposition;
+  const VT = transpose(V);
+  const maxRank = S.length;
+  const rank = Math.min(rankParam, maxRank);
+  const fullRank = numericalRank(S);
+  const approximation = reconstruct(decomposition, rank);
+  const relativeError = truncationError(S, rank);
+  const energy = energyRetained(S, rank);
 
   // Apply transformation to points
-  const transformPoints = (points, matrix) => {
-    return points.map(p => {
-      const vec = [p.x, p.y];
-      const result = [
-        matrix[0][0] * vec[0] + matrix[0][1] * vec[1],
-        matrix[1][0] * vec[0] + matrix[1][1] * vec[1]
-      ];
-      return { x: result[0], y: result[1] };
-    });
-  };
+  const transformPoints = (points, matrix) => points.map(p => transformPoint(matrix, p));
 
-  const { U, S, VT } = computeSVD(createDataMatrix());
+  // Apply the factors up to the current animation step (Σ truncated to the rank)
+  const applySteps = (points) => {
+    let result = points;
 
-  // Get transformed points based on animation step
-  const getTransformedPoints = () => {
-    let points = originalPoints;
-    
     if (animationStep >= 1) {
       // Apply V^T
-      points = transformPoints(points, VT);
+      result = transformPoints(result, VT);
     }
-    
+
     if (animationStep >= 2) {
-      // Apply Σ (scaling)
-      const scale = rank >= 1 ? S[0] / 50 : 0;
-      const scale2 = rank >= 2 ? S[1] / 50 : 0;
-      const sigma = [[scale, 0], [0, scale2]];
-      points = transformPoints(points, sigma);
+      // Apply Σ (scaling), dropping singular values past the rank
+      const sigma = [
+        [rank >= 1 ? S[0] : 0, 0],
+        [0, rank >= 2 ? S[1] : 0]
+      ];
+      result = transformPoints(result, sigma);
     }
-    
+
     if (animationStep >= 3) {
       // Apply U
-      points = transformPoints(points, U);
+      result = transformPoints(result, U);
     }
-    
-    return points;
+
+    return result;
   };
 
   // Draw on canvas
@@ -113,6 +108,50 @@ export const SVD = ({ onClose }) => {
     const centerX = width / 2;
     const centerY = height / 2;
 
+    // Pixels per unit, chosen so the most stretched stage still fits
+    const unit = 150 / Math.max(1, S[0]);
+    const toCanvas = (p) => ({ x: centerX + p.x * unit, y: centerY - p.y * unit });
+
+    const strokePath = (points) => {
+      ctx.beginPath();
+      points.forEach((p, idx) => {
+        const c = toCanvas(p);
+        if (idx === 0) ctx.moveTo(c.x, c.y);
+        else ctx.lineTo(c.x, c.y);
+      });
+      ctx.stroke();
+    };
+
+    const strokeSegments = (points) => {
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        strokePath([points[i], points[i + 1]]);
+      }
+    };
+
+    const drawArrow = (to, color, label) => {
+      const origin = toCanvas({ x: 0, y: 0 });
+      const tip = toCanvas(to);
+      const angle = Math.atan2(tip.y - origin.y, tip.x - origin.x);
+
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(origin.x, origin.y);
+      ctx.lineTo(tip.x, tip.y);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(tip.x, tip.y);
+      ctx.lineTo(tip.x - 10 * Math.cos(angle - Math.PI / 6), tip.y - 10 * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(tip.x - 10 * Math.cos(angle + Math.PI / 6), tip.y - 10 * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.font = 'bold 13px sans-serif';
+      ctx.fillText(label, tip.x + 6, tip.y - 6);
+    };
+
     // Clear
     ctx.fillStyle = '#0f172a';
     ctx.fillRect(0, 0, width, height);
@@ -145,20 +184,28 @@ export const SVD = ({ onClose }) => {
     ctx.lineTo(centerX, height);
     ctx.stroke();
 
-    // Draw original shape (faint)
+    // Draw original shape and unit circle (faint)
     ctx.strokeStyle = 'rgba(100, 116, 139, 0.3)';
     ctx.lineWidth = 2;
-    for (let i = 0; i < originalPoints.length; i += 2) {
-      if (i + 1 < originalPoints.length) {
-        ctx.beginPath();
-        ctx.moveTo(centerX + originalPoints[i].x, centerY + originalPoints[i].y);
-        ctx.lineTo(centerX + originalPoints[i + 1].x, centerY + originalPoints[i + 1].y);
-        ctx.stroke();
-      }
+    strokeSegments(SHAPE_POINTS);
+    strokePath(UNIT_CIRCLE);
+
+    // Full-rank result for comparison when the rank is truncated
+    if (animationStep >= 3 && rank < fullRank) {
+      ctx.strokeStyle = 'rgba(236, 72, 153, 0.35)';
+      ctx.setLineDash([6, 6]);
+      strokeSegments(transformPoints(SHAPE_POINTS, matrix));
+      strokePath(transformPoints(UNIT_CIRCLE, matrix));
+      ctx.setLineDash([]);
     }
 
+    // Draw transformed unit circle
+    ctx.strokeStyle = 'rgba(6, 182, 212, 0.6)';
+    ctx.lineWidth = 2;
+    strokePath(applySteps(UNIT_CIRCLE));
+
     // Draw transformed shape
-    const transformed = getTransformedPoints();
+    const transformed = applySteps(SHAPE_POINTS);
     
     const gradient = ctx.createLinearGradient(0, 0, width, height);
     gradient.addColorStop(0, '#06b6d4');
@@ -169,33 +216,34 @@ export const SVD = ({ onClose }) => {
     ctx.lineWidth = 4;
     ctx.shadowBlur = 10;
     ctx.shadowColor = 'rgba(139, 92, 246, 0.5)';
-    
-    for (let i = 0; i < transformed.length; i += 2) {
-      if (i + 1 < transformed.length) {
-        ctx.beginPath();
-        ctx.moveTo(centerX + transformed[i].x, centerY + transformed[i].y);
-        ctx.lineTo(centerX + transformed[i + 1].x, centerY + transformed[i + 1].y);
-        ctx.stroke();
-      }
-    }
-    
+    strokeSegments(transformed);
     ctx.shadowBlur = 0;
 
     // Draw points
     transformed.forEach((p, idx) => {
+      const c = toCanvas(p);
       ctx.fillStyle = idx % 2 === 0 ? '#06b6d4' : '#ec4899';
       ctx.beginPath();
-      ctx.arc(centerX + p.x, centerY + p.y, 5, 0, Math.PI * 2);
+      ctx.arc(c.x, c.y, 5, 0, Math.PI * 2);
       ctx.fill();
     });
 
+    // Singular vectors: v₁, v₂ before the transform, σ₁u₁, σ₂u₂ after it
+    if (animationStep === 0) {
+      drawArrow({ x: V[0][0], y: V[1][0] }, '#fbbf24', 'v₁');
+      drawArrow({ x: V[0][1], y: V[1][1] }, '#a3e635', 'v₂');
+    } else if (animationStep >= 3) {
+      if (rank >= 1) drawArrow({ x: S[0] * U[0][0], y: S[0] * U[1][0] }, '#fbbf24', 'σ₁u₁');
+      if (rank >= 2) drawArrow({ x: S[1] * U[0][1], y: S[1] * U[1][1] }, '#a3e635', 'σ₂u₂');
+    }
+
     // Draw step label
     const stepLabels = ['Original', 'After V^T', 'After Σ', 'After U', 'Result'];
     ctx.fillStyle = 'white';
     ctx.font = 'bold 16px sans-serif';
     ctx.fillText(stepLabels[animationStep], 20, 30);
 
-  }, [animationStep, rank]);
+  }, [animationStep, rank, decomposition, mode]);
 
   // Animation control
   useEffect(() => {
@@ -222,221 +270,293 @@ export const SVD = ({ onClose }) => {
   const handleReset = () => {
     setAnimationStep(0);
     setIsAnimating(false);
+    setMatrix(PARAMS.matrix.default);
     setRank(2);
   };
 
-  const compressionRatio = ((1 - rank / maxRank) * 100).toFixed(0);
+  const handleEntryChange = (row, col, value) => {
+    if (!Number.isFinite(value)) return;
+    setMatrix(matrix.map((r, i) => r.map((entry, j) => (i === row && j === col ? value : entry))));
+  };
+
+  const renderMatrix = (M) => (
+    <div className="inline-grid gap-x-2 text-gray-300" style={{ gridTemplateColumns: `repeat(${M[0].length}, auto)` }}>
+      {M.flat().map((value, idx) => (
+        <span key={idx}>{formatEntry(value)}</span>
+      ))}
+    </div>
+  );
+
+  // Numbers stored by the rank-k factors vs the full matrix
+  const m = matrix.length;
+  const n = matrix[0].length;
+  const storedValues = rank * (m + n + 1);
 
   return (
     <div className="p-6 md:p-8">
       <div className="max-w-6xl mx-auto">
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Canvas */}
-          <div className="lg:col-span-2">
-            <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
-              <canvas
-                ref={canvasRef}
-                width={600}
-                height={450}
-                className="w-full rounded-lg"
-              />
-            </div>
+        {/* Mode Tabs */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {[['transform', '🔄 Geometric View'], ['image', '🖼️ Image Compression'], ['pca', '📊 PCA']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${
+                mode === value
+                  ? 'bg-gradient-to-r from-cyan-500 to-blue-500 text-white'
+                  : 'bg-white/10 hover:bg-white/20 text-gray-400'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
 
-            {/* Decomposition Formula */}
-            <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
-              <h3 className="text-sm font-semibold text-gray-400 mb-3">
-                Decomposition: A = U Σ V^T
-              </h3>
-              <div className="grid grid-cols-5 gap-2 items-center text-center text-xs font-mono">
-                <div className="bg-purple-500/20 border border-purple-500/30 rounded p-2">
-                  <div className="text-purple-400 font-bold mb-1">A</div>
-                  <div className="text-gray-400">Original</div>
-                </div>
-                <div className="text-gray-500">=</div>
-                <div className="bg-cyan-500/20 border border-cyan-500/30 rounded p-2">
-                  <div className="text-cyan-400 font-bold mb-1">U</div>
-                  <div className="text-gray-400">Rotation</div>
+        {mode === 'image' && (
+          <SVDImageCompression config={config} rank={rankParam} onRankChange={setRank} />
+        )}
+        {mode === 'pca' && (
+          <SVDPrincipalComponents config={config} rank={rankParam} onRankChange={setRank} />
+        )}
+        {mode === 'transform' && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Canvas */}
+            <div className="lg:col-span-2">
+              <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
+                <canvas
+                  ref={canvasRef}
+                  width={600}
+                  height={450}
+                  className="w-full rounded-lg"
+                />
+              </div>
+
+              {/* Decomposition Formula */}
+              <div className="mt-4 bg-white/5 rounded-xl border border-white/10 p-4">
+                <h3 className="text-sm font-semibold text-gray-400 mb-3">
+                  Decomposition: A = U Σ V^T
+                </h3>
+                <div className="grid grid-cols-5 gap-2 items-center text-center text-xs font-mono">
+                  <div className="bg-purple-500/20 border border-purple-500/30 rounded p-2">
+                    <div className="text-purple-400 font-bold mb-1">A</div>
+                    {renderMatrix(matrix)}
+                  </div>
+                  <div className="text-gray-500">=</div>
+                  <div className="bg-cyan-500/20 border border-cyan-500/30 rounded p-2">
+                    <div className="text-cyan-400 font-bold mb-1">U</div>
+                    {renderMatrix(U)}
+                  </div>
+                  <div className="text-gray-500">×</div>
+                  <div className="bg-orange-500/20 border border-orange-500/30 rounded p-2">
+                    <div className="text-orange-400 font-bold mb-1">Σ</div>
+                    {renderMatrix(S.map((sigma, i) => S.map((_, j) => (i === j ? sigma : 0))))}
+                  </div>
                 </div>
-                <div className="text-gray-500">×</div>
-                <div className="bg-orange-500/20 border border-orange-500/30 rounded p-2">
-                  <div className="text-orange-400 font-bold mb-1">Σ</div>
-                  <div className="text-gray-400">Scale</div>
+                <div className="grid grid-cols-3 gap-2 mt-2 items-center text-center text-xs font-mono">
+                  <div></div>
+                  <div className="text-gray-500">×</div>
+                  <div className="bg-pink-500/20 border border-pink-500/30 rounded p-2">
+                    <div className="text-pink-400 font-bold mb-1">V^T</div>
+                    {renderMatrix(VT)}
+                  </div>
                 </div>
               </div>
-              <div className="grid grid-cols-3 gap-2 mt-2 items-center text-center text-xs font-mono">
-                <div></div>
-                <div className="text-gray-500">×</div>
-                <div className="bg-pink-500/20 border border-pink-500/30 rounded p-2">
-                  <div className="text-pink-400 font-bold mb-1">V^T</div>
-                  <div className="text-gray-400">Rotation</div>
+            </div>
+
+            {/* Controls */}
+            <div className="space-y-3">
+              {/* Matrix Input */}
+              <div>
+                <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+                  Matrix A
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {matrix.map((row, i) => row.map((entry, j) => (
+                    <input
+                      key={`${i}-${j}`}
+                      type="number"
+                      step="0.1"
+                      value={entry}
+                      onChange={(e) => handleEntryChange(i, j, parseFloat(e.target.value))}
+                      className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-sm font-mono"
+                    />
+                  )))}
                 </div>
               </div>
-            </div>
-          </div>
 
-          {/* Controls */}
-          <div className="space-y-3">
-            {/* Rank Control */}
-            <div>
-              <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
-                Rank: {rank} / {maxRank}
-              </label>
-              <input
-                type="range"
-                min="0"
-                max={maxRank}
-                value={rank}
-                onChange={(e) => {
-                  setRank(Number(e.target.value));
-                  setAnimationStep(4); // Show result
-                }}
-                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                {rank === 0 && '⚠️ Zero rank - no information'}
-                {rank === 1 && '📊 Rank 1 - dominant pattern only'}
-                {rank === maxRank && '✅ Full rank - complete information'}
-                {rank > 1 && rank < maxRank && `📉 Reduced rank - ${compressionRatio}% compression`}
-              </p>
-            </div>
+              {/* Rank Control */}
+              <div>
+                <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+                  Rank: {rank} / {maxRank}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max={maxRank}
+                  value={rank}
+                  onChange={(e) => {
+                    setRank(Number(e.target.value));
+                    setAnimationStep(4); // Show result
+                  }}
+                  className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {rank === 0 && '⚠️ Zero rank - no information'}
+                  {rank > 0 && rank < fullRank && `📉 Rank ${rank} - ${(energy * 100).toFixed(1)}% of the energy kept`}
+                  {rank > 0 && rank >= fullRank && '✅ Exact - every non-zero singular value kept'}
+                </p>
+              </div>
 
-            {/* Animation Controls */}
-            <div className="grid grid-cols-2 gap-2">
-              <button
-                onClick={handlePlayAnimation}
-                disabled={isAnimating}
-                className="px-3 py-2 md:px-4 md:py-3 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isAnimating ? 'Playing...' : 'Play Animation'}
-              </button>
-              <button
-                onClick={handleReset}
-                className="px-3 py-2 md:px-4 md:py-3 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
-              >
-                Reset
-              </button>
-            </div>
+              {/* Animation Controls */}
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={handlePlayAnimation}
+                  disabled={isAnimating}
+                  className="px-3 py-2 md:px-4 md:py-3 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-emerald-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isAnimating ? 'Playing...' : 'Play Animation'}
+                </button>
+                <button
+                  onClick={handleReset}
+                  className="px-3 py-2 md:px-4 md:py-3 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+                >
+                  Reset
+                </button>
+              </div>
 
-            {/* Step Navigator */}
-            <div>
-              <label className="block text-xs font-semibold text-gray-400 mb-2">
-                Manual Step Control
-              </label>
-              <div className="grid grid-cols-5 gap-1">
-                {['0', '1', '2', '3', '4'].map((step, idx) => (
-                  <button
-                    key={idx}
-                    onClick={() => {
-                      setAnimationStep(idx);
-                      setIsAnimating(false);
-                    }}
-                    className={`px-2 py-2 rounded text-xs font-semibold transition-all ${
-                      animationStep === idx
-                        ? 'bg-purple-500 text-white'
-                        : 'bg-white/10 hover:bg-white/20 text-gray-400'
-                    }`}
-                  >
-                    {['Orig', 'V^T', 'Σ', 'U', 'Done'][idx]}
-                  </button>
-                ))}
+              {/* Step Navigator */}
+              <div>
+                <label className="block text-xs font-semibold text-gray-400 mb-2">
+                  Manual Step Control
+                </label>
+                <div className="grid grid-cols-5 gap-1">
+                  {['0', '1', '2', '3', '4'].map((step, idx) => (
+                    <button
+                      key={idx}
+                      onClick={() => {
+                        setAnimationStep(idx);
+                        setIsAnimating(false);
+                      }}
+                      className={`px-2 py-2 rounded text-xs font-semibold transition-all ${
+                        animationStep === idx
+                          ? 'bg-purple-500 text-white'
+                          : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                      }`}
+                    >
+                      {['Orig', 'V^T', 'Σ', 'U', 'Done'][idx]}
+                    </button>
+                  ))}
+                </div>
               </div>
-            </div>
 
-            {/* Singular Values */}
-            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
-              <h3 className="text-xs font-semibold text-gray-400 mb-2">
-                Singular Values
-              </h3>
-              <div className="space-y-2">
-                {S.map((sigma, idx) => {
-                  const width = (sigma / S[0]) * 100;
-                  const isActive = idx < rank;
-                  return (
-                    <div key={idx}>
-                      <div className="flex justify-between text-xs mb-1">
-                        <span className="text-gray-400">σ{idx + 1}</span>
-                        <span className={`font-mono ${isActive ? 'text-cyan-400' : 'text-gray-600'}`}>
-                          {sigma.toFixed(1)}
-                        </span>
-                      </div>
-                      <div className="h-2 bg-white/5 rounded-full overflow-hidden">
-                        <div
-                          className={`h-full rounded-full transition-all ${
-                            isActive
-                              ? 'bg-gradient-to-r from-cyan-500 to-purple-500'
-                              : 'bg-gray-700'
-                          }`}
-                          style={{ width: `${width}%` }}
-                        />
+              {/* Singular Values */}
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Singular Values
+                </h3>
+                <div className="space-y-2">
+                  {S.map((sigma, idx) => {
+                    const width = S[0] > 0 ? (sigma / S[0]) * 100 : 0;
+                    const isActive = idx < rank;
+                    return (
+                      <div key={idx}>
+                        <div className="flex justify-between text-xs mb-1">
+                          <span className="text-gray-400">σ{idx + 1}</span>
+                          <span className={`font-mono ${isActive ? 'text-cyan-400' : 'text-gray-600'}`}>
+                            {sigma.toFixed(3)}
+                          </span>
+                        </div>
+                        <div className="h-2 bg-white/5 rounded-full overflow-hidden">
+                          <div
+                            className={`h-full rounded-full transition-all ${
+                              isActive
+                                ? 'bg-gradient-to-r from-cyan-500 to-purple-500'
+                                : 'bg-gray-700'
+                            }`}
+                            style={{ width: `${width}%` }}
+                          />
+                        </div>
                       </div>
-                    </div>
-                  );
-                })}
+                    );
+                  })}
+                </div>
               </div>
-            </div>
 
-            {/* Info */}
-            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
-              <h3 className="text-xs font-semibold text-gray-400 mb-2">
-                Compression Info
-              </h3>
-              <div className="space-y-1.5 text-xs">
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Original Rank:</span>
-                  <span className="font-mono text-white">{maxRank}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Current Rank:</span>
-                  <span className="font-mono text-cyan-400">{rank}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Compression:</span>
-                  <span className="font-mono text-purple-400">{compressionRatio}%</span>
+              {/* Reconstruction */}
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Rank-{rank} Reconstruction
+                </h3>
+                <div className="space-y-1.5 text-xs">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Matrix Rank:</span>
+                    <span className="font-mono text-white">{fullRank}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Energy Retained:</span>
+                    <span className="font-mono text-emerald-400">{(energy * 100).toFixed(1)}%</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Error ‖A − A<sub>k</sub>‖/‖A‖:</span>
+                    <span className="font-mono text-purple-400">{(relativeError * 100).toFixed(1)}%</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Values Stored:</span>
+                    <span className="font-mono text-cyan-400">{storedValues} vs {m * n}</span>
+                  </div>
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Info Retained:</span>
-                  <span className="font-mono text-emerald-400">
-                    {((rank / maxRank) * 100).toFixed(0)}%
-                  </span>
+                <div className="mt-2 text-center text-xs font-mono">
+                  <div className="text-gray-400 mb-1">A<sub>{rank}</sub> = Σ σᵢ uᵢ vᵢᵀ</div>
+                  {renderMatrix(approximation)}
                 </div>
               </div>
-            </div>
 
-            {/* Explanation */}
-            <div className="bg-cyan-500/10 border border-cyan-500/30 rounded-xl p-3">
-              <div className="flex items-center gap-2 mb-1.5">
-                <span className="text-xl">💡</span>
-                <h3 className="text-xs font-bold text-cyan-400">
-                  What's Happening?
-                </h3>
+              {/* Explanation */}
+              <div className="bg-cyan-500/10 border border-cyan-500/30 rounded-xl p-3">
+                <div className="flex items-center gap-2 mb-1.5">
+                  <span className="text-xl">💡</span>
+                  <h3 className="text-xs font-bold text-cyan-400">
+                    What's Happening?
+                  </h3>
+                </div>
+                <p className="text-xs text-gray-300 leading-relaxed">
+                  {animationStep === 0 && 'Original shape and unit circle. v₁ and v₂ are the input directions A stretches most and least.'}
+                  {animationStep === 1 && 'First rotation (V^T) turns v₁ and v₂ onto the x and y axes.'}
+                  {animationStep === 2 && `Scaling (Σ) stretches the axes by σ₁ = ${S[0].toFixed(2)} and σ₂ = ${S[1].toFixed(2)}. Dropped singular values flatten their axis to 0.`}
+                  {animationStep === 3 && 'Second rotation (U) turns the axes onto the output directions u₁ and u₂.'}
+                  {animationStep === 4 && (rank < fullRank
+                    ? `Rank-${rank} result. The dashed outline is the exact A; the gap is the ${(relativeError * 100).toFixed(1)}% reconstruction error.`
+                    : 'Final result: U Σ Vᵀ reproduces A exactly. The unit circle became an ellipse with semi-axes σ₁ and σ₂.')}
+                </p>
               </div>
-              <p className="text-xs text-gray-300 leading-relaxed">
-                {animationStep === 0 && 'Original shape before decomposition.'}
-                {animationStep === 1 && 'First rotation (V^T) aligns the shape with principal axes.'}
-                {animationStep === 2 && 'Scaling (Σ) stretches along those axes. Lower rank = less stretching.'}
-                {animationStep === 3 && 'Second rotation (U) puts everything in final orientation.'}
-                {animationStep === 4 && 'Final result! Lower rank = more compression, less detail.'}
-              </p>
-            </div>
 
-            {/* Legend */}
-            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
-              <h3 className="text-xs font-semibold text-gray-400 mb-2">
-                Legend
-              </h3>
-              <div className="space-y-1.5 text-xs">
-                <div className="flex items-center gap-2">
-                  <div className="w-4 h-1 bg-gray-500/30 rounded"></div>
-                  <span className="text-gray-400">Original shape (faint)</span>
-                </div>
-                <div className="flex items-center gap-2">
-                  <div className="w-4 h-1 bg-gradient-to-r from-cyan-500 to-pink-500 rounded"></div>
-                  <span className="text-gray-400">Transformed shape</span>
+              {/* Legend */}
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Legend
+                </h3>
+                <div className="space-y-1.5 text-xs">
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-1 bg-gray-500/30 rounded"></div>
+                    <span className="text-gray-400">Original shape (faint)</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-1 bg-gradient-to-r from-cyan-500 to-pink-500 rounded"></div>
+                    <span className="text-gray-400">Transformed shape</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-1 bg-cyan-500/60 rounded"></div>
+                    <span className="text-gray-400">Image of the unit circle</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-0 border-t-2 border-dashed border-pink-500/50"></div>
+                    <span className="text-gray-400">Exact A (when rank is truncated)</span>
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
 
       <style jsx>{`
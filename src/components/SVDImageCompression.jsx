@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { svd, reconstruct, energyRetained } from '../math/svd.js';
+import {
+  clampPixels, imageToChannels, channelsToImage, meanSquaredError, psnr, lowRankStorage
+} from '../math/images.js';
+import { createRandom } from '../math/random.js';
+
+// Longest image side; larger uploads are scaled down to keep the SVD fast
+export const IMAGE_MAX_SIZE = 96;
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  sample: param.oneOf(['plaid', 'shapes', 'texture'], 'shapes'),
+  colorMode: param.oneOf(['grayscale', 'rgb'], 'grayscale')
+};
+
+/**
+ * Build an RGBA image from a per-pixel color function
+ * @param {number} width
+ * @param {number} height
+ * @param {Function} color - (x, y) => [r, g, b]
+ */
+const renderSample = (width, height, color) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = color(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+};
+
+// Built-in images, generated so they need no asset files
+const SAMPLE_IMAGES = {
+  plaid: {
+    name: 'Plaid (low rank)',
+    description: 'Sums of row and column patterns: a few singular values carry everything',
+    create: () => renderSample(80, 64, (x, y) => {
+      const row = Math.sin(y / 5);
+      const col = Math.cos(x / 7);
+      return [140 + 90 * row * col, 120 + 60 * row, 130 + 70 * col];
+    })
+  },
+  shapes: {
+    name: 'Shapes',
+    description: 'Flat regions with sharp edges: medium rank',
+    create: () => renderSample(96, 72, (x, y) => {
+      const inCircle = (x - 30) ** 2 + (y - 36) ** 2 < 18 ** 2;
+      const inSquare = x > 56 && x < 86 && y > 14 && y < 44;
+      const inBar = y > 54 && y < 62 && x > 48;
+      if (inCircle) return [236, 72, 153];
+      if (inSquare) return [6, 182, 212];
+      if (inBar) return [250, 204, 21];
+      return [30 + x, 40 + y, 90];
+    })
+  },
+  texture: {
+    name: 'Noisy texture (high rank)',
+    description: 'Random noise spreads energy over every singular value',
+    create: () => {
+      const rng = createRandom(7);
+      return renderSample(64, 64, (x, y) => {
+        const wave = 128 + 60 * Math.sin((x + y) / 4);
+        const noise = rng.uniform(-60, 60);
+        return [wave + noise, wave + noise * 0.5, 255 - wave + noise];
+      });
+    }
+  }
+};
+
+/**
+ * Read an image file and scale it to at most IMAGE_MAX_SIZE on its longest side
+ * @param {File} file
+ * @returns {Promise<ImageData>}
+ */
+const loadImageFile = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(img.width, img.height));
+    const width = Math.max(1, Math.round(img.width * scale));
+    const height = Math.max(1, Math.round(img.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    resolve(ctx.getImageData(0, 0, width, height));
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read "${file.name}" as an image`));
+  };
+  img.src = url;
+});
+
+const CHANNEL_COLORS = {
+  grayscale: ['#06b6d4'],
+  rgb: ['#ef4444', '#22c55e', '#3b82f6']
+};
+
+export const SVDImageCompression = ({ config, rank, onRankChange }) => {
+  const originalRef = useRef(null);
+  const reconstructedRef = useRef(null);
+  const spectrumRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [sample, setSample] = usePermalinkState(PARAMS, 'sample', config);
+  const [colorMode, setColorMode] = usePermalinkState(PARAMS, 'colorMode', config);
+  const [upload, setUpload] = useState(null); // { name, image }
+  const [error, setError] = useState(null);
+
+  const image = useMemo(() => (
+    upload ? upload.image : SAMPLE_IMAGES[sample].create()
+  ), [upload, sample]);
+
+  // Decompose each channel once per image; changing k only rebuilds
+  const channels = useMemo(() => imageToChannels(image, colorMode), [image, colorMode]);
+  const decompositions = useMemo(() => channels.map(svd), [channels]);
+
+  const height = channels[0].length;
+  const width = channels[0][0].length;
+  const maxRank = Math.min(width, height);
+  const k = Math.max(1, Math.min(rank, maxRank));
+
+  const reconstruction = useMemo(() => (
+    decompositions.map(decomposition => clampPixels(reconstruct(decomposition, k)))
+  ), [decompositions, k]);
+
+  // Metrics
+  const quality = psnr(meanSquaredError(channels, reconstruction));
+  const storedValues = channels.length * lowRankStorage(height, width, k);
+  const originalValues = channels.length * width * height;
+
+  // Energy share across all channels, weighting each by its total energy
+  const channelEnergy = decompositions.map(({ S }) => S.reduce((sum, sigma) => sum + sigma * sigma, 0));
+  const totalEnergy = channelEnergy.reduce((a, b) => a + b, 0);
+  const energy = totalEnergy === 0 ? 1 : decompositions.reduce((sum, { S }, c) => (
+    sum + energyRetained(S, k) * channelEnergy[c]
+  ), 0) / totalEnergy;
+
+  // Draw original and reconstruction
+  useEffect(() => {
+    const draw = (canvas, pixels) => {
+      if (!canvas) return;
+      canvas.width = pixels.width;
+      canvas.height = pixels.height;
+      const ctx = canvas.getContext('2d');
+      ctx.putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+    };
+
+    draw(originalRef.current, channelsToImage(channels));
+    draw(reconstructedRef.current, channelsToImage(reconstruction));
+  }, [channels, reconstruction]);
+
+  // Draw the singular value spectrum (log scale) with the cut-off at k
+  useEffect(() => {
+    const canvas = spectrumRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const pad = 30;
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, w, h);
+
+    const positive = decompositions.flatMap(({ S }) => S).filter(sigma => sigma > 1e-9);
+    if (positive.length === 0) return;
+    const logMax = Math.ceil(Math.log10(Math.max(...positive)));
+    const logMin = Math.max(logMax - 6, Math.floor(Math.log10(Math.min(...positive))));
+
+    const scaleX = (i) => pad + (i / Math.max(1, maxRank - 1)) * (w - 2 * pad);
+    const scaleY = (sigma) => {
+      const logValue = Math.max(logMin, Math.log10(Math.max(sigma, 1e-12)));
+      return h - pad - ((logValue - logMin) / Math.max(1, logMax - logMin)) * (h - 2 * pad);
+    };
+
+    // Decade grid lines
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.2)';
+    ctx.fillStyle = '#64748b';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    for (let decade = logMin; decade <= logMax; decade++) {
+      const y = scaleY(10 ** decade);
+      ctx.beginPath();
+      ctx.moveTo(pad, y);
+      ctx.lineTo(w - pad, y);
+      ctx.stroke();
+      ctx.fillText(`1e${decade}`, 2, y + 3);
+    }
+
+    // Dropped region
+    const cutX = scaleX(k - 0.5);
+    ctx.fillStyle = 'rgba(100, 116, 139, 0.15)';
+    ctx.fillRect(cutX, pad / 2, w - pad - cutX, h - 1.5 * pad);
+
+    // One curve per channel
+    decompositions.forEach(({ S }, c) => {
+      ctx.strokeStyle = CHANNEL_COLORS[colorMode][c];
+      ctx.fillStyle = CHANNEL_COLORS[colorMode][c];
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      S.forEach((sigma, i) => {
+        if (i === 0) ctx.moveTo(scaleX(i), scaleY(sigma));
+        else ctx.lineTo(scaleX(i), scaleY(sigma));
+      });
+      ctx.stroke();
+      S.slice(0, k).forEach((sigma, i) => {
+        ctx.beginPath();
+        ctx.arc(scaleX(i), scaleY(sigma), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+
+    // Cut-off marker
+    ctx.strokeStyle = '#fbbf24';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(cutX, pad / 2);
+    ctx.lineTo(cutX, h - pad);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillText(`k = ${k}`, Math.min(cutX + 4, w - pad - 30), pad / 2 + 10);
+
+    ctx.fillStyle = '#64748b';
+    ctx.fillText('singular value index →', w - pad - 110, h - 8);
+  }, [decompositions, k, maxRank, colorMode]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const loaded = await loadImageFile(file);
+      setUpload({ name: file.name, image: loaded });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSampleChange = (value) => {
+    setUpload(null);
+    setSample(value);
+  };
+
+  const pixelatedCanvas = 'w-full rounded-lg bg-slate-900 [image-rendering:pixelated]';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Images */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <div className="bg-slate-950 rounded-2xl border border-white/10 p-3">
+            <div className="text-xs font-semibold text-gray-400 mb-2">
+              Original (rank {maxRank} max)
+            </div>
+            <canvas ref={originalRef} className={pixelatedCanvas} />
+          </div>
+          <div className="bg-slate-950 rounded-2xl border border-white/10 p-3">
+            <div className="text-xs font-semibold text-gray-400 mb-2">
+              Rank-{k} reconstruction
+            </div>
+            <canvas ref={reconstructedRef} className={pixelatedCanvas} />
+          </div>
+        </div>
+
+        {/* Spectrum */}
+        <div className="bg-slate-950 rounded-2xl border border-white/10 p-3">
+          <div className="text-xs font-semibold text-gray-400 mb-2">
+            Singular value spectrum (log scale)
+          </div>
+          <canvas ref={spectrumRef} width={600} height={180} className="w-full rounded-lg" />
+        </div>
+      </div>
+
+      {/* Controls */}
+      <div className="space-y-3">
+        <div>
+          <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+            Image
+          </label>
+          <select
+            value={upload ? '' : sample}
+            onChange={(e) => handleSampleChange(e.target.value)}
+            className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-sm"
+          >
+            {upload && <option value="">{upload.name}</option>}
+            {Object.entries(SAMPLE_IMAGES).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {upload ? `Your image, scaled to ${width}×${height}` : SAMPLE_IMAGES[sample].description}
+          </p>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="mt-2 w-full px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+          >
+            📁 Load Image File
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          {['grayscale', 'rgb'].map(mode => (
+            <button
+              key={mode}
+              onClick={() => setColorMode(mode)}
+              className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                colorMode === mode
+                  ? 'bg-purple-500 text-white'
+                  : 'bg-white/10 hover:bg-white/20 text-gray-400'
+              }`}
+            >
+              {mode === 'rgb' ? 'RGB' : 'Grayscale'}
+            </button>
+          ))}
+        </div>
+
+        {/* Rank Control */}
+        <div>
+          <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+            Rank k: {k} / {maxRank}
+          </label>
+          <input
+            type="range"
+            min="1"
+            max={maxRank}
+            value={k}
+            onChange={(e) => onRankChange(Number(e.target.value))}
+            className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+
+        {/* Metrics */}
+        <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+          <h3 className="text-xs font-semibold text-gray-400 mb-2">
+            Compression
+          </h3>
+          <div className="space-y-1.5 text-xs">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Image Size:</span>
+              <span className="font-mono text-white">
+                {width}×{height}{colorMode === 'rgb' ? '×3' : ''}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Values Stored:</span>
+              <span className="font-mono text-cyan-400">
+                {storedValues.toLocaleString()} / {originalValues.toLocaleString()}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Storage Cost:</span>
+              <span className={`font-mono ${storedValues < originalValues ? 'text-emerald-400' : 'text-orange-400'}`}>
+                {((storedValues / originalValues) * 100).toFixed(1)}%
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">PSNR:</span>
+              <span className="font-mono text-purple-400">
+                {Number.isFinite(quality) ? `${quality.toFixed(1)} dB` : '∞ (exact)'}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Energy Retained:</span>
+              <span className="font-mono text-emerald-400">{(energy * 100).toFixed(2)}%</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Explanation */}
+        <div className="bg-cyan-500/10 border border-cyan-500/30 rounded-xl p-3">
+          <div className="flex items-center gap-2 mb-1.5">
+            <span className="text-xl">💡</span>
+            <h3 className="text-xs font-bold text-cyan-400">
+              What's Happening?
+            </h3>
+          </div>
+          <p className="text-xs text-gray-300 leading-relaxed">
+            Each color channel is an m×n matrix. Keeping the k largest singular values stores
+            k(m + n + 1) numbers per channel instead of m·n, and by Eckart–Young it is the best
+            rank-k approximation. Fast-decaying spectra compress well; noise keeps the spectrum flat.
+            {storedValues >= originalValues && ' At this k the factors take more space than the raw pixels.'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
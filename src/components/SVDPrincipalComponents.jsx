@@ -0,0 +1,745 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { parseCSV, sampleGaussian, pca, pcaReconstruct } from '../math/pca.js';
+import { createRandom } from '../math/random.js';
+
+const isSpread = (value) => (
+  Array.isArray(value) && value.length === 3 && value.every(s => Number.isFinite(s) && s > 0)
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  source: param.oneOf(['generated', 'csv'], 'generated'),
+  dimension: param.integer(3, { min: 2, max: 3 }),
+  points: param.integer(150, { min: 10, max: 500 }),
+  correlation: param.number(0.8, { min: -0.95, max: 0.95, precision: 2 }),
+  // Standard deviation of each generated variable before correlating
+  spread: param.json([3, 1.5, 0.8], isSpread),
+  seed: param.integer(1, { min: 1, max: 9999 }),
+  standardize: param.boolean(false),
+  showProjection: param.boolean(true)
+};
+
+// Generated clouds are centered away from the origin so centering is visible
+const GENERATED_MEAN = [2, 1, -1];
+
+// Pasted data is kept out of the URL; this is what the CSV box starts with
+const SAMPLE_CSV = `# Adults: height, weight and shoe size
+height_cm, weight_kg, shoe_eu
+162, 55, 37
+175, 72, 42
+158, 51, 36
+181, 84, 44
+169, 63, 40
+190, 92, 46
+155, 49, 36
+172, 70, 41
+178, 75, 43
+165, 60, 38
+185, 88, 45
+160, 58, 38
+170, 66, 40
+177, 81, 43
+168, 59, 39
+183, 79, 44
+157, 54, 37
+174, 68, 42`;
+
+const PC_COLORS = ['#fbbf24', '#a3e635', '#f472b6'];
+const DEFAULT_VIEW = { yaw: -0.6, pitch: 0.45 };
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+/**
+ * Correlation matrix with ρ between neighbouring variables and ρ² between
+ * x and z, which is positive definite for every |ρ| < 1
+ * @param {number} dimension - 2 or 3
+ * @param {number} rho
+ */
+const correlationMatrix = (dimension, rho) => (
+  Array.from({ length: dimension }, (_, i) => (
+    Array.from({ length: dimension }, (_, j) => rho ** Math.abs(i - j))
+  ))
+);
+
+const formatValue = (value) => (Math.abs(value) < 0.005 ? '0.00' : value.toFixed(2)).replace('-', '−');
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`;
+
+export const SVDPrincipalComponents = ({ config, rank, onRankChange }) => {
+  const canvasRef = useRef(null);
+  const scoresRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const orbitRef = useRef(null); // last pointer position while orbiting the 3D view
+  const [source, setSource] = usePermalinkState(PARAMS, 'source', config);
+  const [dimensionParam, setDimension] = usePermalinkState(PARAMS, 'dimension', config);
+  const [points, setPoints] = usePermalinkState(PARAMS, 'points', config);
+  const [correlation, setCorrelation] = usePermalinkState(PARAMS, 'correlation', config);
+  const [spread, setSpread] = usePermalinkState(PARAMS, 'spread', config);
+  const [seed, setSeed] = usePermalinkState(PARAMS, 'seed', config);
+  const [standardize, setStandardize] = usePermalinkState(PARAMS, 'standardize', config);
+  const [showProjection, setShowProjection] = usePermalinkState(PARAMS, 'showProjection', config);
+  const [csvText, setCsvText] = useState(SAMPLE_CSV);
+  const [csv, setCsv] = useState(() => ({ ...parseCSV(SAMPLE_CSV), name: 'Sample: body measurements' }));
+  const [error, setError] = useState(null);
+  const [view, setView] = useState(DEFAULT_VIEW); // 3D camera angles (radians)
+
+  // Samples as rows, plus a name for each column
+  const { data, names } = useMemo(() => {
+    if (source === 'csv') {
+      return { data: csv.rows, names: csv.header ?? ['x', 'y', 'z'].slice(0, csv.rows[0].length) };
+    }
+    const covariance = correlationMatrix(dimensionParam, correlation).map((row, i) => (
+      row.map((rho, j) => rho * spread[i] * spread[j])
+    ));
+    return {
+      data: sampleGaussian(points, GENERATED_MEAN.slice(0, dimensionParam), covariance, createRandom(seed)),
+      names: ['x', 'y', 'z'].slice(0, dimensionParam)
+    };
+  }, [source, csv, dimensionParam, points, correlation, spread, seed]);
+
+  const model = useMemo(() => pca(data, { standardize }), [data, standardize]);
+
+  const dimension = data[0].length;
+  const is3d = dimension === 3;
+  const componentCount = model.components.length;
+  const k = Math.max(1, Math.min(rank, componentCount));
+  const reduced = k < dimension;
+  const reconstruction = pcaReconstruct(model, k);
+  const keptShare = 1 - reconstruction.lostVariance;
+  const storedValues = data.length * k + k * dimension + dimension;
+
+  // Preprocessed coordinates (what the SVD sees) and their projections onto the top-k axes
+  const analyzed = useMemo(() => (
+    data.map(row => row.map((value, j) => (value - model.mean[j]) / model.scale[j]))
+  ), [data, model]);
+  const projected = useMemo(() => model.scores.map(row => (
+    model.mean.map((_, j) => row.slice(0, k).reduce((sum, score, c) => sum + score * model.components[c][j], 0))
+  )), [model, k]);
+
+  // Draw the data, the principal axes and the projections
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const reach = Math.max(1e-9, ...analyzed.map(row => Math.hypot(...row)));
+    const unit = (Math.min(width, height) / 2 - 30) / reach;
+
+    // 3D: orthographic projection after yaw (about z) and pitch (about the screen x-axis)
+    const toCanvas = (p) => {
+      if (!is3d) return { x: width / 2 + p[0] * unit, y: height / 2 - p[1] * unit };
+      const [x, y, z] = p;
+      const x1 = x * Math.cos(view.yaw) - y * Math.sin(view.yaw);
+      const y1 = x * Math.sin(view.yaw) + y * Math.cos(view.yaw);
+      const z2 = y1 * Math.sin(view.pitch) + z * Math.cos(view.pitch);
+      return { x: width / 2 + x1 * unit, y: height / 2 - z2 * unit };
+    };
+
+    const line = (from, to) => {
+      const a = toCanvas(from);
+      const b = toCanvas(to);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    };
+
+    const dot = (p, radius) => {
+      const c = toCanvas(p);
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    };
+
+    const drawArrow = (to, color, label) => {
+      const origin = toCanvas(to.map(() => 0));
+      const tip = toCanvas(to);
+      const angle = Math.atan2(tip.y - origin.y, tip.x - origin.x);
+
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(origin.x, origin.y);
+      ctx.lineTo(tip.x, tip.y);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(tip.x, tip.y);
+      ctx.lineTo(tip.x - 10 * Math.cos(angle - Math.PI / 6), tip.y - 10 * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(tip.x - 10 * Math.cos(angle + Math.PI / 6), tip.y - 10 * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.font = 'bold 12px sans-serif';
+      ctx.fillText(label, tip.x + 6, tip.y - 6);
+    };
+
+    // Clear
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Coordinate axes through the mean, labeled with the variable names
+    ctx.strokeStyle = 'rgba(100, 116, 139, 0.4)';
+    ctx.fillStyle = '#64748b';
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+    names.forEach((name, j) => {
+      const axis = names.map((_, i) => (i === j ? reach : 0));
+      line(axis.map(v => -v), axis);
+      const end = toCanvas(axis);
+      ctx.fillText(name, end.x + 4, end.y - 4);
+    });
+
+    // The kept subspace: a line through PC1, or the PC1–PC2 plane in 3D
+    if (reduced) {
+      const [first, second] = model.components;
+      ctx.strokeStyle = 'rgba(139, 92, 246, 0.6)';
+      ctx.fillStyle = 'rgba(139, 92, 246, 0.12)';
+      ctx.lineWidth = 1.5;
+      if (k === 1) {
+        ctx.setLineDash([6, 6]);
+        line(first.map(v => -v * reach * 1.1), first.map(v => v * reach * 1.1));
+        ctx.setLineDash([]);
+      } else {
+        const corner = (a, b) => toCanvas(first.map((v, j) => (a * v + b * second[j]) * reach));
+        const corners = [corner(1, 1), corner(-1, 1), corner(-1, -1), corner(1, -1)];
+        ctx.beginPath();
+        corners.forEach((c, i) => (i === 0 ? ctx.moveTo(c.x, c.y) : ctx.lineTo(c.x, c.y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+
+    // Residuals from each sample to its projection
+    if (reduced && showProjection) {
+      ctx.strokeStyle = 'rgba(236, 72, 153, 0.35)';
+      ctx.lineWidth = 1;
+      analyzed.forEach((p, i) => line(p, projected[i]));
+    }
+
+    // Samples
+    ctx.fillStyle = 'rgba(6, 182, 212, 0.8)';
+    analyzed.forEach(p => dot(p, 3));
+
+    if (reduced && showProjection) {
+      ctx.fillStyle = 'rgba(251, 146, 60, 0.9)';
+      projected.forEach(p => dot(p, 2));
+    }
+
+    // Principal axes, two standard deviations long; dropped ones are faded
+    model.components.forEach((axis, c) => {
+      const length = 2 * Math.sqrt(model.variances[c]);
+      ctx.globalAlpha = c < k ? 1 : 0.35;
+      drawArrow(
+        axis.map(v => v * length),
+        PC_COLORS[c],
+        `PC${SUBSCRIPTS[c + 1]} ${formatPercent(model.explained[c])}`
+      );
+    });
+    ctx.globalAlpha = 1;
+
+    // Title
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillText(standardize ? 'Standardized data' : 'Centered data', 20, 30);
+    if (is3d) {
+      ctx.fillStyle = '#64748b';
+      ctx.font = '11px sans-serif';
+      ctx.fillText('Drag to orbit', 20, 48);
+    }
+  }, [model, k, analyzed, projected, reduced, is3d, standardize, showProjection, view, names]);
+
+  // Scores: every sample in principal-axis coordinates (PC1 across, PC2 up)
+  useEffect(() => {
+    const canvas = scoresRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const reach = Math.max(1e-9, ...model.scores.map(row => Math.hypot(row[0], row[1] ?? 0)));
+    const unit = (Math.min(width, height) / 2 - 20) / reach;
+    const toCanvas = (a, b) => ({ x: width / 2 + a * unit, y: height / 2 - b * unit });
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = PC_COLORS[0];
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+    ctx.strokeStyle = PC_COLORS[1];
+    ctx.globalAlpha = k >= 2 ? 1 : 0.35;
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = PC_COLORS[0];
+    ctx.fillText('PC₁', width - 28, height / 2 - 6);
+    ctx.fillStyle = PC_COLORS[1];
+    ctx.fillText('PC₂', width / 2 + 6, 14);
+
+    // With one component kept, every sample collapses onto the PC1 axis
+    model.scores.forEach(row => {
+      const c = toCanvas(row[0], row[1] ?? 0);
+      ctx.fillStyle = 'rgba(6, 182, 212, 0.8)';
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+      if (k === 1 && showProjection) {
+        const p = toCanvas(row[0], 0);
+        ctx.fillStyle = 'rgba(251, 146, 60, 0.9)';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
+  }, [model, k, showProjection]);
+
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  const getCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  // Mouse handlers: orbit the camera in 3D
+  const handleMouseDown = (e) => {
+    if (is3d) orbitRef.current = getCanvasPoint(e);
+  };
+
+  const handleMouseMove = (e) => {
+    if (!orbitRef.current) return;
+    const { x, y } = getCanvasPoint(e);
+    const last = orbitRef.current;
+    setView(prev => ({
+      yaw: prev.yaw + (x - last.x) * 0.01,
+      pitch: Math.max(-1.5, Math.min(1.5, prev.pitch + (y - last.y) * 0.01))
+    }));
+    orbitRef.current = { x, y };
+  };
+
+  const handleMouseUp = () => {
+    orbitRef.current = null;
+  };
+
+  // Parse CSV text and keep it if it has 2 or 3 columns and enough rows
+  const loadCsv = (text, name) => {
+    try {
+      const parsed = parseCSV(text);
+      const columns = parsed.rows[0].length;
+      if (columns < 2 || columns > 3) {
+        throw new Error(`Use 2 or 3 numeric columns (found ${columns})`);
+      }
+      if (parsed.rows.length < 3) {
+        throw new Error(`Need at least 3 rows of data (found ${parsed.rows.length})`);
+      }
+      setCsv({ ...parsed, name });
+      setSource('csv');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setCsvText(text);
+      loadCsv(text, file.name);
+    } catch {
+      setError(`Could not read "${file.name}"`);
+    }
+  };
+
+  const handleSpreadChange = (index, value) => {
+    if (!Number.isFinite(value) || value <= 0) return;
+    setSpread(spread.map((s, i) => (i === index ? value : s)));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Canvases */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="bg-slate-950 rounded-2xl border border-white/10 p-3 md:p-4">
+          <canvas
+            ref={canvasRef}
+            width={600}
+            height={450}
+            className={`w-full rounded-lg ${is3d ? 'cursor-move' : ''}`}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="bg-slate-950 rounded-2xl border border-white/10 p-3">
+            <div className="text-xs font-semibold text-gray-400 mb-2">
+              Scores UΣ: the data in principal-axis coordinates
+            </div>
+            <canvas ref={scoresRef} width={300} height={300} className="w-full rounded-lg" />
+          </div>
+
+          {/* Loadings */}
+          <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+            <h3 className="text-xs font-semibold text-gray-400 mb-2">
+              Principal Axes (columns of V)
+            </h3>
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="text-left font-semibold pb-1"></th>
+                  {names.map(name => (
+                    <th key={name} className="text-right font-semibold pb-1 truncate">{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {model.components.map((axis, c) => (
+                  <tr key={c} className={c < k ? 'text-white' : 'text-gray-600'}>
+                    <td className="py-0.5" style={{ color: c < k ? PC_COLORS[c] : undefined }}>
+                      PC{SUBSCRIPTS[c + 1]}
+                    </td>
+                    {axis.map((value, j) => (
+                      <td key={j} className="text-right py-0.5">{formatValue(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-3 space-y-1 text-xs">
+              <div className="flex justify-between">
+                <span className="text-gray-400">Mean:</span>
+                <span className="font-mono text-gray-300">
+                  ({model.mean.map(formatValue).join(', ')})
+                </span>
+              </div>
+              {standardize && (
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Std. dev.:</span>
+                  <span className="font-mono text-gray-300">
+                    ({model.scale.map(formatValue).join(', ')})
+                  </span>
+                </div>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-3 leading-relaxed">
+              Each row is a unit direction in {standardize ? 'standardized' : 'original'} units.
+              Large entries show which variables move together along that axis.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Controls */}
+      <div className="space-y-3">
+        {/* Data Source */}
+        <div className="grid grid-cols-2 gap-2">
+          {[['generated', '🎲 Generated'], ['csv', '📋 CSV']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setSource(value)}
+              className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                source === value
+                  ? 'bg-purple-500 text-white'
+                  : 'bg-white/10 hover:bg-white/20 text-gray-400'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {source === 'generated' ? (
+          <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-3">
+            <div className="grid grid-cols-2 gap-2">
+              {[2, 3].map(d => (
+                <button
+                  key={d}
+                  onClick={() => setDimension(d)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                    dimensionParam === d
+                      ? 'bg-cyan-500 text-white'
+                      : 'bg-white/10 hover:bg-white/20 text-gray-400'
+                  }`}
+                >
+                  {d}D Gaussian
+                </button>
+              ))}
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-1">
+                Samples: {points}
+              </label>
+              <input
+                type="range"
+                min="10"
+                max="500"
+                step="10"
+                value={points}
+                onChange={(e) => setPoints(Number(e.target.value))}
+                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-1">
+                Correlation ρ: {correlation.toFixed(2)}
+              </label>
+              <input
+                type="range"
+                min="-0.95"
+                max="0.95"
+                step="0.05"
+                value={correlation}
+                onChange={(e) => setCorrelation(Number(e.target.value))}
+                className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                {is3d ? 'ρ between x–y and y–z, ρ² between x–z' : 'ρ between x and y'}
+              </p>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-300 mb-1">
+                Standard deviations
+              </label>
+              <div className={`grid gap-2 ${is3d ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                {spread.slice(0, dimensionParam).map((s, i) => (
+                  <input
+                    key={i}
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    value={s}
+                    onChange={(e) => handleSpreadChange(i, parseFloat(e.target.value))}
+                    className="w-full px-2 py-1.5 bg-white/5 border border-white/10 rounded-lg text-sm font-mono"
+                  />
+                ))}
+              </div>
+            </div>
+            <button
+              onClick={() => setSeed((seed % 9999) + 1)}
+              className="w-full px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+            >
+              🎲 Resample (seed {seed})
+            </button>
+          </div>
+        ) : (
+          <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+            <p className="text-xs text-gray-400">
+              Using <span className="text-white">{csv.name}</span>: {csv.rows.length} rows × {csv.rows[0].length} columns
+            </p>
+            <textarea
+              value={csvText}
+              onChange={(e) => setCsvText(e.target.value)}
+              rows={8}
+              spellCheck={false}
+              className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-xs font-mono"
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => loadCsv(csvText, 'Pasted data')}
+                className="px-3 py-2 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg text-sm font-semibold hover:shadow-lg hover:shadow-cyan-500/30 transition-all"
+              >
+                Use This Data
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm font-semibold transition-all border border-white/10"
+              >
+                📁 Load File
+              </button>
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/plain"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <p className="text-xs text-gray-500">
+              2 or 3 numeric columns, separated by commas, semicolons, tabs or spaces. An optional first line names them.
+            </p>
+            {error && <p className="text-xs text-red-400">{error}</p>}
+          </div>
+        )}
+
+        {/* Components Kept */}
+        <div>
+          <label className="block text-xs md:text-sm font-semibold text-gray-300 mb-2">
+            Components kept k: {k} / {dimension}
+          </label>
+          <input
+            type="range"
+            min="1"
+            max={componentCount}
+            value={k}
+            onChange={(e) => onRankChange(Number(e.target.value))}
+            className="w-full h-2 bg-white/10 rounded-lg appearance-none cursor-pointer slider"
+          />
+        </div>
+
+        {/* Toggles */}
+        <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={standardize}
+              onChange={(e) => setStandardize(e.target.checked)}
+              className="w-5 h-5 rounded accent-purple-500"
+            />
+            <span className="text-sm font-semibold text-gray-300">
+              Standardize Variables
+            </span>
+          </label>
+          <p className="text-xs text-gray-500 ml-8">
+            Divide each column by its standard deviation after centering
+          </p>
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showProjection}
+              onChange={(e) => setShowProjection(e.target.checked)}
+              className="w-5 h-5 rounded accent-purple-500"
+            />
+            <span className="text-sm font-semibold text-gray-300">
+              Show Projections
+            </span>
+          </label>
+          {is3d && (
+            <button
+              onClick={() => setView(DEFAULT_VIEW)}
+              className="w-full px-3 py-1.5 bg-white/10 hover:bg-white/20 rounded-lg text-xs font-semibold transition-all border border-white/10"
+            >
+              Reset Camera
+            </button>
+          )}
+        </div>
+
+        {/* Explained Variance */}
+        <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+          <h3 className="text-xs font-semibold text-gray-400 mb-2">
+            Explained Variance σᵢ²/(n − 1)
+          </h3>
+          <div className="space-y-2">
+            {model.explained.map((share, c) => {
+              const cumulative = model.explained.slice(0, c + 1).reduce((a, b) => a + b, 0);
+              const isActive = c < k;
+              return (
+                <div key={c}>
+                  <div className="flex justify-between text-xs mb-1">
+                    <span style={{ color: isActive ? PC_COLORS[c] : undefined }} className={isActive ? '' : 'text-gray-600'}>
+                      PC{SUBSCRIPTS[c + 1]} · {formatValue(model.variances[c])}
+                    </span>
+                    <span className={`font-mono ${isActive ? 'text-cyan-400' : 'text-gray-600'}`}>
+                      {formatPercent(share)} (Σ {formatPercent(cumulative)})
+                    </span>
+                  </div>
+                  <div className="h-2 bg-white/5 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full rounded-full transition-all ${
+                        isActive
+                          ? 'bg-gradient-to-r from-cyan-500 to-purple-500'
+                          : 'bg-gray-700'
+                      }`}
+                      style={{ width: `${share * 100}%` }}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Reconstruction */}
+        <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+          <h3 className="text-xs font-semibold text-gray-400 mb-2">
+            Rank-{k} Reconstruction
+          </h3>
+          <div className="space-y-1.5 text-xs">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Variance Kept:</span>
+              <span className="font-mono text-emerald-400">{formatPercent(keptShare)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Variance Lost:</span>
+              <span className="font-mono text-purple-400">{formatPercent(reconstruction.lostVariance)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">RMS Error (original units):</span>
+              <span className="font-mono text-pink-400">{formatValue(Math.sqrt(reconstruction.meanSquaredError))}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Values Stored:</span>
+              <span className="font-mono text-cyan-400">{storedValues} vs {data.length * dimension}</span>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Scores n×k, axes k×d and the mean, against the raw n×d table
+          </p>
+        </div>
+
+        {/* Explanation */}
+        <div className="bg-cyan-500/10 border border-cyan-500/30 rounded-xl p-3">
+          <div className="flex items-center gap-2 mb-1.5">
+            <span className="text-xl">💡</span>
+            <h3 className="text-xs font-bold text-cyan-400">
+              What's Happening?
+            </h3>
+          </div>
+          <p className="text-xs text-gray-300 leading-relaxed">
+            PCA is the SVD of the {standardize ? 'standardized' : 'centered'} n×d data matrix X = UΣVᵀ.
+            The columns of V are the principal axes, σᵢ²/(n − 1) is the variance along each, and UΣ gives
+            every sample's coordinates along them.
+            {reduced
+              ? ` Keeping ${k} of ${dimension} axes projects each sample onto the ${k === 1 ? 'PC₁ line' : 'PC₁–PC₂ plane'}; the pink residuals carry the ${formatPercent(reconstruction.lostVariance)} of variance that is lost.`
+              : ' With every axis kept the data is only rotated, so nothing is lost. Lower k to reduce the dimension.'}
+            {!standardize && source === 'csv' && ' Columns in different units? Standardize so the largest unit does not dominate.'}
+          </p>
+        </div>
+
+        {/* Legend */}
+        <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+          <h3 className="text-xs font-semibold text-gray-400 mb-2">
+            Legend
+          </h3>
+          <div className="space-y-1.5 text-xs">
+            <div className="flex items-center gap-2">
+              <div className="w-2.5 h-2.5 rounded-full bg-cyan-500"></div>
+              <span className="text-gray-400">Samples</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-1 bg-gradient-to-r from-amber-400 via-lime-400 to-pink-400 rounded"></div>
+              <span className="text-gray-400">Principal axes, 2 standard deviations long</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-3 bg-purple-500/20 border border-purple-500/60 rounded-sm"></div>
+              <span className="text-gray-400">Kept subspace</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-2.5 h-2.5 rounded-full bg-orange-400"></div>
+              <span className="text-gray-400">Projections, joined to samples by residuals</span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,28 +1,25 @@
 import React, { useState, useEffect } from 'react';
 
-import {
-  LagrangeMultipliers,
-  SVD,
-  VectorSpaces,
-  GradientDescent,
-  MatrixTransform,
-  ConvexOptimization,
-  ProbabilityDistributions,
-  BayesianInference,
-  MonteCarlo,
-  LinearRegression,
-  LogisticRegression,
-  HypothesisTesting,
-  ActivationFunctions,
-  NeuralNetworkPlayground,
-  Backpropagation,
-  ConvolutionOperation,
-  AttentionMechanism
-} from "./";
-export const ToolWorkspace = ({ initialTool, onClose }) => {
-  const [selectedTool, setSelectedTool] = useState(initialTool);
+import registry from '../core/ConceptRegistry.js';
+import { getToolCategories, getToolInfo, getGuide, getExamplePresets } from '../utils/conceptUtils.js';
+import { conceptHref } from '../core/router.js';
+import { ExamplePicker } from './ui/ExamplePicker.jsx';
+import { useProgress } from '../core/ProgressStore.js';
+
+/**
+ * ToolWorkspace Component
+ *
+ * @param {Object} props
+ * @param {string} props.selectedTool - ID of the tool to display
+ * @param {Function} props.onSelectTool - Called with a tool ID when the user switches tools
+ * @param {Function} props.onClose - Handler for closing the workspace
+ */
+export const ToolWorkspace = ({ selectedTool, onSelectTool, onClose }) => {
   const [showLeftSidebar, setShowLeftSidebar] = useState(true);
   const [showRightSidebar, setShowRightSidebar] = useState(true);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [preset, setPreset] = useState(null); // { toolId, index, config }
+  const { completedConcepts } = useProgress();
 
   // Auto-hide sidebars on mobile
   useEffect(() => {
@@ -41,770 +38,63 @@ export const ToolWorkspace = ({ initialTool, onClose }) => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  // All available tools organized by category
-  const toolCategories = [
-    {
-      name: 'Linear Algebra',
-      tools: [
-        { id: 'matrix-transform', name: 'Matrix Transformations', icon: '📐' },
-        { id: 'vector-spaces', name: 'Vector Spaces', icon: '🎯' },
-        { id: 'svd', name: 'SVD', icon: '🔲' }
-      ]
-    },
-    {
-      name: 'Optimization',
-      tools: [
-        { id: 'gradient-descent', name: 'Gradient Descent', icon: '⛰️' },
-        { id: 'lagrange', name: 'Lagrange Multipliers', icon: '🎚️' },
-        { id: 'convex-opt', name: 'Convex Optimization', icon: '📉' }
-      ]
-    },
-    {
-      name: 'Probability & Statistics',
-      tools: [
-        { id: 'probability-dist', name: 'Probability Distributions', icon: '🎲'},
-        { id: 'bayes-theorem', name: 'Bayesian Inference', icon: '🔮'},
-        { id: 'monte-carlo', name: 'Monte Carlo Methods', icon: '🎰' },
-        { id: 'linear-regression', name: 'Linear Regression', icon: '📊' },
-        { id: 'logistic-regression', name: 'Logistic Regression', icon: '📈'},
-        { id: 'hypothesis-test', name: 'Hypothesis Testing', icon: '🧪'}
-      ]
-    },
-    {
-      name: 'Deep Learning',
-      tools: [
-        { id: 'neural-network', name: 'Neural Network Playground', icon: '🧠'},
-        { id: 'backprop', name: 'Backpropagation', icon: '🔄' },
-        { id: 'activation-functions', name: 'Activation Functions', icon: '⚡'},
-        { id: 'convolution', name: 'Convolution Operation', icon: '🖼️'},
-        { id: 'attention', name: 'Attention Mechanism', icon: '👁️'}
-      ]
+  // Copy a link to the current tool, including its parameters
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
     }
-  ];
+  };
+
+  // All available tools organized by category, from the concept registry
+  const toolCategories = getToolCategories().map(category => ({
+    name: category.name,
+    tools: category.tools.map(getToolInfo)
+  }));
 
   // Get current tool info
   const getCurrentTool = () => {
-    for (const category of toolCategories) {
-      const tool = category.tools.find(t => t.id === selectedTool);
-      if (tool) return tool;
-    }
-    return null;
+    const concept = registry.get(selectedTool);
+    return concept ? getToolInfo(concept) : null;
   };
 
   // Render the demo component
-  const renderDemo = () => {
-    // Pass onClose as null since we're handling it at workspace level
-    switch (selectedTool) {
-      case 'matrix-transform':
-        return <MatrixTransform onClose={() => {}} />;
-      case 'gradient-descent':
-        return <GradientDescent onClose={() => {}} />;
-      case 'vector-spaces':
-        return <VectorSpaces onClose={() => {}} />;
-      case 'svd':
-        return <SVD onClose={() => {}} />;
-      case 'lagrange':
-        return <LagrangeMultipliers onClose={() => {}} />;
-      case 'convex-opt':
-        return <ConvexOptimization onClose={() => {}} />;
-      case 'probability-dist':
-        return <ProbabilityDistributions onClose={() => {}} />;
-      case 'bayes-theorem':
-        return <BayesianInference onClose={() => {}} />;
-      case 'monte-carlo':
-        return <MonteCarlo onClose={() => {}} />;
-      case 'linear-regression':
-        return <LinearRegression onClose={() => {}} />;
-      case 'logistic-regression':
-        return <LogisticRegression onClose={() => {}} />;
-      case 'hypothesis-test': 
-        return <HypothesisTesting onClose={() => {}} />;
-      case 'activation-functions':
-        return <ActivationFunctions onClose={() => {}} />;
-      case 'neural-network':
-         return <NeuralNetworkPlayground onClose={() => {}} />;
-      case 'backprop':
-         return <Backpropagation onClose={() => {}} />;
-      case 'convolution': 
-         return <ConvolutionOperation onClose={() => {}} />;
-      case 'attention':
-        return <AttentionMechanism onClose={() => {}} />;
-      default:
-        return (
-          <div className="flex items-center justify-center h-full">
-            <div className="text-center">
-              <div className="text-6xl mb-4">🚧</div>
-              <p className="text-gray-400">Tool coming soon...</p>
-            </div>
-          </div>
-        );
-    }
+  // Example presets of the current tool; a preset only applies to the tool it was picked for
+  const examples = getExamplePresets(registry.get(selectedTool));
+  const activePreset = preset?.toolId === selectedTool ? preset : null;
+
+  const handleSelectExample = (example, index) => {
+    // Copy the config so picking the same example again re-applies it
+    setPreset({ toolId: selectedTool, index, config: { ...example.config } });
   };
 
-  // Get guide content for current tool
-  const getGuideContent = () => {
-    const guides = {
-      'matrix-transform': {
-        title: 'Matrix Transformations',
-        sections: [
-          {
-            heading: 'What Are Matrix Transformations?',
-            content: 'Matrices are like machines that transform space. When you multiply a vector by a matrix, you\'re applying a transformation - rotating, scaling, shearing, or reflecting the vector.'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'Matrix transformations are everywhere: computer graphics (rotating 3D models), machine learning (neural networks), physics (changing coordinate systems), and more.'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'Think of a matrix as a recipe for transforming space. Each column tells you where the basis vectors (x and y axes) end up. Everything else follows from there.'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'Rotation: Spins space without changing size',
-              'Scaling: Stretches or shrinks along axes',
-              'Shear: Slants space like a deck of cards',
-              'Determinant: How much area changes (2x means areas double)'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Set rotation to 90° - see everything spin',
-              'Set scale to 2 - watch the F grow',
-              'Try negative scale - see reflection (mirror flip)',
-              'Combine both - rotation + scaling together'
-            ]
-          }
-        ]
-      },
-      'gradient-descent': {
-        title: 'Gradient Descent',
-        sections: [
-          {
-            heading: 'What Is Gradient Descent?',
-            content: 'Imagine rolling a ball down a hill to find the lowest valley. Gradient descent does this mathematically - it finds the minimum of a function by following the steepest downward slope.'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'This is how AI learns! Neural networks use gradient descent to minimize errors. It\'s the engine behind ChatGPT, image recognition, and modern machine learning.'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'At each step, calculate which direction is "downhill" (the gradient), then take a step in that direction. The learning rate controls step size - too big and you overshoot, too small and you crawl.'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'Gradient: Direction of steepest ascent (we go opposite)',
-              'Learning Rate: Step size - crucial hyperparameter',
-              'Local Minimum: Where you get stuck',
-              'Convergence: When you reach the bottom'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Learning rate 0.1 - smooth descent',
-              'Learning rate 0.8 - watch it bounce/overshoot',
-              'Learning rate 0.005 - painfully slow',
-              'Click Random - see all paths lead to center'
-            ]
-          }
-        ]
-      },
-      'vector-spaces': {
-        title: 'Vector Spaces',
-        sections: [
-          {
-            heading: 'What Are Vector Spaces?',
-            content: 'A vector space is all the points you can reach by combining vectors. Two independent vectors span a plane - you can reach any 2D point. If they\'re dependent (parallel), you only get a line.'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'Understanding span and independence is crucial for dimensionality reduction (PCA), solving equations (linear systems), and machine learning (feature spaces).'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'Think of vectors as movements. Two independent vectors are like "go forward" and "go right" - together they let you reach anywhere on a plane. Dependent vectors are like "go forward" and "go forward twice" - redundant!'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'Linear Independence: No vector is a combination of others',
-              'Span: All points reachable by combining vectors',
-              'Basis: Minimal set of vectors that span the space',
-              'Dimension: Number of independent vectors needed'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Load Independent preset - see 2D plane (purple fill)',
-              'Load Dependent preset - only a line (they\'re parallel)',
-              'Drag one vector to align with another - watch span collapse',
-              'Add 3 vectors - still only 2D (any 3rd is redundant)'
-            ]
-          }
-        ]
-      },
-      'svd': {
-        title: 'Singular Value Decomposition',
-        sections: [
-          {
-            heading: 'What Is SVD?',
-            content: 'SVD breaks any matrix into three simple pieces: rotate, scale, rotate. It\'s like saying "any transformation is just spinning, stretching, and spinning again." The magic is that the stretching happens along special directions (singular vectors).'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'SVD powers JPEG image compression, Netflix recommendations, Google\'s PageRank, and dimensionality reduction (PCA). It finds the "principal patterns" in data and lets you keep only the important ones.'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'Every matrix transformation can be decomposed into: (1) rotate to align with principal axes (V^T), (2) stretch along those axes (Σ), (3) rotate to final orientation (U). The singular values tell you how important each direction is.'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'U, V: Rotation matrices (orthonormal)',
-              'Σ: Diagonal scaling (singular values)',
-              'Rank: Number of non-zero singular values',
-              'Low-rank approximation: Keep top k values = compression'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Play Animation - see the 3 steps clearly',
-              'Rank = 2 (full) - perfect reconstruction',
-              'Rank = 1 - only dominant pattern (50% compression)',
-              'Watch singular values - bright = important'
-            ]
-          }
-        ]
-      },
-      'lagrange': {
-        title: 'Lagrange Multipliers',
-        sections: [
-          {
-            heading: 'What Are Lagrange Multipliers?',
-            content: 'A method for finding maxima/minima of a function subject to constraints. Instead of searching everywhere, you only look along the constraint (like finding the highest point on a path up a mountain).'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'Constrained optimization is everywhere: maximizing profit with limited budget, training neural networks with regularization, physics (finding equilibrium states), economics (utility maximization), and engineering design.'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'At the optimum, you can\'t improve by moving along the constraint. This happens when the objective gradient ∇f is perpendicular to the constraint - or parallel to the constraint\'s gradient ∇g. So ∇f = λ∇g for some λ (the Lagrange multiplier).'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'Constraint: Equation that limits where you can go (g(x,y) = 0)',
-              'Lagrangian: L = f + λg (combines objective and constraint)',
-              'λ (lambda): How much the constraint "costs" the objective',
-              'Optimality: ∇f = λ∇g (gradients aligned at solution)'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Adjust λ - watch λ∇g try to match ∇f',
-              'When λ ≈ 2, gradients align (optimal!)',
-              'Rotate the view to see the 3D surface',
-              'Toggle gradients off to see just the constraint'
-            ]
-          }
-        ]
-      },
-      'convex-opt': { 
-  title: 'Convex Optimization',
-  sections: [
-    {
-      heading: 'What Is Convex Optimization?',
-      content: 'A convex function has a bowl shape - any local minimum is the global minimum. Non-convex functions have multiple valleys where gradient descent can get stuck.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Convex problems are "easy" - gradient descent always works! Most ML loss functions are designed to be convex (or nearly so). Non-convex problems (like neural networks) need special techniques.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine a ball rolling downhill. On a convex surface (bowl), it always reaches the lowest point. On a non-convex surface (mountains and valleys), it might get stuck in a local valley that\'s not the deepest one.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Convex: Single bowl - any local min = global min',
-        'Non-Convex: Multiple valleys - local minima exist',
-        'Saddle Point: Neither min nor max - flat in some directions',
-        'Global vs Local: Best overall vs best nearby'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Start with Convex - always finds global minimum',
-        'Switch to Non-Convex - gets stuck in local minima',
-        'Drag start point - different starting points → different results',
-        'Try Saddle - gradient descent gets confused!'
-      ]
-    }
-  ]
-},
-'probability-dist': {
-  title: 'Probability Distributions',
-  sections: [
-    {
-      heading: 'What Are Probability Distributions?',
-      content: 'A probability distribution describes how likely different outcomes are. The PDF (Probability Density Function) shows the shape, while the CDF (Cumulative Distribution Function) shows accumulated probability up to a point.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Distributions model uncertainty everywhere: stock returns (Normal), customer arrivals (Poisson), system failures (Exponential), survey responses (Binomial). Understanding distributions is fundamental to statistics and machine learning.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Think of PDF as a hill - tall sections are more likely outcomes. CDF is like walking up that hill - it shows total probability up to each point (always increases from 0 to 1). Samples show what you\'d actually observe in practice.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'PDF: Height = likelihood (area under curve = probability)',
-        'CDF: Cumulative probability from -∞ to x',
-        'Normal: Bell curve, models averages (CLT)',
-        'Binomial: Coin flips, fixed trials',
-        'Poisson: Rare events, variable occurrences',
-        'Exponential: Waiting times between events'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Normal: Change μ (shifts curve), σ (width)',
-        'Binomial: n=20, p=0.5 looks like Normal!',
-        'Enable Samples - see theory match reality',
-        'Compare PDF vs CDF - CDF always increases',
-        'Poisson: Low λ = rare events, High λ = frequent'
-      ]
-    }
-  ]
-},
-'bayes-theorem': { 
-  title: 'Bayesian Inference',
-  sections: [
-    {
-      heading: 'What Is Bayesian Inference?',
-      content: 'A method for updating beliefs with evidence. Start with a prior belief (what you think before seeing data), combine it with likelihood (how well data fits different hypotheses), and get a posterior (updated belief after seeing data).'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Bayesian thinking powers spam filters, medical diagnosis, A/B testing, machine learning (Bayesian optimization, neural networks), and scientific reasoning. It naturally handles uncertainty and incorporates prior knowledge.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine you\'re flipping a coin. Before any flips (prior), you might think it\'s fair (50/50). After 7 heads and 3 tails (likelihood), you update: "probably biased toward heads" (posterior). More data → sharper beliefs (narrower distribution).'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Prior: Your initial belief before seeing data',
-        'Likelihood: How probable the data is under different hypotheses',
-        'Posterior: Updated belief after combining prior + likelihood',
-        'Credible Interval: Range where true value likely lies (95% CI)',
-        'Conjugate Priors: Prior + Likelihood → Same family (Beta-Binomial here)'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Uniform Prior + observations → watch belief form from nothing',
-        'Informative Prior (70%) + observations → see if data confirms or rejects',
-        'Skeptical Prior (20%) + observations → strong data overcomes prior',
-        'Add 100+ observations → all priors converge to truth!',
-        'Change True Rate → see how quickly Bayes adapts'
-      ]
-    }
-  ]
-},
-'monte-carlo': {
-        title: 'Monte Carlo Methods',
-        sections: [
-          {
-            heading: 'What Are Monte Carlo Methods?',
-            content: 'Monte Carlo methods use random sampling to solve problems that are difficult or impossible to solve analytically. Named after the famous Monaco casino, these techniques turn randomness into reliable answers through the Law of Large Numbers.'
-          },
-          {
-            heading: 'Why It Matters',
-            content: 'Monte Carlo is everywhere: finance (risk analysis), physics (particle simulations), machine learning (reinforcement learning, dropout), computer graphics (ray tracing), and scientific computing. When you can\'t solve it exactly, sample it!'
-          },
-          {
-            heading: 'The Intuition',
-            content: 'Imagine estimating the area of a pond by throwing random pebbles. If 30% land in the pond, the pond is ~30% of the total area. More pebbles = better estimate. This is Monte Carlo: using randomness to approximate complex quantities.'
-          },
-          {
-            heading: 'Key Concepts',
-            list: [
-              'Random Sampling: Generate random points to explore space',
-              'Law of Large Numbers: More samples → better estimates',
-              'Convergence: Error decreases as ~1/√n (need 4x samples to halve error)',
-              'Integration: Estimate areas/volumes by counting samples',
-              'Random Walks: Model diffusion, stock prices, Brownian motion'
-            ]
-          },
-          {
-            heading: 'Try This',
-            list: [
-              'Pi Estimation: Watch π emerge from random dots! Green inside circle, red outside',
-              'Integration: Estimate ∫₀¹ x² dx (true value = 1/3) by random sampling',
-              'Random Walk: See a drunk walker\'s path - displacement grows as √steps',
-              'Increase speed and watch estimates converge to true values',
-              'Compare: 100 samples vs 10,000 samples - see accuracy improve!'
-            ]
-          }
-        ]
-      },
-      'linear-regression': {
-  title: 'Linear Regression',
-  sections: [
-    {
-      heading: 'What Is Linear Regression?',
-      content: 'Linear regression finds the best-fit straight line through data points. It\'s the foundation of predictive modeling - given x, predict y. The line minimizes the sum of squared distances (residuals) from points to the line.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Linear regression is THE starting point for machine learning. It\'s used everywhere: predicting house prices, sales forecasting, trend analysis, A/B testing, and as a baseline for complex models. Understanding regression is essential for data science.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine trying to draw a line through scattered points. Too steep? Points above are far away. Too flat? Points below are far. The regression line is the "Goldilocks" line - just right! It balances all the errors to minimize total squared distance.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Equation: y = mx + b (slope m, intercept b)',
-        'Residuals: Vertical distance from point to line (red dashed lines)',
-        'R² Score: 0 to 1 - how well the line fits (1 = perfect, 0 = useless)',
-        'RMSE: Root Mean Squared Error - average prediction error',
-        'Least Squares: Minimizes sum of squared residuals',
-        'Outliers: Points far from line (highlighted in orange) - they pull the line!'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Load "Linear" dataset - see perfect fit (high R²)',
-        'Load "Noisy" - see how scatter reduces R²',
-        'Load "Outliers" - watch orange points pull the line!',
-        'Click to add points, drag to move them - see line adjust instantly',
-        'Turn on residuals - see which points have largest errors',
-        'Click "Animate Fitting" - watch gradient descent find the line from scratch!'
-      ]
-    }
-  ]
-},
-'logistic-regression': {
-  title: 'Logistic Regression',
-  sections: [
-    {
-      heading: 'What Is Logistic Regression?',
-      content: 'Logistic regression is for binary classification - predicting yes/no, spam/not spam, cat/dog. It uses the sigmoid function to output probabilities (0 to 1), then draws a decision boundary to separate classes.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Logistic regression is THE foundation of classification in ML. Used in: spam detection, medical diagnosis, credit scoring, click prediction, fraud detection, and as building blocks in neural networks. It\'s interpretable and fast.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Unlike linear regression (predicts numbers), logistic regression predicts categories. The sigmoid function σ(z) = 1/(1+e⁻ᶻ) squashes any input into 0-1 range. Output > 0.5? Predict class 1. Otherwise? Class 0. The decision boundary is where probability = 0.5.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Binary Classification: Two classes (0 vs 1, blue vs red)',
-        'Sigmoid Function: Maps z → probability ∈ [0,1]',
-        'Decision Boundary: Line where P(y=1) = 0.5',
-        'Log Loss: Penalizes confident wrong predictions heavily',
-        'Accuracy: % of correct predictions',
-        'Green outline = correct, Orange outline = misclassified'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Load "Separable" - perfect 100% accuracy, clear boundary',
-        'Load "Overlap" - classes mix, see some orange outlines',
-        'Load "XOR" - logistic regression FAILS! (needs non-linear)',
-        'Toggle "Show Probabilities" - see heatmap (blue→red gradient)',
-        'Click to add points (toggle class with buttons)',
-        'Drag points across boundary - watch accuracy change!',
-        'Animate Training - see boundary learn from scratch'
-      ]
-    }
-  ]
-},
-'hypothesis-test': {
-  title: 'Hypothesis Testing',
-  sections: [
-    {
-      heading: 'What Is Hypothesis Testing?',
-      content: 'Hypothesis testing is how we make decisions with data. We start with a null hypothesis (H₀: "nothing special is happening") and ask: is our data weird enough to reject it? The p-value tells us how "weird" our data is if H₀ is true.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Hypothesis testing is the foundation of scientific inference. Used in: A/B testing (does the new design work better?), clinical trials (does the drug work?), quality control (is the process broken?), and research (is this effect real?). It prevents false conclusions.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine claiming a coin is unfair. You flip it 100 times and get 60 heads. Is that weird enough to prove your claim? Hypothesis testing answers this: "If the coin were fair (H₀), how likely is 60+ heads?" If very unlikely (p < 0.05), we reject fairness. Otherwise, we can\'t prove it\'s unfair.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'H₀ (Null): Default assumption (no effect, no difference)',
-        'H₁ (Alternative): What we want to prove',
-        'p-value: Probability of data this extreme if H₀ is true',
-        'α (alpha): Threshold for significance (typically 0.05)',
-        't-statistic: How many standard errors away from H₀',
-        'Type I error: Rejecting true H₀ (false positive)',
-        'Type II error: Failing to reject false H₀ (false negative)',
-        'Confidence Interval: Range where true mean likely lies'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Set μ₀ = 100, sample mean = 105 → likely reject H₀',
-        'Increase sample size → smaller p-values (more power)',
-        'Set α = 0.01 → stricter threshold, fewer rejections',
-        'Toggle "Critical Region" → see red rejection zones',
-        'Click "Animate Sampling" → see p-values vary!',
-        'Confidence interval includes μ₀? → Don\'t reject H₀',
-        'Green line (x̄) far from red line (μ₀)? → Reject!'
-      ]
-    }
-  ]
-},
-'activation-functions': {
-  title: 'Activation Functions',
-  sections: [
-    {
-      heading: 'What Are Activation Functions?',
-      content: 'Activation functions introduce non-linearity into neural networks. Without them, stacking layers would just be matrix multiplication - no matter how deep, equivalent to single layer! They decide what signal to pass forward.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'The choice of activation function dramatically affects: training speed, convergence, vanishing/exploding gradients, and final accuracy. ReLU\'s invention was a breakthrough that enabled deep learning. Modern AI wouldn\'t exist without good activations!'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Think of neurons as decision makers. Activation functions shape HOW they decide. ReLU: "negative? ignore it." Sigmoid: "smoosh everything to 0-1." Each has trade-offs. The derivative matters for learning - flat derivatives → no learning!'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Non-linearity: Enables learning complex patterns',
-        'Vanishing Gradient: When f\'(x) → 0, learning stops',
-        'Dead Neurons: ReLU neurons that output 0 forever',
-        'Saturation: When function flattens (sigmoid, tanh)',
-        'Zero-centered: Tanh outputs around 0, helps learning',
-        'ReLU: Most popular, fast, but can die',
-        'Sigmoid: For binary outputs, not hidden layers!',
-        'Derivative: Shows how much gradient flows back'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Compare All Functions → see shapes side-by-side',
-        'Toggle Derivative → watch sigmoid/tanh vanish at edges!',
-        'Slide input value → see output change',
-        'Animate Signal → watch propagation through function',
-        'ReLU: flat for x < 0 (dead neuron zone)',
-        'Sigmoid: check derivative - always < 0.25!',
-        'Leaky ReLU: small negative slope prevents death'
-      ]
-    }
-  ]
-},
-'neural-network': {
-  title: 'Neural Network Playground',
-  sections: [
-    {
-      heading: 'What Is This?',
-      content: 'Build and train your own neural network! See how hidden layers, activation functions, and learning rates affect performance. Watch the decision boundary form in real-time as the network learns.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'This is HOW deep learning works. Every modern AI (GPT, DALL-E, AlphaGo) uses these same principles: layers of neurons, activation functions, gradient descent. Understanding this is understanding AI.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Each neuron is a tiny decision maker. The first layer detects simple patterns (edges, colors). Deeper layers combine these into complex concepts (faces, objects). The output layer makes the final decision. Training adjusts all the connections (weights) to minimize errors.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Hidden Layers: More layers = more complex patterns',
-        'Neurons: More neurons = more capacity (but slower)',
-        'Weights: Connection strengths (green=positive, red=negative)',
-        'Decision Boundary: Where the network switches predictions',
-        'Epochs: Number of training iterations',
-        'Learning Rate: How big the update steps are',
-        'Overfitting: Memorizing training data (high accuracy, poor generalization)'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Linear dataset: Try 1 hidden layer with 2 neurons → solves it!',
-        'XOR dataset: Need at least 2 hidden neurons → try it!',
-        'Spiral: Need deeper network (4-6 neurons per layer)',
-        'Increase learning rate → faster but unstable',
-        'More hidden neurons → can solve harder problems',
-        'Watch decision boundary morph during training',
-        'Compare ReLU vs Sigmoid activation'
-      ]
-    }
-  ]
-},
-'backprop': {
-  title: 'Backpropagation',
-  sections: [
-    {
-      heading: 'What Is Backpropagation?',
-      content: 'Backpropagation (backprop) is HOW neural networks learn. It\'s the algorithm that calculates gradients for every weight in the network by applying the chain rule backward through layers. Without backprop, deep learning wouldn\'t exist!'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'This is the SECRET SAUCE of AI. Every neural network (GPT, DALL-E, AlphaGo) uses backpropagation to learn. Understanding this is understanding how machines learn from data. It\'s just calculus (chain rule) + clever bookkeeping.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine tweaking a knob on a machine and watching the output change. Backprop tells you EXACTLY how much each knob (weight) contributed to the error. Forward pass makes predictions. Backward pass figures out blame. Then we adjust weights to reduce error.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Forward Pass: Input → activations → output → loss',
-        'Backward Pass: Loss → gradients → back through network',
-        'Chain Rule: Multiply derivatives layer by layer',
-        'Gradients (∇): Direction and magnitude of weight changes',
-        'Weight Update: w = w - α·∇L (gradient descent)',
-        'Vanishing Gradient: Derivatives shrink in deep networks',
-        'Learning Rate (α): How big the weight updates are'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Click Play - watch full forward + backward pass',
-        'Toggle "Show Gradients" - see ∇ on each connection',
-        'Step through manually - understand each calculation',
-        'Notice: output gradient computed first, then flows back',
-        'Watch neurons glow yellow on their active step',
-        'Green arrow = forward, Purple arrow = backward',
-        'Gradients get smaller as they flow back (vanishing!)'
-      ]
-    }
-  ]
-},
-'convolution': {
-  title: 'Convolution Operation',
-  sections: [
-    {
-      heading: 'What Is Convolution?',
-      content: 'Convolution slides a small filter (kernel) across an image, computing a weighted sum at each position. It\'s the fundamental operation in Convolutional Neural Networks (CNNs). Each filter detects different features: edges, textures, patterns.'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'CNNs revolutionized computer vision! AlexNet (2012) won ImageNet with convolution. Now used in: face recognition, self-driving cars, medical imaging, object detection, image generation (GANs, Diffusion). Understanding convolution = understanding modern vision AI.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Imagine sliding a magnifying glass across a picture. At each spot, you compute: pixel×weight + pixel×weight + ... The filter learns WHAT to look for (edges? curves?). Early layers find simple patterns. Deeper layers combine them into complex objects. This is how machines "see"!'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Kernel/Filter: Small matrix (3×3, 5×5) of weights',
-        'Stride: How many pixels to skip (stride=2 → half size)',
-        'Padding: Border pixels added (keeps size constant)',
-        'Feature Map: Output after convolution',
-        'Receptive Field: Input region affecting one output pixel',
-        'Edge Detection: Filters highlight boundaries',
-        'Translation Invariance: Detects features anywhere in image',
-        'Parameter Sharing: Same filter used everywhere (efficient!)'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Edge Detection → see boundaries highlight!',
-        'Blur → watch image smooth out',
-        'Animate Convolution → see filter slide across',
-        'Increase stride → output gets smaller',
-        'Add padding → output stays same size',
-        'Try all filters → see different features extracted',
-        'Notice: kernel values determine what feature detected'
-      ]
-    }
-  ]
-},
-'attention': {
-  title: 'Attention Mechanism',
-  sections: [
-    {
-      heading: 'What Is Attention?',
-      content: 'Attention lets each word in a sentence look at every other word and decide: "How relevant is this to me?" It\'s the core innovation in Transformers. Instead of processing sequentially (RNNs), attention looks at everything at once - in parallel!'
-    },
-    {
-      heading: 'Why It Matters',
-      content: 'Attention changed EVERYTHING. It powers: GPT (text generation), BERT (understanding), Vision Transformers (images), Whisper (speech), AlphaFold (protein folding). "Attention is All You Need" (2017) started the modern AI revolution. Every major AI breakthrough since uses attention.'
-    },
-    {
-      heading: 'The Intuition',
-      content: 'Think of reading: "The animal didn\'t cross the street because IT was too tired." What does "IT" refer to? Your brain automatically knows: "the animal" (not the street!). That\'s attention - figuring out which words relate to which. Neural networks do this with Query-Key-Value mechanics.'
-    },
-    {
-      heading: 'Key Concepts',
-      list: [
-        'Query (Q): What am I looking for? (like a search query)',
-        'Key (K): What do I contain? (like search index)',
-        'Value (V): What should I output? (like search results)',
-        'Score = Q·K: Similarity between query and key',
-        'Softmax: Normalize scores to weights (sum=1)',
-        'Output = Σ(weight × value): Weighted combination',
-        'Self-Attention: Each token attends to all tokens',
-        'Multi-Head: Multiple attention patterns learned'
-      ]
-    },
-    {
-      heading: 'Try This',
-      list: [
-        'Click "cat" → see it attends most to "sat" and "mat"',
-        'Click "sat" → see how verb relates to subject/object',
-        'Click "the" (first) vs "the" (second) → different attention!',
-        'Notice: attention weights always sum to 100%',
-        'Toggle "Show Attention Weights" on/off',
-        'Check raw scores vs softmax weights',
-        'Thicker lines = stronger attention = more relevant'
-      ]
+  const renderDemo = () => {
+    // Pass onClose as a no-op since we're handling it at workspace level
+    const Visualization = registry.get(selectedTool)?.visualization;
+    if (Visualization) {
+      return <Visualization onClose={() => {}} config={activePreset?.config} />;
     }
-  ]
-}
-    };
 
-    return guides[selectedTool] || {
-      title: 'Coming Soon',
-      sections: [{ heading: 'Guide', content: 'Documentation for this tool is coming soon.' }]
-    };
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="text-center">
+          <div className="text-6xl mb-4">🚧</div>
+          <p className="text-gray-400">Tool coming soon...</p>
+        </div>
+      </div>
+    );
   };
 
   const currentTool = getCurrentTool();
-  const guideContent = getGuideContent();
+
+  // Guide for the current tool, from its concept definition
+  const guideContent = getGuide(registry.get(selectedTool)) || {
+    title: 'Coming Soon',
+    sections: [{ heading: 'Guide', content: 'Documentation for this tool is coming soon.' }]
+  };
 
   return (
     <div className="fixed inset-0 bg-slate-950/95 backdrop-blur-sm z-50 flex">
@@ -849,7 +139,7 @@ export const ToolWorkspace = ({ initialTool, onClose }) => {
                     {category.tools.map((tool) => (
                       <button
                         key={tool.id}
-                        onClick={() => !tool.disabled && setSelectedTool(tool.id)}
+                        onClick={() => !tool.disabled && onSelectTool(tool.id)}
                         disabled={tool.disabled}
                         className={`w-full text-left px-3 py-2 rounded-lg text-sm flex items-center gap-2 transition-all ${
                           selectedTool === tool.id
@@ -860,7 +150,10 @@ export const ToolWorkspace = ({ initialTool, onClose }) => {
                         }`}
                       >
                         <span>{tool.icon}</span>
-                        <span className="flex-1">{tool.name}</span>
+                        <span className="flex-1">{tool.shortTitle}</span>
+                        {completedConcepts.has(tool.id) && selectedTool !== tool.id && (
+                          <span className="text-xs" title="Completed">✅</span>
+                        )}
                         {selectedTool === tool.id && <span className="text-cyan-400">✓</span>}
                         {tool.disabled && <span className="text-xs text-gray-600">Soon</span>}
                       </button>
@@ -890,11 +183,29 @@ export const ToolWorkspace = ({ initialTool, onClose }) => {
             <div className="min-w-0">
               <h1 className="text-base md:text-xl font-bold text-white flex items-center gap-2 truncate">
                 <span className="flex-shrink-0">{currentTool?.icon}</span>
-                <span className="truncate">{currentTool?.name}</span>
+                <span className="truncate">{currentTool?.shortTitle}</span>
               </h1>
             </div>
           </div>
           <div className="flex items-center gap-2">
+            {currentTool && (
+              <a
+                href={conceptHref(selectedTool)}
+                className="px-3 py-2 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-sm flex items-center gap-2"
+                title="Open concept page"
+              >
+                <span>📚</span>
+                <span className="hidden sm:inline">Concept</span>
+              </a>
+            )}
+            <button
+              onClick={handleCopyLink}
+              className="px-3 py-2 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-sm flex items-center gap-2"
+              title="Copy a link to this configuration"
+            >
+              <span>🔗</span>
+              <span className="hidden sm:inline">{linkCopied ? 'Copied!' : 'Copy link'}</span>
+            </button>
             <button
               onClick={() => setShowRightSidebar(!showRightSidebar)}
               className="px-3 py-2 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-sm flex items-center gap-2"
@@ -916,6 +227,15 @@ export const ToolWorkspace = ({ initialTool, onClose }) => {
         <div className="flex-1 flex overflow-hidden">
           {/* Center - Demo Area */}
           <div className="flex-1 overflow-auto bg-slate-950 min-w-0">
+            {examples.length > 0 && (
+              <div className="px-4 md:px-6 pt-4">
+                <ExamplePicker
+                  examples={examples}
+                  activeIndex={activePreset?.index ?? null}
+                  onSelect={handleSelectExample}
+                />
+              </div>
+            )}
             {renderDemo()}
           </div>
 
@@ -1,40 +1,195 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { param, usePermalinkState } from '../core/permalink.js';
+import { add, scale, dot, normalize } from '../math/vectors.js';
+import { spanOf, determinant } from '../math/matrices.js';
+import { gramSchmidt, projectOntoSpan, coordinatesInBasis } from '../math/orthogonality.js';
+import { random } from '../math/random.js';
 
-export const VectorSpaces = ({ onClose }) => {
-  const canvasRef = useRef(null);
-  const [vectors, setVectors] = useState([
+const MAX_VECTORS = 6;
+
+const isPoint = (value) => (
+  value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.y)
+);
+
+const isPoint3 = (value) => isPoint(value) && Number.isFinite(value.z);
+
+const isVectorList = (isEntry) => (value) => (
+  Array.isArray(value) && value.length <= MAX_VECTORS && value.every((v) => isEntry(v) && Number.isInteger(v.id))
+);
+
+// Parameters stored in the URL so a configuration can be shared as a link
+const PARAMS = {
+  dimension: param.integer(2, { min: 2, max: 3 }),
+  // 2D vectors are canvas offsets in pixels (y down), 3D vectors are in units
+  vectors: param.json([
     { x: 150, y: -100, id: 1 },
     { x: 100, y: 150, id: 2 }
-  ]);
-  const [showSpan, setShowSpan] = useState(true);
-  const [draggingId, setDraggingId] = useState(null);
-  const [nextId, setNextId] = useState(3);
-
-  // Check if vectors are linearly independent
-  const areIndependent = () => {
-    if (vectors.length === 0) return true;
-    if (vectors.length === 1) return vectors[0].x !== 0 || vectors[0].y !== 0;
-    if (vectors.length === 2) {
-      const det = vectors[0].x * vectors[1].y - vectors[0].y * vectors[1].x;
-      return Math.abs(det) > 0.01;
-    }
-    // For 2D, any 3+ vectors are linearly dependent
-    return false;
-  };
+  ], isVectorList(isPoint)),
+  vectors3d: param.json([
+    { x: 2, y: 0, z: 0.5, id: 1 },
+    { x: 0.5, y: 2, z: 0, id: 2 },
+    { x: 2.5, y: 2, z: 0.5, id: 3 }
+  ], isVectorList(isPoint3)),
+  mode: param.oneOf(['span', 'gram-schmidt', 'projection', 'change-of-basis'], 'span'),
+  // Point to project or re-express, in units (2D ignores z)
+  point: param.json({ x: 2, y: 1, z: 2 }, isPoint3),
+  showSpan: param.boolean(true),
+  showGrid: param.boolean(true)
+};
 
-  // Calculate determinant for 2 vectors
-  const getDeterminant = () => {
-    if (vectors.length < 2) return 0;
-    return vectors[0].x * vectors[1].y - vectors[0].y * vectors[1].x;
-  };
+const MODES = {
+  span: {
+    name: 'Span',
+    description: 'Rank, a basis of the span and the relations among the vectors.'
+  },
+  'gram-schmidt': {
+    name: 'Gram–Schmidt',
+    description: 'Turn the vectors into an orthonormal basis of their span, one vector at a time.'
+  },
+  projection: {
+    name: 'Projection',
+    description: 'Find the closest point of the span to p. Drag p in 2D or type its coordinates.'
+  },
+  'change-of-basis': {
+    name: 'Change of Basis',
+    description: 'Write the same point p in standard coordinates and in the basis formed by your vectors.'
+  }
+};
 
-  // Get dimension of span
-  const getSpanDimension = () => {
-    if (vectors.length === 0) return 0;
-    if (vectors.length === 1) {
-      return (vectors[0].x !== 0 || vectors[0].y !== 0) ? 1 : 0;
+// One-click starting sets; button classes are listed whole so Tailwind keeps them
+const PRESETS = {
+  2: [
+    {
+      name: 'Independent',
+      className: 'bg-emerald-500/20 hover:bg-emerald-500/30 border-emerald-500/30',
+      vectors: [{ x: 150, y: -100, id: 1 }, { x: 100, y: 150, id: 2 }]
+    },
+    {
+      name: 'Dependent',
+      className: 'bg-orange-500/20 hover:bg-orange-500/30 border-orange-500/30',
+      vectors: [{ x: 120, y: -80, id: 1 }, { x: 180, y: -120, id: 2 }]
+    },
+    {
+      name: 'Basis',
+      className: 'bg-purple-500/20 hover:bg-purple-500/30 border-purple-500/30',
+      vectors: [{ x: 80, y: 0, id: 1 }, { x: 0, y: -80, id: 2 }]
+    }
+  ],
+  3: [
+    {
+      name: 'Basis',
+      className: 'bg-purple-500/20 hover:bg-purple-500/30 border-purple-500/30',
+      vectors: [{ x: 2, y: 0, z: 0, id: 1 }, { x: 0, y: 2, z: 0, id: 2 }, { x: 0, y: 0, z: 2, id: 3 }]
+    },
+    {
+      name: 'Plane',
+      className: 'bg-cyan-500/20 hover:bg-cyan-500/30 border-cyan-500/30',
+      vectors: [{ x: 2, y: 0, z: 0.5, id: 1 }, { x: 0.5, y: 2, z: 0, id: 2 }, { x: 2.5, y: 2, z: 0.5, id: 3 }]
+    },
+    {
+      name: 'Line',
+      className: 'bg-orange-500/20 hover:bg-orange-500/30 border-orange-500/30',
+      vectors: [{ x: 1, y: 1, z: 1, id: 1 }, { x: -2, y: -2, z: -2, id: 2 }, { x: 2.5, y: 2.5, z: 2.5, id: 3 }]
+    },
+    {
+      name: 'Four in ℝ³',
+      className: 'bg-emerald-500/20 hover:bg-emerald-500/30 border-emerald-500/30',
+      vectors: [
+        { x: 2, y: 0, z: 0, id: 1 }, { x: 1, y: 2, z: 0, id: 2 },
+        { x: 0, y: 1, z: 2, id: 3 }, { x: 1, y: 1, z: 1, id: 4 }
+      ]
     }
-    return areIndependent() ? 2 : 1;
+  ]
+};
+
+const COLORS = [
+  { stroke: 'rgba(6, 182, 212, 1)', fill: 'rgba(6, 182, 212, 0.8)' },
+  { stroke: 'rgba(168, 85, 247, 1)', fill: 'rgba(168, 85, 247, 0.8)' },
+  { stroke: 'rgba(34, 197, 94, 1)', fill: 'rgba(34, 197, 94, 0.8)' },
+  { stroke: 'rgba(251, 146, 60, 1)', fill: 'rgba(251, 146, 60, 0.8)' },
+  { stroke: 'rgba(244, 63, 94, 1)', fill: 'rgba(244, 63, 94, 0.8)' },
+  { stroke: 'rgba(250, 204, 21, 1)', fill: 'rgba(250, 204, 21, 0.8)' }
+];
+
+const UNIT_2D = 40; // pixels per unit
+const UNIT_3D = 50;
+const EXTENT_3D = 4; // half-width of the floor grid and span patches, in units
+const DEFAULT_VIEW = { yaw: -0.6, pitch: 0.45 };
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const vectorName = (i) => `v${SUBSCRIPTS[i + 1]}`;
+
+const formatNumber = (value) => String(Number(value.toFixed(2)) || 0).replace('-', '−');
+
+/**
+ * Write a null-space relation as the dependent vector in terms of the basis,
+ * e.g. "v₃ = v₁ + 0.5v₂"
+ */
+const formatRelation = (relation, basis) => {
+  const free = relation.findIndex((c, i) => c === 1 && !basis.includes(i));
+  const terms = relation
+    .map((c, i) => ({ c: -c, i }))
+    .filter(({ c, i }) => i !== free && Math.abs(c) > 1e-9);
+  if (terms.length === 0) return `${vectorName(free)} = 0`;
+
+  const rhs = terms.map(({ c, i }, k) => {
+    const magnitude = Math.abs(Math.abs(c) - 1) < 1e-9 ? '' : formatNumber(Math.abs(c));
+    const sign = c < 0 ? (k === 0 ? '−' : ' − ') : (k === 0 ? '' : ' + ');
+    return `${sign}${magnitude}${vectorName(i)}`;
+  }).join('');
+  return `${vectorName(free)} = ${rhs}`;
+};
+
+export const VectorSpaces = ({ onClose, config }) => {
+  const canvasRef = useRef(null);
+  const orbitRef = useRef(null); // last pointer position while orbiting the 3D view
+  const [dimension, setDimension] = usePermalinkState(PARAMS, 'dimension', config);
+  const [vectors2d, setVectors2d] = usePermalinkState(PARAMS, 'vectors', config);
+  const [vectors3d, setVectors3d] = usePermalinkState(PARAMS, 'vectors3d', config);
+  const [showSpan, setShowSpan] = usePermalinkState(PARAMS, 'showSpan', config);
+  const [showGrid, setShowGrid] = usePermalinkState(PARAMS, 'showGrid', config);
+  const [mode, setMode] = usePermalinkState(PARAMS, 'mode', config);
+  const [point, setPoint] = usePermalinkState(PARAMS, 'point', config);
+  const [draggingId, setDraggingId] = useState(null); // vector id, or 'point'
+  const [gramSchmidtStep, setGramSchmidtStep] = useState(null); // vectors processed, null for all
+  const [view, setView] = useState(DEFAULT_VIEW); // 3D camera angles (radians)
+
+  const is3d = dimension === 3;
+  const vectors = is3d ? vectors3d : vectors2d;
+  const setVectors = is3d ? setVectors3d : setVectors2d;
+  // IDs only need to be unique within the current list
+  const nextId = Math.max(0, ...vectors.map(v => v.id)) + 1;
+
+  // Coordinates in units, y up
+  const coordinates = is3d
+    ? vectors3d.map(v => [v.x, v.y, v.z])
+    : vectors2d.map(v => [v.x / UNIT_2D, -v.y / UNIT_2D]);
+
+  // Rank, a basis drawn from the vectors, and the relations among the rest
+  const span = spanOf(coordinates);
+  const independent = span.rank === vectors.length;
+  const formsBasis = independent && vectors.length === dimension;
+  const det = vectors.length === dimension ? determinant(coordinates) : null;
+
+  const pointCoordinates = is3d ? [point.x, point.y, point.z] : [point.x, point.y];
+  const orthonormal = gramSchmidt(coordinates);
+  const shownSteps = gramSchmidtStep === null ? vectors.length : Math.min(gramSchmidtStep, vectors.length);
+  // Position of each step's unit vector in the orthonormal basis (null when dropped)
+  const unitIndex = orthonormal.steps.map((step, i) => (
+    step.q ? orthonormal.steps.slice(0, i + 1).filter(s => s.q).length : null
+  ));
+  const projected = projectOntoSpan(pointCoordinates, coordinates);
+  const basisCoordinates = formsBasis ? coordinatesInBasis(pointCoordinates, coordinates) : null;
+
+  // 3D: orthographic projection after yaw (about z) and pitch (about the screen x-axis)
+  const toCanvas3d = (canvas, [x, y, z]) => {
+    const x1 = x * Math.cos(view.yaw) - y * Math.sin(view.yaw);
+    const y1 = x * Math.sin(view.yaw) + y * Math.cos(view.yaw);
+    const z2 = y1 * Math.sin(view.pitch) + z * Math.cos(view.pitch);
+    return {
+      x: canvas.width / 2 + x1 * UNIT_3D,
+      y: canvas.height / 2 - z2 * UNIT_3D
+    };
   };
 
   // Draw everything
@@ -52,22 +207,242 @@ export const VectorSpaces = ({ onClose }) => {
     ctx.fillStyle = '#0f172a';
     ctx.fillRect(0, 0, width, height);
 
-    // Draw grid
-    ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
-    ctx.lineWidth = 1;
+    // Points in units → canvas pixels
+    const project = is3d
+      ? (p) => toCanvas3d(canvas, p)
+      : (p) => ({ x: centerX + p[0] * UNIT_2D, y: centerY - p[1] * UNIT_2D });
+    const zero = pointCoordinates.map(() => 0);
 
-    for (let x = 0; x <= width; x += 40) {
+    const segment = (from, to, color, dashed = false) => {
+      const p = project(from);
+      const q = project(to);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(dashed ? [4, 4] : []);
       ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(q.x, q.y);
       ctx.stroke();
-    }
+      ctx.setLineDash([]);
+    };
+
+    const arrowBetween = (from, to, color, dashed = false, lineWidth = 2.5) => {
+      const p = project(from);
+      const q = project(to);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dashed ? [6, 5] : []);
+      drawArrow(ctx, p.x, p.y, q.x, q.y, true);
+      ctx.setLineDash([]);
+    };
 
-    for (let y = 0; y <= height; y += 40) {
+    const marker = (at, text, color) => {
+      const p = project(at);
+      ctx.fillStyle = color;
       ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
+      ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.font = 'bold 14px sans-serif';
+      ctx.fillText(text, p.x + 10, p.y - 10);
+    };
+
+    // Mode overlays, drawn on top of the vectors in either dimension
+    const drawOverlay = () => {
+      if (mode === 'gram-schmidt') {
+        orthonormal.steps.slice(0, shownSteps).forEach((step, i) => {
+          const current = i === shownSteps - 1;
+          if (current && step.components.length > 0) {
+            // Components along the earlier unit vectors, and what is left
+            arrowBetween(zero, step.projection, '#fbbf24', true, 2);
+            arrowBetween(step.projection, step.vector, '#f472b6', false, 2);
+          }
+          if (step.q) {
+            arrowBetween(zero, step.q, current ? '#ffffff' : '#34d399', false, 4);
+            const tip = project(step.q);
+            ctx.fillStyle = '#34d399';
+            ctx.font = 'bold 13px sans-serif';
+            ctx.fillText(`q${SUBSCRIPTS[unitIndex[i]]}`, tip.x + 8, tip.y + 16);
+          }
+        });
+      }
+
+      if (mode === 'projection') {
+        const { projection, residual, distance } = projected;
+        arrowBetween(zero, projection, '#fbbf24', false, 3);
+        if (distance > 1e-9) {
+          arrowBetween(projection, pointCoordinates, '#f87171', true, 2);
+
+          // Right-angle mark where the residual leaves the span
+          const along = orthonormal.basis[0];
+          if (along) {
+            const r = scale(residual, 0.3 / distance);
+            const a = scale(along, dot(along, projection) < 0 ? 0.3 : -0.3);
+            segment(add(projection, a), add(add(projection, a), r), 'white');
+            segment(add(add(projection, a), r), add(projection, r), 'white');
+          }
+        }
+        marker(pointCoordinates, 'p', 'white');
+        marker(projection, 'p̂', '#fbbf24');
+      }
+
+      if (mode === 'change-of-basis') {
+        // Grid of the user basis: lines of constant c₁ and c₂
+        if (basisCoordinates && !is3d && showGrid) {
+          for (let i = -8; i <= 8; i++) {
+            segment(add(scale(coordinates[0], i), scale(coordinates[1], -8)), add(scale(coordinates[0], i), scale(coordinates[1], 8)), 'rgba(6, 182, 212, 0.2)');
+            segment(add(scale(coordinates[1], i), scale(coordinates[0], -8)), add(scale(coordinates[1], i), scale(coordinates[0], 8)), 'rgba(6, 182, 212, 0.2)');
+          }
+        }
+
+        // Standard coordinates: along the axes one at a time
+        pointCoordinates.reduce((at, value, k) => {
+          const next = at.map((v, j) => (j === k ? v + value : v));
+          segment(at, next, 'rgba(148, 163, 184, 0.7)', true);
+          return next;
+        }, zero);
+
+        // Basis coordinates: c₁v₁, then c₂v₂, ... tip to tail
+        if (basisCoordinates) {
+          basisCoordinates.reduce((at, c, i) => {
+            const next = add(at, scale(coordinates[i], c));
+            arrowBetween(at, next, COLORS[i % COLORS.length].stroke, true, 2);
+            return next;
+          }, zero);
+        }
+        marker(pointCoordinates, 'p', 'white');
+      }
+    };
+
+    if (is3d) {
+      const line = (a, b) => {
+        const p = project(a);
+        const q = project(b);
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+        ctx.stroke();
+      };
+      const polygon = (points) => {
+        ctx.beginPath();
+        points.map(project).forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+      };
+
+      // Floor grid in the xy-plane
+      if (showGrid) {
+        ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
+        ctx.lineWidth = 1;
+        for (let i = -EXTENT_3D; i <= EXTENT_3D; i++) {
+          line([i, -EXTENT_3D, 0], [i, EXTENT_3D, 0]);
+          line([-EXTENT_3D, i, 0], [EXTENT_3D, i, 0]);
+        }
+      }
+
+      // Axes
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.5)';
+      ctx.lineWidth = 1.5;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.font = '14px sans-serif';
+      ['x', 'y', 'z'].forEach((label, axis) => {
+        const tip = [0, 0, 0].map((_, k) => (k === axis ? EXTENT_3D : 0));
+        line(scale(tip, -1), tip);
+        const p = project(scale(tip, 1.08));
+        ctx.fillText(label, p.x, p.y);
+      });
+
+      // Span: a line, a plane patch, or all of space with the spanned parallelepiped
+      if (showSpan && span.rank > 0) {
+        const basis = span.basis.map(i => coordinates[i]);
+
+        if (span.rank === 1) {
+          const direction = scale(normalize(basis[0]), EXTENT_3D * 1.5);
+          ctx.strokeStyle = 'rgba(139, 92, 246, 0.3)';
+          ctx.lineWidth = 14;
+          line(scale(direction, -1), direction);
+        } else if (span.rank === 2) {
+          // Orthonormal axes of the plane
+          const [u, w] = gramSchmidt(basis).basis;
+          const at = (s, t) => [0, 1, 2].map(k => s * u[k] + t * w[k]);
+
+          ctx.fillStyle = 'rgba(139, 92, 246, 0.15)';
+          polygon([at(-EXTENT_3D, -EXTENT_3D), at(EXTENT_3D, -EXTENT_3D), at(EXTENT_3D, EXTENT_3D), at(-EXTENT_3D, EXTENT_3D)]);
+          ctx.fill();
+          ctx.strokeStyle = 'rgba(139, 92, 246, 0.3)';
+          ctx.lineWidth = 1;
+          for (let i = -EXTENT_3D; i <= EXTENT_3D; i++) {
+            line(at(i, -EXTENT_3D), at(i, EXTENT_3D));
+            line(at(-EXTENT_3D, i), at(EXTENT_3D, i));
+          }
+        } else {
+          ctx.fillStyle = 'rgba(139, 92, 246, 0.08)';
+          ctx.fillRect(0, 0, width, height);
+
+          // Parallelepiped spanned by the basis vectors
+          const corner = (bits) => [0, 1, 2].map(k => bits.reduce((sum, bit, j) => sum + bit * basis[j][k], 0));
+          ctx.strokeStyle = 'rgba(139, 92, 246, 0.6)';
+          ctx.lineWidth = 1.5;
+          [0, 1, 2].forEach(axis => {
+            [[0, 0], [0, 1], [1, 0], [1, 1]].forEach(([a, b]) => {
+              const bits = [a, b];
+              bits.splice(axis, 0, 0);
+              const end = [...bits];
+              end[axis] = 1;
+              line(corner(bits), corner(end));
+            });
+          });
+          ctx.fillStyle = 'rgba(139, 92, 246, 0.12)';
+          [0, 1, 2].forEach(axis => {
+            const [a, b] = [0, 1, 2].filter(k => k !== axis);
+            const face = (bits) => corner([0, 1, 2].map(k => (k === a ? bits[0] : k === b ? bits[1] : 0)));
+            polygon([face([0, 0]), face([1, 0]), face([1, 1]), face([0, 1])]);
+            ctx.fill();
+          });
+        }
+      }
+
+      // User vectors; ones outside the basis are dashed
+      coordinates.forEach((v, idx) => {
+        const color = COLORS[idx % COLORS.length];
+        const origin = project([0, 0, 0]);
+        const tip = project(v);
+        ctx.strokeStyle = color.stroke;
+        ctx.fillStyle = color.fill;
+        ctx.lineWidth = 3;
+        ctx.setLineDash(span.basis.includes(idx) ? [] : [8, 6]);
+        drawArrow(ctx, origin.x, origin.y, tip.x, tip.y, true);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillText(vectorName(idx), tip.x + 10, tip.y - 10);
+        ctx.font = '11px monospace';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(`(${v.map(value => value.toFixed(1)).join(', ')})`, tip.x + 10, tip.y + 5);
+      });
+
+      drawOverlay();
+      return;
+    }
+
+    // Draw grid
+    if (showGrid) {
+      ctx.strokeStyle = 'rgba(100, 116, 139, 0.15)';
+      ctx.lineWidth = 1;
+
+      for (let x = 0; x <= width; x += UNIT_2D) {
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+      }
+
+      for (let y = 0; y <= height; y += UNIT_2D) {
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+      }
     }
 
     // Draw axes
@@ -87,29 +462,25 @@ export const VectorSpaces = ({ onClose }) => {
     ctx.stroke();
 
     // Draw span if enabled
-    if (showSpan && vectors.length > 0) {
-      const spanDim = getSpanDimension();
-
-      if (spanDim === 2) {
+    if (showSpan && vectors2d.length > 0) {
+      if (span.rank === 2) {
         // Fill entire plane
         ctx.fillStyle = 'rgba(139, 92, 246, 0.1)';
         ctx.fillRect(0, 0, width, height);
-      } else if (spanDim === 1) {
-        // Draw line through vector(s)
-        const v = vectors[0];
+      } else if (span.rank === 1) {
+        // Draw line through the basis vector
+        const v = vectors2d[span.basis[0]];
         const len = Math.sqrt(v.x * v.x + v.y * v.y);
-        if (len > 0) {
-          const dirX = v.x / len;
-          const dirY = v.y / len;
-          const maxLen = Math.max(width, height) * 2;
+        const dirX = v.x / len;
+        const dirY = v.y / len;
+        const maxLen = Math.max(width, height) * 2;
 
-          ctx.strokeStyle = 'rgba(139, 92, 246, 0.3)';
-          ctx.lineWidth = 40;
-          ctx.beginPath();
-          ctx.moveTo(centerX - dirX * maxLen, centerY - dirY * maxLen);
-          ctx.lineTo(centerX + dirX * maxLen, centerY + dirY * maxLen);
-          ctx.stroke();
-        }
+        ctx.strokeStyle = 'rgba(139, 92, 246, 0.3)';
+        ctx.lineWidth = 40;
+        ctx.beginPath();
+        ctx.moveTo(centerX - dirX * maxLen, centerY - dirY * maxLen);
+        ctx.lineTo(centerX + dirX * maxLen, centerY + dirY * maxLen);
+        ctx.stroke();
       }
     }
 
@@ -125,38 +496,35 @@ export const VectorSpaces = ({ onClose }) => {
     ctx.fillText('x', centerX + 85, centerY - 5);
     ctx.fillText('y', centerX + 5, centerY - 85);
 
-    // Draw user vectors
-    vectors.forEach((v, idx) => {
-      const colors = [
-        { stroke: 'rgba(6, 182, 212, 1)', fill: 'rgba(6, 182, 212, 0.8)' },
-        { stroke: 'rgba(168, 85, 247, 1)', fill: 'rgba(168, 85, 247, 0.8)' },
-        { stroke: 'rgba(34, 197, 94, 1)', fill: 'rgba(34, 197, 94, 0.8)' },
-        { stroke: 'rgba(251, 146, 60, 1)', fill: 'rgba(251, 146, 60, 0.8)' }
-      ];
-      const color = colors[idx % colors.length];
+    // Draw user vectors; ones outside the basis are dashed
+    vectors2d.forEach((v, idx) => {
+      const color = COLORS[idx % COLORS.length];
 
       ctx.strokeStyle = color.stroke;
       ctx.fillStyle = color.fill;
       ctx.lineWidth = 3;
+      ctx.setLineDash(span.basis.includes(idx) ? [] : [8, 6]);
 
       drawArrow(ctx, centerX, centerY, centerX + v.x, centerY + v.y, true);
+      ctx.setLineDash([]);
 
       // Draw label
       ctx.fillStyle = 'white';
       ctx.font = 'bold 14px sans-serif';
-      ctx.fillText(`v${idx + 1}`, centerX + v.x + 10, centerY + v.y - 10);
+      ctx.fillText(vectorName(idx), centerX + v.x + 10, centerY + v.y - 10);
 
       // Draw coordinates
       ctx.font = '11px monospace';
       ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
       ctx.fillText(
-        `(${(v.x / 40).toFixed(1)}, ${(-v.y / 40).toFixed(1)})`,
+        `(${(v.x / UNIT_2D).toFixed(1)}, ${(-v.y / UNIT_2D).toFixed(1)})`,
         centerX + v.x + 10,
         centerY + v.y + 5
       );
     });
 
-  }, [vectors, showSpan]);
+    drawOverlay();
+  }, [vectors2d, vectors3d, is3d, showSpan, showGrid, view, mode, point, shownSteps]);
 
   // Draw arrow helper
   const drawArrow = (ctx, fromX, fromY, toX, toY, withHead) => {
@@ -168,6 +536,7 @@ export const VectorSpaces = ({ onClose }) => {
     if (withHead) {
       const angle = Math.atan2(toY - fromY, toX - fromX);
       const headLen = 15;
+      ctx.setLineDash([]);
       ctx.beginPath();
       ctx.moveTo(toX, toY);
       ctx.lineTo(
@@ -183,17 +552,41 @@ export const VectorSpaces = ({ onClose }) => {
     }
   };
 
-  // Mouse handlers
-  const handleMouseDown = (e) => {
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  const getCanvasPoint = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  // Mouse handlers: drag vector tips in 2D, orbit the camera in 3D
+  const handleMouseDown = (e) => {
+    const canvas = canvasRef.current;
+    const { x, y } = getCanvasPoint(e);
+
+    if (is3d) {
+      orbitRef.current = { x, y };
+      return;
+    }
+
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
 
+    // The point p is grabbed before any vector
+    if (mode === 'projection' || mode === 'change-of-basis') {
+      const px = centerX + point.x * UNIT_2D;
+      const py = centerY - point.y * UNIT_2D;
+      if (Math.hypot(x - px, y - py) < 20) {
+        setDraggingId('point');
+        return;
+      }
+    }
+
     // Check if clicking on existing vector
-    for (const v of vectors) {
+    for (const v of vectors2d) {
       const vx = centerX + v.x;
       const vy = centerY + v.y;
       const dist = Math.sqrt((x - vx) ** 2 + (y - vy) ** 2);
@@ -205,16 +598,34 @@ export const VectorSpaces = ({ onClose }) => {
   };
 
   const handleMouseMove = (e) => {
+    const { x, y } = getCanvasPoint(e);
+
+    if (orbitRef.current) {
+      const last = orbitRef.current;
+      setView(prev => ({
+        yaw: prev.yaw + (x - last.x) * 0.01,
+        pitch: Math.max(-1.5, Math.min(1.5, prev.pitch + (y - last.y) * 0.01))
+      }));
+      orbitRef.current = { x, y };
+      return;
+    }
+
     if (draggingId === null) return;
 
     const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
 
-    setVectors(prev =>
+    if (draggingId === 'point') {
+      setPoint({
+        ...point,
+        x: Math.round(((x - centerX) / UNIT_2D) * 10) / 10,
+        y: Math.round(((centerY - y) / UNIT_2D) * 10) / 10
+      });
+      return;
+    }
+
+    setVectors2d(prev =>
       prev.map(v =>
         v.id === draggingId
           ? { ...v, x: x - centerX, y: y - centerY }
@@ -225,54 +636,40 @@ export const VectorSpaces = ({ onClose }) => {
 
   const handleMouseUp = () => {
     setDraggingId(null);
+    orbitRef.current = null;
   };
 
   const handleAddVector = () => {
-    if (vectors.length >= 4) return;
-    const angle = Math.random() * Math.PI * 2;
-    const len = 80 + Math.random() * 80;
-    setVectors([
-      ...vectors,
+    if (vectors.length >= MAX_VECTORS) return;
+    if (is3d) {
+      const [x, y, z] = [0, 1, 2].map(() => Math.round(random.uniform(-3, 3) * 2) / 2);
+      setVectors3d([...vectors3d, { x, y, z, id: nextId }]);
+      return;
+    }
+    const angle = random.uniform(0, Math.PI * 2);
+    const len = random.uniform(80, 160);
+    setVectors2d([
+      ...vectors2d,
       {
         x: Math.cos(angle) * len,
         y: Math.sin(angle) * len,
         id: nextId
       }
     ]);
-    setNextId(nextId + 1);
   };
 
-  const handleClear = () => {
-    setVectors([]);
-    setNextId(1);
+  const handleCoordinateChange = (id, axis, value) => {
+    if (!Number.isFinite(value)) return;
+    setVectors3d(vectors3d.map(v => (v.id === id ? { ...v, [axis]: value } : v)));
   };
 
-  const handlePreset = (preset) => {
-    switch (preset) {
-      case 'independent':
-        setVectors([
-          { x: 150, y: -100, id: 1 },
-          { x: 100, y: 150, id: 2 }
-        ]);
-        setNextId(3);
-        break;
-      case 'dependent':
-        setVectors([
-          { x: 120, y: -80, id: 1 },
-          { x: 180, y: -120, id: 2 }
-        ]);
-        setNextId(3);
-        break;
-      case 'basis':
-        setVectors([
-          { x: 80, y: 0, id: 1 },
-          { x: 0, y: -80, id: 2 }
-        ]);
-        setNextId(3);
-        break;
-      default:
-        break;
-    }
+  const handlePointChange = (axis, value) => {
+    if (!Number.isFinite(value)) return;
+    setPoint({ ...point, [axis]: value });
+  };
+
+  const handleClear = () => {
+    setVectors([]);
   };
 
   const handleDeleteLast = () => {
@@ -281,10 +678,24 @@ export const VectorSpaces = ({ onClose }) => {
     }
   };
 
-  const independent = areIndependent();
-  const spanDim = getSpanDimension();
-  const formsBasis = vectors.length === 2 && independent;
-  const det = getDeterminant();
+  const nullity = vectors.length - span.rank;
+  const spaceName = is3d ? 'ℝ³' : 'ℝ²';
+  const spanName = ['the origin', 'a line', 'a plane', 'all of ℝ³'][span.rank];
+
+  const getExplanation = () => {
+    if (vectors.length === 0) return 'Add vectors to explore their relationships.';
+    if (span.rank === 0) return 'Only zero vectors - their span is just the origin.';
+    if (formsBasis) {
+      return `${dimension} independent vectors span all of ${spaceName}: every point has exactly one set of coordinates in this basis.`;
+    }
+    if (independent) {
+      return `${vectors.length === 1 ? 'One non-zero vector spans' : `${vectors.length} independent vectors span`} ${spanName} (${span.rank}D) through the origin.`;
+    }
+    if (vectors.length > dimension && span.rank === dimension) {
+      return `In ${spaceName}, any ${dimension + 1} or more vectors are dependent: ${nullity === 1 ? 'one of them' : `${nullity} of them`} can be rebuilt from the others.`;
+    }
+    return `These ${vectors.length} vectors only span ${span.rank === dimension ? `all of ${spaceName}` : spanName} (${span.rank}D) - ${nullity === 1 ? 'one of them is' : `${nullity} of them are`} redundant.`;
+  };
 
   return (
     <div className="p-6 md:p-8">
@@ -297,25 +708,70 @@ export const VectorSpaces = ({ onClose }) => {
                 ref={canvasRef}
                 width={600}
                 height={500}
-                className="w-full rounded-lg cursor-crosshair"
+                className={`w-full rounded-lg ${is3d ? 'cursor-move' : 'cursor-crosshair'}`}
                 onMouseDown={handleMouseDown}
                 onMouseMove={handleMouseMove}
                 onMouseUp={handleMouseUp}
                 onMouseLeave={handleMouseUp}
               />
+              <p className="mt-3 text-xs text-gray-500">
+                {is3d
+                  ? 'Drag to orbit the camera. Edit the coordinates on the right to move the vectors.'
+                  : 'Drag the arrow tips to move the vectors.'}
+              </p>
             </div>
           </div>
 
           {/* Controls */}
           <div className="space-y-3">
+            {/* Dimension */}
+            <div className="grid grid-cols-2 gap-2">
+              {[2, 3].map(d => (
+                <button
+                  key={d}
+                  onClick={() => setDimension(d)}
+                  className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                    dimension === d
+                      ? 'bg-cyan-500/20 border border-cyan-500/50 text-cyan-300'
+                      : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                  }`}
+                >
+                  {d === 2 ? 'ℝ² Plane' : 'ℝ³ Space'}
+                </button>
+              ))}
+            </div>
+
+            {/* Mode */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-400 mb-2">
+                Mode
+              </label>
+              <div className="grid grid-cols-2 gap-1.5">
+                {Object.entries(MODES).map(([key, { name }]) => (
+                  <button
+                    key={key}
+                    onClick={() => setMode(key)}
+                    className={`px-2 py-1.5 rounded-lg text-xs transition-colors ${
+                      mode === key
+                        ? 'bg-purple-500/20 border border-purple-500/50 text-purple-300'
+                        : 'bg-white/5 border border-white/10 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{MODES[mode].description}</p>
+            </div>
+
             {/* Action Buttons */}
             <div className="space-y-2">
               <button
                 onClick={handleAddVector}
-                disabled={vectors.length >= 4}
+                disabled={vectors.length >= MAX_VECTORS}
                 className="w-full px-4 py-3 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg font-semibold hover:shadow-lg hover:shadow-cyan-500/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed text-sm"
               >
-                Add Vector {vectors.length >= 4 && '(Max 4)'}
+                Add Vector {vectors.length >= MAX_VECTORS && `(Max ${MAX_VECTORS})`}
               </button>
 
               <div className="grid grid-cols-2 gap-2">
@@ -340,30 +796,46 @@ export const VectorSpaces = ({ onClose }) => {
               <label className="block text-xs font-semibold text-gray-400 mb-2">
                 Quick Presets
               </label>
-              <div className="grid grid-cols-3 gap-2">
-                <button
-                  onClick={() => handlePreset('independent')}
-                  className="px-2 py-2 bg-emerald-500/20 hover:bg-emerald-500/30 border border-emerald-500/30 rounded-lg text-xs font-semibold transition-all"
-                >
-                  Independent
-                </button>
-                <button
-                  onClick={() => handlePreset('dependent')}
-                  className="px-2 py-2 bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/30 rounded-lg text-xs font-semibold transition-all"
-                >
-                  Dependent
-                </button>
-                <button
-                  onClick={() => handlePreset('basis')}
-                  className="px-2 py-2 bg-purple-500/20 hover:bg-purple-500/30 border border-purple-500/30 rounded-lg text-xs font-semibold transition-all"
-                >
-                  Basis
-                </button>
+              <div className={`grid gap-2 ${is3d ? 'grid-cols-2' : 'grid-cols-3'}`}>
+                {PRESETS[dimension].map(preset => (
+                  <button
+                    key={preset.name}
+                    onClick={() => setVectors(preset.vectors)}
+                    className={`px-2 py-2 border rounded-lg text-xs font-semibold transition-all ${preset.className}`}
+                  >
+                    {preset.name}
+                  </button>
+                ))}
               </div>
             </div>
 
-            {/* Show Span Toggle */}
-            <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+            {/* 3D coordinates */}
+            {is3d && vectors3d.length > 0 && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-1.5">
+                <h3 className="text-xs font-semibold text-gray-400 mb-1">
+                  Coordinates
+                </h3>
+                {vectors3d.map((v, idx) => (
+                  <div key={v.id} className="flex items-center gap-1.5">
+                    <span className="w-6 text-xs font-semibold text-white">{vectorName(idx)}</span>
+                    {['x', 'y', 'z'].map(axis => (
+                      <input
+                        key={axis}
+                        type="number"
+                        step="0.5"
+                        value={v[axis]}
+                        onChange={(e) => handleCoordinateChange(v.id, axis, parseFloat(e.target.value))}
+                        className="w-full min-w-0 px-1.5 py-1 bg-white/5 border border-white/10 rounded text-xs font-mono text-white"
+                        aria-label={`${vectorName(idx)} ${axis}`}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Toggles */}
+            <div className="bg-white/5 rounded-xl border border-white/10 p-3 space-y-2">
               <label className="flex items-center gap-3 cursor-pointer">
                 <input
                   type="checkbox"
@@ -375,11 +847,171 @@ export const VectorSpaces = ({ onClose }) => {
                   Show Span
                 </span>
               </label>
-              <p className="text-xs text-gray-500 mt-1 ml-8">
+              <p className="text-xs text-gray-500 ml-8">
                 Visualize all reachable points
               </p>
+              <label className="flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showGrid}
+                  onChange={(e) => setShowGrid(e.target.checked)}
+                  className="w-5 h-5 rounded accent-purple-500"
+                />
+                <span className="text-sm font-semibold text-gray-300">
+                  {is3d ? 'Show Floor Grid' : 'Show Grid'}
+                </span>
+              </label>
+              {is3d && (
+                <button
+                  onClick={() => setView(DEFAULT_VIEW)}
+                  className="w-full px-3 py-1.5 bg-white/10 hover:bg-white/20 rounded-lg text-xs font-semibold transition-all border border-white/10"
+                >
+                  Reset Camera
+                </button>
+              )}
             </div>
 
+            {/* Gram–Schmidt */}
+            {mode === 'gram-schmidt' && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Gram–Schmidt
+                </h3>
+                <div className="flex items-center gap-2 mb-2">
+                  <button
+                    onClick={() => setGramSchmidtStep(Math.max(0, shownSteps - 1))}
+                    disabled={shownSteps === 0}
+                    className="px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-xs font-semibold border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    ← Prev
+                  </button>
+                  <span className="flex-1 text-center text-xs font-mono text-gray-300">
+                    Step {shownSteps} / {vectors.length}
+                  </span>
+                  <button
+                    onClick={() => setGramSchmidtStep(shownSteps + 1)}
+                    disabled={shownSteps >= vectors.length}
+                    className="px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-xs font-semibold border border-white/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next →
+                  </button>
+                </div>
+                <div className="space-y-1.5 text-xs font-mono">
+                  {orthonormal.steps.slice(0, shownSteps).map((step, i) => (
+                    <div key={i} className={i === shownSteps - 1 ? 'text-white' : 'text-gray-400'}>
+                      <div>
+                        u{SUBSCRIPTS[i + 1]} = {vectorName(i)}
+                        {step.components.map((c, j) => ` ${c < 0 ? '+' : '−'} ${formatNumber(Math.abs(c))}q${SUBSCRIPTS[j + 1]}`).join('')}
+                        {', '}‖u{SUBSCRIPTS[i + 1]}‖ = {formatNumber(Math.sqrt(dot(step.remainder, step.remainder)))}
+                      </div>
+                      <div className={step.q ? 'text-emerald-300' : 'text-orange-300'}>
+                        {step.q
+                          ? `q${SUBSCRIPTS[unitIndex[i]]} = (${step.q.map(formatNumber).join(', ')})`
+                          : `${vectorName(i)} is in the span of the earlier vectors - dropped`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Subtract from each vector its components ⟨v, qⱼ⟩ along the unit vectors found so far (amber), then
+                  normalize what is left (pink). The q&apos;s are orthonormal and span the same space as the v&apos;s.
+                </p>
+              </div>
+            )}
+
+            {/* Projection */}
+            {mode === 'projection' && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Orthogonal Projection
+                </h3>
+                <div className="flex items-center gap-1.5 mb-2">
+                  <span className="w-6 text-xs font-semibold text-white">p</span>
+                  {(is3d ? ['x', 'y', 'z'] : ['x', 'y']).map(axis => (
+                    <input
+                      key={axis}
+                      type="number"
+                      step="0.5"
+                      value={point[axis]}
+                      onChange={(e) => handlePointChange(axis, parseFloat(e.target.value))}
+                      className="w-full min-w-0 px-1.5 py-1 bg-white/5 border border-white/10 rounded text-xs font-mono text-white"
+                      aria-label={`p ${axis}`}
+                    />
+                  ))}
+                </div>
+                <div className="space-y-1 text-xs font-mono">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">p̂ (closest point):</span>
+                    <span className="text-amber-300">({projected.projection.map(formatNumber).join(', ')})</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">r = p − p̂:</span>
+                    <span className="text-red-300">({projected.residual.map(formatNumber).join(', ')})</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Distance ‖r‖:</span>
+                    <span className="text-white">{formatNumber(projected.distance)}</span>
+                  </div>
+                  {coordinates.map((v, i) => (
+                    <div key={i} className="flex justify-between">
+                      <span className="text-gray-400">r · {vectorName(i)}:</span>
+                      <span className="text-gray-300">{formatNumber(dot(projected.residual, v))}</span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  {span.rank === dimension
+                    ? `The span is all of ${spaceName}, so p is its own projection. Delete a vector or make them dependent to see a residual.`
+                    : 'p̂ = Σ⟨p, qⱼ⟩qⱼ over an orthonormal basis of the span. The residual is perpendicular to every vector, which is why p̂ is the closest point.'}
+                </p>
+              </div>
+            )}
+
+            {/* Change of basis */}
+            {mode === 'change-of-basis' && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Change of Basis
+                </h3>
+                <div className="flex items-center gap-1.5 mb-2">
+                  <span className="w-6 text-xs font-semibold text-white">p</span>
+                  {(is3d ? ['x', 'y', 'z'] : ['x', 'y']).map(axis => (
+                    <input
+                      key={axis}
+                      type="number"
+                      step="0.5"
+                      value={point[axis]}
+                      onChange={(e) => handlePointChange(axis, parseFloat(e.target.value))}
+                      className="w-full min-w-0 px-1.5 py-1 bg-white/5 border border-white/10 rounded text-xs font-mono text-white"
+                      aria-label={`p ${axis}`}
+                    />
+                  ))}
+                </div>
+                <div className="space-y-1 text-xs font-mono">
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Standard:</span>
+                    <span className="text-white">({pointCoordinates.map(formatNumber).join(', ')})</span>
+                  </div>
+                  {basisCoordinates && (
+                    <>
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">In your basis [p]:</span>
+                        <span className="text-cyan-300">({basisCoordinates.map(formatNumber).join(', ')})</span>
+                      </div>
+                      <div className="text-gray-300 pt-1">
+                        p = {basisCoordinates.map((c, i) => `${formatNumber(c)}${vectorName(i)}`).join(' + ').replace(/\+ −/g, '− ')}
+                      </div>
+                    </>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  {basisCoordinates
+                    ? 'The coordinates solve Bc = p, where B has your vectors as columns: c = B⁻¹p. The same point, different rulers.'
+                    : `Coordinates need a basis of ${spaceName}: exactly ${dimension} independent vectors (you have ${vectors.length}, rank ${span.rank}).`}
+                </p>
+              </div>
+            )}
+
             {/* Status */}
             <div className="bg-white/5 rounded-xl border border-white/10 p-3">
               <h3 className="text-xs font-semibold text-gray-400 mb-2">
@@ -390,6 +1022,10 @@ export const VectorSpaces = ({ onClose }) => {
                   <span className="text-gray-400">Vectors:</span>
                   <span className="font-mono text-white">{vectors.length}</span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Rank:</span>
+                  <span className="font-mono text-cyan-400">{span.rank}</span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-gray-400">Independence:</span>
                   <span className={`font-semibold ${independent ? 'text-emerald-400' : 'text-orange-400'}`}>
@@ -397,16 +1033,18 @@ export const VectorSpaces = ({ onClose }) => {
                   </span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-400">Span Dimension:</span>
-                  <span className="font-mono text-cyan-400">{spanDim}D</span>
+                  <span className="text-gray-400">Span:</span>
+                  <span className="font-mono text-cyan-400">
+                    {span.rank}D ({span.rank === dimension ? `all of ${spaceName}` : spanName})
+                  </span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-400">Forms Basis:</span>
+                  <span className="text-gray-400">Forms Basis of {spaceName}:</span>
                   <span className={`font-semibold ${formsBasis ? 'text-emerald-400' : 'text-gray-500'}`}>
                     {formsBasis ? 'Yes' : 'No'}
                   </span>
                 </div>
-                {vectors.length === 2 && (
+                {det !== null && (
                   <div className="flex justify-between">
                     <span className="text-gray-400">Determinant:</span>
                     <span className="font-mono text-purple-400">{det.toFixed(2)}</span>
@@ -415,10 +1053,44 @@ export const VectorSpaces = ({ onClose }) => {
               </div>
             </div>
 
+            {/* Basis and relations */}
+            {mode === 'span' && vectors.length > 0 && (
+              <div className="bg-white/5 rounded-xl border border-white/10 p-3">
+                <h3 className="text-xs font-semibold text-gray-400 mb-2">
+                  Basis & Null Space
+                </h3>
+                <div className="text-xs space-y-2">
+                  <div>
+                    <span className="text-gray-400">Basis of the span: </span>
+                    <span className="font-mono text-emerald-300">
+                      {span.rank === 0 ? '∅' : `{${span.basis.map(vectorName).join(', ')}}`}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400">
+                      Null space: dimension {nullity} = {vectors.length} vectors − rank {span.rank}
+                    </span>
+                    {span.relations.map((relation, k) => (
+                      <div key={k} className="mt-1 font-mono text-orange-300">
+                        {formatRelation(relation, span.basis)}
+                        <span className="text-gray-500">
+                          {' '}· c = ({relation.map(formatNumber).join(', ')})
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-gray-500">
+                    Row reducing the matrix with the vectors as columns marks the pivot columns as a basis.
+                    Each free column gives coefficients c with Σcᵢvᵢ = 0.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Explanation */}
             <div className={`rounded-xl border p-3 ${
-              independent 
-                ? 'bg-emerald-500/10 border-emerald-500/30' 
+              independent
+                ? 'bg-emerald-500/10 border-emerald-500/30'
                 : 'bg-orange-500/10 border-orange-500/30'
             }`}>
               <div className="flex items-center gap-2 mb-1.5">
@@ -430,11 +1102,7 @@ export const VectorSpaces = ({ onClose }) => {
                 </h3>
               </div>
               <p className="text-xs text-gray-300 leading-relaxed">
-                {vectors.length === 0 && 'Add vectors to explore their relationships.'}
-                {vectors.length === 1 && independent && 'One non-zero vector spans a line (1D).'}
-                {vectors.length === 2 && independent && 'Two independent vectors span the entire plane (2D)!'}
-                {vectors.length === 2 && !independent && 'These vectors are parallel - they only span a line (1D).'}
-                {vectors.length >= 3 && spanDim === 2 && 'In 2D space, any 3+ vectors are dependent.'}
+                {getExplanation()}
               </p>
             </div>
 
@@ -446,7 +1114,11 @@ export const VectorSpaces = ({ onClose }) => {
               <div className="space-y-1.5 text-xs">
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-1 bg-cyan-500 rounded"></div>
-                  <span className="text-gray-400">v1, v2, v3, v4</span>
+                  <span className="text-gray-400">Basis vectors (solid)</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-4 h-0 border-t-2 border-dashed border-cyan-500"></div>
+                  <span className="text-gray-400">Redundant vectors (dashed)</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 bg-purple-500/30 rounded"></div>
@@ -456,6 +1128,40 @@ export const VectorSpaces = ({ onClose }) => {
                   <div className="w-4 h-1 bg-gray-500/30 rounded"></div>
                   <span className="text-gray-400">Coordinate axes</span>
                 </div>
+                {mode === 'gram-schmidt' && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <div className="w-4 h-1 bg-emerald-400 rounded"></div>
+                      <span className="text-gray-400">Orthonormal vectors q (white: newest)</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-4 h-0 border-t-2 border-dashed border-amber-400"></div>
+                      <span className="text-gray-400">Part along earlier q&apos;s</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-4 h-1 bg-pink-400 rounded"></div>
+                      <span className="text-gray-400">Remainder u, normalized to q</span>
+                    </div>
+                  </>
+                )}
+                {mode === 'projection' && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <div className="w-4 h-1 bg-amber-400 rounded"></div>
+                      <span className="text-gray-400">Projection p̂</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-4 h-0 border-t-2 border-dashed border-red-400"></div>
+                      <span className="text-gray-400">Residual p − p̂</span>
+                    </div>
+                  </>
+                )}
+                {mode === 'change-of-basis' && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-0 border-t-2 border-dashed border-gray-400"></div>
+                    <span className="text-gray-400">Standard path (colored: c₁v₁ + c₂v₂ + …)</span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -3,10 +3,13 @@ export * from "./MatrixTransform";
 export * from "./SVD";
 export * from "./ToolWorkSpace";
 export * from "./VectorSpaces";
+export * from "./GaussianElimination";
+export * from "./EigenDecomposition";
 export * from "./ToolWorkSpace";
 export * from "./Home";
 export * from "./LagrangeMultipliers";
 export * from "./ConvexOptimization";
+export * from "./LinearProgramming";
 export * from "./ProbabilityDistributions";
 export * from "./BayesianInference";
 export * from "./MonteCarlo";
@@ -17,4 +20,8 @@ export * from "./ActivationFunctions";
 export * from "./NeuralNetworkPlayground";
 export * from "./Backpropagation";
 export * from "./ConvolutionOperation";
-export * from "./AttentionMechanism"
\ No newline at end of file
+export * from "./AttentionMechanism"
+export * from "./ConceptPage";
+export * from "./LearningPath";
+export * from "./ProgressPanel";
+export * from "./ConceptGraph";
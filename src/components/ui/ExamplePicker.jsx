@@ -0,0 +1,46 @@
+/**
+ * EXAMPLE PICKER COMPONENT
+ *
+ * Row of buttons for a concept's curated examples. Choosing one loads its
+ * `config` preset into the visualization.
+ */
+
+import React from 'react';
+
+/**
+ * ExamplePicker Component
+ *
+ * @param {Object} props
+ * @param {Object[]} props.examples - Examples with a `config` preset
+ * @param {number|null} props.activeIndex - Index of the last applied example
+ * @param {Function} props.onSelect - Called with (example, index)
+ */
+export const ExamplePicker = ({ examples, activeIndex = null, onSelect }) => {
+  if (!examples || examples.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <span className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+        Examples
+      </span>
+      {examples.map((example, idx) => (
+        <button
+          key={example.name}
+          onClick={() => onSelect(example, idx)}
+          title={example.description}
+          className={`
+            text-xs px-3 py-1.5 rounded-lg border transition-colors
+            ${activeIndex === idx
+              ? 'bg-cyan-500/20 border-cyan-500/50 text-cyan-300'
+              : 'bg-white/5 border-white/10 text-gray-300 hover:bg-white/10'
+            }
+          `}
+        >
+          {example.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExamplePicker;
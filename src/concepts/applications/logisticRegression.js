@@ -56,6 +56,54 @@ export default {
   
   visualization: LogisticRegression,
 
+  tool: {
+    icon: '📈',
+    title: 'Logistic Regression',
+    description: 'Binary classification boundaries',
+    color: 'from-indigo-500 to-blue-500',
+    highlights: ['Sigmoid', 'Decision Boundary', 'Log-Odds', 'Classification']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Logistic Regression?',
+        content: 'Logistic regression is for binary classification - predicting yes/no, spam/not spam, cat/dog. It uses the sigmoid function to output probabilities (0 to 1), then draws a decision boundary to separate classes.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Logistic regression is THE foundation of classification in ML. Used in: spam detection, medical diagnosis, credit scoring, click prediction, fraud detection, and as building blocks in neural networks. It\'s interpretable and fast.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Unlike linear regression (predicts numbers), logistic regression predicts categories. The sigmoid function σ(z) = 1/(1+e⁻ᶻ) squashes any input into 0-1 range. Output > 0.5? Predict class 1. Otherwise? Class 0. The decision boundary is where probability = 0.5.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Binary Classification: Two classes (0 vs 1, blue vs red)',
+          'Sigmoid Function: Maps z → probability ∈ [0,1]',
+          'Decision Boundary: Line where P(y=1) = 0.5',
+          'Log Loss: Penalizes confident wrong predictions heavily',
+          'Accuracy: % of correct predictions',
+          'Green outline = correct, Orange outline = misclassified'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Load "Separable" - perfect 100% accuracy, clear boundary',
+          'Load "Overlap" - classes mix, see some orange outlines',
+          'Load "XOR" - logistic regression FAILS! (needs non-linear)',
+          'Toggle "Show Probabilities" - see heatmap (blue→red gradient)',
+          'Click to add points (toggle class with buttons)',
+          'Drag points across boundary - watch accuracy change!',
+          'Animate Training - see boundary learn from scratch'
+        ]
+      }
+    ]
+  },
+
   // ==========================================================================
   // CONTENT
   // ==========================================================================
@@ -15,6 +15,420 @@ import { ActivationFunctions } from '../components/ActivationFunctions.jsx';
 import { NeuralNetworkPlayground } from '../components/NeuralNetworkPlayground.jsx';
 import { ConvolutionOperation } from '../components/ConvolutionOperation.jsx';
 import { AttentionMechanism } from '../components/AttentionMechanism.jsx';
+import { MatrixTransform } from '../components/MatrixTransform.jsx';
+import { GaussianElimination } from '../components/GaussianElimination.jsx';
+import { EigenDecomposition } from '../components/EigenDecomposition.jsx';
+import { LagrangeMultipliers } from '../components/LagrangeMultipliers.jsx';
+import { LinearProgramming, QuadraticProgramming } from '../components/LinearProgramming.jsx';
+import { ProbabilityDistributions } from '../components/ProbabilityDistributions.jsx';
+import { HypothesisTesting } from '../components/HypothesisTesting.jsx';
+
+// ==========================================================================
+// LINEAR TRANSFORMATION
+// ==========================================================================
+
+export const linearTransformation = {
+  id: 'linear-transformation',
+  name: 'Linear Transformations',
+  layer: LAYERS.STRUCTURES,
+  domain: DOMAINS.LINEAR_ALGEBRA,
+  secondaryDomains: [DOMAINS.GEOMETRY],
+  
+  prerequisites: ['vector-space', 'matrices'],
+  enables: ['svd', 'eigenvalues', 'linear-regression', 'logistic-regression', 'convolution-operation', 'gaussian-elimination'],
+  relatedConcepts: ['determinant', 'basis', 'vector-space'],
+  
+  visualization: MatrixTransform,
+
+  tool: {
+    icon: '📐',
+    title: 'Matrix Transformations',
+    description: 'See how matrices transform space',
+    color: 'from-cyan-500 to-blue-500',
+    highlights: ['Rotation', 'Scaling', 'Shear', 'Eigenvectors']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Matrix Transformations?',
+        content: 'Matrices are like machines that transform space. When you multiply a vector by a matrix, you\'re applying a transformation - rotating, scaling, shearing, or reflecting the vector.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Matrix transformations are everywhere: computer graphics (rotating 3D models), machine learning (neural networks), physics (changing coordinate systems), and more.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Think of a matrix as a recipe for transforming space. Each column tells you where the basis vectors (x and y axes) end up. Everything else follows from there.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Rotation: Spins space without changing size',
+          'Scaling: Stretches or shrinks along axes',
+          'Shear: Slants space like a deck of cards',
+          'Determinant: How much area changes (2x means areas double)'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Set rotation to 90° - see everything spin',
+          'Set scale to 2 - watch the F grow',
+          'Try negative scale - see reflection (mirror flip)',
+          'Combine both - rotation + scaling together'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    A linear transformation maps vectors to vectors while preserving addition
+    and scalar multiplication: T(au + bv) = aT(u) + bT(v). Every linear map
+    between finite-dimensional spaces can be written as a matrix product Ax.
+  `,
+  
+  intuition: `
+    Grid lines stay parallel and evenly spaced, and the origin stays put.
+    The columns of the matrix tell you where the basis vectors land - once you
+    know that, you know where every other point goes.
+  `,
+  
+  properties: [
+    'Columns of A are the images of the basis vectors',
+    'Composition of transformations = matrix multiplication',
+    'Determinant measures how area (or volume) scales',
+    'det(A) < 0 means orientation is flipped (reflection)',
+    'det(A) = 0 means space collapses to a lower dimension'
+  ],
+
+  examples: [
+    {
+      name: 'Shear',
+      description: 'Only one eigenvector direction survives',
+      config: {
+        dimension: '2d',
+        matrix: [[1, 1], [0, 1]]
+      }
+    },
+    {
+      name: 'Symmetric Stretch',
+      description: 'Perpendicular eigenvectors with eigenvalues 3 and 1',
+      config: {
+        dimension: '2d',
+        matrix: [[2, 1], [1, 2]]
+      }
+    },
+    {
+      name: 'Order Matters',
+      description: 'Rotate then stretch is not stretch then rotate - try Reverse Order',
+      config: {
+        dimension: '2d',
+        stack: [[[0, -1], [1, 0]], [[2, 0], [0, 1]]]
+      }
+    },
+    {
+      name: 'Rotation About z',
+      description: 'A 3D rotation: the z-axis is the eigenvector with eigenvalue 1',
+      config: {
+        dimension: '3d',
+        matrix3d: [[0.866, -0.5, 0], [0.5, 0.866, 0], [0, 0, 1]]
+      }
+    }
+  ],
+  
+  mlRelevance: `
+    Every dense layer in a neural network is a linear transformation followed
+    by a non-linearity. Data augmentation (rotations, scaling), embeddings and
+    attention projections (W_Q, W_K, W_V) are all matrices acting on vectors.
+  `,
+  
+  metadata: {
+    difficulty: 1,
+    estimatedTime: '10 mins',
+    isAdvanced: false,
+    tags: ['matrices', 'rotation', 'scaling', 'determinant', 'geometry']
+  }
+};
+
+// ==========================================================================
+// GAUSSIAN ELIMINATION
+// ==========================================================================
+
+export const gaussianElimination = {
+  id: 'gaussian-elimination',
+  name: 'Gaussian Elimination',
+  layer: LAYERS.COMPUTATION,
+  domain: DOMAINS.LINEAR_ALGEBRA,
+  
+  prerequisites: ['matrices', 'linear-transformation'],
+  enables: ['least-squares'],
+  relatedConcepts: ['vector-space', 'svd', 'linear-regression'],
+  
+  visualization: GaussianElimination,
+
+  tool: {
+    icon: '🧮',
+    title: 'Gaussian Elimination',
+    description: 'Solve linear systems step by step',
+    color: 'from-indigo-500 to-purple-500',
+    highlights: ['Row Operations', 'RREF', 'LU Factorization', 'Inverse']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Gaussian Elimination?',
+        content: 'A recipe for solving linear systems: write the equations as an augmented matrix [A | b], then swap rows, scale rows and subtract multiples of one row from another until each pivot is 1 with zeros above and below it. The answer can then be read straight off the matrix.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Almost every numerical method that "solves for x" - least squares, Newton steps, matrix inverses, determinants - is elimination underneath, usually packaged as an LU factorization.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Pivot: the leading entry used to clear its column (highlighted in amber)',
+          'Partial pivoting: swap in the largest entry of the column to keep round-off small',
+          'Rank: the number of pivots; columns without one belong to free variables',
+          'Inconsistent system: a row reading 0 = c with c ≠ 0',
+          'LU factorization: PA = LU records forward elimination for reuse with new right-hand sides',
+          'Determinant: the product of the pivots of U, negated once per row swap'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Step through Unique Solution and watch each operation clear one entry',
+          'Load Infinitely Many and find the free variable in the reduced form',
+          'Change one entry of b in No Solution to make the system consistent',
+          'Compare the pivots in U with the determinant for Invertible 3×3',
+          'Uncheck the augmented box to get the inverse and null space of the whole matrix'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    Gaussian elimination solves a linear system Ax = b by applying elementary
+    row operations - swapping rows, scaling a row, adding a multiple of one row
+    to another - to the augmented matrix [A | b] until it reaches (reduced) row
+    echelon form, from which the solutions can be read off directly.
+  `,
+  
+  intuition: `
+    Each row operation replaces the equations with an equivalent set that has
+    exactly the same solutions, just written more simply. Clear out one
+    variable at a time below (and above) a pivot and the system untangles into
+    "x₁ = ..., x₂ = ...", or shows that it has many solutions or none.
+  `,
+  
+  properties: [
+    'Row operations never change the solution set (or the null space of A)',
+    'Rank = number of pivots; unknowns without a pivot are free variables',
+    'A row 0 = c with c ≠ 0 in the reduced form means the system is inconsistent',
+    'Forward elimination with partial pivoting factors PA = LU',
+    'det(A) = ±(product of the pivots), with the sign flipped once per row swap',
+    'Row reducing [A | I] to [I | A⁻¹] computes the inverse'
+  ],
+
+  examples: [
+    {
+      name: 'Three Equations, One Solution',
+      description: 'Three pivots, so x, y and z are pinned down: (2, 3, −1)',
+      config: {
+        augmented: true,
+        matrix: [[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]]
+      }
+    },
+    {
+      name: 'A Line of Solutions',
+      description: 'The third equation is the sum of the first two, leaving one free variable',
+      config: {
+        augmented: true,
+        matrix: [[1, 2, -1, 3], [2, 4, 1, 9], [3, 6, 0, 12]]
+      }
+    },
+    {
+      name: 'Inconsistent System',
+      description: 'Elimination ends in the row 0 = 1: the equations contradict each other',
+      config: {
+        augmented: true,
+        matrix: [[1, 1, 2, 4], [2, -1, 1, 2], [3, 0, 3, 5]]
+      }
+    },
+    {
+      name: 'Singular Matrix',
+      description: 'Rank 2, determinant 0, no inverse and a one-dimensional null space',
+      config: {
+        augmented: false,
+        matrix: [[1, 2, 3], [4, 5, 6], [7, 8, 9]]
+      }
+    },
+    {
+      name: 'Underdetermined System',
+      description: 'Two equations in four unknowns always leave free variables',
+      config: {
+        augmented: true,
+        matrix: [[1, 2, 0, -1, 4], [2, 4, 1, 1, 3]]
+      }
+    }
+  ],
+  
+  mlRelevance: `
+    Solving linear systems sits underneath least-squares regression (the
+    normal equations XᵀXw = Xᵀy), Newton steps in optimization and Gaussian
+    process inference. Libraries do it through LU or Cholesky factorizations -
+    Gaussian elimination organized for reuse - and rank tells you when
+    features are redundant and the solution is not unique.
+  `,
+  
+  metadata: {
+    difficulty: 1,
+    estimatedTime: '15 mins',
+    isAdvanced: false,
+    tags: ['linear systems', 'row reduction', 'rref', 'lu', 'inverse', 'rank']
+  }
+};
+
+// ==========================================================================
+// EIGENVALUES & EIGENVECTORS
+// ==========================================================================
+
+export const eigenvalues = {
+  id: 'eigenvalues',
+  name: 'Eigenvalues & Eigenvectors',
+  layer: LAYERS.STRUCTURES,
+  domain: DOMAINS.LINEAR_ALGEBRA,
+  
+  prerequisites: ['matrices', 'linear-transformation'],
+  enables: ['svd'],
+  relatedConcepts: ['gaussian-elimination', 'vector-space'],
+  
+  visualization: EigenDecomposition,
+
+  tool: {
+    icon: '🧭',
+    title: 'Eigen-Decomposition',
+    description: 'QR algorithm and power iteration',
+    color: 'from-violet-500 to-fuchsia-500',
+    highlights: ['Complex Eigenvalues', 'QR Algorithm', 'Power Iteration', 'Convergence Rate']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Eigenvectors?',
+        content: 'Directions a matrix only stretches: Av = λv. Everything else gets turned. A real matrix can also have complex eigenvalues a ± bi, which means it rotates some plane instead of fixing a direction in it.'
+      },
+      {
+        heading: 'How They Are Computed',
+        content: 'Nobody solves det(A − λI) = 0 for big matrices. The QR algorithm factors A = QR and multiplies back as RQ, over and over; the result stays similar to A while the entries below the diagonal die out and leave the eigenvalues on it. Power iteration just keeps applying A and normalizing, which finds the eigenvector of the largest |λ|.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Dominant eigenvalue: the one of largest modulus, which power iteration finds',
+          'Convergence rate: the error shrinks by |λ₂/λ₁| each step',
+          'Complex pair: A rotates a plane, so power iteration never settles there',
+          'Defective matrix: a repeated eigenvalue with too few eigenvectors',
+          'Similar matrices (B = Q⁻¹AQ) share their eigenvalues'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Play power iteration on Symmetric and watch x snap onto an eigenvector',
+          'Compare Close Eigenvalues: the same picture, but many more steps',
+          'Load Rotate & Scale: the circle images keep turning and x never converges',
+          'Drag the QR slider from A₀ and watch the amber entries below the diagonal fade',
+          'On the 4×4 General preset, spot the 2×2 block that holds the complex pair'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    An eigenvector of a square matrix A is a non-zero vector v that A only
+    scales: Av = λv. The factor λ is its eigenvalue. Eigenvalues are the roots
+    of det(A - λI) = 0, so a real matrix can have complex eigenvalues, which
+    come in conjugate pairs.
+  `,
+  
+  intuition: `
+    Most vectors get knocked off their line by A; eigenvectors stay on theirs.
+    Apply A again and again and the direction with the biggest |λ| takes
+    over - that is power iteration. A complex pair means A rotates a plane, so
+    no direction in it survives.
+  `,
+  
+  properties: [
+    'Sum of the eigenvalues = trace, product = determinant',
+    'Symmetric matrices have real eigenvalues and orthogonal eigenvectors',
+    'Complex eigenvalues of a real matrix come in conjugate pairs a ± bi',
+    'A repeated eigenvalue can have fewer eigenvectors than its multiplicity (defective)',
+    'Power iteration converges at rate |λ₂/λ₁| to the dominant eigenvector',
+    'The QR algorithm Aₖ = QₖRₖ, Aₖ₊₁ = RₖQₖ keeps every Aₖ similar to A'
+  ],
+
+  examples: [
+    {
+      name: 'Symmetric Matrix',
+      description: 'Perpendicular eigenvectors; the unit circle flattens onto the dominant one',
+      config: {
+        matrix: [[2, 1], [1, 3]],
+        start: [1, 0]
+      }
+    },
+    {
+      name: 'Slow Convergence',
+      description: 'Eigenvalues 2 and 1.8 are close, so the error only shrinks by 0.9 per step',
+      config: {
+        matrix: [[2, 0.5], [0, 1.8]],
+        start: [0, 1]
+      }
+    },
+    {
+      name: 'Complex Pair',
+      description: 'λ = 1 ± i: every step rotates by 45°, so power iteration never settles',
+      config: {
+        matrix: [[1, -1], [1, 1]],
+        start: [1, 0]
+      }
+    },
+    {
+      name: 'Defective Shear',
+      description: 'λ = 1 twice but only one eigenvector - convergence is only like 1/k',
+      config: {
+        matrix: [[1, 1], [0, 1]],
+        start: [0, 1]
+      }
+    },
+    {
+      name: 'Complex Pair in 4D',
+      description: 'A general 4×4 matrix: watch the QR iterates leave a 2×2 block behind',
+      config: {
+        matrix: [[1, 2, 0, 1], [-2, 1, 1, 0], [0, 1, 3, 1], [1, 0, -1, 2]],
+        start: [1, 0, 0, 0]
+      }
+    }
+  ],
+  
+  mlRelevance: `
+    PCA takes the eigenvectors of the covariance matrix, spectral clustering
+    those of a graph Laplacian, and PageRank is power iteration on the link
+    matrix. The eigenvalues of a Hessian tell an optimizer about curvature,
+    and those of a recurrent weight matrix whether gradients explode or vanish.
+  `,
+  
+  metadata: {
+    difficulty: 2,
+    estimatedTime: '15 mins',
+    isAdvanced: false,
+    tags: ['eigenvectors', 'eigenvalues', 'power iteration', 'qr algorithm', 'complex numbers']
+  }
+};
 
 // ==========================================================================
 // CONVEX OPTIMIZATION
@@ -31,6 +445,49 @@ export const convexOptimization = {
   relatedConcepts: ['gradient-descent', 'global-minimum', 'lagrange-multipliers'],
   
   visualization: ConvexOptimization,
+
+  tool: {
+    icon: '📉',
+    title: 'Convex Optimization',
+    description: 'Global vs local optima',
+    color: 'from-purple-500 to-pink-500',
+    highlights: ['Convexity', 'Global Minimum', 'Feasible Region']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Convex Optimization?',
+        content: 'A convex function has a bowl shape - any local minimum is the global minimum. Non-convex functions have multiple valleys where gradient descent can get stuck.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Convex problems are "easy" - gradient descent always works! Most ML loss functions are designed to be convex (or nearly so). Non-convex problems (like neural networks) need special techniques.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine a ball rolling downhill. On a convex surface (bowl), it always reaches the lowest point. On a non-convex surface (mountains and valleys), it might get stuck in a local valley that\'s not the deepest one.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Convex: Single bowl - any local min = global min',
+          'Non-Convex: Multiple valleys - local minima exist',
+          'Saddle Point: Neither min nor max - flat in some directions',
+          'Global vs Local: Best overall vs best nearby'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Start with Convex - always finds global minimum',
+          'Switch to Non-Convex - gets stuck in local minima',
+          'Drag start point - different starting points → different results',
+          'Try Saddle - gradient descent gets confused!'
+        ]
+      }
+    ]
+  },
   
   definition: `
     Convex Optimization deals with minimizing convex functions over convex sets.
@@ -49,7 +506,38 @@ export const convexOptimization = {
     'Gradient descent converges to optimal solution',
     'Many ML problems are convex (linear regression, SVM, logistic with convex loss)',
     'Efficient algorithms exist (interior point, gradient methods)',
-    'Duality theory provides bounds and insights'
+    'Duality theory provides bounds and insights',
+    'Newton\'s method converges quadratically near a minimum, quasi-Newton methods superlinearly'
+  ],
+
+  examples: [
+    {
+      name: 'Newton vs Gradient Descent',
+      description: 'On a quadratic bowl Newton lands on the minimum in one step',
+      config: {
+        functionType: 'convex',
+        method: 'newton',
+        startPoint: { x: 2, y: 1 }
+      }
+    },
+    {
+      name: 'Newton Finds the Saddle',
+      description: 'Pure Newton jumps to the saddle point - damped Newton and BFGS head downhill instead',
+      config: {
+        functionType: 'saddle',
+        method: 'newton',
+        startPoint: { x: 2, y: 1 }
+      }
+    },
+    {
+      name: 'Quasi-Newton on a Bumpy Surface',
+      description: 'BFGS learns the curvature from gradients alone; compare the local models it builds',
+      config: {
+        functionType: 'nonconvex',
+        method: 'bfgs',
+        startPoint: { x: 2, y: 1 }
+      }
+    }
   ],
   
   mlRelevance: `
@@ -66,6 +554,522 @@ export const convexOptimization = {
   }
 };
 
+// ==========================================================================
+// LINEAR & QUADRATIC PROGRAMMING
+// ==========================================================================
+
+export const linearProgramming = {
+  id: 'linear-programming',
+  name: 'Linear Programming',
+  layer: LAYERS.COMPUTATION,
+  domain: DOMAINS.OPTIMIZATION,
+
+  prerequisites: ['convex-optimization', 'convex-sets', 'constraints'],
+  enables: ['quadratic-programming'],
+  relatedConcepts: ['lagrange-multipliers'],
+
+  visualization: LinearProgramming,
+
+  tool: {
+    icon: '🔷',
+    title: 'Linear Programming',
+    description: 'Simplex and interior point',
+    color: 'from-cyan-500 to-blue-500',
+    highlights: ['Feasible Polygon', 'Simplex Pivots', 'Central Path']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Linear Programming?',
+        content: 'Minimizing a linear cost c·x subject to linear inequalities a·x ≤ b. Each inequality keeps one side of a line, and together they cut out a convex polygon: the feasible region.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'LPs schedule airlines, route shipments, blend ingredients and allocate budgets. In ML they show up in L1 regression, optimal transport and as relaxations of discrete problems.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'The cost levels are parallel lines. Slide them downhill until they are about to leave the polygon - the last contact is a corner. The simplex method exploits this by hopping between corners; interior-point methods cut through the middle instead.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Vertex: A corner where two constraints are active',
+          'Pivot: Leave one active constraint and slide along an edge to the next',
+          'Multipliers μ: Negative μ means dropping that constraint lowers the cost',
+          'Central path: Centers of the log barrier as its weight shrinks',
+          'Infeasible / unbounded: No feasible point, or the cost falls forever'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Drag across the plot to add a constraint - its feasible side is on your left',
+          'Press Play to watch the simplex pivots vertex by vertex',
+          'Switch to Interior Point and compare the path through the inside',
+          'Flip a constraint to make the problem infeasible, or delete one to make it unbounded'
+        ]
+      }
+    ]
+  },
+
+  definition: `
+    A linear program minimizes a linear cost c·x subject to linear inequality
+    constraints Ax ≤ b. The feasible set is a convex polygon (a polyhedron in
+    higher dimensions), and if a minimum exists one is attained at a vertex.
+  `,
+
+  intuition: `
+    The cost levels are parallel lines sweeping across the polygon. Push the
+    line as far downhill as it goes while still touching the region: the last
+    point it touches is a corner, or a whole edge when the line is parallel to it.
+  `,
+
+  properties: [
+    'If an optimum exists, some vertex of the feasible region attains it',
+    'The simplex method walks vertex to vertex along improving edges',
+    'At an optimal vertex the cost is a non-negative combination of the active constraint normals: c + Σμᵢaᵢ = 0 with μ ≥ 0',
+    'Bland\'s rule prevents cycling at degenerate vertices',
+    'Interior-point methods follow the central path through the inside of the region',
+    'A problem can be infeasible (empty region) or unbounded (cost falls forever)'
+  ],
+
+  examples: [
+    {
+      name: 'Textbook LP',
+      description: 'Two pivots from the origin to the optimal vertex (3, 1)',
+      config: {
+        cost: [-3, -2],
+        method: 'simplex',
+        start: { x: 0, y: 0 }
+      }
+    },
+    {
+      name: 'Degenerate Vertex',
+      description: 'Three constraints meet at (3, 1), so one pivot swaps the basis without moving - Bland\'s rule keeps it from cycling',
+      config: {
+        cost: [-2, -3],
+        constraints: [[-1, 0, 0], [0, -1, 0], [1, 1, 4], [1, 2, 6], [1, 0, 3], [1, 3, 6]],
+        method: 'simplex',
+        start: { x: 3, y: 0 }
+      }
+    },
+    {
+      name: 'Unbounded',
+      description: 'The region opens up in a direction the cost keeps falling along',
+      config: {
+        cost: [-1, -1],
+        constraints: [[-1, 0, 0], [0, -1, 0], [-1, 1, 2], [1, -2, 2]],
+        method: 'simplex'
+      }
+    },
+    {
+      name: 'Infeasible',
+      description: 'x + y ≤ 1 and x + y ≥ 3 cannot both hold - there is nothing to optimize',
+      config: {
+        cost: [-1, -1],
+        constraints: [[-1, 0, 0], [0, -1, 0], [1, 1, 1], [-1, -1, -3]],
+        method: 'simplex'
+      }
+    },
+    {
+      name: 'Interior Point Central Path',
+      description: 'Newton steps on the log barrier approach the same vertex from inside',
+      config: {
+        cost: [-3, -2],
+        method: 'interior-point',
+        start: { x: 0.5, y: 0.5 }
+      }
+    }
+  ],
+
+  mlRelevance: `
+    Linear programs appear in L1-regularized regression, optimal transport,
+    resource allocation and scheduling, and as the relaxations behind integer
+    programming. Their duality theory is the template for SVM and Lagrangian duality.
+  `,
+
+  metadata: {
+    difficulty: 3,
+    estimatedTime: '20 mins',
+    isAdvanced: false,
+    tags: ['optimization', 'linear-programming', 'simplex', 'interior-point']
+  }
+};
+
+export const quadraticProgramming = {
+  id: 'quadratic-programming',
+  name: 'Quadratic Programming',
+  layer: LAYERS.COMPUTATION,
+  domain: DOMAINS.OPTIMIZATION,
+
+  prerequisites: ['linear-programming', 'convex-optimization'],
+  enables: ['svm'],
+  relatedConcepts: ['lagrange-multipliers'],
+
+  visualization: QuadraticProgramming,
+
+  tool: {
+    icon: '🔶',
+    title: 'Quadratic Programming',
+    description: 'Convex quadratics over polygons',
+    color: 'from-amber-500 to-orange-500',
+    highlights: ['Elliptic Contours', 'Barrier Method', 'Active Set']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Quadratic Programming?',
+        content: 'Minimizing a convex quadratic ½xᵀQx + c·x over a polygon. The contours become ellipses, so the optimum is no longer forced to a corner.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Support vector machines, portfolio optimization and constrained least squares are all quadratic programs, and many nonlinear solvers work by solving a QP at every step.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'If the bottom of the bowl is feasible, that is the answer. Otherwise grow ellipses outward from the bottom until one touches the polygon - the touching point is the optimum, on an edge or at a corner.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Q positive semidefinite: The bowl never curves down, so the problem stays convex',
+          'Interior optimum: No constraint is active',
+          'Edge or vertex optimum: The active constraints hold the bowl back',
+          'Projection: With Q = I the QP finds the nearest feasible point to −c'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Move c until the bowl\'s center leaves the polygon and watch the optimum lock onto an edge',
+          'Raise Q₁₂ to tilt the ellipses',
+          'Drag a new constraint through the current optimum',
+          'Step through the barrier iterates and their central path'
+        ]
+      }
+    ]
+  },
+
+  definition: `
+    A quadratic program minimizes ½xᵀQx + c·x subject to linear constraints
+    Ax ≤ b. With Q positive semidefinite the problem is convex, so any local
+    minimum is global and interior-point methods solve it reliably.
+  `,
+
+  intuition: `
+    The cost contours are ellipses around the unconstrained minimum. If that
+    center lies inside the polygon it is the answer; otherwise the optimum is
+    where the smallest ellipse touches the polygon - on an edge or at a corner.
+  `,
+
+  properties: [
+    'Convex when Q is positive semidefinite',
+    'The optimum can lie inside the region, on an edge or at a vertex',
+    'Q = I, c = −p makes it the projection of p onto the feasible region',
+    'KKT conditions: Qx + c + Aᵀμ = 0 with μ ≥ 0 and μᵢ(bᵢ − aᵢ·x) = 0',
+    'The barrier method handles it exactly as for LPs, with a curved cost'
+  ],
+
+  examples: [
+    {
+      name: 'Projection onto a Polygon',
+      description: 'Q = I finds the feasible point nearest (3, 2), on the edge x + y = 4',
+      config: {
+        objectiveType: 'quadratic',
+        quadratic: [[1, 0], [0, 1]],
+        cost: [-3, -2]
+      }
+    },
+    {
+      name: 'Interior Optimum',
+      description: 'The bowl\'s center (1, 1) is feasible, so no constraint is active',
+      config: {
+        objectiveType: 'quadratic',
+        quadratic: [[1, 0], [0, 1]],
+        cost: [-1, -1]
+      }
+    },
+    {
+      name: 'Optimum at a Vertex',
+      description: 'Pulled far enough outside, the nearest feasible point is the corner (3, 1)',
+      config: {
+        objectiveType: 'quadratic',
+        quadratic: [[1, 0], [0, 1]],
+        cost: [-6, -3]
+      }
+    },
+    {
+      name: 'Stretched Bowl',
+      description: 'Correlated curvature tilts the ellipses and moves the optimum onto the x-axis',
+      config: {
+        objectiveType: 'quadratic',
+        quadratic: [[3, 1], [1, 1]],
+        cost: [-4, -1]
+      }
+    }
+  ],
+
+  mlRelevance: `
+    Training a support vector machine is a quadratic program, as are
+    mean-variance portfolio optimization, constrained least squares and the
+    subproblems inside sequential quadratic programming and model predictive control.
+  `,
+
+  metadata: {
+    difficulty: 4,
+    estimatedTime: '20 mins',
+    isAdvanced: true,
+    tags: ['optimization', 'quadratic-programming', 'interior-point', 'svm']
+  }
+};
+
+// ==========================================================================
+// LAGRANGE MULTIPLIERS
+// ==========================================================================
+
+export const lagrangeMultipliers = {
+  id: 'lagrange-multipliers',
+  name: 'Lagrange Multipliers',
+  layer: LAYERS.RULES,
+  domain: DOMAINS.OPTIMIZATION,
+  secondaryDomains: [DOMAINS.CALCULUS],
+  
+  prerequisites: ['functions', 'gradient-rules', 'constraints'],
+  enables: ['kkt-conditions', 'duality', 'svm'],
+  relatedConcepts: ['convex-optimization', 'gradient-descent'],
+  
+  visualization: LagrangeMultipliers,
+
+  tool: {
+    icon: '🎚️',
+    title: 'Lagrange Multipliers',
+    description: 'Constrained optimization',
+    color: 'from-purple-500 to-pink-500',
+    highlights: ['Constraints', 'Dual Problem', 'KKT Conditions']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Lagrange Multipliers?',
+        content: 'A method for finding maxima/minima of a function subject to constraints. Instead of searching everywhere, you only look along the constraint (like finding the highest point on a path up a mountain).'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Constrained optimization is everywhere: maximizing profit with limited budget, training neural networks with regularization, physics (finding equilibrium states), economics (utility maximization), and engineering design.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'At the optimum, you can\'t improve by moving along the constraint. This happens when the objective gradient ∇f is perpendicular to the constraint - or parallel to the constraint\'s gradient ∇g. So ∇f = λ∇g for some λ (the Lagrange multiplier).'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Constraint: Equation or inequality that limits where you can go (c(x,y) = 0 or c(x,y) ≥ 0)',
+          'Lagrangian: L = f − Σλc (combines objective and constraints)',
+          'λ (lambda): How much each constraint "costs" the objective',
+          'KKT conditions: ∇f = Σλ∇c, feasibility, λ ≥ 0 for inequalities, and λc = 0 (complementary slackness)'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Type your own objective and up to four constraints',
+          'Click the map to restart the solver and step through its iterations',
+          'Make an inequality inactive - its λ drops to 0',
+          'Switch to the 3D surface to see the constraints lifted onto f'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    The method of Lagrange multipliers finds extrema of f(x) subject to an
+    equality constraint g(x) = 0. At a constrained optimum the gradients are
+    parallel: ∇f = λ∇g, where λ is the Lagrange multiplier.
+  `,
+  
+  intuition: `
+    Walk along a path on a hillside. You are at the highest point of the path
+    when the path runs along a contour line - any step along the path neither
+    climbs nor descends. That is exactly where ∇f lines up with ∇g.
+  `,
+  
+  properties: [
+    'Lagrangian: L(x, λ) = f(x) - λg(x)',
+    'Stationary points of L satisfy ∇f = λ∇g and g(x) = 0',
+    'λ measures the sensitivity of the optimum to the constraint',
+    'Generalizes to inequality constraints via KKT conditions',
+    'Complementary slackness: an inactive inequality has λ = 0, an active one λ ≥ 0'
+  ],
+
+  examples: [
+    {
+      name: 'Nearest Point on a Line',
+      description: 'The classic: ∇f lines up with the constraint normal at (1, 1) with λ = 2',
+      config: {
+        objective: 'x^2 + y^2',
+        constraints: ['x + y = 2']
+      }
+    },
+    {
+      name: 'Linear Objective on a Circle',
+      description: 'An equality multiplier can be negative - here λ = −1/√2',
+      config: {
+        objective: 'x + y',
+        constraints: ['x^2 + y^2 = 1'],
+        start: { x: 1, y: 0.5 }
+      }
+    },
+    {
+      name: 'Inactive Inequality',
+      description: 'The unconstrained minimum already satisfies the constraint, so λ = 0',
+      config: {
+        objective: '(x - 1)^2 + (y - 1)^2',
+        constraints: ['x^2 + y^2 <= 4']
+      }
+    },
+    {
+      name: 'Active Inequality',
+      description: 'The disk cuts off the unconstrained minimum; the solution sits on its edge with λ > 0',
+      config: {
+        objective: '(x - 2)^2 + (y - 2)^2',
+        constraints: ['x^2 + y^2 <= 2']
+      }
+    },
+    {
+      name: 'One of Three Active',
+      description: 'Only the constraint the solution touches gets a non-zero multiplier',
+      config: {
+        objective: '(x - 2)^2 + (y - 1)^2',
+        constraints: ['x + y <= 2', 'x >= 0', 'y >= 0']
+      }
+    },
+    {
+      name: 'Rosenbrock in a Disk',
+      description: 'A curved valley meets a curved boundary - the solver still finds the KKT point',
+      config: {
+        objective: '(1 - x)^2 + 100(y - x^2)^2',
+        constraints: ['x^2 + y^2 <= 1'],
+        start: { x: -1, y: 1 },
+        range: 1.5
+      }
+    }
+  ],
+  
+  mlRelevance: `
+    Constrained optimization shows up in SVMs (maximum margin subject to
+    classification constraints), regularization (penalties are multipliers in
+    disguise), maximum-entropy models and fairness-constrained training.
+  `,
+  
+  metadata: {
+    difficulty: 3,
+    estimatedTime: '20 mins',
+    isAdvanced: false,
+    tags: ['optimization', 'constraints', 'lagrangian', 'kkt']
+  }
+};
+
+// ==========================================================================
+// PROBABILITY DISTRIBUTIONS
+// ==========================================================================
+
+export const probabilityDistributions = {
+  id: 'probability-distributions',
+  name: 'Probability Distributions',
+  layer: LAYERS.OBJECTS,
+  domain: DOMAINS.PROBABILITY,
+  secondaryDomains: [DOMAINS.STATISTICS],
+  
+  prerequisites: ['probability', 'random-variables'],
+  enables: ['bayesian-inference', 'hypothesis-testing'],
+  relatedConcepts: ['expectation', 'variance', 'central-limit-theorem'],
+  
+  visualization: ProbabilityDistributions,
+
+  tool: {
+    icon: '🎲',
+    title: 'Probability Distributions',
+    description: 'Explore statistical distributions',
+    color: 'from-orange-500 to-amber-500',
+    highlights: ['Normal', 'Binomial', 'Sampling', 'PDF/CDF']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Probability Distributions?',
+        content: 'A probability distribution describes how likely different outcomes are. The PDF (Probability Density Function) shows the shape, while the CDF (Cumulative Distribution Function) shows accumulated probability up to a point.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Distributions model uncertainty everywhere: stock returns (Normal), customer arrivals (Poisson), system failures (Exponential), survey responses (Binomial). Understanding distributions is fundamental to statistics and machine learning.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Think of PDF as a hill - tall sections are more likely outcomes. CDF is like walking up that hill - it shows total probability up to each point (always increases from 0 to 1). Samples show what you\'d actually observe in practice.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'PDF: Height = likelihood (area under curve = probability)',
+          'CDF: Cumulative probability from -∞ to x',
+          'Normal: Bell curve, models averages (CLT)',
+          'Binomial: Coin flips, fixed trials',
+          'Poisson: Rare events, variable occurrences',
+          'Exponential: Waiting times between events'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Normal: Change μ (shifts curve), σ (width)',
+          'Binomial: n=20, p=0.5 looks like Normal!',
+          'Enable Samples - see theory match reality',
+          'Compare PDF vs CDF - CDF always increases',
+          'Poisson: Low λ = rare events, High λ = frequent'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    A probability distribution assigns probabilities to the outcomes of a
+    random variable. Continuous distributions are described by a density
+    (PDF), discrete ones by a mass function (PMF), and both by a CDF.
+  `,
+  
+  intuition: `
+    A distribution is the shape of uncertainty. Heights cluster in a bell
+    curve, coin-flip counts follow a binomial, waiting times decay
+    exponentially. Sample enough and the histogram traces out the curve.
+  `,
+  
+  properties: [
+    'PDF/PMF is non-negative and integrates (sums) to 1',
+    'CDF F(x) = P(X ≤ x) is non-decreasing from 0 to 1',
+    'Mean and variance summarize location and spread',
+    'Sampling histograms converge to the PDF as N grows'
+  ],
+  
+  mlRelevance: `
+    Models are distributions: classifiers output categorical distributions,
+    regression assumes Gaussian noise, generative models learn to sample from
+    the data distribution. Losses like cross-entropy compare distributions.
+  `,
+  
+  metadata: {
+    difficulty: 1,
+    estimatedTime: '15 mins',
+    isAdvanced: false,
+    tags: ['probability', 'pdf', 'cdf', 'normal', 'binomial', 'sampling']
+  }
+};
+
 // ==========================================================================
 // MONTE CARLO
 // ==========================================================================
@@ -81,6 +1085,51 @@ export const monteCarlo = {
   relatedConcepts: ['random-sampling', 'expectation', 'variance-reduction'],
   
   visualization: MonteCarlo,
+
+  tool: {
+    icon: '🎰',
+    title: 'Monte Carlo Methods',
+    description: 'Random sampling for estimation',
+    color: 'from-orange-500 to-amber-500',
+    highlights: ['Sampling', 'Convergence', 'Integration', 'Variance']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Monte Carlo Methods?',
+        content: 'Monte Carlo methods use random sampling to solve problems that are difficult or impossible to solve analytically. Named after the famous Monaco casino, these techniques turn randomness into reliable answers through the Law of Large Numbers.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Monte Carlo is everywhere: finance (risk analysis), physics (particle simulations), machine learning (reinforcement learning, dropout), computer graphics (ray tracing), and scientific computing. When you can\'t solve it exactly, sample it!'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine estimating the area of a pond by throwing random pebbles. If 30% land in the pond, the pond is ~30% of the total area. More pebbles = better estimate. This is Monte Carlo: using randomness to approximate complex quantities.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Random Sampling: Generate random points to explore space',
+          'Law of Large Numbers: More samples → better estimates',
+          'Convergence: Error decreases as ~1/√n (need 4x samples to halve error)',
+          'Integration: Estimate areas/volumes by counting samples',
+          'Random Walks: Model diffusion, stock prices, Brownian motion'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Pi Estimation: Watch π emerge from random dots! Green inside circle, red outside',
+          'Integration: Estimate ∫₀¹ x² dx (true value = 1/3) by random sampling',
+          'Random Walk: See a drunk walker\'s path - displacement grows as √steps',
+          'Increase speed and watch estimates converge to true values',
+          'Compare: 100 samples vs 10,000 samples - see accuracy improve!'
+        ]
+      }
+    ]
+  },
   
   definition: `
     Monte Carlo methods use repeated random sampling to obtain numerical results.
@@ -119,6 +1168,108 @@ export const monteCarlo = {
   }
 };
 
+// ==========================================================================
+// HYPOTHESIS TESTING
+// ==========================================================================
+
+export const hypothesisTesting = {
+  id: 'hypothesis-testing',
+  name: 'Hypothesis Testing',
+  layer: LAYERS.APPLICATIONS,
+  domain: DOMAINS.STATISTICS,
+  secondaryDomains: [DOMAINS.PROBABILITY],
+  
+  prerequisites: ['probability-distributions', 'sampling-distributions'],
+  enables: ['ab-testing', 'confidence-intervals', 'statistical-power'],
+  relatedConcepts: ['bayesian-inference', 'p-values'],
+  
+  visualization: HypothesisTesting,
+
+  tool: {
+    icon: '🧪',
+    title: 'Hypothesis Testing',
+    description: 'Statistical significance',
+    color: 'from-indigo-500 to-blue-500',
+    highlights: ['p-value', 't-test', 'Confidence Intervals', 'Type I/II Errors']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Hypothesis Testing?',
+        content: 'Hypothesis testing is how we make decisions with data. We start with a null hypothesis (H₀: "nothing special is happening") and ask: is our data weird enough to reject it? The p-value tells us how "weird" our data is if H₀ is true.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Hypothesis testing is the foundation of scientific inference. Used in: A/B testing (does the new design work better?), clinical trials (does the drug work?), quality control (is the process broken?), and research (is this effect real?). It prevents false conclusions.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine claiming a coin is unfair. You flip it 100 times and get 60 heads. Is that weird enough to prove your claim? Hypothesis testing answers this: "If the coin were fair (H₀), how likely is 60+ heads?" If very unlikely (p < 0.05), we reject fairness. Otherwise, we can\'t prove it\'s unfair.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'H₀ (Null): Default assumption (no effect, no difference)',
+          'H₁ (Alternative): What we want to prove',
+          'p-value: Probability of data this extreme if H₀ is true',
+          'α (alpha): Threshold for significance (typically 0.05)',
+          't-statistic: How many standard errors away from H₀',
+          'Type I error: Rejecting true H₀ (false positive)',
+          'Type II error: Failing to reject false H₀ (false negative)',
+          'Confidence Interval: Range where true mean likely lies'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Set μ₀ = 100, sample mean = 105 → likely reject H₀',
+          'Increase sample size → smaller p-values (more power)',
+          'Set α = 0.01 → stricter threshold, fewer rejections',
+          'Toggle "Critical Region" → see red rejection zones',
+          'Click "Animate Sampling" → see p-values vary!',
+          'Confidence interval includes μ₀? → Don\'t reject H₀',
+          'Green line (x̄) far from red line (μ₀)? → Reject!'
+        ]
+      }
+    ]
+  },
+  
+  definition: `
+    Hypothesis testing decides whether observed data is consistent with a
+    null hypothesis H₀. A test statistic is compared to its sampling
+    distribution under H₀; if the p-value falls below α, H₀ is rejected.
+  `,
+  
+  intuition: `
+    Assume nothing interesting is happening, then ask: how surprising is
+    this data? If results this extreme would occur less than 5% of the time
+    by chance alone, we call the effect statistically significant.
+  `,
+  
+  properties: [
+    't = (x̄ - μ₀) / (s / √n) for a one-sample t-test',
+    'p-value: probability of data at least this extreme under H₀',
+    'α controls the Type I error rate (false positives)',
+    'Power = 1 - β: probability of detecting a real effect',
+    'Larger samples shrink the standard error'
+  ],
+  
+  mlRelevance: `
+    Hypothesis tests decide whether a new model really beats the baseline,
+    whether an A/B test moved a metric, and whether a feature is significant.
+    Misusing them (peeking, multiple comparisons) is a classic source of
+    false discoveries in experiments.
+  `,
+  
+  metadata: {
+    difficulty: 2,
+    estimatedTime: '20 mins',
+    isAdvanced: false,
+    tags: ['statistics', 'p-value', 't-test', 'significance', 'ab-testing']
+  }
+};
+
 // ==========================================================================
 // ACTIVATION FUNCTIONS
 // ==========================================================================
@@ -130,10 +1281,60 @@ export const activationFunctions = {
   domain: DOMAINS.DEEP_LEARNING,
   
   prerequisites: ['functions', 'derivatives', 'neural-networks'],
-  enables: ['deep-learning', 'non-linearity', 'gradient-flow'],
+  enables: ['deep-learning', 'non-linearity', 'gradient-flow', 'neural-network-playground'],
   relatedConcepts: ['relu', 'sigmoid', 'tanh', 'vanishing-gradients'],
   
   visualization: ActivationFunctions,
+
+  tool: {
+    icon: '⚡',
+    title: 'Activation Functions',
+    description: 'Compare ReLU, Sigmoid, Tanh',
+    color: 'from-violet-500 to-purple-500',
+    highlights: ['ReLU', 'Sigmoid', 'Tanh', 'Vanishing Gradients']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Activation Functions?',
+        content: 'Activation functions introduce non-linearity into neural networks. Without them, stacking layers would just be matrix multiplication - no matter how deep, equivalent to single layer! They decide what signal to pass forward.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'The choice of activation function dramatically affects: training speed, convergence, vanishing/exploding gradients, and final accuracy. ReLU\'s invention was a breakthrough that enabled deep learning. Modern AI wouldn\'t exist without good activations!'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Think of neurons as decision makers. Activation functions shape HOW they decide. ReLU: "negative? ignore it." Sigmoid: "smoosh everything to 0-1." Each has trade-offs. The derivative matters for learning - flat derivatives → no learning!'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Non-linearity: Enables learning complex patterns',
+          'Vanishing Gradient: When f\'(x) → 0, learning stops',
+          'Dead Neurons: ReLU neurons that output 0 forever',
+          'Saturation: When function flattens (sigmoid, tanh)',
+          'Zero-centered: Tanh outputs around 0, helps learning',
+          'ReLU: Most popular, fast, but can die',
+          'Sigmoid: For binary outputs, not hidden layers!',
+          'Derivative: Shows how much gradient flows back'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Compare All Functions → see shapes side-by-side',
+          'Toggle Derivative → watch sigmoid/tanh vanish at edges!',
+          'Slide input value → see output change',
+          'Animate Signal → watch propagation through function',
+          'ReLU: flat for x < 0 (dead neuron zone)',
+          'Sigmoid: check derivative - always < 0.25!',
+          'Leaky ReLU: small negative slope prevents death'
+        ]
+      }
+    ]
+  },
   
   definition: `
     Activation functions introduce non-linearity into neural networks, enabling
@@ -193,6 +1394,55 @@ export const neuralNetworkPlayground = {
   relatedConcepts: ['layers', 'neurons', 'weights', 'training'],
   
   visualization: NeuralNetworkPlayground,
+
+  tool: {
+    icon: '🧠',
+    title: 'Neural Network Playground',
+    description: 'Build and train networks live',
+    color: 'from-emerald-500 to-teal-500',
+    highlights: ['Layers', 'Activations', 'Training', 'Decision Boundary']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is This?',
+        content: 'Build and train your own neural network! See how hidden layers, activation functions, and learning rates affect performance. Watch the decision boundary form in real-time as the network learns.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'This is HOW deep learning works. Every modern AI (GPT, DALL-E, AlphaGo) uses these same principles: layers of neurons, activation functions, gradient descent. Understanding this is understanding AI.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Each neuron is a tiny decision maker. The first layer detects simple patterns (edges, colors). Deeper layers combine these into complex concepts (faces, objects). The output layer makes the final decision. Training adjusts all the connections (weights) to minimize errors.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Hidden Layers: More layers = more complex patterns',
+          'Neurons: More neurons = more capacity (but slower)',
+          'Weights: Connection strengths (green=positive, red=negative)',
+          'Decision Boundary: Where the network switches predictions',
+          'Epochs: Number of training iterations',
+          'Learning Rate: How big the update steps are',
+          'Overfitting: Memorizing training data (high accuracy, poor generalization)'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Linear dataset: Try 1 hidden layer with 2 neurons → solves it!',
+          'XOR dataset: Need at least 2 hidden neurons → try it!',
+          'Spiral: Need deeper network (4-6 neurons per layer)',
+          'Increase learning rate → faster but unstable',
+          'More hidden neurons → can solve harder problems',
+          'Watch decision boundary morph during training',
+          'Compare ReLU vs Sigmoid activation'
+        ]
+      }
+    ]
+  },
   
   definition: `
     An interactive environment for building and training neural networks from
@@ -249,6 +1499,56 @@ export const convolutionOperation = {
   relatedConcepts: ['kernels', 'feature-maps', 'stride', 'padding'],
   
   visualization: ConvolutionOperation,
+
+  tool: {
+    icon: '🖼️',
+    title: 'Convolution Operation',
+    description: 'How CNNs process images',
+    color: 'from-emerald-500 to-teal-500',
+    highlights: ['Filters', 'Feature Maps', 'Stride', 'Padding']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Convolution?',
+        content: 'Convolution slides a small filter (kernel) across an image, computing a weighted sum at each position. It\'s the fundamental operation in Convolutional Neural Networks (CNNs). Each filter detects different features: edges, textures, patterns.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'CNNs revolutionized computer vision! AlexNet (2012) won ImageNet with convolution. Now used in: face recognition, self-driving cars, medical imaging, object detection, image generation (GANs, Diffusion). Understanding convolution = understanding modern vision AI.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine sliding a magnifying glass across a picture. At each spot, you compute: pixel×weight + pixel×weight + ... The filter learns WHAT to look for (edges? curves?). Early layers find simple patterns. Deeper layers combine them into complex objects. This is how machines "see"!'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Kernel/Filter: Small matrix (3×3, 5×5) of weights',
+          'Stride: How many pixels to skip (stride=2 → half size)',
+          'Padding: Border pixels added (keeps size constant)',
+          'Feature Map: Output after convolution',
+          'Receptive Field: Input region affecting one output pixel',
+          'Edge Detection: Filters highlight boundaries',
+          'Translation Invariance: Detects features anywhere in image',
+          'Parameter Sharing: Same filter used everywhere (efficient!)'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Edge Detection → see boundaries highlight!',
+          'Blur → watch image smooth out',
+          'Animate Convolution → see filter slide across',
+          'Increase stride → output gets smaller',
+          'Add padding → output stays same size',
+          'Try all filters → see different features extracted',
+          'Notice: kernel values determine what feature detected'
+        ]
+      }
+    ]
+  },
   
   definition: `
     Convolution is a mathematical operation that slides a filter (kernel) over
@@ -310,6 +1610,56 @@ export const attentionMechanism = {
   relatedConcepts: ['query-key-value', 'transformers', 'sequence-modeling'],
   
   visualization: AttentionMechanism,
+
+  tool: {
+    icon: '👁️',
+    title: 'Attention Mechanism',
+    description: 'Query-Key-Value explained',
+    color: 'from-violet-500 to-purple-500',
+    highlights: ['Q-K-V', 'Self-Attention', 'Multi-Head', 'Transformers']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Attention?',
+        content: 'Attention lets each word in a sentence look at every other word and decide: "How relevant is this to me?" It\'s the core innovation in Transformers. Instead of processing sequentially (RNNs), attention looks at everything at once - in parallel!'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Attention changed EVERYTHING. It powers: GPT (text generation), BERT (understanding), Vision Transformers (images), Whisper (speech), AlphaFold (protein folding). "Attention is All You Need" (2017) started the modern AI revolution. Every major AI breakthrough since uses attention.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Think of reading: "The animal didn\'t cross the street because IT was too tired." What does "IT" refer to? Your brain automatically knows: "the animal" (not the street!). That\'s attention - figuring out which words relate to which. Neural networks do this with Query-Key-Value mechanics.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Query (Q): What am I looking for? (like a search query)',
+          'Key (K): What do I contain? (like search index)',
+          'Value (V): What should I output? (like search results)',
+          'Score = Q·K: Similarity between query and key',
+          'Softmax: Normalize scores to weights (sum=1)',
+          'Output = Σ(weight × value): Weighted combination',
+          'Self-Attention: Each token attends to all tokens',
+          'Multi-Head: Multiple attention patterns learned'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Click "cat" → see it attends most to "sat" and "mat"',
+          'Click "sat" → see how verb relates to subject/object',
+          'Click "the" (first) vs "the" (second) → different attention!',
+          'Notice: attention weights always sum to 100%',
+          'Toggle "Show Attention Weights" on/off',
+          'Check raw scores vs softmax weights',
+          'Thicker lines = stronger attention = more relevant'
+        ]
+      }
+    ]
+  },
   
   definition: `
     Attention allows a model to dynamically focus on relevant parts of the input.
@@ -367,8 +1717,12 @@ export const attentionMechanism = {
 // ==========================================================================
 
 export default {
+  linearTransformation,
   convexOptimization,
+  lagrangeMultipliers,
+  probabilityDistributions,
   monteCarlo,
+  hypothesisTesting,
   activationFunctions,
   neuralNetworkPlayground,
   convolutionOperation,
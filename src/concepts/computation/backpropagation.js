@@ -40,7 +40,8 @@ export default {
     'convolutional-networks',   // CNNs trained via backprop
     'recurrent-networks',       // RNNs trained via backprop
     'transformers',             // Transformers trained via backprop
-    'automatic-differentiation' // Generalized form (autograd)
+    'automatic-differentiation', // Generalized form (autograd)
+    'neural-network-playground' // Training networks end to end
   ],
   
   relatedConcepts: [
@@ -58,6 +59,55 @@ export default {
   
   visualization: Backpropagation,
 
+  tool: {
+    icon: '🔄',
+    title: 'Backpropagation',
+    description: 'Step through gradient flow',
+    color: 'from-violet-500 to-purple-500',
+    highlights: ['Chain Rule', 'Gradients', 'Weight Updates', 'Flow']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Backpropagation?',
+        content: 'Backpropagation (backprop) is HOW neural networks learn. It\'s the algorithm that calculates gradients for every weight in the network by applying the chain rule backward through layers. Without backprop, deep learning wouldn\'t exist!'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'This is the SECRET SAUCE of AI. Every neural network (GPT, DALL-E, AlphaGo) uses backpropagation to learn. Understanding this is understanding how machines learn from data. It\'s just calculus (chain rule) + clever bookkeeping.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine tweaking a knob on a machine and watching the output change. Backprop tells you EXACTLY how much each knob (weight) contributed to the error. Forward pass makes predictions. Backward pass figures out blame. Then we adjust weights to reduce error.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Forward Pass: Input → activations → output → loss',
+          'Backward Pass: Loss → gradients → back through network',
+          'Chain Rule: Multiply derivatives layer by layer',
+          'Gradients (∇): Direction and magnitude of weight changes',
+          'Weight Update: w = w - α·∇L (gradient descent)',
+          'Vanishing Gradient: Derivatives shrink in deep networks',
+          'Learning Rate (α): How big the weight updates are'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Click Play - watch full forward + backward pass',
+          'Toggle "Show Gradients" - see ∇ on each connection',
+          'Step through manually - understand each calculation',
+          'Notice: output gradient computed first, then flows back',
+          'Watch neurons glow yellow on their active step',
+          'Green arrow = forward, Purple arrow = backward',
+          'Gradients get smaller as they flow back (vanishing!)'
+        ]
+      }
+    ]
+  },
+
   // ==========================================================================
   // CONTENT
   // ==========================================================================
@@ -38,6 +38,8 @@ export default {
     'neural-networks',
     'linear-regression',
     'logistic-regression',
+    'convex-optimization',
+    'neural-network-playground',
     'stochastic-gradient-descent'
   ],
   
@@ -54,6 +56,49 @@ export default {
   
   visualization: GradientDescent,
 
+  tool: {
+    icon: '⛰️',
+    title: 'Gradient Descent',
+    description: 'Watch optimization in action',
+    color: 'from-purple-500 to-pink-500',
+    highlights: ['Learning Rate', 'Local Minima', 'Momentum', 'Convergence']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Gradient Descent?',
+        content: 'Imagine rolling a ball down a hill to find the lowest valley. Gradient descent does this mathematically - it finds the minimum of a function by following the steepest downward slope.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'This is how AI learns! Neural networks use gradient descent to minimize errors. It\'s the engine behind ChatGPT, image recognition, and modern machine learning.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'At each step, calculate which direction is "downhill" (the gradient), then take a step in that direction. The learning rate controls step size - too big and you overshoot, too small and you crawl.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Gradient: Direction of steepest ascent (we go opposite)',
+          'Learning Rate: Step size - crucial hyperparameter',
+          'Local Minimum: Where you get stuck',
+          'Convergence: When you reach the bottom'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Learning rate 0.1 - smooth descent',
+          'Learning rate 0.8 - watch it bounce/overshoot',
+          'Learning rate 0.005 - painfully slow',
+          'Click Random - see all paths lead to center'
+        ]
+      }
+    ]
+  },
+
   // ==========================================================================
   // CONTENT
   // ==========================================================================
@@ -122,9 +167,75 @@ export default {
       name: 'Learning Rate Too High',
       description: 'Demonstrates divergence with excessive learning rate',
       config: {
-        functionType: 'quadratic',
+        functionType: 'steep',
         startPosition: { x: 3, y: 3 },
-        learningRate: 0.5
+        learningRate: 0.25
+      }
+    },
+    {
+      name: 'Rosenbrock Valley',
+      description: 'A curved, flat-bottomed valley: the step size that stays stable crawls along the floor',
+      config: {
+        functionType: 'rosenbrock',
+        view: 'contour',
+        startPosition: { x: -1.5, y: 2 },
+        learningRate: 0.001
+      }
+    },
+    {
+      name: 'Saddle Point',
+      description: 'Starting almost on the ridge, descent stalls near the saddle before sliding off',
+      config: {
+        functionType: 'saddle',
+        view: 'contour',
+        startPosition: { x: 2.5, y: 0.01 },
+        learningRate: 0.05
+      }
+    },
+    {
+      name: 'Your Own Function',
+      description: 'Type any f(x, y) - gradients come from automatic differentiation',
+      config: {
+        functionType: 'custom',
+        expression: 'x^2 + 2y^2 - x y + sin(2x)',
+        startPosition: { x: 3, y: -3 },
+        learningRate: 0.1
+      }
+    },
+    {
+      name: 'Armijo Line Search',
+      description: 'Backtracking picks each step size on Beale\'s function - watch α jump around in the step-size chart',
+      config: {
+        functionType: 'beale',
+        view: 'contour',
+        optimizer: 'sgd',
+        lineSearch: true,
+        gradientTolerance: 0.001,
+        startPosition: { x: 1, y: 1.5 }
+      }
+    },
+    {
+      name: 'Cosine Annealing',
+      description: 'A large step size that rattles across the valley, tamed as the schedule anneals it to zero',
+      config: {
+        functionType: 'steep',
+        view: 'contour',
+        schedule: 'cosine',
+        period: 60,
+        startPosition: { x: 4, y: 2 },
+        learningRate: 0.19
+      }
+    },
+    {
+      name: 'Optimizer Race',
+      description: 'SGD zig-zags across the narrow valley while momentum and Adam cut through it',
+      config: {
+        functionType: 'steep',
+        view: 'contour',
+        mode: 'race',
+        race: ['sgd', 'momentum', 'nesterov', 'adam'],
+        startPosition: { x: 4, y: 2 },
+        learningRate: 0.15
       }
     }
   ],
@@ -54,6 +54,53 @@ export default {
   
   visualization: SVD,
 
+  tool: {
+    icon: '🔲',
+    title: 'Singular Value Decomposition',
+    shortTitle: 'SVD',
+    description: 'Matrix factorization in action',
+    color: 'from-cyan-500 to-blue-500',
+    highlights: ['Decomposition', 'Singular Values', 'Image Compression', 'PCA']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is SVD?',
+        content: 'SVD breaks any matrix into three simple pieces: rotate, scale, rotate. It\'s like saying "any transformation is just spinning, stretching, and spinning again." The magic is that the stretching happens along special directions (singular vectors).'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'SVD powers JPEG image compression, Netflix recommendations, Google\'s PageRank, and dimensionality reduction (PCA). It finds the "principal patterns" in data and lets you keep only the important ones.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Every matrix transformation can be decomposed into: (1) rotate to align with principal axes (V^T), (2) stretch along those axes (Σ), (3) rotate to final orientation (U). The singular values tell you how important each direction is.'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'U, V: Rotation matrices (orthonormal)',
+          'Σ: Diagonal scaling (singular values)',
+          'Rank: Number of non-zero singular values',
+          'Low-rank approximation: Keep top k values = compression',
+          'PCA: SVD of centered data - V gives the axes, σ²/(n − 1) the variances'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Play Animation - see the 3 steps clearly',
+          'Rank = 2 (full) - perfect reconstruction',
+          'Rank = 1 - only dominant pattern (50% compression)',
+          'Watch singular values - bright = important',
+          'PCA tab - fit a plane to a 3D cloud and read the explained variance',
+          'PCA tab - paste your own CSV and toggle standardization'
+        ]
+      }
+    ]
+  },
+
   // ==========================================================================
   // CONTENT
   // ==========================================================================
@@ -90,7 +137,8 @@ export default {
     'Works for any matrix (not just square, symmetric, or invertible)',
     'Singular values are square roots of eigenvalues of A^T A (or AA^T)',
     'Left singular vectors are eigenvectors of AA^T',
-    'Right singular vectors are eigenvectors of A^T A'
+    'Right singular vectors are eigenvectors of A^T A',
+    'PCA: for centered n×d data X = UΣV^T, the columns of V are the principal axes and σᵢ²/(n − 1) the variance along each'
   ],
 
   // ==========================================================================
@@ -102,14 +150,16 @@ export default {
       name: 'Full Rank Matrix',
       description: 'All singular values are significant',
       config: {
+        mode: 'transform',
         matrix: [[3, 1], [1, 2]],
         rank: 2
       }
     },
     {
       name: 'Low Rank Approximation',
-      description: 'Keep only largest singular value (90% compression)',
+      description: 'A rank-1 matrix: the largest singular value alone rebuilds it exactly',
       config: {
+        mode: 'transform',
         matrix: [[4, 2], [2, 1]],
         rank: 1
       }
@@ -118,14 +168,49 @@ export default {
       name: 'Image Compression',
       description: 'Approximate image with k=5 components instead of full rank',
       config: {
-        useImageExample: true,
+        mode: 'image',
+        sample: 'shapes',
         rank: 5
       }
     },
+    {
+      name: 'PCA: 3D Cloud onto a Plane',
+      description: 'Correlated 3D Gaussian data projected onto its top two principal axes',
+      config: {
+        mode: 'pca',
+        source: 'generated',
+        dimension: 3,
+        correlation: 0.8,
+        rank: 2
+      }
+    },
+    {
+      name: 'PCA: 2D Data onto a Line',
+      description: 'Keep one component of a negatively correlated cloud and see the residuals',
+      config: {
+        mode: 'pca',
+        source: 'generated',
+        dimension: 2,
+        correlation: -0.7,
+        spread: [2, 1.5, 1],
+        rank: 1
+      }
+    },
+    {
+      name: 'PCA: Standardized Measurements',
+      description: 'Height, weight and shoe size in different units, each scaled to unit variance',
+      config: {
+        mode: 'pca',
+        source: 'csv',
+        standardize: true,
+        rank: 1
+      }
+    },
     {
       name: 'Near-Singular Matrix',
       description: 'One very small singular value indicates near-redundancy',
       config: {
+        mode: 'transform',
         matrix: [[1, 1.01], [1, 1]],
         rank: 2
       }
@@ -197,7 +282,9 @@ export default {
       'Watch animation showing U, Σ, V^T decomposition steps',
       'Compare full rank vs. rank-1 approximation',
       'Observe how small singular values contribute little to reconstruction',
-      'Try different matrices and see singular value patterns'
+      'Try different matrices and see singular value patterns',
+      'In PCA mode, lower k and watch the residuals grow as explained variance drops',
+      'Toggle standardization on the CSV data and compare the principal axes'
     ]
   },
 
@@ -0,0 +1,103 @@
+/**
+ * CONCEPT CATALOG & BOOTSTRAP
+ *
+ * Lists every concept shipped with the lab and registers them with the
+ * concept registry at startup. The order here is the order tools appear
+ * in the UI.
+ *
+ * To ship a new tool: write its concept file and add it to `allConcepts`
+ * (the catalog test fails for any concept module left out).
+ */
+
+import registry from '../core/ConceptRegistry.js';
+import conceptStubs from './stubs.js';
+
+import vectorSpace from './structures/vectorSpace.js';
+import svd from './computation/svd.js';
+import gradientDescent from './computation/gradientDescent.js';
+import backpropagation from './computation/backpropagation.js';
+import bayesianInference from './probability/bayesianInference.js';
+import linearRegression from './applications/linearRegression.js';
+import logisticRegression from './applications/logisticRegression.js';
+import {
+  linearTransformation,
+  gaussianElimination,
+  eigenvalues,
+  convexOptimization,
+  linearProgramming,
+  quadraticProgramming,
+  lagrangeMultipliers,
+  probabilityDistributions,
+  monteCarlo,
+  hypothesisTesting,
+  activationFunctions,
+  neuralNetworkPlayground,
+  convolutionOperation,
+  attentionMechanism
+} from './batchConcepts.js';
+
+// ==========================================================================
+// CATALOG
+// ==========================================================================
+
+/**
+ * All concepts, in display order
+ */
+export const allConcepts = [
+  // Linear Algebra
+  linearTransformation,
+  vectorSpace,
+  gaussianElimination,
+  eigenvalues,
+  svd,
+
+  // Optimization
+  gradientDescent,
+  lagrangeMultipliers,
+  convexOptimization,
+  linearProgramming,
+  quadraticProgramming,
+
+  // Probability & Statistics
+  probabilityDistributions,
+  bayesianInference,
+  monteCarlo,
+  linearRegression,
+  logisticRegression,
+  hypothesisTesting,
+
+  // Deep Learning
+  neuralNetworkPlayground,
+  backpropagation,
+  activationFunctions,
+  convolutionOperation,
+  attentionMechanism
+];
+
+// ==========================================================================
+// BOOTSTRAP
+// ==========================================================================
+
+/**
+ * Register every concept and stub with the registry (safe to call more than once)
+ * @returns {{successful: number, failed: number, errors: Object[]}|null}
+ *   Batch results, or null if the registry was already initialized
+ */
+export const initializeConcepts = () => {
+  if (registry.initialized) return null;
+
+  const results = registry.registerBatch(allConcepts);
+  if (results.failed > 0) {
+    console.error('Some concepts failed to register:', results.errors);
+  }
+
+  const stubResults = registry.registerStubs(conceptStubs);
+  if (stubResults.failed > 0) {
+    console.error('Some concept stubs failed to register:', stubResults.errors);
+  }
+
+  registry.markInitialized();
+  return results;
+};
+
+export default allConcepts;
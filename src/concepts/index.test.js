@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import registry from '../core/ConceptRegistry.js';
+import { allConcepts, initializeConcepts } from './index.js';
+
+// Cross-references to concepts that have not been written yet. Lower this as
+// they land; the lint test fails when a change adds a new one.
+const KNOWN_UNRESOLVED_REFERENCES = 49;
+
+// Every module under src/concepts except the catalog itself and the stubs
+const conceptModules = import.meta.glob(['./**/*.js', '!./index.js', '!./stubs.js', '!./**/*.test.js'], { eager: true });
+
+describe('concept catalog', () => {
+  it('registers every concept once', () => {
+    const results = initializeConcepts();
+
+    expect(results).toEqual({ successful: allConcepts.length, failed: 0, errors: [] });
+    expect(initializeConcepts()).toBeNull();
+  });
+
+  it('includes every concept exported from the concept modules', () => {
+    const exported = Object.values(conceptModules)
+      .flatMap(module => Object.values(module))
+      .filter(value => value?.id && value.visualization);
+    const listed = new Set(allConcepts.map(concept => concept.id));
+
+    expect(exported.length).toBeGreaterThan(0);
+    expect(exported.map(concept => concept.id).filter(id => !listed.has(id))).toEqual([]);
+  });
+
+  it('lints without errors or new warnings', () => {
+    initializeConcepts();
+    const { errors, warnings } = registry.lint();
+    const unresolved = warnings.filter(warning => / has unresolved /.test(warning));
+
+    expect(errors).toEqual([]);
+    expect(warnings.filter(warning => !unresolved.includes(warning))).toEqual([]);
+    expect(unresolved.length).toBeLessThanOrEqual(KNOWN_UNRESOLVED_REFERENCES);
+  });
+});
@@ -41,6 +41,51 @@ export default {
 
   visualization: BayesianInference,
 
+  tool: {
+    icon: '🔮',
+    title: 'Bayesian Inference',
+    description: 'Update beliefs with evidence',
+    color: 'from-orange-500 to-amber-500',
+    highlights: ['Prior', 'Likelihood', 'Posterior', 'Conjugacy']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Is Bayesian Inference?',
+        content: 'A method for updating beliefs with evidence. Start with a prior belief (what you think before seeing data), combine it with likelihood (how well data fits different hypotheses), and get a posterior (updated belief after seeing data).'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Bayesian thinking powers spam filters, medical diagnosis, A/B testing, machine learning (Bayesian optimization, neural networks), and scientific reasoning. It naturally handles uncertainty and incorporates prior knowledge.'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Imagine you\'re flipping a coin. Before any flips (prior), you might think it\'s fair (50/50). After 7 heads and 3 tails (likelihood), you update: "probably biased toward heads" (posterior). More data → sharper beliefs (narrower distribution).'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Prior: Your initial belief before seeing data',
+          'Likelihood: How probable the data is under different hypotheses',
+          'Posterior: Updated belief after combining prior + likelihood',
+          'Credible Interval: Range where true value likely lies (95% CI)',
+          'Conjugate Priors: Prior + Likelihood → Same family (Beta-Binomial here)'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Uniform Prior + observations → watch belief form from nothing',
+          'Informative Prior (70%) + observations → see if data confirms or rejects',
+          'Skeptical Prior (20%) + observations → strong data overcomes prior',
+          'Add 100+ observations → all priors converge to truth!',
+          'Change True Rate → see how quickly Bayes adapts'
+        ]
+      }
+    ]
+  },
+
   definition: `
     Bayesian Inference is a method of statistical inference that updates 
     the probability for a hypothesis as more evidence becomes available. 
@@ -35,6 +35,7 @@ export default {
     'inner-product-space',    // Adds notion of angles/length
     'normed-space',           // Adds notion of magnitude
     'linear-transformation',  // Maps between vector spaces
+    'svd',                    // Orthonormal bases of singular vectors
     'basis',                  // Coordinate systems
     'dimension',              // Size of space
     'subspace',              // Subset that's also a vector space
@@ -55,6 +56,58 @@ export default {
   
   visualization: VectorSpaces,
 
+  tool: {
+    icon: '🎯',
+    title: 'Vector Spaces',
+    description: 'Visualize linear independence',
+    color: 'from-cyan-500 to-blue-500',
+    highlights: ['Span', 'Basis', 'Linear Independence', 'Subspaces']
+  },
+
+  guide: {
+    sections: [
+      {
+        heading: 'What Are Vector Spaces?',
+        content: 'A vector space is all the points you can reach by combining vectors. Two independent vectors span a plane - you can reach any 2D point. If they\'re dependent (parallel), you only get a line.'
+      },
+      {
+        heading: 'Why It Matters',
+        content: 'Understanding span and independence is crucial for dimensionality reduction (PCA), solving equations (linear systems), and machine learning (feature spaces).'
+      },
+      {
+        heading: 'The Intuition',
+        content: 'Think of vectors as movements. Two independent vectors are like "go forward" and "go right" - together they let you reach anywhere on a plane. Dependent vectors are like "go forward" and "go forward twice" - redundant!'
+      },
+      {
+        heading: 'Key Concepts',
+        list: [
+          'Linear Independence: No vector is a combination of others',
+          'Span: All points reachable by combining vectors',
+          'Basis: Minimal set of vectors that span the space',
+          'Dimension: Number of independent vectors needed',
+          'Rank: Dimension of the span, found by row reduction',
+          'Null space: Coefficient vectors c with Σcᵢvᵢ = 0 - the relations among the vectors',
+          'Orthonormal basis: Unit vectors at right angles - coordinates become dot products',
+          'Projection: The closest point of a subspace, with a perpendicular residual'
+        ]
+      },
+      {
+        heading: 'Try This',
+        list: [
+          'Load Independent preset - see 2D plane (purple fill)',
+          'Load Dependent preset - only a line (they\'re parallel)',
+          'Drag one vector to align with another - watch span collapse',
+          'Add 3 vectors - still only 2D (any 3rd is redundant)',
+          'Switch to ℝ³ and orbit the camera - three vectors can span a line, a plane or all of space',
+          'Read the null space relations to see how each dashed vector is built from the basis',
+          'Step through Gram–Schmidt and watch each vector lose its components along the earlier q\'s',
+          'Project p onto a plane in ℝ³ - the residual always meets the plane at a right angle',
+          'In Change of Basis, compare p\'s standard coordinates with its coordinates in your skewed basis'
+        ]
+      }
+    ]
+  },
+
   // ==========================================================================
   // CONTENT
   // ==========================================================================
@@ -111,7 +164,10 @@ export default {
     'Multiplication of zero vector: c·0 = 0',
     'If cv = 0, then either c = 0 or v = 0',
     'Cancellation law: u + w = v + w implies u = v',
-    'Subspaces are vector spaces that inherit the structure'
+    'Subspaces are vector spaces that inherit the structure',
+    'Gram–Schmidt turns any basis into an orthonormal one spanning the same subspace',
+    'The orthogonal projection onto a subspace is its closest point; the residual is perpendicular to it',
+    'Coordinates depend on the basis: the same vector has different coordinates in different bases'
   ],
 
   // ==========================================================================
@@ -137,6 +193,75 @@ export default {
         showGrid: true
       }
     },
+    {
+      name: 'A Plane Through the Origin',
+      description: 'Three vectors in ℝ³ with v₃ = v₁ + v₂ span only a plane',
+      details: 'Rank 2: the null space holds the relation v₁ + v₂ − v₃ = 0',
+      config: {
+        dimension: 3,
+        vectors3d: [
+          { x: 2, y: 0, z: 0.5, id: 1 },
+          { x: 0.5, y: 2, z: 0, id: 2 },
+          { x: 2.5, y: 2, z: 0.5, id: 3 }
+        ]
+      }
+    },
+    {
+      name: 'Four Vectors in ℝ³',
+      description: 'Any four vectors in ℝ³ are dependent',
+      details: 'Rank 3 leaves a one-dimensional null space: one vector is a combination of the other three',
+      config: {
+        dimension: 3,
+        vectors3d: [
+          { x: 2, y: 0, z: 0, id: 1 },
+          { x: 1, y: 2, z: 0, id: 2 },
+          { x: 0, y: 1, z: 2, id: 3 },
+          { x: 1, y: 1, z: 1, id: 4 }
+        ]
+      }
+    },
+    {
+      name: 'Gram–Schmidt in ℝ³',
+      description: 'Straighten three skewed vectors into an orthonormal basis, one step at a time',
+      details: 'Each qᵢ is vᵢ minus its components along the earlier q\'s, rescaled to length 1',
+      config: {
+        dimension: 3,
+        mode: 'gram-schmidt',
+        vectors3d: [
+          { x: 2, y: 0, z: 0, id: 1 },
+          { x: 1, y: 2, z: 0, id: 2 },
+          { x: 0, y: 1, z: 2, id: 3 }
+        ]
+      }
+    },
+    {
+      name: 'Projection onto a Plane',
+      description: 'The closest point of a plane to p, with the residual standing perpendicular to it',
+      details: 'p̂ = Σ⟨p, qⱼ⟩qⱼ; the residual p − p̂ is orthogonal to every vector in the plane',
+      config: {
+        dimension: 3,
+        mode: 'projection',
+        vectors3d: [
+          { x: 2, y: 0, z: 0.5, id: 1 },
+          { x: 0.5, y: 2, z: 0, id: 2 }
+        ],
+        point: { x: 1, y: 1.5, z: 3 }
+      }
+    },
+    {
+      name: 'Change of Basis',
+      description: 'One point, two sets of coordinates: the standard axes and a skewed basis',
+      details: 'Coordinates in the basis solve Bc = p, with the basis vectors as the columns of B',
+      config: {
+        dimension: 2,
+        mode: 'change-of-basis',
+        vectors: [
+          { x: 80, y: 0, id: 1 },
+          { x: 40, y: -80, id: 2 }
+        ],
+        point: { x: 3, y: 2, z: 0 }
+      }
+    },
     {
       name: 'Polynomials P₂',
       description: 'All polynomials of degree ≤ 2',
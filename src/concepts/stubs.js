@@ -0,0 +1,58 @@
+/**
+ * CONCEPT STUBS
+ *
+ * Concepts that appear as prerequisites but have no page or tool yet.
+ * Declaring them lets the registry show a proper name for them, place them
+ * in the concept map and tell them apart from typos in prerequisite lists.
+ *
+ * When a concept here gets a full implementation, register it in
+ * `allConcepts` and delete its stub.
+ */
+
+import { LAYERS, DOMAINS } from '../types/concept.js';
+
+export const conceptStubs = [
+  // ==========================================================================
+  // OBJECTS
+  // ==========================================================================
+  { id: 'vectors', name: 'Vectors', layer: LAYERS.OBJECTS, domain: DOMAINS.LINEAR_ALGEBRA },
+  { id: 'matrices', name: 'Matrices', layer: LAYERS.OBJECTS, domain: DOMAINS.LINEAR_ALGEBRA },
+  { id: 'scalar-field', name: 'Scalar Fields', layer: LAYERS.OBJECTS, domain: DOMAINS.LINEAR_ALGEBRA },
+  { id: 'functions', name: 'Functions', layer: LAYERS.OBJECTS, domain: DOMAINS.CALCULUS },
+  { id: 'probability', name: 'Probability', layer: LAYERS.OBJECTS, domain: DOMAINS.PROBABILITY },
+  { id: 'random-variables', name: 'Random Variables', layer: LAYERS.OBJECTS, domain: DOMAINS.PROBABILITY },
+  { id: 'neural-networks', name: 'Neural Networks', layer: LAYERS.OBJECTS, domain: DOMAINS.DEEP_LEARNING },
+
+  // ==========================================================================
+  // STRUCTURES
+  // ==========================================================================
+  { id: 'differentiable-functions', name: 'Differentiable Functions', layer: LAYERS.STRUCTURES, domain: DOMAINS.CALCULUS },
+  { id: 'convex-sets', name: 'Convex Sets', layer: LAYERS.STRUCTURES, domain: DOMAINS.OPTIMIZATION },
+  { id: 'constraints', name: 'Constraints', layer: LAYERS.STRUCTURES, domain: DOMAINS.OPTIMIZATION },
+  { id: 'conditional-probability', name: 'Conditional Probability', layer: LAYERS.STRUCTURES, domain: DOMAINS.PROBABILITY },
+  { id: 'sampling-distributions', name: 'Sampling Distributions', layer: LAYERS.STRUCTURES, domain: DOMAINS.STATISTICS },
+  { id: 'computational-graphs', name: 'Computational Graphs', layer: LAYERS.STRUCTURES, domain: DOMAINS.DEEP_LEARNING },
+
+  // ==========================================================================
+  // RULES
+  // ==========================================================================
+  { id: 'derivatives', name: 'Derivatives', layer: LAYERS.RULES, domain: DOMAINS.CALCULUS },
+  { id: 'partial-derivatives', name: 'Partial Derivatives', layer: LAYERS.RULES, domain: DOMAINS.CALCULUS },
+  { id: 'chain-rule', name: 'Chain Rule', layer: LAYERS.RULES, domain: DOMAINS.CALCULUS },
+  { id: 'gradient-rules', name: 'Gradient Rules', layer: LAYERS.RULES, domain: DOMAINS.CALCULUS },
+  { id: 'dot-product', name: 'Dot Product', layer: LAYERS.RULES, domain: DOMAINS.LINEAR_ALGEBRA },
+  { id: 'bayes-theorem', name: "Bayes' Theorem", layer: LAYERS.RULES, domain: DOMAINS.PROBABILITY },
+  { id: 'law-of-large-numbers', name: 'Law of Large Numbers', layer: LAYERS.RULES, domain: DOMAINS.PROBABILITY },
+  { id: 'sigmoid-function', name: 'Sigmoid Function', layer: LAYERS.RULES, domain: DOMAINS.MACHINE_LEARNING },
+  { id: 'softmax', name: 'Softmax', layer: LAYERS.RULES, domain: DOMAINS.DEEP_LEARNING },
+
+  // ==========================================================================
+  // COMPUTATION
+  // ==========================================================================
+  { id: 'least-squares', name: 'Least Squares', layer: LAYERS.COMPUTATION, domain: DOMAINS.STATISTICS },
+  { id: 'maximum-likelihood', name: 'Maximum Likelihood', layer: LAYERS.COMPUTATION, domain: DOMAINS.STATISTICS },
+  { id: 'random-sampling', name: 'Random Sampling', layer: LAYERS.COMPUTATION, domain: DOMAINS.PROBABILITY },
+  { id: 'filters', name: 'Filters', layer: LAYERS.COMPUTATION, domain: DOMAINS.DEEP_LEARNING }
+];
+
+export default conceptStubs;
@@ -7,7 +7,13 @@
  * This is the "brain" of the dynamic concept architecture.
  */
 
-import { LAYERS, validateConcept } from '../types/concept.js';
+import {
+  LAYERS,
+  MISSING_PREREQUISITE_POLICIES,
+  validateConcept,
+  validateStub,
+  createStub
+} from '../types/concept.js';
 
 /**
  * ConceptRegistry class - Singleton pattern
@@ -20,10 +26,13 @@ class ConceptRegistry {
     }
 
     this.concepts = new Map(); // conceptId -> concept
+    this.stubs = new Map(); // conceptId -> stub (declared but not implemented)
+    this.missingReferences = new Map(); // undeclared prerequisite id -> Set of referencing conceptIds
     this.dependencyGraph = new Map(); // conceptId -> { prerequisites: Set, dependents: Set }
     this.layerIndex = new Map(); // layer -> Set of conceptIds
     this.domainIndex = new Map(); // domain -> Set of conceptIds
     this.initialized = false;
+    this.missingPrerequisitePolicy = MISSING_PREREQUISITE_POLICIES.EXTERNAL;
 
     ConceptRegistry.instance = this;
   }
@@ -52,8 +61,9 @@ class ConceptRegistry {
       return { success: false, errors: [error] };
     }
 
-    // Store concept
+    // Store concept (a full concept supersedes a stub with the same ID)
     this.concepts.set(concept.id, concept);
+    this.stubs.delete(concept.id);
 
     // Index by layer
     if (!this.layerIndex.has(concept.layer)) {
@@ -121,6 +131,71 @@ class ConceptRegistry {
     return results;
   }
 
+  /**
+   * Declare a stub for a concept that is referenced but not implemented yet
+   * @param {Object} stub - {id, name, layer, domain, description?}
+   * @returns {{success: boolean, errors: string[]}}
+   */
+  registerStub(stub) {
+    const validation = validateStub(stub);
+    if (!validation.valid) {
+      console.error(`Failed to register stub "${stub.id}":`, validation.errors);
+      return { success: false, errors: validation.errors };
+    }
+
+    if (this.concepts.has(stub.id) || this.stubs.has(stub.id)) {
+      const error = `Concept with id "${stub.id}" already exists`;
+      console.warn(error);
+      return { success: false, errors: [error] };
+    }
+
+    this.stubs.set(stub.id, createStub(stub));
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Declare multiple stubs at once
+   * @param {Object[]} stubs
+   * @returns {{successful: number, failed: number, errors: Object[]}}
+   */
+  registerStubs(stubs) {
+    const results = {
+      successful: 0,
+      failed: 0,
+      errors: []
+    };
+
+    stubs.forEach(stub => {
+      const result = this.registerStub(stub);
+      if (result.success) {
+        results.successful++;
+      } else {
+        results.failed++;
+        results.errors.push({
+          conceptId: stub.id,
+          errors: result.errors
+        });
+      }
+    });
+
+    if (results.successful > 0) {
+      this.buildDependencyGraph();
+    }
+
+    return results;
+  }
+
+  /**
+   * Set how prerequisites that are not registered concepts are treated
+   * @param {string} policy - One of MISSING_PREREQUISITE_POLICIES values
+   */
+  setMissingPrerequisitePolicy(policy) {
+    if (!Object.values(MISSING_PREREQUISITE_POLICIES).includes(policy)) {
+      throw new Error(`Unknown missing prerequisite policy: ${policy}`);
+    }
+    this.missingPrerequisitePolicy = policy;
+  }
+
   /**
    * Mark registry as initialized (prevents duplicate initialization)
    */
@@ -134,12 +209,26 @@ class ConceptRegistry {
 
   /**
    * Build the complete dependency graph
-   * Maps prerequisites to dependents (reverse lookup)
+   * Maps prerequisites to dependents (reverse lookup). Only concepts and
+   * declared stubs get graph nodes; undeclared prerequisite ids are recorded
+   * in `missingReferences` instead.
    */
   buildDependencyGraph() {
-    // Reset dependents
-    this.dependencyGraph.forEach(node => {
-      node.dependents.clear();
+    this.dependencyGraph.clear();
+    this.missingReferences.clear();
+
+    // One node per declared concept or stub
+    this.concepts.forEach((concept, conceptId) => {
+      this.dependencyGraph.set(conceptId, {
+        prerequisites: new Set(concept.prerequisites || []),
+        dependents: new Set()
+      });
+    });
+    this.stubs.forEach((stub, stubId) => {
+      this.dependencyGraph.set(stubId, {
+        prerequisites: new Set(),
+        dependents: new Set()
+      });
     });
 
     // Build reverse dependencies
@@ -147,14 +236,14 @@ class ConceptRegistry {
       const prerequisites = concept.prerequisites || [];
       
       prerequisites.forEach(prereqId => {
-        // Ensure prerequisite exists in graph
-        if (!this.dependencyGraph.has(prereqId)) {
-          this.dependencyGraph.set(prereqId, {
-            prerequisites: new Set(),
-            dependents: new Set()
-          });
+        if (!this.isDeclared(prereqId)) {
+          if (!this.missingReferences.has(prereqId)) {
+            this.missingReferences.set(prereqId, new Set());
+          }
+          this.missingReferences.get(prereqId).add(conceptId);
+          return;
         }
-        
+
         // Add this concept as a dependent of the prerequisite
         this.dependencyGraph.get(prereqId).dependents.add(conceptId);
       });
@@ -216,7 +305,47 @@ class ConceptRegistry {
    */
   arePrerequisitesMet(conceptId, completedConcepts = new Set()) {
     const prereqs = this.getPrerequisites(conceptId);
-    return prereqs.every(prereqId => completedConcepts.has(prereqId));
+    return prereqs.every(prereqId => this.isPrerequisiteSatisfied(prereqId, completedConcepts));
+  }
+
+  /**
+   * Check a single prerequisite, applying the missing prerequisite policy
+   * to ids that are not registered concepts
+   * @param {string} prereqId
+   * @param {Set<string>} completedConcepts
+   * @returns {boolean}
+   */
+  isPrerequisiteSatisfied(prereqId, completedConcepts = new Set()) {
+    if (completedConcepts.has(prereqId)) return true;
+    if (this.concepts.has(prereqId)) return false;
+
+    switch (this.missingPrerequisitePolicy) {
+      case MISSING_PREREQUISITE_POLICIES.IGNORE:
+        return true;
+      case MISSING_PREREQUISITE_POLICIES.EXTERNAL:
+        // Only declared stubs are known to be taught elsewhere
+        return this.stubs.has(prereqId);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Sort a concept's prerequisites by how they stand
+   * @param {string} conceptId
+   * @param {Set<string>} completedConcepts
+   * @returns {{met: boolean, unmet: string[], external: string[]}}
+   *   unmet: prerequisites still blocking the concept;
+   *   external: stubs taken as learned elsewhere under the EXTERNAL policy
+   */
+  getPrerequisiteStatus(conceptId, completedConcepts = new Set()) {
+    const prereqs = this.getPrerequisites(conceptId);
+    const unmet = prereqs.filter(prereqId => !this.isPrerequisiteSatisfied(prereqId, completedConcepts));
+    const external = this.missingPrerequisitePolicy === MISSING_PREREQUISITE_POLICIES.EXTERNAL
+      ? prereqs.filter(prereqId => !completedConcepts.has(prereqId) && this.stubs.has(prereqId))
+      : [];
+
+    return { met: unmet.length === 0, unmet, external };
   }
 
   /**
@@ -254,6 +383,52 @@ class ConceptRegistry {
     return this.concepts.get(conceptId) || null;
   }
 
+  /**
+   * Get a stub by ID
+   * @param {string} conceptId
+   * @returns {Object|null}
+   */
+  getStub(conceptId) {
+    return this.stubs.get(conceptId) || null;
+  }
+
+  /**
+   * Get all declared stubs
+   * @returns {Object[]}
+   */
+  getStubs() {
+    return Array.from(this.stubs.values());
+  }
+
+  /**
+   * Check if an ID is a declared stub
+   * @param {string} conceptId
+   * @returns {boolean}
+   */
+  isStub(conceptId) {
+    return this.stubs.has(conceptId);
+  }
+
+  /**
+   * Check if an ID is known to the registry, as a concept or a stub
+   * @param {string} conceptId
+   * @returns {boolean}
+   */
+  isDeclared(conceptId) {
+    return this.concepts.has(conceptId) || this.stubs.has(conceptId);
+  }
+
+  /**
+   * Get prerequisite ids that were referenced but never declared
+   * @returns {{id: string, referencedBy: string[]}[]}
+   */
+  getMissingReferences() {
+    return Array.from(this.missingReferences.entries()).map(([id, referencedBy]) => ({
+      id,
+      referencedBy: Array.from(referencedBy)
+    }));
+  }
+
   /**
    * Get all concepts
    * @returns {Object[]}
@@ -360,6 +535,8 @@ class ConceptRegistry {
 
   /**
    * Generate a learning path to reach a target concept
+   * Prerequisites that are not registered concepts (stubs or undeclared ids)
+   * are left out under the IGNORE policy and included otherwise.
    * @param {string} targetConceptId
    * @param {Set<string>} completedConcepts - Set of already completed concept IDs
    * @returns {string[]} Ordered array of concept IDs to study
@@ -367,9 +544,11 @@ class ConceptRegistry {
   generateLearningPath(targetConceptId, completedConcepts = new Set()) {
     const path = [];
     const visited = new Set([...completedConcepts]);
+    const ignoreMissing = this.missingPrerequisitePolicy === MISSING_PREREQUISITE_POLICIES.IGNORE;
 
     const addToPath = (conceptId) => {
       if (visited.has(conceptId)) return;
+      if (ignoreMissing && conceptId !== targetConceptId && !this.concepts.has(conceptId)) return;
       
       const prereqs = this.getPrerequisites(conceptId);
       
@@ -433,6 +612,8 @@ class ConceptRegistry {
   getStats() {
     const stats = {
       totalConcepts: this.concepts.size,
+      stubConcepts: this.stubs.size,
+      missingReferences: this.missingReferences.size,
       byLayer: {},
       byDomain: {},
       averagePrerequisites: 0,
@@ -477,11 +658,11 @@ class ConceptRegistry {
   checkHealth() {
     const issues = [];
 
-    // Check for missing prerequisites
+    // Check for missing prerequisites (declared stubs are fine)
     this.concepts.forEach((concept, conceptId) => {
       const prereqs = concept.prerequisites || [];
       prereqs.forEach(prereqId => {
-        if (!this.concepts.has(prereqId)) {
+        if (!this.isDeclared(prereqId)) {
           issues.push(`Concept "${conceptId}" references missing prerequisite "${prereqId}"`);
         }
       });
@@ -513,6 +694,69 @@ class ConceptRegistry {
     };
   }
 
+  /**
+   * Lint the whole registry: schema warnings for every concept, cross-references
+   * that don't resolve, and `enables` lists that disagree with the reverse of
+   * `prerequisites`. Errors are the checkHealth issues.
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+   */
+  lint() {
+    const errors = [...this.checkHealth().issues];
+    const warnings = [];
+
+    const checkReferences = (conceptId, ids, label) => {
+      if (ids.includes(conceptId)) {
+        warnings.push(`Concept "${conceptId}" lists itself in ${label}`);
+      }
+      const unknown = [...new Set(ids)].filter(refId => refId !== conceptId && !this.isDeclared(refId));
+      if (unknown.length > 0) {
+        warnings.push(`Concept "${conceptId}" has unresolved ${label}: ${unknown.join(', ')}`);
+      }
+    };
+
+    this.concepts.forEach((concept, conceptId) => {
+      // Schema
+      validateConcept(concept).warnings.forEach(warning => {
+        warnings.push(`Concept "${conceptId}": ${warning}`);
+      });
+
+      // Cross-references (missing prerequisites are already errors)
+      const prereqs = concept.prerequisites || [];
+      checkReferences(conceptId, concept.enables || [], 'enables');
+      checkReferences(conceptId, concept.relatedConcepts || [], 'relatedConcepts');
+      checkReferences(conceptId, concept.applications || [], 'applications');
+      Object.entries(concept.conceptConnections || {}).forEach(([kind, connections]) => {
+        checkReferences(conceptId, Object.keys(connections || {}), `conceptConnections.${kind}`);
+      });
+
+      Object.keys(concept.metadata?.prerequisites_explanation || {}).forEach(prereqId => {
+        if (!prereqs.includes(prereqId)) {
+          warnings.push(`Concept "${conceptId}" explains "${prereqId}" in metadata.prerequisites_explanation but does not list it as a prerequisite`);
+        }
+      });
+
+      // enables must mirror prerequisites between registered concepts
+      (concept.enables || []).forEach(targetId => {
+        const target = this.concepts.get(targetId);
+        if (target && !(target.prerequisites || []).includes(conceptId)) {
+          warnings.push(`Concept "${conceptId}" enables "${targetId}", but "${targetId}" does not list it as a prerequisite`);
+        }
+      });
+      prereqs.forEach(prereqId => {
+        const prereq = this.concepts.get(prereqId);
+        if (prereq && !(prereq.enables || []).includes(conceptId)) {
+          warnings.push(`Concept "${conceptId}" requires "${prereqId}", but "${prereqId}" does not list it in enables`);
+        }
+      });
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings
+    };
+  }
+
   // ==========================================================================
   // UTILITY METHODS
   // ==========================================================================
@@ -522,10 +766,13 @@ class ConceptRegistry {
    */
   clear() {
     this.concepts.clear();
+    this.stubs.clear();
+    this.missingReferences.clear();
     this.dependencyGraph.clear();
     this.layerIndex.clear();
     this.domainIndex.clear();
     this.initialized = false;
+    this.missingPrerequisitePolicy = MISSING_PREREQUISITE_POLICIES.EXTERNAL;
   }
 
   /**
@@ -538,6 +785,8 @@ class ConceptRegistry {
         ...concept,
         visualization: undefined // Can't serialize React components
       })),
+      stubs: this.getStubs(),
+      missingReferences: this.getMissingReferences(),
       stats: this.getStats(),
       health: this.checkHealth()
     };
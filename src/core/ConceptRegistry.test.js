@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import registry from './ConceptRegistry.js';
+import { MISSING_PREREQUISITE_POLICIES } from '../types/concept.js';
+import { fixtureConcepts, makeConcept } from '../test/fixtures.js';
+
+const ids = (concepts) => concepts.map(c => c.id);
+
+beforeEach(() => {
+  registry.clear();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+// ==========================================================================
+// REGISTRATION
+// ==========================================================================
+
+describe('registration', () => {
+  it('registers valid concepts and indexes them by layer and domain', () => {
+    const results = registry.registerBatch(fixtureConcepts);
+
+    expect(results).toEqual({ successful: 6, failed: 0, errors: [] });
+    expect(registry.get('vectors').name).toBe('Vectors');
+    expect(ids(registry.getByLayer('objects'))).toEqual(['vectors', 'matrices']);
+    expect(ids(registry.getByDomain('optimization'))).toEqual(['gradient']);
+    expect(ids(registry.getByLayerAndDomain('objects', 'linear-algebra'))).toEqual(['vectors', 'matrices']);
+  });
+
+  it('rejects invalid concepts with schema errors', () => {
+    const result = registry.register({ id: 'Not Kebab', name: 'Bad' });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain('id must be in kebab-case format (e.g., gradient-descent)');
+    expect(result.errors).toContain('Missing required field: layer');
+    expect(registry.get('Not Kebab')).toBeNull();
+  });
+
+  it('rejects duplicate IDs', () => {
+    registry.register(makeConcept({ id: 'vectors' }));
+    const result = registry.register(makeConcept({ id: 'vectors' }));
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/already exists/);
+  });
+
+  it('builds reverse dependencies', () => {
+    registry.registerBatch(fixtureConcepts);
+
+    expect(registry.getDependents('vectors').sort()).toEqual(['gradient', 'transform']);
+    expect(registry.getPrerequisites('regression')).toEqual(['transform', 'gradient']);
+    expect(registry.getPrerequisiteChain('regression')).toEqual(['vectors', 'matrices', 'transform', 'calculus', 'gradient']);
+  });
+
+  it('resets everything on clear', () => {
+    registry.registerBatch(fixtureConcepts);
+    registry.markInitialized();
+    registry.clear();
+
+    expect(registry.getAll()).toEqual([]);
+    expect(registry.getDependents('vectors')).toEqual([]);
+    expect(registry.initialized).toBe(false);
+  });
+});
+
+// ==========================================================================
+// STUBS & MISSING PREREQUISITES
+// ==========================================================================
+
+describe('stubs and missing prerequisites', () => {
+  beforeEach(() => {
+    registry.registerBatch([
+      makeConcept({ id: 'vectors' }),
+      makeConcept({ id: 'svd', prerequisites: ['vectors', 'eigenvalues', 'typo-id'] })
+    ]);
+    registry.registerStubs([{ id: 'eigenvalues', name: 'Eigenvalues', layer: 'structures', domain: 'linear-algebra' }]);
+  });
+
+  it('keeps stubs separate from concepts', () => {
+    expect(registry.get('eigenvalues')).toBeNull();
+    expect(registry.getStub('eigenvalues')).toMatchObject({ name: 'Eigenvalues', isStub: true });
+    expect(registry.isStub('eigenvalues')).toBe(true);
+    expect(registry.getMissingReferences()).toEqual([{ id: 'typo-id', referencedBy: ['svd'] }]);
+
+    const stats = registry.getStats();
+    expect(stats.totalConcepts).toBe(2);
+    expect(stats.stubConcepts).toBe(1);
+    expect(stats.missingReferences).toBe(1);
+  });
+
+  it('reports only undeclared prerequisites as health issues', () => {
+    const health = registry.checkHealth();
+
+    expect(health.healthy).toBe(false);
+    expect(health.issues).toEqual(['Concept "svd" references missing prerequisite "typo-id"']);
+  });
+
+  it('lets a full concept replace its stub', () => {
+    registry.registerBatch([makeConcept({ id: 'eigenvalues', layer: 'structures' })]);
+
+    expect(registry.isStub('eigenvalues')).toBe(false);
+    expect(registry.get('eigenvalues')).not.toBeNull();
+  });
+
+  it('applies the IGNORE policy', () => {
+    registry.setMissingPrerequisitePolicy(MISSING_PREREQUISITE_POLICIES.IGNORE);
+
+    expect(registry.arePrerequisitesMet('svd', new Set(['vectors']))).toBe(true);
+    expect(registry.generateLearningPath('svd')).toEqual(['vectors', 'svd']);
+  });
+
+  it('applies the BLOCK policy', () => {
+    registry.setMissingPrerequisitePolicy(MISSING_PREREQUISITE_POLICIES.BLOCK);
+
+    expect(registry.arePrerequisitesMet('svd', new Set(['vectors']))).toBe(false);
+    expect(registry.arePrerequisitesMet('svd', new Set(['vectors', 'eigenvalues', 'typo-id']))).toBe(true);
+    expect(registry.generateLearningPath('svd')).toEqual(['vectors', 'eigenvalues', 'typo-id', 'svd']);
+  });
+
+  it('applies the EXTERNAL policy by default', () => {
+    expect(registry.missingPrerequisitePolicy).toBe(MISSING_PREREQUISITE_POLICIES.EXTERNAL);
+    // The stub counts as learned elsewhere, the undeclared id still blocks
+    expect(registry.arePrerequisitesMet('svd', new Set(['vectors']))).toBe(false);
+    expect(registry.arePrerequisitesMet('svd', new Set(['vectors', 'typo-id']))).toBe(true);
+    expect(registry.generateLearningPath('svd')).toEqual(['vectors', 'eigenvalues', 'typo-id', 'svd']);
+  });
+
+  it('flags external prerequisites separately from unmet ones', () => {
+    const completed = new Set(['vectors']);
+    expect(registry.getPrerequisiteStatus('svd', completed))
+      .toEqual({ met: false, unmet: ['typo-id'], external: ['eigenvalues'] });
+
+    registry.setMissingPrerequisitePolicy(MISSING_PREREQUISITE_POLICIES.IGNORE);
+    expect(registry.getPrerequisiteStatus('svd', completed)).toEqual({ met: true, unmet: [], external: [] });
+
+    registry.setMissingPrerequisitePolicy(MISSING_PREREQUISITE_POLICIES.BLOCK);
+    expect(registry.getPrerequisiteStatus('svd', completed))
+      .toEqual({ met: false, unmet: ['eigenvalues', 'typo-id'], external: [] });
+  });
+
+  it('rejects unknown policies', () => {
+    expect(() => registry.setMissingPrerequisitePolicy('maybe')).toThrow(/Unknown missing prerequisite policy/);
+  });
+});
+
+// ==========================================================================
+// HEALTH & LINT
+// ==========================================================================
+
+describe('health checks', () => {
+  it('is healthy for an acyclic graph', () => {
+    registry.registerBatch(fixtureConcepts);
+    expect(registry.checkHealth()).toEqual({ healthy: true, issues: [] });
+  });
+
+  it('detects circular dependencies', () => {
+    registry.registerBatch([
+      makeConcept({ id: 'chicken', prerequisites: ['egg'] }),
+      makeConcept({ id: 'egg', prerequisites: ['chicken'] })
+    ]);
+
+    const health = registry.checkHealth();
+    expect(health.healthy).toBe(false);
+    expect(health.issues.some(issue => issue.startsWith('Circular dependency detected'))).toBe(true);
+  });
+
+  it('lints enables against reversed prerequisites', () => {
+    registry.registerBatch([
+      makeConcept({ id: 'a', enables: ['b', 'future-topic'] }),
+      makeConcept({ id: 'b' }),
+      makeConcept({ id: 'c', prerequisites: ['a'] })
+    ]);
+
+    const { valid, warnings } = registry.lint();
+    expect(valid).toBe(true);
+    expect(warnings).toEqual([
+      'Concept "a" has unresolved enables: future-topic',
+      'Concept "a" enables "b", but "b" does not list it as a prerequisite',
+      'Concept "c" requires "a", but "a" does not list it in enables'
+    ]);
+  });
+
+  it('includes schema warnings in the lint', () => {
+    registry.register(makeConcept({ id: 'a', metadata: { difficulty: 9 } }));
+
+    expect(registry.lint().warnings).toEqual(['Concept "a": metadata.difficulty must be between 1 and 5']);
+  });
+});
+
+// ==========================================================================
+// LEARNING PATHS & RECOMMENDATIONS
+// ==========================================================================
+
+describe('learning paths', () => {
+  beforeEach(() => {
+    registry.registerBatch(fixtureConcepts);
+  });
+
+  it('orders prerequisites before the concepts that need them', () => {
+    expect(registry.generateLearningPath('regression')).toEqual([
+      'vectors', 'matrices', 'transform', 'calculus', 'gradient', 'regression'
+    ]);
+  });
+
+  it('skips completed concepts', () => {
+    const completed = new Set(['vectors', 'matrices']);
+    expect(registry.generateLearningPath('regression', completed)).toEqual([
+      'transform', 'calculus', 'gradient', 'regression'
+    ]);
+  });
+
+  it('returns an empty path when the target is completed', () => {
+    expect(registry.generateLearningPath('vectors', new Set(['vectors']))).toEqual([]);
+  });
+
+  it('checks whether prerequisites are met', () => {
+    expect(registry.arePrerequisitesMet('transform', new Set(['vectors']))).toBe(false);
+    expect(registry.arePrerequisitesMet('transform', new Set(['vectors', 'matrices']))).toBe(true);
+    expect(registry.arePrerequisitesMet('vectors')).toBe(true);
+  });
+
+  it('lists concepts unlocked by completing a concept', () => {
+    expect(registry.getUnlockedConcepts('matrices', new Set(['vectors', 'matrices']))).toEqual(['transform']);
+    expect(registry.getUnlockedConcepts('matrices', new Set(['matrices']))).toEqual([]);
+  });
+});
+
+describe('recommendations', () => {
+  beforeEach(() => {
+    registry.registerBatch(fixtureConcepts);
+  });
+
+  it('recommends available concepts by layer, then difficulty', () => {
+    expect(ids(registry.getRecommendations())).toEqual(['vectors', 'matrices', 'calculus']);
+  });
+
+  it('moves on as concepts are completed', () => {
+    const completed = new Set(['vectors', 'matrices', 'calculus']);
+    expect(ids(registry.getRecommendations(completed))).toEqual(['transform', 'gradient']);
+  });
+
+  it('respects the limit', () => {
+    expect(registry.getRecommendations(new Set(), 1)).toHaveLength(1);
+  });
+});
+
+// ==========================================================================
+// QUERIES
+// ==========================================================================
+
+describe('queries', () => {
+  beforeEach(() => {
+    registry.registerBatch(fixtureConcepts);
+  });
+
+  it('searches names, tags and definitions', () => {
+    expect(ids(registry.search('VECT'))).toEqual(['vectors']);
+    expect(ids(registry.search('descent'))).toEqual(['gradient']);
+    expect(ids(registry.search('definition of calc'))).toEqual(['calculus']);
+  });
+
+  it('resolves enables to registered concepts', () => {
+    expect(ids(registry.getEnabledBy('vectors'))).toEqual(['transform', 'gradient']);
+  });
+
+  it('counts roots and leaves', () => {
+    const stats = registry.getStats();
+    expect(stats.totalConcepts).toBe(6);
+    expect(stats.rootConcepts).toBe(3);
+    expect(stats.leafConcepts).toBe(1);
+  });
+});
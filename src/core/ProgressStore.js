@@ -0,0 +1,428 @@
+/**
+ * LEARNER PROGRESS STORE
+ *
+ * Records which concepts the learner has completed, how much time they spent
+ * on each one and which tool they used last. Progress is persisted to
+ * localStorage and can be exported to / imported from a JSON file.
+ *
+ * The completed set it produces is what `ConceptPage`, `ConceptCard`,
+ * `calculateProgress`, `getUnlockableConcepts` and
+ * `registry.getUnlockedConcepts` expect as `completedConcepts`.
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+const STORAGE_KEY = 'applied-math-lab:progress';
+const FORMAT_VERSION = 1;
+
+/**
+ * Stored progress shape
+ *
+ * @typedef {Object} ProgressData
+ * @property {number} version - Format version
+ * @property {Object<string, ConceptProgress>} concepts - Progress per concept ID
+ * @property {string|null} lastTool - ID of the last opened tool
+ * @property {string|null} updatedAt - ISO timestamp of the last change
+ *
+ * @typedef {Object} ConceptProgress
+ * @property {string|null} completedAt - ISO timestamp, null when not completed
+ * @property {number} timeSpent - Milliseconds spent on the concept
+ * @property {string|null} lastVisited - ISO timestamp of the last visit
+ */
+
+// Date, optionally with a time and a UTC offset, as written by Date.prototype.toISOString
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Check an optional timestamp: null, an ISO date string or milliseconds since the epoch
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isTimestamp = (value) => {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isFinite(value) && !Number.isNaN(new Date(value).getTime());
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+};
+
+// Timestamp as an ISO string, so numeric timestamps from a file are stored like our own
+const toISOTimestamp = (value) => (typeof value === 'number' ? new Date(value).toISOString() : value ?? null);
+
+const createEmptyProgress = () => ({
+  version: FORMAT_VERSION,
+  concepts: {},
+  lastTool: null,
+  updatedAt: null
+});
+
+/**
+ * Validate progress data loaded from storage or an imported file
+ * @param {*} data
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateProgress = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['Progress must be an object'] };
+  }
+  if (data.version !== FORMAT_VERSION) {
+    errors.push(`Unsupported progress version: ${data.version}`);
+  }
+  if (!data.concepts || typeof data.concepts !== 'object' || Array.isArray(data.concepts)) {
+    errors.push('Missing "concepts" object');
+  } else {
+    Object.entries(data.concepts).forEach(([id, entry]) => {
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`Invalid entry for concept "${id}"`);
+      } else {
+        if (!Number.isFinite(entry.timeSpent) || entry.timeSpent < 0) {
+          errors.push(`Invalid timeSpent for concept "${id}"`);
+        }
+        ['completedAt', 'lastVisited'].forEach(field => {
+          if (!isTimestamp(entry[field])) {
+            errors.push(`Invalid ${field} for concept "${id}": expected an ISO date or a timestamp`);
+          }
+        });
+      }
+    });
+  }
+  if (data.lastTool !== null && data.lastTool !== undefined && typeof data.lastTool !== 'string') {
+    errors.push('"lastTool" must be a string or null');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * ProgressStore class - Singleton pattern
+ * Holds learner progress and notifies subscribers on every change
+ */
+class ProgressStore {
+  constructor(storage = globalThis.localStorage) {
+    if (ProgressStore.instance) {
+      return ProgressStore.instance;
+    }
+
+    this.storage = storage;
+    this.listeners = new Set();
+    this.data = this.load();
+    this.snapshot = this.createSnapshot();
+
+    ProgressStore.instance = this;
+  }
+
+  // ==========================================================================
+  // PERSISTENCE
+  // ==========================================================================
+
+  /**
+   * Load progress from storage, falling back to empty progress
+   * @returns {ProgressData}
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(STORAGE_KEY);
+      if (!raw) return createEmptyProgress();
+
+      const data = JSON.parse(raw);
+      const validation = validateProgress(data);
+      if (!validation.valid) {
+        console.warn('Ignoring stored progress:', validation.errors);
+        return createEmptyProgress();
+      }
+      return { ...createEmptyProgress(), ...data };
+    } catch (error) {
+      console.warn('Failed to load progress:', error);
+      return createEmptyProgress();
+    }
+  }
+
+  /**
+   * Write progress to storage
+   */
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('Failed to save progress:', error);
+    }
+  }
+
+  /**
+   * Apply a change, persist it and notify subscribers
+   * @param {Function} updater - Receives a copy of the data and mutates it
+   */
+  update(updater) {
+    const next = { ...this.data, concepts: { ...this.data.concepts } };
+    updater(next);
+    next.updatedAt = new Date().toISOString();
+
+    this.data = next;
+    this.snapshot = this.createSnapshot();
+    this.save();
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Get a copy of a concept's progress entry, creating an empty one if needed
+   * @param {ProgressData} data
+   * @param {string} conceptId
+   * @returns {ConceptProgress}
+   */
+  entryFor(data, conceptId) {
+    const entry = {
+      completedAt: null,
+      timeSpent: 0,
+      lastVisited: null,
+      ...data.concepts[conceptId]
+    };
+    data.concepts[conceptId] = entry;
+    return entry;
+  }
+
+  // ==========================================================================
+  // COMPLETION
+  // ==========================================================================
+
+  /**
+   * Mark a concept as completed
+   * @param {string} conceptId
+   */
+  markCompleted(conceptId) {
+    if (this.isCompleted(conceptId)) return;
+    this.update(data => {
+      this.entryFor(data, conceptId).completedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Mark a concept as not completed
+   * @param {string} conceptId
+   */
+  markIncomplete(conceptId) {
+    if (!this.isCompleted(conceptId)) return;
+    this.update(data => {
+      this.entryFor(data, conceptId).completedAt = null;
+    });
+  }
+
+  /**
+   * Toggle a concept's completion
+   * @param {string} conceptId
+   */
+  toggleCompleted(conceptId) {
+    if (this.isCompleted(conceptId)) {
+      this.markIncomplete(conceptId);
+    } else {
+      this.markCompleted(conceptId);
+    }
+  }
+
+  /**
+   * @param {string} conceptId
+   * @returns {boolean}
+   */
+  isCompleted(conceptId) {
+    return this.snapshot.completedConcepts.has(conceptId);
+  }
+
+  /**
+   * Get the set of completed concept IDs
+   * The same Set instance is returned until progress changes.
+   * @returns {Set<string>}
+   */
+  getCompletedConcepts() {
+    return this.snapshot.completedConcepts;
+  }
+
+  // ==========================================================================
+  // TIME & VISITS
+  // ==========================================================================
+
+  /**
+   * Add time spent on a concept
+   * @param {string} conceptId
+   * @param {number} ms - Milliseconds to add
+   */
+  addTimeSpent(conceptId, ms) {
+    if (!conceptId || !(ms > 0)) return;
+    this.update(data => {
+      const entry = this.entryFor(data, conceptId);
+      entry.timeSpent += Math.round(ms);
+      entry.lastVisited = new Date().toISOString();
+    });
+  }
+
+  /**
+   * @param {string} conceptId
+   * @returns {number} Milliseconds spent on the concept
+   */
+  getTimeSpent(conceptId) {
+    return this.data.concepts[conceptId]?.timeSpent || 0;
+  }
+
+  /**
+   * Remember the last opened tool
+   * @param {string} toolId
+   */
+  setLastTool(toolId) {
+    if (!toolId || this.data.lastTool === toolId) return;
+    this.update(data => {
+      data.lastTool = toolId;
+    });
+  }
+
+  /**
+   * @returns {string|null} ID of the last opened tool
+   */
+  getLastTool() {
+    return this.data.lastTool;
+  }
+
+  // ==========================================================================
+  // IMPORT / EXPORT
+  // ==========================================================================
+
+  /**
+   * Export progress as a JSON string
+   * @returns {string}
+   */
+  exportJSON() {
+    return JSON.stringify(this.data, null, 2);
+  }
+
+  /**
+   * Replace progress with an exported JSON string
+   * @param {string} json
+   * @returns {{success: boolean, errors: string[]}}
+   */
+  importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      return { success: false, errors: ['File is not valid JSON'] };
+    }
+
+    const validation = validateProgress(data);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    this.update(next => {
+      next.concepts = Object.fromEntries(Object.entries(data.concepts).map(([id, entry]) => [id, {
+        ...entry,
+        completedAt: toISOTimestamp(entry.completedAt),
+        lastVisited: toISOTimestamp(entry.lastVisited)
+      }]));
+      next.lastTool = data.lastTool ?? null;
+    });
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Clear all progress
+   */
+  reset() {
+    this.update(next => {
+      next.concepts = {};
+      next.lastTool = null;
+    });
+  }
+
+  // ==========================================================================
+  // SUBSCRIPTIONS
+  // ==========================================================================
+
+  /**
+   * Build the immutable view handed to React
+   * @returns {{data: ProgressData, completedConcepts: Set<string>}}
+   */
+  createSnapshot() {
+    const completedConcepts = new Set(
+      Object.entries(this.data.concepts)
+        .filter(([, entry]) => entry.completedAt)
+        .map(([id]) => id)
+    );
+    return { data: this.data, completedConcepts };
+  }
+
+  /**
+   * @returns {{data: ProgressData, completedConcepts: Set<string>}}
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Subscribe to progress changes
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// ==========================================================================
+// SINGLETON EXPORT
+// ==========================================================================
+
+/**
+ * Singleton instance of the progress store
+ * Use this throughout the application
+ */
+const progress = new ProgressStore();
+
+// ==========================================================================
+// REACT HOOKS
+// ==========================================================================
+
+const subscribe = (callback) => progress.subscribe(callback);
+const getSnapshot = () => progress.getSnapshot();
+
+/**
+ * React hook returning the current progress, re-rendering on changes
+ * @returns {{data: ProgressData, completedConcepts: Set<string>}}
+ */
+export const useProgress = () => useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+/**
+ * Record time spent on a concept while the calling component is mounted
+ * and the page is visible
+ * @param {string|null} conceptId
+ */
+export const useTimeTracking = (conceptId) => {
+  useEffect(() => {
+    if (!conceptId) return;
+
+    let startedAt = document.hidden ? null : Date.now();
+
+    const flush = () => {
+      if (startedAt !== null) {
+        progress.addTimeSpent(conceptId, Date.now() - startedAt);
+        startedAt = null;
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        flush();
+      } else {
+        startedAt = Date.now();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      flush();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+    };
+  }, [conceptId]);
+};
+
+export default progress;
+export { ProgressStore };
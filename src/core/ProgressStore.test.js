@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import progress, { validateProgress } from './ProgressStore.js';
+
+const exported = (concepts, extra = {}) => JSON.stringify({ version: 1, concepts, lastTool: null, updatedAt: null, ...extra });
+
+beforeEach(() => {
+  progress.reset();
+});
+
+// ==========================================================================
+// VALIDATION
+// ==========================================================================
+
+describe('validateProgress', () => {
+  it('accepts ISO dates, timestamps and null for completedAt', () => {
+    const entry = (completedAt) => ({ version: 1, concepts: { svd: { completedAt, timeSpent: 0 } } });
+
+    expect(validateProgress(entry('2026-03-01T12:30:00.000Z')).valid).toBe(true);
+    expect(validateProgress(entry('2026-03-01')).valid).toBe(true);
+    expect(validateProgress(entry(1767225600000)).valid).toBe(true);
+    expect(validateProgress(entry(null)).valid).toBe(true);
+  });
+
+  it('rejects malformed payloads', () => {
+    expect(validateProgress(null).errors).toEqual(['Progress must be an object']);
+    expect(validateProgress({ version: 2, concepts: {} }).errors).toEqual(['Unsupported progress version: 2']);
+    expect(validateProgress({ version: 1, concepts: [] }).errors).toEqual(['Missing "concepts" object']);
+    expect(validateProgress({ version: 1, concepts: {}, lastTool: 3 }).errors).toEqual(['"lastTool" must be a string or null']);
+    expect(validateProgress({ version: 1, concepts: { svd: { timeSpent: -1 } } }).errors)
+      .toEqual(['Invalid timeSpent for concept "svd"']);
+
+    ['yesterday', '2026-13-45', true, Infinity, {}].forEach(completedAt => {
+      expect(validateProgress({ version: 1, concepts: { svd: { completedAt, timeSpent: 0 } } }).errors)
+        .toEqual(['Invalid completedAt for concept "svd": expected an ISO date or a timestamp']);
+    });
+  });
+});
+
+// ==========================================================================
+// IMPORT / EXPORT
+// ==========================================================================
+
+describe('import and export', () => {
+  it('round-trips progress through JSON', () => {
+    progress.markCompleted('vectors');
+    progress.addTimeSpent('vectors', 1500);
+    progress.setLastTool('svd');
+    const json = progress.exportJSON();
+
+    progress.reset();
+    expect(progress.getCompletedConcepts().size).toBe(0);
+
+    expect(progress.importJSON(json)).toEqual({ success: true, errors: [] });
+    expect([...progress.getCompletedConcepts()]).toEqual(['vectors']);
+    expect(progress.getTimeSpent('vectors')).toBe(1500);
+    expect(progress.getLastTool()).toBe('svd');
+    expect(JSON.parse(progress.exportJSON()).concepts).toEqual(JSON.parse(json).concepts);
+  });
+
+  it('stores numeric timestamps as ISO dates', () => {
+    progress.importJSON(exported({ svd: { completedAt: 0, timeSpent: 10, lastVisited: null } }));
+
+    expect(progress.isCompleted('svd')).toBe(true);
+    expect(progress.getSnapshot().data.concepts.svd.completedAt).toBe('1970-01-01T00:00:00.000Z');
+  });
+
+  it('rejects malformed files and keeps the current progress', () => {
+    progress.markCompleted('vectors');
+
+    expect(progress.importJSON('{ not json')).toEqual({ success: false, errors: ['File is not valid JSON'] });
+    const result = progress.importJSON(exported({ svd: { completedAt: 'soon', timeSpent: 0 } }));
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['Invalid completedAt for concept "svd": expected an ISO date or a timestamp']);
+    expect([...progress.getCompletedConcepts()]).toEqual(['vectors']);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * PERMALINK STATE
+ *
+ * Lets visualizations keep their parameters in the URL so an exact
+ * configuration can be shared as a link and restored on load.
+ *
+ * Each visualization declares a parameter schema - a map of parameter name
+ * to a codec built with `param.*` - and swaps `useState` for
+ * `usePermalinkState(schema, name)` on the state it wants to share:
+ *
+ *   const PARAMS = {
+ *     learningRate: param.number(0.1, { min: 0.001, max: 1 }),
+ *     showPath: param.boolean(true)
+ *   };
+ *   const [learningRate, setLearningRate] = usePermalinkState(PARAMS, 'learningRate');
+ *
+ * Values live in the query part of the hash (#/tool/gradient-descent?learningRate=0.3).
+ * Parameters equal to their default are left out to keep links short.
+ *
+ * The same schema doubles as the visualization's `config` interface: passing
+ * a preset object (e.g. a concept example's `config`) as the third argument
+ * applies its matching keys whenever a new preset object is given.
+ */
+
+import { useState, useEffect } from 'react';
+import { splitHash } from './router.js';
+
+// ==========================================================================
+// CODECS
+// ==========================================================================
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parameter codec factories
+ * Every codec has a `default` value plus `encode(value) -> string` and
+ * `decode(string) -> value` (returning undefined for invalid input).
+ */
+export const param = {
+  /**
+   * Floating point number, optionally clamped and rounded
+   * @param {number} defaultValue
+   * @param {{min?: number, max?: number, precision?: number}} [options]
+   */
+  number: (defaultValue, { min = -Infinity, max = Infinity, precision = 4 } = {}) => ({
+    default: defaultValue,
+    encode: (value) => String(Number(value.toFixed(precision))),
+    decode: (str) => {
+      const value = Number(str);
+      return Number.isFinite(value) ? clamp(value, min, max) : undefined;
+    }
+  }),
+
+  /**
+   * Integer, optionally clamped
+   * @param {number} defaultValue
+   * @param {{min?: number, max?: number}} [options]
+   */
+  integer: (defaultValue, { min = -Infinity, max = Infinity } = {}) => ({
+    default: defaultValue,
+    encode: (value) => String(Math.round(value)),
+    decode: (str) => {
+      const value = parseInt(str, 10);
+      return Number.isFinite(value) ? clamp(value, min, max) : undefined;
+    }
+  }),
+
+  /**
+   * Boolean flag, encoded as 1/0
+   * @param {boolean} defaultValue
+   */
+  boolean: (defaultValue) => ({
+    default: defaultValue,
+    encode: (value) => (value ? '1' : '0'),
+    decode: (str) => {
+      if (str === '1' || str === 'true') return true;
+      if (str === '0' || str === 'false') return false;
+      return undefined;
+    }
+  }),
+
+  /**
+   * One of a fixed set of string values
+   * @param {string[]} values
+   * @param {string} defaultValue
+   */
+  oneOf: (values, defaultValue) => ({
+    default: defaultValue,
+    encode: (value) => String(value),
+    decode: (str) => (values.includes(str) ? str : undefined)
+  }),
+
+  /**
+   * Free text, rejected when longer than `maxLength`
+   * @param {string} defaultValue
+   * @param {{maxLength?: number}} [options]
+   */
+  string: (defaultValue, { maxLength = 200 } = {}) => ({
+    default: defaultValue,
+    encode: (value) => String(value),
+    decode: (str) => (str.length <= maxLength ? str : undefined)
+  }),
+
+  /**
+   * Arbitrary JSON-serializable value (arrays, points, matrices)
+   * @param {*} defaultValue
+   * @param {Function} [isValid] - Predicate run on the parsed value
+   */
+  json: (defaultValue, isValid = () => true) => ({
+    default: defaultValue,
+    encode: (value) => JSON.stringify(value),
+    decode: (str) => {
+      try {
+        const value = JSON.parse(str);
+        return isValid(value) ? value : undefined;
+      } catch {
+        return undefined;
+      }
+    }
+  })
+};
+
+// ==========================================================================
+// ENCODING
+// ==========================================================================
+
+/**
+ * Encode parameter values into a query object, skipping defaults
+ * @param {Object} schema - Map of parameter name to codec
+ * @param {Object} values - Map of parameter name to value
+ * @returns {Object} Map of parameter name to encoded string
+ */
+export const encodeParams = (schema, values) => {
+  const query = {};
+
+  Object.entries(schema).forEach(([key, codec]) => {
+    if (values[key] === undefined) return;
+
+    const encoded = codec.encode(values[key]);
+    if (encoded !== codec.encode(codec.default)) {
+      query[key] = encoded;
+    }
+  });
+
+  return query;
+};
+
+/**
+ * Decode parameter values from a query object, falling back to defaults
+ * @param {Object} schema - Map of parameter name to codec
+ * @param {Object} query - Map of parameter name to encoded string
+ * @returns {Object} Map of parameter name to value
+ */
+export const decodeParams = (schema, query) => {
+  const values = {};
+
+  Object.entries(schema).forEach(([key, codec]) => {
+    const decoded = query[key] !== undefined ? codec.decode(query[key]) : undefined;
+    values[key] = decoded !== undefined ? decoded : codec.default;
+  });
+
+  return values;
+};
+
+// ==========================================================================
+// URL ACCESS
+// ==========================================================================
+
+const WRITE_DELAY_MS = 150;
+const pendingWrites = new Map(); // path -> Map(key -> encoded value | null)
+let writeTimer = null;
+
+/**
+ * Apply pending parameter writes to the URL without adding history entries.
+ * Writes queued for a different route (the user navigated away) are dropped.
+ */
+const flushWrites = () => {
+  writeTimer = null;
+  const { path, query } = splitHash(window.location.hash);
+  const updates = pendingWrites.get(path);
+  pendingWrites.clear();
+  if (!updates) return;
+
+  updates.forEach((value, key) => {
+    if (value === null) {
+      delete query[key];
+    } else {
+      query[key] = value;
+    }
+  });
+
+  const search = new URLSearchParams(query).toString();
+  const hash = `#${path}${search ? `?${search}` : ''}`;
+  if (hash !== window.location.hash) {
+    window.history.replaceState(window.history.state, '', hash);
+  }
+};
+
+const scheduleWrite = (key, value) => {
+  const { path } = splitHash(window.location.hash);
+  if (!pendingWrites.has(path)) {
+    pendingWrites.set(path, new Map());
+  }
+  pendingWrites.get(path).set(key, value);
+
+  if (writeTimer === null) {
+    writeTimer = setTimeout(flushWrites, WRITE_DELAY_MS);
+  }
+};
+
+/**
+ * Read a single parameter from the current URL
+ * @param {Object} codec
+ * @param {string} key
+ * @returns {*} Decoded value, or the codec default
+ */
+export const readParam = (codec, key) => {
+  const { query } = splitHash(window.location.hash);
+  return decodeParams({ [key]: codec }, query)[key];
+};
+
+// ==========================================================================
+// REACT HOOK
+// ==========================================================================
+
+/**
+ * Drop-in replacement for useState that mirrors the value into the URL
+ * @param {Object} schema - The visualization's parameter schema
+ * @param {string} key - Parameter name in the schema
+ * @param {Object} [preset] - Config object; its `key` entry is applied when the object changes
+ * @returns {[*, Function]} Value and setter, like useState
+ */
+export const usePermalinkState = (schema, key, preset) => {
+  const codec = schema[key];
+  const [value, setValue] = useState(() => readParam(codec, key));
+
+  // Round-trip preset values through the codec so they get the same
+  // validation and clamping as values read from the URL
+  useEffect(() => {
+    if (!preset || preset[key] === undefined) return;
+
+    const presetValue = codec.decode(codec.encode(preset[key]));
+    if (presetValue !== undefined) {
+      setValue(presetValue);
+    }
+  }, [codec, key, preset]);
+
+  useEffect(() => {
+    const encoded = codec.encode(value);
+    scheduleWrite(key, encoded === codec.encode(codec.default) ? null : encoded);
+  }, [codec, key, value]);
+
+  return [value, setValue];
+};
+
+export default {
+  param,
+  encodeParams,
+  decodeParams,
+  readParam,
+  usePermalinkState
+};
@@ -0,0 +1,181 @@
+/**
+ * HASH ROUTER
+ *
+ * Minimal client-side router built on `location.hash`, so every screen is
+ * linkable, survives a refresh and works with the browser's back/forward
+ * buttons without any server configuration.
+ *
+ * Routes may carry a query string after the path (#/tool/svd?rank=1),
+ * used by visualizations to store their parameters (see permalink.js).
+ *
+ * Supported routes:
+ *   #/                       - Home
+ *   #/tool/:toolId           - Tool workspace
+ *   #/concept/:conceptId     - Concept page
+ *   #/path/to/:conceptId     - Learning path to a concept
+ *   #/graph[/:conceptId]     - Concept dependency graph, optionally centered on a concept
+ */
+
+import { useSyncExternalStore } from 'react';
+
+// ==========================================================================
+// ROUTE DEFINITIONS
+// ==========================================================================
+
+/**
+ * Route names
+ */
+export const ROUTES = {
+  HOME: 'home',
+  TOOL: 'tool',
+  CONCEPT: 'concept',
+  PATH: 'path',
+  GRAPH: 'graph'
+};
+
+/**
+ * Route patterns, matched in order against the hash path
+ */
+const ROUTE_PATTERNS = [
+  { name: ROUTES.TOOL, pattern: /^\/tool\/([a-z0-9-]+)\/?$/, params: ['toolId'] },
+  { name: ROUTES.CONCEPT, pattern: /^\/concept\/([a-z0-9-]+)\/?$/, params: ['conceptId'] },
+  { name: ROUTES.PATH, pattern: /^\/path\/to\/([a-z0-9-]+)\/?$/, params: ['conceptId'] },
+  { name: ROUTES.GRAPH, pattern: /^\/graph\/?$/, params: [] },
+  { name: ROUTES.GRAPH, pattern: /^\/graph\/([a-z0-9-]+)\/?$/, params: ['conceptId'] }
+];
+
+// ==========================================================================
+// PARSING & BUILDING
+// ==========================================================================
+
+/**
+ * Split a location hash into its path and query parts
+ * @param {string} hash - e.g. '#/tool/svd?rank=1'
+ * @returns {{path: string, query: Object}}
+ */
+export const splitHash = (hash = '') => {
+  const raw = hash.replace(/^#/, '');
+  const queryStart = raw.indexOf('?');
+  const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const search = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+
+  return {
+    path,
+    query: Object.fromEntries(new URLSearchParams(search))
+  };
+};
+
+/**
+ * Parse a location hash into a route
+ * Unknown paths, and paths with malformed percent-escapes, resolve to the home route.
+ * @param {string} hash - e.g. '#/tool/gradient-descent?learningRate=0.3'
+ * @returns {{name: string, params: Object, query: Object}}
+ */
+export const parseHash = (hash = '') => {
+  const { path: rawPath, query } = splitHash(hash);
+  let path;
+  try {
+    path = decodeURIComponent(rawPath) || '/';
+  } catch {
+    // A hand-edited or truncated link, e.g. '#/%E0%A4%A'
+    return { name: ROUTES.HOME, params: {}, query };
+  }
+
+  for (const route of ROUTE_PATTERNS) {
+    const match = path.match(route.pattern);
+    if (match) {
+      const params = {};
+      route.params.forEach((key, i) => {
+        params[key] = match[i + 1];
+      });
+      return { name: route.name, params, query };
+    }
+  }
+
+  return { name: ROUTES.HOME, params: {}, query };
+};
+
+/**
+ * Link to the home page
+ */
+export const homeHref = () => '#/';
+
+/**
+ * Link to a tool workspace
+ * @param {string} toolId
+ * @returns {string}
+ */
+export const toolHref = (toolId) => `#/tool/${encodeURIComponent(toolId)}`;
+
+/**
+ * Link to a concept page
+ * @param {string} conceptId
+ * @returns {string}
+ */
+export const conceptHref = (conceptId) => `#/concept/${encodeURIComponent(conceptId)}`;
+
+/**
+ * Link to the learning path for a concept
+ * @param {string} conceptId
+ * @returns {string}
+ */
+export const pathHref = (conceptId) => `#/path/to/${encodeURIComponent(conceptId)}`;
+
+/**
+ * Link to the concept graph, optionally centered on a concept
+ * @param {string} [conceptId]
+ * @returns {string}
+ */
+export const graphHref = (conceptId) => (
+  conceptId ? `#/graph/${encodeURIComponent(conceptId)}` : '#/graph'
+);
+
+// ==========================================================================
+// NAVIGATION
+// ==========================================================================
+
+/**
+ * Navigate to a hash link
+ * @param {string} href - Hash link built with one of the *Href helpers
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry instead of pushing
+ */
+export const navigate = (href, { replace = false } = {}) => {
+  // Links to the current screen are no-ops, so they don't drop its query parameters
+  if (splitHash(window.location.hash).path === splitHash(href).path) return;
+
+  if (replace) {
+    window.location.replace(href);
+  } else {
+    window.location.hash = href;
+  }
+};
+
+const subscribe = (callback) => {
+  window.addEventListener('hashchange', callback);
+  return () => window.removeEventListener('hashchange', callback);
+};
+
+const getHash = () => window.location.hash;
+
+/**
+ * React hook returning the current route, re-rendering on hash changes
+ * @returns {{name: string, params: Object, query: Object}}
+ */
+export const useRoute = () => {
+  const hash = useSyncExternalStore(subscribe, getHash, () => '');
+  return parseHash(hash);
+};
+
+export default {
+  ROUTES,
+  splitHash,
+  parseHash,
+  homeHref,
+  toolHref,
+  conceptHref,
+  pathHref,
+  graphHref,
+  navigate,
+  useRoute
+};
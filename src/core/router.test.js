@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { ROUTES, parseHash, splitHash, toolHref } from './router.js';
+
+describe('splitHash', () => {
+  it('separates the path from the query', () => {
+    expect(splitHash('#/tool/svd?rank=1&mode=pca')).toEqual({
+      path: '/tool/svd',
+      query: { rank: '1', mode: 'pca' }
+    });
+    expect(splitHash('')).toEqual({ path: '', query: {} });
+  });
+});
+
+describe('parseHash', () => {
+  it('matches each route and its parameters', () => {
+    expect(parseHash('#/')).toEqual({ name: ROUTES.HOME, params: {}, query: {} });
+    expect(parseHash(toolHref('svd') + '?rank=1')).toEqual({
+      name: ROUTES.TOOL, params: { toolId: 'svd' }, query: { rank: '1' }
+    });
+    expect(parseHash('#/concept/eigenvalues').params).toEqual({ conceptId: 'eigenvalues' });
+    expect(parseHash('#/path/to/svd').name).toBe(ROUTES.PATH);
+    expect(parseHash('#/graph')).toMatchObject({ name: ROUTES.GRAPH, params: {} });
+    expect(parseHash('#/graph/svd').params).toEqual({ conceptId: 'svd' });
+  });
+
+  it('falls back to home for unknown paths and malformed escapes', () => {
+    expect(parseHash('#/nowhere').name).toBe(ROUTES.HOME);
+    expect(() => parseHash('#/%E0%A4%A')).not.toThrow();
+    expect(parseHash('#/tool/%E0%A4%A?rank=2')).toEqual({
+      name: ROUTES.HOME, params: {}, query: { rank: '2' }
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * ACTIVATION FUNCTIONS
+ *
+ * Neural network non-linearities and their derivatives with respect to the
+ * pre-activation input.
+ */
+
+import { sigmoid } from './logistic.js';
+
+export { sigmoid };
+
+const LEAKY_SLOPE = 0.01;
+
+/**
+ * @param {number} x
+ * @returns {number} σ'(x) = σ(x)(1 - σ(x))
+ */
+export const sigmoidDerivative = (x) => {
+  const s = sigmoid(x);
+  return s * (1 - s);
+};
+
+/**
+ * @param {number} x
+ * @returns {number} max(0, x)
+ */
+export const relu = (x) => Math.max(0, x);
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+export const reluDerivative = (x) => (x > 0 ? 1 : 0);
+
+/**
+ * @param {number} x
+ * @returns {number} x for x > 0, otherwise 0.01x
+ */
+export const leakyRelu = (x) => (x > 0 ? x : LEAKY_SLOPE * x);
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+export const leakyReluDerivative = (x) => (x > 0 ? 1 : LEAKY_SLOPE);
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+export const tanh = (x) => Math.tanh(x);
+
+/**
+ * @param {number} x
+ * @returns {number} 1 - tanh²(x)
+ */
+export const tanhDerivative = (x) => 1 - Math.tanh(x) ** 2;
+
+/**
+ * @param {number} x
+ * @returns {number} x for x > 0, otherwise eˣ - 1
+ */
+export const elu = (x) => (x > 0 ? x : Math.exp(x) - 1);
+
+/**
+ * @param {number} x
+ * @returns {number}
+ */
+export const eluDerivative = (x) => (x > 0 ? 1 : Math.exp(x));
+
+/**
+ * @param {number} x
+ * @returns {number} x · σ(x)
+ */
+export const swish = (x) => x * sigmoid(x);
+
+/**
+ * @param {number} x
+ * @returns {number} σ(x) + x · σ(x)(1 - σ(x))
+ */
+export const swishDerivative = (x) => {
+  const s = sigmoid(x);
+  return s + x * s * (1 - s);
+};
+
+/**
+ * Softmax over a vector of scores
+ * Shifts by the max score first so large scores don't overflow.
+ * @param {number[]} scores
+ * @returns {number[]} Probabilities summing to 1
+ */
+export const softmax = (scores) => {
+  const maxScore = Math.max(...scores);
+  const expScores = scores.map(s => Math.exp(s - maxScore));
+  const sumExp = expScores.reduce((a, b) => a + b, 0);
+  return expScores.map(s => s / sumExp);
+};
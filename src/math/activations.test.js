@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sigmoid, sigmoidDerivative, relu, reluDerivative, leakyRelu, leakyReluDerivative,
+  tanh, tanhDerivative, elu, eluDerivative, swish, swishDerivative, softmax
+} from './activations.js';
+
+const PAIRS = {
+  sigmoid: [sigmoid, sigmoidDerivative],
+  relu: [relu, reluDerivative],
+  leakyRelu: [leakyRelu, leakyReluDerivative],
+  tanh: [tanh, tanhDerivative],
+  elu: [elu, eluDerivative],
+  swish: [swish, swishDerivative]
+};
+
+// Central difference
+const numericDerivative = (f, x, h = 1e-5) => (f(x + h) - f(x - h)) / (2 * h);
+
+describe('activation functions', () => {
+  it('have the expected values', () => {
+    expect(relu(-2)).toBe(0);
+    expect(relu(3)).toBe(3);
+    expect(leakyRelu(-2)).toBeCloseTo(-0.02, 12);
+    expect(elu(-1)).toBeCloseTo(Math.exp(-1) - 1, 12);
+    expect(swish(0)).toBe(0);
+    expect(tanh(0)).toBe(0);
+  });
+
+  Object.entries(PAIRS).forEach(([name, [fn, derivative]]) => {
+    it(`${name} derivative matches a finite difference`, () => {
+      // Avoid x = 0, where the piecewise functions have a kink
+      [-2.5, -0.7, 0.4, 1.9].forEach(x => {
+        expect(derivative(x)).toBeCloseTo(numericDerivative(fn, x), 6);
+      });
+    });
+  });
+});
+
+describe('softmax', () => {
+  it('returns probabilities that sum to one and keep the order', () => {
+    const probs = softmax([1, 2, 3]);
+    expect(probs.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+    expect(probs[2]).toBeGreaterThan(probs[1]);
+    expect(probs[1]).toBeGreaterThan(probs[0]);
+  });
+
+  it('is shift invariant and handles large scores', () => {
+    const probs = softmax([1000, 1001, 1002]);
+    softmax([0, 1, 2]).forEach((p, i) => expect(probs[i]).toBeCloseTo(p, 12));
+  });
+});
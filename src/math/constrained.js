@@ -0,0 +1,212 @@
+/**
+ * CONSTRAINED OPTIMIZATION
+ *
+ * Minimize f(x) subject to equality constraints c(x) = 0 and inequality
+ * constraints c(x) ≥ 0 with the augmented Lagrangian method. Signs follow
+ * L(x, λ) = f(x) - Σ λᵢcᵢ(x), so at a KKT point ∇f = Σ λᵢ∇cᵢ and inequality
+ * multipliers are non-negative.
+ *
+ * A problem is {f, gradient, constraints}, where f and gradient take a point
+ * (number array) and each constraint is {type: 'equality' | 'inequality', c, gradient}.
+ */
+
+import { add, scale, norm } from './vectors.js';
+import { compileExpression } from './expression.js';
+import { createSecondOrderState, secondOrderStep } from './secondOrder.js';
+
+// ============================================================================
+// CONSTRAINT PARSING
+// ============================================================================
+
+/**
+ * Parse a constraint such as "x + y = 2", "x^2 + y^2 <= 4" or "y >= x^2"
+ * Both sides are expressions; the result is normalized to c = 0 or c ≥ 0.
+ * @param {string} source - Constraint text with exactly one of =, <=, >=, ≤, ≥
+ * @param {string[]} [variables]
+ * @returns {{type: string, source: string, c: Function, gradient: Function}}
+ * @throws {Error} When the relation is missing or either side does not parse
+ */
+export const parseConstraint = (source, variables = ['x', 'y']) => {
+  const parts = String(source).split(/(<=|>=|≤|≥|=)/);
+  if (parts.length !== 3) {
+    throw new Error('Use exactly one of =, <= or >=');
+  }
+
+  const compileSide = (text, side) => {
+    try {
+      return compileExpression(text, variables);
+    } catch (error) {
+      throw new Error(`${side} side: ${error.message}`);
+    }
+  };
+  const [left, relation, right] = parts;
+  const lhs = compileSide(left, 'Left');
+  const rhs = compileSide(right, 'Right');
+
+  // c = lhs - rhs, flipped for ≤ so inequalities always read c ≥ 0
+  const sign = relation === '<=' || relation === '≤' ? -1 : 1;
+  return {
+    type: relation === '=' ? 'equality' : 'inequality',
+    source,
+    c: (point) => sign * (lhs.evaluate(...point) - rhs.evaluate(...point)),
+    gradient: (point) => {
+      const a = lhs.gradient(...point);
+      const b = rhs.gradient(...point);
+      return a.map((value, i) => sign * (value - b[i]));
+    }
+  };
+};
+
+// ============================================================================
+// KKT CONDITIONS
+// ============================================================================
+
+/**
+ * Measure how far a point and multipliers are from satisfying the KKT conditions
+ * @param {Object} problem
+ * @param {number[]} x - Point
+ * @param {number[]} multipliers - One λ per constraint
+ * @param {number} [tolerance] - Threshold for `satisfied` and `active`
+ * @returns {{stationarity: number, feasibility: number, dualFeasibility: number,
+ *   complementarity: number, active: boolean[], satisfied: boolean}}
+ *   Residuals ‖∇f - Σλᵢ∇cᵢ‖, worst constraint violation, most negative
+ *   inequality multiplier (as a positive number) and largest |λᵢcᵢ| over
+ *   inequalities; `active` marks constraints holding with equality
+ */
+export const kktConditions = (problem, x, multipliers, tolerance = 1e-5) => {
+  const residual = [...problem.gradient(x)];
+  let feasibility = 0;
+  let dualFeasibility = 0;
+  let complementarity = 0;
+
+  const active = problem.constraints.map((constraint, i) => {
+    const value = constraint.c(x);
+    const lambda = multipliers[i];
+    constraint.gradient(x).forEach((g, k) => {
+      residual[k] -= lambda * g;
+    });
+
+    if (constraint.type === 'equality') {
+      feasibility = Math.max(feasibility, Math.abs(value));
+      return true;
+    }
+    feasibility = Math.max(feasibility, -value);
+    dualFeasibility = Math.max(dualFeasibility, -lambda);
+    complementarity = Math.max(complementarity, Math.abs(lambda * value));
+    return Math.abs(value) <= tolerance;
+  });
+
+  const stationarity = norm(residual);
+  return {
+    stationarity,
+    feasibility,
+    dualFeasibility,
+    complementarity,
+    active,
+    satisfied: Math.max(stationarity, feasibility, dualFeasibility, complementarity) <= tolerance
+  };
+};
+
+// ============================================================================
+// AUGMENTED LAGRANGIAN
+// ============================================================================
+
+/**
+ * Augmented Lagrangian and its gradient for fixed multipliers and penalty
+ * Equalities add -λc + (ρ/2)c²; inequalities the same while λ - ρc > 0 and
+ * the constant -λ²/(2ρ) once the constraint is comfortably satisfied.
+ */
+const augmentedLagrangian = (problem, multipliers, rho) => ({
+  f: (x) => problem.constraints.reduce((sum, constraint, i) => {
+    const value = constraint.c(x);
+    const lambda = multipliers[i];
+    if (constraint.type === 'inequality' && lambda - rho * value <= 0) {
+      return sum - (lambda * lambda) / (2 * rho);
+    }
+    return sum - lambda * value + (rho / 2) * value * value;
+  }, problem.f(x)),
+
+  gradient: (x) => problem.constraints.reduce((sum, constraint, i) => {
+    const weight = constraint.type === 'equality'
+      ? multipliers[i] - rho * constraint.c(x)
+      : Math.max(0, multipliers[i] - rho * constraint.c(x));
+    return sum.map((value, k) => value - weight * constraint.gradient(x)[k]);
+  }, problem.gradient(x))
+});
+
+// Relative length of the probe past a stalled iterate that checks for the edge of the domain
+const DOMAIN_PROBE = 1e-6;
+
+/**
+ * Solve a constrained problem with the augmented Lagrangian method
+ * Each outer iteration minimizes the augmented Lagrangian with BFGS, then
+ * updates the multipliers (λ ← λ - ρc, clipped at 0 for inequalities) and
+ * raises the penalty ρ tenfold when the constraint violation stalls. The
+ * solver stops with 'left-domain' where f or a constraint is undefined (NaN
+ * or infinite, such as log of a negative number): at the start, or when BFGS
+ * stalls because the downhill direction runs out of the domain.
+ * @param {Object} problem
+ * @param {number[]} start - Initial point
+ * @param {{rho?: number, tolerance?: number, maxOuter?: number, maxInner?: number}} [options]
+ * @returns {{x: number[], multipliers: number[], converged: boolean, status: string,
+ *   iterations: {x: number[], multipliers: number[], rho: number, feasibility: number, innerSteps: number}[]}}
+ *   Solution, multipliers, whether the KKT conditions were met, and one record
+ *   per outer iteration; status is 'converged', 'left-domain', 'diverged' or 'iteration-limit'
+ */
+export const solveConstrained = (
+  problem,
+  start,
+  { rho: initialRho = 10, tolerance = 1e-6, maxOuter = 30, maxInner = 200 } = {}
+) => {
+  let x = [...start];
+  let multipliers = problem.constraints.map(() => 0);
+  let rho = initialRho;
+  let previousFeasibility = Infinity;
+  let leftDomain = false;
+  const iterations = [];
+
+  for (let outer = 0; outer < maxOuter; outer++) {
+    // Inner loop: unconstrained minimization of the augmented Lagrangian
+    const inner = augmentedLagrangian(problem, multipliers, rho);
+    const outside = (point) => !Number.isFinite(inner.f(point)) || !inner.gradient(point).every(Number.isFinite);
+    let state = createSecondOrderState(x.length);
+    let innerSteps = 0;
+    leftDomain = outside(x);
+    while (!leftDomain && innerSteps < maxInner && norm(inner.gradient(x)) > tolerance / 10) {
+      const next = secondOrderStep('bfgs', x, inner, state);
+      innerSteps++;
+      if (next.step === 0) {
+        const g = inner.gradient(x);
+        leftDomain = outside(add(x, scale(g, (-DOMAIN_PROBE * (1 + norm(x))) / norm(g))));
+        break;
+      }
+      ({ x, state } = next);
+    }
+
+    if (leftDomain) {
+      iterations.push({ x, multipliers, rho, feasibility: kktConditions(problem, x, multipliers).feasibility, innerSteps });
+      break;
+    }
+
+    multipliers = problem.constraints.map((constraint, i) => {
+      const updated = multipliers[i] - rho * constraint.c(x);
+      return constraint.type === 'equality' ? updated : Math.max(0, updated);
+    });
+
+    const { feasibility, satisfied } = kktConditions(problem, x, multipliers, tolerance);
+    iterations.push({ x, multipliers, rho, feasibility, innerSteps });
+    if (satisfied || !x.every(Number.isFinite)) break;
+
+    if (feasibility > 0.25 * previousFeasibility) rho = Math.min(rho * 10, 1e8);
+    previousFeasibility = feasibility;
+  }
+
+  const converged = kktConditions(problem, x, multipliers, tolerance * 10).satisfied;
+  let status = 'iteration-limit';
+  if (converged) status = 'converged';
+  else if (leftDomain) status = 'left-domain';
+  else if (!x.every(Number.isFinite)) status = 'diverged';
+
+  return { x, multipliers, converged, status, iterations };
+};
+
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { parseConstraint, kktConditions, solveConstrained } from './constrained.js';
+import { compileExpression } from './expression.js';
+
+// Problem from an objective and constraint strings
+const problem = (objective, constraints) => {
+  const { evaluate, gradient } = compileExpression(objective);
+  return {
+    f: (point) => evaluate(...point),
+    gradient: (point) => gradient(...point),
+    constraints: constraints.map(source => parseConstraint(source))
+  };
+};
+
+describe('parseConstraint', () => {
+  it('normalizes relations to c = 0 and c ≥ 0', () => {
+    const equality = parseConstraint('x + y = 2');
+    expect(equality.type).toBe('equality');
+    expect(equality.c([1, 3])).toBe(2);
+
+    const below = parseConstraint('x^2 + y^2 <= 4');
+    expect(below.type).toBe('inequality');
+    expect(below.c([0, 0])).toBe(4);
+    expect(below.gradient([1, 2])).toEqual([-2, -4]);
+
+    expect(parseConstraint('y ≥ x^2').c([1, 3])).toBe(2);
+  });
+
+  it('explains malformed constraints', () => {
+    expect(() => parseConstraint('x + y')).toThrow(/exactly one of/);
+    expect(() => parseConstraint('0 <= x <= 1')).toThrow(/exactly one of/);
+    expect(() => parseConstraint(' = 2')).toThrow(/Left side: Expression is empty/);
+    expect(() => parseConstraint('x >= foo')).toThrow(/Right side: Unknown name "foo"/);
+  });
+});
+
+describe('kktConditions', () => {
+  const p = problem('x^2 + y^2', ['x + y = 2', 'x <= 5']);
+
+  it('accepts the KKT point', () => {
+    const kkt = kktConditions(p, [1, 1], [2, 0]);
+    expect(kkt.satisfied).toBe(true);
+    expect(kkt.active).toEqual([true, false]);
+  });
+
+  it('reports each violated condition', () => {
+    const kkt = kktConditions(p, [1, 1], [1, -0.5]);
+    expect(kkt.stationarity).toBeGreaterThan(0.5);
+    expect(kkt.dualFeasibility).toBe(0.5);
+    expect(kkt.complementarity).toBe(2);
+    expect(kktConditions(p, [0, 0], [0, 0]).feasibility).toBe(2);
+  });
+});
+
+describe('solveConstrained', () => {
+  it('solves the classic equality-constrained problem', () => {
+    const { x, multipliers, converged } = solveConstrained(problem('x^2 + y^2', ['x + y = 2']), [-2, 2]);
+    expect(converged).toBe(true);
+    expect(x[0]).toBeCloseTo(1, 5);
+    expect(x[1]).toBeCloseTo(1, 5);
+    expect(multipliers[0]).toBeCloseTo(2, 4);
+  });
+
+  it('ignores an inactive inequality', () => {
+    const { x, multipliers } = solveConstrained(problem('(x - 1)^2 + (y - 1)^2', ['x^2 + y^2 <= 4']), [0, 0]);
+    expect(x[0]).toBeCloseTo(1, 5);
+    expect(x[1]).toBeCloseTo(1, 5);
+    expect(multipliers[0]).toBe(0);
+  });
+
+  it('finds a positive multiplier for an active inequality', () => {
+    const p = problem('(x - 2)^2 + (y - 2)^2', ['x^2 + y^2 <= 2']);
+    const { x, multipliers, converged } = solveConstrained(p, [0, 0]);
+    expect(converged).toBe(true);
+    expect(x[0]).toBeCloseTo(1, 5);
+    expect(x[1]).toBeCloseTo(1, 5);
+    expect(multipliers[0]).toBeCloseTo(1, 4);
+    expect(kktConditions(p, x, multipliers).active).toEqual([true]);
+  });
+
+  it('handles equality and inequality constraints together', () => {
+    // On the unit circle, the half-plane y ≥ 0.5 cuts off the unconstrained answer
+    const p = problem('x + y', ['x^2 + y^2 = 1', 'y >= 0.5']);
+    const { x, multipliers, converged } = solveConstrained(p, [1, 1]);
+    expect(converged).toBe(true);
+    expect(x[0]).toBeCloseTo(-Math.sqrt(3) / 2, 4);
+    expect(x[1]).toBeCloseTo(0.5, 4);
+    expect(multipliers[1]).toBeGreaterThan(0);
+  });
+
+  it('records one entry per outer iteration', () => {
+    const { iterations } = solveConstrained(problem('x^2 + y^2', ['x + y = 2']), [0, 0]);
+    expect(iterations.length).toBeGreaterThan(1);
+    expect(iterations[iterations.length - 1].feasibility).toBeLessThan(1e-6);
+    iterations.forEach(({ rho }) => expect(rho).toBeGreaterThanOrEqual(10));
+  });
+
+  it('reports a start outside the domain of the functions', () => {
+    const { status, converged, iterations } = solveConstrained(problem('x * log(x) + y^2', ['x + y = 3']), [-1, 2]);
+    expect(status).toBe('left-domain');
+    expect(converged).toBe(false);
+    expect(iterations).toHaveLength(1);
+    expect(iterations[0].x).toEqual([-1, 2]);
+  });
+
+  it('stops where the downhill direction leaves the domain', () => {
+    // sqrt(x) + y² pulls toward x + y = -1, which lies outside x ≥ 0
+    const { status, x } = solveConstrained(problem('sqrt(x) + y^2', ['x + y = -1']), [1, 1]);
+    expect(status).toBe('left-domain');
+    expect(x[0]).toBeGreaterThanOrEqual(0);
+    expect(x[0]).toBeLessThan(1e-6);
+  });
+
+  it('reports convergence as a status', () => {
+    expect(solveConstrained(problem('x^2 + y^2', ['x + y = 2']), [0, 0]).status).toBe('converged');
+    expect(solveConstrained(problem('x^2 + y^2', ['x + y = 2']), [0, 0], { maxOuter: 1 }).status).toBe('iteration-limit');
+  });
+});
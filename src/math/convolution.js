@@ -0,0 +1,65 @@
+/**
+ * 2D CONVOLUTION
+ *
+ * Image convolution as used by CNN layers (strictly cross-correlation: the
+ * kernel is not flipped).
+ */
+
+/**
+ * Output size of a convolution along one axis
+ * @param {number} inputSize
+ * @param {number} kernelSize
+ * @param {number} stride
+ * @param {number} padding - Zero padding on each side
+ * @returns {number}
+ */
+export const convolutionOutputSize = (inputSize, kernelSize, stride = 1, padding = 0) => {
+  return Math.floor((inputSize + 2 * padding - kernelSize) / stride) + 1;
+};
+
+/**
+ * Convolve a grayscale image with a square kernel
+ * Pixels outside the image count as 0 (zero padding) and results are
+ * clamped to the 0-255 pixel range.
+ * @param {number[][]} image - Rows of pixel values
+ * @param {number[][]} kernel - Square kernel
+ * @param {number} [stride]
+ * @param {number} [padding] - Zero padding on each side
+ * @returns {number[][]} Output image
+ */
+export const convolve = (image, kernel, stride = 1, padding = 0) => {
+  const inputHeight = image.length;
+  const inputWidth = image[0].length;
+  const kernelSize = kernel.length;
+
+  const outputHeight = convolutionOutputSize(inputHeight, kernelSize, stride, padding);
+  const outputWidth = convolutionOutputSize(inputWidth, kernelSize, stride, padding);
+
+  const output = [];
+
+  for (let y = 0; y < outputHeight; y++) {
+    const row = [];
+    for (let x = 0; x < outputWidth; x++) {
+      let sum = 0;
+
+      // Apply kernel
+      for (let ky = 0; ky < kernelSize; ky++) {
+        for (let kx = 0; kx < kernelSize; kx++) {
+          const inputY = y * stride + ky - padding;
+          const inputX = x * stride + kx - padding;
+
+          // Check bounds (with padding)
+          if (inputY >= 0 && inputY < inputHeight && inputX >= 0 && inputX < inputWidth) {
+            sum += image[inputY][inputX] * kernel[ky][kx];
+          }
+        }
+      }
+
+      // Clamp to 0-255 range
+      row.push(Math.max(0, Math.min(255, sum)));
+    }
+    output.push(row);
+  }
+
+  return output;
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { convolve, convolutionOutputSize } from './convolution.js';
+
+const IDENTITY = [[0, 0, 0], [0, 1, 0], [0, 0, 0]];
+const BOX = [[1, 1, 1], [1, 1, 1], [1, 1, 1]].map(row => row.map(v => v / 9));
+
+const image = [
+  [10, 20, 30, 40],
+  [50, 60, 70, 80],
+  [90, 100, 110, 120],
+  [130, 140, 150, 160]
+];
+
+describe('convolutionOutputSize', () => {
+  it('follows (n + 2p - k) / s + 1', () => {
+    expect(convolutionOutputSize(32, 3)).toBe(30);
+    expect(convolutionOutputSize(32, 3, 1, 1)).toBe(32);
+    expect(convolutionOutputSize(32, 3, 2, 0)).toBe(15);
+  });
+});
+
+describe('convolve', () => {
+  it('leaves the image unchanged with the identity kernel and padding 1', () => {
+    expect(convolve(image, IDENTITY, 1, 1)).toEqual(image);
+  });
+
+  it('crops to the valid region without padding', () => {
+    expect(convolve(image, IDENTITY)).toEqual([[60, 70], [100, 110]]);
+  });
+
+  it('averages with a box kernel', () => {
+    const [[topLeft]] = convolve(image, BOX);
+    expect(topLeft).toBeCloseTo(60, 10);
+  });
+
+  it('treats padding as zeros', () => {
+    const [[corner]] = convolve(image, BOX, 1, 1);
+    expect(corner).toBeCloseTo((10 + 20 + 50 + 60) / 9, 10);
+  });
+
+  it('skips pixels with stride', () => {
+    expect(convolve(image, IDENTITY, 2, 1)).toEqual([[10, 30], [90, 110]]);
+  });
+
+  it('clamps to the 0-255 pixel range', () => {
+    const edge = [[-1, -1, -1], [-1, 8, -1], [-1, -1, -1]];
+    const spike = [[0, 0, 0], [0, 255, 0], [0, 0, 0]];
+    expect(convolve(spike, edge, 1, 1)[1][1]).toBe(255);
+    expect(convolve(spike, edge, 1, 1)[0][0]).toBe(0);
+  });
+});
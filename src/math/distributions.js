@@ -0,0 +1,146 @@
+/**
+ * PROBABILITY DISTRIBUTIONS
+ *
+ * Densities (PDF), mass functions (PMF) and cumulative distribution
+ * functions (CDF) shared by the probability and statistics visualizations.
+ * Sampling lives in ./random.js.
+ */
+
+import { erf, logBeta, logFactorial, binomialCoefficient } from './special.js';
+
+// ============================================================================
+// CONTINUOUS
+// ============================================================================
+
+/**
+ * Normal density
+ * @param {number} x
+ * @param {number} [mean]
+ * @param {number} [std] - Standard deviation > 0
+ * @returns {number}
+ */
+export const normalPDF = (x, mean = 0, std = 1) => {
+  const z = (x - mean) / std;
+  return Math.exp(-0.5 * z * z) / (std * Math.sqrt(2 * Math.PI));
+};
+
+/**
+ * Normal cumulative distribution function
+ * @param {number} x
+ * @param {number} [mean]
+ * @param {number} [std] - Standard deviation > 0
+ * @returns {number}
+ */
+export const normalCDF = (x, mean = 0, std = 1) => {
+  return 0.5 * (1 + erf((x - mean) / (std * Math.SQRT2)));
+};
+
+/**
+ * Exponential density
+ * @param {number} x
+ * @param {number} rate - λ > 0
+ * @returns {number}
+ */
+export const exponentialPDF = (x, rate) => (x < 0 ? 0 : rate * Math.exp(-rate * x));
+
+/**
+ * Exponential cumulative distribution function
+ * @param {number} x
+ * @param {number} rate - λ > 0
+ * @returns {number}
+ */
+export const exponentialCDF = (x, rate) => (x < 0 ? 0 : 1 - Math.exp(-rate * x));
+
+/**
+ * Uniform density on [a, b]
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export const uniformPDF = (x, a, b) => (x < a || x > b ? 0 : 1 / (b - a));
+
+/**
+ * Uniform cumulative distribution function on [a, b]
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export const uniformCDF = (x, a, b) => {
+  if (x < a) return 0;
+  if (x > b) return 1;
+  return (x - a) / (b - a);
+};
+
+/**
+ * Beta distribution density
+ * @param {number} x - Point in [0, 1]
+ * @param {number} alpha - Shape α > 0
+ * @param {number} beta - Shape β > 0
+ * @returns {number} Density at x (0 outside the open interval (0, 1))
+ */
+export const betaPDF = (x, alpha, beta) => {
+  if (x <= 0 || x >= 1) return 0;
+
+  // Using logarithms to avoid overflow
+  const logPDF = (alpha - 1) * Math.log(x) + (beta - 1) * Math.log(1 - x) - logBeta(alpha, beta);
+  return Math.exp(logPDF);
+};
+
+// ============================================================================
+// DISCRETE
+// ============================================================================
+
+/**
+ * Binomial probability mass P(X = k), X ~ Bin(n, p)
+ * @param {number} k
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability
+ * @returns {number} 0 for non-integer or out-of-range k
+ */
+export const binomialPMF = (k, n, p) => {
+  if (k < 0 || k > n || !Number.isInteger(k)) return 0;
+  return binomialCoefficient(n, k) * Math.pow(p, k) * Math.pow(1 - p, n - k);
+};
+
+/**
+ * Binomial cumulative distribution P(X ≤ x)
+ * @param {number} x
+ * @param {number} n
+ * @param {number} p
+ * @returns {number}
+ */
+export const binomialCDF = (x, n, p) => {
+  let sum = 0;
+  for (let k = 0; k <= Math.floor(x) && k <= n; k++) {
+    sum += binomialPMF(k, n, p);
+  }
+  return sum;
+};
+
+/**
+ * Poisson probability mass P(X = k), X ~ Poisson(λ)
+ * Computed in log space so large k doesn't overflow.
+ * @param {number} k
+ * @param {number} rate - λ > 0
+ * @returns {number} 0 for non-integer or negative k
+ */
+export const poissonPMF = (k, rate) => {
+  if (k < 0 || !Number.isInteger(k)) return 0;
+  return Math.exp(k * Math.log(rate) - rate - logFactorial(k));
+};
+
+/**
+ * Poisson cumulative distribution P(X ≤ x)
+ * @param {number} x
+ * @param {number} rate - λ > 0
+ * @returns {number}
+ */
+export const poissonCDF = (x, rate) => {
+  let sum = 0;
+  for (let k = 0; k <= Math.floor(x); k++) {
+    sum += poissonPMF(k, rate);
+  }
+  return sum;
+};
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  betaPDF, normalPDF, normalCDF, exponentialPDF, exponentialCDF, uniformPDF, uniformCDF,
+  binomialPMF, binomialCDF, poissonPMF, poissonCDF
+} from './distributions.js';
+import { gamma, logGamma, logBeta } from './special.js';
+
+// Midpoint rule over (a, b)
+const integrate = (f, steps = 20000, a = 0, b = 1) => {
+  const h = (b - a) / steps;
+  let sum = 0;
+  for (let i = 0; i < steps; i++) sum += f(a + (i + 0.5) * h);
+  return sum * h;
+};
+
+const sumTo = (n, f) => {
+  let sum = 0;
+  for (let k = 0; k <= n; k++) sum += f(k);
+  return sum;
+};
+
+describe('gamma', () => {
+  it('matches factorials at integers', () => {
+    expect(gamma(1)).toBe(1);
+    expect(gamma(5)).toBe(24);
+    expect(gamma(10)).toBe(362880);
+  });
+
+  it('matches known half-integer values', () => {
+    expect(gamma(0.5)).toBeCloseTo(Math.sqrt(Math.PI), 12);
+    expect(gamma(2.5)).toBeCloseTo(0.75 * Math.sqrt(Math.PI), 12);
+  });
+});
+
+describe('logGamma', () => {
+  it('agrees with log(gamma) for moderate values', () => {
+    [0.3, 1.7, 4.2, 11.5, 12.5, 30].forEach(z => {
+      expect(logGamma(z)).toBeCloseTo(Math.log(gamma(z)), 9);
+    });
+  });
+
+  it('stays finite for large arguments', () => {
+    // ln(100!) = ln Γ(101)
+    expect(logGamma(101)).toBeCloseTo(363.73937555556347, 8);
+  });
+
+  it('gives log B(a, b)', () => {
+    expect(logBeta(2, 3)).toBeCloseTo(Math.log(1 / 12), 12);
+  });
+});
+
+describe('betaPDF', () => {
+  it('is uniform for Beta(1, 1)', () => {
+    expect(betaPDF(0.3, 1, 1)).toBeCloseTo(1, 12);
+  });
+
+  it('matches the closed form for Beta(2, 3)', () => {
+    // 12 x (1 - x)^2
+    expect(betaPDF(0.4, 2, 3)).toBeCloseTo(12 * 0.4 * 0.36, 12);
+  });
+
+  it('is zero outside the open unit interval', () => {
+    expect(betaPDF(0, 2, 2)).toBe(0);
+    expect(betaPDF(1, 2, 2)).toBe(0);
+    expect(betaPDF(-0.5, 2, 2)).toBe(0);
+  });
+
+  it('integrates to one, including large posterior parameters', () => {
+    [[2, 5], [30, 70], [250, 400]].forEach(([a, b]) => {
+      expect(integrate(x => betaPDF(x, a, b))).toBeCloseTo(1, 4);
+    });
+  });
+});
+
+describe('continuous distributions', () => {
+  it('normal density integrates to one and peaks at the mean', () => {
+    expect(integrate(x => normalPDF(x, 1, 2), 20000, -19, 21)).toBeCloseTo(1, 6);
+    expect(normalPDF(0)).toBeCloseTo(1 / Math.sqrt(2 * Math.PI), 12);
+    expect(normalPDF(1, 1, 2)).toBeGreaterThan(normalPDF(2, 1, 2));
+  });
+
+  it('normal CDF matches reference values', () => {
+    expect(normalCDF(0)).toBeCloseTo(0.5, 7);
+    expect(normalCDF(1.96)).toBeCloseTo(0.9750021, 6);
+    expect(normalCDF(-1)).toBeCloseTo(0.1586553, 6);
+    expect(normalCDF(7, 5, 2)).toBeCloseTo(normalCDF(1), 12);
+  });
+
+  it('exponential and uniform CDFs integrate their densities', () => {
+    expect(integrate(x => exponentialPDF(x, 1.5), 20000, 0, 2)).toBeCloseTo(exponentialCDF(2, 1.5), 6);
+    expect(exponentialCDF(-1, 1.5)).toBe(0);
+    expect(uniformPDF(2, 1, 5)).toBe(0.25);
+    expect(uniformPDF(6, 1, 5)).toBe(0);
+    expect(uniformCDF(2, 1, 5)).toBe(0.25);
+    expect(uniformCDF(9, 1, 5)).toBe(1);
+  });
+});
+
+describe('discrete distributions', () => {
+  it('binomial probabilities sum to one', () => {
+    expect(sumTo(20, k => binomialPMF(k, 20, 0.3))).toBeCloseTo(1, 12);
+    expect(binomialCDF(20, 20, 0.3)).toBeCloseTo(1, 12);
+  });
+
+  it('binomial mass matches the closed form', () => {
+    expect(binomialPMF(2, 4, 0.5)).toBeCloseTo(6 / 16, 12);
+    expect(binomialPMF(2.5, 4, 0.5)).toBe(0);
+    expect(binomialPMF(5, 4, 0.5)).toBe(0);
+  });
+
+  it('poisson probabilities sum to one, even for large counts', () => {
+    expect(sumTo(60, k => poissonPMF(k, 3))).toBeCloseTo(1, 12);
+    expect(poissonCDF(60, 3)).toBeCloseTo(1, 12);
+    expect(poissonPMF(2, 3)).toBeCloseTo(9 * Math.exp(-3) / 2, 12);
+    expect(poissonPMF(1.5, 3)).toBe(0);
+  });
+});
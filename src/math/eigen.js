@@ -0,0 +1,480 @@
+/**
+ * EIGENVALUES
+ *
+ * Closed-form eigenvalues for 2×2 and 3×3 matrices (from the characteristic
+ * polynomial), the Francis double-shift QR algorithm for square matrices of
+ * any size and power iteration. Eigenvectors come from the null space of A - λI.
+ */
+
+import { normalize, norm, dot, scale, add, subtract } from './vectors.js';
+import { trace, determinant, nullSpace, multiply, multiplyVector, spanOf } from './matrices.js';
+import { qrDecomposition } from './orthogonality.js';
+
+/**
+ * An eigenvalue, possibly complex
+ * @typedef {Object} Eigenvalue
+ * @property {number} re - Real part
+ * @property {number} im - Imaginary part (0 for real eigenvalues)
+ */
+
+/**
+ * An eigenvalue with its eigenvectors
+ * @typedef {Object} Eigenpair
+ * @property {number} value - Eigenvalue
+ * @property {number[][]} vectors - Unit basis of the eigenspace
+ */
+
+/**
+ * An eigenvalue, possibly complex, with its eigenvectors
+ * @typedef {Object} ComplexEigenpair
+ * @property {Eigenvalue} value
+ * @property {number} multiplicity - Algebraic multiplicity
+ * @property {{re: number[], im: number[]}[]} vectors - Basis of the eigenspace.
+ *   Real eigenvectors have unit length and a zero imaginary part; complex ones
+ *   are scaled so their largest entry is exactly 1.
+ */
+
+const ROOT_TOLERANCE = 1e-9;
+
+/**
+ * Real cube root
+ */
+const cbrt = (x) => Math.sign(x) * Math.abs(x) ** (1 / 3);
+
+/**
+ * Roots of x³ + bx² + cx + d
+ * @returns {Eigenvalue[]}
+ */
+const cubicRoots = (b, c, d) => {
+  // Depressed cubic t³ + pt + q with x = t - b/3
+  const shift = -b / 3;
+  const p = c - (b * b) / 3;
+  const q = (2 * b * b * b) / 27 - (b * c) / 3 + d;
+  const discriminant = (q * q) / 4 + (p * p * p) / 27;
+  // Relative to the two terms it is the difference of, plus the round-off p and
+  // q pick up near a triple root (size bounds the magnitude of the roots)
+  const size = Math.max(Math.abs(b), Math.sqrt(Math.abs(c)), cbrt(Math.abs(d)));
+  const noise = (64 * Number.EPSILON * size ** 3) ** 2;
+
+  if (Math.abs(discriminant) <= ROOT_TOLERANCE * Math.max((q * q) / 4, Math.abs(p * p * p) / 27) + noise) {
+    // Repeated roots: a triple root at t = 0 once p vanishes too, otherwise a
+    // double root at -3q/2p and a simple one at 3q/p (no cube root to amplify noise)
+    if (Math.abs(p * p * p) / 27 <= noise) return [shift, shift, shift].map(re => ({ re, im: 0 }));
+    const double = (-3 * q) / (2 * p);
+    return [-2 * double + shift, double + shift, double + shift].map(re => ({ re, im: 0 }));
+  }
+
+  if (discriminant < 0) {
+    // Three distinct real roots (trigonometric form)
+    const r = 2 * Math.sqrt(-p / 3);
+    const phi = Math.acos(Math.max(-1, Math.min(1, (3 * q) / (p * r))));
+    return [0, 1, 2].map(k => ({ re: r * Math.cos(phi / 3 - (2 * Math.PI * k) / 3) + shift, im: 0 }));
+  }
+
+  // One real root and a complex conjugate pair (Cardano)
+  const sqrtD = Math.sqrt(discriminant);
+  const u = cbrt(-q / 2 + sqrtD);
+  const v = cbrt(-q / 2 - sqrtD);
+  const re = -(u + v) / 2 + shift;
+  const im = (Math.sqrt(3) / 2) * Math.abs(u - v);
+  return [{ re: u + v + shift, im: 0 }, { re, im }, { re, im: -im }];
+};
+
+/**
+ * Sort order for eigenvalues: real ones first, each group by decreasing real part
+ */
+const compareEigenvalues = (a, b) => (
+  (a.im === 0) === (b.im === 0) ? b.re - a.re : (a.im === 0 ? -1 : 1)
+);
+
+/**
+ * Eigenvalues of the 2×2 block [[a, b], [c, d]]
+ * @returns {Eigenvalue[]}
+ */
+const blockEigenvalues = (a, b, c, d) => {
+  const half = (a + d) / 2;
+  const discriminant = ((a - d) / 2) ** 2 + b * c;
+  if (discriminant >= 0) {
+    const root = Math.sqrt(discriminant);
+    return [{ re: half + root, im: 0 }, { re: half - root, im: 0 }];
+  }
+  const im = Math.sqrt(-discriminant);
+  return [{ re: half, im }, { re: half, im: -im }];
+};
+
+/**
+ * Eigenvalues of a 2×2 or 3×3 matrix, real ones first in decreasing order
+ * @param {number[][]} A
+ * @returns {Eigenvalue[]}
+ */
+export const eigenvalues = (A) => {
+  const n = A.length;
+  const tr = trace(A);
+  const det = determinant(A);
+  let values;
+
+  if (n === 1) {
+    values = [{ re: A[0][0], im: 0 }];
+  } else if (n === 2) {
+    // λ² - tr·λ + det = 0
+    const half = tr / 2;
+    const discriminant = half * half - det;
+    if (discriminant >= -ROOT_TOLERANCE * Math.max(1, half * half)) {
+      const root = Math.sqrt(Math.max(0, discriminant));
+      values = [{ re: half + root, im: 0 }, { re: half - root, im: 0 }];
+    } else {
+      const im = Math.sqrt(-discriminant);
+      values = [{ re: half, im }, { re: half, im: -im }];
+    }
+  } else if (n === 3) {
+    // λ³ - tr·λ² + c·λ - det = 0, c = sum of principal 2×2 minors
+    const c = (A[0][0] * A[1][1] - A[0][1] * A[1][0])
+      + (A[0][0] * A[2][2] - A[0][2] * A[2][0])
+      + (A[1][1] * A[2][2] - A[1][2] * A[2][1]);
+    values = cubicRoots(-tr, c, -det);
+  } else {
+    throw new Error(`eigenvalues supports 1×1 to 3×3 matrices, got ${n}×${n}`);
+  }
+
+  return values.sort(compareEigenvalues);
+};
+
+/**
+ * Real eigenvalues with their eigenvectors
+ * Repeated eigenvalues are listed once with every independent eigenvector,
+ * so a defective matrix (like a shear) shows fewer vectors than its size.
+ * @param {number[][]} A - 2×2 or 3×3
+ * @returns {Eigenpair[]}
+ */
+export const realEigenpairs = (A) => {
+  const distinct = [];
+
+  eigenvalues(A)
+    .filter(({ im }) => im === 0)
+    .forEach(({ re }) => {
+      if (!distinct.some(value => Math.abs(value - re) <= 1e-6 * Math.max(1, Math.abs(re)))) {
+        distinct.push(re);
+      }
+    });
+
+  // Loose tolerance: the eigenvalues themselves carry round-off
+  const tolerance = 1e-7 * Math.max(1, ...A.flat().map(Math.abs));
+
+  return distinct.map(value => {
+    const shifted = A.map((row, i) => row.map((entry, j) => (i === j ? entry - value : entry)));
+    return { value, vectors: nullSpace(shifted, tolerance).map(normalize) };
+  });
+};
+
+/**
+ * Reduce a square matrix to upper Hessenberg form (zero below the first
+ * subdiagonal) by Householder reflections, a similarity that keeps the eigenvalues
+ * @param {number[][]} A - n×n
+ * @returns {number[][]}
+ */
+const hessenberg = (A) => {
+  const n = A.length;
+  const H = A.map(row => [...row]);
+
+  for (let k = 0; k < n - 2; k++) {
+    const x = H.slice(k + 1).map(row => row[k]);
+    const v = [...x];
+    v[0] += (x[0] < 0 ? -1 : 1) * norm(x);
+    const length = norm(v);
+    if (length === 0) continue;
+    const u = v.map(value => value / length);
+
+    // H ← (I - 2uuᵀ) H (I - 2uuᵀ), acting on rows and columns k+1..n-1
+    for (let j = 0; j < n; j++) {
+      const s = u.reduce((sum, ui, i) => sum + ui * H[k + 1 + i][j], 0);
+      u.forEach((ui, i) => { H[k + 1 + i][j] -= 2 * ui * s; });
+    }
+    for (let i = 0; i < n; i++) {
+      const s = u.reduce((sum, uj, j) => sum + H[i][k + 1 + j] * uj, 0);
+      u.forEach((uj, j) => { H[i][k + 1 + j] -= 2 * s * uj; });
+    }
+    for (let i = k + 2; i < n; i++) H[i][k] = 0;
+  }
+  return H;
+};
+
+/**
+ * Eigenvalues of a square matrix of any size by the Francis double-shift QR algorithm
+ * The matrix is first reduced to Hessenberg form. Each step then applies two
+ * QR steps at once, shifted by the eigenvalues of the trailing 2×2 block; as
+ * that pair is either real or complex conjugate, the work stays in real
+ * arithmetic and complex eigenvalues converge as 2×2 blocks. Once a subdiagonal
+ * entry is negligible a real eigenvalue (1×1) or a pair (2×2 block) splits off
+ * at the bottom right and the rest carries on as a smaller matrix. After 10
+ * and 20 steps without a split an exceptional shift breaks any cycle.
+ * @param {number[][]} A - n×n
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Size (relative to its diagonal
+ *   neighbours) below which a subdiagonal entry counts as zero
+ * @param {number} [options.maxIterations] - Double-shift steps allowed in total
+ * @returns {{values: Eigenvalue[], iterations: number, converged: boolean}}
+ *   Eigenvalues in the same order as eigenvalues(), the steps taken, and
+ *   whether every eigenvalue split off (if not, the diagonal of the unfinished
+ *   block stands in for the rest)
+ */
+export const qrEigenvalues = (A, { tolerance = 1e-14, maxIterations = 500 } = {}) => {
+  const H = hessenberg(A);
+  const values = [];
+  const norm1 = Math.max(Number.MIN_VALUE, ...H.flat().map(Math.abs));
+  let iterations = 0;
+  let last = H.length - 1; // bottom row of the active block
+  let shiftTotal = 0; // exceptional shifts applied so far
+  let stalled = 0;
+
+  while (last >= 0) {
+    // Look for a negligible subdiagonal entry, splitting the active block at `top`
+    let top = last;
+    while (top > 0) {
+      const neighbours = Math.abs(H[top - 1][top - 1]) + Math.abs(H[top][top]) || norm1;
+      if (Math.abs(H[top][top - 1]) <= tolerance * neighbours) {
+        H[top][top - 1] = 0;
+        break;
+      }
+      top--;
+    }
+
+    if (top === last) {
+      values.push({ re: H[last][last] + shiftTotal, im: 0 });
+      last--;
+      stalled = 0;
+      continue;
+    }
+    if (top === last - 1) {
+      const shifted = (value) => ({ ...value, re: value.re + shiftTotal });
+      values.push(...blockEigenvalues(
+        H[last - 1][last - 1], H[last - 1][last], H[last][last - 1], H[last][last]
+      ).map(shifted));
+      last -= 2;
+      stalled = 0;
+      continue;
+    }
+    if (iterations >= maxIterations) {
+      H.slice(0, last + 1).forEach((row, i) => values.push({ re: row[i] + shiftTotal, im: 0 }));
+      return { values: values.sort(compareEigenvalues), iterations, converged: false };
+    }
+
+    // Shifts: the trailing 2×2 block's eigenvalues enter through their sum and product
+    let x = H[last][last];
+    let y = H[last - 1][last - 1];
+    let w = H[last][last - 1] * H[last - 1][last];
+    stalled++;
+    if (stalled % 10 === 0) {
+      shiftTotal += x;
+      for (let i = 0; i <= last; i++) H[i][i] -= x;
+      const s = Math.abs(H[last][last - 1]) + Math.abs(H[last - 1][last - 2]);
+      x = 0.75 * s;
+      y = x;
+      w = -0.4375 * s * s;
+    }
+    iterations++;
+
+    // First column of (H - μ₁I)(H - μ₂I), started as low in the block as is safe
+    let start = last - 2;
+    let p, q, r;
+    for (; start >= top; start--) {
+      const z = H[start][start];
+      const rx = x - z;
+      const sy = y - z;
+      p = (rx * sy - w) / H[start + 1][start] + H[start][start + 1];
+      q = H[start + 1][start + 1] - z - rx - sy;
+      r = H[start + 2][start + 1];
+      const size = Math.abs(p) + Math.abs(q) + Math.abs(r);
+      p /= size;
+      q /= size;
+      r /= size;
+      if (start === top) break;
+      const coupling = Math.abs(H[start][start - 1]) * (Math.abs(q) + Math.abs(r));
+      const scale = Math.abs(p) * (Math.abs(H[start - 1][start - 1]) + Math.abs(z) + Math.abs(H[start + 1][start + 1]));
+      if (coupling <= Number.EPSILON * scale) break;
+    }
+    for (let i = start + 2; i <= last; i++) {
+      H[i][i - 2] = 0;
+      if (i !== start + 2) H[i][i - 3] = 0;
+    }
+
+    // Chase the bulge down the block with 3×3 Householder reflections
+    for (let k = start; k < last; k++) {
+      let size = 0;
+      if (k !== start) {
+        p = H[k][k - 1];
+        q = H[k + 1][k - 1];
+        r = k !== last - 1 ? H[k + 2][k - 1] : 0;
+        size = Math.abs(p) + Math.abs(q) + Math.abs(r);
+        if (size === 0) continue;
+        p /= size;
+        q /= size;
+        r /= size;
+      }
+      const s = (p < 0 ? -1 : 1) * Math.sqrt(p * p + q * q + r * r);
+      if (s === 0) continue;
+      if (k === start) {
+        if (top !== start) H[k][k - 1] = -H[k][k - 1];
+      } else {
+        H[k][k - 1] = -s * size;
+      }
+      p += s;
+      const ux = p / s;
+      const uy = q / s;
+      const uz = r / s;
+      q /= p;
+      r /= p;
+
+      for (let j = k; j <= last; j++) {
+        let t = H[k][j] + q * H[k + 1][j];
+        if (k !== last - 1) {
+          t += r * H[k + 2][j];
+          H[k + 2][j] -= t * uz;
+        }
+        H[k + 1][j] -= t * uy;
+        H[k][j] -= t * ux;
+      }
+      for (let i = top; i <= Math.min(last, k + 3); i++) {
+        let t = ux * H[i][k] + uy * H[i][k + 1];
+        if (k !== last - 1) {
+          t += uz * H[i][k + 2];
+          H[i][k + 2] -= t * r;
+        }
+        H[i][k + 1] -= t * q;
+        H[i][k] -= t;
+      }
+    }
+  }
+
+  return { values: values.sort(compareEigenvalues), iterations, converged: true };
+};
+
+/**
+ * Iterates of the unshifted QR algorithm: A₀ = A, and A_k = Q_k R_k gives A_k+1 = R_k Q_k
+ * Every iterate is similar to A. Entries below the diagonal fade at rates set
+ * by ratios of eigenvalue moduli, leaving the eigenvalues on the diagonal in
+ * decreasing modulus (complex pairs stay behind as 2×2 blocks).
+ * @param {number[][]} A - n×n
+ * @param {number} count - Number of QR steps
+ * @returns {number[][][]} count + 1 matrices, starting with A
+ */
+export const qrIteration = (A, count) => {
+  const iterates = [A.map(row => [...row])];
+  for (let k = 0; k < count; k++) {
+    const { Q, R } = qrDecomposition(iterates[k]);
+    iterates.push(multiply(R, Q));
+  }
+  return iterates;
+};
+
+// Divide a complex vector by its largest entry, so that entry becomes 1
+const scaleLargestToOne = ({ re, im }) => {
+  const k = re.reduce((best, _, i) => (
+    Math.hypot(re[i], im[i]) > Math.hypot(re[best], im[best]) ? i : best
+  ), 0);
+  const size = re[k] * re[k] + im[k] * im[k];
+  return {
+    re: re.map((x, i) => (x * re[k] + im[i] * im[k]) / size),
+    im: re.map((x, i) => (im[i] * re[k] - x * im[k]) / size)
+  };
+};
+
+/**
+ * Every eigenvalue (from the QR algorithm) with the eigenvectors of each distinct one
+ * A complex eigenvector v = x + iy of λ = a + ib solves the real system
+ * [[A - aI, bI], [-bI, A - aI]] [x; y] = 0, whose null space holds the real
+ * and imaginary parts of both v and iv.
+ * @param {number[][]} A - n×n
+ * @returns {{pairs: ComplexEigenpair[], converged: boolean}} Distinct
+ *   eigenvalues in the order of eigenvalues(), and whether the QR algorithm
+ *   converged (if not, the values are only rough and may lack eigenvectors)
+ */
+export const eigenpairs = (A) => {
+  const n = A.length;
+  const size = Math.max(1, ...A.flat().map(Math.abs));
+  // Repeated roots come out of QR split by up to about ε^(1/n); their mean is accurate
+  const clusterTolerance = 1e-4 * size;
+  const clusters = [];
+  const { values, converged } = qrEigenvalues(A);
+  values.forEach(value => {
+    const cluster = clusters.find(({ members }) => (
+      Math.hypot(members[0].re - value.re, members[0].im - value.im) <= clusterTolerance
+    ));
+    if (cluster) cluster.members.push(value);
+    else clusters.push({ members: [value] });
+  });
+
+  // Loose tolerance: the eigenvalues themselves carry round-off
+  const tolerance = 1e-7 * size;
+
+  const pairs = clusters.map(({ members }) => {
+    const re = members.reduce((sum, value) => sum + value.re, 0) / members.length;
+    const meanIm = members.reduce((sum, value) => sum + value.im, 0) / members.length;
+    const im = Math.abs(meanIm) <= clusterTolerance ? 0 : meanIm;
+    const value = { re, im };
+    const multiplicity = members.length;
+
+    if (im === 0) {
+      const shifted = A.map((row, i) => row.map((entry, j) => (i === j ? entry - re : entry)));
+      const vectors = nullSpace(shifted, tolerance).map(v => ({ re: normalize(v), im: v.map(() => 0) }));
+      return { value, multiplicity, vectors };
+    }
+
+    const M = Array.from({ length: 2 * n }, (_, i) => Array.from({ length: 2 * n }, (_, j) => {
+      const [r, c] = [i % n, j % n];
+      if ((i < n) === (j < n)) return A[r][c] - (r === c ? re : 0);
+      if (r !== c) return 0;
+      return i < n ? im : -im;
+    }));
+
+    // Null vectors come in pairs (x, y) and (-y, x) for v and iv; keep one per complex direction
+    const chosen = [];
+    nullSpace(M, tolerance).forEach(w => {
+      const candidates = [...chosen.flat(), w];
+      if (spanOf(candidates).rank === candidates.length) {
+        chosen.push([w, [...w.slice(n).map(x => -x), ...w.slice(0, n)]]);
+      }
+    });
+    const vectors = chosen.map(([w]) => scaleLargestToOne({ re: w.slice(0, n), im: w.slice(n) }));
+    return { value, multiplicity, vectors };
+  }).sort((p, q) => compareEigenvalues(p.value, q.value));
+
+  return { pairs, converged };
+};
+
+/**
+ * Power iteration x_k+1 = Ax_k / ‖Ax_k‖
+ * Converges (up to sign) to the eigenvector of the eigenvalue of largest
+ * modulus when that eigenvalue is real and strictly dominant, with the error
+ * shrinking by about |λ₂ / λ₁| per step.
+ * @param {number[][]} A - n×n
+ * @param {number[]} start - Non-zero starting vector
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Maximum number of steps
+ * @param {number} [options.tolerance] - Stop once x moves less than this
+ * @returns {{steps: {x: number[], image: number[], estimate: number, change: number}[],
+ *   converged: boolean}} Per step the unit iterate, its image Ax, the Rayleigh
+ *   quotient xᵀAx estimating the eigenvalue, and the distance (up to sign) from
+ *   the previous iterate
+ */
+export const powerIteration = (A, start, { iterations = 50, tolerance = 1e-10 } = {}) => {
+  if (!(norm(start) > 0)) throw new Error('powerIteration needs a non-zero start vector');
+
+  let x = normalize(start);
+  let change = Infinity;
+  const steps = [];
+
+  for (let k = 0; k <= iterations; k++) {
+    const image = multiplyVector(A, x);
+    steps.push({ x, image, estimate: dot(x, image), change });
+    if (change <= tolerance) return { steps, converged: true };
+
+    const length = norm(image);
+    // x lies in the null space: Ax = 0 is an eigenvector with eigenvalue 0
+    if (length === 0) return { steps, converged: true };
+    const next = scale(image, 1 / length);
+    change = Math.min(norm(subtract(next, x)), norm(add(next, x)));
+    x = next;
+  }
+
+  return { steps, converged: false };
+};
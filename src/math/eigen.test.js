@@ -0,0 +1,254 @@
+import { describe, it, expect } from 'vitest';
+import { eigenvalues, realEigenpairs, qrEigenvalues, qrIteration, eigenpairs, powerIteration } from './eigen.js';
+import { multiplyVector } from './matrices.js';
+import { scale } from './vectors.js';
+
+const expectVectorClose = (actual, expected, digits = 8) => {
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+// Av = λv for every returned pair
+const expectEigenpairs = (A, pairs) => {
+  pairs.forEach(({ value, vectors }) => {
+    vectors.forEach(v => expectVectorClose(multiplyVector(A, v), scale(v, value)));
+  });
+};
+
+describe('eigenvalues', () => {
+  it('solves 2×2 matrices with real eigenvalues', () => {
+    expect(eigenvalues([[2, 1], [1, 2]])).toEqual([{ re: 3, im: 0 }, { re: 1, im: 0 }]);
+  });
+
+  it('returns complex pairs for rotations', () => {
+    const [a, b] = eigenvalues([[0, -1], [1, 0]]);
+    expect(a.re).toBeCloseTo(0, 12);
+    expect(Math.abs(a.im)).toBeCloseTo(1, 12);
+    expect(b.im).toBeCloseTo(-a.im, 12);
+  });
+
+  it('solves 3×3 matrices with three real roots', () => {
+    const values = eigenvalues([[2, 0, 0], [0, 3, 4], [0, 4, 9]]);
+    expect(values.map(v => v.re)).toEqual([
+      expect.closeTo(11, 9), expect.closeTo(2, 9), expect.closeTo(1, 9)
+    ]);
+    values.forEach(v => expect(v.im).toBe(0));
+  });
+
+  it('solves 3×3 rotations as one real root and a complex pair', () => {
+    const c = Math.cos(0.5);
+    const s = Math.sin(0.5);
+    const values = eigenvalues([[c, -s, 0], [s, c, 0], [0, 0, 1]]);
+
+    expect(values[0]).toEqual({ re: expect.closeTo(1, 9), im: 0 });
+    expect(values[1].re).toBeCloseTo(c, 9);
+    expect(Math.abs(values[1].im)).toBeCloseTo(s, 9);
+  });
+
+  it('handles repeated roots', () => {
+    expect(eigenvalues([[2, 0, 0], [0, 2, 0], [0, 0, 2]]).map(v => v.re)).toEqual([
+      expect.closeTo(2, 6), expect.closeTo(2, 6), expect.closeTo(2, 6)
+    ]);
+    // Round-off in the coefficients must not split a triple root
+    expect(realEigenpairs([[1.1, 0, 0], [0, 1.1, 0], [0, 0, 1.1]])[0].vectors).toHaveLength(3);
+    expect(realEigenpairs([[0.7, 1, 0], [0, 0.7, 1], [0, 0, 0.7]])[0].vectors).toHaveLength(1);
+    expect(eigenvalues([[2, 0, 0], [0, 2, 0], [0, 0, 5]]).map(v => v.re)).toEqual([
+      expect.closeTo(5, 6), expect.closeTo(2, 6), expect.closeTo(2, 6)
+    ]);
+  });
+
+  it('keeps close but distinct roots apart at any scale', () => {
+    expect(eigenvalues([[2, 0, 0], [0, 2.1, 0], [0, 0, 2.2]]).map(v => v.re)).toEqual([
+      expect.closeTo(2.2, 9), expect.closeTo(2.1, 9), expect.closeTo(2, 9)
+    ]);
+    expect(eigenvalues([[0, 0, 0], [0, 0.01, 0], [0, 0, 0.02]]).map(v => v.re)).toEqual([
+      expect.closeTo(0.02, 9), expect.closeTo(0.01, 9), expect.closeTo(0, 9)
+    ]);
+    expect(eigenvalues([[1000, 0, 0], [0, 1001, 0], [0, 0, 1002]]).map(v => v.re)).toEqual([
+      expect.closeTo(1002, 6), expect.closeTo(1001, 6), expect.closeTo(1000, 6)
+    ]);
+  });
+});
+
+describe('realEigenpairs', () => {
+  it('finds eigenvectors of a symmetric matrix', () => {
+    const A = [[2, 1], [1, 2]];
+    const pairs = realEigenpairs(A);
+
+    expect(pairs.map(p => p.value)).toEqual([3, 1]);
+    expectEigenpairs(A, pairs);
+    expectVectorClose(pairs[0].vectors[0].map(Math.abs), [Math.SQRT1_2, Math.SQRT1_2]);
+  });
+
+  it('returns the full eigenspace for repeated eigenvalues', () => {
+    const pairs = realEigenpairs([[3, 0], [0, 3]]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].vectors).toHaveLength(2);
+  });
+
+  it('finds an eigenvector for each of close but distinct eigenvalues', () => {
+    [[2, 2.1, 2.2], [0, 0.01, 0.02]].forEach(diagonal => {
+      const A = diagonal.map((value, i) => diagonal.map((_, j) => (i === j ? value : 0)));
+      const pairs = realEigenpairs(A);
+
+      expect(pairs).toHaveLength(3);
+      pairs.forEach(pair => expect(pair.vectors).toHaveLength(1));
+      expectEigenpairs(A, pairs);
+    });
+  });
+
+  it('returns a single eigenvector for a shear', () => {
+    const pairs = realEigenpairs([[1, 1], [0, 1]]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].value).toBe(1);
+    expect(pairs[0].vectors).toHaveLength(1);
+    expectVectorClose(pairs[0].vectors[0], [1, 0]);
+  });
+
+  it('has no real eigenvectors for a 2D rotation', () => {
+    expect(realEigenpairs([[0, -1], [1, 0]])).toEqual([]);
+  });
+
+  it('finds the axis of a 3D rotation', () => {
+    const c = Math.cos(1);
+    const s = Math.sin(1);
+    const pairs = realEigenpairs([[1, 0, 0], [0, c, -s], [0, s, c]]);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].value).toBeCloseTo(1, 9);
+    expectVectorClose(pairs[0].vectors[0].map(Math.abs), [1, 0, 0]);
+  });
+
+  it('finds eigenvectors of a general 3×3 matrix', () => {
+    const A = [[4, 1, 2], [0, 3, 1], [1, 0, 2]];
+    const pairs = realEigenpairs(A);
+    expect(pairs.length).toBeGreaterThan(0);
+    expectEigenpairs(A, pairs);
+  });
+});
+
+// Av = λv in complex arithmetic
+const expectComplexEigenpairs = (A, pairs) => {
+  pairs.forEach(({ value, vectors }) => {
+    vectors.forEach(v => {
+      const Ax = multiplyVector(A, v.re);
+      const Ay = multiplyVector(A, v.im);
+      Ax.forEach((_, i) => {
+        expect(Ax[i]).toBeCloseTo(value.re * v.re[i] - value.im * v.im[i], 7);
+        expect(Ay[i]).toBeCloseTo(value.re * v.im[i] + value.im * v.re[i], 7);
+      });
+    });
+  });
+};
+
+describe('qrEigenvalues', () => {
+  it('agrees with the closed form for 3×3 matrices', () => {
+    const A = [[4, 1, 2], [0, 3, 1], [1, 0, 2]];
+    const { values, converged } = qrEigenvalues(A);
+
+    expect(converged).toBe(true);
+    eigenvalues(A).forEach((expected, i) => {
+      expect(values[i].re).toBeCloseTo(expected.re, 8);
+      expect(values[i].im).toBeCloseTo(expected.im, 8);
+    });
+  });
+
+  it('finds complex pairs in 4×4 matrices', () => {
+    // Rotation by 90° in the first plane, scaling by 2 and 3 on the other axes
+    const A = [[0, -1, 0, 0], [1, 0, 0, 0], [0, 0, 2, 0], [0, 0, 0, 3]];
+    const values = qrEigenvalues(A).values;
+
+    expect(values.map(v => v.re)).toEqual([3, 2, 0, 0].map(v => expect.closeTo(v, 10)));
+    expect(values.map(v => v.im)).toEqual([0, 0, 1, -1].map(v => expect.closeTo(v, 10)));
+  });
+
+  it('splits off a complex pair from a real 3×3 matrix', () => {
+    const A = [[1.0996, 1.1887, -1.5541], [-0.4332, -1.2127, -1.1987], [1.7914, 0.7048, 0.9252]];
+    const { values, converged } = qrEigenvalues(A);
+
+    expect(converged).toBe(true);
+    expect(values[0].re).toBeCloseTo(-1.0991, 4);
+    expect(values[1].re).toBeCloseTo(0.9556, 4);
+    expect(values[1].im).toBeCloseTo(1.9731, 4);
+    eigenvalues(A).forEach((expected, i) => {
+      expect(values[i].re).toBeCloseTo(expected.re, 8);
+      expect(values[i].im).toBeCloseTo(expected.im, 8);
+    });
+  });
+
+  it('breaks the cycle of a permutation matrix and reports running out of steps', () => {
+    // Eigenvalues are the fourth roots of unity; plain shifts make no progress here
+    const A = [[0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1], [1, 0, 0, 0]];
+    const { values, converged } = qrEigenvalues(A);
+
+    expect(converged).toBe(true);
+    expect(values.map(v => v.re)).toEqual([1, -1, 0, 0].map(v => expect.closeTo(v, 10)));
+    expect(values.map(v => Math.abs(v.im))).toEqual([0, 0, 1, 1].map(v => expect.closeTo(v, 10)));
+    expect(qrEigenvalues(A, { maxIterations: 1 }).converged).toBe(false);
+  });
+});
+
+describe('qrIteration', () => {
+  it('drives the entries below the diagonal to zero', () => {
+    const iterates = qrIteration([[2, 1], [1, 3]], 40);
+
+    expect(iterates).toHaveLength(41);
+    expect(iterates[40][1][0]).toBeCloseTo(0, 8);
+    expect(iterates[40][0][0]).toBeCloseTo((5 + Math.sqrt(5)) / 2, 8);
+  });
+});
+
+describe('eigenpairs', () => {
+  it('returns complex eigenvectors for rotations', () => {
+    const A = [[0, -1], [1, 0]];
+    const { pairs, converged } = eigenpairs(A);
+
+    expect(converged).toBe(true);
+    expect(pairs.map(p => p.value.im)).toEqual([1, -1].map(v => expect.closeTo(v, 10)));
+    expect(pairs.every(p => p.vectors.length === 1)).toBe(true);
+    expectComplexEigenpairs(A, pairs);
+  });
+
+  it('counts multiplicity and the missing eigenvectors of a defective matrix', () => {
+    const A = [[2, 1, 0], [0, 2, 1], [0, 0, 2]];
+    const [pair] = eigenpairs(A).pairs;
+
+    expect(pair.value.re).toBeCloseTo(2, 8);
+    expect(pair.multiplicity).toBe(3);
+    expect(pair.vectors).toHaveLength(1);
+    expectComplexEigenpairs(A, [pair]);
+  });
+
+  it('handles a general 4×4 matrix', () => {
+    const A = [[1, 2, 0, 1], [-2, 1, 1, 0], [0, 1, 3, 1], [1, 0, -1, 2]];
+    const { pairs } = eigenpairs(A);
+
+    expect(pairs.reduce((sum, p) => sum + p.multiplicity, 0)).toBe(4);
+    expect(pairs.every(p => p.vectors.length === 1)).toBe(true);
+    expectComplexEigenpairs(A, pairs);
+  });
+});
+
+describe('powerIteration', () => {
+  it('converges to the dominant eigenvector', () => {
+    const { steps, converged } = powerIteration([[2, 1], [1, 3]], [1, 0], { iterations: 100 });
+    const last = steps.at(-1);
+    const lambda = (5 + Math.sqrt(5)) / 2;
+
+    expect(converged).toBe(true);
+    expect(last.estimate).toBeCloseTo(lambda, 8);
+    expectVectorClose(last.image, scale(last.x, lambda), 6);
+  });
+
+  it('converges up to sign for a negative dominant eigenvalue', () => {
+    const { steps, converged } = powerIteration([[-3, 0], [0, 1]], [1, 1], { iterations: 100 });
+
+    expect(converged).toBe(true);
+    expect(steps.at(-1).estimate).toBeCloseTo(-3, 8);
+  });
+
+  it('never settles when the dominant eigenvalues are a complex pair', () => {
+    const { converged } = powerIteration([[0, -1], [1, 0]], [1, 0], { iterations: 20 });
+    expect(converged).toBe(false);
+    expect(() => powerIteration([[1, 0], [0, 1]], [0, 0])).toThrow();
+  });
+});
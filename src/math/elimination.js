@@ -0,0 +1,146 @@
+/**
+ * GAUSSIAN ELIMINATION
+ *
+ * Row reduction recorded one elementary row operation at a time, LU
+ * factorization with partial pivoting, and the solution set of an augmented
+ * system read off its reduced row echelon form. Matrices are arrays of rows.
+ */
+
+import { identity } from './matrices.js';
+
+/**
+ * Gauss–Jordan elimination to reduced row echelon form, recording every row operation
+ * Uses the same partial pivoting as rref, so the final matrix agrees with it.
+ * Pivots are only taken in the first `columns` columns, which leaves the
+ * right-hand side of an augmented system [A | b] alone.
+ * @param {number[][]} A - m×n
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Coefficient columns that may hold pivots (default all)
+ * @param {number} [options.tolerance] - Entries this small count as zero
+ * @returns {{steps: {type: 'swap'|'scale'|'eliminate'|'skip', rows: number[],
+ *   factor: number|null, col: number, pivot: {row: number, col: number}|null,
+ *   matrix: number[][]}[], matrix: number[][], pivots: number[]}} Each step
+ *   with the rows it touches (target first), its factor and the matrix after
+ *   it; 'skip' marks a column without a pivot. Also the RREF and pivot columns.
+ */
+export const rowReduceSteps = (A, { columns = A[0].length, tolerance = 1e-10 } = {}) => {
+  const M = A.map(row => [...row]);
+  const rows = M.length;
+  const pivots = [];
+  const steps = [];
+  const clean = () => M.map(row => row.map(value => (Math.abs(value) <= tolerance ? 0 : value)));
+  const record = (step) => steps.push({ factor: null, ...step, matrix: clean() });
+  let pivotRow = 0;
+
+  for (let col = 0; col < columns && pivotRow < rows; col++) {
+    // Pivot on the largest entry at or below the current row
+    let best = pivotRow;
+    for (let row = pivotRow + 1; row < rows; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[best][col])) best = row;
+    }
+    if (Math.abs(M[best][col]) <= tolerance) {
+      record({ type: 'skip', rows: [], col, pivot: null });
+      continue;
+    }
+
+    const pivotCell = { row: pivotRow, col };
+    if (best !== pivotRow) {
+      [M[pivotRow], M[best]] = [M[best], M[pivotRow]];
+      record({ type: 'swap', rows: [pivotRow, best], col, pivot: pivotCell });
+    }
+
+    const pivot = M[pivotRow][col];
+    if (pivot !== 1) {
+      M[pivotRow] = M[pivotRow].map(value => value / pivot);
+      M[pivotRow][col] = 1;
+      record({ type: 'scale', rows: [pivotRow], factor: pivot, col, pivot: pivotCell });
+    }
+
+    for (let row = 0; row < rows; row++) {
+      const factor = M[row][col];
+      if (row === pivotRow || Math.abs(factor) <= tolerance) continue;
+      M[row] = M[row].map((value, j) => value - factor * M[pivotRow][j]);
+      M[row][col] = 0;
+      record({ type: 'eliminate', rows: [row, pivotRow], factor, col, pivot: pivotCell });
+    }
+
+    pivots.push(col);
+    pivotRow++;
+  }
+
+  return { steps, matrix: clean(), pivots };
+};
+
+/**
+ * LU factorization with partial pivoting, PA = LU
+ * Singular matrices still factor; they leave a zero on the diagonal of U.
+ * @param {number[][]} A - n×n
+ * @param {number} [tolerance] - Pivots this small count as zero
+ * @returns {{P: number[][], L: number[][], U: number[][], swaps: number}}
+ *   Permutation matrix, unit lower triangular L, upper triangular U and the
+ *   number of row swaps (so det A = (−1)^swaps · Π Uᵢᵢ)
+ */
+export const luDecomposition = (A, tolerance = 1e-12) => {
+  const n = A.length;
+  const U = A.map(row => [...row]);
+  const L = identity(n);
+  const order = Array.from({ length: n }, (_, i) => i);
+  let swaps = 0;
+
+  for (let k = 0; k < n; k++) {
+    let best = k;
+    for (let row = k + 1; row < n; row++) {
+      if (Math.abs(U[row][k]) > Math.abs(U[best][k])) best = row;
+    }
+    if (best !== k) {
+      [U[k], U[best]] = [U[best], U[k]];
+      [order[k], order[best]] = [order[best], order[k]];
+      // Multipliers already found move with their rows
+      for (let j = 0; j < k; j++) [L[k][j], L[best][j]] = [L[best][j], L[k][j]];
+      swaps++;
+    }
+    if (Math.abs(U[k][k]) <= tolerance) continue;
+
+    for (let row = k + 1; row < n; row++) {
+      const factor = U[row][k] / U[k][k];
+      L[row][k] = factor;
+      U[row] = U[row].map((value, j) => value - factor * U[k][j]);
+      U[row][k] = 0;
+    }
+  }
+
+  const I = identity(n);
+  return { P: order.map(i => I[i]), L, U, swaps };
+};
+
+/**
+ * Solution set of an augmented system from its reduced row echelon form
+ * @param {number[][]} matrix - RREF of [A | b], with round-off already cleaned
+ * @param {number[]} pivots - Pivot columns, all among the coefficient columns
+ * @param {number} columns - Number of coefficient columns n
+ * @returns {{status: 'unique'|'infinite'|'none', particular: number[]|null,
+ *   nullSpace: number[][]}} Whether solutions exist, one solution (free
+ *   variables set to 0) and a basis of the null space of A, so every solution
+ *   is particular + Σ tᵢ nullSpaceᵢ
+ */
+export const solutionSet = (matrix, pivots, columns) => {
+  const inconsistent = matrix.some(row => (
+    row.slice(0, columns).every(value => value === 0) && row[columns] !== 0
+  ));
+  const free = Array.from({ length: columns }, (_, j) => j).filter(j => !pivots.includes(j));
+  const nullSpace = free.map(freeCol => {
+    const x = new Array(columns).fill(0);
+    x[freeCol] = 1;
+    pivots.forEach((pivotCol, row) => {
+      x[pivotCol] = -matrix[row][freeCol];
+    });
+    return x;
+  });
+  if (inconsistent) return { status: 'none', particular: null, nullSpace };
+
+  const particular = new Array(columns).fill(0);
+  pivots.forEach((pivotCol, row) => {
+    particular[pivotCol] = matrix[row][columns];
+  });
+  return { status: free.length > 0 ? 'infinite' : 'unique', particular, nullSpace };
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { rowReduceSteps, luDecomposition, solutionSet } from './elimination.js';
+import { rref, multiply, multiplyVector, determinant } from './matrices.js';
+
+const expectMatrixClose = (actual, expected) => {
+  actual.forEach((row, i) => row.forEach((value, j) => {
+    expect(value).toBeCloseTo(expected[i][j], 10);
+  }));
+};
+
+describe('rowReduceSteps', () => {
+  it('reaches the same RREF as rref, one operation at a time', () => {
+    const A = [[2, 1, -1, 8], [-3, -1, 2, -11], [-2, 1, 2, -3]];
+    const { steps, matrix, pivots } = rowReduceSteps(A, { columns: 3 });
+
+    expect(pivots).toEqual([0, 1, 2]);
+    expectMatrixClose(matrix, rref(A).matrix);
+    expect(matrix.map(row => row[3])).toEqual([2, 3, -1].map(v => expect.closeTo(v, 10)));
+    // The largest entry in column 0 is −3, so the first operation is a swap
+    expect(steps[0]).toMatchObject({ type: 'swap', rows: [0, 1], pivot: { row: 0, col: 0 } });
+    expect(steps[1]).toMatchObject({ type: 'scale', rows: [0], factor: -3 });
+    expect(steps.at(-1).matrix).toEqual(matrix);
+  });
+
+  it('skips columns without a pivot and leaves the right-hand side alone', () => {
+    const { steps, pivots } = rowReduceSteps([[1, 2, 3], [2, 4, 7]], { columns: 2 });
+
+    expect(pivots).toEqual([0]);
+    expect(steps.map(step => step.type)).toEqual(['swap', 'scale', 'eliminate', 'skip']);
+    expect(steps[2].factor).toBeCloseTo(1, 12);
+  });
+});
+
+describe('luDecomposition', () => {
+  it('factors PA = LU', () => {
+    const A = [[1, 2, 3], [4, 5, 6], [7, 8, 10]];
+    const { P, L, U, swaps } = luDecomposition(A);
+
+    expectMatrixClose(multiply(P, A), multiply(L, U));
+    L.forEach((row, i) => row.forEach((value, j) => {
+      if (j > i) expect(value).toBe(0);
+      if (j === i) expect(value).toBe(1);
+    }));
+    U.forEach((row, i) => row.forEach((value, j) => {
+      if (j < i) expect(value).toBe(0);
+    }));
+    const product = U.reduce((p, row, i) => p * row[i], 1);
+    expect((-1) ** swaps * product).toBeCloseTo(determinant(A), 10);
+  });
+
+  it('factors singular matrices too', () => {
+    const A = [[1, 2], [2, 4]];
+    const { P, L, U } = luDecomposition(A);
+
+    expectMatrixClose(multiply(P, A), multiply(L, U));
+    expect(U[1][1]).toBeCloseTo(0, 12);
+  });
+});
+
+describe('solutionSet', () => {
+  it('classifies systems with one, many and no solutions', () => {
+    const unique = rowReduceSteps([[1, 1, 3], [1, -1, 1]], { columns: 2 });
+    expect(solutionSet(unique.matrix, unique.pivots, 2)).toEqual({
+      status: 'unique', particular: [2, 1], nullSpace: []
+    });
+
+    const A = [[1, 2, 1], [2, 4, 0]];
+    const b = [4, 6];
+    const many = rowReduceSteps(A.map((row, i) => [...row, b[i]]), { columns: 3 });
+    const { status, particular, nullSpace } = solutionSet(many.matrix, many.pivots, 3);
+    expect(status).toBe('infinite');
+    multiplyVector(A, particular).forEach((value, i) => expect(value).toBeCloseTo(b[i], 10));
+    expect(nullSpace).toHaveLength(1);
+    multiplyVector(A, nullSpace[0]).forEach(value => expect(value).toBeCloseTo(0, 10));
+
+    const none = rowReduceSteps([[1, 1, 1], [2, 2, 3]], { columns: 2 });
+    expect(solutionSet(none.matrix, none.pivots, 2).status).toBe('none');
+  });
+});
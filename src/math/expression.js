@@ -0,0 +1,369 @@
+/**
+ * EXPRESSIONS
+ *
+ * A small parser for user-typed formulas such as "x^2 + 3sin(y)". Expressions
+ * are parsed into a syntax tree and interpreted - nothing is handed to eval or
+ * Function - and can be differentiated exactly with forward-mode automatic
+ * differentiation.
+ *
+ * Grammar (lowest to highest precedence):
+ *   sum     = product (('+' | '-') product)*
+ *   product = unary (('*' | '/') unary | implicit factor)*
+ *   unary   = ('+' | '-') unary | power
+ *   power   = atom (('^' | '**') unary)?        (right associative)
+ *   atom    = number | name | name '(' sum ')' | '(' sum ')'
+ */
+
+export const MAX_EXPRESSION_LENGTH = 200;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// One-argument functions with their derivative f'(a), given a and f(a)
+const FUNCTIONS = {
+  sin: { f: Math.sin, df: (a) => Math.cos(a) },
+  cos: { f: Math.cos, df: (a) => -Math.sin(a) },
+  tan: { f: Math.tan, df: (a) => 1 / Math.cos(a) ** 2 },
+  asin: { f: Math.asin, df: (a) => 1 / Math.sqrt(1 - a * a) },
+  acos: { f: Math.acos, df: (a) => -1 / Math.sqrt(1 - a * a) },
+  atan: { f: Math.atan, df: (a) => 1 / (1 + a * a) },
+  sinh: { f: Math.sinh, df: (a) => Math.cosh(a) },
+  cosh: { f: Math.cosh, df: (a) => Math.sinh(a) },
+  tanh: { f: Math.tanh, df: (a, value) => 1 - value * value },
+  exp: { f: Math.exp, df: (a, value) => value },
+  log: { f: Math.log, df: (a) => 1 / a },
+  ln: { f: Math.log, df: (a) => 1 / a },
+  sqrt: { f: Math.sqrt, df: (a, value) => 1 / (2 * value) },
+  abs: { f: Math.abs, df: (a) => Math.sign(a) }
+};
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      // A second decimal point (1.2.3) would otherwise read as 1.2·0.3
+      if (!match || source[i + match[0].length] === '.') throw new Error(`Invalid number at position ${i + 1}`);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[a-zA-Z_]/.test(char)) {
+      const name = source.slice(i).match(/^[a-zA-Z_]\w*/)[0];
+      if (source[i + name.length] === '.') {
+        throw new Error(`Unexpected "." after "${name}" at position ${i + name.length + 1}`);
+      }
+      tokens.push({ type: 'name', value: name, position: i });
+      i += name.length;
+    } else if (source.startsWith('**', i)) {
+      tokens.push({ type: 'op', value: '^', position: i });
+      i += 2;
+    } else if ('+-*/^()'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position: i });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}" at position ${i + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse an expression into a syntax tree
+ * Nodes are {type: 'number', value}, {type: 'variable', name},
+ * {type: 'negate', arg}, {type: 'binary', op, left, right} and
+ * {type: 'call', name, arg}.
+ * @param {string} source - Expression text, e.g. "(1 - x)^2 + 100(y - x^2)^2"
+ * @param {string[]} [variables] - Names allowed as variables
+ * @returns {Object} Syntax tree
+ * @throws {Error} With a message pointing at the problem
+ */
+export const parseExpression = (source, variables = ['x', 'y']) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression is empty');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (token, op) => token?.type === 'op' && token.value === op;
+  const where = (token) => (token ? `at position ${token.position + 1}` : 'at the end');
+
+  const expect = (op) => {
+    const token = tokens[index];
+    if (!isOp(token, op)) throw new Error(`Expected "${op}" ${where(token)}`);
+    index++;
+  };
+
+  // Tokens that can start a factor, allowing implicit products like 2x or 3(x+1)
+  const startsFactor = (token) => (
+    token && (token.type === 'number' || token.type === 'name' || isOp(token, '('))
+  );
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (isOp(peek(), '*') || isOp(peek(), '/')) {
+        const op = tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseUnary() };
+      } else if (startsFactor(peek())) {
+        node = { type: 'binary', op: '*', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (isOp(peek(), '-')) {
+      index++;
+      return { type: 'negate', arg: parseUnary() };
+    }
+    if (isOp(peek(), '+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parseAtom();
+    if (isOp(peek(), '^')) {
+      index++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseAtom = () => {
+    const token = tokens[index++];
+
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      const name = token.value;
+      if (Object.hasOwn(FUNCTIONS, name)) {
+        expect('(');
+        const arg = parseSum();
+        expect(')');
+        return { type: 'call', name, arg };
+      }
+      if (variables.includes(name)) return { type: 'variable', name };
+      if (Object.hasOwn(CONSTANTS, name)) return { type: 'number', value: CONSTANTS[name] };
+      throw new Error(`Unknown name "${name}" at position ${token.position + 1}`);
+    }
+
+    if (isOp(token, '(')) {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}" ${where(token)}`);
+  };
+
+  const tree = parseSum();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" ${where(tokens[index])}`);
+  }
+  return tree;
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+// Compile a tree into a closure computing its value
+const compileValue = (node, slots) => {
+  switch (node.type) {
+    case 'number': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'variable': {
+      const slot = slots[node.name];
+      return (args) => args[slot];
+    }
+    case 'negate': {
+      const arg = compileValue(node.arg, slots);
+      return (args) => -arg(args);
+    }
+    case 'call': {
+      const { f } = FUNCTIONS[node.name];
+      const arg = compileValue(node.arg, slots);
+      return (args) => f(arg(args));
+    }
+    default: {
+      const left = compileValue(node.left, slots);
+      const right = compileValue(node.right, slots);
+      switch (node.op) {
+        case '+': return (args) => left(args) + right(args);
+        case '-': return (args) => left(args) - right(args);
+        case '*': return (args) => left(args) * right(args);
+        case '/': return (args) => left(args) / right(args);
+        default: return (args) => left(args) ** right(args);
+      }
+    }
+  }
+};
+
+// Whether a subtree depends on any variable
+const isConstant = (node) => {
+  switch (node.type) {
+    case 'number': return true;
+    case 'variable': return false;
+    case 'negate':
+    case 'call': return isConstant(node.arg);
+    default: return isConstant(node.left) && isConstant(node.right);
+  }
+};
+
+/**
+ * Compile a tree into a closure computing its value and gradient
+ * Forward mode: every node yields [value, ∂/∂v₁, ∂/∂v₂, ...].
+ */
+const compileDual = (node, slots, n) => {
+  const scale = (dual, factor, value) => [value, ...dual.slice(1).map(d => d * factor)];
+
+  switch (node.type) {
+    case 'number': {
+      const dual = [node.value, ...new Array(n).fill(0)];
+      return () => dual;
+    }
+    case 'variable': {
+      const slot = slots[node.name];
+      return (args) => [args[slot], ...Array.from({ length: n }, (_, i) => (i === slot ? 1 : 0))];
+    }
+    case 'negate': {
+      const arg = compileDual(node.arg, slots, n);
+      return (args) => arg(args).map(d => -d);
+    }
+    case 'call': {
+      const { f, df } = FUNCTIONS[node.name];
+      const arg = compileDual(node.arg, slots, n);
+      return (args) => {
+        const a = arg(args);
+        const value = f(a[0]);
+        return scale(a, df(a[0], value), value);
+      };
+    }
+    default: {
+      const left = compileDual(node.left, slots, n);
+      const right = compileDual(node.right, slots, n);
+      const combine = (rule) => (args) => {
+        const a = left(args);
+        const b = right(args);
+        return rule(a, b);
+      };
+
+      switch (node.op) {
+        case '+': return combine((a, b) => a.map((d, i) => d + b[i]));
+        case '-': return combine((a, b) => a.map((d, i) => d - b[i]));
+        case '*': return combine((a, b) => [a[0] * b[0], ...a.slice(1).map((d, i) => d * b[0] + a[0] * b[i + 1])]);
+        case '/': return combine((a, b) => [
+          a[0] / b[0],
+          ...a.slice(1).map((d, i) => (d * b[0] - a[0] * b[i + 1]) / (b[0] * b[0]))
+        ]);
+        default:
+          // Constant exponents use the power rule, which also works for negative bases
+          if (isConstant(node.right)) {
+            return combine((a, b) => {
+              const p = b[0];
+              return scale(a, p === 0 ? 0 : p * a[0] ** (p - 1), a[0] ** p);
+            });
+          }
+          // a^b = e^(b ln a)
+          return combine((a, b) => {
+            const value = a[0] ** b[0];
+            const logA = Math.log(a[0]);
+            return [value, ...a.slice(1).map((d, i) => value * (b[i + 1] * logA + (b[0] * d) / a[0]))];
+          });
+      }
+    }
+  }
+};
+
+/**
+ * Compile an expression into callable functions
+ * @param {string} source - Expression text
+ * @param {string[]} [variables] - Variable names, in argument order
+ * @returns {{tree: Object, variables: string[], evaluate: Function, gradient: Function}}
+ *   `evaluate(...values)` returns the value; `gradient(...values)` returns the
+ *   partial derivatives in variable order, computed by automatic differentiation
+ * @throws {Error} If the expression does not parse
+ */
+export const compileExpression = (source, variables = ['x', 'y']) => {
+  const tree = parseExpression(source, variables);
+  const slots = Object.fromEntries(variables.map((name, i) => [name, i]));
+  const value = compileValue(tree, slots);
+  const dual = compileDual(tree, slots, variables.length);
+
+  return {
+    tree,
+    variables,
+    evaluate: (...args) => value(args),
+    gradient: (...args) => dual(args).slice(1)
+  };
+};
+
+/**
+ * Check an expression without throwing
+ * @param {string} source
+ * @param {string[]} [variables]
+ * @returns {string|null} Error message, or null when the expression is valid
+ */
+export const validateExpression = (source, variables) => {
+  try {
+    parseExpression(source, variables);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Gradient by central differences
+ * @param {Function} f - Function of n numbers
+ * @param {number[]} point - Where to differentiate
+ * @param {number} [h] - Step size
+ * @returns {number[]} Approximate partial derivatives
+ */
+export const numericGradient = (f, point, h = 1e-5) => (
+  point.map((_, i) => {
+    const forward = point.map((value, j) => (j === i ? value + h : value));
+    const backward = point.map((value, j) => (j === i ? value - h : value));
+    return (f(...forward) - f(...backward)) / (2 * h);
+  })
+);
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseExpression, compileExpression, validateExpression, numericGradient, MAX_EXPRESSION_LENGTH
+} from './expression.js';
+
+describe('parsing', () => {
+  const value = (source, x = 0, y = 0) => compileExpression(source).evaluate(x, y);
+
+  it('follows operator precedence and associativity', () => {
+    expect(value('1 + 2 * 3')).toBe(7);
+    expect(value('(1 + 2) * 3')).toBe(9);
+    expect(value('8 / 4 / 2')).toBe(1);
+    expect(value('2 ^ 3 ^ 2')).toBe(512);
+    expect(value('2 ** 3')).toBe(8);
+    expect(value('-x^2', 3)).toBe(-9);
+    expect(value('2^-1')).toBe(0.5);
+  });
+
+  it('supports implicit multiplication', () => {
+    expect(value('2x', 3)).toBe(6);
+    expect(value('3(x + 1)', 1)).toBe(6);
+    expect(value('x y', 2, 5)).toBe(10);
+    expect(value('2x^2', 3)).toBe(18);
+  });
+
+  it('knows functions and constants', () => {
+    expect(value('sin(pi / 2)')).toBeCloseTo(1, 12);
+    expect(value('ln(e)')).toBeCloseTo(1, 12);
+    expect(value('sqrt(abs(x))', -16)).toBe(4);
+    expect(value('1.5e2')).toBe(150);
+  });
+
+  it('builds a syntax tree', () => {
+    expect(parseExpression('x - 1')).toEqual({
+      type: 'binary',
+      op: '-',
+      left: { type: 'variable', name: 'x' },
+      right: { type: 'number', value: 1 }
+    });
+  });
+
+  it('reports errors with positions', () => {
+    expect(() => parseExpression('x +')).toThrow('Unexpected end of expression');
+    expect(() => parseExpression('(x + y')).toThrow('Expected ")" at the end');
+    expect(() => parseExpression('x $ y')).toThrow('Unexpected character "$" at position 3');
+    expect(() => parseExpression('z + 1')).toThrow('Unknown name "z" at position 1');
+    expect(() => parseExpression('sin x')).toThrow('Expected "(" at position 5');
+    expect(() => parseExpression('x)')).toThrow('Unexpected ")" at position 2');
+    expect(() => parseExpression('  ')).toThrow('Expression is empty');
+    expect(() => parseExpression('x+'.repeat(MAX_EXPRESSION_LENGTH))).toThrow(/longer than/);
+  });
+
+  it('rejects stray decimal points instead of multiplying', () => {
+    expect(() => parseExpression('1.2.3')).toThrow('Invalid number at position 1');
+    expect(() => parseExpression('x + 1..5')).toThrow('Invalid number at position 5');
+    expect(() => parseExpression('x.2')).toThrow('Unexpected "." after "x" at position 2');
+    expect(() => parseExpression('2sin.5')).toThrow('Unexpected "." after "sin" at position 5');
+    // Ordinary decimals still parse, with or without a leading digit
+    expect(parseExpression('1.5 + .5 + 2.').type).toBe('binary');
+    expect(compileExpression('2.x', ['x']).evaluate(3)).toBe(6);
+  });
+
+  it('refuses anything that is not math', () => {
+    expect(validateExpression('constructor')).toMatch(/Unknown name/);
+    expect(validateExpression('toString(x)')).toMatch(/Unknown name/);
+    expect(validateExpression('alert(1)')).toMatch(/Unknown name/);
+    expect(validateExpression('x; y')).toMatch(/Unexpected character/);
+    expect(validateExpression('x^2 + y^2')).toBeNull();
+  });
+
+  it('accepts custom variable names', () => {
+    expect(compileExpression('a * b', ['a', 'b']).evaluate(3, 4)).toBe(12);
+    expect(validateExpression('x', ['t'])).toMatch(/Unknown name "x"/);
+  });
+});
+
+describe('automatic differentiation', () => {
+  const expressions = [
+    'x^2 + y^2',
+    '(1 - x)^2 + 100(y - x^2)^2',
+    'sin(x) * cos(y) + exp(-x y)',
+    'x / (1 + y^2) - sqrt(x^2 + y^2 + 1)',
+    'log(1 + x^2) + tanh(y) + atan(x y)',
+    'x^y',
+    '-(x - 2)^3 / 3 + abs(y)'
+  ];
+  const points = [[0.7, 1.3], [1.9, -0.4], [0.3, 2.2]];
+
+  it('matches central differences', () => {
+    expressions.forEach(source => {
+      const { evaluate, gradient } = compileExpression(source);
+      points.forEach(point => {
+        const exact = gradient(...point);
+        const approx = numericGradient(evaluate, point);
+        exact.forEach((d, i) => expect(d).toBeCloseTo(approx[i], 4));
+      });
+    });
+  });
+
+  it('differentiates constants to zero', () => {
+    expect(compileExpression('pi + 2').gradient(1, 1)).toEqual([0, 0]);
+  });
+
+  it('handles powers of zero and negative bases', () => {
+    expect(compileExpression('x^2').gradient(0, 0)).toEqual([0, 0]);
+    expect(compileExpression('x^3').gradient(-2, 0)[0]).toBe(12);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  clampPixels, imageToChannels, channelsToImage, meanSquaredError, psnr, lowRankStorage
+} from './images.js';
+
+// 2×1 image: a red pixel and a gray one
+const image = {
+  width: 2,
+  height: 1,
+  data: new Uint8ClampedArray([255, 0, 0, 255, 100, 100, 100, 255])
+};
+
+describe('channel conversion', () => {
+  it('splits RGB channels', () => {
+    expect(imageToChannels(image, 'rgb')).toEqual([[[255, 100]], [[0, 100]], [[0, 100]]]);
+  });
+
+  it('converts to grayscale with luma weights', () => {
+    const [gray] = imageToChannels(image, 'grayscale');
+    expect(gray[0][0]).toBeCloseTo(0.299 * 255, 10);
+    expect(gray[0][1]).toBeCloseTo(100, 10);
+  });
+
+  it('round-trips RGB images', () => {
+    const { data, width, height } = channelsToImage(imageToChannels(image, 'rgb'));
+    expect([width, height]).toEqual([2, 1]);
+    expect(Array.from(data)).toEqual(Array.from(image.data));
+  });
+
+  it('writes a single channel as opaque gray', () => {
+    expect(Array.from(channelsToImage([[[7]]]).data)).toEqual([7, 7, 7, 255]);
+  });
+
+  it('clamps and rounds pixel values', () => {
+    expect(clampPixels([[-3, 12.6, 300]])).toEqual([[0, 13, 255]]);
+  });
+});
+
+describe('error metrics', () => {
+  it('averages squared errors over all channels', () => {
+    expect(meanSquaredError([[[0, 0]], [[0, 0]]], [[[2, 0]], [[0, 2]]])).toBe(2);
+  });
+
+  it('computes PSNR in decibels', () => {
+    expect(psnr(0)).toBe(Infinity);
+    expect(psnr(255 * 255)).toBeCloseTo(0, 12);
+    expect(psnr(1)).toBeCloseTo(48.1308, 4);
+  });
+
+  it('counts low-rank storage', () => {
+    expect(lowRankStorage(64, 48, 5)).toBe(5 * 113);
+  });
+});
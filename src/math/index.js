@@ -0,0 +1,51 @@
+/**
+ * MATH LIBRARY
+ *
+ * Pure numeric routines used by the visualizations. Nothing in here touches
+ * React or the DOM, so everything can be unit tested in Node.
+ *
+ * - vectors: arithmetic, dot/cross products, norms
+ * - matrices: products, transpose, determinant, trace, norms, RREF, null space, spans
+ * - svd: singular value decomposition and low-rank approximation
+ * - eigen: closed-form 2×2 and 3×3 eigenvalues, the QR algorithm, power iteration
+ * - orthogonality: Gram–Schmidt, projection onto a span, coordinates in a basis,
+ *   QR factorization
+ * - elimination: recorded row reduction, LU factorization, solution sets
+ * - pca: principal components via the SVD, CSV parsing, correlated Gaussian samples
+ * - expression: safe formula parser with automatic differentiation
+ * - surfaces: optimizer test functions, grid sampling, contour lines
+ * - optimizers: SGD, momentum, Nesterov, AdaGrad, RMSProp and Adam updates,
+ *   Armijo line search, stopping rules
+ * - schedules: learning-rate schedules
+ * - secondOrder: Newton, damped Newton, BFGS and L-BFGS steps
+ * - constrained: constraint parsing, KKT residuals, augmented Lagrangian solver
+ * - programming: half-plane geometry, simplex and barrier methods for 2D LPs and QPs
+ * - special: gamma family, factorials, erf
+ * - distributions: PDFs, PMFs and CDFs
+ * - random: seeded and unseeded samplers
+ * - activations / logistic: neural network non-linearities and losses
+ * - convolution: 2D image convolution
+ * - images: pixel buffers as channel matrices, PSNR
+ */
+
+export * from './vectors.js';
+export * from './matrices.js';
+export * from './svd.js';
+export * from './eigen.js';
+export * from './orthogonality.js';
+export * from './elimination.js';
+export * from './pca.js';
+export * from './expression.js';
+export * from './surfaces.js';
+export * from './optimizers.js';
+export * from './schedules.js';
+export * from './secondOrder.js';
+export * from './constrained.js';
+export * from './programming.js';
+export * from './special.js';
+export * from './distributions.js';
+export * from './random.js';
+export * from './logistic.js';
+export * from './activations.js';
+export * from './convolution.js';
+export * from './images.js';
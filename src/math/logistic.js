@@ -0,0 +1,36 @@
+/**
+ * LOGISTIC MODEL MATH
+ *
+ * Sigmoid and binary cross-entropy used by logistic regression.
+ */
+
+const LOG_EPSILON = 1e-15; // Keeps log() away from 0
+
+/**
+ * Logistic sigmoid σ(z) = 1 / (1 + e^(-z))
+ * @param {number} z
+ * @returns {number} Value in (0, 1)
+ */
+export const sigmoid = (z) => {
+  return 1 / (1 + Math.exp(-z));
+};
+
+/**
+ * Mean binary cross-entropy (log loss)
+ * Probabilities are clipped to [ε, 1 - ε] so confident mistakes give a large
+ * but finite loss.
+ * @param {number[]} labels - True labels, 0 or 1
+ * @param {number[]} probabilities - Predicted P(label = 1), same length as labels
+ * @returns {number} Mean loss (0 for empty input)
+ */
+export const logLoss = (labels, probabilities) => {
+  if (labels.length === 0) return 0;
+
+  let loss = 0;
+  labels.forEach((label, i) => {
+    const p = Math.max(LOG_EPSILON, Math.min(1 - LOG_EPSILON, probabilities[i]));
+    loss += -label * Math.log(p) - (1 - label) * Math.log(1 - p);
+  });
+
+  return loss / labels.length;
+};
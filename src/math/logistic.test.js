@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { sigmoid, logLoss } from './logistic.js';
+
+describe('sigmoid', () => {
+  it('is 0.5 at zero and symmetric', () => {
+    expect(sigmoid(0)).toBe(0.5);
+    expect(sigmoid(2) + sigmoid(-2)).toBeCloseTo(1, 12);
+  });
+
+  it('saturates without overflowing', () => {
+    expect(sigmoid(800)).toBe(1);
+    expect(sigmoid(-800)).toBe(0);
+  });
+});
+
+describe('logLoss', () => {
+  it('is ln 2 for uninformed predictions', () => {
+    expect(logLoss([0, 1], [0.5, 0.5])).toBeCloseTo(Math.LN2, 12);
+  });
+
+  it('is near zero for confident correct predictions', () => {
+    expect(logLoss([1, 0], [1, 0])).toBeLessThan(1e-12);
+  });
+
+  it('stays finite for confident mistakes', () => {
+    const loss = logLoss([1], [0]);
+    expect(Number.isFinite(loss)).toBe(true);
+    expect(loss).toBeCloseTo(-Math.log(1e-15), 6);
+  });
+
+  it('averages over examples', () => {
+    expect(logLoss([1, 1], [0.9, 0.6])).toBeCloseTo(-(Math.log(0.9) + Math.log(0.6)) / 2, 12);
+    expect(logLoss([], [])).toBe(0);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * MATRICES
+ *
+ * Operations on matrices stored as arrays of rows (number[][]).
+ */
+
+import { dot } from './vectors.js';
+
+/**
+ * n×n identity matrix
+ * @param {number} n
+ * @returns {number[][]}
+ */
+export const identity = (n) => (
+  Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)))
+);
+
+/**
+ * rows×cols matrix of zeros
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[][]}
+ */
+export const zeros = (rows, cols) => (
+  Array.from({ length: rows }, () => new Array(cols).fill(0))
+);
+
+/**
+ * @param {number[][]} A
+ * @returns {number[][]} Aᵀ
+ */
+export const transpose = (A) => (
+  A[0].map((_, j) => A.map(row => row[j]))
+);
+
+/**
+ * Matrix product AB
+ * @param {number[][]} A - m×n
+ * @param {number[][]} B - n×p
+ * @returns {number[][]} m×p
+ */
+export const multiply = (A, B) => {
+  const Bt = transpose(B);
+  return A.map(row => Bt.map(column => dot(row, column)));
+};
+
+/**
+ * Matrix-vector product Av
+ * @param {number[][]} A - m×n
+ * @param {number[]} v - length n
+ * @returns {number[]} length m
+ */
+export const multiplyVector = (A, v) => A.map(row => dot(row, v));
+
+/**
+ * Compose transformations applied one after another
+ * The first matrix acts first, so [A, B, C] gives CBA.
+ * @param {number[][][]} matrices - Square matrices of the same size
+ * @param {number} [n] - Size of the identity returned for an empty list
+ * @returns {number[][]}
+ */
+export const compose = (matrices, n = matrices[0]?.length ?? 2) => (
+  matrices.reduce((product, M) => multiply(M, product), identity(n))
+);
+
+/**
+ * Entry-wise linear interpolation (1 - t)A + tB
+ * @param {number[][]} A
+ * @param {number[][]} B - Same shape as A
+ * @param {number} t - 0 gives A, 1 gives B
+ * @returns {number[][]}
+ */
+export const lerpMatrix = (A, B, t) => (
+  A.map((row, i) => row.map((value, j) => value + (B[i][j] - value) * t))
+);
+
+/**
+ * Apply a 2×2 matrix to a point
+ * @param {number[][]} matrix
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}}
+ */
+export const transformPoint = (matrix, point) => ({
+  x: matrix[0][0] * point.x + matrix[0][1] * point.y,
+  y: matrix[1][0] * point.x + matrix[1][1] * point.y
+});
+
+/**
+ * Sum of the diagonal
+ * @param {number[][]} A - Square matrix
+ * @returns {number}
+ */
+export const trace = (A) => A.reduce((sum, row, i) => sum + row[i], 0);
+
+/**
+ * Determinant of a square matrix
+ * Closed form for 1×1 and 2×2, Gaussian elimination with partial pivoting
+ * otherwise.
+ * @param {number[][]} A - Square matrix
+ * @returns {number}
+ */
+export const determinant = (A) => {
+  const n = A.length;
+  if (n === 1) return A[0][0];
+  if (n === 2) return A[0][0] * A[1][1] - A[0][1] * A[1][0];
+
+  const M = A.map(row => [...row]);
+  let det = 1;
+
+  for (let col = 0; col < n; col++) {
+    // Pivot on the largest entry for stability
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (M[pivot][col] === 0) return 0;
+    if (pivot !== col) {
+      [M[pivot], M[col]] = [M[col], M[pivot]];
+      det = -det;
+    }
+
+    det *= M[col][col];
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k < n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  return det;
+};
+
+/**
+ * Frobenius norm ‖A‖_F (square root of the sum of squared entries)
+ * @param {number[][]} A
+ * @returns {number}
+ */
+export const frobeniusNorm = (A) => (
+  Math.sqrt(A.reduce((sum, row) => sum + dot(row, row), 0))
+);
+
+/**
+ * Reduced row echelon form (Gauss–Jordan with partial pivoting)
+ * @param {number[][]} A
+ * @param {number} [tolerance] - Entries this small count as zero
+ * @returns {{matrix: number[][], pivots: number[]}} RREF and the pivot column of each non-zero row
+ */
+export const rref = (A, tolerance = 1e-10) => {
+  const M = A.map(row => [...row]);
+  const rows = M.length;
+  const cols = M[0].length;
+  const pivots = [];
+  let pivotRow = 0;
+
+  for (let col = 0; col < cols && pivotRow < rows; col++) {
+    // Pivot on the largest entry in this column
+    let best = pivotRow;
+    for (let row = pivotRow + 1; row < rows; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[best][col])) best = row;
+    }
+    if (Math.abs(M[best][col]) <= tolerance) continue;
+
+    [M[pivotRow], M[best]] = [M[best], M[pivotRow]];
+    const pivot = M[pivotRow][col];
+    M[pivotRow] = M[pivotRow].map(value => value / pivot);
+
+    for (let row = 0; row < rows; row++) {
+      if (row === pivotRow) continue;
+      const factor = M[row][col];
+      if (factor === 0) continue;
+      M[row] = M[row].map((value, j) => value - factor * M[pivotRow][j]);
+    }
+
+    pivots.push(col);
+    pivotRow++;
+  }
+
+  // Clean up round-off so exact zeros read as zeros
+  const matrix = M.map(row => row.map(value => (Math.abs(value) <= tolerance ? 0 : value)));
+  return { matrix, pivots };
+};
+
+/**
+ * Rank (number of pivots in the row echelon form)
+ * @param {number[][]} A
+ * @param {number} [tolerance]
+ * @returns {number}
+ */
+export const rank = (A, tolerance) => rref(A, tolerance).pivots.length;
+
+/**
+ * Basis of the null space {x : Ax = 0}
+ * One vector per free column, read off the reduced row echelon form.
+ * @param {number[][]} A - m×n
+ * @param {number} [tolerance]
+ * @returns {number[][]} Basis vectors of length n (empty when A has full column rank)
+ */
+export const nullSpace = (A, tolerance) => {
+  const { matrix, pivots } = rref(A, tolerance);
+  const n = A[0].length;
+  const free = Array.from({ length: n }, (_, j) => j).filter(j => !pivots.includes(j));
+
+  return free.map(freeCol => {
+    const x = new Array(n).fill(0);
+    x[freeCol] = 1;
+    pivots.forEach((pivotCol, row) => {
+      x[pivotCol] = -matrix[row][freeCol];
+    });
+    return x;
+  });
+};
+
+/**
+ * Span of a list of vectors, from the row reduction of the matrix with them as columns
+ * Pivot columns give a basis drawn from the vectors themselves; each free
+ * column gives a dependency relation Σ cᵢvᵢ = 0 with its own coefficient 1.
+ * @param {number[][]} vectors - Vectors of equal length
+ * @param {number} [tolerance]
+ * @returns {{rank: number, basis: number[], relations: number[][]}} Dimension
+ *   of the span, indices of the basis vectors, and null-space coefficients
+ */
+export const spanOf = (vectors, tolerance) => {
+  if (vectors.length === 0) return { rank: 0, basis: [], relations: [] };
+
+  const A = transpose(vectors);
+  const { pivots } = rref(A, tolerance);
+  return { rank: pivots.length, basis: pivots, relations: nullSpace(A, tolerance) };
+};
+
+/**
+ * Solve the square system Ax = b
+ * Gaussian elimination with partial pivoting and back substitution.
+ * @param {number[][]} A - n×n
+ * @param {number[]} b - Length n
+ * @param {number} [tolerance] - Pivots this small (relative to the largest entry) count as zero
+ * @returns {number[]|null} Solution, or null when A is singular
+ */
+export const solve = (A, b, tolerance = 1e-12) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  const largest = Math.max(...A.flat().map(Math.abs));
+  if (!(largest > 0)) return null;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) <= tolerance * largest) return null;
+    [M[pivot], M[col]] = [M[col], M[pivot]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+};
+
+/**
+ * Inverse of a square matrix
+ * @param {number[][]} A - n×n
+ * @returns {number[][]|null} A⁻¹, or null when A is singular
+ */
+export const inverse = (A) => {
+  const columns = identity(A.length).map(e => solve(A, e));
+  return columns.every(Boolean) ? transpose(columns) : null;
+};
+
+/**
+ * Cholesky factor of a symmetric positive definite matrix
+ * @param {number[][]} A - Symmetric n×n
+ * @returns {number[][]|null} Lower triangular L with LLᵀ = A, or null when A
+ *   is not positive definite
+ */
+export const cholesky = (A) => {
+  const n = A.length;
+  const L = zeros(n, n);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+
+  return L;
+};
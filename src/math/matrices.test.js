@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  identity, zeros, transpose, multiply, multiplyVector, compose, lerpMatrix, transformPoint, trace, determinant,
+  frobeniusNorm, rref, rank, nullSpace, spanOf, solve, inverse, cholesky
+} from './matrices.js';
+
+describe('matrix construction', () => {
+  it('builds identity and zero matrices', () => {
+    expect(identity(2)).toEqual([[1, 0], [0, 1]]);
+    expect(zeros(2, 3)).toEqual([[0, 0, 0], [0, 0, 0]]);
+  });
+
+  it('transposes rectangular matrices', () => {
+    expect(transpose([[1, 2, 3], [4, 5, 6]])).toEqual([[1, 4], [2, 5], [3, 6]]);
+  });
+});
+
+describe('matrix products', () => {
+  const A = [[1, 2], [3, 4]];
+
+  it('multiplies matrices', () => {
+    expect(multiply(A, [[5, 6], [7, 8]])).toEqual([[19, 22], [43, 50]]);
+    expect(multiply(A, identity(2))).toEqual(A);
+    expect(multiply([[1, 2, 3]], [[1], [2], [3]])).toEqual([[14]]);
+  });
+
+  it('multiplies a matrix by a vector', () => {
+    expect(multiplyVector(A, [1, 1])).toEqual([3, 7]);
+  });
+
+  it('composes transformations in the order they are applied', () => {
+    const rotate = [[0, -1], [1, 0]];
+    const scaleX = [[2, 0], [0, 1]];
+    expect(compose([rotate, scaleX])).toEqual(multiply(scaleX, rotate));
+    expect(compose([rotate, scaleX])).not.toEqual(compose([scaleX, rotate]));
+    expect(compose([], 3)).toEqual(identity(3));
+  });
+
+  it('interpolates entry-wise', () => {
+    expect(lerpMatrix(identity(2), [[3, 2], [0, 5]], 0.5)).toEqual([[2, 1], [0, 3]]);
+    expect(lerpMatrix(identity(2), A, 1)).toEqual(A);
+  });
+
+  it('transforms points like the matrix-vector product', () => {
+    const rotation = [[0, -1], [1, 0]];
+    const point = transformPoint(rotation, { x: 2, y: 1 });
+    expect(point).toEqual({ x: -1, y: 2 });
+  });
+});
+
+describe('matrix invariants', () => {
+  it('sums the diagonal for the trace', () => {
+    expect(trace([[1, 2, 3], [4, 5, 6], [7, 8, 9]])).toBe(15);
+  });
+
+  it('computes determinants in closed form for small matrices', () => {
+    expect(determinant([[7]])).toBe(7);
+    expect(determinant([[1, 2], [3, 4]])).toBe(-2);
+  });
+
+  it('computes larger determinants by elimination', () => {
+    expect(determinant([[2, 0, 1], [1, 3, 2], [1, 1, 2]])).toBeCloseTo(6, 12);
+    expect(determinant([[0, 1, 0], [1, 0, 0], [0, 0, 1]])).toBeCloseTo(-1, 12);
+    expect(determinant([[1, 2, 3], [4, 5, 6], [7, 8, 9]])).toBeCloseTo(0, 12);
+    expect(determinant(identity(5))).toBe(1);
+  });
+
+  it('is multiplicative', () => {
+    const A = [[1, 2, 0], [0, 1, 4], [5, 6, 0]];
+    const B = [[2, 1, 1], [0, 3, 1], [1, 0, 2]];
+    expect(determinant(multiply(A, B))).toBeCloseTo(determinant(A) * determinant(B), 10);
+  });
+});
+
+describe('row reduction', () => {
+  it('reduces to row echelon form with pivot columns', () => {
+    const { matrix, pivots } = rref([[1, 2, 3], [2, 4, 7], [1, 2, 4]]);
+    expect(pivots).toEqual([0, 2]);
+    expect(matrix).toEqual([[1, 2, 0], [0, 0, 1], [0, 0, 0]]);
+  });
+
+  it('computes rank', () => {
+    expect(rank(identity(3))).toBe(3);
+    expect(rank([[1, 2], [2, 4]])).toBe(1);
+    expect(rank(zeros(2, 3))).toBe(0);
+  });
+
+  it('finds a null space basis', () => {
+    const A = [[1, 2, 3], [2, 4, 6]];
+    const basis = nullSpace(A);
+
+    expect(basis).toHaveLength(2);
+    basis.forEach(x => expect(multiplyVector(A, x).map(v => v + 0)).toEqual([0, 0]));
+    expect(nullSpace(identity(2))).toEqual([]);
+  });
+
+  it('finds a basis and the dependency relations of a set of vectors', () => {
+    const vectors = [[1, 0, 1], [0, 1, 1], [1, 1, 2], [2, 0, 0]];
+    const { rank: r, basis, relations } = spanOf(vectors);
+
+    expect(r).toBe(3);
+    expect(basis).toEqual([0, 1, 3]);
+    expect(relations).toHaveLength(1);
+    // v₃ = v₁ + v₂
+    const combination = [0, 1, 2].map(k => relations[0].reduce((sum, c, i) => sum + c * vectors[i][k], 0));
+    expect(combination.map(v => v + 0)).toEqual([0, 0, 0]);
+    expect(relations[0][2]).toBe(1);
+
+    expect(spanOf([])).toEqual({ rank: 0, basis: [], relations: [] });
+    expect(spanOf([[0, 0]]).rank).toBe(0);
+  });
+
+  it('computes the Frobenius norm', () => {
+    expect(frobeniusNorm([[1, 2], [2, 4]])).toBe(5);
+  });
+});
+
+describe('linear systems', () => {
+  it('solves a square system with pivoting', () => {
+    const A = [[0, 2, 1], [1, 1, 0], [3, 0, 1]];
+    const x = solve(A, [7, 3, 6]);
+    expect(x[0]).toBeCloseTo(1, 12);
+    expect(x[1]).toBeCloseTo(2, 12);
+    expect(x[2]).toBeCloseTo(3, 12);
+  });
+
+  it('returns null for singular systems', () => {
+    expect(solve([[1, 2], [2, 4]], [1, 2])).toBeNull();
+    expect(solve(zeros(2, 2), [0, 0])).toBeNull();
+    expect(inverse([[1, 2], [2, 4]])).toBeNull();
+  });
+
+  it('inverts a matrix', () => {
+    const A = [[4, 7], [2, 6]];
+    const product = multiply(A, inverse(A));
+    product.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(i === j ? 1 : 0, 12)));
+  });
+
+  it('factors positive definite matrices and rejects the rest', () => {
+    const A = [[4, 2, 0], [2, 5, 1], [0, 1, 3]];
+    const L = cholesky(A);
+    const product = multiply(L, transpose(L));
+    product.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(A[i][j], 12)));
+    expect(L[0][1]).toBe(0);
+    expect(cholesky([[2, 0], [0, -2]])).toBeNull();
+    expect(cholesky([[1, 2], [2, 1]])).toBeNull();
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * OPTIMIZERS
+ *
+ * First-order update rules used to train neural networks, written as pure
+ * steps: each call takes the current point and optimizer state and returns
+ * new ones, so trajectories can be replayed, raced and unit tested.
+ * Points and gradients are plain number arrays.
+ */
+
+/**
+ * Optimizer catalog
+ * `hyperparameters` lists the settings each rule reads besides the learning rate.
+ */
+export const OPTIMIZERS = {
+  sgd: {
+    name: 'SGD',
+    hyperparameters: [],
+    description: 'Plain gradient descent: step straight downhill, scaled by the learning rate.'
+  },
+  momentum: {
+    name: 'Momentum',
+    hyperparameters: ['momentum'],
+    description: 'Accumulates a velocity, so consistent directions speed up and zig-zags cancel out.'
+  },
+  nesterov: {
+    name: 'Nesterov',
+    hyperparameters: ['momentum'],
+    description: 'Momentum that measures the gradient where the velocity is about to carry it, braking earlier.'
+  },
+  adagrad: {
+    name: 'AdaGrad',
+    hyperparameters: [],
+    description: 'Divides each coordinate by the root of its summed squared gradients - steps shrink over time.'
+  },
+  rmsprop: {
+    name: 'RMSProp',
+    hyperparameters: ['rho'],
+    description: 'Like AdaGrad with a decaying average of squared gradients, so steps do not die out.'
+  },
+  adam: {
+    name: 'Adam',
+    hyperparameters: ['beta1', 'beta2'],
+    description: 'Momentum plus RMSProp scaling with bias correction: every coordinate moves about one learning rate per step.'
+  }
+};
+
+export const DEFAULT_HYPERPARAMETERS = {
+  learningRate: 0.01,
+  momentum: 0.9,
+  rho: 0.9,
+  beta1: 0.9,
+  beta2: 0.999,
+  epsilon: 1e-8
+};
+
+/**
+ * Fresh optimizer state
+ * @param {number} dimension - Number of coordinates
+ * @returns {{t: number, velocity: number[], squares: number[]}}
+ *   `velocity` holds momentum / Adam's first moment, `squares` the accumulated
+ *   or averaged squared gradients
+ */
+export const createOptimizerState = (dimension) => ({
+  t: 0,
+  velocity: new Array(dimension).fill(0),
+  squares: new Array(dimension).fill(0)
+});
+
+/**
+ * One optimizer update
+ * @param {string} type - Key of OPTIMIZERS
+ * @param {number[]} x - Current point
+ * @param {Function} gradient - (point) => gradient array
+ * @param {Object} state - From createOptimizerState or a previous step
+ * @param {Object} [hyperparameters] - Overrides for DEFAULT_HYPERPARAMETERS
+ * @returns {{x: number[], state: Object, gradient: number[]}} New point and
+ *   state, plus the gradient the update used
+ */
+export const optimizerStep = (type, x, gradient, state, hyperparameters = {}) => {
+  const { learningRate: lr, momentum, rho, beta1, beta2, epsilon } = {
+    ...DEFAULT_HYPERPARAMETERS,
+    ...hyperparameters
+  };
+  const t = state.t + 1;
+
+  switch (type) {
+    case 'sgd': {
+      const g = gradient(x);
+      return { x: x.map((xi, i) => xi - lr * g[i]), state: { ...state, t }, gradient: g };
+    }
+
+    case 'momentum': {
+      const g = gradient(x);
+      const velocity = state.velocity.map((v, i) => momentum * v - lr * g[i]);
+      return { x: x.map((xi, i) => xi + velocity[i]), state: { ...state, t, velocity }, gradient: g };
+    }
+
+    case 'nesterov': {
+      // Gradient at the look-ahead point x + μv
+      const g = gradient(x.map((xi, i) => xi + momentum * state.velocity[i]));
+      const velocity = state.velocity.map((v, i) => momentum * v - lr * g[i]);
+      return { x: x.map((xi, i) => xi + velocity[i]), state: { ...state, t, velocity }, gradient: g };
+    }
+
+    case 'adagrad': {
+      const g = gradient(x);
+      const squares = state.squares.map((s, i) => s + g[i] * g[i]);
+      return {
+        x: x.map((xi, i) => xi - (lr * g[i]) / (Math.sqrt(squares[i]) + epsilon)),
+        state: { ...state, t, squares },
+        gradient: g
+      };
+    }
+
+    case 'rmsprop': {
+      const g = gradient(x);
+      const squares = state.squares.map((s, i) => rho * s + (1 - rho) * g[i] * g[i]);
+      return {
+        x: x.map((xi, i) => xi - (lr * g[i]) / (Math.sqrt(squares[i]) + epsilon)),
+        state: { ...state, t, squares },
+        gradient: g
+      };
+    }
+
+    case 'adam': {
+      const g = gradient(x);
+      const velocity = state.velocity.map((m, i) => beta1 * m + (1 - beta1) * g[i]);
+      const squares = state.squares.map((v, i) => beta2 * v + (1 - beta2) * g[i] * g[i]);
+      // Bias correction: both averages start at zero
+      const mCorrection = 1 - beta1 ** t;
+      const vCorrection = 1 - beta2 ** t;
+      return {
+        x: x.map((xi, i) => (
+          xi - (lr * (velocity[i] / mCorrection)) / (Math.sqrt(squares[i] / vCorrection) + epsilon)
+        )),
+        state: { ...state, t, velocity, squares },
+        gradient: g
+      };
+    }
+
+    default:
+      throw new Error(`Unknown optimizer: ${type}`);
+  }
+};
+
+/**
+ * Fresh trajectory for stepping a 2D optimizer one update at a time
+ * @param {string} type - Key of OPTIMIZERS
+ * @param {{x: number, y: number}} point - Starting point
+ * @param {Function} f - Loss (x, y) => number of the surface being run, which
+ *   seeds `losses` with the starting loss
+ * @returns {{type: string, position: Object, path: Object[], losses: number[],
+ *   rates: number[], rising: number, state: Object, status: string}} `rates`
+ *   holds the step size of each update and `rising` counts consecutive loss increases
+ */
+export const createTrajectory = (type, point, f) => ({
+  type,
+  position: point,
+  path: [point],
+  losses: [f(point.x, point.y)],
+  rates: [],
+  rising: 0,
+  state: createOptimizerState(2),
+  status: 'running'
+});
+
+/**
+ * Run an optimizer for a fixed number of steps
+ * @param {string} type - Key of OPTIMIZERS
+ * @param {Function} gradient - (point) => gradient array
+ * @param {number[]} start - Starting point
+ * @param {number} steps - Number of updates
+ * @param {Object} [hyperparameters]
+ * @returns {number[][]} Trajectory, starting point first (steps + 1 points)
+ */
+export const minimize = (type, gradient, start, steps, hyperparameters) => {
+  const trajectory = [start];
+  let x = start;
+  let state = createOptimizerState(start.length);
+
+  for (let i = 0; i < steps; i++) {
+    ({ x, state } = optimizerStep(type, x, gradient, state, hyperparameters));
+    trajectory.push(x);
+  }
+
+  return trajectory;
+};
+
+// ============================================================================
+// STEP-SIZE SEARCH AND STOPPING RULES
+// ============================================================================
+
+/**
+ * Backtracking line search with the Armijo sufficient-decrease condition
+ * Shrinks α until f(x + αd) ≤ f(x) + c·α·(∇f·d).
+ * @param {Function} f - (point) => value
+ * @param {number[]} x - Current point
+ * @param {number[]} gradient - ∇f at x
+ * @param {number[]} direction - Descent direction d, e.g. -∇f
+ * @param {{initialStep?: number, shrink?: number, c?: number, maxSteps?: number}} [options]
+ * @returns {{step: number, x: number[], value: number, evaluations: number}}
+ *   Accepted step size and point; `step` is 0 when d is not a descent direction
+ *   or no step passed within `maxSteps` halvings
+ */
+export const armijoBacktracking = (
+  f,
+  x,
+  gradient,
+  direction,
+  { initialStep = 1, shrink = 0.5, c = 1e-4, maxSteps = 40 } = {}
+) => {
+  const value = f(x);
+  const slope = gradient.reduce((sum, g, i) => sum + g * direction[i], 0);
+  if (!(slope < 0)) return { step: 0, x, value, evaluations: 1 };
+
+  let step = initialStep;
+  for (let i = 0; i < maxSteps; i++) {
+    const candidate = x.map((xi, j) => xi + step * direction[j]);
+    const candidateValue = f(candidate);
+    if (candidateValue <= value + c * step * slope) {
+      return { step, x: candidate, value: candidateValue, evaluations: i + 2 };
+    }
+    step *= shrink;
+  }
+
+  return { step: 0, x, value, evaluations: maxSteps + 1 };
+};
+
+export const STOPPING_CRITERIA = {
+  gradientTolerance: 1e-2,
+  lossTolerance: 1e-9,
+  maxIterations: 1000,
+  divergenceLoss: 1e6
+};
+
+/**
+ * Check the stopping rules after an iteration
+ * Both loss tests are relative: divergence means |f| > divergenceLoss·max(1, |f₀|)
+ * with f₀ the starting loss, so surfaces that start large are not flagged at
+ * once, and a stall means |Δf| < tol·max(1, |f|).
+ * @param {{iteration: number, loss: number, previousLoss: number,
+ *   initialLoss?: number, gradientNorm: number}} progress
+ * @param {Object} [criteria] - Overrides for STOPPING_CRITERIA
+ * @returns {'diverged'|'gradient'|'loss'|'max-iterations'|null} Why to stop,
+ *   or null to keep going
+ */
+export const stoppingReason = ({ iteration, loss, previousLoss, initialLoss = 0, gradientNorm }, criteria = {}) => {
+  const { gradientTolerance, lossTolerance, maxIterations, divergenceLoss } = {
+    ...STOPPING_CRITERIA,
+    ...criteria
+  };
+
+  const startScale = Number.isFinite(initialLoss) ? Math.max(1, Math.abs(initialLoss)) : 1;
+  if (!Number.isFinite(loss) || Math.abs(loss) > divergenceLoss * startScale) return 'diverged';
+  if (gradientNorm < gradientTolerance) return 'gradient';
+  if (Math.abs(loss - previousLoss) < lossTolerance * Math.max(1, Math.abs(loss))) return 'loss';
+  if (iteration >= maxIterations) return 'max-iterations';
+  return null;
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OPTIMIZERS,
+  createOptimizerState,
+  optimizerStep,
+  createTrajectory,
+  minimize,
+  armijoBacktracking,
+  stoppingReason
+} from './optimizers.js';
+import { SURFACES } from './surfaces.js';
+
+// f(x, y) = 0.5x² + 5y², an ill-conditioned bowl with its minimum at the origin
+const gradient = ([x, y]) => [x, 10 * y];
+const distance = ([x, y]) => Math.hypot(x, y);
+
+describe('optimizer steps', () => {
+  it('takes a plain gradient step for SGD', () => {
+    const { x, state } = optimizerStep('sgd', [1, 1], gradient, createOptimizerState(2), { learningRate: 0.1 });
+    expect(x).toEqual([0.9, 0]);
+    expect(state.t).toBe(1);
+  });
+
+  it('accumulates velocity with momentum', () => {
+    const hyper = { learningRate: 0.1, momentum: 0.5 };
+    const first = optimizerStep('momentum', [1, 0], gradient, createOptimizerState(2), hyper);
+    expect(first.x[0]).toBeCloseTo(0.9, 12);
+    const second = optimizerStep('momentum', first.x, gradient, first.state, hyper);
+    // v = 0.5(-0.1) - 0.1(0.9)
+    expect(second.x[0]).toBeCloseTo(0.9 - 0.05 - 0.09, 12);
+  });
+
+  it('evaluates the gradient at the look-ahead point for Nesterov', () => {
+    const state = { ...createOptimizerState(2), velocity: [-0.2, 0] };
+    const { gradient: used } = optimizerStep('nesterov', [1, 0], gradient, state, { momentum: 0.5 });
+    expect(used).toEqual([0.9, 0]);
+  });
+
+  it('moves every coordinate by about the learning rate on Adam\'s first step', () => {
+    const { x } = optimizerStep('adam', [1, 1], gradient, createOptimizerState(2), { learningRate: 0.1 });
+    expect(x[0]).toBeCloseTo(0.9, 6);
+    expect(x[1]).toBeCloseTo(0.9, 6);
+  });
+
+  it('shrinks AdaGrad steps as squared gradients accumulate', () => {
+    const trajectory = minimize('adagrad', () => [1, 1], [0, 0], 3, { learningRate: 1 });
+    const stepSizes = trajectory.slice(1).map((x, i) => trajectory[i][0] - x[0]);
+    expect(stepSizes[0]).toBeCloseTo(1, 6);
+    expect(stepSizes[1]).toBeCloseTo(1 / Math.SQRT2, 6);
+    expect(stepSizes[2]).toBeCloseTo(1 / Math.sqrt(3), 6);
+  });
+
+  it('keeps RMSProp steps from dying out', () => {
+    const trajectory = minimize('rmsprop', () => [1, 1], [0, 0], 50, { learningRate: 0.1, rho: 0.9 });
+    const last = trajectory[50][0] - trajectory[49][0];
+    expect(Math.abs(last)).toBeCloseTo(0.1, 2);
+  });
+
+  it('rejects unknown optimizers', () => {
+    expect(() => optimizerStep('sgdd', [0], gradient, createOptimizerState(1))).toThrow(/Unknown optimizer/);
+  });
+});
+
+describe('minimize', () => {
+  it('converges on a convex bowl with every optimizer', () => {
+    const settings = {
+      sgd: { learningRate: 0.1 },
+      momentum: { learningRate: 0.05 },
+      nesterov: { learningRate: 0.05 },
+      adagrad: { learningRate: 1 },
+      rmsprop: { learningRate: 0.01 },
+      adam: { learningRate: 0.05 }
+    };
+    Object.keys(OPTIMIZERS).forEach(type => {
+      const trajectory = minimize(type, gradient, [3, 2], 500, settings[type]);
+      expect(trajectory).toHaveLength(501);
+      expect(distance(trajectory[500])).toBeLessThan(0.05);
+    });
+  });
+
+  it('lets momentum cross the shallow direction faster than SGD', () => {
+    const sgd = minimize('sgd', gradient, [3, 0], 30, { learningRate: 0.05 });
+    const momentum = minimize('momentum', gradient, [3, 0], 30, { learningRate: 0.05, momentum: 0.8 });
+    expect(distance(momentum[30])).toBeLessThan(distance(sgd[30]));
+  });
+});
+
+describe('createTrajectory', () => {
+  it('seeds the first loss from the surface it runs on', () => {
+    // Himmelblau starts at the quadratic bowl's minimum, where a stale loss would read 0
+    const { himmelblau, beale } = SURFACES;
+    expect(createTrajectory('sgd', himmelblau.start, himmelblau.f).losses).toEqual([170]);
+    expect(createTrajectory('adam', beale.start, beale.f).losses).toEqual([41.25]);
+
+    const run = createTrajectory('momentum', { x: 1, y: 2 }, (x, y) => x + y);
+    expect(run.path).toEqual([{ x: 1, y: 2 }]);
+    expect(run).toMatchObject({ rates: [], rising: 0, status: 'running' });
+  });
+});
+
+describe('armijoBacktracking', () => {
+  const f = ([x, y]) => 0.5 * x * x + 5 * y * y;
+
+  it('accepts the first step when it already decreases enough', () => {
+    const g = gradient([1, 0]);
+    const result = armijoBacktracking(f, [1, 0], g, g.map(v => -v));
+    expect(result.step).toBe(1);
+    expect(result.x).toEqual([0, 0]);
+    expect(result.evaluations).toBe(2);
+  });
+
+  it('halves until the sufficient-decrease condition holds', () => {
+    const g = gradient([0, 1]);
+    const d = g.map(v => -v);
+    const { step, value } = armijoBacktracking(f, [0, 1], g, d);
+    // α = 1, 1/2 and 1/4 overshoot the steep direction to a higher value than f(0, 1) = 5
+    expect(step).toBe(0.125);
+    expect(value).toBeLessThanOrEqual(f([0, 1]) + 1e-4 * step * -100);
+  });
+
+  it('refuses directions that point uphill', () => {
+    const g = gradient([1, 1]);
+    expect(armijoBacktracking(f, [1, 1], g, g).step).toBe(0);
+  });
+});
+
+describe('stoppingReason', () => {
+  const progress = { iteration: 10, loss: 1, previousLoss: 2, gradientNorm: 1 };
+
+  it('keeps going while nothing triggers', () => {
+    expect(stoppingReason(progress)).toBeNull();
+  });
+
+  it('detects divergence before anything else', () => {
+    expect(stoppingReason({ ...progress, loss: NaN, gradientNorm: 0 })).toBe('diverged');
+    expect(stoppingReason({ ...progress, loss: 2e6 })).toBe('diverged');
+    expect(stoppingReason({ ...progress, loss: 50 }, { divergenceLoss: 10 })).toBe('diverged');
+  });
+
+  it('measures divergence against the starting loss on large-scale surfaces', () => {
+    // e.g. a custom surface f = 1e8·(x² + y²) started at (1, 1)
+    const large = { ...progress, loss: 1.5e8, previousLoss: 2e8, initialLoss: 2e8 };
+    expect(stoppingReason({ ...large, iteration: 1, previousLoss: 2e8, loss: 2e8 })).not.toBe('diverged');
+    expect(stoppingReason(large)).toBeNull();
+    expect(stoppingReason({ ...large, loss: 3e14 })).toBe('diverged');
+    expect(stoppingReason({ ...progress, loss: 2e6, initialLoss: 0.5 })).toBe('diverged');
+  });
+
+  it('stops on a small gradient, a stalled loss or the iteration limit', () => {
+    expect(stoppingReason({ ...progress, gradientNorm: 1e-3 })).toBe('gradient');
+    expect(stoppingReason({ ...progress, previousLoss: 1 + 1e-12 })).toBe('loss');
+    expect(stoppingReason({ ...progress, loss: 1e4, previousLoss: 1e4 + 1e-6 })).toBe('loss');
+    expect(stoppingReason({ ...progress, iteration: 1000 })).toBe('max-iterations');
+    expect(stoppingReason({ ...progress, iteration: 1000 }, { maxIterations: 2000 })).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * ORTHOGONALITY
+ *
+ * Gram–Schmidt orthonormalization, orthogonal projection onto the span of a
+ * set of vectors, coordinates with respect to a basis and QR factorization.
+ * Vectors are plain number arrays of equal length.
+ */
+
+import { add, subtract, scale, dot, norm } from './vectors.js';
+import { solve, transpose, identity } from './matrices.js';
+
+/**
+ * Gram–Schmidt orthonormalization, recording every step
+ * Each vector loses its components along the unit vectors found so far; the
+ * remainder is normalized, or dropped when it is (relative to the vector)
+ * zero because the vector already lies in the span of the earlier ones.
+ * @param {number[][]} vectors
+ * @param {number} [tolerance] - Relative size below which a remainder counts as zero
+ * @returns {{basis: number[][], steps: {vector: number[], components: number[],
+ *   projection: number[], remainder: number[], q: number[]|null}[]}} Orthonormal
+ *   basis of the span, and per input vector its components ⟨v, qⱼ⟩ along the
+ *   unit vectors before it, the projection they add up to, the remainder
+ *   v − projection and the new unit vector (null when dropped)
+ */
+export const gramSchmidt = (vectors, tolerance = 1e-9) => {
+  const basis = [];
+  const steps = vectors.map(vector => {
+    const components = basis.map(q => dot(vector, q));
+    const projection = basis.reduce((sum, q, j) => add(sum, scale(q, components[j])), vector.map(() => 0));
+    const remainder = subtract(vector, projection);
+    const length = norm(remainder);
+    const q = length > tolerance * Math.max(1, norm(vector)) ? scale(remainder, 1 / length) : null;
+    if (q) basis.push(q);
+    return { vector, components, projection, remainder, q };
+  });
+
+  return { basis, steps };
+};
+
+/**
+ * Orthogonal projection of a point onto the span of some vectors
+ * @param {number[]} point
+ * @param {number[][]} vectors - Need not be independent or orthogonal
+ * @returns {{projection: number[], residual: number[], distance: number}} Closest
+ *   point of the span, the residual point − projection (orthogonal to every
+ *   vector) and its length
+ */
+export const projectOntoSpan = (point, vectors) => {
+  const { basis } = gramSchmidt(vectors);
+  const projection = basis.reduce((sum, q) => add(sum, scale(q, dot(point, q))), point.map(() => 0));
+  const residual = subtract(point, projection);
+  return { projection, residual, distance: norm(residual) };
+};
+
+/**
+ * Coordinates of a point in a basis: the c with Σ cᵢbᵢ = point
+ * @param {number[]} point
+ * @param {number[][]} basis - As many vectors as the point has entries
+ * @returns {number[]|null} Coordinates, or null when the vectors are not a basis
+ */
+export const coordinatesInBasis = (point, basis) => {
+  if (basis.length !== point.length) return null;
+  return solve(transpose(basis), point);
+};
+
+/**
+ * QR factorization A = QR by Householder reflections
+ * Unlike Gram–Schmidt this stays orthogonal for singular or nearly dependent
+ * columns, such as the iterates of the QR algorithm on a singular matrix.
+ * @param {number[][]} A - m×n
+ * @returns {{Q: number[][], R: number[][]}} Orthogonal m×m Q and upper
+ *   triangular m×n R
+ */
+export const qrDecomposition = (A) => {
+  const m = A.length;
+  const n = A[0].length;
+  const R = A.map(row => [...row]);
+  const Q = identity(m);
+
+  for (let k = 0; k < Math.min(m - 1, n); k++) {
+    // Reflect column k below the diagonal onto a multiple of e_k, choosing
+    // the sign that avoids cancellation
+    const column = R.slice(k).map(row => row[k]);
+    const length = norm(column);
+    if (length === 0) continue;
+    const v = [...column];
+    v[0] += column[0] >= 0 ? length : -length;
+    const vv = dot(v, v);
+
+    // R ← HR and Q ← QH with H = I − 2vvᵀ/vᵀv
+    for (let j = 0; j < n; j++) {
+      const factor = (2 * v.reduce((sum, vi, i) => sum + vi * R[k + i][j], 0)) / vv;
+      v.forEach((vi, i) => { R[k + i][j] -= factor * vi; });
+    }
+    for (let i = 0; i < m; i++) {
+      const factor = (2 * v.reduce((sum, vj, j) => sum + vj * Q[i][k + j], 0)) / vv;
+      v.forEach((vj, j) => { Q[i][k + j] -= factor * vj; });
+    }
+    for (let i = k + 1; i < m; i++) R[i][k] = 0;
+  }
+
+  return { Q, R };
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { gramSchmidt, projectOntoSpan, coordinatesInBasis, qrDecomposition } from './orthogonality.js';
+import { dot, add, scale } from './vectors.js';
+import { multiply, transpose, identity } from './matrices.js';
+
+describe('gramSchmidt', () => {
+  it('produces an orthonormal basis of the span', () => {
+    const { basis, steps } = gramSchmidt([[3, 1, 0], [2, 2, 0], [1, 1, 1]]);
+
+    expect(basis).toHaveLength(3);
+    basis.forEach((q, i) => basis.forEach((r, j) => {
+      expect(dot(q, r)).toBeCloseTo(i === j ? 1 : 0, 12);
+    }));
+    // The first unit vector points along the first vector
+    expect(basis[0][0] / basis[0][1]).toBeCloseTo(3, 12);
+    expect(steps[1].components).toHaveLength(1);
+    expect(dot(steps[1].remainder, basis[0])).toBeCloseTo(0, 12);
+  });
+
+  it('drops vectors already in the span', () => {
+    const { basis, steps } = gramSchmidt([[1, 0, 0], [0, 0, 0], [2, 0, 0], [0, 1, 0]]);
+
+    expect(basis).toEqual([[1, 0, 0], [0, 1, 0]]);
+    expect(steps.map(step => step.q === null)).toEqual([false, true, true, false]);
+    expect(steps[2].projection).toEqual([2, 0, 0]);
+  });
+});
+
+describe('projectOntoSpan', () => {
+  it('finds the closest point of a plane', () => {
+    const { projection, residual, distance } = projectOntoSpan([1, 2, 3], [[1, 0, 0], [1, 1, 0]]);
+
+    expect(projection[0]).toBeCloseTo(1, 12);
+    expect(projection[1]).toBeCloseTo(2, 12);
+    expect(projection[2]).toBeCloseTo(0, 12);
+    expect(distance).toBeCloseTo(3, 12);
+    expect(dot(residual, [1, 1, 0])).toBeCloseTo(0, 12);
+  });
+
+  it('projects onto a line and onto nothing', () => {
+    const { projection } = projectOntoSpan([2, 0], [[1, 1], [2, 2]]);
+    expect(projection[0]).toBeCloseTo(1, 12);
+    expect(projection[1]).toBeCloseTo(1, 12);
+
+    expect(projectOntoSpan([2, 1], []).distance).toBeCloseTo(Math.sqrt(5), 12);
+  });
+});
+
+describe('coordinatesInBasis', () => {
+  it('solves for the coefficients of a basis', () => {
+    const basis = [[1, 1], [-1, 2]];
+    const c = coordinatesInBasis([1, 4], basis);
+
+    const rebuilt = add(scale(basis[0], c[0]), scale(basis[1], c[1]));
+    expect(rebuilt[0]).toBeCloseTo(1, 12);
+    expect(rebuilt[1]).toBeCloseTo(4, 12);
+  });
+
+  it('rejects sets that are not a basis', () => {
+    expect(coordinatesInBasis([1, 2], [[1, 0]])).toBeNull();
+    expect(coordinatesInBasis([1, 2], [[1, 2], [2, 4]])).toBeNull();
+  });
+});
+
+describe('qrDecomposition', () => {
+  const expectMatrixClose = (actual, expected) => {
+    actual.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 12)));
+  };
+
+  it('factors A into an orthogonal Q and upper triangular R', () => {
+    const A = [[12, -51, 4], [6, 167, -68], [-4, 24, -41]];
+    const { Q, R } = qrDecomposition(A);
+
+    expectMatrixClose(multiply(Q, R), A);
+    expectMatrixClose(multiply(transpose(Q), Q), identity(3));
+    expect(R[1][0]).toBe(0);
+    expect(R[2][0]).toBe(0);
+    expect(R[2][1]).toBe(0);
+  });
+
+  it('stays orthogonal for singular and tall matrices', () => {
+    const singular = [[1, 2], [2, 4]];
+    const { Q, R } = qrDecomposition(singular);
+    expectMatrixClose(multiply(Q, R), singular);
+    expect(R[1][1]).toBeCloseTo(0, 12);
+
+    const tall = [[1, 0], [1, 1], [0, 1]];
+    const result = qrDecomposition(tall);
+    expectMatrixClose(multiply(result.Q, result.R), tall);
+    expectMatrixClose(multiply(transpose(result.Q), result.Q), identity(3));
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * PRINCIPAL COMPONENT ANALYSIS
+ *
+ * PCA as the SVD of the centered (optionally standardized) data matrix, with
+ * projection onto the leading components, plus the data plumbing a PCA demo
+ * needs: parsing pasted CSV and sampling correlated Gaussian clouds. Data
+ * sets are arrays of rows, one row per sample.
+ */
+
+import { svd } from './svd.js';
+import { cholesky, transpose } from './matrices.js';
+import { random } from './random.js';
+
+/**
+ * Parse numeric CSV
+ * Fields may be separated by commas, semicolons, tabs or spaces. Blank lines
+ * and lines starting with # are skipped, and a first line that is not all
+ * numbers is taken as the header.
+ * @param {string} text
+ * @returns {{header: string[]|null, rows: number[][]}}
+ */
+export const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line !== '' && !line.startsWith('#'));
+  if (lines.length === 0) throw new Error('No data found');
+
+  const fields = (line) => line
+    .split(/\s*[,;\t]\s*|\s+/)
+    .filter(field => field !== '')
+    .map(field => field.replace(/^"(.*)"$/, '$1'));
+
+  const first = fields(lines[0].line);
+  const header = first.some(field => !Number.isFinite(Number(field))) ? first : null;
+  const body = header ? lines.slice(1) : lines;
+  if (body.length === 0) throw new Error('No data rows after the header');
+
+  const width = header ? header.length : fields(body[0].line).length;
+  const rows = body.map(({ line, number }) => {
+    const values = fields(line).map(Number);
+    if (values.some(value => !Number.isFinite(value))) {
+      throw new Error(`Line ${number} is not all numbers: "${line}"`);
+    }
+    if (values.length !== width) {
+      throw new Error(`Line ${number} has ${values.length} values, expected ${width}`);
+    }
+    return values;
+  });
+
+  return { header, rows };
+};
+
+/**
+ * Samples from the multivariate normal distribution N(mean, covariance)
+ * Each sample is mean + Lz with LLᵀ = covariance and z standard normal.
+ * @param {number} count
+ * @param {number[]} mean
+ * @param {number[][]} covariance - Symmetric positive definite
+ * @param {Object} [rng] - Generator from createRandom (default: unseeded)
+ * @returns {number[][]} count rows
+ */
+export const sampleGaussian = (count, mean, covariance, rng = random) => {
+  const L = cholesky(covariance);
+  if (!L) throw new Error('Covariance matrix must be positive definite');
+
+  return Array.from({ length: count }, () => {
+    const z = mean.map(() => rng.normal());
+    return mean.map((m, i) => m + L[i].reduce((sum, l, j) => sum + l * z[j], 0));
+  });
+};
+
+/**
+ * Principal component analysis through the SVD of the centered data
+ * With X the centered (and possibly standardized) n×d data, X = UΣVᵀ gives
+ * the principal axes as the columns of V, the variance along axis i as
+ * σᵢ²/(n − 1) and the scores (coordinates along the axes) as UΣ = XV. Each
+ * axis is signed so its largest entry is positive.
+ * @param {number[][]} data - n×d, at least two samples
+ * @param {Object} [options]
+ * @param {boolean} [options.standardize] - Divide each column by its standard
+ *   deviation, so variables measured in different units count equally
+ * @returns {{mean: number[], scale: number[], components: number[][],
+ *   singularValues: number[], variances: number[], explained: number[],
+ *   scores: number[][]}} Column means and divisors (1 without standardizing),
+ *   min(n, d) unit axes with largest variance first, their singular values,
+ *   variances and shares of the total variance, and the scores of each sample
+ */
+export const pca = (data, { standardize = false } = {}) => {
+  const n = data.length;
+  if (n < 2) throw new Error('PCA needs at least two samples');
+  const d = data[0].length;
+
+  const mean = Array.from({ length: d }, (_, j) => data.reduce((sum, row) => sum + row[j], 0) / n);
+  const std = mean.map((m, j) => Math.sqrt(data.reduce((sum, row) => sum + (row[j] - m) ** 2, 0) / (n - 1)));
+  // A constant column has nothing to standardize
+  const scale = std.map(s => (standardize && s > 0 ? s : 1));
+  const X = data.map(row => row.map((value, j) => (value - mean[j]) / scale[j]));
+
+  const { U, S, V } = svd(X);
+  const signs = transpose(V).map(axis => {
+    const largest = axis.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    return largest < 0 ? -1 : 1;
+  });
+  const components = transpose(V).map((axis, i) => axis.map(value => value * signs[i]));
+  const variances = S.map(sigma => (sigma * sigma) / (n - 1));
+  const total = variances.reduce((sum, value) => sum + value, 0);
+
+  return {
+    mean,
+    scale,
+    components,
+    singularValues: S,
+    variances,
+    explained: variances.map(value => (total > 0 ? value / total : 0)),
+    scores: U.map(row => row.map((u, i) => u * S[i] * signs[i]))
+  };
+};
+
+/**
+ * Project every sample onto the first k principal axes, back in the original units
+ * @param {ReturnType<typeof pca>} model
+ * @param {number} k - Number of components kept
+ * @returns {{points: number[][], lostVariance: number, meanSquaredError: number}}
+ *   Reconstructed samples mean + Σᵢ₍ₖ scoreᵢ·axisᵢ (undoing any
+ *   standardization), the share of variance in the dropped components, and
+ *   the mean squared distance from each sample to its reconstruction
+ */
+export const pcaReconstruct = ({ mean, scale, components, explained, scores }, k) => {
+  const kept = Math.max(0, Math.min(k, components.length));
+  const combine = (row, from, to) => mean.map((_, j) => (
+    row.slice(from, to).reduce((sum, score, i) => sum + score * components[from + i][j], 0) * scale[j]
+  ));
+
+  const points = scores.map(row => combine(row, 0, kept).map((value, j) => value + mean[j]));
+  const meanSquaredError = scores.reduce((sum, row) => (
+    sum + combine(row, kept, components.length).reduce((total, value) => total + value * value, 0)
+  ), 0) / scores.length;
+
+  return {
+    points,
+    lostVariance: explained.slice(kept).reduce((sum, value) => sum + value, 0),
+    meanSquaredError
+  };
+};
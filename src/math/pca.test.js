@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, sampleGaussian, pca, pcaReconstruct } from './pca.js';
+import { createRandom } from './random.js';
+import { dot } from './vectors.js';
+
+describe('parseCSV', () => {
+  it('reads a header and rows with mixed separators', () => {
+    const { header, rows } = parseCSV('# sizes\n"height", weight\n\n170, 65\n182;80\n165\t58\n');
+
+    expect(header).toEqual(['height', 'weight']);
+    expect(rows).toEqual([[170, 65], [182, 80], [165, 58]]);
+  });
+
+  it('reads headerless data and reports bad lines', () => {
+    expect(parseCSV('1 2 3\n4 5 6').rows).toEqual([[1, 2, 3], [4, 5, 6]]);
+    expect(() => parseCSV('1, 2\n3, four')).toThrow('Line 2');
+    expect(() => parseCSV('1, 2\n3')).toThrow('expected 2');
+    expect(() => parseCSV('x, y')).toThrow();
+    expect(() => parseCSV('  \n')).toThrow();
+  });
+});
+
+describe('sampleGaussian', () => {
+  it('matches the requested mean and covariance', () => {
+    const covariance = [[4, 1.8], [1.8, 1]];
+    const samples = sampleGaussian(20000, [1, -2], covariance, createRandom(3));
+    const mean = [0, 1].map(j => samples.reduce((sum, row) => sum + row[j], 0) / samples.length);
+    const cov = (a, b) => samples.reduce((sum, row) => sum + (row[a] - mean[a]) * (row[b] - mean[b]), 0) / (samples.length - 1);
+
+    expect(mean[0]).toBeCloseTo(1, 1);
+    expect(mean[1]).toBeCloseTo(-2, 1);
+    expect(cov(0, 0)).toBeCloseTo(4, 0);
+    expect(cov(0, 1)).toBeCloseTo(1.8, 1);
+    expect(() => sampleGaussian(1, [0, 0], [[1, 2], [2, 1]])).toThrow();
+  });
+});
+
+describe('pca', () => {
+  it('finds the direction of a line of points', () => {
+    const data = [-2, -1, 0, 1, 2].map(t => [1 + 2 * t, 3 + t]);
+    const { mean, components, variances, explained } = pca(data);
+
+    expect(mean).toEqual([1, 3]);
+    expect(components[0][0]).toBeCloseTo(2 / Math.sqrt(5), 10);
+    expect(components[0][1]).toBeCloseTo(1 / Math.sqrt(5), 10);
+    expect(variances[0]).toBeCloseTo(12.5, 10);
+    expect(explained[0]).toBeCloseTo(1, 10);
+    expect(dot(components[0], components[1])).toBeCloseTo(0, 10);
+  });
+
+  it('standardizing removes the effect of units', () => {
+    const rng = createRandom(5);
+    const data = sampleGaussian(200, [0, 0], [[1, 0.5], [0.5, 1]], rng);
+    const rescaled = data.map(([x, y]) => [1000 * x, y]);
+
+    // In raw units the first variable swamps everything
+    expect(pca(rescaled).explained[0]).toBeGreaterThan(0.999);
+    // Standardized, the result matches the correlation structure (1 ± ρ)
+    const standardized = pca(rescaled, { standardize: true });
+    expect(standardized.explained[0]).toBeCloseTo(pca(data, { standardize: true }).explained[0], 10);
+    expect(Math.abs(standardized.components[0][0])).toBeCloseTo(Math.SQRT1_2, 10);
+  });
+});
+
+describe('pcaReconstruct', () => {
+  it('reports the dropped variance as the reconstruction error', () => {
+    const data = [[2, 0, 1], [0, 1, -1], [-1, 2, 0], [3, -1, 2], [1, 1, 1]];
+    const model = pca(data);
+    const n = data.length;
+
+    const full = pcaReconstruct(model, 3);
+    full.points.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(data[i][j], 10)));
+    expect(full.meanSquaredError).toBeCloseTo(0, 10);
+
+    const one = pcaReconstruct(model, 1);
+    const dropped = model.variances.slice(1).reduce((sum, v) => sum + v, 0);
+    expect(one.meanSquaredError).toBeCloseTo((dropped * (n - 1)) / n, 10);
+    expect(one.lostVariance).toBeCloseTo(1 - model.explained[0], 10);
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * LINEAR AND QUADRATIC PROGRAMMING
+ *
+ * Minimize c·x (+ ½xᵀQx) subject to half-plane constraints a·x ≤ b.
+ * The simplex method walks between vertices of the feasible polygon (linear
+ * objectives only); the barrier method follows the central path through its
+ * interior and handles quadratic objectives too. Both return every iterate so
+ * the solve can be replayed. A constraint is {a: number[], b: number}.
+ */
+
+import { dot, add, scale, norm, normalize, distance, cross2 } from './vectors.js';
+import { solve, transpose } from './matrices.js';
+
+// Slack at or below this counts as zero (constraint active / vertex feasible)
+const FEASIBILITY_TOLERANCE = 1e-9;
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/**
+ * Half-plane whose boundary runs through p and q, feasible to the left of p → q
+ * @param {number[]} p
+ * @param {number[]} q
+ * @returns {{a: number[], b: number}|null} Unit normal form, or null when p = q
+ */
+export const halfPlaneThrough = (p, q) => {
+  const direction = [q[0] - p[0], q[1] - p[1]];
+  const length = norm(direction);
+  if (!(length > 0)) return null;
+  const a = [direction[1] / length, -direction[0] / length];
+  return { a, b: dot(a, p) };
+};
+
+/**
+ * Clip a convex polygon to one half-plane (one Sutherland–Hodgman pass)
+ * @param {number[][]} polygon - Vertices in order
+ * @param {{a: number[], b: number}} constraint
+ * @returns {number[][]} The part of the polygon with a·x ≤ b
+ */
+export const clipPolygon = (polygon, { a, b }) => {
+  const clipped = [];
+  polygon.forEach((current, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    const sc = b - dot(a, current);
+    const sn = b - dot(a, next);
+    if (sc >= 0) clipped.push(current);
+    if ((sc > 0 && sn < 0) || (sc < 0 && sn > 0)) {
+      const t = sc / (sc - sn);
+      clipped.push(add(current, scale([next[0] - current[0], next[1] - current[1]], t)));
+    }
+  });
+  return clipped;
+};
+
+/**
+ * Feasible region inside a viewing rectangle
+ * @param {{a: number[], b: number}[]} constraints
+ * @param {{x: number[], y: number[]}} bounds - [min, max] per axis
+ * @returns {number[][]} Polygon vertices counter-clockwise (empty when nothing is feasible)
+ */
+export const feasiblePolygon = (constraints, { x: [xMin, xMax], y: [yMin, yMax] }) => (
+  constraints.reduce(
+    (polygon, constraint) => (polygon.length > 0 ? clipPolygon(polygon, constraint) : polygon),
+    [[xMin, yMin], [xMax, yMin], [xMax, yMax], [xMin, yMax]]
+  )
+);
+
+/**
+ * Slack b - a·x of each constraint (negative when violated)
+ * @param {{a: number[], b: number}[]} constraints
+ * @param {number[]} x
+ * @returns {number[]}
+ */
+export const slacks = (constraints, x) => constraints.map(({ a, b }) => b - dot(a, x));
+
+// ============================================================================
+// SIMPLEX METHOD
+// ============================================================================
+
+/**
+ * Feasible vertices of a 2D polygon: intersections of two constraint lines
+ * that satisfy every constraint
+ * @returns {{x: number[], basis: number[]}[]}
+ */
+const feasibleVertices = (constraints) => {
+  const vertices = [];
+  for (let i = 0; i < constraints.length; i++) {
+    for (let j = i + 1; j < constraints.length; j++) {
+      const x = solve([constraints[i].a, constraints[j].a], [constraints[i].b, constraints[j].b]);
+      if (x && slacks(constraints, x).every(s => s >= -FEASIBILITY_TOLERANCE * (1 + norm(x)))) {
+        vertices.push({ x, basis: [i, j] });
+      }
+    }
+  }
+  return vertices;
+};
+
+/**
+ * Linear program over a feasible region without a vertex
+ * Such a region contains whole lines: every constraint normal is parallel (the
+ * region is a half-plane, a strip or a line) or there are no constraints (the
+ * plane). The cost is then unbounded along the lines unless it is
+ * perpendicular to them, and otherwise minimized on a bounding line, or
+ * anywhere when it is constant. The single step is the feasible point nearest
+ * `start` in that set, with the improving direction when there is one.
+ * @returns {{status: string, x: number[]|null, value: number, ray: number[]|null, steps: Object[]}}
+ */
+const solveWithoutVertex = (c, constraints, start) => {
+  const infeasible = { status: 'infeasible', x: null, value: NaN, ray: null, steps: [] };
+  const tolerance = FEASIBILITY_TOLERANCE * (1 + norm(c));
+  const lines = constraints.filter(({ a }) => norm(a) > FEASIBILITY_TOLERANCE);
+  // 0·x ≤ b holds everywhere or nowhere
+  if (constraints.some(({ a, b }) => norm(a) <= FEASIBILITY_TOLERANCE && b < -FEASIBILITY_TOLERANCE)) {
+    return infeasible;
+  }
+
+  const normal = lines.length > 0 ? normalize(lines[0].a) : null;
+  // Non-parallel constraints would meet in a vertex, so these never all hold
+  if (normal && lines.some(({ a }) => Math.abs(cross2(a, normal)) > FEASIBILITY_TOLERANCE * norm(a))) {
+    return infeasible;
+  }
+
+  // Range lo ≤ normal·x ≤ hi allowed by the constraints
+  let lo = -Infinity;
+  let hi = Infinity;
+  lines.forEach(({ a, b }) => {
+    const k = dot(a, normal);
+    if (k > 0) hi = Math.min(hi, b / k);
+    else lo = Math.max(lo, b / k);
+  });
+  if (lo > hi + FEASIBILITY_TOLERANCE) return infeasible;
+
+  const result = (status, level, ray = null) => {
+    const offset = normal ? dot(normal, start) : 0;
+    const target = level ?? Math.min(hi, Math.max(lo, offset));
+    const x = normal ? add(start, scale(normal, target - offset)) : [...start];
+    const basis = constraints
+      .map((constraint, i) => (Math.abs(slacks([constraint], x)[0]) <= FEASIBILITY_TOLERANCE * (1 + norm(x)) ? i : null))
+      .filter(i => i !== null);
+    const value = status === 'unbounded' ? -Infinity : dot(c, x);
+    const step = { x, basis, multipliers: [], value: dot(c, x), ...(ray && { direction: ray }) };
+    return { status, x, value, ray, steps: [step] };
+  };
+
+  if (!normal) {
+    return norm(c) <= tolerance ? result('optimal') : result('unbounded', null, scale(c, -1 / norm(c)));
+  }
+  const along = dot(c, [-normal[1], normal[0]]);
+  if (Math.abs(along) > tolerance) {
+    return result('unbounded', null, scale([-normal[1], normal[0]], along > 0 ? -1 : 1));
+  }
+  const across = dot(c, normal);
+  if (Math.abs(across) <= tolerance) return result('optimal');
+  if (across > 0) return Number.isFinite(lo) ? result('optimal', lo) : result('unbounded', null, scale(normal, -1));
+  return Number.isFinite(hi) ? result('optimal', hi) : result('unbounded', null, normal);
+};
+
+/**
+ * Simplex method for a 2D linear program, in inequality form
+ * Phase I picks the feasible vertex nearest `start`. Each pivot then computes
+ * multipliers μ from c + Σ μᵢaᵢ = 0 over the two active (basis) constraints;
+ * if all μ ≥ 0 the vertex is optimal, otherwise the constraint with μ < 0
+ * leaves and the ratio test finds the first constraint hit along the edge.
+ * Bland's rule (lowest index on ties) prevents cycling at degenerate vertices.
+ * A feasible region without any vertex (the plane, a half-plane, a strip or a
+ * line) is solved directly instead, see solveWithoutVertex. A zero cost is
+ * optimal at the first feasible point.
+ * @param {number[]} c - Cost vector
+ * @param {{a: number[], b: number}[]} constraints
+ * @param {{start?: number[], maxPivots?: number}} [options]
+ * @returns {{status: string, x: number[]|null, value: number, ray: number[]|null,
+ *   steps: {x: number[], basis: number[], multipliers: number[], value: number,
+ *   leaving?: number, entering?: number, direction?: number[]}[]}}
+ *   status is 'optimal', 'unbounded' (ray is the improving edge direction),
+ *   'infeasible' or 'iteration-limit'
+ */
+export const simplex = (c, constraints, { start = [0, 0], maxPivots = 100 } = {}) => {
+  const vertices = feasibleVertices(constraints);
+  if (vertices.length === 0) return solveWithoutVertex(c, constraints, start);
+
+  let { x, basis } = vertices.reduce((best, vertex) => (
+    distance(vertex.x, start) < distance(best.x, start) ? vertex : best
+  ));
+  const steps = [];
+
+  for (let pivot = 0; pivot <= maxPivots; pivot++) {
+    const multipliers = solve(transpose(basis.map(i => constraints[i].a)), scale(c, -1));
+    const step = { x, basis: [...basis], multipliers, value: dot(c, x) };
+    steps.push(step);
+
+    // Bland's rule: the lowest-numbered basis constraint with μ < 0 leaves
+    const leavingSlot = [0, 1]
+      .filter(k => multipliers[k] < -FEASIBILITY_TOLERANCE)
+      .sort((p, q) => basis[p] - basis[q])[0];
+    if (leavingSlot === undefined) {
+      return { status: 'optimal', x, value: dot(c, x), ray: null, steps };
+    }
+
+    // Slide along the edge that keeps the other constraint active
+    const kept = basis[1 - leavingSlot];
+    const direction = solve([constraints[kept].a, constraints[basis[leavingSlot]].a], [0, -1]);
+    step.leaving = basis[leavingSlot];
+    step.direction = direction;
+
+    // Ratio test: the nearest constraint the edge runs into
+    let entering = null;
+    let length = Infinity;
+    constraints.forEach((constraint, i) => {
+      if (basis.includes(i)) return;
+      const rate = dot(constraint.a, direction);
+      if (rate <= FEASIBILITY_TOLERANCE) return;
+      const t = Math.max(0, (constraint.b - dot(constraint.a, x)) / rate);
+      if (t < length - FEASIBILITY_TOLERANCE) {
+        entering = i;
+        length = t;
+      }
+    });
+
+    if (entering === null) {
+      return { status: 'unbounded', x, value: -Infinity, ray: direction, steps };
+    }
+    step.entering = entering;
+    x = add(x, scale(direction, length));
+    basis = leavingSlot === 0 ? [entering, kept] : [kept, entering];
+  }
+
+  return { status: 'iteration-limit', x, value: dot(c, x), ray: null, steps };
+};
+
+// ============================================================================
+// BARRIER (INTERIOR-POINT) METHOD
+// ============================================================================
+
+/**
+ * Newton's method on t·f(x) - Σ log(bᵢ - aᵢ·x) from a strictly feasible x
+ * Backtracking keeps every iterate strictly inside. Stops when the Newton
+ * decrement is tiny, when `done` holds, or when x runs past `escape`.
+ * @returns {{x: number[], status: string}} Last point and why it stopped
+ */
+const center = (objective, constraints, x, t, { maxNewton, escape, done, record }) => {
+  const n = x.length;
+  const barrier = (point) => {
+    const s = slacks(constraints, point);
+    if (s.some(v => v <= 0)) return Infinity;
+    return t * objective.f(point) - s.reduce((sum, v) => sum + Math.log(v), 0);
+  };
+
+  for (let k = 0; k < maxNewton; k++) {
+    const s = slacks(constraints, x);
+    const g = scale(objective.gradient(x), t);
+    const H = objective.hessian(x).map(row => scale(row, t));
+    constraints.forEach(({ a }, i) => {
+      for (let r = 0; r < n; r++) {
+        g[r] += a[r] / s[i];
+        for (let q = 0; q < n; q++) H[r][q] += (a[r] * a[q]) / (s[i] * s[i]);
+      }
+    });
+
+    // A small shift keeps directions the barrier does not curve (unbounded ones) solvable
+    const largest = Math.max(1, ...H.map((row, i) => Math.abs(row[i])));
+    const dx = solve(H.map((row, i) => row.map((v, j) => (i === j ? v + 1e-9 * largest : v))), scale(g, -1));
+    if (!dx) return { x, status: 'centered' };
+    const decrement = -dot(g, dx);
+    if (decrement / 2 <= 1e-10) return { x, status: 'centered' };
+
+    let step = 1;
+    const value = barrier(x);
+    while (step > 1e-12 && !(barrier(add(x, scale(dx, step))) <= value - 0.25 * step * decrement)) {
+      step *= 0.5;
+    }
+    if (step <= 1e-12) return { x, status: 'centered' };
+
+    x = add(x, scale(dx, step));
+    record(x);
+    if (norm(x) > escape) return { x, status: 'escaped' };
+    if (done(x)) return { x, status: 'done' };
+  }
+  return { x, status: 'max-steps' };
+};
+
+/**
+ * Check for a symmetric positive semidefinite 2×2 matrix, the Q that keeps
+ * a quadratic objective convex
+ * @param {*} Q
+ * @returns {boolean}
+ */
+export const isQuadraticForm = (Q) => (
+  Array.isArray(Q) && Q.length === 2 &&
+  Q.every(row => Array.isArray(row) && row.length === 2 && row.every(Number.isFinite)) &&
+  Q[0][1] === Q[1][0] && Q[0][0] >= 0 && Q[1][1] >= 0 &&
+  Q[0][0] * Q[1][1] >= Q[0][1] * Q[0][1] - FEASIBILITY_TOLERANCE
+);
+
+/**
+ * Symmetric 2×2 Q from slider entries, kept positive semidefinite
+ * The off-diagonal entry is clamped to ±√(q₁₁q₂₂) and rounded to `decimals`
+ * places, stepping toward zero when rounding would cross the limit.
+ * @param {number} q11
+ * @param {number} q12
+ * @param {number} q22
+ * @param {number} [decimals]
+ * @returns {number[][]} Q that passes isQuadraticForm
+ */
+export const semidefiniteForm = (q11, q12, q22, decimals = 2) => {
+  const unit = 10 ** decimals;
+  const limit = Math.sqrt(q11 * q22);
+  const rounded = Math.round(Math.max(-limit, Math.min(limit, q12)) * unit) / unit;
+  const off = Math.abs(rounded) <= limit ? rounded : Math.sign(rounded) * (Math.floor(limit * unit) / unit);
+  return [[q11, off], [off, q22]];
+};
+
+/**
+ * Quadratic (or linear) objective f(x) = c·x + ½xᵀQx
+ */
+const quadraticObjective = (c, Q) => ({
+  f: (x) => dot(c, x) + (Q ? 0.5 * dot(x, Q.map(row => dot(row, x))) : 0),
+  gradient: (x) => (Q ? add(c, Q.map(row => dot(row, x))) : [...c]),
+  hessian: () => (Q ? Q.map(row => [...row]) : c.map(() => c.map(() => 0)))
+});
+
+/**
+ * Log-barrier interior-point method for min c·x + ½xᵀQx subject to a·x ≤ b
+ * Phase I (only when `start` is not strictly feasible) minimizes s subject to
+ * a·x - s ≤ b until s < 0. Phase II then re-centers on t·f(x) - Σ log(b - a·x)
+ * for t growing by `mu`; the centers trace the central path, and m/t bounds
+ * the gap to the optimal value. A zero objective is optimal at the first
+ * strictly feasible point. The barrier needs an interior: a feasible region
+ * that is only a segment or a point (where the simplex method still works)
+ * is reported as 'no-interior'.
+ * @param {{c: number[], Q?: number[][]}} objective - Q must be positive semidefinite
+ * @param {{a: number[], b: number}[]} constraints
+ * @param {number[]} start
+ * @param {{mu?: number, tolerance?: number, maxNewton?: number, maxOuter?: number, escape?: number}} [options]
+ * @returns {{status: string, x: number[]|null, value: number,
+ *   iterates: {x: number[], t: number, phase: number, centered: boolean}[]}}
+ *   status is 'optimal', 'unbounded' (iterates ran past `escape`), 'infeasible'
+ *   (no feasible point), 'no-interior' (feasible, but not strictly) or 'iteration-limit'
+ */
+export const barrierMethod = (
+  { c, Q },
+  constraints,
+  start,
+  { mu = 10, tolerance = 1e-6, maxNewton = 50, maxOuter = 40, escape = 1e6 } = {}
+) => {
+  const n = start.length;
+  const m = constraints.length;
+  const iterates = [];
+  let x = [...start];
+
+  // Phase I: variables (x, s), minimize s subject to a·x - s ≤ b and s ≥ -1
+  const startSlacks = slacks(constraints, x);
+  if (startSlacks.some(v => v <= 0)) {
+    const lifted = [
+      ...constraints.map(({ a, b }) => ({ a: [...a, -1], b })),
+      { a: [...new Array(n).fill(0), -1], b: 1 }
+    ];
+    const phaseOne = quadraticObjective([...new Array(n).fill(0), 1]);
+    let z = [...x, 1 - Math.min(...startSlacks)];
+    let t = 1;
+    iterates.push({ x: [...x], t: 0, phase: 1, centered: false });
+    for (let outer = 0; outer < maxOuter && z[n] >= 0; outer++) {
+      ({ x: z } = center(phaseOne, lifted, z, t, {
+        maxNewton,
+        escape: Infinity,
+        done: (point) => point[n] < 0,
+        record: (point) => iterates.push({ x: point.slice(0, n), t, phase: 1, centered: false })
+      }));
+      if (z[n] >= 0 && (m + 1) / t < tolerance) break;
+      t *= mu;
+    }
+    if (z[n] >= 0) {
+      // The smallest violation s* is 0 exactly when the region is feasible without an interior
+      const status = z[n] <= Math.sqrt(tolerance) * (1 + norm(z.slice(0, n))) ? 'no-interior' : 'infeasible';
+      return { status, x: null, value: NaN, iterates };
+    }
+    x = z.slice(0, n);
+  } else {
+    iterates.push({ x: [...x], t: 0, phase: 2, centered: false });
+  }
+
+  // Phase II: follow the central path
+  const objective = quadraticObjective(c, Q);
+  if ([c, ...(Q ?? [])].every(row => row.every(v => v === 0))) {
+    return { status: 'optimal', x, value: 0, iterates };
+  }
+  let t = 1;
+  for (let outer = 0; outer < maxOuter; outer++) {
+    const result = center(objective, constraints, x, t, {
+      maxNewton,
+      escape,
+      done: () => false,
+      record: (point) => iterates.push({ x: point, t, phase: 2, centered: false })
+    });
+    x = result.x;
+    if (result.status === 'escaped') {
+      return { status: 'unbounded', x, value: -Infinity, iterates };
+    }
+    const last = iterates[iterates.length - 1];
+    if (last.phase === 2 && last.t === t) {
+      last.centered = true;
+    } else {
+      iterates.push({ x: [...x], t, phase: 2, centered: true });
+    }
+    if (m / t < tolerance) {
+      return { status: 'optimal', x, value: objective.f(x), iterates };
+    }
+    t *= mu;
+  }
+
+  return { status: 'iteration-limit', x, value: objective.f(x), iterates };
+};
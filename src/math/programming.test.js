@@ -0,0 +1,207 @@
+import { describe, it, expect } from 'vitest';
+import {
+  halfPlaneThrough,
+  clipPolygon,
+  feasiblePolygon,
+  slacks,
+  simplex,
+  barrierMethod,
+  isQuadraticForm,
+  semidefiniteForm
+} from './programming.js';
+import { norm } from './vectors.js';
+
+// a·x ≤ b from [a₁, a₂, b]
+const halfPlanes = (rows) => rows.map(([a1, a2, b]) => ({ a: [a1, a2], b }));
+
+// x, y ≥ 0, x + y ≤ 4, x + 2y ≤ 6, x ≤ 3: vertices (0,0) (3,0) (3,1) (2,2) (0,3)
+const polygon = halfPlanes([[-1, 0, 0], [0, -1, 0], [1, 1, 4], [1, 2, 6], [1, 0, 3]]);
+
+describe('geometry', () => {
+  it('puts the feasible side of a dragged line on the left', () => {
+    const { a, b } = halfPlaneThrough([0, 0], [2, 0]);
+    expect(a[0]).toBeCloseTo(0, 12);
+    expect(a[1]).toBe(-1);
+    expect(b).toBeCloseTo(0, 12);
+    expect(slacks([{ a, b }], [1, 1])[0]).toBeGreaterThan(0);
+    expect(halfPlaneThrough([1, 1], [1, 1])).toBeNull();
+  });
+
+  it('clips a square to a half-plane', () => {
+    const square = [[0, 0], [2, 0], [2, 2], [0, 2]];
+    const clipped = clipPolygon(square, { a: [1, 1], b: 2 });
+    expect(clipped).toHaveLength(3);
+    expect(clipPolygon(square, { a: [1, 0], b: -1 })).toEqual([]);
+  });
+
+  it('builds the feasible polygon inside the view', () => {
+    const region = feasiblePolygon(polygon, { x: [-1, 6], y: [-1, 5] });
+    expect(region).toHaveLength(5);
+    const area = region.reduce((sum, p, i) => {
+      const q = region[(i + 1) % region.length];
+      return sum + (p[0] * q[1] - q[0] * p[1]) / 2;
+    }, 0);
+    expect(area).toBeCloseTo(6.5, 10);
+  });
+});
+
+describe('simplex', () => {
+  it('walks from the nearest vertex to the optimum', () => {
+    const result = simplex([-3, -2], polygon);
+    expect(result.status).toBe('optimal');
+    expect(result.x[0]).toBeCloseTo(3, 10);
+    expect(result.x[1]).toBeCloseTo(1, 10);
+    expect(result.value).toBeCloseTo(-11, 10);
+    expect(norm(result.steps[0].x)).toBeCloseTo(0, 12);
+    // Objective never gets worse from one vertex to the next
+    result.steps.slice(1).forEach((step, i) => {
+      expect(step.value).toBeLessThanOrEqual(result.steps[i].value + 1e-12);
+    });
+    // At the optimum the multipliers of the active constraints are non-negative
+    result.steps[result.steps.length - 1].multipliers.forEach(mu => expect(mu).toBeGreaterThanOrEqual(0));
+  });
+
+  it('records the leaving and entering constraint of each pivot', () => {
+    const { steps } = simplex([-3, -2], polygon);
+    expect(steps[0].basis).toEqual([0, 1]);
+    expect(steps[0].leaving).toBeDefined();
+    expect(steps[0].entering).toBeDefined();
+    expect(steps[steps.length - 1].leaving).toBeUndefined();
+  });
+
+  it('terminates at a degenerate vertex', () => {
+    // x + 3y ≤ 6 also passes through the optimum (3, 1)
+    const degenerate = [...polygon, { a: [1, 3], b: 6 }];
+    const result = simplex([-3, -2], degenerate);
+    expect(result.status).toBe('optimal');
+    expect(result.x[0]).toBeCloseTo(3, 10);
+    expect(result.x[1]).toBeCloseTo(1, 10);
+  });
+
+  it('reports an improving ray when the objective is unbounded', () => {
+    const open = halfPlanes([[-1, 0, 0], [0, -1, 0], [-1, 1, 2], [1, -2, 2]]);
+    const result = simplex([-1, -1], open);
+    expect(result.status).toBe('unbounded');
+    expect(result.ray[0] + result.ray[1]).toBeGreaterThan(0);
+  });
+
+  it('tells infeasible regions from regions without a vertex', () => {
+    expect(simplex([1, 1], halfPlanes([[1, 1, 1], [-1, -1, -3], [-1, 0, 0]])).status).toBe('infeasible');
+    expect(simplex([1, 1], halfPlanes([[0, 1, 1], [0, -1, -3]])).status).toBe('infeasible');
+  });
+
+  it('solves regions that contain a whole line', () => {
+    const strip = halfPlanes([[0, 1, 1], [0, -1, 1]]);
+    const bottom = simplex([0, 1], strip, { start: [3, 3] });
+    expect(bottom.status).toBe('optimal');
+    expect(bottom.x).toEqual([3, -1]);
+    expect(bottom.value).toBe(-1);
+    expect(bottom.steps[0].basis).toEqual([1]);
+
+    const along = simplex([1, 0], strip);
+    expect(along.status).toBe('unbounded');
+    expect(along.ray).toEqual([-1, 0]);
+    expect(along.steps).toHaveLength(1);
+
+    const open = simplex([0, -1], halfPlanes([[0, -1, 0]]));
+    expect(open.status).toBe('unbounded');
+    expect(open.ray[1]).toBe(1);
+    expect(simplex([1, 1], []).status).toBe('unbounded');
+  });
+
+  it('is optimal at a feasible point for a zero cost', () => {
+    expect(simplex([0, 0], []).status).toBe('optimal');
+    const strip = simplex([0, 0], halfPlanes([[0, 1, 1], [0, -1, 1]]), { start: [2, 5] });
+    expect(strip.status).toBe('optimal');
+    expect(strip.x).toEqual([2, 1]);
+    expect(simplex([0, 0], polygon).status).toBe('optimal');
+  });
+});
+
+describe('quadratic forms', () => {
+  it('keeps slider entries positive semidefinite after rounding', () => {
+    // √(0.5·1) ≈ 0.7071 would round up to 0.71
+    expect(semidefiniteForm(0.5, 2, 1)).toEqual([[0.5, 0.7], [0.7, 1]]);
+    expect(semidefiniteForm(0.5, -0.71, 1)).toEqual([[0.5, -0.7], [-0.7, 1]]);
+    expect(semidefiniteForm(1, 0.35, 1)).toEqual([[1, 0.35], [0.35, 1]]);
+
+    // Every combination the 0.05-step sliders can produce
+    const ticks = (min, max) => Array.from({ length: Math.round((max - min) / 0.05) + 1 }, (_, i) => min + i * 0.05);
+    const rejected = ticks(0, 4).flatMap(q11 => ticks(0, 4).flatMap(q22 => ticks(-2, 2)
+      .map(q12 => semidefiniteForm(q11, q12, q22))
+      .filter(Q => !isQuadraticForm(Q))));
+    expect(rejected).toEqual([]);
+  });
+
+  it('rejects forms that are not symmetric or not semidefinite', () => {
+    expect(isQuadraticForm([[1, 0], [0, 1]])).toBe(true);
+    expect(isQuadraticForm([[0.5, 0.71], [0.71, 1]])).toBe(false);
+    expect(isQuadraticForm([[1, 0.5], [0, 1]])).toBe(false);
+    expect(isQuadraticForm([[-1, 0], [0, 1]])).toBe(false);
+    expect(isQuadraticForm([[1, 0]])).toBe(false);
+  });
+});
+
+describe('barrierMethod', () => {
+  it('follows the central path to the LP optimum', () => {
+    const result = barrierMethod({ c: [-3, -2] }, polygon, [1, 1]);
+    expect(result.status).toBe('optimal');
+    expect(result.x[0]).toBeCloseTo(3, 4);
+    expect(result.x[1]).toBeCloseTo(1, 4);
+    // Every iterate stays strictly inside
+    result.iterates.forEach(({ x }) => slacks(polygon, x).forEach(s => expect(s).toBeGreaterThan(0)));
+    expect(result.iterates.filter(({ centered }) => centered).length).toBeGreaterThan(3);
+  });
+
+  it('runs Phase I from an infeasible start', () => {
+    const result = barrierMethod({ c: [-3, -2] }, polygon, [5, 4]);
+    expect(result.iterates[0].phase).toBe(1);
+    expect(result.status).toBe('optimal');
+    expect(result.x[0]).toBeCloseTo(3, 4);
+  });
+
+  it('solves a quadratic program with the optimum on an edge', () => {
+    // Closest point to (3, 2): its projection onto x + y = 4
+    const result = barrierMethod({ c: [-3, -2], Q: [[1, 0], [0, 1]] }, polygon, [1, 1]);
+    expect(result.status).toBe('optimal');
+    expect(result.x[0]).toBeCloseTo(2.5, 4);
+    expect(result.x[1]).toBeCloseTo(1.5, 4);
+  });
+
+  it('finds an interior optimum of a quadratic program', () => {
+    const result = barrierMethod({ c: [-1, -1], Q: [[1, 0], [0, 1]] }, polygon, [0.5, 0.5]);
+    expect(result.x[0]).toBeCloseTo(1, 5);
+    expect(result.x[1]).toBeCloseTo(1, 5);
+  });
+
+  it('detects infeasible and unbounded problems', () => {
+    expect(barrierMethod({ c: [1, 1] }, halfPlanes([[1, 1, 1], [-1, -1, -3]]), [0, 0]).status).toBe('infeasible');
+    const open = halfPlanes([[-1, 0, 0], [0, -1, 0], [-1, 1, 2], [1, -2, 2]]);
+    expect(barrierMethod({ c: [-1, -1] }, open, [1, 1]).status).toBe('unbounded');
+    expect(barrierMethod({ c: [1, 0] }, [], [0, 0]).status).toBe('unbounded');
+  });
+
+  it('is optimal at the first strictly feasible point for a zero cost', () => {
+    const inside = barrierMethod({ c: [0, 0] }, [], [2, 3]);
+    expect(inside.status).toBe('optimal');
+    expect(inside.x).toEqual([2, 3]);
+    expect(inside.value).toBe(0);
+
+    const strip = halfPlanes([[0, 1, 1], [0, -1, 1]]);
+    const fromOutside = barrierMethod({ c: [0, 0] }, strip, [0, 4]);
+    expect(fromOutside.status).toBe('optimal');
+    slacks(strip, fromOutside.x).forEach(s => expect(s).toBeGreaterThan(0));
+  });
+
+  it('tells regions without an interior from infeasible ones', () => {
+    // The segment x = 1, 0 ≤ y ≤ 2
+    const segment = halfPlanes([[1, 0, 1], [-1, 0, -1], [0, 1, 2], [0, -1, 0]]);
+    expect(barrierMethod({ c: [0, 1] }, segment, [3, 3]).status).toBe('no-interior');
+    expect(barrierMethod({ c: [0, 0] }, segment, [3, 3]).status).toBe('no-interior');
+    // The simplex method still finds the lower end
+    const corner = simplex([0, 1], segment);
+    expect(corner.status).toBe('optimal');
+    expect(corner.x[0]).toBeCloseTo(1, 10);
+    expect(corner.x[1]).toBeCloseTo(0, 10);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * RANDOM NUMBER GENERATION
+ *
+ * Samplers for the common distributions on top of a uniform source.
+ * `createRandom(seed)` gives a reproducible stream (Mulberry32), which tests
+ * and shareable demos use; the default `random` instance wraps Math.random.
+ */
+
+/**
+ * Mulberry32: small, fast 32-bit seeded generator
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Create a random number generator
+ * @param {number} [seed] - Integer seed; omit to use Math.random
+ * @returns {Object} Generator with the sampling methods below
+ */
+export const createRandom = (seed) => {
+  const next = seed === undefined ? Math.random : mulberry32(seed);
+
+  /**
+   * Uniform sample in [min, max)
+   */
+  const uniform = (min = 0, max = 1) => min + next() * (max - min);
+
+  /**
+   * Uniform integer in [min, max]
+   */
+  const integer = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  /**
+   * Normal sample (Box-Muller transform)
+   */
+  const normal = (mean = 0, std = 1) => {
+    const u1 = 1 - next(); // (0, 1] so the log is finite
+    const u2 = next();
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return mean + std * z;
+  };
+
+  /**
+   * 1 with probability p, otherwise 0
+   */
+  const bernoulli = (p) => (next() < p ? 1 : 0);
+
+  /**
+   * Number of successes in n Bernoulli(p) trials
+   */
+  const binomial = (n, p) => {
+    let successes = 0;
+    for (let i = 0; i < n; i++) successes += bernoulli(p);
+    return successes;
+  };
+
+  /**
+   * Poisson sample (Knuth's multiplication method, fine for small rates)
+   */
+  const poisson = (rate) => {
+    const limit = Math.exp(-rate);
+    let k = 0;
+    let p = 1;
+    do {
+      k++;
+      p *= next();
+    } while (p > limit);
+    return k - 1;
+  };
+
+  /**
+   * Exponential sample (inverse CDF)
+   */
+  const exponential = (rate) => -Math.log(1 - next()) / rate;
+
+  /**
+   * Random element of an array
+   */
+  const choice = (items) => items[Math.floor(next() * items.length)];
+
+  return { next, uniform, integer, normal, bernoulli, binomial, poisson, exponential, choice };
+};
+
+/**
+ * Shared unseeded generator for the visualizations
+ */
+export const random = createRandom();
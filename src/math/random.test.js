@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, random } from './random.js';
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length;
+};
+const draw = (n, sampler) => Array.from({ length: n }, sampler);
+
+describe('createRandom', () => {
+  it('is reproducible for a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    expect(draw(5, a.next)).toEqual(draw(5, b.next));
+    expect(draw(5, createRandom(7).next)).not.toEqual(draw(5, createRandom(8).next));
+  });
+
+  it('produces uniforms in [0, 1)', () => {
+    const values = draw(2000, createRandom(1).next);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    expect(mean(values)).toBeCloseTo(0.5, 1);
+  });
+
+  it('exposes an unseeded default generator', () => {
+    const value = random.uniform(2, 3);
+    expect(value).toBeGreaterThanOrEqual(2);
+    expect(value).toBeLessThan(3);
+  });
+});
+
+describe('samplers', () => {
+  const rng = createRandom(2024);
+  const N = 5000;
+
+  it('respects integer bounds', () => {
+    const values = draw(500, () => rng.integer(1, 6));
+    expect(new Set(values)).toEqual(new Set([1, 2, 3, 4, 5, 6]));
+  });
+
+  it('matches the normal mean and variance', () => {
+    const values = draw(N, () => rng.normal(3, 2));
+    expect(mean(values)).toBeCloseTo(3, 1);
+    expect(Math.sqrt(variance(values))).toBeCloseTo(2, 1);
+  });
+
+  it('matches the binomial and Bernoulli means', () => {
+    expect(mean(draw(N, () => rng.bernoulli(0.3)))).toBeCloseTo(0.3, 1);
+    expect(mean(draw(N, () => rng.binomial(10, 0.4))) / 10).toBeCloseTo(0.4, 1);
+  });
+
+  it('matches the Poisson and exponential means', () => {
+    expect(mean(draw(N, () => rng.poisson(4))) / 4).toBeCloseTo(1, 1);
+    expect(mean(draw(N, () => rng.exponential(2)))).toBeCloseTo(0.5, 1);
+  });
+
+  it('picks elements of an array', () => {
+    const items = ['a', 'b', 'c'];
+    draw(50, () => rng.choice(items)).forEach(item => expect(items).toContain(item));
+  });
+});
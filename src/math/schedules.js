@@ -0,0 +1,59 @@
+/**
+ * LEARNING-RATE SCHEDULES
+ *
+ * Rules that change the step size as training goes on. Every schedule is a
+ * pure function of the iteration number, sharing one `period` setting so a
+ * single slider can drive all of them.
+ */
+
+/**
+ * Schedule catalog
+ */
+export const LR_SCHEDULES = {
+  constant: {
+    name: 'Constant',
+    description: 'The same learning rate at every step.'
+  },
+  step: {
+    name: 'Step Decay',
+    description: 'Halve the learning rate every period steps.'
+  },
+  exponential: {
+    name: 'Exponential',
+    description: 'Shrink smoothly by a fixed factor each step, halving once per period.'
+  },
+  cosine: {
+    name: 'Cosine',
+    description: 'Follow half a cosine wave from the base rate down to zero over one period.'
+  },
+  warmup: {
+    name: 'Warmup',
+    description: 'Ramp up linearly over the first period, then hold the base rate.'
+  }
+};
+
+/**
+ * Learning rate at an iteration
+ * @param {string} schedule - Key of LR_SCHEDULES
+ * @param {number} baseRate - Learning rate the schedule is scaled by
+ * @param {number} t - Iteration, starting at 0
+ * @param {{period?: number, factor?: number}} [options] - Steps per decay
+ *   period (or warmup length) and the step-decay multiplier
+ * @returns {number}
+ */
+export const scheduledLearningRate = (schedule, baseRate, t, { period = 100, factor = 0.5 } = {}) => {
+  switch (schedule) {
+    case 'constant':
+      return baseRate;
+    case 'step':
+      return baseRate * factor ** Math.floor(t / period);
+    case 'exponential':
+      return baseRate * 0.5 ** (t / period);
+    case 'cosine':
+      return 0.5 * baseRate * (1 + Math.cos((Math.PI * Math.min(t, period)) / period));
+    case 'warmup':
+      return baseRate * Math.min(1, (t + 1) / period);
+    default:
+      throw new Error(`Unknown learning-rate schedule: ${schedule}`);
+  }
+};
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { LR_SCHEDULES, scheduledLearningRate } from './schedules.js';
+
+describe('scheduledLearningRate', () => {
+  const options = { period: 10 };
+
+  it('keeps a constant rate', () => {
+    expect(scheduledLearningRate('constant', 0.1, 500, options)).toBe(0.1);
+  });
+
+  it('halves in steps every period', () => {
+    expect(scheduledLearningRate('step', 0.1, 9, options)).toBe(0.1);
+    expect(scheduledLearningRate('step', 0.1, 10, options)).toBe(0.05);
+    expect(scheduledLearningRate('step', 0.1, 25, { period: 10, factor: 0.1 })).toBeCloseTo(0.001, 12);
+  });
+
+  it('halves smoothly once per period for exponential decay', () => {
+    expect(scheduledLearningRate('exponential', 0.1, 0, options)).toBe(0.1);
+    expect(scheduledLearningRate('exponential', 0.1, 5, options)).toBeCloseTo(0.1 / Math.SQRT2, 12);
+    expect(scheduledLearningRate('exponential', 0.1, 20, options)).toBeCloseTo(0.025, 12);
+  });
+
+  it('anneals along a cosine to zero and stays there', () => {
+    expect(scheduledLearningRate('cosine', 0.1, 0, options)).toBeCloseTo(0.1, 12);
+    expect(scheduledLearningRate('cosine', 0.1, 5, options)).toBeCloseTo(0.05, 12);
+    expect(scheduledLearningRate('cosine', 0.1, 10, options)).toBeCloseTo(0, 12);
+    expect(scheduledLearningRate('cosine', 0.1, 50, options)).toBeCloseTo(0, 12);
+  });
+
+  it('warms up linearly before holding the base rate', () => {
+    expect(scheduledLearningRate('warmup', 0.1, 0, options)).toBeCloseTo(0.01, 12);
+    expect(scheduledLearningRate('warmup', 0.1, 4, options)).toBeCloseTo(0.05, 12);
+    expect(scheduledLearningRate('warmup', 0.1, 100, options)).toBe(0.1);
+  });
+
+  it('never increases after warmup for the decaying schedules', () => {
+    ['step', 'exponential', 'cosine'].forEach(schedule => {
+      const rates = Array.from({ length: 40 }, (_, t) => scheduledLearningRate(schedule, 1, t, options));
+      rates.slice(1).forEach((rate, i) => expect(rate).toBeLessThanOrEqual(rates[i]));
+    });
+  });
+
+  it('covers every catalog entry and rejects unknown schedules', () => {
+    Object.keys(LR_SCHEDULES).forEach(schedule => {
+      expect(Number.isFinite(scheduledLearningRate(schedule, 0.1, 3))).toBe(true);
+    });
+    expect(() => scheduledLearningRate('linear', 0.1, 3)).toThrow(/Unknown learning-rate schedule/);
+  });
+});
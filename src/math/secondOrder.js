@@ -0,0 +1,245 @@
+/**
+ * SECOND-ORDER OPTIMIZATION
+ *
+ * Newton and quasi-Newton methods. Each step minimizes a local quadratic
+ * model m(p) = f(x) + ∇f·p + ½pᵀBp, where B is the true Hessian (Newton),
+ * a shifted Hessian (damped Newton) or a curvature estimate built from past
+ * gradients (BFGS, L-BFGS). Damped Newton backtracks until the Armijo
+ * condition holds; the quasi-Newton methods use a weak Wolfe line search so
+ * every curvature pair they store satisfies sᵀy > 0. Steps return the model
+ * they used so it can be drawn. Points and gradients are plain number arrays.
+ */
+
+import { dot, add, subtract, scale } from './vectors.js';
+import { identity, multiplyVector, solve, inverse, cholesky, frobeniusNorm } from './matrices.js';
+import { armijoBacktracking } from './optimizers.js';
+
+/**
+ * Method catalog
+ */
+export const SECOND_ORDER_METHODS = {
+  newton: {
+    name: 'Newton',
+    description: 'Jump to the stationary point of the local quadratic model: x − H⁻¹∇f. Converges quadratically near a minimum, but is just as happy to land on a saddle or maximum.'
+  },
+  'damped-newton': {
+    name: 'Damped Newton',
+    description: 'Shift the Hessian until it is positive definite, then backtrack along the Newton direction: every step goes downhill.'
+  },
+  bfgs: {
+    name: 'BFGS',
+    description: 'Estimate the inverse Hessian from how the gradient changes between steps - superlinear convergence without second derivatives.'
+  },
+  lbfgs: {
+    name: 'L-BFGS',
+    description: 'BFGS that remembers only the last m steps instead of a full matrix, the standard choice for large problems.'
+  }
+};
+
+// Curvature pairs with sᵀy at or below this are skipped to keep B positive definite
+const CURVATURE_TOLERANCE = 1e-12;
+
+/**
+ * Cholesky factor of H + τI for the smallest τ ≥ 0 (in a doubling search)
+ * that makes it positive definite
+ * @param {number[][]} H - Symmetric matrix
+ * @param {number} [beta] - Smallest diagonal entry the first non-zero shift aims for
+ * @param {number} [maxDoublings] - Give up after this many shift increases
+ * @returns {{L: number[][], shift: number}|null} null when H has a NaN or
+ *   infinite entry, or no shift in the search works
+ */
+export const positiveDefiniteShift = (H, beta = 1e-3, maxDoublings = 64) => {
+  if (!H.every(row => row.every(Number.isFinite))) return null;
+  const minDiagonal = Math.min(...H.map((row, i) => row[i]));
+  let shift = minDiagonal > 0 ? 0 : beta - minDiagonal;
+
+  for (let doubling = 0; doubling <= maxDoublings; doubling++) {
+    const L = cholesky(H.map((row, i) => row.map((value, j) => (i === j ? value + shift : value))));
+    if (L) return { L, shift };
+    shift = Math.max(2 * shift, beta);
+  }
+  return null;
+};
+
+/**
+ * Value of the quadratic model m(p) = f + g·p + ½pᵀBp
+ * @param {{value: number, gradient: number[], hessian: number[][]}} model
+ * @param {number[]} p - Displacement from the point the model was built at
+ * @returns {number}
+ */
+export const quadraticModel = ({ value, gradient, hessian }, p) => (
+  value + dot(gradient, p) + 0.5 * dot(p, multiplyVector(hessian, p))
+);
+
+/**
+ * Line search for the weak Wolfe conditions by bracketing and bisection
+ * Besides sufficient decrease, asks that the slope flattens enough,
+ * ∇f(x + αd)·d ≥ c₂∇f(x)·d, which keeps quasi-Newton curvature pairs usable (sᵀy > 0).
+ * Expansion stops at `maxStep` on functions that keep falling.
+ */
+const wolfeLineSearch = (
+  f,
+  gradient,
+  x,
+  value,
+  g,
+  direction,
+  { c1 = 1e-4, c2 = 0.9, maxSteps = 50, maxStep = 100 } = {}
+) => {
+  const slope = dot(g, direction);
+  let lo = 0;
+  let hi = Infinity;
+  let step = 1;
+
+  for (let i = 0; i < maxSteps; i++) {
+    const candidate = add(x, scale(direction, step));
+    if (!(f(candidate) <= value + c1 * step * slope)) {
+      hi = step;
+    } else if (dot(gradient(candidate), direction) < c2 * slope) {
+      lo = step;
+    } else {
+      return { step, x: candidate };
+    }
+    if (hi === Infinity && lo >= maxStep) break;
+    step = hi < Infinity ? (lo + hi) / 2 : 2 * lo;
+  }
+
+  return { step: lo, x: add(x, scale(direction, lo)) };
+};
+
+// Solve LLᵀx = b by forward then back substitution
+const choleskySolve = (L, b) => {
+  const n = L.length;
+  const z = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= L[i][k] * z[k];
+    z[i] = sum / L[i][i];
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = z[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+  return x;
+};
+
+// L-BFGS two-loop recursion: the inverse-Hessian estimate applied to v
+const twoLoop = (v, history) => {
+  let q = [...v];
+  const alphas = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const { s, y, rho } = history[i];
+    const alpha = rho * dot(s, q);
+    alphas[i] = alpha;
+    q = subtract(q, scale(y, alpha));
+  }
+
+  // Initial estimate γI scaled by the most recent pair
+  const last = history[history.length - 1];
+  let r = last ? scale(q, dot(last.s, last.y) / dot(last.y, last.y)) : q;
+
+  history.forEach(({ s, y, rho }, i) => {
+    const beta = rho * dot(y, r);
+    r = add(r, scale(s, alphas[i] - beta));
+  });
+  return r;
+};
+
+/**
+ * Fresh method state
+ * @param {number} dimension - Number of coordinates
+ * @returns {{t: number, inverseHessian: number[][], history: Object[]}}
+ *   BFGS keeps the full inverse-Hessian estimate, L-BFGS the recent (s, y) pairs
+ */
+export const createSecondOrderState = (dimension) => ({
+  t: 0,
+  inverseHessian: identity(dimension),
+  history: []
+});
+
+/**
+ * One second-order update
+ * @param {string} method - Key of SECOND_ORDER_METHODS
+ * @param {number[]} x - Current point
+ * @param {{f: Function, gradient: Function, hessian?: Function}} problem - Functions
+ *   of a point; Newton methods need the Hessian
+ * @param {Object} state - From createSecondOrderState or a previous step
+ * @param {{memory?: number}} [options] - Pairs kept by L-BFGS
+ * @returns {{x: number[], state: Object, step: number, model: Object|null}} New
+ *   point and state, the step length along the search direction, and the
+ *   quadratic model {value, gradient, hessian} built at x (null when Newton
+ *   hits a singular Hessian, or damped Newton a non-finite one, and stays put)
+ */
+export const secondOrderStep = (method, x, { f, gradient, hessian }, state, { memory = 5 } = {}) => {
+  const value = f(x);
+  const g = gradient(x);
+  const t = state.t + 1;
+  const wolfe = (direction) => wolfeLineSearch(f, gradient, x, value, g, direction);
+
+  switch (method) {
+    case 'newton': {
+      const H = hessian(x);
+      const direction = solve(H, scale(g, -1));
+      if (!direction) return { x, state: { ...state, t }, step: 0, model: null };
+      return { x: add(x, direction), state: { ...state, t }, step: 1, model: { value, gradient: g, hessian: H } };
+    }
+
+    case 'damped-newton': {
+      const H = hessian(x);
+      // A shift on the scale of H keeps steps along negative curvature bounded
+      const shifted = positiveDefiniteShift(H, Math.max(1e-3, 0.5 * frobeniusNorm(H)));
+      if (!shifted) return { x, state: { ...state, t }, step: 0, model: null };
+      const { L, shift } = shifted;
+      const B = H.map((row, i) => row.map((v, j) => (i === j ? v + shift : v)));
+      const direction = choleskySolve(L, scale(g, -1));
+      const search = armijoBacktracking(f, x, g, direction);
+      return { x: search.x, state: { ...state, t }, step: search.step, model: { value, gradient: g, hessian: B } };
+    }
+
+    case 'bfgs': {
+      let Hinv = state.inverseHessian;
+      let direction = scale(multiplyVector(Hinv, g), -1);
+      // Restart from steepest descent if the estimate stopped pointing downhill
+      if (!(dot(direction, g) < 0)) {
+        Hinv = identity(x.length);
+        direction = scale(g, -1);
+      }
+      const model = { value, gradient: g, hessian: inverse(Hinv) };
+      const search = wolfe(direction);
+      const s = subtract(search.x, x);
+      const y = subtract(gradient(search.x), g);
+      const sy = dot(s, y);
+
+      if (sy > CURVATURE_TOLERANCE) {
+        // H⁺ = (I - ρsyᵀ) H (I - ρysᵀ) + ρssᵀ
+        const rho = 1 / sy;
+        const Hy = multiplyVector(Hinv, y);
+        const yHy = dot(y, Hy);
+        Hinv = Hinv.map((row, i) => row.map((v, j) => (
+          v - rho * (Hy[i] * s[j] + s[i] * Hy[j]) + (rho * rho * yHy + rho) * s[i] * s[j]
+        )));
+      }
+
+      return { x: search.x, state: { ...state, t, inverseHessian: Hinv }, step: search.step, model };
+    }
+
+    case 'lbfgs': {
+      const columns = identity(x.length).map(e => twoLoop(e, state.history));
+      const model = { value, gradient: g, hessian: inverse(columns) };
+      const search = wolfe(scale(twoLoop(g, state.history), -1));
+      const s = subtract(search.x, x);
+      const y = subtract(gradient(search.x), g);
+      const sy = dot(s, y);
+      const history = sy > CURVATURE_TOLERANCE
+        ? [...state.history, { s, y, rho: 1 / sy }].slice(-memory)
+        : state.history;
+
+      return { x: search.x, state: { ...state, t, history }, step: search.step, model };
+    }
+
+    default:
+      throw new Error(`Unknown second-order method: ${method}`);
+  }
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SECOND_ORDER_METHODS,
+  positiveDefiniteShift,
+  quadraticModel,
+  createSecondOrderState,
+  secondOrderStep
+} from './secondOrder.js';
+
+const bowl = {
+  f: ([x, y]) => 0.5 * x * x + 5 * y * y + x * y,
+  gradient: ([x, y]) => [x + y, 10 * y + x],
+  hessian: () => [[1, 1], [1, 10]]
+};
+
+const saddle = {
+  f: ([x, y]) => x * x - y * y,
+  gradient: ([x, y]) => [2 * x, -2 * y],
+  hessian: () => [[2, 0], [0, -2]]
+};
+
+const rosenbrock = {
+  f: ([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2,
+  gradient: ([x, y]) => [-2 * (1 - x) - 400 * x * (y - x * x), 200 * (y - x * x)],
+  hessian: ([x, y]) => [[2 - 400 * y + 1200 * x * x, -400 * x], [-400 * x, 200]]
+};
+
+// Iterate until the gradient is tiny; returns the path
+const run = (method, problem, start, maxIterations = 200, options) => {
+  const path = [start];
+  let x = start;
+  let state = createSecondOrderState(start.length);
+  for (let i = 0; i < maxIterations && Math.hypot(...problem.gradient(x)) > 1e-8; i++) {
+    ({ x, state } = secondOrderStep(method, x, problem, state, options));
+    path.push(x);
+  }
+  return path;
+};
+
+describe('positiveDefiniteShift', () => {
+  it('leaves positive definite matrices alone', () => {
+    expect(positiveDefiniteShift([[2, 1], [1, 2]]).shift).toBe(0);
+  });
+
+  it('shifts indefinite matrices past their most negative eigenvalue', () => {
+    const { shift, L } = positiveDefiniteShift([[2, 0], [0, -2]]);
+    expect(shift).toBeGreaterThan(2);
+    expect(L[1][1]).toBeGreaterThan(0);
+  });
+
+  it('gives up on non-finite Hessians instead of searching forever', () => {
+    expect(positiveDefiniteShift([[NaN, 0], [0, 1]])).toBeNull();
+    expect(positiveDefiniteShift([[1, Infinity], [Infinity, 1]])).toBeNull();
+  });
+});
+
+describe('quadraticModel', () => {
+  it('matches a quadratic function exactly', () => {
+    const x = [1, -2];
+    const model = { value: bowl.f(x), gradient: bowl.gradient(x), hessian: bowl.hessian(x) };
+    const p = [0.3, 0.7];
+    expect(quadraticModel(model, p)).toBeCloseTo(bowl.f([x[0] + p[0], x[1] + p[1]]), 12);
+  });
+});
+
+describe('secondOrderStep', () => {
+  it('solves a quadratic in one Newton step', () => {
+    const { x, model, step } = secondOrderStep('newton', [3, 2], bowl, createSecondOrderState(2));
+    expect(x[0]).toBeCloseTo(0, 12);
+    expect(x[1]).toBeCloseTo(0, 12);
+    expect(step).toBe(1);
+    expect(model.hessian).toEqual([[1, 1], [1, 10]]);
+  });
+
+  it('lets pure Newton jump onto a saddle while damped Newton goes downhill', () => {
+    const start = [1, 0.5];
+    const newton = secondOrderStep('newton', start, saddle, createSecondOrderState(2));
+    expect(newton.x[0]).toBeCloseTo(0, 12);
+    expect(newton.x[1]).toBeCloseTo(0, 12);
+
+    const damped = secondOrderStep('damped-newton', start, saddle, createSecondOrderState(2));
+    expect(saddle.f(damped.x)).toBeLessThan(saddle.f(start));
+    expect(Math.abs(damped.x[1])).toBeGreaterThan(0.5);
+  });
+
+  it('stays put when damped Newton meets a NaN Hessian', () => {
+    // e.g. a custom formula with log of a negative number
+    const broken = { f: () => NaN, gradient: () => [NaN, NaN], hessian: () => [[NaN, NaN], [NaN, NaN]] };
+    const { x, model, step } = secondOrderStep('damped-newton', [1, 1], broken, createSecondOrderState(2));
+    expect(x).toEqual([1, 1]);
+    expect(model).toBeNull();
+    expect(step).toBe(0);
+  });
+
+  it('stays put on a singular Hessian', () => {
+    const flat = { f: ([x]) => x, gradient: () => [1, 0], hessian: () => [[0, 0], [0, 0]] };
+    const { x, model } = secondOrderStep('newton', [1, 1], flat, createSecondOrderState(2));
+    expect(x).toEqual([1, 1]);
+    expect(model).toBeNull();
+  });
+
+  it('converges quadratically with Newton near the Rosenbrock minimum', () => {
+    const errors = run('newton', rosenbrock, [1.2, 1.2]).map(([x, y]) => Math.hypot(x - 1, y - 1));
+    const last = errors.length - 1;
+    expect(errors[last]).toBeLessThan(1e-8);
+    // Each error is roughly a constant times the square of the previous one
+    expect(errors[last - 1]).toBeLessThan(10 * errors[last - 2] ** 2);
+  });
+
+  it('learns the curvature with BFGS and L-BFGS', () => {
+    ['bfgs', 'lbfgs', 'damped-newton'].forEach(method => {
+      const path = run(method, rosenbrock, [-1.2, 1], 500, { memory: 3 });
+      const [x, y] = path[path.length - 1];
+      expect(x).toBeCloseTo(1, 5);
+      expect(y).toBeCloseTo(1, 5);
+      expect(path.length).toBeLessThan(200);
+    });
+  });
+
+  it('builds a positive definite BFGS model from the secant condition', () => {
+    let state = createSecondOrderState(2);
+    let x = [3, 2];
+    for (let i = 0; i < 3; i++) ({ x, state } = secondOrderStep('bfgs', x, bowl, state));
+    const { model } = secondOrderStep('bfgs', x, bowl, state);
+    const [[a, b], [, d]] = model.hessian;
+    expect(a).toBeGreaterThan(0);
+    expect(a * d - b * b).toBeGreaterThan(0);
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => secondOrderStep('gauss-newton', [0, 0], bowl, createSecondOrderState(2))).toThrow(/Unknown/);
+  });
+
+  it('describes every method', () => {
+    Object.values(SECOND_ORDER_METHODS).forEach(({ name, description }) => {
+      expect(name).toBeTruthy();
+      expect(description).toBeTruthy();
+    });
+  });
+});
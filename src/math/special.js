@@ -0,0 +1,130 @@
+/**
+ * SPECIAL FUNCTIONS
+ *
+ * Gamma-family functions, factorials and the error function used by the
+ * probability and statistics visualizations.
+ */
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function, for z > 0
+ * Computed in log space so it stays finite for large z (e.g. large Beta
+ * posterior parameters).
+ * @param {number} z
+ * @returns {number}
+ */
+export const logGamma = (z) => {
+  if (z < 0.5) {
+    // Reflection formula: Γ(z)Γ(1 - z) = π / sin(πz)
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - logGamma(1 - z);
+  }
+
+  const x = z - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_G + 2; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+  }
+
+  const t = x + LANCZOS_G + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Gamma function Γ(z)
+ * @param {number} z
+ * @returns {number}
+ */
+export const gamma = (z) => {
+  if (z < 0.5) {
+    return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+  }
+  if (Number.isInteger(z) && z <= 20) {
+    // Exact factorial for small integers
+    let result = 1;
+    for (let i = 2; i < z; i++) result *= i;
+    return result;
+  }
+  return Math.exp(logGamma(z));
+};
+
+/**
+ * Natural log of the beta function B(a, b) = Γ(a)Γ(b) / Γ(a + b)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+/**
+ * n! for non-negative integers
+ * Exact up to 20!; larger values come from the gamma function (and overflow
+ * to Infinity past 170!).
+ * @param {number} n
+ * @returns {number}
+ */
+export const factorial = (n) => {
+  if (n <= 1) return 1;
+  if (n > 20) return Math.round(Math.exp(logGamma(n + 1)));
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+};
+
+/**
+ * ln(n!) - finite for any n, for use in probability mass functions
+ * @param {number} n
+ * @returns {number}
+ */
+export const logFactorial = (n) => (n <= 1 ? 0 : logGamma(n + 1));
+
+/**
+ * Binomial coefficient C(n, k)
+ * @param {number} n
+ * @param {number} k
+ * @returns {number}
+ */
+export const binomialCoefficient = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  if (k === 0 || k === n) return 1;
+
+  // Multiplicative formula stays exact for the sizes used in the lab
+  const m = Math.min(k, n - k);
+  let result = 1;
+  for (let i = 1; i <= m; i++) {
+    result = (result * (n - m + i)) / i;
+  }
+  return Math.round(result);
+};
+
+/**
+ * Error function erf(x)
+ * Abramowitz & Stegun 7.1.26 (absolute error below 1.5e-7).
+ * @param {number} x
+ * @returns {number}
+ */
+export const erf = (x) => {
+  const sign = x >= 0 ? 1 : -1;
+  const ax = Math.abs(x);
+  const a1 = 0.254829592;
+  const a2 = -0.284496736;
+  const a3 = 1.421413741;
+  const a4 = -1.453152027;
+  const a5 = 1.061405429;
+  const p = 0.3275911;
+  const t = 1 / (1 + p * ax);
+  const y = 1 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-ax * ax);
+  return sign * y;
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { factorial, logFactorial, binomialCoefficient, erf } from './special.js';
+
+describe('factorial', () => {
+  it('is exact for small integers', () => {
+    expect(factorial(0)).toBe(1);
+    expect(factorial(5)).toBe(120);
+    expect(factorial(20)).toBe(2432902008176640000);
+  });
+
+  it('continues through the gamma function past 20!', () => {
+    expect(factorial(25) / 1.5511210043330986e25).toBeCloseTo(1, 10);
+  });
+
+  it('has a log that stays finite past the overflow point', () => {
+    expect(logFactorial(5)).toBeCloseTo(Math.log(120), 12);
+    expect(Number.isFinite(logFactorial(500))).toBe(true);
+  });
+});
+
+describe('binomialCoefficient', () => {
+  it('matches Pascal\'s triangle', () => {
+    expect(binomialCoefficient(5, 2)).toBe(10);
+    expect(binomialCoefficient(10, 0)).toBe(1);
+    expect(binomialCoefficient(10, 10)).toBe(1);
+    expect(binomialCoefficient(20, 7)).toBe(binomialCoefficient(19, 6) + binomialCoefficient(19, 7));
+  });
+
+  it('is exact where the factorial formula would overflow', () => {
+    expect(binomialCoefficient(50, 25)).toBe(126410606437752);
+  });
+
+  it('is zero outside 0 ≤ k ≤ n', () => {
+    expect(binomialCoefficient(4, 5)).toBe(0);
+    expect(binomialCoefficient(4, -1)).toBe(0);
+  });
+});
+
+describe('erf', () => {
+  it('matches reference values', () => {
+    expect(erf(0)).toBeCloseTo(0, 7);
+    expect(erf(0.5)).toBeCloseTo(0.5204998778, 6);
+    expect(erf(1)).toBeCloseTo(0.8427007929, 6);
+    expect(erf(3)).toBeCloseTo(0.9999779095, 6);
+  });
+
+  it('is odd', () => {
+    expect(erf(-1.3)).toBeCloseTo(-erf(1.3), 12);
+  });
+});
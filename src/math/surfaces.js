@@ -0,0 +1,208 @@
+/**
+ * TEST SURFACES
+ *
+ * Classic two-variable functions for exercising optimizers, each with its
+ * analytic gradient, a sensible viewing window and the known minima.
+ */
+
+/**
+ * @typedef {Object} Surface
+ * @property {string} name - Display name
+ * @property {string} formula - Human-readable formula
+ * @property {Function} f - (x, y) => number
+ * @property {Function} grad - (x, y) => {dx, dy}
+ * @property {{x: number[], y: number[]}} bounds - Viewing window [min, max] per axis
+ * @property {{x: number, y: number}[]} minima - Known local minima
+ * @property {{x: number, y: number}} start - Suggested starting point
+ * @property {number} learningRate - Suggested plain gradient descent step size
+ * @property {boolean} [logScale] - Values span many orders of magnitude
+ */
+
+/** @type {Object<string, Surface>} */
+export const SURFACES = {
+  quadratic: {
+    name: 'Quadratic Bowl',
+    formula: 'f(x,y) = x² + y²',
+    f: (x, y) => x * x + y * y,
+    grad: (x, y) => ({ dx: 2 * x, dy: 2 * y }),
+    bounds: { x: [-5, 5], y: [-5, 5] },
+    minima: [{ x: 0, y: 0 }],
+    start: { x: 2, y: 2 },
+    learningRate: 0.1
+  },
+  steep: {
+    name: 'Ill-conditioned',
+    formula: 'f(x,y) = 0.5x² + 5y²',
+    f: (x, y) => 0.5 * x * x + 5 * y * y,
+    grad: (x, y) => ({ dx: x, dy: 10 * y }),
+    bounds: { x: [-5, 5], y: [-5, 5] },
+    minima: [{ x: 0, y: 0 }],
+    start: { x: 4, y: 2 },
+    learningRate: 0.15
+  },
+  'non-convex': {
+    name: 'Non-convex',
+    formula: 'f(x,y) = 0.1(x² + y²) + sin²x + sin²y',
+    f: (x, y) => 0.1 * (x * x + y * y) + Math.sin(x) ** 2 + Math.sin(y) ** 2,
+    grad: (x, y) => ({ dx: 0.2 * x + Math.sin(2 * x), dy: 0.2 * y + Math.sin(2 * y) }),
+    bounds: { x: [-5, 5], y: [-5, 5] },
+    minima: [{ x: 0, y: 0 }],
+    start: { x: -2, y: 2 },
+    learningRate: 0.1
+  },
+  rosenbrock: {
+    name: 'Rosenbrock',
+    formula: 'f(x,y) = (1 - x)² + 100(y - x²)²',
+    f: (x, y) => (1 - x) ** 2 + 100 * (y - x * x) ** 2,
+    grad: (x, y) => ({
+      dx: -2 * (1 - x) - 400 * x * (y - x * x),
+      dy: 200 * (y - x * x)
+    }),
+    bounds: { x: [-2, 2], y: [-1, 3] },
+    minima: [{ x: 1, y: 1 }],
+    start: { x: -1.5, y: 2 },
+    learningRate: 0.001,
+    logScale: true
+  },
+  himmelblau: {
+    name: 'Himmelblau',
+    formula: 'f(x,y) = (x² + y - 11)² + (x + y² - 7)²',
+    f: (x, y) => (x * x + y - 11) ** 2 + (x + y * y - 7) ** 2,
+    grad: (x, y) => {
+      const a = x * x + y - 11;
+      const b = x + y * y - 7;
+      return { dx: 4 * x * a + 2 * b, dy: 2 * a + 4 * y * b };
+    },
+    bounds: { x: [-5, 5], y: [-5, 5] },
+    minima: [
+      { x: 3, y: 2 },
+      { x: -2.805118, y: 3.131312 },
+      { x: -3.779310, y: -3.283186 },
+      { x: 3.584428, y: -1.848126 }
+    ],
+    start: { x: 0, y: 0 },
+    learningRate: 0.01,
+    logScale: true
+  },
+  beale: {
+    name: 'Beale',
+    formula: 'f(x,y) = (1.5 - x + xy)² + (2.25 - x + xy²)² + (2.625 - x + xy³)²',
+    f: (x, y) => (
+      (1.5 - x + x * y) ** 2 + (2.25 - x + x * y * y) ** 2 + (2.625 - x + x * y ** 3) ** 2
+    ),
+    grad: (x, y) => {
+      const a = 1.5 - x + x * y;
+      const b = 2.25 - x + x * y * y;
+      const c = 2.625 - x + x * y ** 3;
+      return {
+        dx: 2 * a * (y - 1) + 2 * b * (y * y - 1) + 2 * c * (y ** 3 - 1),
+        dy: 2 * a * x + 4 * b * x * y + 6 * c * x * y * y
+      };
+    },
+    bounds: { x: [-4.5, 4.5], y: [-4.5, 4.5] },
+    minima: [{ x: 3, y: 0.5 }],
+    start: { x: 1, y: 1.5 },
+    learningRate: 0.005,
+    logScale: true
+  },
+  saddle: {
+    name: 'Saddle',
+    formula: 'f(x,y) = x² - y²',
+    f: (x, y) => x * x - y * y,
+    grad: (x, y) => ({ dx: 2 * x, dy: -2 * y }),
+    bounds: { x: [-3, 3], y: [-3, 3] },
+    minima: [],
+    start: { x: 2.5, y: 0.01 },
+    learningRate: 0.05
+  }
+};
+
+/**
+ * Sample a function on a regular grid
+ * @param {Function} f - (x, y) => number
+ * @param {{x: number[], y: number[]}} bounds - [min, max] per axis
+ * @param {number} resolution - Cells per axis
+ * @returns {{values: number[][], xs: number[], ys: number[], min: number, max: number}}
+ *   values[i][j] = f(xs[j], ys[i]); min/max ignore non-finite values
+ */
+export const sampleGrid = (f, bounds, resolution) => {
+  const axis = ([lo, hi]) => Array.from({ length: resolution + 1 }, (_, i) => lo + ((hi - lo) * i) / resolution);
+  const xs = axis(bounds.x);
+  const ys = axis(bounds.y);
+  let min = Infinity;
+  let max = -Infinity;
+
+  const values = ys.map(y => xs.map(x => {
+    const value = f(x, y);
+    if (Number.isFinite(value)) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    return value;
+  }));
+
+  return { values, xs, ys, min, max };
+};
+
+/**
+ * Contour segments of a sampled grid by marching squares
+ * Saddle cells are resolved by the average of the four corners.
+ * @param {{values: number[][], xs: number[], ys: number[]}} grid - From sampleGrid
+ * @param {number} level - Contour height
+ * @returns {Array<[{x: number, y: number}, {x: number, y: number}]>} Line segments
+ */
+export const contourSegments = ({ values, xs, ys }, level) => {
+  const segments = [];
+  const lerp = (a, b, va, vb) => a + ((b - a) * (level - va)) / (vb - va);
+
+  for (let i = 0; i < ys.length - 1; i++) {
+    for (let j = 0; j < xs.length - 1; j++) {
+      // Corners counter-clockwise from the bottom left
+      const v = [values[i][j], values[i][j + 1], values[i + 1][j + 1], values[i + 1][j]];
+      if (!v.every(Number.isFinite)) continue;
+
+      // Crossing points on the bottom, right, top and left edges
+      const edges = [
+        { x: lerp(xs[j], xs[j + 1], v[0], v[1]), y: ys[i] },
+        { x: xs[j + 1], y: lerp(ys[i], ys[i + 1], v[1], v[2]) },
+        { x: lerp(xs[j], xs[j + 1], v[3], v[2]), y: ys[i + 1] },
+        { x: xs[j], y: lerp(ys[i], ys[i + 1], v[0], v[3]) }
+      ];
+      const above = v.map(value => value >= level);
+      const crossed = [0, 1, 2, 3].filter(k => above[k] !== above[(k + 1) % 4]);
+
+      if (crossed.length === 2) {
+        segments.push([edges[crossed[0]], edges[crossed[1]]]);
+      } else if (crossed.length === 4) {
+        // Saddle: pair edges so the centre stays on its own side
+        const centerAbove = (v[0] + v[1] + v[2] + v[3]) / 4 >= level;
+        if (centerAbove === above[0]) {
+          segments.push([edges[0], edges[1]], [edges[2], edges[3]]);
+        } else {
+          segments.push([edges[3], edges[0]], [edges[1], edges[2]]);
+        }
+      }
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Contour levels spread over a value range
+ * @param {number} min
+ * @param {number} max
+ * @param {number} count - Number of levels
+ * @param {boolean} [logScale] - Space levels geometrically above the minimum
+ * @returns {number[]}
+ */
+export const contourLevels = (min, max, count, logScale = false) => {
+  if (!(max > min)) return [];
+  if (logScale) {
+    const span = max - min;
+    const lo = Math.log(span * 1e-4);
+    const hi = Math.log(span);
+    return Array.from({ length: count }, (_, i) => min + Math.exp(lo + ((hi - lo) * (i + 0.5)) / count));
+  }
+  return Array.from({ length: count }, (_, i) => min + ((max - min) * (i + 0.5)) / count);
+};
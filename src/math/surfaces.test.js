@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { SURFACES, sampleGrid, contourSegments, contourLevels } from './surfaces.js';
+import { numericGradient } from './expression.js';
+
+describe('test surfaces', () => {
+  it('have analytic gradients that match central differences', () => {
+    Object.values(SURFACES).forEach(({ f, grad }) => {
+      [[0.5, -1.2], [-1.3, 0.8], [2.1, 1.7]].forEach(([x, y]) => {
+        const { dx, dy } = grad(x, y);
+        const [nx, ny] = numericGradient(f, [x, y]);
+        expect(dx).toBeCloseTo(nx, 3);
+        expect(dy).toBeCloseTo(ny, 3);
+      });
+    });
+  });
+
+  it('list stationary minima', () => {
+    Object.values(SURFACES).forEach(({ f, grad, minima }) => {
+      minima.forEach(({ x, y }) => {
+        const { dx, dy } = grad(x, y);
+        expect(Math.hypot(dx, dy)).toBeLessThan(1e-3);
+        expect(f(x + 0.01, y)).toBeGreaterThan(f(x, y));
+        expect(f(x, y - 0.01)).toBeGreaterThan(f(x, y));
+      });
+    });
+  });
+
+  it('keep minima and starting points inside their bounds', () => {
+    Object.values(SURFACES).forEach(({ bounds, minima, start }) => {
+      [...minima, start].forEach(({ x, y }) => {
+        expect(x).toBeGreaterThanOrEqual(bounds.x[0]);
+        expect(x).toBeLessThanOrEqual(bounds.x[1]);
+        expect(y).toBeGreaterThanOrEqual(bounds.y[0]);
+        expect(y).toBeLessThanOrEqual(bounds.y[1]);
+      });
+    });
+  });
+});
+
+describe('contours', () => {
+  const bowl = (x, y) => x * x + y * y;
+  const grid = sampleGrid(bowl, { x: [-2, 2], y: [-2, 2] }, 40);
+
+  it('samples a grid with its range', () => {
+    expect(grid.xs).toHaveLength(41);
+    expect(grid.values[20][20]).toBe(0);
+    expect(grid.min).toBe(0);
+    expect(grid.max).toBe(8);
+  });
+
+  it('traces level sets', () => {
+    const segments = contourSegments(grid, 1);
+    expect(segments.length).toBeGreaterThan(20);
+    segments.flat().forEach(({ x, y }) => {
+      expect(Math.hypot(x, y)).toBeCloseTo(1, 1);
+    });
+  });
+
+  it('returns nothing for levels outside the range', () => {
+    expect(contourSegments(grid, 100)).toEqual([]);
+  });
+
+  it('resolves saddle cells', () => {
+    const saddle = sampleGrid((x, y) => x * y, { x: [-1, 1], y: [-1, 1] }, 1);
+    expect(contourSegments(saddle, 0.2)).toHaveLength(2);
+  });
+
+  it('spreads levels linearly or geometrically', () => {
+    expect(contourLevels(0, 10, 5)).toEqual([1, 3, 5, 7, 9]);
+    const levels = contourLevels(0, 1e4, 4, true);
+    expect(levels[1] / levels[0]).toBeCloseTo(levels[3] / levels[2], 6);
+    expect(contourLevels(3, 3, 5)).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * SINGULAR VALUE DECOMPOSITION
+ *
+ * One-sided Jacobi SVD for arbitrary m×n matrices, plus the low-rank
+ * approximation helpers built on it.
+ *
+ * One-sided Jacobi rotates pairs of columns of A until they are mutually
+ * orthogonal. The accumulated rotations form V, the column lengths are the
+ * singular values and the normalized columns are U. It is slower than
+ * Golub–Kahan for big matrices but simple, and accurate for the small
+ * matrices the visualizations use.
+ */
+
+import { dot } from './vectors.js';
+import { identity, transpose } from './matrices.js';
+
+const MAX_SWEEPS = 60;
+
+/**
+ * Default tolerance below which a singular value counts as zero
+ * @param {number[]} S - Singular values, largest first
+ * @param {number} m
+ * @param {number} n
+ * @returns {number}
+ */
+const defaultTolerance = (S, m, n) => Math.max(m, n) * (S[0] || 0) * Number.EPSILON * 8;
+
+/**
+ * Extend columns of an m×k matrix (stored as column arrays) to an orthonormal
+ * set, replacing zero columns with unit vectors orthogonal to the others
+ * @param {number[][]} columns - Column vectors of length m; zero columns are filled in
+ * @param {boolean[]} filled - Which columns are already orthonormal
+ */
+const completeBasis = (columns, filled) => {
+  const m = columns[0].length;
+  let candidate = 0;
+
+  columns.forEach((_, j) => {
+    if (filled[j]) return;
+
+    // Gram–Schmidt the standard basis vectors against the filled columns
+    while (candidate < m) {
+      const v = new Array(m).fill(0);
+      v[candidate++] = 1;
+      columns.forEach((column, i) => {
+        if (!filled[i]) return;
+        const projection = dot(v, column);
+        for (let r = 0; r < m; r++) v[r] -= projection * column[r];
+      });
+      const length = Math.sqrt(dot(v, v));
+      if (length > 1e-8) {
+        columns[j] = v.map(value => value / length);
+        filled[j] = true;
+        return;
+      }
+    }
+  });
+};
+
+/**
+ * Thin SVD of a tall or square matrix (m ≥ n)
+ */
+const jacobiSVD = (A) => {
+  const m = A.length;
+  const n = A[0].length;
+
+  // Work on columns: W[j] is column j of A
+  const W = transpose(A);
+  const V = identity(n); // V[j] is column j of V
+
+  // Squared column lengths, kept up to date as columns rotate
+  const norms = W.map(column => dot(column, column));
+  const total = norms.reduce((sum, value) => sum + value, 0);
+
+  // Columns this short are numerically zero; rotating them only burns sweeps
+  const negligible = (n * Number.EPSILON) ** 2 * total;
+  const orthogonality = m * Number.EPSILON;
+
+  for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+    let rotated = false;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        const alpha = norms[p];
+        const beta = norms[q];
+        if (alpha <= negligible || beta <= negligible) continue;
+
+        const gamma = dot(W[p], W[q]);
+        if (Math.abs(gamma) <= orthogonality * Math.sqrt(alpha * beta)) continue;
+        rotated = true;
+
+        // Rotation angle that zeroes the (p, q) entry of WᵀW
+        const zeta = (beta - alpha) / (2 * gamma);
+        const t = Math.sign(zeta || 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+        const c = 1 / Math.sqrt(1 + t * t);
+        const s = c * t;
+
+        let normP = 0;
+        let normQ = 0;
+        for (let r = 0; r < m; r++) {
+          const wp = W[p][r];
+          const wq = W[q][r];
+          W[p][r] = c * wp - s * wq;
+          W[q][r] = s * wp + c * wq;
+          normP += W[p][r] * W[p][r];
+          normQ += W[q][r] * W[q][r];
+        }
+        norms[p] = normP;
+        norms[q] = normQ;
+
+        for (let r = 0; r < n; r++) {
+          const vp = V[p][r];
+          const vq = V[q][r];
+          V[p][r] = c * vp - s * vq;
+          V[q][r] = s * vp + c * vq;
+        }
+      }
+    }
+
+    if (!rotated) break;
+  }
+
+  // Singular values are the column lengths; sort largest first
+  const order = W
+    .map((column, j) => ({ j, sigma: Math.sqrt(dot(column, column)) }))
+    .sort((a, b) => b.sigma - a.sigma);
+
+  const S = order.map(({ sigma }) => sigma);
+  const tolerance = defaultTolerance(S, m, n);
+
+  const filled = order.map(({ sigma }) => sigma > tolerance);
+  const Ucolumns = order.map(({ j, sigma }, k) => (
+    filled[k] ? W[j].map(value => value / sigma) : new Array(m).fill(0)
+  ));
+  completeBasis(Ucolumns, filled);
+
+  return {
+    U: transpose(Ucolumns),
+    S,
+    V: transpose(order.map(({ j }) => V[j]))
+  };
+};
+
+/**
+ * Singular value decomposition A = U Σ Vᵀ
+ *
+ * Returns the thin decomposition: with k = min(m, n), U is m×k, V is n×k
+ * (both with orthonormal columns) and S holds the k singular values in
+ * decreasing order.
+ *
+ * @param {number[][]} A - m×n matrix
+ * @returns {{U: number[][], S: number[], V: number[][]}}
+ */
+export const svd = (A) => {
+  const m = A.length;
+  const n = A[0].length;
+
+  if (m >= n) return jacobiSVD(A);
+
+  // Wide matrix: decompose Aᵀ = V Σ Uᵀ and swap the factors
+  const { U, S, V } = jacobiSVD(transpose(A));
+  return { U: V, S, V: U };
+};
+
+/**
+ * Numerical rank: number of singular values above the tolerance
+ * @param {number[]} S - Singular values, largest first
+ * @param {number} [tolerance] - Defaults to a multiple of machine epsilon times σ₁
+ * @returns {number}
+ */
+export const numericalRank = (S, tolerance = defaultTolerance(S, S.length, S.length)) => (
+  S.filter(sigma => sigma > tolerance).length
+);
+
+/**
+ * Rebuild U_k Σ_k V_kᵀ from the first `rank` singular triplets
+ * @param {{U: number[][], S: number[], V: number[][]}} decomposition
+ * @param {number} [rank] - Number of singular values to keep (default: all)
+ * @returns {number[][]} m×n matrix
+ */
+export const reconstruct = ({ U, S, V }, rank = S.length) => {
+  const k = Math.max(0, Math.min(rank, S.length));
+  return U.map(uRow => V.map(vRow => {
+    let sum = 0;
+    for (let i = 0; i < k; i++) sum += uRow[i] * S[i] * vRow[i];
+    return sum;
+  }));
+};
+
+/**
+ * Best rank-k approximation of A (Eckart–Young)
+ * @param {number[][]} A
+ * @param {number} rank
+ * @returns {number[][]}
+ */
+export const lowRankApproximation = (A, rank) => reconstruct(svd(A), rank);
+
+/**
+ * Relative Frobenius error ‖A - A_k‖_F / ‖A‖_F of the rank-k approximation
+ * Computed from the dropped singular values, which by Eckart–Young is exact.
+ * @param {number[]} S - Singular values
+ * @param {number} rank
+ * @returns {number} In [0, 1] (0 for the zero matrix)
+ */
+export const truncationError = (S, rank) => {
+  const total = S.reduce((sum, sigma) => sum + sigma * sigma, 0);
+  if (total === 0) return 0;
+  const dropped = S.slice(rank).reduce((sum, sigma) => sum + sigma * sigma, 0);
+  return Math.sqrt(dropped / total);
+};
+
+/**
+ * Share of the total energy Σσᵢ² captured by the first `rank` singular values
+ * @param {number[]} S
+ * @param {number} rank
+ * @returns {number} In [0, 1]
+ */
+export const energyRetained = (S, rank) => {
+  const error = truncationError(S, rank);
+  return 1 - error * error;
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { svd, numericalRank, reconstruct, lowRankApproximation, truncationError, energyRetained } from './svd.js';
+import { multiply, transpose, identity, frobeniusNorm } from './matrices.js';
+import { createRandom } from './random.js';
+
+const expectMatrixClose = (actual, expected, digits = 10) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((row, i) => {
+    row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], digits));
+  });
+};
+
+const randomMatrix = (rng, m, n) => (
+  Array.from({ length: m }, () => Array.from({ length: n }, () => rng.uniform(-5, 5)))
+);
+
+describe('svd', () => {
+  it('decomposes a symmetric 2×2 matrix', () => {
+    // Eigenvalues of [[3, 1], [1, 2]] are (5 ± √5) / 2
+    const { S } = svd([[3, 1], [1, 2]]);
+    expect(S[0]).toBeCloseTo((5 + Math.sqrt(5)) / 2, 12);
+    expect(S[1]).toBeCloseTo((5 - Math.sqrt(5)) / 2, 12);
+  });
+
+  it('reconstructs tall, square and wide matrices with orthonormal factors', () => {
+    const rng = createRandom(11);
+    [[6, 2], [4, 4], [3, 7], [1, 5], [5, 1]].forEach(([m, n]) => {
+      const A = randomMatrix(rng, m, n);
+      const { U, S, V } = svd(A);
+      const k = Math.min(m, n);
+
+      expect(U).toHaveLength(m);
+      expect(V).toHaveLength(n);
+      expect(S).toHaveLength(k);
+      expectMatrixClose(reconstruct({ U, S, V }), A);
+      expectMatrixClose(multiply(transpose(U), U), identity(k));
+      expectMatrixClose(multiply(transpose(V), V), identity(k));
+      S.slice(1).forEach((sigma, i) => expect(sigma).toBeLessThanOrEqual(S[i]));
+    });
+  });
+
+  it('reports the rank of rank-deficient matrices', () => {
+    const A = [[1, 2, 3], [2, 4, 6], [1, 1, 1]];
+    const { U, S, V } = svd(A);
+
+    expect(numericalRank(S)).toBe(2);
+    expect(S[2]).toBeCloseTo(0, 12);
+    // U stays orthonormal even though σ₃ = 0
+    expectMatrixClose(multiply(transpose(U), U), identity(3));
+    expectMatrixClose(reconstruct({ U, S, V }), A);
+  });
+
+  it('recovers the rank of a larger low-rank matrix', () => {
+    const rng = createRandom(3);
+    const A = multiply(randomMatrix(rng, 40, 3), randomMatrix(rng, 3, 30));
+    const decomposition = svd(A);
+
+    expect(numericalRank(decomposition.S)).toBe(3);
+    expectMatrixClose(reconstruct(decomposition, 3), A, 8);
+    expectMatrixClose(multiply(transpose(decomposition.V), decomposition.V), identity(30));
+  });
+
+  it('handles the zero matrix', () => {
+    const { U, S } = svd([[0, 0], [0, 0], [0, 0]]);
+    expect(S).toEqual([0, 0]);
+    expect(numericalRank(S)).toBe(0);
+    expectMatrixClose(multiply(transpose(U), U), identity(2));
+  });
+});
+
+describe('low-rank approximation', () => {
+  const rng = createRandom(5);
+  const A = randomMatrix(rng, 5, 4);
+  const { S } = svd(A);
+
+  it('truncationError matches the actual Frobenius error', () => {
+    [0, 1, 2, 3, 4].forEach(rank => {
+      const residual = lowRankApproximation(A, rank).map((row, i) => row.map((v, j) => A[i][j] - v));
+      expect(truncationError(S, rank)).toBeCloseTo(frobeniusNorm(residual) / frobeniusNorm(A), 10);
+    });
+  });
+
+  it('keeps all energy at full rank and none at rank 0', () => {
+    expect(energyRetained(S, 4)).toBeCloseTo(1, 12);
+    expect(energyRetained(S, 0)).toBe(0);
+    expect(energyRetained(S, 2)).toBeLessThan(energyRetained(S, 3));
+  });
+
+  it('gives a rank-1 matrix for rank 1', () => {
+    expect(numericalRank(svd(lowRankApproximation(A, 1)).S)).toBe(1);
+  });
+});
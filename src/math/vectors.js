@@ -0,0 +1,92 @@
+/**
+ * VECTORS
+ *
+ * Operations on vectors stored as plain number arrays of any length.
+ */
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a + b
+ */
+export const add = (a, b) => a.map((value, i) => value + b[i]);
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} a - b
+ */
+export const subtract = (a, b) => a.map((value, i) => value - b[i]);
+
+/**
+ * @param {number[]} v
+ * @param {number} scalar
+ * @returns {number[]} scalar · v
+ */
+export const scale = (v, scalar) => v.map(value => value * scalar);
+
+/**
+ * Dot product a · b
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+/**
+ * Euclidean length ‖v‖
+ * @param {number[]} v
+ * @returns {number}
+ */
+export const norm = (v) => Math.sqrt(dot(v, v));
+
+/**
+ * Unit vector in the direction of v (the zero vector is returned unchanged)
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+export const normalize = (v) => {
+  const length = norm(v);
+  return length === 0 ? [...v] : scale(v, 1 / length);
+};
+
+/**
+ * Euclidean distance ‖a - b‖
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const distance = (a, b) => norm(subtract(a, b));
+
+/**
+ * Angle between two vectors in radians (0 if either is the zero vector)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const angleBetween = (a, b) => {
+  const lengths = norm(a) * norm(b);
+  if (lengths === 0) return 0;
+  return Math.acos(Math.max(-1, Math.min(1, dot(a, b) / lengths)));
+};
+
+/**
+ * Cross product of two 3D vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+export const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+
+/**
+ * 2D cross product (z-component of the 3D cross product)
+ * Signed area of the parallelogram spanned by a and b.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const cross2 = (a, b) => a[0] * b[1] - a[1] * b[0];
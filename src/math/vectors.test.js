@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import {
+  add, subtract, scale, dot, norm, normalize, distance, angleBetween, cross, cross2
+} from './vectors.js';
+
+describe('vector arithmetic', () => {
+  it('adds, subtracts and scales componentwise', () => {
+    expect(add([1, 2, 3], [4, 5, 6])).toEqual([5, 7, 9]);
+    expect(subtract([4, 5], [1, 7])).toEqual([3, -2]);
+    expect(scale([1, -2], 3)).toEqual([3, -6]);
+  });
+
+  it('computes dot products and norms', () => {
+    expect(dot([1, 2, 3], [4, 5, 6])).toBe(32);
+    expect(norm([3, 4])).toBe(5);
+    expect(distance([1, 1], [4, 5])).toBe(5);
+  });
+
+  it('normalizes to unit length and leaves the zero vector alone', () => {
+    expect(norm(normalize([3, 4, 12]))).toBeCloseTo(1, 12);
+    expect(normalize([0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe('angles and cross products', () => {
+  it('measures angles between vectors', () => {
+    expect(angleBetween([1, 0], [0, 2])).toBeCloseTo(Math.PI / 2, 12);
+    expect(angleBetween([1, 1], [-2, -2])).toBeCloseTo(Math.PI, 6);
+    expect(angleBetween([0, 0], [1, 0])).toBe(0);
+  });
+
+  it('follows the right-hand rule in 3D', () => {
+    expect(cross([1, 0, 0], [0, 1, 0])).toEqual([0, 0, 1]);
+    expect(dot(cross([1, 2, 3], [4, 5, 6]), [1, 2, 3])).toBe(0);
+  });
+
+  it('gives the signed parallelogram area in 2D', () => {
+    expect(cross2([2, 0], [0, 3])).toBe(6);
+    expect(cross2([0, 3], [2, 0])).toBe(-6);
+    expect(cross2([1, 2], [2, 4])).toBe(0);
+  });
+});
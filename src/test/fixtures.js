@@ -0,0 +1,77 @@
+/**
+ * TEST FIXTURES
+ *
+ * Small synthetic concept graph for registry and utility tests. It does not
+ * import the real catalog, so tests never load React components.
+ *
+ *   vectors ──┬──────────────► transform ──┐
+ *   matrices ─┘                            ├──► regression
+ *   vectors ──┬──► gradient ───────────────┘
+ *   calculus ─┘
+ */
+
+import { LAYERS, DOMAINS } from '../types/concept.js';
+
+const Visualization = () => null;
+
+/**
+ * Build a valid concept, overriding any field
+ * @param {Object} overrides - Must include at least `id`
+ * @returns {Object}
+ */
+export const makeConcept = (overrides) => ({
+  name: overrides.id.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' '),
+  layer: LAYERS.OBJECTS,
+  domain: DOMAINS.LINEAR_ALGEBRA,
+  prerequisites: [],
+  enables: [],
+  visualization: Visualization,
+  definition: `Definition of ${overrides.id}`,
+  ...overrides
+});
+
+export const fixtureConcepts = [
+  makeConcept({
+    id: 'vectors',
+    enables: ['transform', 'gradient'],
+    metadata: { difficulty: 1, estimatedTime: '10 mins', tags: ['arrows'] }
+  }),
+  makeConcept({
+    id: 'matrices',
+    enables: ['transform'],
+    metadata: { difficulty: 2, estimatedTime: '15 mins' }
+  }),
+  makeConcept({
+    id: 'calculus',
+    layer: LAYERS.RULES,
+    domain: DOMAINS.CALCULUS,
+    enables: ['gradient'],
+    metadata: { difficulty: 1, estimatedTime: '1 hour' }
+  }),
+  makeConcept({
+    id: 'transform',
+    layer: LAYERS.STRUCTURES,
+    prerequisites: ['vectors', 'matrices'],
+    enables: ['regression'],
+    metadata: { difficulty: 2, estimatedTime: '20 mins' }
+  }),
+  makeConcept({
+    id: 'gradient',
+    layer: LAYERS.COMPUTATION,
+    domain: DOMAINS.OPTIMIZATION,
+    prerequisites: ['vectors', 'calculus'],
+    enables: ['regression'],
+    metadata: { difficulty: 3, estimatedTime: '25 mins', tags: ['descent'] }
+  }),
+  makeConcept({
+    id: 'regression',
+    layer: LAYERS.APPLICATIONS,
+    domain: DOMAINS.STATISTICS,
+    prerequisites: ['transform', 'gradient'],
+    metadata: { difficulty: 4, estimatedTime: '30 mins', isAdvanced: true },
+    examples: [
+      { name: 'Line', description: 'Fit a line', config: { points: [] } },
+      { name: 'Theory', description: 'No preset' }
+    ]
+  })
+];
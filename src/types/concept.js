@@ -5,6 +5,8 @@
  * Every concept (from Objects to Applications) follows this schema for consistency.
  */
 
+import { validateShape } from './schema.js';
+
 // ============================================================================
 // LAYER DEFINITIONS
 // ============================================================================
@@ -98,6 +100,8 @@ export const LAYERS = {
    * @property {string[]} [relatedConcepts] - Array of concept IDs for related topics
    * 
    * @property {React.Component} visualization - The interactive component to render
+   * @property {ToolInfo} [tool] - How the visualization is presented in the tool catalog
+   * @property {ConceptGuide} [guide] - Guide shown beside the visualization in the workspace
    * @property {string} definition - Clear, concise definition of the concept
    * @property {string} [intuition] - Plain-language explanation for beginners
    * 
@@ -113,6 +117,10 @@ export const LAYERS = {
    * @property {string[]} [metadata.tags] - Search tags
    * @property {number} [metadata.difficulty] - Difficulty level (1-5)
    * @property {string} [metadata.estimatedTime] - Estimated learning time
+   * 
+   * Optional long-form fields (teachingNotes, conceptConnections,
+   * mathematicalFormulation, assessmentQuestions, extra metadata) are
+   * described by CONCEPT_SCHEMA below.
    */
   
   /**
@@ -122,8 +130,263 @@ export const LAYERS = {
    * @property {string} name - Name of the example
    * @property {string} description - What this example demonstrates
    * @property {*} [data] - Any data needed for the example
-   * @property {Object} [config] - Configuration for the visualization
+   * @property {Object} [config] - Preset for the visualization, keyed by its parameter names
+   */
+  
+  /**
+   * Tool catalog entry for a concept's visualization
+   * 
+   * @typedef {Object} ToolInfo
+   * @property {string} icon - Emoji shown next to the tool name
+   * @property {string} title - Display title on the home page
+   * @property {string} [shortTitle] - Compact title for the workspace sidebar
+   * @property {string} description - One-line tagline
+   * @property {string} color - Tailwind gradient classes for hover accents
+   * @property {string[]} highlights - Key ideas the tool demonstrates
+   */
+  
+  /**
+   * Workspace guide for a concept's visualization
+   * 
+   * @typedef {Object} ConceptGuide
+   * @property {string} [title] - Heading of the guide (defaults to the tool title)
+   * @property {{heading: string, content?: string, list?: string[]}[]} sections -
+   *   Each section has a paragraph of `content` or a bulleted `list`
+   */
+  
+  /**
+   * Placeholder for a concept that is referenced (e.g. as a prerequisite)
+   * but has no page or visualization yet
+   * 
+   * @typedef {Object} ConceptStub
+   * @property {string} id - Unique identifier (kebab-case)
+   * @property {string} name - Display name
+   * @property {string} layer - One of LAYERS values
+   * @property {string} domain - One of DOMAINS values
+   * @property {string} [description] - One-line summary
+   * @property {boolean} isStub - Always true, set by createStub
+   */
+  
+  // ============================================================================
+  // MISSING PREREQUISITE POLICIES
+  // ============================================================================
+  
+  /**
+   * How the registry treats prerequisites that are not registered concepts
+   * (declared stubs or ids that were never declared at all):
+   * - IGNORE: dropped - they never block a concept and are left out of learning paths
+   * - BLOCK: they block a concept until marked completed, and appear in learning paths
+   * - EXTERNAL: declared stubs are assumed learned elsewhere - they never
+   *   block, but appear in learning paths as outside reading. Undeclared ids
+   *   are not known to be taught anywhere, so they block like BLOCK
+   */
+  export const MISSING_PREREQUISITE_POLICIES = {
+    IGNORE: 'ignore',
+    BLOCK: 'block',
+    EXTERNAL: 'external'
+  };
+  
+  // ============================================================================
+  // TOOL CATEGORIES
+  // ============================================================================
+  
+  /**
+   * Groups of domains shown as sections on the home page and workspace sidebar.
+   * A concept lands in the first category that lists its primary domain.
+   */
+  export const TOOL_CATEGORIES = [
+    {
+      name: 'Linear Algebra',
+      domains: [DOMAINS.LINEAR_ALGEBRA]
+    },
+    {
+      name: 'Optimization',
+      domains: [DOMAINS.OPTIMIZATION, DOMAINS.CALCULUS]
+    },
+    {
+      name: 'Probability & Statistics',
+      domains: [DOMAINS.PROBABILITY, DOMAINS.STATISTICS, DOMAINS.MACHINE_LEARNING]
+    },
+    {
+      name: 'Deep Learning',
+      domains: [DOMAINS.DEEP_LEARNING]
+    }
+  ];
+  
+  // ============================================================================
+  // VALIDATION SCHEMAS
+  // ============================================================================
+  
+  const KEBAB_CASE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+  const KEBAB_CASE_MESSAGE = 'id must be in kebab-case format (e.g., gradient-descent)';
+  
+  /**
+   * Matches the time strings `estimateLearningTime` can parse, e.g. '10 mins', '1 hour 30 mins'
+   */
+  const ESTIMATED_TIME = /^(\d+ hours?)?( ?\d+ mins?)?$/;
+  
+  const conceptIdList = { type: 'array', items: { type: 'string', pattern: KEBAB_CASE, message: 'concept IDs must be kebab-case' } };
+  const stringList = { type: 'array', items: { type: 'string' } };
+  const stringRecord = { type: 'record', values: { type: 'string' } };
+  
+  /**
+   * Declarative schema for concepts (see FieldSpec in ./schema.js)
+   * Errors make a concept unusable and stop it from being registered; warnings
+   * flag content that is malformed or incomplete but still renders.
+   */
+  export const CONCEPT_SCHEMA = {
+    // Identity
+    id: { type: 'string', required: true, pattern: KEBAB_CASE, message: KEBAB_CASE_MESSAGE },
+    name: { type: 'string', required: true },
+    layer: { type: 'string', required: true, enum: Object.values(LAYERS) },
+    domain: { type: 'string', required: true, enum: Object.values(DOMAINS) },
+    secondaryDomains: { type: 'array', severity: 'warning', items: { type: 'string', enum: Object.values(DOMAINS) } },
+  
+    // Relationships
+    prerequisites: conceptIdList,
+    enables: conceptIdList,
+    relatedConcepts: { ...conceptIdList, severity: 'warning' },
+    applications: { ...conceptIdList, severity: 'warning' },
+  
+    // Presentation
+    visualization: { type: ['function', 'object'], required: true },
+    tool: {
+      type: 'object',
+      severity: 'warning',
+      shape: {
+        icon: { type: 'string', required: true },
+        title: { type: 'string', required: true },
+        shortTitle: { type: 'string' },
+        description: { type: 'string', required: true },
+        color: { type: 'string', required: true },
+        highlights: { ...stringList, required: true }
+      }
+    },
+    guide: {
+      type: 'object',
+      severity: 'warning',
+      shape: {
+        title: { type: 'string' },
+        sections: {
+          type: 'array',
+          required: true,
+          min: 1,
+          items: {
+            type: 'object',
+            shape: {
+              heading: { type: 'string', required: true },
+              content: { type: 'string' },
+              list: stringList
+            },
+            check: (section) => (
+              section.content === undefined && section.list === undefined ? 'needs content or a list' : null
+            )
+          }
+        }
+      }
+    },
+  
+    // Content
+    definition: { type: 'string', required: true },
+    intuition: { type: 'string', severity: 'warning' },
+    properties: { ...stringList, severity: 'warning' },
+    axioms: { ...stringList, severity: 'warning' },
+    mlRelevance: { type: 'string', severity: 'warning' },
+    examples: {
+      type: 'array',
+      severity: 'warning',
+      items: {
+        type: 'object',
+        shape: {
+          name: { type: 'string', required: true },
+          description: { type: 'string', required: true },
+          details: { type: 'string' },
+          data: { type: 'any' },
+          config: { type: 'object' },
+          isAbstract: { type: 'boolean' }
+        }
+      }
+    },
+    teachingNotes: {
+      type: 'object',
+      severity: 'warning',
+      allowUnknown: true,
+      shape: {
+        commonMisconceptions: stringList,
+        keyInsights: stringList,
+        interactiveExperiments: stringList,
+        pedagogicalSequence: stringList
+      }
+    },
+    conceptConnections: { type: 'record', severity: 'warning', values: stringRecord },
+    mathematicalFormulation: { ...stringRecord, severity: 'warning' },
+    assessmentQuestions: {
+      type: 'array',
+      severity: 'warning',
+      items: {
+        type: 'object',
+        shape: {
+          question: { type: 'string', required: true },
+          options: { ...stringList, required: true, min: 2 },
+          correctIndex: { type: 'integer', required: true, min: 0 },
+          explanation: { type: 'string' }
+        },
+        check: (q) => (
+          Array.isArray(q.options) && Number.isInteger(q.correctIndex) && q.correctIndex >= q.options.length
+            ? 'correctIndex is out of range of options'
+            : null
+        )
+      }
+    },
+  
+    // Metadata
+    metadata: {
+      type: 'object',
+      severity: 'warning',
+      shape: {
+        isAdvanced: { type: 'boolean' },
+        tags: stringList,
+        difficulty: { type: 'integer', min: 1, max: 5 },
+        estimatedTime: {
+          type: 'string',
+          pattern: ESTIMATED_TIME,
+          message: 'metadata.estimatedTime must look like "15 mins" or "1 hour 30 mins"'
+        },
+        prerequisites_explanation: stringRecord,
+        realWorldApplications: stringList,
+        historicalContext: { type: 'string' },
+        computationalNotes: { type: 'string' },
+        computationalComplexity: { type: 'string' },
+        whenToUse: { type: 'string' },
+        furtherReading: {
+          type: 'array',
+          items: {
+            type: 'object',
+            shape: {
+              title: { type: 'string', required: true },
+              author: { type: 'string' },
+              url: { type: 'string', pattern: /^https?:\/\//, message: 'furtherReading url must start with http(s)://' },
+              year: { type: 'integer' },
+              section: { type: 'string' },
+              type: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  /**
+   * Declarative schema for concept stubs
    */
+  export const STUB_SCHEMA = {
+    id: CONCEPT_SCHEMA.id,
+    name: CONCEPT_SCHEMA.name,
+    layer: CONCEPT_SCHEMA.layer,
+    domain: CONCEPT_SCHEMA.domain,
+    description: { type: 'string', severity: 'warning' },
+    isStub: { type: 'boolean' }
+  };
   
   // ============================================================================
   // VALIDATION HELPERS
@@ -148,47 +411,36 @@ export const LAYERS = {
   };
   
   /**
-   * Validates the basic structure of a concept object
+   * Validates a concept against CONCEPT_SCHEMA
    * @param {Object} concept - Concept to validate
-   * @returns {{valid: boolean, errors: string[]}}
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
    */
   export const validateConcept = (concept) => {
-    const errors = [];
-  
-    // Required fields
-    if (!concept.id) errors.push('Missing required field: id');
-    if (!concept.name) errors.push('Missing required field: name');
-    if (!concept.layer) errors.push('Missing required field: layer');
-    if (!concept.domain) errors.push('Missing required field: domain');
-    if (!concept.visualization) errors.push('Missing required field: visualization');
-    if (!concept.definition) errors.push('Missing required field: definition');
-  
-    // Validate layer
-    if (concept.layer && !isValidLayer(concept.layer)) {
-      errors.push(`Invalid layer: ${concept.layer}`);
-    }
-  
-    // Validate domain
-    if (concept.domain && !isValidDomain(concept.domain)) {
-      errors.push(`Invalid domain: ${concept.domain}`);
-    }
-  
-    // Validate arrays
-    if (concept.prerequisites && !Array.isArray(concept.prerequisites)) {
-      errors.push('prerequisites must be an array');
-    }
-    if (concept.enables && !Array.isArray(concept.enables)) {
-      errors.push('enables must be an array');
-    }
+    return validateShape(concept, CONCEPT_SCHEMA);
+  };
   
-    // Validate ID format (kebab-case)
-    if (concept.id && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(concept.id)) {
-      errors.push('id must be in kebab-case format (e.g., gradient-descent)');
-    }
+  /**
+   * Validates a concept stub against STUB_SCHEMA
+   * @param {Object} stub - Stub to validate
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+   */
+  export const validateStub = (stub) => {
+    return validateShape(stub, STUB_SCHEMA);
+  };
   
+  /**
+   * Creates a concept stub with defaults
+   * @param {Object} partial - Partial stub data
+   * @returns {ConceptStub}
+   */
+  export const createStub = (partial) => {
     return {
-      valid: errors.length === 0,
-      errors
+      id: partial.id || '',
+      name: partial.name || '',
+      layer: partial.layer || LAYERS.OBJECTS,
+      domain: partial.domain || DOMAINS.LINEAR_ALGEBRA,
+      description: partial.description || '',
+      isStub: true
     };
   };
   
@@ -319,8 +571,14 @@ export const LAYERS = {
     DOMAIN_NAMES,
     LAYER_COLORS,
     DOMAIN_COLORS,
+    TOOL_CATEGORIES,
+    MISSING_PREREQUISITE_POLICIES,
+    CONCEPT_SCHEMA,
+    STUB_SCHEMA,
     isValidLayer,
     isValidDomain,
     validateConcept,
-    createConcept
+    validateStub,
+    createConcept,
+    createStub
   };
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * DECLARATIVE SCHEMA VALIDATION
+ *
+ * A small validator for plain-object schemas. A schema is a tree of field
+ * specs describing types, enums, ranges and nested shapes; validating a value
+ * against it collects every problem, split into errors (the value cannot be
+ * used) and warnings (the value works but is malformed or incomplete).
+ */
+
+// ============================================================================
+// SPEC FORMAT
+// ============================================================================
+
+/**
+ * Field specification
+ *
+ * @typedef {Object} FieldSpec
+ * @property {string|string[]} type - 'string', 'number', 'integer', 'boolean',
+ *   'array', 'object', 'record', 'function' or 'any' (or a list of them)
+ * @property {boolean} [required] - Missing, null and '' values are reported
+ * @property {'error'|'warning'} [severity] - Severity of problems with this field;
+ *   nested fields inherit it unless they set their own (default 'error')
+ * @property {Array} [enum] - Allowed values
+ * @property {number} [min] - Minimum value, or minimum length for strings and arrays
+ * @property {number} [max] - Maximum value, or maximum length for strings and arrays
+ * @property {RegExp} [pattern] - Format a string must match
+ * @property {string} [message] - Message used when `pattern` does not match
+ * @property {FieldSpec} [items] - Spec for every array item
+ * @property {Object<string, FieldSpec>} [shape] - Specs for the fields of an object
+ * @property {boolean} [allowUnknown] - Don't warn about object fields missing from `shape`
+ * @property {FieldSpec} [values] - Spec for every value of a 'record' (object used as a map)
+ * @property {Function} [check] - Custom check, (value) => message string or null
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: isPlainObject,
+  record: isPlainObject,
+  function: (value) => typeof value === 'function',
+  any: () => true
+};
+
+const withArticle = (type) => {
+  const name = type === 'record' ? 'object' : type;
+  return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Check one field and append its problems to `result`
+ * @param {*} value
+ * @param {FieldSpec} spec
+ * @param {string} path
+ * @param {string} inheritedSeverity
+ * @param {{errors: string[], warnings: string[]}} result
+ */
+const checkField = (value, spec, path, inheritedSeverity, result) => {
+  const severity = spec.severity || inheritedSeverity;
+  const report = (message) => {
+    (severity === SEVERITY.ERROR ? result.errors : result.warnings).push(message);
+  };
+
+  if (isMissing(value)) {
+    if (spec.required) report(`Missing required field: ${path}`);
+    return;
+  }
+
+  // Type
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type || 'any'];
+  if (!types.some(type => TYPE_CHECKS[type](value))) {
+    report(`${path} must be ${types.map(withArticle).join(' or ')}`);
+    return;
+  }
+
+  // Enum
+  if (spec.enum && !spec.enum.includes(value)) {
+    report(`Invalid ${path}: ${value}`);
+  }
+
+  // Range (numbers) or length (strings and arrays)
+  const hasLength = Array.isArray(value) || typeof value === 'string';
+  const size = hasLength ? value.length : value;
+  const unit = Array.isArray(value) ? ' items' : typeof value === 'string' ? ' characters' : '';
+  if (hasLength || typeof value === 'number') {
+    if (spec.min !== undefined && spec.max !== undefined && (size < spec.min || size > spec.max)) {
+      report(`${path} must be between ${spec.min} and ${spec.max}${unit}`);
+    } else if (spec.min !== undefined && size < spec.min) {
+      report(`${path} must be at least ${spec.min}${unit}`);
+    } else if (spec.max !== undefined && size > spec.max) {
+      report(`${path} must be at most ${spec.max}${unit}`);
+    }
+  }
+
+  // Format
+  if (spec.pattern && typeof value === 'string' && !spec.pattern.test(value)) {
+    report(spec.message || `${path} has an invalid format: "${value}"`);
+  }
+
+  // Nested values
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, idx) => {
+      checkField(item, spec.items, `${path}[${idx}]`, severity, result);
+    });
+  }
+
+  if (spec.shape && isPlainObject(value)) {
+    Object.entries(spec.shape).forEach(([key, fieldSpec]) => {
+      checkField(value[key], fieldSpec, joinPath(path, key), severity, result);
+    });
+    if (!spec.allowUnknown) {
+      Object.keys(value)
+        .filter(key => !(key in spec.shape))
+        .forEach(key => result.warnings.push(`Unknown field: ${joinPath(path, key)}`));
+    }
+  }
+
+  if (spec.values && isPlainObject(value)) {
+    Object.entries(value).forEach(([key, item]) => {
+      checkField(item, spec.values, joinPath(path, key), severity, result);
+    });
+  }
+
+  // Custom check
+  if (spec.check) {
+    const message = spec.check(value);
+    if (message) report(`${path} ${message}`);
+  }
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a value against a field spec
+ * @param {*} value - Value to validate
+ * @param {FieldSpec} spec - Spec to validate against
+ * @param {string} [path] - Field path used in messages (e.g., 'metadata.difficulty')
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export const validateSchema = (value, spec, path = '') => {
+  const result = { errors: [], warnings: [] };
+  checkField(value, spec, path, SEVERITY.ERROR, result);
+  return {
+    valid: result.errors.length === 0,
+    ...result
+  };
+};
+
+/**
+ * Validate the fields of an object against a shape
+ * @param {Object} object - Object to validate
+ * @param {Object<string, FieldSpec>} shape - Specs keyed by field name
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnknown] - Don't warn about fields missing from `shape`
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export const validateShape = (object, shape, { allowUnknown = false } = {}) => (
+  validateSchema(object, { type: 'object', shape, allowUnknown })
+);
+
+export default {
+  SEVERITY,
+  validateSchema,
+  validateShape
+};
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import { validateSchema, validateShape } from './schema.js';
+
+const errorsOf = (value, spec) => validateSchema(value, spec, 'field').errors;
+
+// ==========================================================================
+// RULE KINDS
+// ==========================================================================
+
+describe('rule kinds', () => {
+  it('checks types, including lists of types', () => {
+    expect(errorsOf('a', { type: 'string' })).toEqual([]);
+    expect(errorsOf(1, { type: 'string' })).toEqual(['field must be a string']);
+    expect(errorsOf(1.5, { type: 'integer' })).toEqual(['field must be an integer']);
+    expect(errorsOf(NaN, { type: 'number' })).toEqual(['field must be a number']);
+    expect(errorsOf([], { type: 'object' })).toEqual(['field must be an object']);
+    expect(errorsOf([], { type: 'record' })).toEqual(['field must be an object']);
+    expect(errorsOf(() => null, { type: ['function', 'object'] })).toEqual([]);
+    expect(errorsOf('a', { type: ['function', 'object'] })).toEqual(['field must be a function or an object']);
+    expect(errorsOf(Symbol('x'), {})).toEqual([]);
+  });
+
+  it('reports missing required values and skips missing optional ones', () => {
+    [undefined, null, ''].forEach(value => {
+      expect(errorsOf(value, { type: 'string', required: true })).toEqual(['Missing required field: field']);
+      expect(errorsOf(value, { type: 'string', min: 3 })).toEqual([]);
+    });
+  });
+
+  it('checks enums', () => {
+    expect(errorsOf('red', { type: 'string', enum: ['red', 'green'] })).toEqual([]);
+    expect(errorsOf('blue', { type: 'string', enum: ['red', 'green'] })).toEqual(['Invalid field: blue']);
+  });
+
+  it('checks ranges of numbers and lengths of strings and arrays', () => {
+    expect(errorsOf(0, { type: 'integer', min: 1 })).toEqual(['field must be at least 1']);
+    expect(errorsOf(6, { type: 'integer', max: 5 })).toEqual(['field must be at most 5']);
+    expect(errorsOf(6, { type: 'integer', min: 1, max: 5 })).toEqual(['field must be between 1 and 5']);
+    expect(errorsOf(3, { type: 'integer', min: 1, max: 5 })).toEqual([]);
+    expect(errorsOf('ab', { type: 'string', min: 3 })).toEqual(['field must be at least 3 characters']);
+    expect(errorsOf([1, 2, 3], { type: 'array', max: 2 })).toEqual(['field must be at most 2 items']);
+  });
+
+  it('checks patterns, with an optional custom message', () => {
+    expect(errorsOf('abc', { type: 'string', pattern: /^[a-z]+$/ })).toEqual([]);
+    expect(errorsOf('ABC', { type: 'string', pattern: /^[a-z]+$/ })).toEqual(['field has an invalid format: "ABC"']);
+    expect(errorsOf('ABC', { type: 'string', pattern: /^[a-z]+$/, message: 'use lower case' })).toEqual(['use lower case']);
+  });
+
+  it('checks every array item', () => {
+    expect(errorsOf(['a', 2, 'c', null], { type: 'array', items: { type: 'string' } })).toEqual([
+      'field[1] must be a string'
+    ]);
+    expect(errorsOf(['a', null], { type: 'array', items: { type: 'string', required: true } })).toEqual([
+      'Missing required field: field[1]'
+    ]);
+  });
+
+  it('checks the fields of a shape and warns about unknown ones', () => {
+    const spec = { type: 'object', shape: { name: { type: 'string', required: true }, size: { type: 'number' } } };
+
+    expect(validateSchema({ size: 'big', color: 'red' }, spec, 'field')).toEqual({
+      valid: false,
+      errors: ['Missing required field: field.name', 'field.size must be a number'],
+      warnings: ['Unknown field: field.color']
+    });
+    expect(validateSchema({ name: 'a', color: 'red' }, { ...spec, allowUnknown: true }).warnings).toEqual([]);
+  });
+
+  it('checks every value of a record', () => {
+    expect(errorsOf({ a: 'x', b: 2 }, { type: 'record', values: { type: 'string' } })).toEqual([
+      'field.b must be a string'
+    ]);
+  });
+
+  it('runs custom checks after the built-in rules', () => {
+    const spec = { type: 'array', check: (value) => (value.length % 2 ? 'needs an even number of items' : null) };
+
+    expect(errorsOf([1, 2], spec)).toEqual([]);
+    expect(errorsOf([1], spec)).toEqual(['field needs an even number of items']);
+    expect(errorsOf('x', spec)).toEqual(['field must be an array']);
+  });
+});
+
+// ==========================================================================
+// PATHS & SEVERITY
+// ==========================================================================
+
+describe('nested paths', () => {
+  it('names nested fields by their full path', () => {
+    const spec = {
+      type: 'object',
+      shape: {
+        metadata: {
+          type: 'object',
+          shape: {
+            reading: {
+              type: 'array',
+              items: { type: 'object', shape: { year: { type: 'integer' } } }
+            },
+            labels: { type: 'record', values: { type: 'string' } }
+          }
+        }
+      }
+    };
+
+    expect(validateSchema({ metadata: { reading: [{ year: 2020 }, { year: 'x' }], labels: { x: 1 } } }, spec).errors).toEqual([
+      'metadata.reading[1].year must be an integer',
+      'metadata.labels.x must be a string'
+    ]);
+  });
+
+  it('starts paths at the root when no path is given', () => {
+    expect(validateShape({ id: 3 }, { id: { type: 'string' } }).errors).toEqual(['id must be a string']);
+  });
+});
+
+describe('severity', () => {
+  const shape = {
+    id: { type: 'string', required: true },
+    tool: {
+      type: 'object',
+      severity: 'warning',
+      shape: {
+        title: { type: 'string', required: true },
+        tags: { type: 'array', items: { type: 'string' } },
+        details: {
+          type: 'object',
+          shape: { year: { type: 'integer', min: 1900 } },
+          check: (value) => (value.year === 1999 ? 'is not allowed' : null)
+        },
+        icon: { type: 'string', severity: 'error' }
+      }
+    }
+  };
+
+  it('keeps problems inside a warning-only field as warnings at any depth', () => {
+    const result = validateShape({
+      id: 'a',
+      tool: { tags: ['x', 1], details: { year: 1800 }, extra: true }
+    }, shape);
+
+    expect(result).toEqual({
+      valid: true,
+      errors: [],
+      warnings: [
+        'Missing required field: tool.title',
+        'tool.tags[1] must be a string',
+        'tool.details.year must be at least 1900',
+        'Unknown field: tool.extra'
+      ]
+    });
+    expect(validateShape({ id: 'a', tool: { title: 't', details: { year: 1999 } } }, shape).warnings).toEqual([
+      'tool.details is not allowed'
+    ]);
+  });
+
+  it('lets a nested field set its own severity', () => {
+    expect(validateShape({ id: 'a', tool: { title: 't', icon: 3 } }, shape)).toEqual({
+      valid: false,
+      errors: ['tool.icon must be a string'],
+      warnings: []
+    });
+  });
+
+  it('reports unknown fields as warnings even under error severity', () => {
+    expect(validateShape({ id: 'a', color: 'red' }, shape)).toEqual({
+      valid: true,
+      errors: [],
+      warnings: ['Unknown field: color']
+    });
+    expect(validateShape({ id: 'a', color: 'red' }, shape, { allowUnknown: true }).warnings).toEqual([]);
+  });
+});
@@ -6,7 +6,7 @@
  */
 
 import registry from '../core/ConceptRegistry.js';
-import { LAYERS, LAYER_NAMES } from '../types/concept.js';
+import { LAYERS, LAYER_NAMES, TOOL_CATEGORIES } from '../types/concept.js';
 
 // ==========================================================================
 // DEPENDENCY HELPERS
@@ -360,6 +360,22 @@ export const formatConceptList = (concepts) => {
   return `${names.join(', ')}, and ${last}`;
 };
 
+/**
+ * Format a duration as a short readable string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '45s', '12 min', '1h 05m'
+ */
+export const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
 /**
  * Create a breadcrumb path for prerequisites
  * @param {string} conceptId
@@ -388,27 +404,34 @@ export const createBreadcrumbs = (conceptId) => {
 /**
  * Get graph data for visualization libraries
  * @param {string[]} conceptIds - Optional filter for specific concepts
+ * @param {Object} [options]
+ * @param {boolean} [options.includeStubs] - Also include declared stub concepts (flagged `isStub`)
  * @returns {Object} {nodes: [], edges: []}
  */
-export const getGraphData = (conceptIds = null) => {
+export const getGraphData = (conceptIds = null, { includeStubs = false } = {}) => {
   const concepts = conceptIds 
     ? conceptIds.map(id => registry.get(id)).filter(c => c !== null)
     : registry.getAll();
+  const stubs = !includeStubs ? [] : conceptIds
+    ? conceptIds.map(id => registry.getStub(id)).filter(s => s !== null)
+    : registry.getStubs();
 
-  const nodes = concepts.map(concept => ({
+  const nodes = [...concepts, ...stubs].map(concept => ({
     id: concept.id,
     label: concept.name,
     layer: concept.layer,
     domain: concept.domain,
-    group: concept.layer
+    group: concept.layer,
+    isStub: Boolean(concept.isStub)
   }));
+  const nodeIds = new Set(nodes.map(node => node.id));
 
   const edges = [];
   concepts.forEach(concept => {
     const prereqs = concept.prerequisites || [];
     prereqs.forEach(prereqId => {
-      // Only add edge if both nodes are in the filtered set
-      if (!conceptIds || conceptIds.includes(prereqId)) {
+      // Only add edge if both nodes are in the graph
+      if (nodeIds.has(prereqId)) {
         edges.push({
           from: prereqId,
           to: concept.id,
@@ -425,9 +448,10 @@ export const getGraphData = (conceptIds = null) => {
  * Get subgraph centered on a concept (include prerequisites and dependents)
  * @param {string} conceptId
  * @param {number} depth - How many levels to include
+ * @param {Object} [options] - Passed to getGraphData
  * @returns {Object} {nodes: [], edges: []}
  */
-export const getSubgraph = (conceptId, depth = 2) => {
+export const getSubgraph = (conceptId, depth = 2, options = {}) => {
   const included = new Set([conceptId]);
 
   // Add prerequisites up to depth
@@ -453,7 +477,159 @@ export const getSubgraph = (conceptId, depth = 2) => {
   addPrerequisites(conceptId, 0);
   addDependents(conceptId, 0);
 
-  return getGraphData(Array.from(included));
+  return getGraphData(Array.from(included), options);
+};
+
+/**
+ * Compute a layered layout for graph data
+ * Nodes are placed in one column per layer (in LAYERS order), then ordered
+ * within each column by the average position of their prerequisites so
+ * edges stay short and cross less.
+ * @param {Object} graph - {nodes, edges} from getGraphData or getSubgraph
+ * @param {Object} [options]
+ * @param {number} [options.columnGap] - Horizontal space between columns
+ * @param {number} [options.rowHeight] - Vertical space per node
+ * @param {number} [options.nodeWidth]
+ * @param {number} [options.nodeHeight]
+ * @param {number} [options.padding] - Space around the whole graph
+ * @returns {Object} {nodes, edges, columns, width, height} where nodes have x, y (top-left)
+ */
+export const layoutGraph = ({ nodes, edges }, {
+  columnGap = 80,
+  rowHeight = 64,
+  nodeWidth = 180,
+  nodeHeight = 40,
+  padding = 40
+} = {}) => {
+  const ids = new Set(nodes.map(n => n.id));
+  const validEdges = edges.filter(e => ids.has(e.from) && ids.has(e.to));
+
+  // One column per non-empty layer, initially sorted by domain then name
+  const columns = Object.values(LAYERS)
+    .map(layer => ({
+      layer,
+      name: LAYER_NAMES[layer],
+      nodes: nodes
+        .filter(n => n.layer === layer)
+        .sort((a, b) => a.domain.localeCompare(b.domain) || a.label.localeCompare(b.label))
+    }))
+    .filter(column => column.nodes.length > 0);
+
+  const maxRows = Math.max(0, ...columns.map(column => column.nodes.length));
+  const positions = new Map(); // id -> {x, y}
+
+  const placeColumn = (column, columnIndex) => {
+    const offset = ((maxRows - column.nodes.length) * rowHeight) / 2;
+    column.nodes.forEach((node, row) => {
+      positions.set(node.id, {
+        x: padding + columnIndex * (nodeWidth + columnGap),
+        y: padding + offset + row * rowHeight
+      });
+    });
+  };
+
+  columns.forEach((column, columnIndex) => {
+    if (columnIndex > 0) {
+      // Barycenter ordering against already placed prerequisites
+      const barycenter = (node) => {
+        const ys = validEdges
+          .filter(e => e.to === node.id && positions.has(e.from))
+          .map(e => positions.get(e.from).y);
+        return ys.length > 0 ? ys.reduce((sum, y) => sum + y, 0) / ys.length : Infinity;
+      };
+      const keys = new Map(column.nodes.map((node, i) => [node.id, [barycenter(node), i]]));
+      column.nodes.sort((a, b) => {
+        const [ba, ia] = keys.get(a.id);
+        const [bb, ib] = keys.get(b.id);
+        return ba === bb ? ia - ib : ba - bb;
+      });
+    }
+    placeColumn(column, columnIndex);
+  });
+
+  return {
+    nodes: nodes
+      .filter(n => positions.has(n.id))
+      .map(n => ({ ...n, ...positions.get(n.id), width: nodeWidth, height: nodeHeight })),
+    edges: validEdges,
+    columns: columns.map((column, i) => ({
+      layer: column.layer,
+      name: column.name,
+      x: padding + i * (nodeWidth + columnGap)
+    })),
+    width: padding * 2 + columns.length * nodeWidth + Math.max(0, columns.length - 1) * columnGap,
+    height: padding * 2 + maxRows * rowHeight
+  };
+};
+
+// ==========================================================================
+// TOOL CATALOG HELPERS
+// ==========================================================================
+
+/**
+ * Group registered concepts into tool categories for navigation
+ * @returns {Object[]} Array of {name, tools} where tools are concept objects
+ */
+export const getToolCategories = () => {
+  const concepts = registry.getAll().filter(c => c.visualization);
+
+  return TOOL_CATEGORIES
+    .map(category => ({
+      name: category.name,
+      tools: concepts.filter(c => category.domains.includes(c.domain))
+    }))
+    .filter(category => category.tools.length > 0);
+};
+
+/**
+ * Get a concept's tool catalog entry, falling back to its concept fields
+ * @param {Object} concept
+ * @returns {Object} {id, icon, title, shortTitle, description, color, highlights}
+ */
+export const getToolInfo = (concept) => {
+  const tool = concept.tool || {};
+  const title = tool.title || concept.name;
+
+  return {
+    id: concept.id,
+    icon: tool.icon || '🧩',
+    title,
+    shortTitle: tool.shortTitle || title,
+    description: tool.description || '',
+    color: tool.color || 'from-cyan-500 to-purple-500',
+    highlights: tool.highlights || concept.metadata?.tags || []
+  };
+};
+
+/**
+ * Get the workspace guide of a concept, or build one from its definition,
+ * intuition and properties when it has none
+ * @param {Object} concept
+ * @returns {{title: string, sections: Object[]}|null} Null if there is no concept
+ */
+export const getGuide = (concept) => {
+  if (!concept) return null;
+  if (concept.guide) return { title: getToolInfo(concept).title, ...concept.guide };
+
+  const clean = (text) => text.replace(/\s+/g, ' ').trim();
+  return {
+    title: concept.name,
+    sections: [
+      { heading: 'Definition', content: clean(concept.definition) },
+      concept.intuition && { heading: 'The Intuition', content: clean(concept.intuition) },
+      concept.properties?.length > 0 && { heading: 'Key Concepts', list: concept.properties }
+    ].filter(Boolean)
+  };
+};
+
+/**
+ * Get the examples of a concept that can be loaded into its visualization
+ * @param {Object} concept
+ * @returns {Object[]} Examples that define a `config` preset
+ */
+export const getExamplePresets = (concept) => {
+  if (!concept?.visualization) return [];
+  return (concept.examples || []).filter(example => example.config);
 };
 
 // ==========================================================================
@@ -491,9 +667,17 @@ export default {
   // Formatting
   getLayerName,
   formatConceptList,
+  formatDuration,
   createBreadcrumbs,
 
   // Graph
   getGraphData,
-  getSubgraph
+  getSubgraph,
+  layoutGraph,
+
+  // Tool catalog
+  getToolCategories,
+  getToolInfo,
+  getGuide,
+  getExamplePresets
 };
\ No newline at end of file
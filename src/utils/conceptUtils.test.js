@@ -0,0 +1,297 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import registry from '../core/ConceptRegistry.js';
+import {
+  getDependencies,
+  getEnabledConcepts,
+  getDependencyTree,
+  getConceptDepth,
+  dependsOn,
+  findCommonPrerequisites,
+  buildPathBetween,
+  getShortestPath,
+  estimateLearningTime,
+  getNextConcepts,
+  calculateProgress,
+  getUnlockableConcepts,
+  isLocked,
+  getMissingPrerequisites,
+  sortByLayer,
+  sortByDifficulty,
+  sortByDepth,
+  filterByDifficulty,
+  filterAdvanced,
+  getLayerName,
+  formatConceptList,
+  formatDuration,
+  createBreadcrumbs,
+  getGraphData,
+  getSubgraph,
+  layoutGraph,
+  getToolCategories,
+  getToolInfo,
+  getGuide,
+  getExamplePresets
+} from './conceptUtils.js';
+import { fixtureConcepts, makeConcept } from '../test/fixtures.js';
+
+const ids = (concepts) => concepts.map(c => c.id);
+
+beforeEach(() => {
+  registry.clear();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  registry.registerBatch(fixtureConcepts);
+});
+
+// ==========================================================================
+// DEPENDENCY HELPERS
+// ==========================================================================
+
+describe('dependency helpers', () => {
+  it('getDependencies returns direct prerequisite concepts', () => {
+    expect(ids(getDependencies('transform'))).toEqual(['vectors', 'matrices']);
+    expect(getDependencies('vectors')).toEqual([]);
+  });
+
+  it('getEnabledConcepts returns concepts listed in enables', () => {
+    expect(ids(getEnabledConcepts('vectors'))).toEqual(['transform', 'gradient']);
+  });
+
+  it('getDependencyTree nests prerequisites', () => {
+    const tree = getDependencyTree('transform');
+    expect(tree).toEqual({
+      id: 'transform',
+      name: 'Transform',
+      layer: 'structures',
+      prerequisites: [
+        { id: 'vectors', name: 'Vectors', layer: 'objects', prerequisites: [] },
+        { id: 'matrices', name: 'Matrices', layer: 'objects', prerequisites: [] }
+      ]
+    });
+    expect(getDependencyTree('unknown')).toBeNull();
+  });
+
+  it('getConceptDepth is the longest prerequisite chain', () => {
+    expect(getConceptDepth('vectors')).toBe(0);
+    expect(getConceptDepth('transform')).toBe(1);
+    expect(getConceptDepth('regression')).toBe(2);
+  });
+
+  it('dependsOn follows indirect prerequisites', () => {
+    expect(dependsOn('regression', 'vectors')).toBe(true);
+    expect(dependsOn('vectors', 'regression')).toBe(false);
+  });
+
+  it('findCommonPrerequisites intersects prerequisite chains', () => {
+    expect(findCommonPrerequisites('transform', 'gradient')).toEqual(['vectors']);
+  });
+});
+
+// ==========================================================================
+// LEARNING PATH HELPERS
+// ==========================================================================
+
+describe('learning path helpers', () => {
+  it('buildPathBetween skips what the starting concept already covers', () => {
+    expect(buildPathBetween('transform', 'regression')).toEqual(['calculus', 'gradient', 'regression']);
+  });
+
+  it('getShortestPath returns concept objects', () => {
+    expect(ids(getShortestPath('gradient', new Set(['vectors'])))).toEqual(['calculus', 'gradient']);
+  });
+
+  it('estimateLearningTime sums minutes and hours along the path', () => {
+    expect(estimateLearningTime('vectors')).toBe('10 mins');
+    expect(estimateLearningTime('gradient')).toBe('1 hour 35 mins');
+    expect(estimateLearningTime('gradient', new Set(['vectors', 'gradient']))).toBe('Unknown');
+  });
+
+  it('getNextConcepts combines enabled, same-layer and next-layer concepts', () => {
+    expect(ids(getNextConcepts('vectors'))).toEqual(['transform', 'gradient', 'matrices']);
+    expect(getNextConcepts('unknown')).toEqual([]);
+  });
+});
+
+// ==========================================================================
+// PROGRESS HELPERS
+// ==========================================================================
+
+describe('progress helpers', () => {
+  it('calculateProgress is the completed share of the full path', () => {
+    expect(calculateProgress('transform', new Set(['vectors']))).toBe(33);
+    expect(calculateProgress('transform', new Set(['vectors', 'matrices', 'transform']))).toBe(100);
+  });
+
+  it('getUnlockableConcepts lists incomplete concepts with prerequisites met', () => {
+    expect(ids(getUnlockableConcepts(new Set(['vectors', 'matrices'])))).toEqual(['calculus', 'transform']);
+  });
+
+  it('isLocked and getMissingPrerequisites agree', () => {
+    const completed = new Set(['vectors']);
+    expect(isLocked('transform', completed)).toBe(true);
+    expect(ids(getMissingPrerequisites('transform', completed))).toEqual(['matrices']);
+    expect(isLocked('vectors', completed)).toBe(false);
+  });
+});
+
+// ==========================================================================
+// FILTERING & SORTING HELPERS
+// ==========================================================================
+
+describe('filtering and sorting helpers', () => {
+  const concepts = () => registry.getAll();
+
+  it('sortByLayer follows the layer order', () => {
+    expect(ids(sortByLayer(concepts()))).toEqual([
+      'vectors', 'matrices', 'transform', 'calculus', 'gradient', 'regression'
+    ]);
+  });
+
+  it('sortByDifficulty sorts ascending without mutating', () => {
+    const input = concepts();
+    expect(ids(sortByDifficulty(input))).toEqual([
+      'vectors', 'calculus', 'matrices', 'transform', 'gradient', 'regression'
+    ]);
+    expect(ids(input)[0]).toBe('vectors');
+    expect(ids(input)[2]).toBe('calculus');
+  });
+
+  it('sortByDepth puts roots first', () => {
+    expect(ids(sortByDepth(concepts())).slice(-1)).toEqual(['regression']);
+    expect(ids(sortByDepth(concepts())).slice(0, 3)).toEqual(['vectors', 'matrices', 'calculus']);
+  });
+
+  it('filterByDifficulty keeps concepts up to the max', () => {
+    expect(ids(filterByDifficulty(concepts(), 1))).toEqual(['vectors', 'calculus']);
+  });
+
+  it('filterAdvanced can drop advanced concepts', () => {
+    expect(filterAdvanced(concepts())).toHaveLength(6);
+    expect(ids(filterAdvanced(concepts(), false))).not.toContain('regression');
+  });
+});
+
+// ==========================================================================
+// FORMATTING HELPERS
+// ==========================================================================
+
+describe('formatting helpers', () => {
+  it('getLayerName maps layers to names', () => {
+    expect(getLayerName('rules')).toBe('Rules');
+    expect(getLayerName('unknown-layer')).toBe('unknown-layer');
+  });
+
+  it('formatConceptList joins names in English', () => {
+    const [a, b, c] = registry.getAll();
+    expect(formatConceptList([])).toBe('None');
+    expect(formatConceptList([a])).toBe('Vectors');
+    expect(formatConceptList([a, b])).toBe('Vectors and Matrices');
+    expect(formatConceptList([a, b, c])).toBe('Vectors, Matrices, and Calculus');
+  });
+
+  it('formatDuration picks a unit', () => {
+    expect(formatDuration(45_000)).toBe('45s');
+    expect(formatDuration(12 * 60_000)).toBe('12 min');
+    expect(formatDuration(65 * 60_000)).toBe('1h 05m');
+  });
+
+  it('createBreadcrumbs lists the prerequisite chain and the concept', () => {
+    expect(createBreadcrumbs('transform').map(b => b.id)).toEqual(['vectors', 'matrices', 'transform']);
+  });
+});
+
+// ==========================================================================
+// GRAPH HELPERS
+// ==========================================================================
+
+describe('graph helpers', () => {
+  it('getGraphData returns every concept and dependency', () => {
+    const { nodes, edges } = getGraphData();
+    expect(nodes).toHaveLength(6);
+    expect(edges).toHaveLength(6);
+    expect(edges).toContainEqual({ from: 'vectors', to: 'transform', arrows: 'to' });
+  });
+
+  it('getGraphData can include stubs', () => {
+    registry.registerBatch([makeConcept({ id: 'eigen-stuff', prerequisites: ['eigenvalues'] })]);
+    registry.registerStubs([{ id: 'eigenvalues', name: 'Eigenvalues', layer: 'structures', domain: 'linear-algebra' }]);
+
+    expect(getGraphData().nodes.some(n => n.isStub)).toBe(false);
+    const { nodes, edges } = getGraphData(null, { includeStubs: true });
+    expect(nodes.find(n => n.id === 'eigenvalues').isStub).toBe(true);
+    expect(edges).toContainEqual({ from: 'eigenvalues', to: 'eigen-stuff', arrows: 'to' });
+  });
+
+  it('getSubgraph keeps the neighbourhood within depth', () => {
+    const { nodes, edges } = getSubgraph('transform', 1);
+    expect(nodes.map(n => n.id).sort()).toEqual(['matrices', 'regression', 'transform', 'vectors']);
+    expect(edges).toHaveLength(3);
+  });
+
+  it('layoutGraph places prerequisites left of their dependents', () => {
+    const layout = layoutGraph(getGraphData());
+    const byId = new Map(layout.nodes.map(n => [n.id, n]));
+
+    expect(layout.columns.map(c => c.layer)).toEqual(['objects', 'structures', 'rules', 'computation', 'applications']);
+    layout.edges.forEach(edge => {
+      expect(byId.get(edge.from).x).toBeLessThan(byId.get(edge.to).x);
+    });
+    layout.nodes.forEach(node => {
+      expect(node.x + node.width).toBeLessThanOrEqual(layout.width);
+      expect(node.y + node.height).toBeLessThanOrEqual(layout.height);
+    });
+  });
+});
+
+// ==========================================================================
+// TOOL CATALOG HELPERS
+// ==========================================================================
+
+describe('tool catalog helpers', () => {
+  it('getToolCategories groups concepts by domain', () => {
+    const categories = getToolCategories();
+    expect(categories.map(c => c.name)).toEqual(['Linear Algebra', 'Optimization', 'Probability & Statistics']);
+    expect(ids(categories[1].tools)).toEqual(['calculus', 'gradient']);
+  });
+
+  it('getToolInfo falls back to concept fields', () => {
+    expect(getToolInfo(registry.get('vectors'))).toEqual({
+      id: 'vectors',
+      icon: '🧩',
+      title: 'Vectors',
+      shortTitle: 'Vectors',
+      description: '',
+      color: 'from-cyan-500 to-purple-500',
+      highlights: ['arrows']
+    });
+  });
+
+  it('getGuide titles a concept guide after its tool', () => {
+    const sections = [{ heading: 'Try This', list: ['Drag the arrow'] }];
+    const concept = makeConcept({ id: 'vectors', tool: { title: 'Vector Playground' }, guide: { sections } });
+
+    expect(getGuide(concept)).toEqual({ title: 'Vector Playground', sections });
+    expect(getGuide({ ...concept, guide: { title: 'Arrows', sections } }).title).toBe('Arrows');
+  });
+
+  it('getGuide falls back to the concept content', () => {
+    const concept = makeConcept({ id: 'vectors', intuition: `
+      Arrows with a
+      length and a direction
+    `, properties: ['Closed under addition'] });
+
+    expect(getGuide(concept)).toEqual({
+      title: 'Vectors',
+      sections: [
+        { heading: 'Definition', content: 'Definition of vectors' },
+        { heading: 'The Intuition', content: 'Arrows with a length and a direction' },
+        { heading: 'Key Concepts', list: ['Closed under addition'] }
+      ]
+    });
+    expect(getGuide(null)).toBeNull();
+  });
+
+  it('getExamplePresets keeps examples with a config', () => {
+    expect(getExamplePresets(registry.get('regression')).map(e => e.name)).toEqual(['Line']);
+    expect(getExamplePresets(null)).toEqual([]);
+  });
+});